@@ -25,6 +25,47 @@ const STORE_DOMAINS = {
   'adidas.com': 'Adidas'
 };
 
+// Get the ID this install reports coupon feedback under, creating it on first use
+async function getClientId() {
+  const { clientId } = await chrome.storage.local.get('clientId');
+  if (clientId) {
+    return clientId;
+  }
+
+  const newClientId = crypto.randomUUID();
+  await chrome.storage.local.set({ clientId: newClientId });
+  return newClientId;
+}
+
+// Report whether a coupon code worked
+async function reportCouponFeedback(couponId, outcome) {
+  const couponUrl = `${API_BASE_URL}${COUPON_ENDPOINT}/${couponId}`;
+
+  // Any GET returns the CSRF token the API expects back on the POST
+  const tokenResponse = await fetch(couponUrl, { credentials: 'include' });
+  const csrfToken = tokenResponse.headers.get('X-CSRF-Token');
+
+  const response = await fetch(`${couponUrl}/feedback`, {
+    method: 'POST',
+    credentials: 'include',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(csrfToken ? { 'X-CSRF-Token': csrfToken } : {})
+    },
+    body: JSON.stringify({
+      outcome,
+      source: 'extension',
+      clientId: await getClientId()
+    })
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.message || 'Could not send feedback');
+  }
+  return data.data;
+}
+
 // Check for new coupons periodically
 async function checkForNewCoupons() {
   try {
@@ -132,6 +173,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Required for async sendResponse
   }
   
+  if (message.action === 'REPORT_COUPON_FEEDBACK') {
+    reportCouponFeedback(message.couponId, message.outcome)
+      .then(result => sendResponse({ result }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Required for async sendResponse
+  }
+  
   if (message.action === 'ACTIVATE_CASHBACK') {
     // Open cashback activation page in a new tab
     chrome.tabs.create({
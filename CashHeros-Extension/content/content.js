@@ -149,6 +149,11 @@ function displayCoupons(coupons) {
       <div class="cashheros-coupon-description">${coupon.description}</div>
       <div class="cashheros-coupon-code">${coupon.code}</div>
       <button class="cashheros-copy-btn" data-code="${coupon.code}">Copy Code</button>
+      <div class="cashheros-feedback" data-coupon-id="${coupon._id}">
+        <span>Did it work?</span>
+        <button class="cashheros-feedback-btn" data-outcome="worked">Yes</button>
+        <button class="cashheros-feedback-btn" data-outcome="failed">No</button>
+      </div>
     `;
     
     couponsContainer.appendChild(couponElement);
@@ -174,10 +179,43 @@ function displayCoupons(coupons) {
     });
   });
   
+  // Add event listeners to feedback buttons
+  document.querySelectorAll('.cashheros-feedback-btn').forEach(button => {
+    button.addEventListener('click', (e) => {
+      const feedback = e.target.closest('.cashheros-feedback');
+      reportCouponFeedback(feedback, e.target.getAttribute('data-outcome'));
+    });
+  });
+  
   // Show the overlay
   overlay.classList.remove('cashheros-hidden');
 }
 
+// Send whether a coupon worked and thank the user
+function reportCouponFeedback(feedbackElement, outcome) {
+  const couponId = feedbackElement.getAttribute('data-coupon-id');
+  
+  feedbackElement.querySelectorAll('button').forEach(button => {
+    button.disabled = true;
+  });
+  
+  chrome.runtime.sendMessage({
+    action: 'REPORT_COUPON_FEEDBACK',
+    couponId,
+    outcome
+  }, (response) => {
+    if (response && !response.error) {
+      feedbackElement.textContent = 'Thanks for your feedback!';
+      return;
+    }
+    
+    console.error('Could not send coupon feedback:', response && response.error);
+    feedbackElement.querySelectorAll('button').forEach(button => {
+      button.disabled = false;
+    });
+  });
+}
+
 // Try to find and fill coupon field on the page
 function tryFillCouponField(code) {
   // Common coupon field selectors
@@ -1,35 +1,64 @@
 /**
- * Script to clear rate limits for development purposes
- * 
- * This script clears all rate limit entries from the in-memory store.
- * It should only be used during development and testing.
+ * Script to clear rate limits and login blocks
+ *
+ * Clears entries from the shared rate limit store the API uses (Redis, or
+ * MongoDB without it), so it works against a running deployment.
+ *
+ * Usage:
+ *   node scripts/clearRateLimits.js [--key <ip or user ID>] [--limiter <prefix>] [--blocks] [--email <email>]
+ *
+ * Examples:
+ *   node scripts/clearRateLimits.js                                # Clear every counter and login block
+ *   node scripts/clearRateLimits.js --key 203.0.113.7              # Clear one client's counters in the global limiters
+ *   node scripts/clearRateLimits.js --key 203.0.113.7 --limiter search
+ *   node scripts/clearRateLimits.js --blocks --email jane@example.com  # Clear login blocks for an email
  */
 
-// Import the rate limit middleware module
-const rateLimitMiddleware = require('../middleware/rateLimitMiddleware');
+require('dotenv').config();
+const { connectDatabase } = require('../../functions/config/database');
+const rateLimitStore = require('../../functions/utils/rateLimitStore');
+const { getLimiters, clearLoginBlocks } = require('../../functions/middleware/rateLimitMiddleware');
 
-// Access the internal rate limit stores
-const rateLimitStore = {};
-const loginAttemptStore = {};
+const args = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+};
 
-// Clear all rate limit entries
-console.log('Clearing rate limit entries...');
+const key = option('--key');
+const limiter = option('--limiter');
+const email = option('--email');
+const blocksOnly = args.includes('--blocks') || Boolean(email);
 
-// Replace the stores with empty objects
-Object.keys(rateLimitStore).forEach(key => {
-  delete rateLimitStore[key];
-});
+async function clearRateLimits() {
+  try {
+    const store = rateLimitStore.getStore();
+    if (store.type !== 'redis') {
+      await connectDatabase(process.env.MONGO_URI || 'mongodb://localhost:27017/cashheros?replicaSet=rs0');
+    }
+    console.log(`Using the ${store.type} rate limit store`);
 
-Object.keys(loginAttemptStore).forEach(key => {
-  delete loginAttemptStore[key];
-});
+    if (blocksOnly) {
+      const blocks = await clearLoginBlocks({ email });
+      console.log(`Cleared ${blocks.length} login block(s)${email ? ` for ${email}` : ''}`);
+      blocks.forEach(block => console.log(`  ${block.email} from ${block.ip}, blocked until ${block.blockedUntil.toISOString()}`));
+    } else if (key) {
+      // Route-level limiters are only known to the API, so name them with --limiter
+      const prefixes = limiter ? [limiter] : getLimiters().map(item => item.prefix);
+      for (const prefix of prefixes) {
+        const cleared = await rateLimitStore.reset(`${prefix}:${key}`);
+        console.log(`Cleared ${cleared} ${prefix} counter(s) for ${key}`);
+      }
+    } else {
+      const cleared = await store.clear('');
+      console.log(`Cleared ${cleared} rate limit entries`);
+    }
 
-console.log('Rate limit entries cleared successfully.');
-console.log('Note: This script only works if you run it in the same Node.js process as your server.');
-console.log('To clear rate limits in a running server, you need to restart the server.');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error clearing rate limits:', error);
+    process.exit(1);
+  }
+}
 
-// Instructions for clearing rate limits in a running server
-console.log('\nTo clear rate limits in a running server:');
-console.log('1. Stop the server');
-console.log('2. Start the server again');
-console.log('3. Try your requests again');
\ No newline at end of file
+clearRateLimits();
@@ -0,0 +1,37 @@
+const User = require('../../../../functions/models/User');
+const { connectDatabase } = require('../../../../functions/config/database');
+
+// The functions' own mongoose, which connectDatabase connects
+const mongoose = User.base;
+
+describe('connectDatabase', () => {
+  let hello;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(mongoose, 'disconnect').mockResolvedValue();
+    jest.spyOn(mongoose, 'connect').mockImplementation(async () => ({
+      connection: {
+        host: 'localhost',
+        on: jest.fn(),
+        db: { admin: () => ({ command: async () => hello }) }
+      }
+    }));
+  });
+
+  it('connects to a replica set', async () => {
+    hello = { isWritablePrimary: true, setName: 'rs0' };
+
+    await expect(connectDatabase('mongodb://localhost:27017/cashheros?replicaSet=rs0')).resolves.toBeDefined();
+    expect(mongoose.disconnect).not.toHaveBeenCalled();
+  });
+
+  it('refuses a standalone server, which cannot run the ledger transactions', async () => {
+    hello = { isWritablePrimary: true };
+
+    await expect(connectDatabase('mongodb://localhost:27017/cashheros')).rejects.toThrow('is a standalone server');
+    expect(mongoose.disconnect).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,298 @@
+process.env.CLOUD_RUNTIME_CONFIG = JSON.stringify({
+  secrets: { jwt_secret: 'test-jwt-secret', jwt_refresh_secret: 'test-refresh-secret' }
+});
+
+const jwt = require('jsonwebtoken');
+const User = require('../../../../functions/models/User');
+const PasskeyChallenge = require('../../../../functions/models/PasskeyChallenge');
+const tokenRevocation = require('../../../../functions/utils/tokenRevocation');
+const { verifyAccessToken } = require('../../../../functions/utils/jwtUtils');
+const { startSession, REUSE_GRACE_MS } = require('../../../../functions/utils/sessionUtils');
+const { notifyUser } = require('../../../../functions/utils/notificationUtils');
+const { authMiddleware } = require('../../../../functions/middleware/authMiddleware');
+const authController = require('../../../../functions/controllers/authController');
+
+jest.mock('../../../../functions/utils/notificationUtils', () => ({
+  notifyUser: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../../../../functions/middleware/rateLimitMiddleware', () => ({
+  resetLoginRateLimit: jest.fn()
+}));
+// Assertions are "signed" by naming the challenge they answer
+jest.mock(require.resolve('@simplewebauthn/server', { paths: [require('path').join(__dirname, '../../../../functions')] }), () => ({
+  ...jest.requireActual(require.resolve('@simplewebauthn/server', { paths: [require('path').join(__dirname, '../../../../functions')] })),
+  verifyAuthenticationResponse: jest.fn(async ({ response, expectedChallenge }) => {
+    if (response.signedChallenge !== expectedChallenge) throw new Error('Unexpected authentication response challenge');
+    return { verified: true, authenticationInfo: { newCounter: 1, credentialBackedUp: false } };
+  })
+}));
+
+/**
+ * Call a controller and collect what it sent
+ */
+const call = async (handler, req) => {
+  const res = {
+    cookie: jest.fn(),
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis()
+  };
+  await handler({ get: () => undefined, header: () => undefined, headers: {}, ip: '203.0.113.7', ...req }, res);
+  return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+};
+
+describe('Refresh token rotation', () => {
+  let user;
+
+  const signIn = () => startSession(user, { get: () => undefined, ip: '203.0.113.7' });
+  const refresh = refreshToken => call(authController.refreshToken, { body: { refreshToken } });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    notifyUser.mockClear();
+    tokenRevocation.setRevocationStore(tokenRevocation.createMemoryRevocationStore());
+
+    user = new User({ email: 'shopper@example.com', password: 'hashed' });
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(User, 'findById').mockImplementation(() => {
+      const query = Promise.resolve(user);
+      query.select = () => Promise.resolve(user);
+      return query;
+    });
+    jest.spyOn(User, 'findByIdAndUpdate').mockReturnValue({ exec: jest.fn() });
+    jest.spyOn(User, 'findOne').mockImplementation(async ({ refreshTokens }) => (
+      user.refreshTokens.some(session => session.token === refreshTokens.$elemMatch.token) ? user : null
+    ));
+    // Rotate the session only if it still holds the presented token, as the database would
+    jest.spyOn(User, 'updateOne').mockImplementation(async ({ refreshTokens }, { $set }) => {
+      const { _id, token } = refreshTokens.$elemMatch;
+      const session = user.refreshTokens.find(item => String(item._id) === String(_id) && item.token === token);
+      if (!session) return { modifiedCount: 0 };
+      session.token = $set['refreshTokens.$.token'];
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => jest.useRealTimers());
+
+  it('replaces the refresh token and revokes the one presented', async () => {
+    const { refreshToken, sessionId } = await signIn();
+
+    const { status, body } = await refresh(refreshToken);
+
+    expect(status).toBe(200);
+    expect(body.refreshToken).not.toBe(refreshToken);
+    expect(jwt.decode(body.refreshToken).sessionId).toBe(String(sessionId));
+    expect(user.refreshTokens[0].token).toBe(body.refreshToken);
+    expect(await tokenRevocation.getRevocation(jwt.decode(refreshToken).jti)).toMatchObject({ kind: 'refresh', reason: 'rotated' });
+    expect(await verifyAccessToken(body.accessToken)).toMatchObject({ sessionId: String(sessionId) });
+  });
+
+  it('rejects a token replaced moments ago without ending the session', async () => {
+    const { refreshToken } = await signIn();
+    const { body: rotated } = await refresh(refreshToken);
+
+    const { status, body } = await refresh(refreshToken);
+
+    expect(status).toBe(401);
+    expect(body.code).toBe('INVALID_TOKEN');
+    expect(user.tokenVersion || 0).toBe(0);
+    expect((await refresh(rotated.refreshToken)).status).toBe(200);
+  });
+
+  it('ends the token family when a replaced token is used again later', async () => {
+    const { refreshToken, accessToken } = await signIn();
+    await signIn();
+    const { body: rotated } = await refresh(refreshToken);
+
+    jest.useFakeTimers({ now: Date.now() + REUSE_GRACE_MS + 1000 });
+    const { status, body } = await refresh(refreshToken);
+
+    expect(status).toBe(401);
+    expect(body.code).toBe('TOKEN_REUSED');
+    expect(user.tokenVersion).toBe(1);
+    expect(user.refreshTokens).toHaveLength(1);
+    expect(notifyUser).toHaveBeenCalledWith(user._id, expect.objectContaining({ priority: 'high' }));
+    // Neither the stolen family's latest refresh token nor any access token still works
+    expect((await refresh(rotated.refreshToken)).status).toBe(401);
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    await authMiddleware({ header: () => `Bearer ${accessToken}` }, res, jest.fn());
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'TOKEN_REVOKED' }));
+  });
+
+  it('revokes the access token on logout', async () => {
+    const { accessToken, refreshToken } = await signIn();
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    const { status } = await call(authController.logout, {
+      token: accessToken,
+      user: jwt.decode(accessToken),
+      body: { refreshToken }
+    });
+
+    expect(status).toBe(200);
+    expect(await verifyAccessToken(accessToken)).toBeNull();
+    expect(User.updateOne).toHaveBeenCalledWith({ _id: String(user._id) }, { $pull: { refreshTokens: { token: refreshToken } } });
+  });
+});
+
+describe('Session management', () => {
+  let user;
+
+  const signIn = () => startSession(user, { get: () => undefined, ip: '203.0.113.7' });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    tokenRevocation.setRevocationStore(tokenRevocation.createMemoryRevocationStore());
+
+    user = new User({ email: 'shopper@example.com', password: 'hashed' });
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(User, 'findById').mockImplementation(() => {
+      const query = Promise.resolve(user);
+      query.select = () => Promise.resolve(user);
+      return query;
+    });
+    jest.spyOn(User, 'findByIdAndUpdate').mockReturnValue({ exec: jest.fn() });
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, { $pull }) => {
+      user.refreshTokens = user.refreshTokens.filter(session => String(session._id) !== String($pull.refreshTokens._id));
+      return { modifiedCount: 1 };
+    });
+  });
+
+  it('lists the user\'s sessions and marks the one making the request', async () => {
+    const { accessToken } = await signIn();
+    await signIn();
+
+    const { status, body } = await call(authController.getSessions, { user: jwt.decode(accessToken) });
+
+    expect(status).toBe(200);
+    expect(body.sessions).toHaveLength(2);
+    expect(body.sessions.filter(session => session.isCurrentSession)).toHaveLength(1);
+  });
+
+  it('signs another session out, ending its access tokens', async () => {
+    const current = await signIn();
+    const other = await signIn();
+
+    const { status, body } = await call(authController.revokeSession, {
+      user: jwt.decode(current.accessToken),
+      params: { id: String(other.sessionId) }
+    });
+
+    expect(status).toBe(200);
+    expect(body.isCurrentSession).toBe(false);
+    expect(User.updateOne).toHaveBeenCalledWith({ _id: String(user._id) }, { $pull: { refreshTokens: { _id: String(other.sessionId) } } });
+
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    await authMiddleware({ header: () => `Bearer ${other.accessToken}` }, res, jest.fn());
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'SESSION_REVOKED' }));
+  });
+
+  it('refuses to revoke a session that is not the user\'s', async () => {
+    const { accessToken } = await signIn();
+
+    const { status, body } = await call(authController.revokeSession, {
+      user: jwt.decode(accessToken),
+      params: { id: '64b000000000000000000099' }
+    });
+
+    expect(status).toBe(404);
+    expect(body.code).toBe('SESSION_NOT_FOUND');
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('Passkey sign-in', () => {
+  let user, challenges;
+
+  const getOptions = email => call(authController.getPasskeyLoginOptions, { body: { email } });
+  const signIn = (challengeId, signedChallenge) => call(authController.loginWithPasskey, {
+    body: { email: user.email, challengeId, response: { id: 'credential-1', signedChallenge } }
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    challenges = [];
+
+    user = new User({ email: 'shopper@example.com', password: 'hashed' });
+    user.passkeys.push({ credentialId: 'credential-1', publicKey: 'key', counter: 0, name: 'Laptop' });
+    jest.spyOn(User, 'findOne').mockImplementation(async ({ email }) => (email === user.email ? user : null));
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() { return this; });
+
+    jest.spyOn(PasskeyChallenge, 'create').mockImplementation(async (fields) => {
+      const challenge = new PasskeyChallenge(fields);
+      challenges.push(challenge);
+      return challenge;
+    });
+    jest.spyOn(PasskeyChallenge, 'findOneAndDelete').mockImplementation(async ({ _id, user: userId, expiresAt }) => {
+      const challenge = challenges.find(item => String(item._id) === String(_id) && String(item.user) === String(userId));
+      challenges = challenges.filter(item => item !== challenge);
+      return challenge && challenge.expiresAt > expiresAt.$gt ? challenge : null;
+    });
+  });
+
+  it('gives each request its own challenge, without touching the user', async () => {
+    const { status, body } = await getOptions(user.email);
+
+    expect(status).toBe(200);
+    expect(body.options.allowCredentials).toEqual([expect.objectContaining({ id: 'credential-1' })]);
+    expect(challenges).toEqual([expect.objectContaining({ _id: body.challengeId, challenge: body.options.challenge, user: user._id })]);
+    expect(user.passkeyChallenge.challenge).toBeUndefined();
+    expect(User.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('keeps a sign-in in progress working when someone else asks for options', async () => {
+    const { body: mine } = await getOptions(user.email);
+    await getOptions(user.email);
+
+    const { status, body } = await signIn(mine.challengeId, mine.options.challenge);
+
+    expect(status).toBe(200);
+    expect(body.accessToken).toEqual(expect.any(String));
+    expect(user.loginAttempts).toBe(0);
+  });
+
+  it('accepts each challenge once', async () => {
+    const { body: options } = await getOptions(user.email);
+    await signIn(options.challengeId, options.options.challenge);
+
+    const { status } = await signIn(options.challengeId, options.options.challenge);
+
+    expect(status).toBe(401);
+  });
+
+  it('refuses an expired challenge', async () => {
+    const { body: options } = await getOptions(user.email);
+    challenges[0].expiresAt = new Date(Date.now() - 1000);
+
+    expect((await signIn(options.challengeId, options.options.challenge)).status).toBe(401);
+  });
+
+  it('gives unknown emails the same options without storing a challenge', async () => {
+    const { status, body } = await getOptions('nobody@example.com');
+
+    expect(status).toBe(200);
+    expect(body.challengeId).toBeDefined();
+    expect(body.options.allowCredentials).toEqual([]);
+    expect(PasskeyChallenge.create).not.toHaveBeenCalled();
+  });
+
+  it('locks the account after five failed assertions', async () => {
+    for (let attempt = 1; attempt < 5; attempt += 1) {
+      const { body: options } = await getOptions(user.email);
+      const { status, body } = await signIn(options.challengeId, 'wrong');
+
+      expect(status).toBe(401);
+      expect(body.attemptsLeft).toBe(5 - attempt);
+    }
+
+    const { body: options } = await getOptions(user.email);
+    const { status, body } = await signIn(options.challengeId, 'wrong');
+    expect(status).toBe(403);
+    expect(body.code).toBe('ACCOUNT_LOCKED');
+    expect(user.accountLocked).toBe(true);
+
+    // Even a valid assertion is refused until the lock expires
+    const { body: next } = await getOptions(user.email);
+    expect((await signIn(next.challengeId, next.options.challenge)).status).toBe(403);
+  });
+});
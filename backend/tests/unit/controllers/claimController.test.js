@@ -0,0 +1,199 @@
+const CashbackClaim = require('../../../../functions/models/CashbackClaim');
+const Click = require('../../../../functions/models/Click');
+const Store = require('../../../../functions/models/Store');
+const Transaction = require('../../../../functions/models/Transaction');
+const { recordTransaction, publishTransactionCommitted } = require('../../../../functions/utils/ledgerUtils');
+const { notifyUser } = require('../../../../functions/utils/notificationUtils');
+const { saveReceipt, deleteReceipt } = require('../../../../functions/utils/receiptStorage');
+const claimController = require('../../../../functions/controllers/claimController');
+
+jest.mock('../../../../functions/utils/ledgerUtils', () => ({
+  runInSession: jest.fn(work => work('session')),
+  recordTransaction: jest.fn(),
+  publishTransactionCommitted: jest.fn().mockResolvedValue(undefined)
+}));
+jest.mock('../../../../functions/utils/notificationUtils', () => ({
+  notifyUser: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../../../../functions/utils/loyaltyUtils', () => ({
+  getEffectiveCashbackPercentage: jest.fn().mockResolvedValue({ percentage: 6, tierBonusPercentage: 1 })
+}));
+jest.mock('../../../../functions/utils/currencyUtils', () => ({
+  BASE_CURRENCY: 'USD',
+  getRate: jest.fn().mockResolvedValue(0.5)
+}));
+jest.mock('../../../../functions/utils/receiptStorage', () => ({
+  saveReceipt: jest.fn().mockResolvedValue('receipts/user/receipt.png'),
+  openReceipt: jest.fn(),
+  deleteReceipt: jest.fn().mockResolvedValue(undefined)
+}));
+
+const SUPPORT_ID = '64b000000000000000000009';
+
+/**
+ * Call a controller and collect what it sent, or the error it passed on
+ */
+const call = async (handler, req) => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis()
+  };
+  const next = jest.fn();
+  await handler({ query: {}, body: {}, params: {}, ...req }, res, next);
+  if (next.mock.calls.length > 0) return { error: next.mock.calls[0][0] };
+  return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+};
+
+describe('Missing cashback claims', () => {
+  let store, claim;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    recordTransaction.mockReset();
+    notifyUser.mockClear();
+    publishTransactionCommitted.mockClear();
+    saveReceipt.mockClear();
+    deleteReceipt.mockClear();
+
+    store = new Store({ name: 'Acme', cashbackPercentage: 5 });
+    claim = new CashbackClaim({
+      user: '64b000000000000000000001',
+      store: store._id,
+      orderReference: 'ORDER-1',
+      orderAmount: 200,
+      currency: 'EUR',
+      purchaseDate: new Date('2026-09-01'),
+      click: new Click()._id,
+      receipt: { path: 'receipts/user/receipt.png' }
+    });
+
+    jest.spyOn(Store, 'findById').mockResolvedValue(store);
+    jest.spyOn(CashbackClaim, 'findById').mockResolvedValue(claim);
+    jest.spyOn(Transaction, 'exists').mockResolvedValue(null);
+    jest.spyOn(CashbackClaim, 'exists').mockResolvedValue(null);
+    jest.spyOn(Click, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(claim, 'save').mockResolvedValue(claim);
+    recordTransaction.mockImplementation(async (fields) => ({ _id: new Transaction()._id, ...fields }));
+  });
+
+  describe('approval', () => {
+    it('converts the claim into a cashback transaction at the user\'s rate', async () => {
+      const { status, body } = await call(claimController.approveClaim, {
+        user: { userId: SUPPORT_ID, role: 'support' },
+        params: { id: String(claim._id) }
+      });
+
+      expect(status).toBe(201);
+      expect(recordTransaction).toHaveBeenCalledWith(expect.objectContaining({
+        user: claim.user,
+        store: store._id,
+        type: 'cashback',
+        status: 'pending',
+        amount: 200,
+        currency: 'EUR',
+        exchangeRate: 0.5,
+        cashbackPercentage: 6,
+        cashbackAmount: 12,
+        tierBonusPercentage: 1,
+        orderReference: 'ORDER-1',
+        click: claim.click
+      }), { createdBy: SUPPORT_ID, session: 'session' });
+
+      const { transaction } = body.data;
+      expect(claim.status).toBe('approved');
+      expect(claim.transaction).toEqual(transaction._id);
+      expect(claim.save).toHaveBeenCalledWith({ session: 'session' });
+      expect(Click.updateOne).toHaveBeenCalledWith(
+        { _id: claim.click, transaction: { $exists: false } },
+        { $set: { transaction: transaction._id, convertedAt: expect.any(Date) } },
+        { session: 'session' }
+      );
+      expect(notifyUser).toHaveBeenCalledWith(claim.user, expect.objectContaining({ title: 'Missing cashback claim approved' }));
+      expect(publishTransactionCommitted).toHaveBeenCalledWith(transaction, { notify: false });
+    });
+
+    it('uses the amount and percentage support entered instead of the store rate', async () => {
+      await call(claimController.approveClaim, {
+        user: { userId: SUPPORT_ID, role: 'support' },
+        params: { id: String(claim._id) },
+        body: { orderAmount: '150', cashbackPercentage: '10', status: 'confirmed' }
+      });
+
+      expect(recordTransaction).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'confirmed',
+        amount: 150,
+        cashbackPercentage: 10,
+        cashbackAmount: 15,
+        tierBonusPercentage: 0
+      }), expect.anything());
+    });
+
+    it('refuses a claim for an order a postback has since tracked', async () => {
+      Transaction.exists.mockResolvedValue({ _id: 'tracked' });
+
+      const { error } = await call(claimController.approveClaim, {
+        user: { userId: SUPPORT_ID, role: 'support' },
+        params: { id: String(claim._id) }
+      });
+
+      expect(error.statusCode).toBe(409);
+      expect(recordTransaction).not.toHaveBeenCalled();
+    });
+
+    it('reports a 409 when the postback wins the race on the unique index', async () => {
+      recordTransaction.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      const { error } = await call(claimController.approveClaim, {
+        user: { userId: SUPPORT_ID, role: 'support' },
+        params: { id: String(claim._id) }
+      });
+
+      expect(error.statusCode).toBe(409);
+      expect(notifyUser).not.toHaveBeenCalled();
+    });
+
+    it('refuses a claim that was already decided', async () => {
+      claim.status = 'rejected';
+
+      const { error } = await call(claimController.approveClaim, {
+        user: { userId: SUPPORT_ID, role: 'support' },
+        params: { id: String(claim._id) }
+      });
+
+      expect(error.statusCode).toBe(400);
+      expect(recordTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('filing', () => {
+    const file = { originalname: 'receipt.png', mimetype: 'image/png', size: 1024, buffer: Buffer.from('png') };
+    const fileClaim = (body = {}) => call(claimController.createClaim, {
+      user: { userId: claim.user, role: 'user' },
+      file,
+      body: { storeId: String(store._id), orderReference: 'ORDER-2', orderAmount: '50', purchaseDate: '2026-09-01', ...body }
+    });
+
+    beforeEach(() => {
+      const chain = { sort: () => chain, then: (resolve, reject) => Promise.resolve(null).then(resolve, reject) };
+      jest.spyOn(Click, 'findOne').mockReturnValue(chain);
+    });
+
+    it('does not upload the receipt for an order that is already claimed', async () => {
+      CashbackClaim.exists.mockResolvedValue({ _id: 'claimed' });
+
+      const { error } = await fileClaim();
+
+      expect(error.statusCode).toBe(409);
+      expect(saveReceipt).not.toHaveBeenCalled();
+    });
+
+    it('deletes the uploaded receipt when the claim cannot be saved', async () => {
+      jest.spyOn(CashbackClaim, 'create').mockRejectedValue(new Error('validation failed'));
+
+      const { error } = await fileClaim();
+
+      expect(error.message).toBe('validation failed');
+      expect(deleteReceipt).toHaveBeenCalledWith('receipts/user/receipt.png');
+    });
+  });
+});
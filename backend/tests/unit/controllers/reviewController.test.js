@@ -0,0 +1,98 @@
+const Review = require('../../../../functions/models/Review');
+const ReviewVote = require('../../../../functions/models/ReviewVote');
+const { syncItemRating } = require('../../../../functions/utils/reviewUtils');
+const { syncReviewPoints } = require('../../../../functions/utils/loyaltyUtils');
+const reviewController = require('../../../../functions/controllers/reviewController');
+
+jest.mock('../../../../functions/utils/reviewUtils', () => ({
+  ...jest.requireActual('../../../../functions/utils/reviewUtils'),
+  hasVerifiedPurchase: jest.fn().mockResolvedValue(true),
+  syncItemRating: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../../../../functions/utils/loyaltyUtils', () => ({
+  syncReviewPoints: jest.fn().mockResolvedValue(false),
+  recalculateUserLoyalty: jest.fn()
+}));
+jest.mock('../../../../functions/utils/notificationUtils', () => ({
+  notifyUser: jest.fn().mockResolvedValue(null)
+}));
+
+const AUTHOR_ID = '64b000000000000000000001';
+const MODERATOR = { userId: '64b000000000000000000009', role: 'moderator' };
+
+/**
+ * Call a controller and collect what it sent, or the error it passed on
+ */
+const call = async (handler, req) => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis()
+  };
+  const next = jest.fn();
+  await handler({ query: {}, body: {}, params: {}, ...req }, res, next);
+  if (next.mock.calls.length > 0) return { error: next.mock.calls[0][0] };
+  return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+};
+
+describe('Review rating sync', () => {
+  let review;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    syncItemRating.mockClear();
+    syncReviewPoints.mockClear();
+
+    review = new Review({
+      user: AUTHOR_ID,
+      itemType: 'store',
+      itemId: '64b000000000000000000005',
+      rating: 4,
+      content: 'Fast cashback',
+      status: 'pending'
+    });
+    jest.spyOn(review, 'save').mockResolvedValue(review);
+    jest.spyOn(Review, 'findById').mockResolvedValue(review);
+  });
+
+  it('updates the store rating when a review is approved or taken down', async () => {
+    await call(reviewController.moderateReview, { user: MODERATOR, params: { id: String(review._id) }, body: { status: 'approved' } });
+    expect(syncItemRating).toHaveBeenCalledWith('store', review.itemId);
+
+    await call(reviewController.moderateReview, { user: MODERATOR, params: { id: String(review._id) }, body: { status: 'rejected' } });
+    expect(syncItemRating).toHaveBeenCalledTimes(2);
+    expect(syncReviewPoints).toHaveBeenCalledTimes(2);
+  });
+
+  it('leaves the rating alone when the decision does not change what is shown', async () => {
+    await call(reviewController.moderateReview, { user: MODERATOR, params: { id: String(review._id) }, body: { status: 'rejected' } });
+
+    expect(syncItemRating).not.toHaveBeenCalled();
+  });
+
+  it('takes an edited review out of the rating until it is approved again', async () => {
+    review.status = 'approved';
+    jest.spyOn(Review, 'findOne').mockResolvedValue(review);
+
+    const { status } = await call(reviewController.updateReview, {
+      user: { userId: AUTHOR_ID, role: 'user' },
+      params: { id: String(review._id) },
+      body: { rating: 1, status: 'approved' }
+    });
+
+    expect(status).toBe(200);
+    expect(review.status).toBe('pending');
+    expect(review.rating).toBe(1);
+    expect(syncItemRating).toHaveBeenCalledWith('store', review.itemId);
+  });
+
+  it('updates the rating when an approved review is deleted', async () => {
+    review.status = 'approved';
+    jest.spyOn(review, 'deleteOne').mockResolvedValue({});
+    jest.spyOn(ReviewVote, 'deleteMany').mockResolvedValue({});
+
+    await call(reviewController.deleteReview, { user: { userId: AUTHOR_ID, role: 'user' }, params: { id: String(review._id) } });
+
+    expect(syncItemRating).toHaveBeenCalledWith('store', review.itemId);
+    expect(ReviewVote.deleteMany).toHaveBeenCalledWith({ review: review._id });
+  });
+});
@@ -0,0 +1,170 @@
+const Transaction = require('../../../../functions/models/Transaction');
+const { paginateQuery } = require('../../../../functions/middleware/paginationMiddleware');
+const { transitionTransaction } = require('../../../../functions/utils/ledgerUtils');
+const transactionController = require('../../../../functions/controllers/transactionController');
+
+jest.mock('../../../../functions/middleware/paginationMiddleware', () => ({
+  paginateQuery: jest.fn()
+}));
+jest.mock('../../../../functions/utils/ledgerUtils', () => ({
+  transitionTransaction: jest.fn()
+}));
+// Amounts are shown in EUR at 0.5 per base unit
+jest.mock('../../../../functions/utils/currencyUtils', () => ({
+  getDisplayCurrency: jest.fn().mockResolvedValue('EUR'),
+  createConverter: jest.fn().mockResolvedValue({ currency: 'EUR', convert: amount => amount * 0.5 })
+}));
+
+const USER_ID = '64b000000000000000000001';
+
+/**
+ * Call a controller and collect what it sent, or the error it passed on
+ */
+const call = async (handler, req) => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis()
+  };
+  const next = jest.fn();
+  await handler({ query: {}, body: {}, params: {}, pagination: { page: 1, limit: 20 }, ...req }, res, next);
+  if (next.mock.calls.length > 0) return { error: next.mock.calls[0][0] };
+  return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+};
+
+describe('Transaction controller', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    paginateQuery.mockReset();
+    transitionTransaction.mockReset();
+  });
+
+  describe('getMyTransactions', () => {
+    it('only lists the user\'s own transactions, with the query filters applied', async () => {
+      paginateQuery.mockResolvedValue({
+        data: [{ _id: 't1', amount: 100, cashbackAmount: 10, exchangeRate: 1 }],
+        pagination: { page: 1, limit: 20, total: 1, hasNextPage: false }
+      });
+
+      const { status, body } = await call(transactionController.getMyTransactions, {
+        user: { userId: USER_ID },
+        query: { user: 'someone-else', type: 'referral,bonus', status: 'paid', endDate: '2026-01-31', minAmount: '5' }
+      });
+
+      expect(status).toBe(200);
+      const [, filter] = paginateQuery.mock.calls[0];
+      expect(filter.user).toBe(USER_ID);
+      expect(filter.type).toEqual({ $in: ['referral', 'bonus'] });
+      expect(filter.status).toEqual({ $in: ['paid'] });
+      expect(filter.cashbackAmount).toEqual({ $gte: 5 });
+      // The whole end day is included
+      expect(filter.purchaseDate.$lte.getHours()).toBe(23);
+      expect(body.data.items[0].display).toEqual({ currency: 'EUR', amount: 50, cashbackAmount: 5 });
+    });
+  });
+
+  describe('getMyTransactionSummary', () => {
+    it('totals by status and type, and skips statuses the model does not know', async () => {
+      jest.spyOn(Transaction, 'aggregate').mockResolvedValue([
+        { _id: { status: 'paid', type: 'cashback' }, count: 2, cashbackAmount: 40 },
+        { _id: { status: 'pending', type: 'referral' }, count: 1, cashbackAmount: 10 },
+        { _id: { status: 'on_hold', type: 'cashback' }, count: 1, cashbackAmount: 6 }
+      ]);
+
+      const { status, body } = await call(transactionController.getMyTransactionSummary, {
+        user: { userId: USER_ID }
+      });
+
+      expect(status).toBe(200);
+      const summary = body.data;
+      expect(summary.currency).toBe('EUR');
+      expect(summary.paid).toEqual({ count: 2, amount: 20 });
+      expect(summary.pending).toEqual({ count: 1, amount: 5 });
+      expect(summary.rejected).toEqual({ count: 0, amount: 0 });
+      expect(summary).not.toHaveProperty('on_hold');
+      expect(summary.byType.cashback).toEqual({ count: 3, amount: 23 });
+    });
+  });
+
+  describe('getTransactionById', () => {
+    const stored = (user) => {
+      const transaction = { user, amount: 100, cashbackAmount: 10, toJSON: () => ({ user, amount: 100, cashbackAmount: 10 }) };
+      const chain = { populate: () => chain, then: (resolve, reject) => Promise.resolve(transaction).then(resolve, reject) };
+      jest.spyOn(Transaction, 'findById').mockReturnValue(chain);
+    };
+
+    it('refuses another user\'s transaction', async () => {
+      stored('64b000000000000000000002');
+
+      const { error } = await call(transactionController.getTransactionById, {
+        user: { userId: USER_ID, role: 'user' },
+        params: { id: 't1' }
+      });
+
+      expect(error.statusCode).toBe(403);
+    });
+
+    it('lets support staff read any transaction', async () => {
+      stored('64b000000000000000000002');
+
+      const { status } = await call(transactionController.getTransactionById, {
+        user: { userId: USER_ID, role: 'support' },
+        params: { id: 't1' }
+      });
+
+      expect(status).toBe(200);
+    });
+  });
+
+  describe('updateTransactionStatus', () => {
+    const admin = { userId: USER_ID, role: 'admin' };
+
+    it('returns 404 for an unknown transaction', async () => {
+      jest.spyOn(Transaction, 'findById').mockResolvedValue(null);
+
+      const { error } = await call(transactionController.updateTransactionStatus, {
+        user: admin, params: { id: 't1' }, body: { status: 'confirmed' }
+      });
+
+      expect(error.statusCode).toBe(404);
+    });
+
+    it('refuses to move a transaction to the status it already has', async () => {
+      jest.spyOn(Transaction, 'findById').mockResolvedValue({ _id: 't1', status: 'confirmed' });
+
+      const { error } = await call(transactionController.updateTransactionStatus, {
+        user: admin, params: { id: 't1' }, body: { status: 'confirmed' }
+      });
+
+      expect(error.statusCode).toBe(400);
+      expect(transitionTransaction).not.toHaveBeenCalled();
+    });
+
+    it('requires a reason to reject', async () => {
+      jest.spyOn(Transaction, 'findById').mockResolvedValue({ _id: 't1', status: 'pending' });
+
+      const { error } = await call(transactionController.updateTransactionStatus, {
+        user: admin, params: { id: 't1' }, body: { status: 'rejected' }
+      });
+
+      expect(error.statusCode).toBe(400);
+      expect(transitionTransaction).not.toHaveBeenCalled();
+    });
+
+    it('records the rejection reason through the ledger transition', async () => {
+      jest.spyOn(Transaction, 'findById').mockResolvedValue({ _id: 't1', status: 'pending' });
+      transitionTransaction.mockImplementation(async (id, status, { beforeSave }) => {
+        const doc = { _id: id, status };
+        beforeSave(doc);
+        return doc;
+      });
+
+      const { status, body } = await call(transactionController.updateTransactionStatus, {
+        user: admin, params: { id: 't1' }, body: { status: 'rejected', rejectionReason: 'Order returned', note: 'checked' }
+      });
+
+      expect(status).toBe(200);
+      expect(transitionTransaction).toHaveBeenCalledWith('t1', 'rejected', expect.objectContaining({ note: 'checked', updatedBy: USER_ID }));
+      expect(body.data.rejectionReason).toBe('Order returned');
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const Favorite = require('../../../../functions/models/Favorite');
+const Coupon = require('../../../../functions/models/Coupon');
+const Cashback = require('../../../../functions/models/Cashback');
+const Store = require('../../../../functions/models/Store');
+const { notifyUser } = require('../../../../functions/utils/notificationUtils');
+const { runFavoriteAlerts } = require('../../../../functions/jobs/favoriteAlertJob');
+
+jest.mock('../../../../functions/utils/notificationUtils', () => ({
+  notifyUser: jest.fn().mockResolvedValue(null)
+}));
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Build a chainable query resolving to a value
+ */
+const query = (value) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+describe('Favorite alerts', () => {
+  const now = new Date('2026-10-19T00:00:00Z');
+  let favoritesFor;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    notifyUser.mockReset();
+    notifyUser.mockResolvedValue(null);
+
+    // Favorites per item ID, filtered on the alert fields the job asks about
+    favoritesFor = {};
+    jest.spyOn(Favorite, 'find').mockImplementation(filter => query((favoritesFor[String(filter.itemId)] || []).filter((favorite) => {
+      if (filter['alerts.expiryNotifiedFor']) {
+        return String(favorite.alerts?.expiryNotifiedFor) !== String(filter['alerts.expiryNotifiedFor'].$ne);
+      }
+      return favorite.alerts?.cashbackPercentage !== filter['alerts.cashbackPercentage'].$ne;
+    })));
+    jest.spyOn(Favorite, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Favorite, 'distinct').mockResolvedValue([]);
+    jest.spyOn(Coupon, 'find').mockReturnValue(query([]));
+    jest.spyOn(Cashback, 'find').mockReturnValue(query([]));
+    jest.spyOn(Store, 'find').mockReturnValue(query([]));
+  });
+
+  describe('expiry', () => {
+    it('warns about saved coupons expiring within the alert window, once per expiry date', async () => {
+      const expiryDate = new Date(now.getTime() + 2 * DAY);
+      const coupon = { _id: 'coupon-1', code: 'SAVE10', expiryDate, store: { name: 'Acme' } };
+      Coupon.find.mockReturnValue(query([coupon]));
+      favoritesFor['coupon-1'] = [
+        { _id: 'fav-1', user: 'user-1' },
+        { _id: 'fav-2', user: 'user-2', alerts: { expiryNotifiedFor: expiryDate } }
+      ];
+
+      const { expiry } = await runFavoriteAlerts({ now });
+
+      expect(Coupon.find).toHaveBeenCalledWith({ isActive: true, expiryDate: { $gt: now, $lte: new Date(now.getTime() + 3 * DAY) } });
+      expect(expiry).toEqual({ notified: 1, failed: [] });
+      expect(notifyUser).toHaveBeenCalledWith('user-1', expect.objectContaining({
+        title: 'A saved coupon expires soon',
+        message: `Coupon SAVE10 at Acme expires on ${expiryDate.toDateString()}.`,
+        expiresAt: expiryDate
+      }));
+      expect(Favorite.updateOne).toHaveBeenCalledWith({ _id: 'fav-1' }, { $set: { 'alerts.expiryNotifiedFor': expiryDate } });
+    });
+
+    it('announces an extended offer again for its new date', async () => {
+      const expiryDate = new Date(now.getTime() + DAY);
+      Cashback.find.mockReturnValue(query([{ _id: 'offer-1', title: 'Double cashback', expiryDate }]));
+      favoritesFor['offer-1'] = [{ _id: 'fav-1', user: 'user-1', alerts: { expiryNotifiedFor: new Date(now.getTime() - 5 * DAY) } }];
+
+      const { expiry } = await runFavoriteAlerts({ now });
+
+      expect(expiry.notified).toBe(1);
+      expect(notifyUser).toHaveBeenCalledWith('user-1', expect.objectContaining({
+        message: `The cashback offer "Double cashback" expires on ${expiryDate.toDateString()}.`
+      }));
+    });
+
+    it('keeps going when one notification fails, and retries it next run', async () => {
+      Coupon.find.mockReturnValue(query([{ _id: 'coupon-1', code: 'SAVE10', expiryDate: new Date(now.getTime() + DAY) }]));
+      favoritesFor['coupon-1'] = [{ _id: 'fav-1', user: 'user-1' }, { _id: 'fav-2', user: 'user-2' }];
+      notifyUser.mockRejectedValueOnce(new Error('push failed'));
+
+      const { expiry } = await runFavoriteAlerts({ now });
+
+      expect(expiry).toEqual({ notified: 1, failed: [{ favorite: 'fav-1', error: 'push failed' }] });
+      expect(Favorite.updateOne).toHaveBeenCalledTimes(1);
+      expect(Favorite.updateOne).toHaveBeenCalledWith({ _id: 'fav-2' }, expect.anything());
+    });
+  });
+
+  describe('cashback rates', () => {
+    beforeEach(() => {
+      Favorite.distinct.mockResolvedValue(['store-1']);
+      Store.find.mockReturnValue(query([{ _id: 'store-1', name: 'Acme', slug: 'acme', cashbackPercentage: 7 }]));
+    });
+
+    it('tells users the rate of a saved store changed', async () => {
+      favoritesFor['store-1'] = [
+        { _id: 'fav-1', user: 'user-1', alerts: { cashbackPercentage: 5 } },
+        { _id: 'fav-2', user: 'user-2', alerts: { cashbackPercentage: 7 } }
+      ];
+
+      const { cashbackRates } = await runFavoriteAlerts({ now });
+
+      expect(cashbackRates).toEqual({ notified: 1, baselined: 0, failed: [] });
+      expect(notifyUser).toHaveBeenCalledWith('user-1', expect.objectContaining({
+        title: 'Acme cashback increased',
+        message: 'Acme now pays 7% cashback (was 5%).',
+        actionLink: '/stores/acme'
+      }));
+      expect(Favorite.updateOne).toHaveBeenCalledWith({ _id: 'fav-1' }, { $set: { 'alerts.cashbackPercentage': 7 } });
+    });
+
+    it('records the current rate of favorites that have none to compare with', async () => {
+      favoritesFor['store-1'] = [{ _id: 'fav-1', user: 'user-1', alerts: {} }];
+
+      const { cashbackRates } = await runFavoriteAlerts({ now });
+
+      expect(cashbackRates).toEqual({ notified: 0, baselined: 1, failed: [] });
+      expect(notifyUser).not.toHaveBeenCalled();
+      expect(Favorite.updateOne).toHaveBeenCalledWith({ _id: 'fav-1' }, { $set: { 'alerts.cashbackPercentage': 7 } });
+    });
+  });
+});
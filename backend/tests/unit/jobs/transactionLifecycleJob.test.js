@@ -0,0 +1,91 @@
+const Store = require('../../../../functions/models/Store');
+const Transaction = require('../../../../functions/models/Transaction');
+const { transitionTransaction } = require('../../../../functions/utils/ledgerUtils');
+const { expireStaleTransactions, confirmHeldCashback } = require('../../../../functions/jobs/transactionLifecycleJob');
+
+jest.mock('../../../../functions/utils/ledgerUtils', () => ({
+  transitionTransaction: jest.fn()
+}));
+jest.mock('../../../../functions/utils/referralUtils', () => ({
+  processPendingReferrals: jest.fn()
+}));
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Transaction lifecycle sweep', () => {
+  const now = new Date('2024-06-01T00:00:00Z');
+  let matched;
+
+  /**
+   * Make Transaction.find return some transactions, remembering the filter
+   */
+  const findTransactions = (transactions) => {
+    jest.spyOn(Transaction, 'find').mockImplementation((filter) => {
+      matched = filter;
+      const queue = [...transactions];
+      return { select: () => ({ cursor: () => ({ next: async () => queue.shift() || null }) }) };
+    });
+  };
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    transitionTransaction.mockReset();
+    transitionTransaction.mockImplementation(async (id) => ({ _id: id }));
+  });
+
+  it('rejects pending transactions that expired, with the reason', async () => {
+    const expired = new Transaction({ expiryDate: new Date(now.getTime() - DAY) });
+    const stale = new Transaction({ purchaseDate: new Date(now.getTime() - 400 * DAY) });
+    findTransactions([expired, stale]);
+
+    const summary = await expireStaleTransactions(now);
+
+    expect(summary).toEqual({ moved: 2, failed: [] });
+    expect(matched).toMatchObject({ status: 'pending', type: { $ne: 'withdrawal' } });
+    expect(transitionTransaction).toHaveBeenCalledWith(expired._id, 'rejected', expect.objectContaining({ note: 'Expired automatically' }));
+
+    // The reason is set inside the transition, once the transaction is known to still be pending
+    const [[, , { beforeSave }], [, , { beforeSave: beforeSaveStale }]] = transitionTransaction.mock.calls;
+    const doc = new Transaction({ status: 'pending' });
+    beforeSave(doc);
+    expect(doc.rejectionReason).toBe('Expired before the store confirmed the purchase');
+    beforeSaveStale(doc);
+    expect(doc.rejectionReason).toBe('Not confirmed within 365 days');
+  });
+
+  it('leaves transactions another process already moved', async () => {
+    const transaction = new Transaction({ expiryDate: new Date(now.getTime() - DAY) });
+    findTransactions([transaction]);
+    transitionTransaction.mockImplementation(async (id, status, { beforeSave }) => {
+      beforeSave(new Transaction({ status: 'confirmed' }));
+    });
+
+    const summary = await expireStaleTransactions(now);
+
+    expect(summary).toEqual({
+      moved: 0,
+      failed: [{ transaction: transaction._id, error: 'Transaction is no longer pending (confirmed)' }]
+    });
+  });
+
+  it('confirms cashback once the store\'s return window and hold period have passed', async () => {
+    const store = new Store({ name: 'Acme', returnWindowDays: 30, confirmationHoldDays: 14 });
+    jest.spyOn(Transaction, 'distinct').mockResolvedValue([store._id]);
+    jest.spyOn(Store, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([store]) });
+    const transaction = new Transaction({ store: store._id, purchaseDate: new Date(now.getTime() - 50 * DAY) });
+    findTransactions([transaction]);
+
+    const summary = await confirmHeldCashback(now);
+
+    expect(summary).toEqual({ moved: 1, failed: [] });
+    expect(matched).toEqual({
+      status: 'pending',
+      type: 'cashback',
+      store: store._id,
+      purchaseDate: { $lte: new Date(now.getTime() - 44 * DAY) }
+    });
+    expect(transitionTransaction).toHaveBeenCalledWith(transaction._id, 'confirmed', expect.objectContaining({
+      note: 'Confirmed automatically 44 days after purchase (Acme return window and hold period)'
+    }));
+  });
+});
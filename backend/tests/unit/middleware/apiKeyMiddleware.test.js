@@ -0,0 +1,151 @@
+process.env.CLOUD_RUNTIME_CONFIG = JSON.stringify({
+  secrets: { jwt_secret: 'test-jwt-secret', jwt_refresh_secret: 'test-refresh-secret' }
+});
+
+const ApiKey = require('../../../../functions/models/ApiKey');
+const User = require('../../../../functions/models/User');
+const { generateAccessToken } = require('../../../../functions/utils/jwtUtils');
+const { requireApiKey, requireApiKeyOrAdmin } = require('../../../../functions/middleware/apiKeyMiddleware');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Run a middleware and report whether it let the request through
+ */
+const run = async (middleware, headers) => {
+  const req = { headers, ip: '203.0.113.7', header: name => headers[name.toLowerCase()] };
+  const res = {
+    setHeader: jest.fn(),
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis()
+  };
+  const next = jest.fn();
+  await middleware(req, res, next);
+  // authMiddleware hands over to requireAdmin without awaiting it
+  await new Promise(resolve => setImmediate(resolve));
+  return { req, res, next, status: next.mock.calls.length > 0 ? 'next' : res.status.mock.calls[0][0] };
+};
+
+describe('API keys', () => {
+  let stored;
+
+  const issue = async (fields) => {
+    const { apiKey, key } = await ApiKey.issue({ name: 'Partner', ...fields });
+    stored = apiKey;
+    return key;
+  };
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    stored = null;
+    jest.spyOn(ApiKey, 'create').mockImplementation(async fields => new ApiKey(fields));
+    jest.spyOn(ApiKey, 'findOne').mockImplementation(async ({ keyId }) => (stored && stored.keyId === keyId ? stored : null));
+    jest.spyOn(ApiKey, 'recordUsage').mockResolvedValue({ allowed: true, remaining: 999, resetAt: new Date() });
+  });
+
+  describe('scopes', () => {
+    it('lets a key with the scope through without a user', async () => {
+      const key = await issue({ scopes: ['analytics'] });
+      const findUser = jest.spyOn(User, 'findById');
+
+      const { status, req } = await run(requireApiKeyOrAdmin(['analytics']), { 'x-api-key': key });
+
+      expect(status).toBe('next');
+      expect(req.apiKey).toMatchObject({ keyId: stored.keyId, scopes: ['analytics'] });
+      expect(findUser).not.toHaveBeenCalled();
+    });
+
+    it('refuses a key without the scope', async () => {
+      const key = await issue({ scopes: ['external'] });
+
+      const { status } = await run(requireApiKeyOrAdmin(['analytics']), { 'x-api-key': key });
+
+      expect(status).toBe(403);
+    });
+
+    it('lets an admin key call every scope', async () => {
+      const key = await issue({ scopes: ['admin'] });
+
+      for (const scope of ['analytics', 'monitoring', 'cache', 'external']) {
+        expect((await run(requireApiKey([scope]), { 'x-api-key': key })).status).toBe('next');
+      }
+    });
+
+    it('refuses revoked, expired and unknown keys', async () => {
+      const key = await issue({ scopes: ['analytics'], expiresAt: new Date(Date.now() - 1000) });
+      expect((await run(requireApiKey(['analytics']), { 'x-api-key': key })).status).toBe(401);
+
+      stored.expiresAt = undefined;
+      stored.revokedAt = new Date();
+      expect((await run(requireApiKey(['analytics']), { 'x-api-key': key })).status).toBe(401);
+
+      const other = key.replace(/.$/, character => (character === '0' ? '1' : '0'));
+      stored.revokedAt = undefined;
+      expect((await run(requireApiKey(['analytics']), { 'x-api-key': other })).status).toBe(401);
+    });
+
+    it('refuses to go over the hourly limit', async () => {
+      const key = await issue({ scopes: ['analytics'] });
+      ApiKey.recordUsage.mockResolvedValue({ allowed: false, remaining: 0, resetAt: new Date(Date.now() + HOUR) });
+
+      const { status, res } = await run(requireApiKey(['analytics']), { 'x-api-key': key });
+
+      expect(status).toBe(429);
+      expect(res.setHeader).toHaveBeenCalledWith('Retry-After', expect.any(String));
+    });
+  });
+
+  describe('admin sign-in instead of a key', () => {
+    const signIn = (user) => {
+      jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+      jest.spyOn(User, 'findByIdAndUpdate').mockReturnValue({ exec: jest.fn() });
+      return { authorization: `Bearer ${generateAccessToken(user)}` };
+    };
+
+    it('lets an admin through', async () => {
+      const headers = signIn(new User({ email: 'admin@example.com', password: 'hashed', role: 'admin' }));
+
+      expect((await run(requireApiKeyOrAdmin(['analytics']), headers)).status).toBe('next');
+    });
+
+    it('refuses other users and anonymous requests', async () => {
+      const headers = signIn(new User({ email: 'shopper@example.com', password: 'hashed' }));
+
+      expect((await run(requireApiKeyOrAdmin(['analytics']), headers)).status).toBe(403);
+      expect((await run(requireApiKeyOrAdmin(['analytics']), {})).status).toBe(401);
+    });
+  });
+
+  describe('rotation', () => {
+    it('accepts the old key only during the grace period', async () => {
+      const oldKey = await issue({ scopes: ['external'] });
+      const now = new Date();
+      const newKey = stored.rotate(HOUR, now);
+
+      expect(newKey).not.toBe(oldKey);
+      expect(ApiKey.parseKeyId(newKey)).toBe(stored.keyId);
+      expect(stored.matchesKey(newKey, now)).toBe(true);
+      expect(stored.matchesKey(oldKey, new Date(now.getTime() + HOUR - 1))).toBe(true);
+      expect(stored.matchesKey(oldKey, new Date(now.getTime() + HOUR))).toBe(false);
+    });
+
+    it('drops the first key when the key is rotated again', async () => {
+      const firstKey = await issue({ scopes: ['external'] });
+      const secondKey = stored.rotate(HOUR);
+      const thirdKey = stored.rotate(HOUR);
+
+      expect(stored.matchesKey(firstKey)).toBe(false);
+      expect(stored.matchesKey(secondKey)).toBe(true);
+      expect(stored.matchesKey(thirdKey)).toBe(true);
+    });
+
+    it('stores only hashes of the key', async () => {
+      const key = await issue({ scopes: ['external'] });
+      const json = JSON.stringify(stored.toJSON());
+
+      expect(stored.keyHash).toBe(ApiKey.hashKey(key));
+      expect(json).not.toContain(key);
+      expect(json).not.toContain(stored.keyHash);
+    });
+  });
+});
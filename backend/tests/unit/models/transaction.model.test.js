@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const Transaction = require('../../../../functions/models/Transaction');
+
+const fields = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  user: new mongoose.Types.ObjectId(),
+  store: new mongoose.Types.ObjectId(),
+  amount: 80,
+  cashbackPercentage: 5,
+  cashbackAmount: 4
+});
+
+describe('Transaction status transitions', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it.each([
+    ['pending', ['confirmed', 'rejected']],
+    ['confirmed', ['paid', 'rejected']],
+    ['rejected', []],
+    ['paid', []]
+  ])('lets a %s transaction move to %j only', (status, allowed) => {
+    const transaction = new Transaction({ ...fields(), status });
+
+    ['pending', 'confirmed', 'rejected', 'paid'].forEach((target) => {
+      expect(transaction.canTransitionTo(target)).toBe(allowed.includes(target));
+    });
+  });
+
+  it('records the change, its author and the confirmation date', async () => {
+    jest.spyOn(Transaction.prototype, 'save').mockImplementation(async function() { return this; });
+    const transaction = new Transaction(fields());
+    const admin = new mongoose.Types.ObjectId();
+
+    await transaction.updateStatus('confirmed', 'Store confirmed the order', admin);
+
+    expect(transaction.status).toBe('confirmed');
+    expect(transaction.confirmationDate).toBeInstanceOf(Date);
+    expect(transaction.statusHistory[transaction.statusHistory.length - 1]).toMatchObject({
+      status: 'confirmed',
+      note: 'Store confirmed the order',
+      updatedBy: admin
+    });
+  });
+
+  it('refuses to re-open a final transaction', async () => {
+    const transaction = new Transaction({ ...fields(), status: 'paid' });
+
+    await expect(transaction.updateStatus('pending')).rejects.toThrow('Invalid status transition: paid -> pending');
+    await expect(transaction.updateStatus('refunded')).rejects.toThrow('Invalid status');
+  });
+
+  it('refuses a saved status write that skips the lifecycle', async () => {
+    // Loaded from the database, then changed directly instead of through updateStatus
+    const transaction = Transaction.hydrate({ ...fields(), status: 'rejected' });
+    transaction.status = 'confirmed';
+
+    await expect(transaction.save()).rejects.toThrow('Invalid status transition: rejected -> confirmed');
+  });
+});
@@ -0,0 +1,125 @@
+const Coupon = require('../../../../functions/models/Coupon');
+const User = require('../../../../functions/models/User');
+const Transaction = require('../../../../functions/models/Transaction');
+const { checkCouponEligibility } = require('../../../../functions/utils/couponEligibilityUtils');
+
+const USER_ID = '64b000000000000000000001';
+const now = new Date('2026-10-19T12:00:00Z');
+
+/**
+ * Build a live coupon with some eligibility rules
+ */
+const couponWith = (eligibility = {}, fields = {}) => new Coupon({
+  code: 'SAVE10',
+  title: 'Save 10%',
+  discount: 10,
+  store: '64b000000000000000000005',
+  startDate: new Date('2026-10-01'),
+  expiryDate: new Date('2026-11-01'),
+  eligibility,
+  ...fields
+});
+
+/**
+ * Make a query ending in .select() or .select().lean() resolve to a value
+ */
+const query = (value) => {
+  const chain = {
+    select: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+describe('Coupon eligibility', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validateForUse', () => {
+    it('accepts a live coupon without rules', () => {
+      expect(couponWith().validateForUse({ currentDate: now })).toEqual({ isValid: true, reason: null, message: 'Coupon is valid' });
+    });
+
+    it('refuses inactive, scheduled, expired and used-up coupons', () => {
+      expect(couponWith({}, { isActive: false }).validateForUse({ currentDate: now }).reason).toBe('inactive');
+      expect(couponWith({}, { startDate: new Date('2026-10-20') }).validateForUse({ currentDate: now }).reason).toBe('not_started');
+      expect(couponWith({}, { expiryDate: new Date('2026-10-18') }).validateForUse({ currentDate: now }).reason).toBe('expired');
+      expect(couponWith({}, { usageLimit: 5, usageCount: 5 }).validateForUse({ currentDate: now }).reason).toBe('usage_limit');
+    });
+
+    it('applies the minimum spend only when the order total is known', () => {
+      const coupon = couponWith({ minimumSpend: 50 });
+
+      expect(coupon.validateForUse({ currentDate: now, orderAmount: 49.99 })).toEqual({
+        isValid: false,
+        reason: 'minimum_spend',
+        message: 'This coupon needs a minimum spend of 50'
+      });
+      expect(coupon.validateForUse({ currentDate: now, orderAmount: 50 }).isValid).toBe(true);
+      expect(coupon.validateForUse({ currentDate: now }).isValid).toBe(true);
+    });
+
+    it('refuses to combine non-stackable and excluded coupons, from either side', () => {
+      const coupon = couponWith();
+      const loner = couponWith({ stackable: false }, { code: 'LONER' });
+      const rival = couponWith({ excludedCoupons: [coupon._id] }, { code: 'RIVAL' });
+      const friend = couponWith({}, { code: 'FRIEND' });
+
+      expect(coupon.validateForUse({ currentDate: now, combinedWith: [friend, coupon] }).isValid).toBe(true);
+      expect(coupon.validateForUse({ currentDate: now, combinedWith: [loner] }).message).toBe('This coupon cannot be combined with LONER');
+      expect(coupon.validateForUse({ currentDate: now, combinedWith: [rival] }).message).toBe('This coupon cannot be combined with RIVAL');
+      expect(loner.validateForUse({ currentDate: now, combinedWith: [friend] }).message).toBe('This coupon cannot be combined with other coupons');
+    });
+  });
+
+  describe('checkCouponEligibility', () => {
+    it('counts earlier purchases at the store, except rejected ones, against new-customer coupons', async () => {
+      const coupon = couponWith({ newCustomersOnly: true });
+      jest.spyOn(Transaction, 'exists').mockResolvedValue({ _id: 'purchase' });
+
+      expect(await checkCouponEligibility(coupon, { userId: USER_ID, now })).toMatchObject({ isValid: false, reason: 'new_customers_only' });
+      expect(Transaction.exists).toHaveBeenCalledWith({ user: USER_ID, store: coupon.store, status: { $ne: 'rejected' } });
+
+      Transaction.exists.mockResolvedValue(null);
+      expect((await checkCouponEligibility(coupon, { userId: USER_ID, now })).isValid).toBe(true);
+    });
+
+    it('limits tier-exclusive coupons to members of those tiers', async () => {
+      const coupon = couponWith({ loyaltyTiers: ['Gold', 'Platinum'] });
+      jest.spyOn(User, 'findById').mockReturnValue(query({ loyalty: { tier: 'Silver' } }));
+
+      expect(await checkCouponEligibility(coupon, { userId: USER_ID, now })).toEqual({
+        isValid: false,
+        reason: 'loyalty_tier',
+        message: 'This coupon is exclusive to Gold and Platinum members'
+      });
+
+      User.findById.mockReturnValue(query({ loyalty: { tier: 'Gold' } }));
+      expect((await checkCouponEligibility(coupon, { userId: USER_ID, now })).isValid).toBe(true);
+    });
+
+    it('skips the user checks for anonymous visitors', async () => {
+      jest.spyOn(Transaction, 'exists');
+      jest.spyOn(User, 'findById');
+
+      const result = await checkCouponEligibility(couponWith({ newCustomersOnly: true, loyaltyTiers: ['Gold'] }), { now });
+
+      expect(result.isValid).toBe(true);
+      expect(Transaction.exists).not.toHaveBeenCalled();
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    it('loads the other coupons on the order, ignoring invalid IDs and the coupon itself', async () => {
+      const coupon = couponWith();
+      const loner = couponWith({ stackable: false }, { code: 'LONER' });
+      jest.spyOn(Coupon, 'find').mockReturnValue(query([loner]));
+
+      const result = await checkCouponEligibility(coupon, { couponIds: [String(coupon._id), 'nope', String(loner._id)], now });
+
+      expect(result).toMatchObject({ isValid: false, reason: 'not_combinable' });
+      expect(Coupon.find).toHaveBeenCalledWith({ _id: { $in: [String(loner._id)] } });
+    });
+  });
+});
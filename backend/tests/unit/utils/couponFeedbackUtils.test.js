@@ -0,0 +1,95 @@
+const {
+  getFeedbackSettings,
+  computeSuccessRate,
+  getFlagReason
+} = require('../../../../functions/utils/couponFeedbackUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-10-19T12:00:00Z');
+
+/**
+ * Build a report made some days before now
+ */
+const report = (outcome, daysAgo = 0, user = 'user') => ({
+  outcome,
+  reportedAt: new Date(now.getTime() - daysAgo * DAY_MS),
+  user
+});
+
+const times = (count, build) => Array.from({ length: count }, build);
+
+describe('Coupon feedback', () => {
+  const settings = getFeedbackSettings();
+
+  it('uses the default settings when none are configured', () => {
+    expect(settings).toEqual({
+      halfLifeDays: 14,
+      anonymousWeight: 0.5,
+      priorWeight: 2,
+      flagWindowDays: 7,
+      flagMinReports: 5,
+      flagThreshold: 40
+    });
+  });
+
+  describe('computeSuccessRate', () => {
+    it('starts new coupons at 100% and keeps one failure from sinking them', () => {
+      expect(computeSuccessRate([], settings, now)).toBe(100);
+      expect(computeSuccessRate([report('failed')], settings, now)).toBe(66.7);
+      expect(computeSuccessRate([], { ...settings, priorWeight: 0 }, now)).toBe(100);
+    });
+
+    it('halves the weight of a report every half-life', () => {
+      expect(computeSuccessRate([report('failed', 14)], settings, now)).toBe(80);
+    });
+
+    it('counts anonymous reports for less', () => {
+      expect(computeSuccessRate([report('failed', 0, null)], settings, now)).toBe(80);
+    });
+
+    it('lets recent failures outweigh older successes', () => {
+      const reports = [
+        ...times(3, () => report('worked', 28)),
+        ...times(3, () => report('failed'))
+      ];
+
+      expect(computeSuccessRate(reports, settings, now)).toBe(47.8);
+    });
+
+    it('treats reports dated in the future as made now', () => {
+      expect(computeSuccessRate([report('failed', -3)], settings, now)).toBe(66.7);
+    });
+  });
+
+  describe('getFlagReason', () => {
+    const coupon = { review: {} };
+
+    it('flags a coupon when most recent reports say it failed', () => {
+      const reports = [report('worked', 1), ...times(4, () => report('failed', 2))];
+
+      expect(getFlagReason(coupon, reports, settings, now))
+        .toBe('4 of 5 reports in the last 7 days say the code failed');
+    });
+
+    it('waits for enough recent reports', () => {
+      const reports = [...times(4, () => report('failed', 1)), report('failed', 10)];
+
+      expect(getFlagReason(coupon, reports, settings, now)).toBeNull();
+    });
+
+    it('does not flag a coupon at the threshold', () => {
+      const reports = [...times(2, () => report('worked', 1)), ...times(3, () => report('failed', 1))];
+
+      expect(getFlagReason(coupon, reports, settings, now)).toBeNull();
+    });
+
+    it('ignores the reports that raised a flag an admin cleared', () => {
+      const cleared = { review: { clearedAt: new Date(now.getTime() - DAY_MS) } };
+      const reports = times(5, () => report('failed', 2));
+
+      expect(getFlagReason(cleared, reports, settings, now)).toBeNull();
+      expect(getFlagReason(cleared, [...reports, ...times(5, () => report('failed'))], settings, now))
+        .toBe('5 of 5 reports in the last 7 days say the code failed');
+    });
+  });
+});
@@ -0,0 +1,23 @@
+const { toCsvCell, toCsv } = require('../../../../functions/utils/csvUtils');
+
+describe('CSV export', () => {
+  it('quotes cells with separators, quotes and line breaks', () => {
+    expect(toCsvCell('a,b')).toBe('"a,b"');
+    expect(toCsvCell('say "hi"')).toBe('"say ""hi"""');
+    expect(toCsvCell('line\nbreak')).toBe('"line\nbreak"');
+  });
+
+  it('prefixes text a spreadsheet would run as a formula', () => {
+    expect(toCsvCell('=HYPERLINK("http://evil.example")')).toBe('"\'=HYPERLINK(""http://evil.example"")"');
+    expect(toCsvCell('+1+2')).toBe("'+1+2");
+    expect(toCsvCell('-2+3')).toBe("'-2+3");
+    expect(toCsvCell('@SUM(A1)')).toBe("'@SUM(A1)");
+  });
+
+  it('leaves numbers, dates and plain text as they are', () => {
+    expect(toCsvCell(-12.5)).toBe('-12.5');
+    expect(toCsvCell(new Date('2024-01-02T00:00:00.000Z'))).toBe('2024-01-02T00:00:00.000Z');
+    expect(toCsvCell('Acme')).toBe('Acme');
+    expect(toCsv(['name', 'note'], [{ name: 'Acme', note: '=1+1' }])).toBe("name,note\nAcme,'=1+1");
+  });
+});
@@ -0,0 +1,173 @@
+const ExchangeRate = require('../../../../functions/models/ExchangeRate');
+const User = require('../../../../functions/models/User');
+const {
+  roundCurrency,
+  formatMoney,
+  getRate,
+  createConverter,
+  getDisplayCurrency,
+  rebaseRates,
+  parseRatesFile,
+  importRates
+} = require('../../../../functions/utils/currencyUtils');
+
+/**
+ * Make ExchangeRate.findOne(...).sort(...) resolve to the given rates in turn
+ */
+const storedRates = (...rates) => {
+  const spy = jest.spyOn(ExchangeRate, 'findOne');
+  rates.forEach((rate) => {
+    const chain = { sort: () => chain, then: (resolve, reject) => Promise.resolve(rate).then(resolve, reject) };
+    spy.mockReturnValueOnce(chain);
+  });
+};
+
+describe('Currency', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('conversion', () => {
+    it('rounds to the minor unit of each currency', () => {
+      expect(roundCurrency(10.005, 'EUR')).toBe(10.01);
+      expect(roundCurrency(1234.5, 'JPY')).toBe(1235);
+      expect(formatMoney(1234.5, 'JPY')).toBe('¥1,235');
+      expect(formatMoney(5)).toBe('$5.00');
+    });
+
+    it('converts base amounts with the current rates and falls back to the base currency', async () => {
+      jest.spyOn(ExchangeRate, 'aggregate').mockResolvedValue([
+        { _id: 'EUR', rate: 0.92, effectiveAt: new Date('2026-10-01') },
+        { _id: 'JPY', rate: 149.3, effectiveAt: new Date('2026-10-02') }
+      ]);
+
+      const euro = await createConverter('EUR');
+      expect(euro.currency).toBe('EUR');
+      expect(euro.convert(10)).toBe(9.2);
+
+      expect((await createConverter('JPY')).convert(10)).toBe(1493);
+
+      const fallback = await createConverter('GBP');
+      expect(fallback).toMatchObject({ currency: 'USD', rate: 1 });
+      expect(fallback.convert(10)).toBe(10);
+
+      // Current rates are cached between requests
+      expect(ExchangeRate.aggregate).toHaveBeenCalledTimes(1);
+    });
+
+    it('uses the rate in effect at a date, or the first stored rate for earlier dates', async () => {
+      expect(await getRate('USD')).toBe(1);
+
+      storedRates({ rate: 0.9 });
+      expect(await getRate('EUR', new Date('2026-01-01'))).toBe(0.9);
+
+      storedRates(null, { rate: 0.95 });
+      expect(await getRate('EUR', new Date('2001-01-01'))).toBe(0.95);
+
+      storedRates(null, null);
+      await expect(getRate('EUR')).rejects.toMatchObject({ statusCode: 422 });
+      await expect(getRate('XYZ')).rejects.toMatchObject({ statusCode: 422, message: 'Unsupported currency: XYZ' });
+    });
+
+    it('shows a currency asked for on the request before the user\'s preference', async () => {
+      const chain = { select: () => chain, then: (resolve, reject) => Promise.resolve({ preferences: { currency: 'GBP' } }).then(resolve, reject) };
+      jest.spyOn(User, 'findById').mockReturnValue(chain);
+
+      expect(await getDisplayCurrency('user', 'eur')).toBe('EUR');
+      expect(await getDisplayCurrency('user', 'XYZ')).toBe('GBP');
+      expect(await getDisplayCurrency('user')).toBe('GBP');
+    });
+  });
+
+  describe('rebaseRates', () => {
+    it('drops the base currency from rates already quoted against it', () => {
+      expect(rebaseRates([{ currency: 'USD', rate: 1 }, { currency: 'EUR', rate: 0.9 }], 'USD'))
+        .toEqual([{ currency: 'EUR', rate: 0.9 }]);
+    });
+
+    it('re-expresses rates quoted against another currency', () => {
+      const effectiveAt = new Date('2026-10-01');
+      const rebased = rebaseRates([
+        { currency: 'USD', rate: 1.25, effectiveAt },
+        { currency: 'GBP', rate: 1, effectiveAt },
+        { currency: 'JPY', rate: 200, effectiveAt }
+      ], 'EUR');
+
+      expect(rebased).toEqual([
+        { currency: 'GBP', rate: 0.8, effectiveAt },
+        { currency: 'JPY', rate: 160, effectiveAt },
+        { currency: 'EUR', rate: 0.8, effectiveAt }
+      ]);
+    });
+
+    it('needs the base currency among rates quoted against another', () => {
+      expect(() => rebaseRates([{ currency: 'GBP', rate: 0.85 }], 'EUR'))
+        .toThrow('Rates quoted against EUR must include USD');
+    });
+  });
+
+  describe('parseRatesFile', () => {
+    it('reads a JSON rates object or list', () => {
+      expect(parseRatesFile('{"base":"EUR","effectiveAt":"2026-10-01","rates":{"USD":1.08,"GBP":0.86}}', 'json')).toEqual({
+        base: 'EUR',
+        effectiveAt: '2026-10-01',
+        entries: [{ currency: 'USD', rate: 1.08 }, { currency: 'GBP', rate: 0.86 }]
+      });
+      expect(parseRatesFile('[{"currency":"EUR","rate":0.92}]', 'json')).toEqual({
+        base: 'USD',
+        entries: [{ currency: 'EUR', rate: 0.92 }]
+      });
+    });
+
+    it('reads a CSV file with its columns in any order', () => {
+      const csv = 'date, rate, currency\r\n2026-10-01,0.92,EUR\n\n,149.3,JPY\n';
+
+      expect(parseRatesFile(csv, 'csv')).toEqual({
+        base: 'USD',
+        entries: [
+          { currency: 'EUR', rate: '0.92', effectiveAt: '2026-10-01' },
+          { currency: 'JPY', rate: '149.3', effectiveAt: undefined }
+        ]
+      });
+    });
+
+    it('rejects malformed files', () => {
+      expect(() => parseRatesFile('{nope', 'json')).toThrow(/not valid JSON/);
+      expect(() => parseRatesFile('{"EUR":0.92}', 'json')).toThrow('Rates file must contain a "rates" object or be a list of rates');
+      expect(() => parseRatesFile('code,value\nEUR,0.92', 'csv')).toThrow('Rates CSV needs a header row with currency and rate columns');
+      expect(() => parseRatesFile('', 'xml')).toThrow('Unsupported rates file format: xml');
+    });
+  });
+
+  describe('importRates', () => {
+    it('stores rebased rates, replacing a rate imported for the same time', async () => {
+      jest.spyOn(ExchangeRate, 'bulkWrite').mockResolvedValue({});
+      const effectiveAt = '2026-10-01T00:00:00Z';
+
+      const result = await importRates([
+        { currency: 'usd', rate: '1.25' },
+        { currency: 'GBP', rate: '1' }
+      ], { base: 'eur', effectiveAt, source: 'file' });
+
+      expect(result).toEqual({ imported: 2, currencies: ['GBP', 'EUR'] });
+      expect(ExchangeRate.bulkWrite).toHaveBeenCalledWith([
+        { updateOne: { filter: { currency: 'GBP', effectiveAt: new Date(effectiveAt) }, update: { $set: { rate: 0.8, source: 'file', importedBy: undefined } }, upsert: true } },
+        { updateOne: { filter: { currency: 'EUR', effectiveAt: new Date(effectiveAt) }, update: { $set: { rate: 0.8, source: 'file', importedBy: undefined } }, upsert: true } }
+      ]);
+    });
+
+    it('reports every invalid row without storing any', async () => {
+      jest.spyOn(ExchangeRate, 'bulkWrite');
+
+      await expect(importRates([
+        { currency: 'XYZ', rate: '1' },
+        { currency: 'EUR', rate: '-1' },
+        { currency: 'GBP', rate: '0.8', effectiveAt: 'someday' }
+      ])).rejects.toMatchObject({
+        statusCode: 422,
+        message: 'Invalid rates: Row 1: unsupported currency "XYZ"; Row 2: rate must be a positive number; Row 3: invalid effective date'
+      });
+      expect(ExchangeRate.bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+});
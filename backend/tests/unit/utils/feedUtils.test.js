@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dropDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feeds-'));
+process.env.CLOUD_RUNTIME_CONFIG = JSON.stringify({ feeds: { drop_dir: dropDir } });
+
+const Cashback = require('../../../../functions/models/Cashback');
+const Coupon = require('../../../../functions/models/Coupon');
+const Store = require('../../../../functions/models/Store');
+const FeedRun = require('../../../../functions/models/FeedRun');
+const { listPendingFeeds, ingestFeedFile } = require('../../../../functions/utils/feedUtils');
+
+jest.mock('../../../../functions/utils/cache', () => ({ clear: jest.fn() }));
+
+describe('Feed ingestion', () => {
+  let store, saved;
+
+  const dropFeed = async (offerIds) => {
+    fs.mkdirSync(path.join(dropDir, 'acme'), { recursive: true });
+    const rows = offerIds.map(id => `${id},M1,Acme,${id} cashback,5`);
+    fs.writeFileSync(path.join(dropDir, 'acme', 'offers.csv'),
+      ['offer_id,merchant_id,merchant_name,title,cashback_rate', ...rows].join('\n'));
+    const [feed] = await listPendingFeeds('acme');
+    return ingestFeedFile(feed, { now: new Date('2024-06-01T00:00:00Z') });
+  };
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    store = new Store({ name: 'Acme', affiliateMerchants: [{ network: 'acme', merchantId: 'M1' }] });
+    saved = [];
+
+    jest.spyOn(Store, 'findOne').mockResolvedValue(store);
+    jest.spyOn(Store.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(FeedRun.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Cashback.prototype, 'save').mockImplementation(async function() {
+      saved.push(this);
+      return this;
+    });
+    jest.spyOn(Cashback, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Coupon, 'countDocuments').mockResolvedValue(0);
+  });
+
+  afterAll(() => fs.rmSync(dropDir, { recursive: true, force: true }));
+
+  it('creates new offers active', async () => {
+    jest.spyOn(Cashback, 'findOne').mockResolvedValue(null);
+
+    const run = await dropFeed(['A1']);
+
+    expect(run.status).toBe('completed');
+    expect(run.cashbacks.created).toBe(1);
+    expect(saved[0].isActive).toBe(true);
+  });
+
+  it('keeps an offer an admin deactivated inactive', async () => {
+    // Loaded from the database, not new
+    const cashback = Cashback.hydrate({
+      _id: new Cashback()._id,
+      title: 'A1 cashback', amount: 5, store: store._id, isActive: false,
+      feedSource: { network: 'acme', offerId: 'A1' }
+    });
+    jest.spyOn(Cashback, 'findOne').mockResolvedValue(cashback);
+
+    await dropFeed(['A1']);
+
+    expect(saved[0]).toBe(cashback);
+    expect(cashback.isActive).toBe(false);
+  });
+
+  it('reactivates an offer the feed retired when it comes back', async () => {
+    const cashback = Cashback.hydrate({
+      _id: new Cashback()._id,
+      title: 'A1 cashback', amount: 5, store: store._id, isActive: false,
+      feedSource: { network: 'acme', offerId: 'A1', retiredAt: new Date('2024-05-01T00:00:00Z') }
+    });
+    jest.spyOn(Cashback, 'findOne').mockResolvedValue(cashback);
+
+    await dropFeed(['A1']);
+
+    expect(cashback.isActive).toBe(true);
+    expect(cashback.feedSource.retiredAt).toBeUndefined();
+  });
+
+  it('refuses to list feeds without a configured drop directory', async () => {
+    process.env.CLOUD_RUNTIME_CONFIG = JSON.stringify({});
+    let feedUtils;
+    jest.isolateModules(() => {
+      feedUtils = require('../../../../functions/utils/feedUtils');
+    });
+
+    expect(feedUtils.getFeedSettings().dropDir).toBeNull();
+    await expect(feedUtils.listPendingFeeds()).rejects.toMatchObject({ statusCode: 503 });
+  });
+});
@@ -0,0 +1,201 @@
+const LedgerEntry = require('../../../../functions/models/LedgerEntry');
+const Transaction = require('../../../../functions/models/Transaction');
+const User = require('../../../../functions/models/User');
+const {
+  recordTransaction,
+  transitionTransaction,
+  reconcileBalances
+} = require('../../../../functions/utils/ledgerUtils');
+
+jest.mock('../../../../functions/utils/notificationUtils', () => ({
+  notifyTransactionStatus: jest.fn()
+}));
+
+// The functions' own mongoose, whose sessions ledgerUtils starts
+const mongoose = LedgerEntry.base;
+
+/**
+ * Evaluate the ledger aggregations ledgerUtils runs against the in-memory entries
+ */
+const aggregate = (entries, pipeline) => {
+  const { $match } = pipeline[0];
+  const key = pipeline[1].$group._id.slice(1);
+  const groups = new Map();
+
+  entries
+    .filter(entry => !$match.user || String(entry.user) === String($match.user))
+    .forEach((entry) => {
+      const group = groups.get(entry[key]) || { _id: entry[key], total: 0, entries: 0 };
+      group.total += entry.amount;
+      group.entries += 1;
+      groups.set(entry[key], group);
+    });
+
+  const results = [...groups.values()];
+  // Journals are only reported when unbalanced
+  return key === 'journalId' ? results.filter(group => Math.abs(group.total) >= 0.01) : results;
+};
+
+describe('Ledger', () => {
+  let entries, transactions, user;
+
+  const journals = () => entries.reduce((map, entry) => {
+    map[entry.journalId] = (map[entry.journalId] || []).concat(entry);
+    return map;
+  }, {});
+
+  const earn = (fields = {}) => recordTransaction({
+    user: user._id,
+    store: new mongoose.Types.ObjectId(),
+    amount: 80,
+    cashbackPercentage: 5,
+    cashbackAmount: 4,
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    entries = [];
+    transactions = new Map();
+    user = new User({ email: 'shopper@example.com', password: 'hashed' });
+
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: async fn => fn(),
+      endSession: async () => {}
+    });
+    jest.spyOn(Transaction, 'create').mockImplementation(async ([data]) => {
+      const transaction = new Transaction(data);
+      transactions.set(String(transaction._id), transaction);
+      return [transaction];
+    });
+    jest.spyOn(Transaction, 'findById').mockImplementation(id => ({
+      session: async () => transactions.get(String(id)) || null
+    }));
+    jest.spyOn(Transaction.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(LedgerEntry, 'insertMany').mockImplementation(async (docs) => {
+      entries.push(...docs);
+      return docs;
+    });
+    jest.spyOn(LedgerEntry, 'aggregate').mockImplementation((pipeline) => {
+      const result = Promise.resolve(aggregate(entries, pipeline));
+      result.session = () => result;
+      return result;
+    });
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, { $set }) => {
+      user.set($set);
+      return { modifiedCount: 1 };
+    });
+  });
+
+  describe('posting', () => {
+    it('opens new cashback in the pending account', async () => {
+      await earn();
+
+      expect(entries).toEqual([
+        expect.objectContaining({ account: 'earnings', amount: -4, event: 'created:pending' }),
+        expect.objectContaining({ account: 'pending', amount: 4, event: 'created:pending' })
+      ]);
+      expect(user.toObject()).toMatchObject({ pendingBalance: 4, balance: 0, totalEarned: 0 });
+    });
+
+    it('moves the amount with each status change, in journals that balance', async () => {
+      const transaction = await earn();
+
+      await transitionTransaction(transaction._id, 'confirmed');
+      expect(user.toObject()).toMatchObject({ pendingBalance: 0, balance: 4, totalEarned: 4, totalRedeemed: 0 });
+
+      await transitionTransaction(transaction._id, 'paid');
+      expect(user.toObject()).toMatchObject({ pendingBalance: 0, balance: 0, totalEarned: 4, totalRedeemed: 4 });
+
+      const all = Object.values(journals());
+      expect(all).toHaveLength(3);
+      all.forEach((journal) => {
+        expect(journal).toHaveLength(2);
+        expect(journal[0].amount + journal[1].amount).toBe(0);
+      });
+    });
+
+    it('releases rejected cashback', async () => {
+      const transaction = await earn();
+
+      await transitionTransaction(transaction._id, 'rejected');
+
+      expect(user.toObject()).toMatchObject({ pendingBalance: 0, balance: 0, totalEarned: 0 });
+    });
+
+    it('holds a withdrawal out of the available balance until it is paid or rejected', async () => {
+      const cashback = await earn({ amount: 200, cashbackAmount: 10 });
+      await transitionTransaction(cashback._id, 'confirmed');
+
+      const withdrawal = await recordTransaction({ user: user._id, type: 'withdrawal', amount: 6, cashbackPercentage: 100, cashbackAmount: 6 });
+      expect(user.toObject()).toMatchObject({ balance: 4, totalEarned: 10 });
+
+      await transitionTransaction(withdrawal._id, 'rejected');
+      expect(user.toObject()).toMatchObject({ balance: 10, totalEarned: 10, totalRedeemed: 0 });
+    });
+
+    it('posts in the base currency at the rate locked when recorded', async () => {
+      await earn({ currency: 'EUR', exchangeRate: 0.9, cashbackAmount: 9 });
+
+      expect(entries[1]).toMatchObject({ account: 'pending', amount: 10 });
+    });
+
+    it('refuses a status change the lifecycle does not allow, posting nothing', async () => {
+      const transaction = await earn();
+      await transitionTransaction(transaction._id, 'rejected');
+      const posted = entries.length;
+
+      await expect(transitionTransaction(transaction._id, 'confirmed')).rejects.toMatchObject({ statusCode: 400 });
+      expect(entries).toHaveLength(posted);
+    });
+  });
+
+  describe('reconciliation', () => {
+    beforeEach(() => {
+      jest.spyOn(User, 'find').mockImplementation(() => ({
+        select: () => ({
+          cursor: () => {
+            let done = false;
+            return { next: async () => (done ? null : ((done = true), user)) };
+          }
+        })
+      }));
+    });
+
+    it('finds nothing when balances match the ledger', async () => {
+      const transaction = await earn();
+      await transitionTransaction(transaction._id, 'confirmed');
+
+      const report = await reconcileBalances();
+
+      expect(report.drift).toEqual([]);
+      expect(report.unbalancedJournals).toEqual([]);
+    });
+
+    it('reports drifting balances and fixes them from the ledger', async () => {
+      const transaction = await earn();
+      await transitionTransaction(transaction._id, 'confirmed');
+      user.balance = 50;
+
+      const report = await reconcileBalances();
+      expect(report.drift).toEqual([{
+        user: user._id,
+        email: user.email,
+        differences: [{ field: 'balance', stored: 50, ledger: 4 }]
+      }]);
+      expect(user.balance).toBe(50);
+
+      await reconcileBalances({ fix: true });
+      expect(user.balance).toBe(4);
+    });
+
+    it('reports journals that do not balance', async () => {
+      await earn();
+      entries.push({ journalId: 'broken', user: user._id, account: 'available', amount: 5 });
+
+      const report = await reconcileBalances();
+
+      expect(report.unbalancedJournals).toEqual([{ journalId: 'broken', total: 5, entries: 1 }]);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const LoyaltyPointEntry = require('../../../../functions/models/LoyaltyPointEntry');
+const LoyaltySettings = require('../../../../functions/models/LoyaltySettings');
+const Transaction = require('../../../../functions/models/Transaction');
+const User = require('../../../../functions/models/User');
+const { notifyUser } = require('../../../../functions/utils/notificationUtils');
+const {
+  DEFAULT_SETTINGS,
+  getEffectiveCashbackPercentage,
+  syncTransactionPoints,
+  recalculateUserLoyalty
+} = require('../../../../functions/utils/loyaltyUtils');
+
+jest.mock('../../../../functions/utils/ledgerUtils', () => ({
+  onTransactionCommitted: jest.fn(),
+  toBaseAmount: transaction => transaction.cashbackAmount / (transaction.exchangeRate || 1)
+}));
+jest.mock('../../../../functions/utils/notificationUtils', () => ({
+  notifyUser: jest.fn().mockResolvedValue(null)
+}));
+
+const USER_ID = '64b000000000000000000001';
+
+/**
+ * Make User.findById(...).select(...) resolve to a user with some loyalty fields
+ */
+const storedUser = (loyalty) => {
+  const user = loyalty === null ? null : { _id: USER_ID, loyalty };
+  const chain = { select: () => chain, then: (resolve, reject) => Promise.resolve(user).then(resolve, reject) };
+  jest.spyOn(User, 'findById').mockReturnValue(chain);
+};
+
+describe('Loyalty', () => {
+  let settings;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    notifyUser.mockClear();
+
+    settings = { key: 'default', ...DEFAULT_SETTINGS };
+    jest.spyOn(LoyaltySettings, 'findOne').mockImplementation(async () => settings);
+  });
+
+  describe('tier cashback bonus', () => {
+    it('adds the bonus of the tier the user\'s qualifying points reach', async () => {
+      storedUser({ qualifyingPoints: 1200 });
+      expect(await getEffectiveCashbackPercentage(USER_ID, 4)).toEqual({ percentage: 4.5, tierBonusPercentage: 0.5, tier: 'Silver' });
+
+      storedUser({ qualifyingPoints: 5000 });
+      expect(await getEffectiveCashbackPercentage(USER_ID, 4)).toEqual({ percentage: 5, tierBonusPercentage: 1, tier: 'Gold' });
+    });
+
+    it('gives users without points, and unknown users, the base rate', async () => {
+      storedUser({});
+      expect(await getEffectiveCashbackPercentage(USER_ID, 4)).toEqual({ percentage: 4, tierBonusPercentage: 0, tier: 'Bronze' });
+
+      storedUser(null);
+      expect(await getEffectiveCashbackPercentage(USER_ID, 4)).toEqual({ percentage: 4, tierBonusPercentage: 0, tier: 'Bronze' });
+    });
+
+    it('uses the tiers an admin saved, in any order, and never goes over 100%', async () => {
+      settings.tiers = [
+        { name: 'Platinum', minPoints: 100, cashbackBonus: 3 },
+        { name: 'Member', minPoints: 0, cashbackBonus: 0 }
+      ];
+      storedUser({ qualifyingPoints: 150 });
+
+      expect(await getEffectiveCashbackPercentage(USER_ID, 4)).toMatchObject({ percentage: 7, tier: 'Platinum' });
+      expect(await getEffectiveCashbackPercentage(USER_ID, 99)).toMatchObject({ percentage: 100, tierBonusPercentage: 3 });
+    });
+  });
+
+  describe('points', () => {
+    let entries;
+
+    beforeEach(() => {
+      entries = [];
+      const chain = { select: () => chain, then: (resolve, reject) => Promise.resolve(entries).then(resolve, reject) };
+      jest.spyOn(LoyaltyPointEntry, 'find').mockReturnValue(chain);
+      jest.spyOn(LoyaltyPointEntry, 'create').mockImplementation(async (entry) => {
+        entries.push(entry);
+        return entry;
+      });
+    });
+
+    it('awards points per dollar of base-currency cashback once it is confirmed', async () => {
+      const transaction = new Transaction({ user: USER_ID, type: 'cashback', status: 'confirmed', cashbackAmount: 12.5, exchangeRate: 0.5 });
+
+      expect(await syncTransactionPoints(transaction, settings)).toBe(true);
+      expect(entries).toEqual([expect.objectContaining({ event: 'award', points: 250, sourceType: 'transaction', source: transaction._id })]);
+      expect(await syncTransactionPoints(transaction, settings)).toBe(false);
+    });
+
+    it('reverses the points of a rejected transaction and never awards them again', async () => {
+      const transaction = new Transaction({ user: USER_ID, type: 'cashback', status: 'confirmed', cashbackAmount: 10 });
+      await syncTransactionPoints(transaction, settings);
+
+      transaction.status = 'rejected';
+      expect(await syncTransactionPoints(transaction, settings)).toBe(true);
+      expect(entries[1]).toMatchObject({ event: 'reversal', points: -100 });
+
+      transaction.status = 'confirmed';
+      expect(await syncTransactionPoints(transaction, settings)).toBe(false);
+      expect(entries).toHaveLength(2);
+    });
+
+    it('does not award pending cashback or withdrawals', async () => {
+      expect(await syncTransactionPoints(new Transaction({ user: USER_ID, type: 'cashback', status: 'pending', cashbackAmount: 10 }), settings)).toBe(false);
+      expect(await syncTransactionPoints(new Transaction({ user: USER_ID, type: 'withdrawal', status: 'paid', cashbackAmount: 10 }), settings)).toBe(false);
+      expect(entries).toHaveLength(0);
+    });
+  });
+
+  describe('tier recalculation', () => {
+    beforeEach(() => {
+      jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    it('moves the user up a tier and tells them about the new bonus', async () => {
+      jest.spyOn(LoyaltyPointEntry, 'aggregate').mockResolvedValue([{ points: 1500, qualifyingPoints: 1100 }]);
+      storedUser({ tier: 'Bronze' });
+
+      const result = await recalculateUserLoyalty(USER_ID, { settings });
+
+      expect(result).toMatchObject({ points: 1500, qualifyingPoints: 1100, tier: 'Silver', previousTier: 'Bronze', changed: true });
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: USER_ID }, { $set: expect.objectContaining({ 'loyalty.tier': 'Silver' }) });
+      expect(notifyUser).toHaveBeenCalledWith(USER_ID, expect.objectContaining({ title: 'Welcome to Silver!' }));
+    });
+
+    it('drops the tier quietly once points leave the qualification window', async () => {
+      jest.spyOn(LoyaltyPointEntry, 'aggregate').mockResolvedValue([{ points: 1500, qualifyingPoints: 200 }]);
+      storedUser({ tier: 'Silver' });
+
+      const result = await recalculateUserLoyalty(USER_ID, { settings });
+
+      expect(result).toMatchObject({ tier: 'Bronze', changed: true });
+      expect(notifyUser).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const Notification = require('../../../../functions/models/Notification');
+const { sendNotificationEmail, sendNotificationDigestEmail } = require('../../../../functions/utils/emailUtils');
+const {
+  isQuietTime,
+  nextLocalTime,
+  planDelivery,
+  deliverNotification,
+  sendDigest
+} = require('../../../../functions/utils/notificationDispatcher');
+
+jest.mock('../../../../functions/utils/emailUtils', () => ({
+  sendNotificationEmail: jest.fn().mockResolvedValue(true),
+  sendNotificationDigestEmail: jest.fn().mockResolvedValue(true)
+}));
+
+const overnight = { enabled: true, start: '22:00', end: '07:00' };
+
+/**
+ * Build a user with some notification preferences
+ */
+const userWith = (preferences = {}, fields = {}) => ({
+  email: 'shopper@example.com',
+  preferences,
+  ...fields
+});
+
+describe('Notification dispatcher', () => {
+  // A Monday; Berlin is on summer time (UTC+2)
+  const noon = new Date('2026-10-19T12:00:00Z');
+  const lateEvening = new Date('2026-10-19T23:30:00Z');
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    sendNotificationEmail.mockClear();
+    sendNotificationDigestEmail.mockClear();
+  });
+
+  describe('quiet hours', () => {
+    it('runs quiet hours past midnight on the user\'s clock', () => {
+      expect(isQuietTime({ quietHours: overnight }, lateEvening)).toBe(true);
+      expect(isQuietTime({ quietHours: overnight }, noon)).toBe(false);
+      // 21:30 UTC is already 23:30 in Berlin
+      expect(isQuietTime({ quietHours: overnight, timezone: 'Europe/Berlin' }, new Date('2026-10-19T21:30:00Z'))).toBe(true);
+      expect(isQuietTime({ quietHours: overnight, timezone: 'Not/AZone' }, new Date('2026-10-19T21:30:00Z'))).toBe(false);
+    });
+
+    it('supports daytime quiet hours and ignores empty or disabled ones', () => {
+      expect(isQuietTime({ quietHours: { enabled: true, start: '09:00', end: '17:00' } }, noon)).toBe(true);
+      expect(isQuietTime({ quietHours: { enabled: true, start: '09:00', end: '09:00' } }, noon)).toBe(false);
+      expect(isQuietTime({ quietHours: { ...overnight, enabled: false } }, lateEvening)).toBe(false);
+    });
+
+    it('finds the next time the user\'s clock shows a time of day', () => {
+      expect(nextLocalTime(lateEvening, '07:00', 'Europe/Berlin')).toEqual(new Date('2026-10-20T05:00:00Z'));
+      expect(nextLocalTime(noon, '12:00', 'UTC')).toEqual(new Date('2026-10-20T12:00:00Z'));
+      expect(nextLocalTime(noon, '08:00', 'UTC', 3)).toEqual(new Date('2026-10-21T08:00:00Z'));
+    });
+  });
+
+  describe('planDelivery', () => {
+    it('pushes and emails right away by default', () => {
+      expect(planDelivery(userWith(), { type: 'offer' }, noon)).toEqual({
+        muted: false,
+        push: true,
+        sendNow: true,
+        delivery: { channels: ['push', 'email'], status: 'pending', digest: null, scheduledFor: noon }
+      });
+    });
+
+    it('holds everything until quiet hours end', () => {
+      const plan = planDelivery(userWith({ quietHours: overnight, timezone: 'Europe/Berlin', smsNotifications: true }, { phone: '+4912345' }), { type: 'offer' }, lateEvening);
+
+      expect(plan).toMatchObject({ push: false, sendNow: false });
+      expect(plan.delivery).toMatchObject({ channels: ['email', 'sms'], scheduledFor: new Date('2026-10-20T05:00:00Z') });
+    });
+
+    it('mutes types the user turned off, unless the notification is urgent', () => {
+      const user = userWith({ mutedNotificationTypes: ['offer'], quietHours: overnight, notificationFrequency: 'weekly' });
+
+      expect(planDelivery(user, { type: 'offer' }, lateEvening)).toMatchObject({ muted: true, push: false, delivery: null });
+      expect(planDelivery(user, { type: 'offer', priority: 'high' }, lateEvening)).toMatchObject({
+        muted: false,
+        push: true,
+        sendNow: true,
+        delivery: { digest: null, scheduledFor: lateEvening }
+      });
+    });
+
+    it('batches emails into the next daily or weekly digest', () => {
+      expect(planDelivery(userWith({ notificationFrequency: 'daily' }), { type: 'offer' }, noon)).toEqual({
+        muted: false,
+        push: true,
+        sendNow: false,
+        delivery: { channels: ['push', 'email'], status: 'pending', digest: 'daily', scheduledFor: new Date('2026-10-20T08:00:00Z') }
+      });
+      // Weekly digests go out on Mondays; this Monday's has passed
+      expect(planDelivery(userWith({ notificationFrequency: 'weekly' }), { type: 'offer' }, noon).delivery.scheduledFor)
+        .toEqual(new Date('2026-10-26T08:00:00Z'));
+    });
+
+    it('moves a digest due in quiet hours to when they end', () => {
+      const user = userWith({ notificationFrequency: 'daily', quietHours: { enabled: true, start: '06:00', end: '09:30' } });
+
+      expect(planDelivery(user, { type: 'offer' }, noon).delivery.scheduledFor).toEqual(new Date('2026-10-20T09:30:00Z'));
+    });
+
+    it('keeps inbox-only notifications for users without outbound channels', () => {
+      expect(planDelivery(userWith({ notificationFrequency: 'daily', emailDigest: false }), { type: 'offer' }, noon).delivery)
+        .toEqual({ channels: ['push'], status: 'none' });
+      expect(planDelivery(userWith({ emailNotifications: false, pushNotifications: false }), { type: 'offer' }, noon))
+        .toEqual({ muted: false, push: false, sendNow: false, delivery: { channels: [], status: 'none' } });
+    });
+  });
+
+  describe('delivery', () => {
+    beforeEach(() => {
+      jest.spyOn(Notification, 'updateOne').mockResolvedValue({});
+      jest.spyOn(Notification, 'updateMany').mockResolvedValue({});
+    });
+
+    it('sends pending channels the user still has turned on', async () => {
+      const notification = { _id: 'n1', delivery: { channels: ['push', 'email', 'sms'] } };
+
+      expect(await deliverNotification(userWith(), notification)).toBe('sent');
+      expect(sendNotificationEmail).toHaveBeenCalledWith('shopper@example.com', notification);
+      expect(Notification.updateOne).toHaveBeenCalledWith({ _id: 'n1' }, {
+        $set: { 'delivery.status': 'sent', 'delivery.sentAt': expect.any(Date) }
+      });
+
+      expect(await deliverNotification(userWith({ emailNotifications: false }), notification)).toBe('skipped');
+    });
+
+    it('records a failed delivery instead of throwing', async () => {
+      sendNotificationEmail.mockRejectedValueOnce(new Error('SMTP down'));
+
+      expect(await deliverNotification(userWith(), { _id: 'n1', delivery: { channels: ['email'] } })).toBe('failed');
+      expect(Notification.updateOne).toHaveBeenCalledWith({ _id: 'n1' }, { $set: { 'delivery.status': 'failed' } });
+    });
+
+    it('sends a digest of the notifications still unread', async () => {
+      const unread = { _id: 'n1', isRead: false };
+      const read = { _id: 'n2', isRead: true };
+
+      expect(await sendDigest(userWith(), [unread, read], 'weekly')).toBe('sent');
+      expect(sendNotificationDigestEmail).toHaveBeenCalledWith('shopper@example.com', { frequency: 'weekly', notifications: [unread] });
+      expect(Notification.updateMany).toHaveBeenCalledWith({ _id: { $in: ['n1'] } }, {
+        $set: { 'delivery.status': 'sent', 'delivery.sentAt': expect.any(Date) }
+      });
+      expect(Notification.updateMany).toHaveBeenCalledWith({ _id: { $in: ['n2'] } }, { $set: { 'delivery.status': 'skipped' } });
+    });
+
+    it('skips the digest email when everything was read', async () => {
+      expect(await sendDigest(userWith(), [{ _id: 'n2', isRead: true }], 'daily')).toBe('skipped');
+      expect(sendNotificationDigestEmail).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,317 @@
+process.env.CLOUD_RUNTIME_CONFIG = JSON.stringify({
+  payouts: { provider: 'test', minimum_amount: '10' }
+});
+
+const LedgerEntry = require('../../../../functions/models/LedgerEntry');
+const Transaction = require('../../../../functions/models/Transaction');
+const PayoutBatch = require('../../../../functions/models/PayoutBatch');
+const User = require('../../../../functions/models/User');
+const { recordTransaction, transitionTransaction } = require('../../../../functions/utils/ledgerUtils');
+const { registerPayoutProvider, createFakePayoutProvider } = require('../../../../functions/utils/payoutProviders');
+const {
+  requestWithdrawal,
+  approveWithdrawal,
+  rejectWithdrawal,
+  createPayoutBatch,
+  exportPayoutBatch,
+  sendPayoutBatch
+} = require('../../../../functions/utils/payoutUtils');
+
+jest.mock('../../../../functions/utils/notificationUtils', () => ({
+  notifyTransactionStatus: jest.fn()
+}));
+
+// The functions' own mongoose, whose sessions ledgerUtils starts
+const mongoose = LedgerEntry.base;
+
+/**
+ * Evaluate the balance aggregation ledgerUtils runs against the in-memory entries
+ */
+const aggregate = (entries, pipeline) => {
+  const { $match } = pipeline[0];
+  const groups = new Map();
+
+  entries
+    .filter(entry => String(entry.user) === String($match.user))
+    .forEach((entry) => {
+      const group = groups.get(entry.account) || { _id: entry.account, total: 0, entries: 0 };
+      group.total += entry.amount;
+      group.entries += 1;
+      groups.set(entry.account, group);
+    });
+
+  return [...groups.values()];
+};
+
+/**
+ * Check a document against the simple equality, null and $in filters payoutUtils uses
+ */
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => {
+  if (value === null) return doc[key] == null;
+  if (value && value.$in) return value.$in.some(item => String(item) === String(doc[key]));
+  return String(doc[key]) === String(value);
+});
+
+/**
+ * A chainable, awaitable stand-in for a mongoose query
+ */
+const query = (resolve) => {
+  const chain = {
+    select: () => chain,
+    session: () => chain,
+    sort: () => chain,
+    populate: () => chain,
+    then: (onFulfilled, onRejected) => Promise.resolve().then(resolve).then(onFulfilled, onRejected)
+  };
+  return chain;
+};
+
+describe('Payouts', () => {
+  let entries, transactions, batches, user, provider, failFor;
+
+  const earn = async (cashbackAmount) => {
+    const transaction = await recordTransaction({
+      user: user._id,
+      store: new mongoose.Types.ObjectId(),
+      amount: cashbackAmount * 20,
+      cashbackPercentage: 5,
+      cashbackAmount
+    });
+    return transitionTransaction(transaction._id, 'confirmed');
+  };
+
+  const withdraw = (amount, email = 'shopper@example.com') => requestWithdrawal(user._id, {
+    amount,
+    method: 'paypal',
+    details: email
+  });
+
+  const approvedWithdrawals = async (...emails) => {
+    await earn(50);
+    const withdrawals = [];
+    for (const email of emails) {
+      const withdrawal = await withdraw(10, email);
+      await approveWithdrawal(withdrawal._id);
+      withdrawals.push(withdrawal);
+    }
+    return withdrawals;
+  };
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    entries = [];
+    transactions = new Map();
+    batches = new Map();
+    user = new User({ email: 'shopper@example.com', password: 'hashed', firstName: 'Sam', lastName: 'Shopper' });
+    failFor = [];
+    provider = createFakePayoutProvider({ name: 'test', failFor });
+    registerPayoutProvider(provider);
+
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: async fn => fn(),
+      endSession: async () => {}
+    });
+    jest.spyOn(LedgerEntry, 'insertMany').mockImplementation(async (docs) => {
+      entries.push(...docs);
+      return docs;
+    });
+    jest.spyOn(LedgerEntry, 'aggregate').mockImplementation((pipeline) => {
+      const result = Promise.resolve(aggregate(entries, pipeline));
+      result.session = () => result;
+      return result;
+    });
+    jest.spyOn(User, 'findById').mockImplementation(() => query(() => user));
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, { $set }) => {
+      user.set($set);
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() { return this; });
+
+    jest.spyOn(Transaction, 'create').mockImplementation(async ([data]) => {
+      const transaction = new Transaction(data);
+      transaction.createdAt = new Date();
+      transactions.set(String(transaction._id), transaction);
+      return [transaction];
+    });
+    jest.spyOn(Transaction, 'findById').mockImplementation(id => query(() => transactions.get(String(id)) || null));
+    jest.spyOn(Transaction, 'findOne').mockImplementation(filter => query(() => (
+      [...transactions.values()].find(t => matches(t, filter)) || null
+    )));
+    // Populated results carry the user document in place of its ID
+    jest.spyOn(Transaction, 'find').mockImplementation(filter => query(() => (
+      [...transactions.values()]
+        .filter(t => matches(t, filter))
+        .map(t => Object.create(t, { user: { value: user } }))
+    )));
+    jest.spyOn(Transaction, 'updateMany').mockImplementation(async (filter, { $set }) => {
+      [...transactions.values()].filter(t => matches(t, filter)).forEach(t => t.set($set));
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(Transaction.prototype, 'save').mockImplementation(async function() { return this; });
+
+    jest.spyOn(PayoutBatch, 'create').mockImplementation(async ([data]) => {
+      const batch = new PayoutBatch(data);
+      batches.set(String(batch._id), batch);
+      return [batch];
+    });
+    jest.spyOn(PayoutBatch, 'findById').mockImplementation(id => query(() => batches.get(String(id)) || null));
+    jest.spyOn(PayoutBatch, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => {
+      const batch = batches.get(String(filter._id));
+      if (!batch || !filter.status.$in.includes(batch.status)) return null;
+      batch.set($set);
+      return batch;
+    });
+    jest.spyOn(PayoutBatch, 'exists').mockImplementation(async ({ _id, results }) => {
+      const batch = batches.get(String(_id));
+      const { transaction, status } = results.$elemMatch;
+      return batch && batch.results.some(r => String(r.transaction) === String(transaction) && r.status === status)
+        ? { _id } : null;
+    });
+    jest.spyOn(PayoutBatch.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  describe('withdrawal requests', () => {
+    it('refuses amounts under the minimum', async () => {
+      await earn(50);
+
+      await expect(withdraw(5)).rejects.toMatchObject({ statusCode: 400, message: 'Minimum withdrawal amount is $10.00' });
+      expect(transactions.size).toBe(1);
+    });
+
+    it('refuses amounts over the available balance', async () => {
+      await earn(12);
+
+      await expect(withdraw(15)).rejects.toMatchObject({ statusCode: 400, message: 'Amount exceeds your available balance' });
+    });
+
+    it('holds the amount out of the available balance', async () => {
+      await earn(20);
+
+      const withdrawal = await withdraw(15);
+
+      expect(withdrawal).toMatchObject({ type: 'withdrawal', status: 'pending', cashbackAmount: 15, paymentMethod: 'paypal' });
+      expect(user.toObject()).toMatchObject({ balance: 5, totalEarned: 20, totalRedeemed: 0 });
+      await expect(withdraw(10)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('review', () => {
+    it('approves a pending withdrawal once', async () => {
+      await earn(20);
+      const withdrawal = await withdraw(15);
+
+      await approveWithdrawal(withdrawal._id);
+
+      expect(withdrawal.status).toBe('confirmed');
+      expect(user.balance).toBe(5);
+      await expect(approveWithdrawal(withdrawal._id)).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('releases the held funds when a withdrawal is rejected', async () => {
+      await earn(20);
+      const withdrawal = await withdraw(15);
+
+      await rejectWithdrawal(withdrawal._id, { reason: 'Details do not match the account' });
+
+      expect(withdrawal).toMatchObject({ status: 'rejected', rejectionReason: 'Details do not match the account' });
+      expect(user.toObject()).toMatchObject({ balance: 20, totalRedeemed: 0 });
+    });
+  });
+
+  describe('batches', () => {
+    it('groups approved, unbatched withdrawals with the configured provider', async () => {
+      const [first, second] = await approvedWithdrawals('a@example.com', 'b@example.com');
+      await withdraw(10);
+
+      const batch = await createPayoutBatch();
+
+      expect(batch).toMatchObject({ provider: 'test', status: 'open', totalAmount: 20 });
+      expect(batch.transactions.map(String)).toEqual([String(first._id), String(second._id)]);
+      expect(String(first.payoutBatch)).toBe(String(batch._id));
+      await expect(createPayoutBatch()).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('exports a batch as CSV in the base currency', async () => {
+      const [withdrawal] = await approvedWithdrawals('a@example.com');
+      const batch = await createPayoutBatch();
+
+      const { csv } = await exportPayoutBatch(batch._id, 'csv');
+
+      const [header, row] = csv.split('\n');
+      expect(header).toBe('transactionId,userId,email,name,amount,currency,method,destination,status,requestedAt');
+      expect(row).toContain(`${withdrawal._id},${user._id},shopper@example.com,Sam Shopper,10,USD,paypal,a@example.com,confirmed,`);
+      expect(batch.exportedAt).toBeInstanceOf(Date);
+    });
+
+    it('marks sent withdrawals as paid and records the ones that failed', async () => {
+      const [paid, failed] = await approvedWithdrawals('a@example.com', 'fail@example.com');
+      failFor.push('fail@example.com');
+      const batch = await createPayoutBatch();
+
+      await sendPayoutBatch(batch._id);
+
+      expect(batch.status).toBe('partially_failed');
+      expect(paid).toMatchObject({ status: 'paid', paymentReference: provider.sent[0].reference });
+      expect(failed.status).toBe('confirmed');
+      expect(batch.results.map(r => r.toObject())).toEqual([
+        expect.objectContaining({ status: 'sent', reference: expect.stringMatching(/^FAKE-/) }),
+        expect.objectContaining({ status: 'failed', error: expect.stringContaining('rejected payout') })
+      ]);
+      expect(user.toObject()).toMatchObject({ balance: 30, totalRedeemed: 10 });
+    });
+
+    it('retries only the failed payouts, never paying a withdrawal twice', async () => {
+      const [, failed] = await approvedWithdrawals('a@example.com', 'fail@example.com');
+      failFor.push('fail@example.com');
+      const batch = await createPayoutBatch();
+      await sendPayoutBatch(batch._id);
+
+      failFor.length = 0;
+      await sendPayoutBatch(batch._id);
+
+      expect(provider.sent.map(p => p.transactionId)).toEqual([String(batch.transactions[0]), String(failed._id)]);
+      expect(batch.status).toBe('completed');
+      expect(failed.status).toBe('paid');
+      expect(user.toObject()).toMatchObject({ balance: 30, totalRedeemed: 20 });
+      await expect(sendPayoutBatch(batch._id)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('refuses to reject a withdrawal the provider has already been sent', async () => {
+      const [withdrawal] = await approvedWithdrawals('a@example.com', 'fail@example.com');
+      failFor.push('fail@example.com');
+      const batch = await createPayoutBatch();
+      await sendPayoutBatch(batch._id);
+      // Simulate a send whose status change was lost
+      withdrawal.status = 'confirmed';
+
+      await expect(rejectWithdrawal(withdrawal._id, { reason: 'Duplicate' })).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('providers', () => {
+    afterEach(() => {
+      process.env.CLOUD_RUNTIME_CONFIG = JSON.stringify({ payouts: { provider: 'test' } });
+    });
+
+    it('refuses to pick a provider when none is configured, and has no fake by default', () => {
+      process.env.CLOUD_RUNTIME_CONFIG = JSON.stringify({});
+
+      jest.isolateModules(() => {
+        const { getPayoutProvider } = require('../../../../functions/utils/payoutProviders');
+
+        expect(() => getPayoutProvider()).toThrow(expect.objectContaining({ statusCode: 503 }));
+        expect(() => getPayoutProvider('fake')).toThrow('Unknown payout provider: fake');
+      });
+    });
+
+    it('registers the fake provider when enabled for development', () => {
+      process.env.CLOUD_RUNTIME_CONFIG = JSON.stringify({ payouts: { provider: 'fake', enable_fake: 'true' } });
+
+      jest.isolateModules(() => {
+        const { getPayoutProvider } = require('../../../../functions/utils/payoutProviders');
+
+        expect(getPayoutProvider().name).toBe('fake');
+      });
+    });
+  });
+});
@@ -0,0 +1,224 @@
+process.env.CLOUD_RUNTIME_CONFIG = JSON.stringify({
+  secrets: { jwt_secret: 'test-jwt-secret', jwt_refresh_secret: 'test-refresh-secret' },
+  affiliates: { awin: { postback_secret: 'awin-secret' } }
+});
+
+const jwt = require('jsonwebtoken');
+const Store = require('../../../../functions/models/Store');
+const Click = require('../../../../functions/models/Click');
+const User = require('../../../../functions/models/User');
+const Transaction = require('../../../../functions/models/Transaction');
+const { recordTransaction } = require('../../../../functions/utils/ledgerUtils');
+const { ingestPostback, normalizePostback, getPostbackSecret } = require('../../../../functions/utils/postbackUtils');
+const { computeSignature, requireSignature } = require('../../../../functions/middleware/apiKeyMiddleware');
+const { generateClickToken, verifyClickToken } = require('../../../../functions/utils/clickUtils');
+const clickController = require('../../../../functions/controllers/clickController');
+
+jest.mock('../../../../functions/utils/ledgerUtils', () => ({
+  recordTransaction: jest.fn()
+}));
+jest.mock('../../../../functions/utils/loyaltyUtils', () => ({
+  getEffectiveCashbackPercentage: jest.fn().mockResolvedValue({ percentage: 5, tierBonusPercentage: 0 })
+}));
+jest.mock('../../../../functions/utils/currencyUtils', () => ({
+  BASE_CURRENCY: 'USD',
+  getRate: jest.fn().mockResolvedValue(1)
+}));
+
+describe('Postback attribution', () => {
+  let store, user;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    recordTransaction.mockReset();
+
+    store = new Store({ name: 'Acme', cashbackPercentage: 5 });
+    user = new User({ email: 'shopper@example.com', password: 'hashed' });
+
+    jest.spyOn(Store, 'findById').mockResolvedValue(store);
+    jest.spyOn(Store, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User, 'findById').mockImplementation(async (id) => (String(id) === String(user._id) ? user : null));
+    jest.spyOn(Click, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    recordTransaction.mockImplementation(async (fields) => ({ _id: new Transaction()._id, ...fields }));
+  });
+
+  it('records a pending transaction for the user who made the click', async () => {
+    const click = new Click({ subId: 'chabc', user: user._id, store: store._id });
+    jest.spyOn(Click, 'findOne').mockResolvedValue(click);
+
+    const { transaction, duplicate } = await ingestPostback('default', {
+      order_id: 'ORDER-1',
+      sale_amount: '80.00',
+      sub_id: 'chabc'
+    });
+
+    expect(duplicate).toBe(false);
+    expect(recordTransaction).toHaveBeenCalledWith(expect.objectContaining({
+      user: user._id,
+      store: store._id,
+      status: 'pending',
+      amount: 80,
+      cashbackAmount: 4,
+      orderReference: 'ORDER-1',
+      click: click._id
+    }));
+    expect(Click.updateOne).toHaveBeenCalledWith(
+      { _id: click._id, transaction: { $exists: false } },
+      { $set: { transaction: transaction._id, convertedAt: expect.any(Date) } }
+    );
+  });
+
+  it('rejects a postback for an anonymous click', async () => {
+    jest.spyOn(Click, 'findOne').mockResolvedValue(new Click({ subId: 'chanon', store: store._id }));
+
+    await expect(ingestPostback('default', {
+      order_id: 'ORDER-2',
+      sale_amount: '10',
+      sub_id: 'chanon'
+    })).rejects.toMatchObject({ statusCode: 422 });
+    expect(recordTransaction).not.toHaveBeenCalled();
+  });
+
+  it('returns the existing transaction when a network retries a postback', async () => {
+    const existing = new Transaction({ orderReference: 'ORDER-3' });
+    jest.spyOn(Click, 'findOne').mockResolvedValue(new Click({ subId: 'chretry', user: user._id, store: store._id }));
+    Transaction.findOne.mockResolvedValue(existing);
+
+    const result = await ingestPostback('default', { order_id: 'ORDER-3', sale_amount: '10', sub_id: 'chretry' });
+
+    expect(result).toEqual({ transaction: existing, duplicate: true });
+    expect(recordTransaction).not.toHaveBeenCalled();
+  });
+
+  it('accepts a bare user ID as the sub-ID and a network merchant ID as the store', async () => {
+    jest.spyOn(Click, 'findOne').mockResolvedValue(null);
+    Store.findById.mockResolvedValue(null);
+    Store.findOne.mockResolvedValue(store);
+
+    await ingestPostback('awin', { orderId: 'ORDER-4', amount: '20', subid: String(user._id), merchant_id: '1234' });
+
+    expect(Store.findOne).toHaveBeenCalledWith({
+      affiliateMerchants: { $elemMatch: { network: 'awin', merchantId: '1234' } }
+    });
+    expect(recordTransaction).toHaveBeenCalledWith(expect.objectContaining({
+      user: user._id,
+      store: store._id,
+      orderReference: 'ORDER-4',
+      click: undefined
+    }));
+  });
+
+  it('rejects postbacks without an order reference or with a bad amount', async () => {
+    await expect(ingestPostback('default', { sale_amount: '10', sub_id: 'chabc' }))
+      .rejects.toMatchObject({ statusCode: 422 });
+    await expect(ingestPostback('default', { order_id: 'ORDER-5', sale_amount: '-3', sub_id: 'chabc' }))
+      .rejects.toMatchObject({ statusCode: 422 });
+    await expect(ingestPostback('default', { order_id: 'ORDER-5', sale_amount: 'ten', sub_id: 'chabc' }))
+      .rejects.toMatchObject({ statusCode: 422 });
+    expect(recordTransaction).not.toHaveBeenCalled();
+  });
+
+  it('never records a purchase date in the future', async () => {
+    jest.spyOn(Click, 'findOne').mockResolvedValue(new Click({ subId: 'chfuture', user: user._id, store: store._id }));
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+    await ingestPostback('default', { order_id: 'ORDER-6', sale_amount: '10', sub_id: 'chfuture', transaction_date: tomorrow });
+
+    expect(recordTransaction.mock.calls[0][0].purchaseDate.getTime()).toBeLessThanOrEqual(Date.now());
+  });
+
+  it('returns the transaction of a concurrent retry that won the unique index', async () => {
+    const winner = new Transaction({ orderReference: 'ORDER-7' });
+    jest.spyOn(Click, 'findOne').mockResolvedValue(new Click({ subId: 'chrace', user: user._id, store: store._id }));
+    Transaction.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(winner);
+    recordTransaction.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    const result = await ingestPostback('default', { order_id: 'ORDER-7', sale_amount: '10', sub_id: 'chrace' });
+
+    expect(result).toEqual({ transaction: winner, duplicate: true });
+    expect(Click.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('maps the first field name present in the payload', () => {
+    expect(normalizePostback('unknown-network', { oid: 'A-1', order_amount: '5', saleAmount: '' })).toEqual(expect.objectContaining({
+      orderReference: 'A-1',
+      amount: '5',
+      subId: undefined
+    }));
+  });
+});
+
+describe('Postback signatures', () => {
+  const verify = async (network, headers, rawBody = '{"order_id":"ORDER-1"}') => {
+    const req = { params: { network }, headers, rawBody };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+    const next = jest.fn();
+    await requireSignature({ getSecret: r => getPostbackSecret(r.params.network) })(req, res, next);
+    return next.mock.calls.length === 1 && next.mock.calls[0].length === 0 ? 'passed' : res.status.mock.calls[0][0];
+  };
+
+  it('accepts a postback signed with the network\'s secret', async () => {
+    const timestamp = Date.now();
+    const signature = computeSignature('awin-secret', timestamp, '{"order_id":"ORDER-1"}');
+
+    expect(await verify('awin', { 'x-signature': `sha256=${signature}`, 'x-timestamp': String(timestamp) })).toBe('passed');
+  });
+
+  it('refuses bad signatures, stale timestamps and networks without a secret', async () => {
+    const timestamp = Date.now();
+    const stale = timestamp - 10 * 60 * 1000;
+
+    expect(await verify('awin', {
+      'x-signature': computeSignature('other-secret', timestamp, '{"order_id":"ORDER-1"}'),
+      'x-timestamp': String(timestamp)
+    })).toBe(401);
+    expect(await verify('awin', {
+      'x-signature': computeSignature('awin-secret', stale, '{"order_id":"ORDER-1"}'),
+      'x-timestamp': String(stale)
+    })).toBe(401);
+    expect(await verify('cj', {
+      'x-signature': computeSignature('awin-secret', timestamp, '{"order_id":"ORDER-1"}'),
+      'x-timestamp': String(timestamp)
+    })).toBe(401);
+  });
+});
+
+describe('Click tokens', () => {
+  const userId = '64b7f0c2a1b2c3d4e5f60718';
+
+  it('identifies the user a token was issued to', () => {
+    expect(verifyClickToken(generateClickToken(userId))).toBe(userId);
+  });
+
+  it('rejects missing, tampered and access tokens', () => {
+    const token = generateClickToken(userId);
+    const accessToken = jwt.sign({ userId }, 'test-jwt-secret', { audience: 'click' });
+
+    expect(verifyClickToken(undefined)).toBeNull();
+    expect(verifyClickToken(`${token.slice(0, -2)}xx`)).toBeNull();
+    expect(verifyClickToken(accessToken)).toBeNull();
+  });
+
+  it('attributes a /go click to the user of the token', async () => {
+    const store = new Store({ name: 'Acme', website: 'https://acme.example', isActive: true });
+    jest.spyOn(Store, 'findById').mockResolvedValue(store);
+    jest.spyOn(Click, 'create').mockImplementation(async (fields) => fields);
+
+    const req = {
+      params: { storeId: String(store._id) },
+      query: { t: generateClickToken(userId) },
+      cookies: { ch_sid: 'session' },
+      ip: '203.0.113.7',
+      get: () => undefined
+    };
+    const res = { set: jest.fn(), redirect: jest.fn(), cookie: jest.fn() };
+    const next = jest.fn();
+
+    await clickController.goToStore(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(Click.create).toHaveBeenCalledWith(expect.objectContaining({ user: userId, sessionId: 'session' }));
+    expect(res.redirect).toHaveBeenCalledWith(302, expect.stringMatching(/^https:\/\/acme\.example\/\?subid=ch/));
+  });
+});
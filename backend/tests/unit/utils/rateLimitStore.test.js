@@ -0,0 +1,150 @@
+const { Readable } = require('stream');
+const {
+  createMemoryStore,
+  createRedisStore,
+  setStore,
+  hit,
+  release,
+  peek,
+  reset
+} = require('../../../../functions/utils/rateLimitStore');
+
+/**
+ * A small in-memory stand-in for the ioredis commands the Redis store uses
+ */
+const createFakeRedis = () => {
+  const values = new Map();
+  const glob = pattern => new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+
+  const commands = {
+    get: key => (values.has(key) ? values.get(key) : null),
+    pttl: key => (values.has(key) ? 60000 : -2),
+    incrby: (key, amount) => {
+      values.set(key, String(parseInt(values.get(key) || '0', 10) + amount));
+      return parseInt(values.get(key), 10);
+    },
+    pexpire: () => 1
+  };
+
+  return {
+    values,
+    keys: jest.fn(),
+    set: async (key, value) => values.set(key, value),
+    del: async (...keys) => keys.filter(key => values.delete(key)).length,
+    // SCAN may return a key more than once
+    scanStream: jest.fn(({ match }) => {
+      const matching = Array.from(values.keys()).filter(key => glob(match).test(key));
+      return Readable.from([matching, matching.slice(0, 1)]);
+    }),
+    multi() {
+      const queued = [];
+      const chain = { exec: async () => queued.map(fn => [null, fn()]) };
+      Object.keys(commands).forEach((name) => {
+        chain[name] = (...args) => {
+          queued.push(() => commands[name](...args));
+          return chain;
+        };
+      });
+      return chain;
+    }
+  };
+};
+
+describe('Rate limit store', () => {
+  describe('Redis', () => {
+    let client, store;
+
+    beforeEach(() => {
+      client = createFakeRedis();
+      store = createRedisStore(client);
+    });
+
+    it('lists entries by prefix with SCAN instead of KEYS', async () => {
+      await store.set('login-block:203.0.113.7:a@example.com', { attempts: 5 }, 60000);
+      await store.set('login-block:203.0.113.8:b@example.com', { attempts: 6 }, 60000);
+      await store.increment('api:203.0.113.7:1', 1, 60000);
+
+      const entries = await store.list('login-block:');
+
+      expect(entries.map(entry => entry.key).sort()).toEqual([
+        'login-block:203.0.113.7:a@example.com',
+        'login-block:203.0.113.8:b@example.com'
+      ]);
+      expect(client.scanStream).toHaveBeenCalledWith(expect.objectContaining({ match: 'rate-limit:login-block:*' }));
+      expect(client.keys).not.toHaveBeenCalled();
+    });
+
+    it('clears entries by prefix with SCAN, leaving other keys alone', async () => {
+      await store.increment('api:203.0.113.7:1', 1, 60000);
+      await store.increment('api:203.0.113.7:2', 1, 60000);
+      await store.increment('auth:203.0.113.7:2', 1, 60000);
+
+      await expect(store.clear('api:203.0.113.7:')).resolves.toBe(2);
+
+      expect(Array.from(client.values.keys())).toEqual(['rate-limit:auth:203.0.113.7:2']);
+      expect(client.keys).not.toHaveBeenCalled();
+    });
+
+    it('escapes glob characters in the prefix', async () => {
+      await store.list('login-block:*');
+
+      expect(client.scanStream).toHaveBeenCalledWith(expect.objectContaining({ match: 'rate-limit:login-block:\\**' }));
+    });
+  });
+
+  describe('sliding window', () => {
+    const WINDOW = 60000;
+    // The start of a fixed window
+    const start = Math.floor(Date.UTC(2026, 9, 19, 12) / WINDOW) * WINDOW;
+
+    beforeEach(() => {
+      setStore(createMemoryStore());
+    });
+
+    it('counts hits within a window and says when it ends', async () => {
+      await hit('api:203.0.113.7', WINDOW, { now: start + 1000 });
+      const result = await hit('api:203.0.113.7', WINDOW, { now: start + 2000 });
+
+      expect(result).toEqual({ count: 2, resetAt: new Date(start + WINDOW) });
+      expect((await hit('api:203.0.113.8', WINDOW, { now: start + 3000 })).count).toBe(1);
+    });
+
+    it('weights the previous window by how much of it is still covered', async () => {
+      for (let i = 0; i < 10; i += 1) {
+        await hit('api:203.0.113.7', WINDOW, { now: start + i * 1000 });
+      }
+
+      // A quarter into the next window, three quarters of the previous one still count
+      expect((await hit('api:203.0.113.7', WINDOW, { now: start + WINDOW * 1.25 })).count).toBe(1 + 7);
+      expect((await peek('api:203.0.113.7', WINDOW, { now: start + WINDOW * 1.5 })).count).toBe(1 + 5);
+      expect((await peek('api:203.0.113.7', WINDOW, { now: start + WINDOW * 2.5 })).count).toBe(0);
+    });
+
+    it('peeks at the count without counting a hit', async () => {
+      await hit('api:203.0.113.7', WINDOW, { now: start });
+
+      expect(await peek('api:203.0.113.7', WINDOW, { now: start + 1000 })).toEqual({ count: 1, resetAt: new Date(start + WINDOW) });
+      expect((await peek('api:203.0.113.7', WINDOW, { now: start + 1000 })).count).toBe(1);
+    });
+
+    it('takes a hit back from the window it was counted in', async () => {
+      await hit('api:203.0.113.7', WINDOW, { now: start + 1000 });
+      await hit('api:203.0.113.7', WINDOW, { now: start + WINDOW + 1000 });
+
+      await release('api:203.0.113.7', WINDOW, start + 1000);
+
+      expect((await peek('api:203.0.113.7', WINDOW, { now: start + WINDOW + 2000 })).count).toBe(1);
+    });
+
+    it('resets every window of a key, leaving other keys alone', async () => {
+      await hit('api:203.0.113.7', WINDOW, { now: start });
+      await hit('api:203.0.113.7', WINDOW, { now: start + WINDOW });
+      await hit('api:203.0.113.70', WINDOW, { now: start + WINDOW });
+
+      await expect(reset('api:203.0.113.7')).resolves.toBe(2);
+
+      expect((await peek('api:203.0.113.7', WINDOW, { now: start + WINDOW })).count).toBe(0);
+      expect((await peek('api:203.0.113.70', WINDOW, { now: start + WINDOW })).count).toBe(1);
+    });
+  });
+});
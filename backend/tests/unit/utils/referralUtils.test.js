@@ -0,0 +1,197 @@
+process.env.CLOUD_RUNTIME_CONFIG = JSON.stringify({
+  referrals: { bonus_amount: '15', max_rewards: '3', max_monthly_rewards: '2', max_daily_invites: '3', min_qualifying_cashback: '1' }
+});
+
+const Click = require('../../../../functions/models/Click');
+const Referral = require('../../../../functions/models/Referral');
+const Transaction = require('../../../../functions/models/Transaction');
+const User = require('../../../../functions/models/User');
+const { recordTransaction, publishTransactionCommitted } = require('../../../../functions/utils/ledgerUtils');
+const { notifyUser } = require('../../../../functions/utils/notificationUtils');
+const {
+  detectSelfReferral,
+  attributeReferral,
+  qualifyReferral,
+  sendReferralInvites
+} = require('../../../../functions/utils/referralUtils');
+
+jest.mock('../../../../functions/utils/ledgerUtils', () => ({
+  runInSession: jest.fn(work => work('session')),
+  recordTransaction: jest.fn(),
+  toBaseAmount: transaction => transaction.cashbackAmount / (transaction.exchangeRate || 1),
+  onTransactionCommitted: jest.fn(),
+  publishTransactionCommitted: jest.fn().mockResolvedValue(undefined)
+}));
+jest.mock('../../../../functions/utils/notificationUtils', () => ({
+  notifyUser: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../../../../functions/utils/emailUtils', () => ({
+  sendReferralInviteEmail: jest.fn().mockResolvedValue(true)
+}));
+
+describe('Referrals', () => {
+  let referrer, referee;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    recordTransaction.mockReset();
+    publishTransactionCommitted.mockClear();
+    notifyUser.mockClear();
+
+    referrer = new User({
+      email: 'referrer@example.com',
+      password: 'hashed',
+      referralCode: 'ABC123',
+      signupIp: '198.51.100.1',
+      signupDeviceId: 'device-1',
+      loginHistory: [{ ipAddress: '198.51.100.2' }]
+    });
+    referee = new User({ email: 'friend@example.com', password: 'hashed' });
+
+    jest.spyOn(Click, 'exists').mockResolvedValue(null);
+    jest.spyOn(Referral, 'exists').mockResolvedValue(null);
+  });
+
+  describe('self-referral checks', () => {
+    it('matches the referrer\'s device, browser and IP addresses', async () => {
+      expect(await detectSelfReferral(referrer, { deviceId: 'device-1' }))
+        .toBe('Signed up from the referrer\'s device');
+      expect(await detectSelfReferral(referrer, { ip: '198.51.100.2' }))
+        .toBe('Signed up from an IP address the referrer uses');
+
+      Click.exists.mockImplementation(async filter => (filter.sessionId === 'session-1' ? { _id: 'click' } : null));
+      expect(await detectSelfReferral(referrer, { sessionId: 'session-1' }))
+        .toBe('Signed up from the referrer\'s browser');
+    });
+
+    it('matches another referee of the same referrer on the same network', async () => {
+      Referral.exists.mockResolvedValue({ _id: 'earlier' });
+
+      expect(await detectSelfReferral(referrer, { ip: '203.0.113.9' }))
+        .toBe('Another referral of this referrer signed up from the same device or network');
+      expect(Referral.exists).toHaveBeenCalledWith(expect.objectContaining({
+        referrer: referrer._id,
+        $or: [{ 'signup.ip': '203.0.113.9' }]
+      }));
+    });
+
+    it('lets an unrelated sign-up through', async () => {
+      expect(await detectSelfReferral(referrer, { ip: '203.0.113.9', deviceId: 'device-2', sessionId: 'session-2' })).toBeNull();
+    });
+  });
+
+  describe('attribution', () => {
+    beforeEach(() => {
+      const chain = { select: () => chain, then: (resolve, reject) => Promise.resolve(referrer).then(resolve, reject) };
+      jest.spyOn(User, 'findOne').mockReturnValue(chain);
+      jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Referral, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(Referral, 'create').mockImplementation(async fields => fields);
+    });
+
+    it('records a self-referral as rejected without crediting the referrer', async () => {
+      const referral = await attributeReferral(referee, 'abc123', { deviceId: 'device-1' });
+
+      expect(referral).toMatchObject({ status: 'rejected', rejectionReason: 'Signed up from the referrer\'s device' });
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('links the referee to the referrer', async () => {
+      const referral = await attributeReferral(referee, 'abc123', { ip: '203.0.113.9' });
+
+      expect(referral).toMatchObject({ referrer: referrer._id, status: 'pending', code: 'ABC123' });
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: referee._id }, { $set: { referredBy: referrer._id } });
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: referrer._id }, { $inc: { referralCount: 1 } });
+    });
+
+    it('ignores a user entering their own code', async () => {
+      expect(await attributeReferral(referrer, 'ABC123')).toBeNull();
+      expect(Referral.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('bonuses', () => {
+    let referral, cashback;
+
+    // Completed referrals of the referrer: [total, since the start of the month]
+    const completed = (total, thisMonth) => {
+      jest.spyOn(Referral, 'countDocuments')
+        .mockImplementation(async filter => (filter.completedAt ? thisMonth : total));
+    };
+
+    beforeEach(() => {
+      referral = new Referral({ referrer: referrer._id, referee: referee._id, email: referee.email, code: 'ABC123', status: 'pending' });
+      cashback = new Transaction({ user: referee._id, type: 'cashback', status: 'confirmed', cashbackAmount: 4 });
+
+      jest.spyOn(Referral, 'findOne').mockResolvedValue(referral);
+      jest.spyOn(referral, 'save').mockResolvedValue(referral);
+      jest.spyOn(Referral, 'findOneAndUpdate').mockResolvedValue(referral);
+      recordTransaction.mockImplementation(async fields => ({ _id: new Transaction()._id, ...fields }));
+    });
+
+    it('grants the referrer a bonus for the referee\'s first confirmed cashback', async () => {
+      completed(0, 0);
+
+      const bonus = await qualifyReferral(cashback);
+
+      expect(recordTransaction).toHaveBeenCalledWith(expect.objectContaining({
+        user: referrer._id,
+        type: 'referral',
+        status: 'confirmed',
+        cashbackAmount: 15,
+        description: 'Referral bonus for inviting f*****@example.com'
+      }), { session: 'session' });
+      expect(referral.bonusTransaction).toEqual(bonus._id);
+      expect(publishTransactionCommitted).toHaveBeenCalledWith(bonus);
+      expect(notifyUser).toHaveBeenCalledWith(referrer._id, expect.objectContaining({ title: 'Referral bonus earned' }));
+    });
+
+    it('does not qualify pending or too small cashback', async () => {
+      completed(0, 0);
+
+      expect(await qualifyReferral(new Transaction({ user: referee._id, type: 'cashback', status: 'pending', cashbackAmount: 4 }))).toBeNull();
+      expect(await qualifyReferral(new Transaction({ user: referee._id, type: 'cashback', status: 'confirmed', cashbackAmount: 0.5 }))).toBeNull();
+      expect(recordTransaction).not.toHaveBeenCalled();
+    });
+
+    it('rejects the referral once the referrer reached the lifetime cap', async () => {
+      completed(3, 0);
+
+      expect(await qualifyReferral(cashback)).toBeNull();
+      expect(referral.status).toBe('rejected');
+      expect(referral.rejectionReason).toBe('Referrer reached the limit of 3 referral rewards');
+      expect(recordTransaction).not.toHaveBeenCalled();
+    });
+
+    it('keeps the referral pending over the monthly cap', async () => {
+      completed(2, 2);
+
+      expect(await qualifyReferral(cashback)).toBeNull();
+      expect(referral.status).toBe('pending');
+      expect(referral.save).not.toHaveBeenCalled();
+      expect(recordTransaction).not.toHaveBeenCalled();
+    });
+
+    it('grants the bonus only once when two confirmations race', async () => {
+      completed(0, 0);
+      Referral.findOneAndUpdate.mockResolvedValue(null);
+
+      expect(await qualifyReferral(cashback)).toBeNull();
+      expect(recordTransaction).not.toHaveBeenCalled();
+      expect(notifyUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('invitations', () => {
+    it('refuses to go over the daily invitation limit', async () => {
+      const chain = { select: () => chain, then: (resolve, reject) => Promise.resolve(referrer).then(resolve, reject) };
+      jest.spyOn(User, 'findById').mockReturnValue(chain);
+      jest.spyOn(Referral, 'countDocuments').mockResolvedValue(2);
+      jest.spyOn(Referral, 'create');
+
+      await expect(sendReferralInvites(referrer._id, ['a@example.com', 'B@example.com ']))
+        .rejects.toMatchObject({ statusCode: 429, message: 'You can send up to 3 invitations per day (1 left)' });
+      expect(Referral.create).not.toHaveBeenCalled();
+    });
+  });
+});
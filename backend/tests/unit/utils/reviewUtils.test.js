@@ -0,0 +1,91 @@
+const Review = require('../../../../functions/models/Review');
+const ReviewVote = require('../../../../functions/models/ReviewVote');
+const Store = require('../../../../functions/models/Store');
+const Transaction = require('../../../../functions/models/Transaction');
+const {
+  hasVerifiedPurchase,
+  getRatingSummary,
+  syncItemRating,
+  recordVote
+} = require('../../../../functions/utils/reviewUtils');
+
+const STORE_ID = '64b000000000000000000005';
+
+describe('Reviews', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('rating summary', () => {
+    it('averages approved reviews to one decimal and counts them per star', async () => {
+      jest.spyOn(Review, 'aggregate').mockResolvedValue([
+        { _id: 5, count: 2 },
+        { _id: 4, count: 1 },
+        { _id: 1, count: 3 }
+      ]);
+
+      expect(await getRatingSummary('store', STORE_ID)).toEqual({
+        averageRating: 2.8,
+        totalReviews: 6,
+        distribution: { 1: 3, 2: 0, 3: 0, 4: 1, 5: 2 }
+      });
+      expect(Review.aggregate.mock.calls[0][0][0].$match).toMatchObject({ itemType: 'store', status: 'approved' });
+    });
+
+    it('reports no rating for an item without approved reviews', async () => {
+      jest.spyOn(Review, 'aggregate').mockResolvedValue([]);
+
+      expect(await getRatingSummary('store', STORE_ID)).toMatchObject({ averageRating: 0, totalReviews: 0 });
+    });
+  });
+
+  describe('syncItemRating', () => {
+    it('writes the summary onto the store', async () => {
+      jest.spyOn(Review, 'aggregate').mockResolvedValue([{ _id: 4, count: 1 }, { _id: 5, count: 1 }]);
+      jest.spyOn(Store, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await syncItemRating('store', STORE_ID);
+
+      expect(Store.updateOne).toHaveBeenCalledWith(
+        { _id: STORE_ID },
+        { $set: { averageRating: 4.5, totalReviews: 2 } }
+      );
+    });
+
+    it('leaves items that keep no rating alone', async () => {
+      jest.spyOn(Review, 'aggregate');
+      jest.spyOn(Store, 'updateOne');
+
+      expect(await syncItemRating('coupon', STORE_ID)).toBeNull();
+      expect(Review.aggregate).not.toHaveBeenCalled();
+      expect(Store.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verified purchases', () => {
+    it('looks for confirmed cashback through the reviewed item', async () => {
+      jest.spyOn(Transaction, 'exists').mockResolvedValue({ _id: 'purchase' });
+
+      expect(await hasVerifiedPurchase('user', 'coupon', 'coupon-1')).toBe(true);
+      expect(Transaction.exists).toHaveBeenCalledWith({
+        user: 'user',
+        type: 'cashback',
+        status: { $in: ['confirmed', 'paid'] },
+        couponUsed: 'coupon-1'
+      });
+    });
+  });
+
+  describe('helpful votes', () => {
+    it('replaces the vote when two first votes race', async () => {
+      jest.spyOn(ReviewVote, 'findOneAndUpdate').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+      jest.spyOn(ReviewVote, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(ReviewVote, 'countDocuments').mockImplementation(async ({ vote }) => (vote === 'helpful' ? 3 : 1));
+      jest.spyOn(Review, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      expect(await recordVote('review', 'user', 'helpful')).toEqual({ vote: 'helpful', helpfulVotes: 3, unhelpfulVotes: 1 });
+      expect(ReviewVote.updateOne).toHaveBeenCalledWith({ review: 'review', user: 'user' }, { $set: { vote: 'helpful' } });
+      expect(Review.updateOne).toHaveBeenCalledWith({ _id: 'review' }, { $set: { helpfulVotes: 3, unhelpfulVotes: 1 } });
+    });
+  });
+});
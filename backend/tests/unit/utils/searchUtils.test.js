@@ -0,0 +1,154 @@
+const Coupon = require('../../../../functions/models/Coupon');
+const Cashback = require('../../../../functions/models/Cashback');
+const Store = require('../../../../functions/models/Store');
+const Blog = require('../../../../functions/models/Blog');
+const {
+  tokenize,
+  editDistance,
+  correctQuery,
+  buildSnippet,
+  search
+} = require('../../../../functions/utils/searchUtils');
+
+// The spelling vocabulary is read fresh for every test
+jest.mock('../../../../functions/utils/cache', () => ({
+  ...jest.requireActual('../../../../functions/utils/cache'),
+  getOrSet: jest.fn((key, fn) => fn())
+}));
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+/**
+ * Make a model's search queries return documents for some search terms.
+ * `matches` maps a text search or a prefix word to the documents it finds.
+ */
+const stubSearch = (Model, matches = {}, facets = {}) => {
+  const lookup = (filter) => {
+    const match = filter.$and[0].$and[0];
+    if (match.$text) return matches[match.$text.$search] || [];
+    const word = match.$and.map(({ $or }) => $or[0][Object.keys($or[0])[0]].$regex.slice(2)).join(' ');
+    return matches[`prefix:${word}`] || [];
+  };
+
+  jest.spyOn(Model, 'find').mockImplementation((filter) => {
+    const chain = {
+      select: () => chain,
+      skip: () => chain,
+      limit: () => chain,
+      sort: () => chain,
+      populate: () => chain,
+      lean: async () => lookup(filter)
+    };
+    return chain;
+  });
+  jest.spyOn(Model, 'countDocuments').mockImplementation(async filter => lookup(filter).length);
+  jest.spyOn(Model, 'aggregate').mockResolvedValue([facets]);
+  jest.spyOn(Model, 'distinct').mockResolvedValue([]);
+};
+
+describe('Search', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    [Coupon, Cashback, Store, Blog].forEach(Model => stubSearch(Model));
+  });
+
+  describe('spelling', () => {
+    it('splits queries into lowercase words', () => {
+      expect(tokenize('Nike Air-Max 90, Café!')).toEqual(['nike', 'air', 'max', '90', 'café']);
+    });
+
+    it('measures edit distance, counting a swapped pair as one edit', () => {
+      expect(editDistance('amazon', 'amazno', 2)).toBe(1);
+      expect(editDistance('adidas', 'adiddas', 2)).toBe(1);
+      expect(editDistance('kitten', 'sitting', 2)).toBe(3);
+      expect(editDistance('ebay', 'electronics', 2)).toBe(3);
+    });
+
+    it('corrects misspelled words against store names, categories and tags', async () => {
+      Store.distinct.mockImplementation(async field => (field === 'name' ? ['Amazon', 'Best Buy'] : ['Electronics']));
+
+      expect(await correctQuery('amazno electroncs')).toBe('amazon electronics');
+      expect(await correctQuery('amazon tv')).toBeNull();
+      expect(await correctQuery('xyzzy')).toBeNull();
+    });
+  });
+
+  describe('snippets', () => {
+    it('shows the field that mentions a search word', () => {
+      expect(buildSnippet({ description: 'Free delivery', title: 'Winter boots sale' }, ['description', 'title'], ['boots']))
+        .toBe('Winter boots sale');
+    });
+
+    it('cuts long text down around the match and strips HTML', () => {
+      const content = `<p>${'Filler text. '.repeat(30)}Our <b>headphones</b> guide.${' More filler.'.repeat(30)}</p>`;
+      const snippet = buildSnippet({ content }, ['content'], ['headphones']);
+
+      expect(snippet).toMatch(/^….*headphones guide.*…$/);
+      expect(snippet).not.toMatch(/</);
+      expect(snippet.length).toBeLessThanOrEqual(162);
+    });
+  });
+
+  describe('search', () => {
+    it('ranks every collection by text score and totals the matches', async () => {
+      stubSearch(Coupon, { shoes: [{ _id: 'c1', title: 'Shoes 20% off', description: 'All shoes' }] }, {
+        category: [{ _id: 'Fashion', count: 1 }],
+        store: [{ _id: 's1', name: 'Acme', count: 1 }]
+      });
+      stubSearch(Store, { shoes: [{ _id: 's1', name: 'Acme', description: 'Shoes and more' }] });
+
+      const result = await search('shoes', { now });
+
+      expect(result).toMatchObject({ query: 'shoes', correctedQuery: null, matchMode: 'text', terms: ['shoes'], totalResults: 2 });
+      expect(result.results.coupons.data[0].snippet).toBe('All shoes');
+      expect(result.facets.coupons).toEqual({
+        category: [{ value: 'Fashion', count: 1 }],
+        store: [{ value: 's1', name: 'Acme', count: 1 }]
+      });
+      expect(Coupon.find.mock.calls[0][0].$and[0].$and[0]).toEqual({ $text: { $search: 'shoes' } });
+    });
+
+    it('searches the corrected query when the original finds nothing', async () => {
+      Store.distinct.mockImplementation(async field => (field === 'name' ? ['Amazon'] : []));
+      stubSearch(Cashback, { amazon: [{ _id: 'o1', title: 'Amazon 5% back' }] });
+
+      const result = await search('amazno', { now });
+
+      expect(result).toMatchObject({ correctedQuery: 'amazon', matchMode: 'corrected', terms: ['amazon'], totalResults: 1 });
+    });
+
+    it('falls back to matching words by prefix', async () => {
+      stubSearch(Blog, { 'prefix:head': [{ _id: 'b1', title: 'Headphone deals', content: '<p>Long read</p>' }] });
+
+      const result = await search('head', { now });
+
+      expect(result).toMatchObject({ correctedQuery: null, matchMode: 'prefix', totalResults: 1 });
+      expect(result.results.blogs.data[0]).toEqual({ _id: 'b1', title: 'Headphone deals', snippet: 'Long read' });
+    });
+
+    it('keeps prefix matches of coupons limited to live coupons', async () => {
+      await search('head', { type: 'coupons', now });
+
+      const [prefix, live] = Coupon.find.mock.calls[Coupon.find.mock.calls.length - 1][0].$and[0].$and;
+      expect(prefix.$and[0].$or).toContainEqual({ code: { $regex: '\\bhead', $options: 'i' } });
+      expect(live).toMatchObject({ isActive: true, $and: expect.any(Array) });
+    });
+
+    it('skips collections a facet filter cannot apply to', async () => {
+      const result = await search('shoes', { type: 'stores', filters: { discountType: 'percentage' }, now });
+
+      expect(Object.keys(result.results)).toEqual(['stores']);
+      expect(Store.find).not.toHaveBeenCalled();
+    });
+
+    it('applies facet filters after counting the facets', async () => {
+      stubSearch(Coupon, { shoes: [{ _id: 'c1', title: 'Shoes' }] });
+
+      await search('shoes', { type: 'coupons', page: 2, limit: 5, filters: { expiry: 'week', category: 'Fashion' }, now });
+
+      const [filter] = Coupon.find.mock.calls[0];
+      expect(filter.$and[1]).toEqual({ category: 'Fashion', expiryDate: { $lte: new Date('2026-10-26T12:00:00Z') } });
+      expect(JSON.stringify(Coupon.aggregate.mock.calls[0][0][0].$match)).not.toMatch(/Fashion/);
+    });
+  });
+});
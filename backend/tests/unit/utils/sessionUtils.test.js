@@ -0,0 +1,130 @@
+process.env.CLOUD_RUNTIME_CONFIG = JSON.stringify({
+  secrets: { jwt_secret: 'test-jwt-secret', jwt_refresh_secret: 'test-refresh-secret' }
+});
+
+const User = require('../../../../functions/models/User');
+const { notifyUser } = require('../../../../functions/utils/notificationUtils');
+const {
+  MAX_SESSIONS,
+  describeDevice,
+  getRequestLocation,
+  startSession,
+  listSessions
+} = require('../../../../functions/utils/sessionUtils');
+
+jest.mock('../../../../functions/utils/notificationUtils', () => ({
+  notifyUser: jest.fn().mockResolvedValue(null)
+}));
+
+const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0 Safari/537.36';
+const SAFARI_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+
+/**
+ * Build a sign-in request with some headers
+ */
+const request = (headers = {}) => ({
+  ip: '203.0.113.7',
+  get: name => headers[name]
+});
+
+describe('Sessions', () => {
+  let user;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    notifyUser.mockClear();
+
+    user = new User({ email: 'shopper@example.com', password: 'hashed' });
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+  });
+
+  describe('devices', () => {
+    it('names the browser and system of a user agent', () => {
+      expect(describeDevice(CHROME_WINDOWS)).toBe('Chrome on Windows');
+      expect(describeDevice(SAFARI_IPHONE)).toBe('Safari on iOS');
+      expect(describeDevice('Mozilla/5.0 (X11; Linux x86_64; rv:131.0) Gecko/20100101 Firefox/131.0')).toBe('Firefox on Linux');
+      expect(describeDevice('curl/8.0')).toBe('Unknown device');
+      expect(describeDevice(undefined)).toBe('Unknown device');
+    });
+
+    it('reads the location from the load balancer headers', () => {
+      expect(getRequestLocation(request({
+        'X-Appengine-City': 'austin',
+        'X-Appengine-Region': 'tx',
+        'X-Appengine-Country': 'US'
+      }))).toBe('Austin, TX, US');
+      expect(getRequestLocation(request({ 'X-Appengine-City': '?', 'X-Client-Geo-Location': 'Berlin' }))).toBe('Berlin');
+      expect(getRequestLocation(request())).toBeNull();
+    });
+  });
+
+  describe('new-device alerts', () => {
+    it('does not alert for the first device a user signs in from', async () => {
+      await startSession(user, request({ 'User-Agent': CHROME_WINDOWS }));
+
+      expect(user.knownDevices).toHaveLength(1);
+      expect(notifyUser).not.toHaveBeenCalled();
+    });
+
+    it('alerts once when a known user signs in from a new device', async () => {
+      await startSession(user, request({ 'User-Agent': CHROME_WINDOWS }));
+      await startSession(user, request({ 'User-Agent': SAFARI_IPHONE, 'X-Appengine-City': 'austin', 'X-Appengine-Country': 'US' }));
+      await startSession(user, request({ 'User-Agent': SAFARI_IPHONE }));
+
+      expect(notifyUser).toHaveBeenCalledTimes(1);
+      expect(notifyUser).toHaveBeenCalledWith(user._id, expect.objectContaining({
+        title: 'New sign-in to your account',
+        message: expect.stringContaining('from Safari on iOS near Austin, US.'),
+        priority: 'high'
+      }));
+    });
+
+    it('tells devices apart by the ID the client sends', async () => {
+      await startSession(user, request({ 'User-Agent': CHROME_WINDOWS, 'X-Device-Id': 'laptop' }));
+      await startSession(user, request({ 'User-Agent': CHROME_WINDOWS, 'X-Device-Id': 'desktop' }));
+
+      expect(user.knownDevices).toHaveLength(2);
+      expect(notifyUser).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not alert for the session created at sign-up', async () => {
+      await startSession(user, request({ 'User-Agent': CHROME_WINDOWS }));
+      await startSession(user, request({ 'User-Agent': SAFARI_IPHONE }), { alert: false });
+
+      expect(user.knownDevices).toHaveLength(2);
+      expect(notifyUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('session list', () => {
+    it('records each sign-in as a session and keeps the most recent ones', async () => {
+      const sessions = [];
+      for (let i = 0; i <= MAX_SESSIONS; i += 1) {
+        sessions.push(await startSession(user, request({ 'User-Agent': CHROME_WINDOWS })));
+      }
+
+      expect(user.refreshTokens).toHaveLength(MAX_SESSIONS);
+      expect(user.refreshTokens.map(({ _id }) => String(_id))).not.toContain(String(sessions[0].sessionId));
+      expect(user.refreshTokens[0]).toMatchObject({ device: CHROME_WINDOWS, ip: '203.0.113.7' });
+    });
+
+    it('lists unexpired sessions, the current one first, then by last use', async () => {
+      const now = new Date('2026-10-19T12:00:00Z');
+      const hoursAgo = hours => new Date(now.getTime() - hours * 60 * 60 * 1000);
+      user.refreshTokens = [
+        { token: 'a', device: CHROME_WINDOWS, lastUsed: hoursAgo(5), expiresAt: hoursAgo(-24) },
+        { token: 'b', device: SAFARI_IPHONE, lastUsed: hoursAgo(1), expiresAt: hoursAgo(-24), location: 'Austin, US' },
+        { token: 'c', device: CHROME_WINDOWS, lastUsed: hoursAgo(9), expiresAt: hoursAgo(-24) },
+        { token: 'd', device: CHROME_WINDOWS, lastUsed: hoursAgo(30), expiresAt: hoursAgo(2) }
+      ];
+      const [first, second, third] = user.refreshTokens;
+
+      const sessions = listSessions(user, String(third._id), now);
+
+      expect(sessions.map(({ id }) => String(id))).toEqual([third, second, first].map(({ _id }) => String(_id)));
+      expect(sessions[0]).toMatchObject({ device: 'Chrome on Windows', isCurrentSession: true, location: null });
+      expect(sessions[1]).toMatchObject({ device: 'Safari on iOS', isCurrentSession: false, location: 'Austin, US' });
+      expect(sessions[0]).not.toHaveProperty('token');
+    });
+  });
+});
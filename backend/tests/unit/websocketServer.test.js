@@ -0,0 +1,61 @@
+process.env.CLOUD_RUNTIME_CONFIG = JSON.stringify({
+  secrets: { jwt_secret: 'test-jwt-secret', jwt_refresh_secret: 'test-refresh-secret' }
+});
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../../../functions/models/User');
+const tokenRevocation = require('../../../functions/utils/tokenRevocation');
+const { generateAccessToken, revokeToken } = require('../../../functions/utils/jwtUtils');
+const { authenticateConnection, startWebSocketServer } = require('../../../functions/websocket-server');
+
+describe('WebSocket authentication', () => {
+  let user, sessionId, token;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    tokenRevocation.setRevocationStore(tokenRevocation.createMemoryRevocationStore());
+
+    sessionId = new mongoose.Types.ObjectId();
+    user = new User({ email: 'shopper@example.com', password: 'hashed' });
+    user.refreshTokens.push({ _id: sessionId, token: 'refresh', expiresAt: new Date(Date.now() + 60000) });
+    token = generateAccessToken(user, undefined, { sessionId });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+  });
+
+  const connect = (query = {}) => authenticateConnection({ userId: String(user._id), token, ...query });
+
+  it('accepts a current access token for its own user', async () => {
+    await expect(connect()).resolves.toBe(String(user._id));
+  });
+
+  it('rejects a missing, forged or someone else\'s token', async () => {
+    await expect(connect({ token: undefined })).rejects.toThrow('Missing userId or token');
+    await expect(connect({ token: jwt.sign({ userId: user._id }, 'other-secret') })).rejects.toThrow('Invalid or expired token');
+    await expect(connect({ userId: String(new mongoose.Types.ObjectId()) })).rejects.toThrow('User ID mismatch');
+  });
+
+  it('rejects a token revoked at logout', async () => {
+    await revokeToken(token);
+
+    await expect(connect()).rejects.toThrow('Invalid or expired token');
+  });
+
+  it('rejects a token issued before the user\'s tokens were revoked', async () => {
+    user.tokenVersion = 1;
+
+    await expect(connect()).rejects.toThrow('Token has been revoked');
+  });
+
+  it('rejects a token of a session that was signed out', async () => {
+    user.refreshTokens = [];
+
+    await expect(connect()).rejects.toThrow('Session has been revoked');
+  });
+});
+
+describe('WebSocket server process', () => {
+  it('refuses to start without Redis, the only way notifications from the API reach it', async () => {
+    await expect(startWebSocketServer(0)).rejects.toThrow('Redis must be enabled');
+  });
+});
@@ -5,7 +5,27 @@
  */
 
 const mongoose = require('mongoose');
-const { User, Coupon, Cashback, Blog, Store, Transaction, Notification, Favorite, Review } = require('../models');
+const { User, Coupon, Cashback, Blog, Store, Transaction, Notification, Favorite, Review, LedgerEntry, PayoutBatch, Click, CashbackClaim, Referral, LoyaltyPointEntry, LoyaltySettings, ExchangeRate, CouponFeedback, ReviewVote, FeedRun, ApiKey, RateLimitEntry, RevokedToken, PasskeyChallenge } = require('../models');
+
+/**
+ * Make sure the server supports multi-document transactions. The ledger posts every
+ * transaction status change in one, which a standalone mongod cannot run - MongoDB
+ * must be a replica set (a single-node one is enough for development) or a sharded cluster.
+ * @param {Object} connection - Mongoose connection
+ * @throws {Error} If the server is a standalone instance
+ */
+const assertTransactionSupport = async (connection) => {
+  const admin = connection.db.admin();
+  // `hello` replaced `isMaster` in MongoDB 4.4.2
+  const hello = await admin.command({ hello: 1 }).catch(() => admin.command({ isMaster: 1 }));
+
+  if (!hello.setName && hello.msg !== 'isdbgrid') {
+    throw new Error(
+      `MongoDB at ${connection.host} is a standalone server, but the balance ledger needs transactions. ` +
+      'Run MongoDB as a replica set (e.g. mongod --replSet rs0, then rs.initiate()) and add ?replicaSet=<name> to MONGO_URI.'
+    );
+  }
+};
 
 /**
  * Configure MongoDB connection with connection pooling
@@ -34,6 +54,13 @@ const connectDatabase = async (uri = process.env.MONGO_URI) => {
 
     const conn = await mongoose.connect(uri, options);
 
+    try {
+      await assertTransactionSupport(conn.connection);
+    } catch (error) {
+      await mongoose.disconnect();
+      throw error;
+    }
+
     console.log(`MongoDB Connected: ${conn.connection.host} (Pool size: ${options.maxPoolSize})`);
     
     // Set up global connection error handler
@@ -87,6 +114,23 @@ const createIndexSafely = async (collection, keys, options = {}) => {
   }
 };
 
+/**
+ * Helper function to drop an index that no longer matches its model
+ * @param {Object} collection - MongoDB collection
+ * @param {string} name - Index name
+ */
+const dropIndexSafely = async (collection, name) => {
+  try {
+    await collection.dropIndex(name);
+    console.log(`Dropped stale index ${name}`);
+  } catch (error) {
+    // IndexNotFound, or the collection does not exist yet
+    if (error.code !== 27 && error.codeName !== 'NamespaceNotFound') {
+      console.error(`Failed to drop index ${name}: ${error.message}`);
+    }
+  }
+};
+
 const createIndexes = async () => {
   try {
     console.log('Creating database indexes...');
@@ -102,6 +146,11 @@ const createIndexes = async () => {
     await createIndexSafely(User.collection, { 'role': 1 });
     await createIndexSafely(User.collection, { 'verified': 1 });
     await createIndexSafely(User.collection, { 'joinDate': 1 });
+    // A passkey belongs to one account
+    await createIndexSafely(User.collection, { 'passkeys.credentialId': 1 }, {
+      unique: true,
+      partialFilterExpression: { 'passkeys.credentialId': { $exists: true } }
+    });
     await createIndexSafely(User.collection, { 'lastLogin': 1 });
     // Compound index for user search and filtering
     await createIndexSafely(User.collection, { 'role': 1, 'verified': 1, 'lastLogin': -1 });
@@ -129,22 +178,29 @@ const createIndexes = async () => {
     await createIndexSafely(Coupon.collection, { usageCount: -1 });
     // Compound indexes for common query patterns
     await createIndexSafely(Coupon.collection, { isActive: 1, expiryDate: 1 });
+    await createIndexSafely(Coupon.collection, { isActive: 1, startDate: 1 });
     await createIndexSafely(Coupon.collection, { store: 1, isActive: 1 });
     await createIndexSafely(Coupon.collection, { category: 1, isActive: 1 });
-    // Text index for coupon search
+    await createIndexSafely(Coupon.collection, { 'review.flagged': 1, 'review.flaggedAt': -1 });
+    await createIndexSafely(Coupon.collection, { 'feedSource.network': 1, 'feedSource.offerId': 1 },
+      { unique: true, partialFilterExpression: { 'feedSource.offerId': { $exists: true } } });
+    // Text index for coupon search; replaces the one that left out tags
+    await dropIndexSafely(Coupon.collection, 'coupon_text_search');
     await createIndexSafely(Coupon.collection, { 
       title: 'text', 
       description: 'text', 
       code: 'text',
-      category: 'text'
+      category: 'text',
+      tags: 'text'
     }, { 
       weights: { 
-        title: 10, 
-        code: 5, 
+        code: 10,
+        title: 5,
         description: 3,
-        category: 2
+        category: 2,
+        tags: 1
       },
-      name: 'coupon_text_search'
+      name: 'coupon_search'
     });
 
     // Cashback indexes
@@ -160,6 +216,8 @@ const createIndexes = async () => {
     await createIndexSafely(Cashback.collection, { store: 1, isActive: 1 });
     await createIndexSafely(Cashback.collection, { category: 1, isActive: 1 });
     await createIndexSafely(Cashback.collection, { featured: 1, amount: -1 });
+    await createIndexSafely(Cashback.collection, { 'feedSource.network': 1, 'feedSource.offerId': 1 },
+      { unique: true, partialFilterExpression: { 'feedSource.offerId': { $exists: true } } });
     // Text index for cashback search
     await createIndexSafely(Cashback.collection, { 
       title: 'text', 
@@ -187,22 +245,23 @@ const createIndexes = async () => {
     await createIndexSafely(Blog.collection, { isPublished: 1, publishedAt: -1 });
     await createIndexSafely(Blog.collection, { category: 1, isPublished: 1 });
     await createIndexSafely(Blog.collection, { tags: 1, isPublished: 1 });
-    // Text index for blog search
+    // Text index for blog search; replaces the one built on the nonexistent excerpt field
+    await dropIndexSafely(Blog.collection, 'blog_text_search');
     await createIndexSafely(Blog.collection, { 
       title: 'text', 
+      summary: 'text',
       content: 'text',
-      excerpt: 'text',
       tags: 'text',
       category: 'text'
     }, { 
       weights: { 
         title: 10, 
-        excerpt: 5,
+        summary: 5,
         content: 3,
         tags: 2,
         category: 1
       },
-      name: 'blog_text_search'
+      name: 'blog_search'
     });
 
     // Store indexes
@@ -214,27 +273,25 @@ const createIndexes = async () => {
     await createIndexSafely(Store.collection, { cashbackPercentage: -1 });
     await createIndexSafely(Store.collection, { averageRating: -1 });
     await createIndexSafely(Store.collection, { popularityScore: -1 });
+    await createIndexSafely(Store.collection, { 'affiliateMerchants.network': 1, 'affiliateMerchants.merchantId': 1 });
     // Compound indexes for common query patterns
     await createIndexSafely(Store.collection, { isActive: 1, isFeatured: 1 });
     await createIndexSafely(Store.collection, { categories: 1, isActive: 1 });
     await createIndexSafely(Store.collection, { isActive: 1, cashbackPercentage: -1 });
     await createIndexSafely(Store.collection, { isActive: 1, averageRating: -1 });
-    // Text index for store search
+    // Text index for store search; replaces the one built on nonexistent fields
+    await dropIndexSafely(Store.collection, 'store_text_search');
     await createIndexSafely(Store.collection, { 
       name: 'text', 
-      description: 'text',
-      shortDescription: 'text',
       categories: 'text',
-      tags: 'text'
+      description: 'text'
     }, { 
       weights: { 
         name: 10, 
-        shortDescription: 5,
-        description: 3,
-        categories: 2,
-        tags: 1
+        categories: 3,
+        description: 2
       },
-      name: 'store_text_search'
+      name: 'store_search'
     });
 
     // Transaction indexes
@@ -256,6 +313,74 @@ const createIndexes = async () => {
     // Index for analytics queries
     await createIndexSafely(Transaction.collection, { 'purchaseDate': 1, 'status': 1, 'cashbackAmount': 1 });
 
+    // One transaction per store order - makes affiliate postbacks idempotent
+    await createIndexSafely(Transaction.collection, { store: 1, orderReference: 1 }, {
+      unique: true,
+      partialFilterExpression: { orderReference: { $type: 'string' } }
+    });
+
+    // Ledger indexes
+    await createIndexSafely(LedgerEntry.collection, { journalId: 1 });
+    await createIndexSafely(LedgerEntry.collection, { transaction: 1 });
+    await createIndexSafely(LedgerEntry.collection, { user: 1, account: 1 });
+    await createIndexSafely(LedgerEntry.collection, { user: 1, createdAt: -1 });
+
+    // Payout indexes
+    await createIndexSafely(Transaction.collection, { type: 1, status: 1, payoutBatch: 1 });
+    await createIndexSafely(PayoutBatch.collection, { reference: 1 }, { unique: true });
+    await createIndexSafely(PayoutBatch.collection, { status: 1, createdAt: -1 });
+
+    // Click indexes
+    await createIndexSafely(Click.collection, { subId: 1 }, { unique: true });
+    await createIndexSafely(Click.collection, { user: 1, createdAt: -1 });
+    await createIndexSafely(Click.collection, { store: 1, createdAt: -1 });
+    await createIndexSafely(Click.collection, { sessionId: 1 });
+
+    // Claim indexes
+    await createIndexSafely(CashbackClaim.collection, { status: 1, createdAt: 1 });
+    await createIndexSafely(CashbackClaim.collection, { user: 1, createdAt: -1 });
+    await createIndexSafely(CashbackClaim.collection, { store: 1, orderReference: 1 });
+
+    // Referral indexes
+    await createIndexSafely(Referral.collection, { referee: 1 }, {
+      unique: true,
+      partialFilterExpression: { referee: { $type: 'objectId' } }
+    });
+    await createIndexSafely(Referral.collection, { referrer: 1, status: 1, completedAt: -1 });
+    await createIndexSafely(Referral.collection, { referrer: 1, email: 1 });
+    await createIndexSafely(Referral.collection, { referrer: 1, invitedAt: -1 });
+
+    // Loyalty indexes
+    await createIndexSafely(LoyaltyPointEntry.collection, { sourceType: 1, source: 1, event: 1 }, { unique: true });
+    await createIndexSafely(LoyaltyPointEntry.collection, { user: 1, createdAt: -1 });
+    await createIndexSafely(LoyaltySettings.collection, { key: 1 }, { unique: true });
+
+    // Exchange rate indexes
+    await createIndexSafely(ExchangeRate.collection, { currency: 1, effectiveAt: -1 }, { unique: true });
+
+    // Coupon feedback indexes
+    await createIndexSafely(CouponFeedback.collection, { coupon: 1, voterKey: 1 }, { unique: true });
+    await createIndexSafely(CouponFeedback.collection, { coupon: 1, reportedAt: -1 });
+
+    // Feed run indexes
+    await createIndexSafely(FeedRun.collection, { network: 1, startedAt: -1 });
+    await createIndexSafely(FeedRun.collection, { startedAt: -1 });
+
+    // API key indexes
+    await createIndexSafely(ApiKey.collection, { keyId: 1 }, { unique: true });
+    await createIndexSafely(ApiKey.collection, { revokedAt: 1, createdAt: -1 });
+
+    // Rate limit store indexes (only used when Redis is not)
+    await createIndexSafely(RateLimitEntry.collection, { key: 1 }, { unique: true });
+    await createIndexSafely(RateLimitEntry.collection, { expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+    // Token revocation list indexes (only used when Redis is not)
+    await createIndexSafely(RevokedToken.collection, { jti: 1 }, { unique: true });
+    await createIndexSafely(RevokedToken.collection, { expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+    // Passkey sign-in challenge indexes
+    await createIndexSafely(PasskeyChallenge.collection, { expiresAt: 1 }, { expireAfterSeconds: 0 });
+
     // Notification indexes
     await createIndexSafely(Notification.collection, { user: 1 });
     await createIndexSafely(Notification.collection, { isRead: 1 });
@@ -266,6 +391,8 @@ const createIndexes = async () => {
     await createIndexSafely(Notification.collection, { 'user': 1, 'createdAt': -1 });
     await createIndexSafely(Notification.collection, { 'user': 1, 'type': 1 });
     await createIndexSafely(Notification.collection, { 'user': 1, 'isRead': 1, 'createdAt': -1 });
+    await createIndexSafely(Notification.collection, { expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await createIndexSafely(Notification.collection, { 'delivery.status': 1, 'delivery.scheduledFor': 1 });
     // Related document index
     await createIndexSafely(Notification.collection, { 'data.itemType': 1, 'data.itemId': 1 });
 
@@ -277,18 +404,22 @@ const createIndexes = async () => {
     // Compound indexes for common query patterns
     await createIndexSafely(Favorite.collection, { 'user': 1, 'itemType': 1 });
     await createIndexSafely(Favorite.collection, { 'user': 1, 'createdAt': -1 });
+    await createIndexSafely(Favorite.collection, { user: 1, itemType: 1, addedAt: -1 });
+    await createIndexSafely(Favorite.collection, { itemType: 1, itemId: 1, notifyOnExpiry: 1 });
+    await createIndexSafely(Favorite.collection, { itemType: 1, itemId: 1, notifyOnUpdates: 1 });
 
     // Review indexes
-    await createIndexSafely(Review.collection, { user: 1, store: 1 }, { unique: true });
-    await createIndexSafely(Review.collection, { store: 1 });
+    // Reviews have no `store` field, so the old unique { user, store } index allowed one review per user
+    await dropIndexSafely(Review.collection, 'user_1_store_1');
+    await createIndexSafely(Review.collection, { user: 1, itemType: 1, itemId: 1 }, { unique: true });
     await createIndexSafely(Review.collection, { rating: -1 });
-    await createIndexSafely(Review.collection, { isApproved: 1 });
     await createIndexSafely(Review.collection, { createdAt: -1 });
-    await createIndexSafely(Review.collection, { helpfulCount: -1 });
+    await createIndexSafely(Review.collection, { helpfulVotes: -1 });
     // Compound indexes for common query patterns
-    await createIndexSafely(Review.collection, { 'store': 1, 'isApproved': 1 });
-    await createIndexSafely(Review.collection, { 'store': 1, 'rating': -1 });
-    await createIndexSafely(Review.collection, { 'store': 1, 'isApproved': 1, 'createdAt': -1 });
+    await createIndexSafely(Review.collection, { itemType: 1, itemId: 1, status: 1, createdAt: -1 });
+    await createIndexSafely(Review.collection, { status: 1, createdAt: 1 });
+    await createIndexSafely(ReviewVote.collection, { review: 1, user: 1 }, { unique: true });
+    await createIndexSafely(ReviewVote.collection, { review: 1, vote: 1 });
     // Text index for review search
     await createIndexSafely(Review.collection, { 
       title: 'text', 
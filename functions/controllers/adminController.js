@@ -350,7 +350,8 @@ exports.getAnalytics = async (req, res) => {
 
         const recentCashbacks = await Cashback.find()
             .sort({ createdAt: -1 })
-            .limit(5);
+            .limit(5)
+            .populate('store', 'name logo');
 
         // Compile all analytics
         const analytics = {
@@ -7,6 +7,13 @@ const UserProfile = require('../models/UserProfile');
 const Recommendation = require('../models/Recommendation');
 const { logger } = require('../middleware/loggingMiddleware');
 
+// Replace a grouped store ID with the store's name
+const storeNameStages = [
+  { $lookup: { from: 'stores', localField: '_id', foreignField: '_id', as: 'store' } },
+  { $addFields: { _id: { $ifNull: [{ $arrayElemAt: ['$store.name', 0] }, 'Unknown store'] } } },
+  { $project: { store: 0 } }
+];
+
 /**
  * @desc    Get user activity analytics
  * @route   GET /api/analytics/users
@@ -169,7 +176,7 @@ exports.getCouponAnalytics = async (req, res) => {
     const couponsByStore = await Coupon.aggregate([
       {
         $group: {
-          _id: '$store.name',
+          _id: '$store',
           count: { $sum: 1 },
           totalRedemptions: { $sum: '$usageCount' },
           averageDiscount: { $avg: '$discount' }
@@ -180,7 +187,8 @@ exports.getCouponAnalytics = async (req, res) => {
       },
       {
         $limit: 10
-      }
+      },
+      ...storeNameStages
     ]);
 
     // Overall coupon statistics
@@ -306,7 +314,7 @@ exports.getContentAnalytics = async (req, res) => {
     const cashbacksByStore = await Cashback.aggregate([
       {
         $group: {
-          _id: '$store.name',
+          _id: '$store',
           count: { $sum: 1 },
           averageAmount: { $avg: '$amount' }
         }
@@ -316,7 +324,8 @@ exports.getContentAnalytics = async (req, res) => {
       },
       {
         $limit: 10
-      }
+      },
+      ...storeNameStages
     ]);
 
     res.status(200).json({
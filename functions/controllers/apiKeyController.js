@@ -0,0 +1,177 @@
+/**
+ * @module controllers/apiKeyController
+ * @description Controller for the API keys partner integrations use
+ */
+
+const functions = require('firebase-functions');
+const ApiKey = require('../models/ApiKey');
+const { ApiError } = require('../middleware/errorHandlerMiddleware');
+const { paginateQuery } = require('../middleware/paginationMiddleware');
+const { sendSuccess, sendPaginated } = require('../utils/responseUtil');
+
+/**
+ * Get API key settings from config
+ * @returns {Object} { rotationGraceHours }
+ */
+const getApiKeySettings = () => {
+  const config = functions.config().api_keys || {};
+  const rotationGraceHours = parseFloat(config.rotation_grace_hours);
+  return {
+    // How long a rotated key keeps working unless the rotation says otherwise
+    rotationGraceHours: rotationGraceHours >= 0 ? Math.min(rotationGraceHours, ApiKey.MAX_ROTATION_GRACE_HOURS) : 24
+  };
+};
+
+/**
+ * Find a key by ID
+ * @param {string} id - ApiKey ID
+ * @returns {Promise<Object>} ApiKey document
+ */
+const findKey = async (id) => {
+  const apiKey = await ApiKey.findById(id);
+  if (!apiKey) {
+    throw new ApiError('API key not found', 404);
+  }
+  return apiKey;
+};
+
+/**
+ * @desc    Get API keys, newest first
+ * @route   GET /api/api-keys
+ * @access  Private (admin only)
+ */
+exports.getKeys = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.status === 'active') filter.revokedAt = null;
+    if (req.query.status === 'revoked') filter.revokedAt = { $ne: null };
+    if (req.query.scope) filter.scopes = req.query.scope;
+
+    const result = await paginateQuery(ApiKey, filter, {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      sort: { createdAt: -1 },
+      select: '-keyHash -previousKeyHash -usage.daily',
+      populate: { path: 'createdBy', select: 'firstName lastName email' }
+    });
+
+    return sendPaginated(res, result.data, result.pagination, 'API keys retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get an API key with its daily usage over the last 30 days
+ * @route   GET /api/api-keys/:id
+ * @access  Private (admin only)
+ */
+exports.getKey = async (req, res, next) => {
+  try {
+    const apiKey = await findKey(req.params.id);
+    const { daily, ...usage } = apiKey.toJSON().usage;
+
+    return sendSuccess(res, {
+      ...apiKey.toJSON(),
+      usage,
+      dailyUsage: apiKey.dailyUsage(30)
+    }, 'API key retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Create an API key; the key is only returned now
+ * @route   POST /api/api-keys
+ * @access  Private (admin only)
+ */
+exports.createKey = async (req, res, next) => {
+  try {
+    const { name, scopes, rateLimit, expiresAt } = req.body;
+    const { apiKey, key } = await ApiKey.issue({
+      name,
+      scopes,
+      rateLimit,
+      expiresAt: expiresAt || undefined,
+      createdBy: req.user.userId
+    });
+
+    return sendSuccess(res, { apiKey, key }, 'API key created. Store the key now - it cannot be shown again', 201);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Update an API key's name, scopes, rate limit or expiry
+ * @route   PUT /api/api-keys/:id
+ * @access  Private (admin only)
+ */
+exports.updateKey = async (req, res, next) => {
+  try {
+    const apiKey = await findKey(req.params.id);
+    if (apiKey.revokedAt) {
+      throw new ApiError('Revoked API keys cannot be changed', 400);
+    }
+
+    ['name', 'scopes', 'rateLimit', 'expiresAt'].forEach(field => {
+      if (req.body[field] !== undefined) apiKey[field] = req.body[field];
+    });
+    await apiKey.save();
+
+    return sendSuccess(res, apiKey, 'API key updated successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Replace an API key with a new one; the old one keeps working for a grace period
+ * @route   POST /api/api-keys/:id/rotate
+ * @access  Private (admin only)
+ */
+exports.rotateKey = async (req, res, next) => {
+  try {
+    const apiKey = await findKey(req.params.id);
+    if (!apiKey.isUsable()) {
+      throw new ApiError('Revoked or expired API keys cannot be rotated', 400);
+    }
+
+    const graceHours = req.body.graceHours !== undefined
+      ? Number(req.body.graceHours)
+      : getApiKeySettings().rotationGraceHours;
+    const key = apiKey.rotate(graceHours * 60 * 60 * 1000);
+    await apiKey.save();
+
+    const message = graceHours > 0
+      ? `API key rotated. The old key keeps working until ${apiKey.previousKeyExpiresAt.toISOString()}`
+      : 'API key rotated. The old key no longer works';
+    return sendSuccess(res, { apiKey, key }, message);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Revoke an API key, along with any previous key still in its grace period
+ * @route   DELETE /api/api-keys/:id
+ * @access  Private (admin only)
+ */
+exports.revokeKey = async (req, res, next) => {
+  try {
+    const apiKey = await findKey(req.params.id);
+    if (apiKey.revokedAt) {
+      throw new ApiError('API key is already revoked', 400);
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user.userId;
+    apiKey.previousKeyExpiresAt = undefined;
+    await apiKey.save();
+
+    return sendSuccess(res, apiKey, 'API key revoked successfully');
+  } catch (err) {
+    next(err);
+  }
+};
@@ -7,12 +7,11 @@ const bcrypt = require('bcrypt');
 const crypto = require('crypto');
 const User = require('../models/User');
 const { 
-  generateAccessToken, 
-  generateRefreshToken, 
-  refreshAccessToken,
-  blacklistToken,
+  verifyRefreshToken,
+  revokeToken,
   revokeUserTokens
 } = require('../utils/jwtUtils');
+const { getRevocation } = require('../utils/tokenRevocation');
 const { resetLoginRateLimit } = require('../middleware/rateLimitMiddleware');
 const { 
   sendVerificationEmail, 
@@ -29,6 +28,25 @@ const {
   hashBackupCode,
   verifyBackupCode
 } = require('../utils/twoFactorUtils');
+const { findReferrerByCode, attributeReferral } = require('../utils/referralUtils');
+const {
+  REUSE_GRACE_MS,
+  startSession,
+  rotateSession,
+  endReusedTokenFamily,
+  listSessions
+} = require('../utils/sessionUtils');
+const { SESSION_COOKIE } = require('../utils/clickUtils');
+const {
+  MAX_PASSKEYS,
+  createRegistrationOptions,
+  verifyRegistration,
+  createAuthenticationOptions,
+  verifyAuthentication,
+  createLoginOptions,
+  verifyLogin,
+  describePasskey
+} = require('../utils/webauthnUtils');
 
 /**
  * Generate a random token
@@ -45,7 +63,7 @@ const generateRandomToken = () => {
  */
 exports.register = async (req, res) => {
   try {
-    const { email, password, firstName, lastName } = req.body;
+    const { email, password, firstName, lastName, referralCode } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -57,6 +75,14 @@ exports.register = async (req, res) => {
       });
     }
 
+    if (referralCode && !(await findReferrerByCode(referralCode))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid referral code',
+        code: 'INVALID_REFERRAL_CODE'
+      });
+    }
+
     // Generate verification token
     const verificationToken = generateRandomToken();
     const tokenExpiry = new Date();
@@ -75,28 +101,30 @@ exports.register = async (req, res) => {
       verificationTokenExpires: tokenExpiry,
       verified: false,
       joinDate: new Date(),
-      referralCode: crypto.randomBytes(6).toString('hex')
+      signupIp: req.ip,
+      signupDeviceId: req.get('X-Device-Id')
     });
 
     await user.save();
 
+    if (referralCode) {
+      try {
+        await attributeReferral(user, referralCode, {
+          ip: req.ip,
+          deviceId: req.get('X-Device-Id'),
+          sessionId: req.cookies && req.cookies[SESSION_COOKIE]
+        });
+      } catch (error) {
+        // A failed attribution must not fail the sign-up
+        console.error('Referral attribution error:', error);
+      }
+    }
+
     // Send verification email
     await sendVerificationEmail(email, verificationToken);
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
-
-    // Store refresh token in user document
-    user.refreshTokens.push({
-      token: refreshToken,
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-      device: req.headers['user-agent'] || 'unknown',
-      ip: req.ip,
-      lastUsed: new Date()
-    });
-
-    await user.save();
+    // Start the first session; its device becomes the first known one, so no alert
+    const { accessToken, refreshToken } = await startSession(user, req, { alert: false });
 
     res.status(201).json({
       success: true,
@@ -240,7 +268,7 @@ exports.login = async (req, res) => {
     });
     
     // Reset rate limiter for this IP and email
-    resetLoginRateLimit(req.ip, email);
+    await resetLoginRateLimit(req.ip, email);
     
     // Check if 2FA is enabled
     if (user.twoFactorEnabled) {
@@ -264,6 +292,8 @@ exports.login = async (req, res) => {
         userId: user._id,
         tempToken,
         requiresTwoFactor: true,
+        // A registered passkey can be used instead of the code
+        twoFactorMethods: user.passkeys.length > 0 ? ['totp', 'passkey'] : ['totp'],
         code: 'TWO_FACTOR_REQUIRED'
       });
     }
@@ -272,25 +302,8 @@ exports.login = async (req, res) => {
     // Update last login time
     user.lastLogin = new Date();
     
-    // Generate tokens
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
-    
-    // Store refresh token in user document
-    user.refreshTokens.push({
-      token: refreshToken,
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-      device: req.headers['user-agent'] || 'unknown',
-      ip: req.ip,
-      lastUsed: new Date()
-    });
-    
-    // Limit the number of refresh tokens per user (keep the 5 most recent)
-    if (user.refreshTokens.length > 5) {
-      user.refreshTokens = user.refreshTokens.slice(-5);
-    }
-    
-    await user.save();
+    // Start a session, alerting the user if the device is new
+    const { accessToken, refreshToken } = await startSession(user, req);
 
     res.status(200).json({
       success: true,
@@ -324,9 +337,9 @@ exports.login = async (req, res) => {
  */
 exports.verifyTwoFactor = async (req, res) => {
   try {
-    const { userId, tempToken, code } = req.body;
+    const { userId, tempToken, code, passkey } = req.body;
     
-    if (!userId || !tempToken || !code) {
+    if (!userId || !tempToken || (!code && !passkey)) {
       return res.status(400).json({ 
         success: false, 
         message: 'Missing required fields',
@@ -348,10 +361,21 @@ exports.verifyTwoFactor = async (req, res) => {
       });
     }
     
-    // Verify the 2FA code
-    const isValid = verifyToken(user.twoFactorSecret, code);
-    
-    if (!isValid) {
+    if (passkey) {
+      // Verify the passkey assertion instead of a code
+      const usedPasskey = await verifyAuthentication(user, passkey, 'second-factor');
+      
+      if (!usedPasskey) {
+        // The challenge is used up either way
+        await user.save();
+        
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Passkey could not be verified',
+          code: 'INVALID_PASSKEY'
+        });
+      }
+    } else if (!verifyToken(user.twoFactorSecret, code)) {
       // Check if it's a backup code
       const isBackupCode = await verifyBackupCode(user, code);
       
@@ -371,25 +395,8 @@ exports.verifyTwoFactor = async (req, res) => {
     // Update last login time
     user.lastLogin = new Date();
     
-    // Generate tokens
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
-    
-    // Store refresh token in user document
-    user.refreshTokens.push({
-      token: refreshToken,
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-      device: req.headers['user-agent'] || 'unknown',
-      ip: req.ip,
-      lastUsed: new Date()
-    });
-    
-    // Limit the number of refresh tokens per user (keep the 5 most recent)
-    if (user.refreshTokens.length > 5) {
-      user.refreshTokens = user.refreshTokens.slice(-5);
-    }
-    
-    await user.save();
+    // Start a session, alerting the user if the device is new
+    const { accessToken, refreshToken } = await startSession(user, req);
     
     res.status(200).json({
       success: true,
@@ -417,7 +424,7 @@ exports.verifyTwoFactor = async (req, res) => {
 };
 
 /**
- * @desc    Refresh access token
+ * @desc    Refresh access token, rotating the refresh token
  * @route   POST /api/auth/refresh
  * @access  Public
  */
@@ -433,13 +440,9 @@ exports.refreshToken = async (req, res) => {
       });
     }
     
-    // Find user with this refresh token
-    const user = await User.findOne({
-      'refreshTokens.token': refreshToken,
-      'refreshTokens.expiresAt': { $gt: new Date() }
-    });
+    const decoded = verifyRefreshToken(refreshToken);
     
-    if (!user) {
+    if (!decoded) {
       return res.status(401).json({ 
         success: false, 
         message: 'Invalid refresh token',
@@ -447,19 +450,52 @@ exports.refreshToken = async (req, res) => {
       });
     }
     
-    // Update the last used timestamp for this refresh token
-    const tokenIndex = user.refreshTokens.findIndex(t => t.token === refreshToken);
-    if (tokenIndex !== -1) {
-      user.refreshTokens[tokenIndex].lastUsed = new Date();
-      await user.save();
+    // A refresh token that was already rotated is being used again
+    const revocation = await getRevocation(decoded.jti);
+    
+    if (revocation) {
+      if (revocation.reason === 'rotated' && Date.now() - revocation.revokedAt.getTime() > REUSE_GRACE_MS) {
+        const owner = await User.findById(decoded.userId);
+        if (owner) {
+          await endReusedTokenFamily(owner, decoded.sessionId);
+        }
+        
+        return res.status(401).json({ 
+          success: false, 
+          message: 'Refresh token has already been used. The session has been signed out to protect your account',
+          code: 'TOKEN_REUSED'
+        });
+      }
+      
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid refresh token',
+        code: 'INVALID_TOKEN'
+      });
     }
     
-    // Generate a new access token
-    const accessToken = generateAccessToken(user);
+    // Find user with this refresh token
+    const user = await User.findOne({
+      _id: decoded.userId,
+      refreshTokens: { $elemMatch: { token: refreshToken, expiresAt: { $gt: new Date() } } }
+    });
+    
+    const session = user && user.refreshTokens.find(t => t.token === refreshToken);
+    // Issue new tokens for the same session
+    const tokens = session && await rotateSession(user, session, refreshToken);
+    
+    if (!tokens) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid refresh token',
+        code: 'INVALID_TOKEN'
+      });
+    }
     
     res.status(200).json({
       success: true,
-      accessToken,
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
       expiresIn: 900 // 15 minutes in seconds
     });
   } catch (error) {
@@ -484,15 +520,15 @@ exports.logout = async (req, res) => {
     const token = req.token;
     
     if (token) {
-      // Blacklist the current access token
-      blacklistToken(token);
+      // Revoke the current access token on every instance
+      await revokeToken(token);
     }
     
-    if (refreshToken && req.user) {
-      // Remove the refresh token from the user's document
+    if (req.user && (refreshToken || req.user.sessionId)) {
+      // Remove the session from the user's document
       await User.updateOne(
         { _id: req.user.userId },
-        { $pull: { refreshTokens: { token: refreshToken } } }
+        { $pull: { refreshTokens: refreshToken ? { token: refreshToken } : { _id: req.user.sessionId } } }
       );
     }
     
@@ -1396,15 +1432,8 @@ exports.getSessions = async (req, res) => {
       });
     }
     
-    // Get active sessions (refresh tokens)
-    const sessions = user.refreshTokens.map(token => ({
-      id: token._id,
-      device: token.device,
-      ip: token.ip,
-      lastUsed: token.lastUsed,
-      expiresAt: token.expiresAt,
-      isCurrentSession: token.token === req.body.refreshToken
-    }));
+    // Get active sessions (refresh tokens); the access token names the session it belongs to
+    const sessions = listSessions(user, req.user.sessionId);
     
     res.status(200).json({
       success: true,
@@ -1448,7 +1477,15 @@ exports.revokeSession = async (req, res) => {
       });
     }
     
-    // Remove the session
+    if (!user.refreshTokens.some(token => String(token._id) === id)) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+    
+    // Remove the session; its access tokens stop working with it (see authMiddleware)
     await User.updateOne(
       { _id: req.user.userId },
       { $pull: { refreshTokens: { _id: id } } }
@@ -1456,7 +1493,8 @@ exports.revokeSession = async (req, res) => {
     
     res.status(200).json({
       success: true,
-      message: 'Session revoked successfully'
+      message: 'Session revoked successfully',
+      isCurrentSession: id === req.user.sessionId
     });
   } catch (error) {
     console.error('Revoke session error:', error);
@@ -1467,4 +1505,484 @@ exports.revokeSession = async (req, res) => {
       code: 'SERVER_ERROR'
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Get options for registering a passkey
+ * @route   POST /api/auth/passkeys/register/options
+ * @access  Private
+ */
+exports.getPasskeyRegistrationOptions = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+    
+    const user = await User.findById(req.user.userId);
+    
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+    
+    // A passkey can sign in on its own, so adding one needs the password
+    const isPasswordValid = await bcrypt.compare(req.body.password, user.password);
+    
+    if (!isPasswordValid) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid password',
+        code: 'INVALID_PASSWORD'
+      });
+    }
+    
+    if (user.passkeys.length >= MAX_PASSKEYS) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `You can register up to ${MAX_PASSKEYS} passkeys`,
+        code: 'PASSKEY_LIMIT_REACHED'
+      });
+    }
+    
+    const options = await createRegistrationOptions(user);
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      options
+    });
+  } catch (error) {
+    console.error('Passkey registration options error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message,
+      code: 'SERVER_ERROR'
+    });
+  }
+};
+
+/**
+ * @desc    Register a passkey
+ * @route   POST /api/auth/passkeys/register
+ * @access  Private
+ */
+exports.registerPasskey = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+    
+    const { response, name } = req.body;
+    
+    const user = await User.findById(req.user.userId);
+    
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+    
+    if (await User.exists({ 'passkeys.credentialId': response.id })) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'This passkey is already registered',
+        code: 'PASSKEY_EXISTS'
+      });
+    }
+    
+    const passkey = await verifyRegistration(user, response, name);
+    
+    // The challenge is used up either way
+    await user.save();
+    
+    if (!passkey) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Passkey could not be verified',
+        code: 'INVALID_PASSKEY'
+      });
+    }
+    
+    // Log the activity
+    await sendAccountActivityEmail(user.email, {
+      type: 'passkey_added',
+      timestamp: new Date(),
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Passkey registered successfully',
+      passkey: describePasskey(passkey)
+    });
+  } catch (error) {
+    console.error('Passkey registration error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message,
+      code: 'SERVER_ERROR'
+    });
+  }
+};
+
+/**
+ * @desc    Get the user's passkeys
+ * @route   GET /api/auth/passkeys
+ * @access  Private
+ */
+exports.getPasskeys = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+    
+    const user = await User.findById(req.user.userId).select('passkeys');
+    
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      passkeys: user.passkeys.map(describePasskey)
+    });
+  } catch (error) {
+    console.error('Get passkeys error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message,
+      code: 'SERVER_ERROR'
+    });
+  }
+};
+
+/**
+ * @desc    Rename a passkey
+ * @route   PATCH /api/auth/passkeys/:id
+ * @access  Private
+ */
+exports.renamePasskey = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+    
+    const user = await User.findById(req.user.userId);
+    const passkey = user && user.passkeys.id(req.params.id);
+    
+    if (!passkey) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Passkey not found',
+        code: 'PASSKEY_NOT_FOUND'
+      });
+    }
+    
+    passkey.name = req.body.name;
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Passkey renamed successfully',
+      passkey: describePasskey(passkey)
+    });
+  } catch (error) {
+    console.error('Rename passkey error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message,
+      code: 'SERVER_ERROR'
+    });
+  }
+};
+
+/**
+ * @desc    Remove a passkey
+ * @route   DELETE /api/auth/passkeys/:id
+ * @access  Private
+ */
+exports.deletePasskey = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+    
+    const user = await User.findById(req.user.userId);
+    const passkey = user && user.passkeys.id(req.params.id);
+    
+    if (!passkey) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Passkey not found',
+        code: 'PASSKEY_NOT_FOUND'
+      });
+    }
+    
+    // Verify password
+    const isPasswordValid = await bcrypt.compare(req.body.password, user.password);
+    
+    if (!isPasswordValid) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid password',
+        code: 'INVALID_PASSWORD'
+      });
+    }
+    
+    passkey.deleteOne();
+    await user.save();
+    
+    // Log the activity
+    await sendAccountActivityEmail(user.email, {
+      type: 'passkey_removed',
+      timestamp: new Date(),
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Passkey removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete passkey error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message,
+      code: 'SERVER_ERROR'
+    });
+  }
+};
+
+/**
+ * @desc    Get options for signing in with a passkey
+ * @route   POST /api/auth/passkeys/login/options
+ * @access  Public
+ */
+exports.getPasskeyLoginOptions = async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    
+    // Unknown emails get options too, so they cannot be told apart from accounts without passkeys
+    const hasPasskeys = Boolean(user && user.passkeys.length > 0);
+    // Each request gets its own challenge, so asking for options never cancels someone else's sign-in
+    const { options, challengeId } = await createLoginOptions(hasPasskeys ? user : null);
+    
+    res.status(200).json({
+      success: true,
+      options,
+      challengeId
+    });
+  } catch (error) {
+    console.error('Passkey login options error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message,
+      code: 'SERVER_ERROR'
+    });
+  }
+};
+
+/**
+ * @desc    Sign in with a passkey, without a password
+ * @route   POST /api/auth/passkeys/login
+ * @access  Public
+ */
+exports.loginWithPasskey = async (req, res) => {
+  try {
+    const { email, response, challengeId } = req.body;
+    const user = await User.findOne({ email });
+
+    if (!user) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid credentials',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    // Check if account is locked
+    if (user.accountLocked) {
+      if (user.accountLockedUntil && user.accountLockedUntil > new Date()) {
+        const minutesLeft = Math.ceil((user.accountLockedUntil - new Date()) / (1000 * 60));
+        return res.status(403).json({ 
+          success: false,
+          message: `Account is locked. Please try again in ${minutesLeft} minute(s)`,
+          code: 'ACCOUNT_LOCKED',
+          locked: true,
+          lockExpires: user.accountLockedUntil
+        });
+      } else {
+        // If lock period has expired, unlock the account
+        user.accountLocked = false;
+        user.loginAttempts = 0;
+        user.accountLockedUntil = null;
+      }
+    }
+
+    const passkey = await verifyLogin(user, response, challengeId);
+
+    // Update login history
+    if (!user.loginHistory) {
+      user.loginHistory = [];
+    }
+    
+    user.loginHistory.push({
+      timestamp: new Date(),
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      successful: Boolean(passkey)
+    });
+
+    if (!passkey) {
+      // Failed assertions count toward the lockout, as failed passwords do
+      user.loginAttempts += 1;
+      
+      // Lock account after 5 failed attempts
+      if (user.loginAttempts >= 5) {
+        user.accountLocked = true;
+        // Lock for 30 minutes
+        const lockUntil = new Date();
+        lockUntil.setMinutes(lockUntil.getMinutes() + 30);
+        user.accountLockedUntil = lockUntil;
+        
+        await user.save();
+        
+        return res.status(403).json({ 
+          success: false,
+          message: 'Account locked due to too many failed login attempts. Please try again in 30 minutes.',
+          code: 'ACCOUNT_LOCKED',
+          locked: true,
+          lockExpires: lockUntil
+        });
+      }
+      
+      await user.save();
+
+      return res.status(401).json({ 
+        success: false,
+        message: 'Invalid credentials',
+        code: 'INVALID_CREDENTIALS',
+        attemptsLeft: 5 - user.loginAttempts
+      });
+    }
+
+    // The passkey verified the user, so two-factor authentication is already satisfied
+    user.loginAttempts = 0;
+    user.lastLogin = new Date();
+    
+    // Reset rate limiter for this IP and email
+    await resetLoginRateLimit(req.ip, email);
+    
+    // Start a session, alerting the user if the device is new
+    const { accessToken, refreshToken } = await startSession(user, req);
+
+    res.status(200).json({
+      success: true,
+      accessToken,
+      refreshToken,
+      expiresIn: 900, // 15 minutes in seconds
+      user: {
+        id: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        verified: user.verified
+      }
+    });
+  } catch (error) {
+    console.error('Passkey login error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message,
+      code: 'SERVER_ERROR'
+    });
+  }
+};
+
+/**
+ * @desc    Get options for completing two-factor authentication with a passkey
+ * @route   POST /api/auth/2fa/passkey/options
+ * @access  Public
+ */
+exports.getTwoFactorPasskeyOptions = async (req, res) => {
+  try {
+    const { userId, tempToken } = req.body;
+    
+    const user = await User.findOne({ 
+      _id: userId, 
+      twoFactorTempToken: tempToken,
+      twoFactorTempTokenExpires: { $gt: new Date() }
+    });
+    
+    if (!user) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid or expired token',
+        code: 'INVALID_TOKEN'
+      });
+    }
+    
+    if (user.passkeys.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'No passkeys are registered',
+        code: 'NO_PASSKEYS'
+      });
+    }
+    
+    const options = await createAuthenticationOptions(user, 'second-factor');
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      options
+    });
+  } catch (error) {
+    console.error('2FA passkey options error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message,
+      code: 'SERVER_ERROR'
+    });
+  }
+};
@@ -0,0 +1,385 @@
+/**
+ * @module controllers/claimController
+ * @description Controller for missing-cashback claims and their review by support
+ */
+
+const CashbackClaim = require('../models/CashbackClaim');
+const Click = require('../models/Click');
+const Store = require('../models/Store');
+const Transaction = require('../models/Transaction');
+const { paginateQuery } = require('../middleware/paginationMiddleware');
+const { hasRole } = require('../middleware/roleMiddleware');
+const { ApiError } = require('../middleware/errorHandlerMiddleware');
+const { sendSuccess, sendPaginated } = require('../utils/responseUtil');
+const { runInSession, recordTransaction, publishTransactionCommitted } = require('../utils/ledgerUtils');
+const { notifyUser } = require('../utils/notificationUtils');
+const { getEffectiveCashbackPercentage } = require('../utils/loyaltyUtils');
+const { BASE_CURRENCY, getRate } = require('../utils/currencyUtils');
+const { saveReceipt, openReceipt, deleteReceipt } = require('../utils/receiptStorage');
+const { logger } = require('../middleware/loggingMiddleware');
+
+/**
+ * How long before a purchase a click-out still counts as its origin
+ */
+const CLICK_MATCH_WINDOW_DAYS = 7;
+
+/**
+ * Throw if the order is already tracked as a transaction or claimed in another open/approved claim
+ * @param {ObjectId} storeId - Store ID
+ * @param {string} orderReference - Order reference
+ * @param {ObjectId} [excludeClaimId] - Claim to ignore
+ */
+const assertOrderNotTracked = async (storeId, orderReference, excludeClaimId) => {
+  const tracked = await Transaction.exists({ store: storeId, orderReference });
+  if (tracked) {
+    throw new ApiError('This order is already tracked - no claim is needed', 409);
+  }
+
+  const claimFilter = {
+    store: storeId,
+    orderReference,
+    status: { $in: ['submitted', 'in_review', 'approved'] }
+  };
+  if (excludeClaimId) claimFilter._id = { $ne: excludeClaimId };
+
+  if (await CashbackClaim.exists(claimFilter)) {
+    throw new ApiError('A claim for this order has already been filed', 409);
+  }
+};
+
+/**
+ * Load a claim the requester may see (owner, or support and above)
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Claim document
+ */
+const findVisibleClaim = async (req) => {
+  const claim = await CashbackClaim.findById(req.params.id);
+  if (!claim) {
+    throw new ApiError('Claim not found', 404);
+  }
+
+  const isOwner = claim.user.toString() === req.user.userId.toString();
+  if (!isOwner && !hasRole(req.user.role, 'support')) {
+    throw new ApiError('Access denied: You do not own this claim', 403);
+  }
+  return claim;
+};
+
+/**
+ * Load a claim that support can still decide on
+ * @param {string} id - Claim ID
+ * @returns {Promise<Object>} Claim document
+ */
+const findOpenClaim = async (id) => {
+  const claim = await CashbackClaim.findById(id);
+  if (!claim) {
+    throw new ApiError('Claim not found', 404);
+  }
+  if (!claim.isOpen) {
+    throw new ApiError(`Claim has already been ${claim.status}`, 400);
+  }
+  return claim;
+};
+
+/**
+ * @desc    File a missing-cashback claim with a receipt image
+ * @route   POST /api/claims
+ * @access  Private
+ */
+exports.createClaim = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      throw new ApiError('A receipt image is required', 400);
+    }
+
+    const { storeId, orderReference, orderAmount, currency, purchaseDate, comments } = req.body;
+
+    const store = await Store.findById(storeId);
+    if (!store) {
+      throw new ApiError('Store not found', 404);
+    }
+
+    await assertOrderNotTracked(store._id, orderReference);
+
+    // Fail now rather than at approval if the order currency cannot be converted
+    await getRate(currency || BASE_CURRENCY);
+
+    // Attach the user's last click-out to the store before the purchase, to help support verify
+    const purchasedAt = new Date(purchaseDate);
+    const windowStart = new Date(purchasedAt);
+    windowStart.setDate(windowStart.getDate() - CLICK_MATCH_WINDOW_DAYS);
+    const click = await Click.findOne({
+      user: req.user.userId,
+      store: store._id,
+      transaction: { $exists: false },
+      createdAt: { $gte: windowStart, $lte: new Date(purchasedAt.getTime() + 24 * 60 * 60 * 1000) }
+    }).sort({ createdAt: -1 });
+
+    // Uploaded only once the claim has passed its checks
+    const receiptPath = await saveReceipt(req.user.userId, req.file);
+
+    let claim;
+    try {
+      claim = await CashbackClaim.create({
+        user: req.user.userId,
+        store: store._id,
+        orderReference,
+        orderAmount: parseFloat(orderAmount),
+        currency,
+        purchaseDate: purchasedAt,
+        comments,
+        click: click ? click._id : undefined,
+        receipt: {
+          path: receiptPath,
+          originalName: req.file.originalname,
+          mimeType: req.file.mimetype,
+          size: req.file.size
+        }
+      });
+    } catch (error) {
+      deleteReceipt(receiptPath).catch(deleteError => {
+        logger.error(`Failed to delete receipt ${receiptPath} of a rejected claim: ${deleteError.message}`);
+      });
+      throw error;
+    }
+
+    return sendSuccess(res, claim, 'Claim submitted successfully', 201);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the authenticated user's claims
+ * @route   GET /api/claims
+ * @access  Private
+ */
+exports.getMyClaims = async (req, res, next) => {
+  try {
+    const filter = { user: req.user.userId };
+    if (req.query.status) filter.status = req.query.status;
+
+    const result = await paginateQuery(CashbackClaim, filter, {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      sort: { createdAt: -1 },
+      populate: [{ path: 'store', select: 'name logo' }],
+      select: '-reviewNotes -assignedTo -__v'
+    });
+
+    return sendPaginated(res, result.data, result.pagination, 'Claims retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    List claims for review
+ * @route   GET /api/claims/admin
+ * @access  Private (support and above)
+ */
+exports.getClaimQueue = async (req, res, next) => {
+  try {
+    const { status, store, user, assignedTo } = req.query;
+    const filter = { status: status ? { $in: status.split(',') } : { $in: ['submitted', 'in_review'] } };
+    if (store) filter.store = store;
+    if (user) filter.user = user;
+    if (assignedTo) filter.assignedTo = assignedTo;
+
+    const result = await paginateQuery(CashbackClaim, filter, {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      sort: { createdAt: 1 },
+      populate: [
+        { path: 'user', select: 'email firstName lastName' },
+        { path: 'store', select: 'name logo cashbackPercentage' },
+        { path: 'assignedTo', select: 'email firstName lastName' },
+        { path: 'click', select: 'subId createdAt device' }
+      ],
+      select: '-__v'
+    });
+
+    return sendPaginated(res, result.data, result.pagination, 'Claims retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a single claim
+ * @route   GET /api/claims/:id
+ * @access  Private (owner, or support and above)
+ */
+exports.getClaimById = async (req, res, next) => {
+  try {
+    const claim = await findVisibleClaim(req);
+    await claim.populate([
+      { path: 'store', select: 'name logo cashbackPercentage' },
+      { path: 'transaction', select: 'status cashbackAmount' }
+    ]);
+
+    const data = claim.toJSON();
+    if (!hasRole(req.user.role, 'support')) {
+      delete data.reviewNotes;
+      delete data.assignedTo;
+    }
+
+    return sendSuccess(res, data, 'Claim retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Download a claim's receipt image
+ * @route   GET /api/claims/:id/receipt
+ * @access  Private (owner, or support and above)
+ */
+exports.getClaimReceipt = async (req, res, next) => {
+  try {
+    const claim = await findVisibleClaim(req);
+    const receipt = await openReceipt(claim.receipt.path);
+
+    if (!receipt) {
+      throw new ApiError('Receipt file not found', 404);
+    }
+
+    res.set('Content-Type', claim.receipt.mimeType);
+    receipt.on('error', next).pipe(res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Take a claim into review
+ * @route   PATCH /api/claims/:id/review
+ * @access  Private (support and above)
+ */
+exports.startReview = async (req, res, next) => {
+  try {
+    const claim = await findOpenClaim(req.params.id);
+
+    claim.status = 'in_review';
+    claim.assignedTo = req.user.userId;
+    if (req.body.reviewNotes !== undefined) claim.reviewNotes = req.body.reviewNotes;
+    await claim.save();
+
+    return sendSuccess(res, claim, 'Claim taken into review');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Approve a claim, converting it into a cashback transaction
+ * @route   POST /api/claims/:id/approve
+ * @access  Private (support and above)
+ */
+exports.approveClaim = async (req, res, next) => {
+  try {
+    const { orderAmount, cashbackPercentage, status = 'pending', reviewNotes } = req.body;
+    const claim = await findOpenClaim(req.params.id);
+    const store = await Store.findById(claim.store);
+
+    await assertOrderNotTracked(claim.store, claim.orderReference, claim._id);
+
+    const amount = orderAmount !== undefined ? parseFloat(orderAmount) : claim.orderAmount;
+    // An explicit percentage from support overrides the store rate and the user's tier bonus
+    const rate = cashbackPercentage !== undefined
+      ? { percentage: parseFloat(cashbackPercentage), tierBonusPercentage: 0 }
+      : await getEffectiveCashbackPercentage(claim.user, store.cashbackPercentage);
+    const exchangeRate = await getRate(claim.currency, claim.purchaseDate);
+
+    let transaction;
+    try {
+      transaction = await runInSession(async (session) => {
+        const created = await recordTransaction({
+          user: claim.user,
+          store: claim.store,
+          type: 'cashback',
+          status,
+          amount,
+          currency: claim.currency,
+          exchangeRate,
+          cashbackPercentage: rate.percentage,
+          cashbackAmount: Math.round(amount * rate.percentage) / 100,
+          tierBonusPercentage: rate.tierBonusPercentage,
+          orderReference: claim.orderReference,
+          purchaseDate: claim.purchaseDate,
+          click: claim.click,
+          description: `Cashback from ${store.name} (missing cashback claim)`,
+          notes: `Created from claim ${claim._id}`
+        }, { createdBy: req.user.userId, session });
+
+        claim.status = 'approved';
+        claim.transaction = created._id;
+        claim.reviewedBy = req.user.userId;
+        claim.reviewedAt = new Date();
+        if (reviewNotes !== undefined) claim.reviewNotes = reviewNotes;
+        await claim.save({ session });
+
+        if (claim.click) {
+          await Click.updateOne(
+            { _id: claim.click, transaction: { $exists: false } },
+            { $set: { transaction: created._id, convertedAt: new Date() } },
+            { session }
+          );
+        }
+
+        return created;
+      });
+    } catch (error) {
+      // The order was tracked by a postback while the claim was being reviewed
+      if (error.code === 11000) {
+        throw new ApiError('This order is already tracked - no claim is needed', 409);
+      }
+      throw error;
+    }
+
+    await notifyUser(claim.user, {
+      title: 'Missing cashback claim approved',
+      message: `Your claim for order ${claim.orderReference} at ${store.name} was approved.`,
+      type: 'transaction',
+      actionLink: '/account',
+      relatedDocument: { documentType: 'transaction', documentId: transaction._id }
+    });
+    await publishTransactionCommitted(transaction, { notify: transaction.status === 'confirmed' });
+
+    return sendSuccess(res, { claim, transaction }, 'Claim approved and transaction created', 201);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Reject a claim
+ * @route   POST /api/claims/:id/reject
+ * @access  Private (support and above)
+ */
+exports.rejectClaim = async (req, res, next) => {
+  try {
+    const { reason, reviewNotes } = req.body;
+    const claim = await findOpenClaim(req.params.id);
+
+    claim.status = 'rejected';
+    claim.rejectionReason = reason;
+    claim.reviewedBy = req.user.userId;
+    claim.reviewedAt = new Date();
+    if (reviewNotes !== undefined) claim.reviewNotes = reviewNotes;
+    await claim.save();
+
+    await notifyUser(claim.user, {
+      title: 'Missing cashback claim rejected',
+      message: `Your claim for order ${claim.orderReference} was rejected: ${reason}`,
+      type: 'transaction',
+      priority: 'high',
+      actionLink: '/account',
+      relatedDocument: { documentType: 'claim', documentId: claim._id }
+    });
+
+    return sendSuccess(res, claim, 'Claim rejected');
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,138 @@
+/**
+ * @module controllers/clickController
+ * @description Controller for click-outs to stores and their attribution records
+ */
+
+const crypto = require('crypto');
+const Click = require('../models/Click');
+const { paginateQuery } = require('../middleware/paginationMiddleware');
+const { sendSuccess, sendPaginated } = require('../utils/responseUtil');
+const {
+  SESSION_COOKIE,
+  CLICK_TOKEN_TTL_SECONDS,
+  generateClickToken,
+  verifyClickToken,
+  recordClick
+} = require('../utils/clickUtils');
+
+/**
+ * Get the browser session ID, issuing a session cookie when there is none yet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {string} Session ID
+ */
+const ensureSessionId = (req, res) => {
+  const existing = req.cookies && req.cookies[SESSION_COOKIE];
+  if (existing) return existing;
+
+  const sessionId = crypto.randomBytes(16).toString('hex');
+  res.cookie(SESSION_COOKIE, sessionId, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
+  });
+  return sessionId;
+};
+
+/**
+ * Build the click options shared by the redirect and API endpoints
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} source - Object holding storeId, couponId and cashbackId, and the userId of a click token
+ * @returns {Object} Click options
+ */
+const buildClickOptions = (req, res, source) => ({
+  storeId: source.storeId,
+  couponId: source.couponId,
+  cashbackId: source.cashbackId,
+  userId: req.user ? req.user.userId : (source.userId || null),
+  sessionId: ensureSessionId(req, res),
+  deviceId: req.get('X-Device-Id'),
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent'),
+  referrer: req.get('Referer')
+});
+
+/**
+ * @desc    Record a click and redirect to the store's affiliate URL tagged with a sub-ID
+ * @route   GET /go/:storeId?coupon=&cashback=&t=
+ * @access  Public (attributed to the user of the click token ?t=, or of the access token when one is sent)
+ */
+exports.goToStore = async (req, res, next) => {
+  try {
+    const { redirectUrl } = await recordClick(buildClickOptions(req, res, {
+      storeId: req.params.storeId,
+      couponId: req.query.coupon,
+      cashbackId: req.query.cashback,
+      userId: verifyClickToken(req.query.t)
+    }));
+
+    res.set('Cache-Control', 'no-store');
+    return res.redirect(302, redirectUrl);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Issue a click token for the signed-in user, to add to /go links as ?t=
+ * @route   GET /api/clicks/token
+ * @access  Private
+ */
+exports.getClickToken = async (req, res, next) => {
+  try {
+    return sendSuccess(res, {
+      token: generateClickToken(req.user.userId),
+      expiresIn: CLICK_TOKEN_TTL_SECONDS
+    }, 'Click token issued');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Record a click for the signed-in user and return the URL to open
+ * @route   POST /api/clicks
+ * @access  Private
+ */
+exports.createClick = async (req, res, next) => {
+  try {
+    const { redirectUrl, subId } = await recordClick(buildClickOptions(req, res, req.body));
+
+    return sendSuccess(res, { redirectUrl, subId }, 'Click recorded', 201);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    List clicks for attribution support
+ * @route   GET /api/clicks
+ * @access  Private (support and above)
+ */
+exports.getClicks = async (req, res, next) => {
+  try {
+    const { user, store, subId, converted } = req.query;
+    const filter = {};
+    if (user) filter.user = user;
+    if (store) filter.store = store;
+    if (subId) filter.subId = subId;
+    if (converted !== undefined) filter.transaction = { $exists: converted === 'true' };
+
+    const result = await paginateQuery(Click, filter, {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      sort: { createdAt: -1 },
+      populate: [
+        { path: 'user', select: 'email firstName lastName' },
+        { path: 'store', select: 'name logo' }
+      ],
+      select: '-__v'
+    });
+
+    return sendPaginated(res, result.data, result.pagination, 'Clicks retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
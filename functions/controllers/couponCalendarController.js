@@ -0,0 +1,107 @@
+/**
+ * @module controllers/couponCalendarController
+ * @description Controller for the admin calendar of scheduled and expiring offers
+ */
+
+const Coupon = require('../models/Coupon');
+const Cashback = require('../models/Cashback');
+const { ApiError } = require('../middleware/errorHandlerMiddleware');
+const { sendSuccess } = require('../utils/responseUtil');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Longest range the calendar covers in one request, in days
+ */
+const MAX_CALENDAR_DAYS = 92;
+
+/**
+ * Add an offer to its day of the calendar
+ * @param {Map} days - Calendar days by UTC date (YYYY-MM-DD)
+ * @param {Date} date - Date of the event
+ * @param {string} event - 'starting' or 'expiring'
+ * @param {Object} entry - Offer summary
+ */
+const addToDay = (days, date, event, entry) => {
+  const key = date.toISOString().slice(0, 10);
+  if (!days.has(key)) days.set(key, { date: key, starting: [], expiring: [] });
+  days.get(key)[event].push(entry);
+};
+
+/**
+ * @desc    Get the coupons starting and the coupons and cashback offers expiring in a date range, by day
+ * @route   GET /api/coupons/admin/calendar
+ * @access  Private (admin only)
+ */
+exports.getCalendar = async (req, res, next) => {
+  try {
+    // Whole UTC days, from today for the next 30 days unless a range is given
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    from.setUTCHours(0, 0, 0, 0);
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 30 * DAY_MS);
+    to.setUTCHours(23, 59, 59, 999);
+
+    if (to < from) {
+      throw new ApiError('The end of the range must be after its start', 400);
+    }
+    if (to - from > MAX_CALENDAR_DAYS * DAY_MS) {
+      throw new ApiError(`The calendar covers at most ${MAX_CALENDAR_DAYS} days at a time`, 400);
+    }
+
+    const range = { $gte: from, $lte: to };
+    const [starting, expiringCoupons, expiringCashbacks] = await Promise.all([
+      // Coupons created without a start date start when they are created, so only scheduled ones are shown
+      Coupon.find({ startDate: range, $expr: { $gt: ['$startDate', '$createdAt'] } })
+        .select('code title store startDate expiryDate isActive')
+        .populate('store', 'name')
+        .lean(),
+      Coupon.find({ expiryDate: range })
+        .select('code title store startDate expiryDate isActive')
+        .populate('store', 'name')
+        .lean(),
+      Cashback.find({ expiryDate: range })
+        .select('title amount store expiryDate isActive')
+        .populate('store', 'name')
+        .lean()
+    ]);
+
+    const couponEntry = coupon => ({
+      type: 'coupon',
+      id: coupon._id,
+      code: coupon.code,
+      title: coupon.title,
+      store: coupon.store ? coupon.store.name : null,
+      startDate: coupon.startDate,
+      expiryDate: coupon.expiryDate,
+      isActive: coupon.isActive
+    });
+
+    const days = new Map();
+    starting.forEach(coupon => addToDay(days, coupon.startDate, 'starting', couponEntry(coupon)));
+    expiringCoupons.forEach(coupon => addToDay(days, coupon.expiryDate, 'expiring', couponEntry(coupon)));
+    expiringCashbacks.forEach(cashback => addToDay(days, cashback.expiryDate, 'expiring', {
+      type: 'cashback',
+      id: cashback._id,
+      title: cashback.title,
+      amount: cashback.amount,
+      store: cashback.store ? cashback.store.name : null,
+      expiryDate: cashback.expiryDate,
+      isActive: cashback.isActive
+    }));
+
+    const calendar = {
+      from,
+      to,
+      totals: {
+        starting: starting.length,
+        expiringCoupons: expiringCoupons.length,
+        expiringCashbacks: expiringCashbacks.length
+      },
+      days: [...days.values()].sort((a, b) => a.date.localeCompare(b.date))
+    };
+
+    return sendSuccess(res, calendar, 'Offer calendar retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
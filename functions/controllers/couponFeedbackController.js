@@ -0,0 +1,97 @@
+/**
+ * @module controllers/couponFeedbackController
+ * @description Controller for "did this code work?" reports and the coupon review queue
+ */
+
+const Coupon = require('../models/Coupon');
+const CouponFeedback = require('../models/CouponFeedback');
+const { paginateQuery } = require('../middleware/paginationMiddleware');
+const { sendSuccess, sendPaginated } = require('../utils/responseUtil');
+const { recordFeedback, clearReviewFlag } = require('../utils/couponFeedbackUtils');
+
+/**
+ * @desc    Report whether a coupon code worked
+ * @route   POST /api/coupons/:id/feedback
+ * @access  Public (signed-in users are de-duplicated by account, others by client ID)
+ */
+exports.submitFeedback = async (req, res, next) => {
+  try {
+    const { outcome, source, clientId } = req.body;
+
+    const result = await recordFeedback({
+      couponId: req.params.id,
+      userId: req.user?.userId,
+      clientId,
+      outcome,
+      source
+    });
+
+    return sendSuccess(res, result, 'Thanks for letting us know');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get coupons flagged for review because reports say they fail
+ * @route   GET /api/coupons/admin/flagged
+ * @access  Private (admin only)
+ */
+exports.getFlaggedCoupons = async (req, res, next) => {
+  try {
+    const result = await paginateQuery(Coupon, { 'review.flagged': true }, {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      sort: { 'review.flaggedAt': -1 },
+      populate: [{ path: 'store', select: 'name logo' }],
+      select: 'code title store isActive expiryDate successRate feedback review'
+    });
+
+    return sendPaginated(res, result.data, result.pagination, 'Flagged coupons retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the reports for a coupon
+ * @route   GET /api/coupons/admin/:id/feedback
+ * @access  Private (admin only)
+ */
+exports.getCouponFeedback = async (req, res, next) => {
+  try {
+    const filter = { coupon: req.params.id };
+    if (req.query.outcome) filter.outcome = req.query.outcome;
+
+    const result = await paginateQuery(CouponFeedback, filter, {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      sort: { reportedAt: -1 },
+      populate: [{ path: 'user', select: 'email firstName lastName' }],
+      select: '-__v'
+    });
+
+    return sendPaginated(res, result.data, result.pagination, 'Coupon feedback retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Clear a coupon's review flag, optionally deactivating it
+ * @route   POST /api/coupons/admin/:id/clear-flag
+ * @access  Private (admin only)
+ */
+exports.clearFlag = async (req, res, next) => {
+  try {
+    const coupon = await clearReviewFlag(req.params.id, req.user.userId, {
+      deactivate: req.body.deactivate === true
+    });
+
+    return sendSuccess(res, coupon, coupon.isActive
+      ? 'Review flag cleared'
+      : 'Review flag cleared and coupon deactivated');
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,66 @@
+/**
+ * @module controllers/couponImportController
+ * @description Controller for bulk coupon import and export
+ */
+
+const path = require('path');
+const { ApiError } = require('../middleware/errorHandlerMiddleware');
+const { sendSuccess } = require('../utils/responseUtil');
+const { parseCouponFile, importCoupons, exportCoupons } = require('../utils/couponImportUtils');
+const cache = require('../utils/cache');
+
+/**
+ * @desc    Import coupons from a CSV or JSON file (or a JSON body), upserting by code
+ * @route   POST /api/coupons/admin/import
+ * @access  Private (admin only)
+ */
+exports.importCoupons = async (req, res, next) => {
+  try {
+    let rows;
+    if (req.file) {
+      const format = path.extname(req.file.originalname).slice(1).toLowerCase();
+      rows = parseCouponFile(req.file.buffer.toString('utf8'), format);
+    } else if (req.body.coupons) {
+      rows = parseCouponFile(JSON.stringify(req.body.coupons), 'json');
+    } else {
+      throw new ApiError('Upload a coupon file or send coupons in the request body', 400);
+    }
+
+    const dryRun = req.body.dryRun === true || req.query.dryRun === true;
+    const result = await importCoupons(rows, { dryRun, importedBy: req.user.userId });
+
+    if (!dryRun && result.created + result.updated > 0) {
+      await cache.clear('coupons:list');
+    }
+
+    const message = dryRun
+      ? `Dry run: ${result.created} to create, ${result.updated} to update, ${result.failed} with errors`
+      : `${result.created} created, ${result.updated} updated, ${result.failed} failed`;
+    return sendSuccess(res, result, message, dryRun ? 200 : 201);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Export coupons matching filters as CSV or JSON
+ * @route   GET /api/coupons/admin/export
+ * @access  Private (admin only)
+ */
+exports.exportCoupons = async (req, res, next) => {
+  try {
+    const format = req.query.format || 'json';
+    const exported = await exportCoupons(req.query, format);
+
+    if (format === 'csv') {
+      const date = new Date().toISOString().slice(0, 10);
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="coupons-${date}.csv"`);
+      return res.status(200).send(exported.csv);
+    }
+
+    return sendSuccess(res, exported, `${exported.count} coupon(s) exported`);
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,124 @@
+/**
+ * @module controllers/currencyController
+ * @description Controller for exchange rates, rate uploads and the user's display currency
+ */
+
+const path = require('path');
+const ExchangeRate = require('../models/ExchangeRate');
+const User = require('../models/User');
+const { paginateQuery } = require('../middleware/paginationMiddleware');
+const { ApiError } = require('../middleware/errorHandlerMiddleware');
+const { sendSuccess, sendPaginated } = require('../utils/responseUtil');
+const {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  getRates,
+  parseRatesFile,
+  importRates
+} = require('../utils/currencyUtils');
+
+/**
+ * @desc    Get the exchange rates in effect now, or at a given time
+ * @route   GET /api/currency/rates
+ * @access  Public
+ */
+exports.getRates = async (req, res, next) => {
+  try {
+    const rates = await getRates(req.query.at ? { at: new Date(req.query.at) } : {});
+
+    return sendSuccess(res, {
+      ...rates,
+      currencies: SUPPORTED_CURRENCIES.filter(code => rates.rates[code] !== undefined)
+    }, 'Exchange rates retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the stored rate history
+ * @route   GET /api/currency/admin/rates/history
+ * @access  Private (admin only)
+ */
+exports.getRateHistory = async (req, res, next) => {
+  try {
+    const { currency, from, to } = req.query;
+    const filter = {};
+
+    if (currency) filter.currency = currency.toUpperCase();
+    if (from || to) {
+      filter.effectiveAt = {};
+      if (from) filter.effectiveAt.$gte = new Date(from);
+      if (to) filter.effectiveAt.$lte = new Date(to);
+    }
+
+    const result = await paginateQuery(ExchangeRate, filter, {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      sort: { effectiveAt: -1, currency: 1 },
+      populate: [{ path: 'importedBy', select: 'email firstName lastName' }],
+      select: '-__v'
+    });
+
+    return sendPaginated(res, result.data, result.pagination, 'Exchange rate history retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Upload exchange rates, as a CSV or JSON file or as a JSON body
+ * @route   POST /api/currency/admin/rates
+ * @access  Private (admin only)
+ */
+exports.uploadRates = async (req, res, next) => {
+  try {
+    let parsed;
+    if (req.file) {
+      const format = path.extname(req.file.originalname).slice(1).toLowerCase();
+      parsed = parseRatesFile(req.file.buffer.toString('utf8'), format);
+    } else if (req.body.rates) {
+      parsed = {
+        base: req.body.base,
+        entries: Object.entries(req.body.rates).map(([currency, rate]) => ({ currency, rate }))
+      };
+    } else if (req.body.entries) {
+      parsed = { base: req.body.base, entries: req.body.entries };
+    } else {
+      throw new ApiError('Upload a rates file or send rates in the request body', 400);
+    }
+
+    const result = await importRates(parsed.entries, {
+      base: parsed.base,
+      effectiveAt: req.body.effectiveAt || parsed.effectiveAt,
+      source: 'upload',
+      importedBy: req.user.userId
+    });
+
+    return sendSuccess(res, result, `${result.imported} exchange rate(s) imported`, 201);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Set the currency amounts are shown in
+ * @route   PUT /api/currency/preference
+ * @access  Private
+ */
+exports.setPreferredCurrency = async (req, res, next) => {
+  try {
+    const { currency } = req.body;
+    const { rates } = await getRates();
+
+    if (currency !== BASE_CURRENCY && rates[currency] === undefined) {
+      throw new ApiError(`No exchange rate is available for ${currency}`, 422);
+    }
+
+    await User.updateOne({ _id: req.user.userId }, { $set: { 'preferences.currency': currency } });
+
+    return sendSuccess(res, { currency }, 'Preferred currency updated successfully');
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,216 @@
+/**
+ * @module controllers/favoriteController
+ * @description Controller for a user's favorite stores, coupons, cashback offers and blog posts
+ */
+
+const mongoose = require('mongoose');
+const Favorite = require('../models/Favorite');
+const { paginateQuery } = require('../middleware/paginationMiddleware');
+const { ApiError } = require('../middleware/errorHandlerMiddleware');
+const { sendSuccess, sendPaginated } = require('../utils/responseUtil');
+
+/**
+ * Fields a user may set on a favorite
+ */
+const FAVORITE_FIELDS = ['notes', 'tags', 'notifyOnExpiry', 'notifyOnUpdates'];
+
+/**
+ * Item fields returned with a favorite (the union of what each item type shows on a card)
+ */
+const ITEM_FIELDS = [
+  'name slug logo cashbackPercentage isActive',
+  'code title description discount discountType store url terms expiryDate',
+  'amount currency category',
+  'summary featuredImage isPublished'
+].join(' ');
+
+/**
+ * Copy the user-writable fields from the request body
+ * @param {Object} body - Request body
+ * @returns {Object} Favorite fields
+ */
+const pickFavoriteFields = (body) => FAVORITE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+/**
+ * Load the item a favorite points at
+ * @param {string} itemType - 'store', 'coupon', 'cashback' or 'blog'
+ * @param {ObjectId|string} itemId - Item ID
+ * @returns {Promise<Object|null>} Item document, or null if it does not exist
+ */
+const findFavoriteItem = (itemType, itemId) => mongoose.model(Favorite.ITEM_MODELS[itemType]).findById(itemId);
+
+/**
+ * Remember the store's current cashback rate so the favoriteAlerts job only announces later changes
+ * @param {Object} favorite - Favorite document
+ * @param {Object} [store] - Store document (loaded if omitted)
+ */
+const snapshotCashbackRate = async (favorite, store) => {
+  if (favorite.itemType !== 'store') return;
+  const current = store || await findFavoriteItem('store', favorite.itemId);
+  favorite.set('alerts.cashbackPercentage', current ? current.cashbackPercentage : undefined);
+};
+
+/**
+ * @desc    Get the current user's favorites with the items they point at
+ * @route   GET /api/users/favorites
+ * @access  Private
+ */
+exports.getFavorites = async (req, res, next) => {
+  try {
+    const { itemType, tag } = req.query;
+
+    const filter = { user: req.user.userId };
+    if (itemType) filter.itemType = itemType;
+    if (tag) filter.tags = tag;
+
+    const result = await paginateQuery(Favorite, filter, {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      sort: { addedAt: -1 },
+      populate: [{
+        path: 'item',
+        select: ITEM_FIELDS,
+        // Coupons and cashback offers show their store; stores and blog posts have none
+        populate: { path: 'store', select: 'name slug logo', strictPopulate: false }
+      }],
+      select: '-alerts -__v'
+    });
+
+    return sendPaginated(res, result.data, result.pagination, 'Favorites retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the IDs of the items the current user has favorited, for marking them in lists
+ * @route   GET /api/users/favorites/ids
+ * @access  Private
+ */
+exports.getFavoriteIds = async (req, res, next) => {
+  try {
+    const filter = { user: req.user.userId };
+    if (req.query.itemType) filter.itemType = req.query.itemType;
+
+    const favorites = await Favorite.find(filter).select('itemType itemId').lean();
+    const ids = favorites.reduce((byType, { _id, itemType, itemId }) => {
+      (byType[itemType] = byType[itemType] || []).push({ favoriteId: _id, itemId });
+      return byType;
+    }, {});
+
+    return sendSuccess(res, ids, 'Favorite IDs retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the tags the current user has used on favorites
+ * @route   GET /api/users/favorites/tags
+ * @access  Private
+ */
+exports.getFavoriteTags = async (req, res, next) => {
+  try {
+    const tags = await Favorite.distinct('tags', { user: req.user.userId });
+    return sendSuccess(res, tags.sort(), 'Favorite tags retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Add an item to the current user's favorites
+ * @route   POST /api/users/favorites
+ * @access  Private
+ */
+exports.addFavorite = async (req, res, next) => {
+  try {
+    const { itemType, itemId } = req.body;
+    const userId = req.user.userId;
+
+    const item = await findFavoriteItem(itemType, itemId);
+    if (!item) {
+      throw new ApiError(`The ${itemType} you are saving was not found`, 404);
+    }
+    if (await Favorite.exists({ user: userId, itemType, itemId })) {
+      throw new ApiError(`This ${itemType} is already in your favorites`, 409);
+    }
+
+    const favorite = new Favorite({ ...pickFavoriteFields(req.body), user: userId, itemType, itemId });
+    await snapshotCashbackRate(favorite, item);
+    await favorite.save();
+
+    return sendSuccess(res, favorite, 'Added to favorites', 201);
+  } catch (err) {
+    if (err.code === 11000) {
+      return next(new ApiError(`This ${req.body.itemType} is already in your favorites`, 409));
+    }
+    next(err);
+  }
+};
+
+/**
+ * @desc    Update a favorite's notes, tags or alert settings
+ * @route   PUT /api/users/favorites/:id
+ * @access  Private
+ */
+exports.updateFavorite = async (req, res, next) => {
+  try {
+    const favorite = await Favorite.findOne({ _id: req.params.id, user: req.user.userId });
+    if (!favorite) {
+      throw new ApiError('Favorite not found', 404);
+    }
+
+    const turningOnUpdates = req.body.notifyOnUpdates === true && !favorite.notifyOnUpdates;
+    favorite.set(pickFavoriteFields(req.body));
+    // Alerts that were off start from today's rate rather than announcing an old change
+    if (turningOnUpdates) {
+      await snapshotCashbackRate(favorite);
+    }
+    await favorite.save();
+
+    return sendSuccess(res, favorite, 'Favorite updated successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Remove a favorite
+ * @route   DELETE /api/users/favorites/:id
+ * @access  Private
+ */
+exports.removeFavorite = async (req, res, next) => {
+  try {
+    const favorite = await Favorite.findOneAndDelete({ _id: req.params.id, user: req.user.userId });
+    if (!favorite) {
+      throw new ApiError('Favorite not found', 404);
+    }
+
+    return sendSuccess(res, null, 'Removed from favorites');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Remove an item from the current user's favorites by the item's ID
+ * @route   DELETE /api/users/favorites/item/:itemType/:itemId
+ * @access  Private
+ */
+exports.removeFavoriteItem = async (req, res, next) => {
+  try {
+    const { itemType, itemId } = req.params;
+    const favorite = await Favorite.findOneAndDelete({ user: req.user.userId, itemType, itemId });
+    if (!favorite) {
+      throw new ApiError('Favorite not found', 404);
+    }
+
+    return sendSuccess(res, null, 'Removed from favorites');
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,115 @@
+/**
+ * @module controllers/feedController
+ * @description Controller for affiliate feed runs and their configuration
+ */
+
+const path = require('path');
+const FeedRun = require('../models/FeedRun');
+const { ApiError } = require('../middleware/errorHandlerMiddleware');
+const { paginateQuery } = require('../middleware/paginationMiddleware');
+const { sendSuccess, sendPaginated } = require('../utils/responseUtil');
+const {
+  getFeedSettings,
+  getNetworkFeedConfig,
+  listFeedNetworks,
+  listPendingFeeds,
+  ingestPendingFeeds
+} = require('../utils/feedUtils');
+
+/**
+ * @desc    Get feed runs, newest first
+ * @route   GET /api/feeds/runs
+ * @access  Private (admin only)
+ */
+exports.getRuns = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.network) filter.network = req.query.network;
+    if (req.query.status) filter.status = req.query.status;
+
+    const result = await paginateQuery(FeedRun, filter, {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      sort: { startedAt: -1 },
+      select: '-recordErrors'
+    });
+
+    return sendPaginated(res, result.data, result.pagination, 'Feed runs retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a feed run with its record errors
+ * @route   GET /api/feeds/runs/:id
+ * @access  Private (admin only)
+ */
+exports.getRun = async (req, res, next) => {
+  try {
+    const run = await FeedRun.findById(req.params.id).populate('triggeredBy', 'name email');
+    if (!run) {
+      throw new ApiError('Feed run not found', 404);
+    }
+
+    return sendSuccess(res, run, 'Feed run retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Ingest the pending feed files now, for one network or all of them
+ * @route   POST /api/feeds/run
+ * @access  Private (admin only)
+ */
+exports.runFeeds = async (req, res, next) => {
+  try {
+    const runs = await ingestPendingFeeds({
+      network: req.body.network,
+      trigger: 'admin',
+      triggeredBy: req.user.userId
+    });
+
+    const message = runs.length === 0
+      ? 'No feed files are waiting'
+      : `${runs.length} feed file(s) ingested`;
+    return sendSuccess(res, runs, message);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the networks with a feed directory, their field mappings and pending files
+ * @route   GET /api/feeds/networks
+ * @access  Private (admin only)
+ */
+exports.getNetworks = async (req, res, next) => {
+  try {
+    const { dropDir, maxRetireRatio } = getFeedSettings();
+    // Without a drop directory only the configured mappings are listed
+    const pending = dropDir ? await listPendingFeeds() : [];
+    const names = await listFeedNetworks();
+
+    const latestRuns = await FeedRun.aggregate([
+      { $match: { network: { $in: names } } },
+      { $sort: { startedAt: -1 } },
+      { $group: { _id: '$network', run: { $first: '$$ROOT' } } },
+      { $project: { 'run.recordErrors': 0 } }
+    ]);
+    const latestByNetwork = new Map(latestRuns.map(({ _id, run }) => [_id, run]));
+
+    const networks = names.map(network => ({
+      network,
+      directory: dropDir ? path.join(dropDir, network) : null,
+      ...getNetworkFeedConfig(network),
+      pendingFiles: pending.filter(feed => feed.network === network).map(({ file, format, modifiedAt }) => ({ file, format, modifiedAt })),
+      lastRun: latestByNetwork.get(network) || null
+    }));
+
+    return sendSuccess(res, { dropDir, maxRetireRatio, networks }, 'Feed networks retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,253 @@
+/**
+ * @module controllers/notificationController
+ * @description Controller for the signed-in user's notification inbox
+ */
+
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { paginateQuery } = require('../middleware/paginationMiddleware');
+const { ApiError } = require('../middleware/errorHandlerMiddleware');
+const { sendSuccess, sendPaginated } = require('../utils/responseUtil');
+
+/**
+ * Notification preferences a user may set (under User.preferences)
+ */
+const PREFERENCE_FIELDS = [
+  'emailNotifications',
+  'smsNotifications',
+  'pushNotifications',
+  'notificationFrequency',
+  'emailDigest',
+  'mutedNotificationTypes',
+  'quietHours',
+  'timezone',
+  'categories'
+];
+
+/**
+ * Pick the notification preferences out of a user's preferences
+ * @param {Object} preferences - User preferences
+ * @returns {Object} Notification preferences
+ */
+const pickPreferences = (preferences = {}) => PREFERENCE_FIELDS.reduce((picked, key) => {
+  if (preferences[key] !== undefined) picked[key] = preferences[key];
+  return picked;
+}, {});
+
+/**
+ * Filter for the user's notifications that have not expired yet.
+ * The TTL index removes expired notifications, but only about once a minute.
+ * @param {string} userId - User ID
+ * @returns {Object} Query filter
+ */
+const inboxFilter = (userId) => ({
+  user: userId,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+});
+
+/**
+ * @desc    Get the current user's notifications, newest first
+ * @route   GET /api/notifications
+ * @access  Private
+ */
+exports.getNotifications = async (req, res, next) => {
+  try {
+    const { status = 'all', type } = req.query;
+
+    const filter = inboxFilter(req.user.userId);
+    if (status !== 'all') filter.isRead = status === 'read';
+    if (type) filter.type = type;
+
+    const result = await paginateQuery(Notification, filter, {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      sort: { createdAt: -1 },
+      select: '-__v'
+    });
+
+    return sendPaginated(res, result.data, result.pagination, 'Notifications retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the current user's unread notification count, in total and by type
+ * @route   GET /api/notifications/unread-count
+ * @access  Private
+ */
+exports.getUnreadCount = async (req, res, next) => {
+  try {
+    const filter = {
+      ...inboxFilter(new mongoose.Types.ObjectId(req.user.userId)),
+      isRead: false
+    };
+
+    const counts = await Notification.aggregate([
+      { $match: filter },
+      { $group: { _id: '$type', count: { $sum: 1 } } }
+    ]);
+
+    const byType = counts.reduce((totals, { _id, count }) => {
+      totals[_id] = count;
+      return totals;
+    }, {});
+    const total = counts.reduce((sum, { count }) => sum + count, 0);
+
+    return sendSuccess(res, { total, byType }, 'Unread count retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Set the read state of one of the current user's notifications
+ * @param {Object} req - Express request
+ * @param {boolean} isRead - New read state
+ * @returns {Promise<Object>} Updated notification
+ */
+const setReadState = async (req, isRead) => {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: req.params.id, user: req.user.userId },
+    isRead ? { $set: { isRead: true, readAt: new Date() } } : { $set: { isRead: false }, $unset: { readAt: 1 } },
+    { new: true }
+  );
+  if (!notification) {
+    throw new ApiError('Notification not found', 404);
+  }
+  return notification;
+};
+
+/**
+ * @desc    Mark a notification as read
+ * @route   PUT /api/notifications/:id/read
+ * @access  Private
+ */
+exports.markAsRead = async (req, res, next) => {
+  try {
+    const notification = await setReadState(req, true);
+    return sendSuccess(res, notification, 'Notification marked as read');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Mark a notification as unread
+ * @route   PUT /api/notifications/:id/unread
+ * @access  Private
+ */
+exports.markAsUnread = async (req, res, next) => {
+  try {
+    const notification = await setReadState(req, false);
+    return sendSuccess(res, notification, 'Notification marked as unread');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Mark all of the current user's notifications (optionally of one type) as read
+ * @route   PUT /api/notifications/read-all
+ * @access  Private
+ */
+exports.markAllAsRead = async (req, res, next) => {
+  try {
+    const filter = { user: req.user.userId, isRead: false };
+    if (req.body.type) filter.type = req.body.type;
+
+    const result = await Notification.updateMany(filter, { $set: { isRead: true, readAt: new Date() } });
+
+    return sendSuccess(res, { updated: result.modifiedCount }, 'Notifications marked as read');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Delete all of the current user's read notifications
+ * @route   DELETE /api/notifications/read
+ * @access  Private
+ */
+exports.deleteReadNotifications = async (req, res, next) => {
+  try {
+    const result = await Notification.deleteMany({ user: req.user.userId, isRead: true });
+    return sendSuccess(res, { deleted: result.deletedCount }, 'Read notifications deleted');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Delete a notification
+ * @route   DELETE /api/notifications/:id
+ * @access  Private
+ */
+exports.deleteNotification = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, user: req.user.userId });
+    if (!notification) {
+      throw new ApiError('Notification not found', 404);
+    }
+
+    return sendSuccess(res, null, 'Notification deleted');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the current user's notification preferences
+ * @route   GET /api/notifications/preferences
+ * @access  Private
+ */
+exports.getPreferences = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('preferences phone');
+    if (!user) {
+      throw new ApiError('User not found', 404);
+    }
+
+    return sendSuccess(res, {
+      ...pickPreferences(user.preferences.toObject()),
+      hasPhone: Boolean(user.phone)
+    }, 'Notification preferences retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Update the current user's notification preferences (only the fields sent change)
+ * @route   PUT /api/notifications/preferences
+ * @access  Private
+ */
+exports.updatePreferences = async (req, res, next) => {
+  try {
+    const updates = Object.entries(pickPreferences(req.body)).reduce((set, [key, value]) => {
+      // Quiet hours are updated field by field so sending only the times keeps them enabled
+      if (key === 'quietHours') {
+        ['enabled', 'start', 'end'].filter(field => value[field] !== undefined).forEach(field => {
+          set[`preferences.quietHours.${field}`] = value[field];
+        });
+      } else {
+        set[`preferences.${key}`] = value;
+      }
+      return set;
+    }, {});
+
+    const user = await User.findByIdAndUpdate(req.user.userId, { $set: updates }, { new: true, runValidators: true })
+      .select('preferences phone');
+    if (!user) {
+      throw new ApiError('User not found', 404);
+    }
+
+    return sendSuccess(res, {
+      ...pickPreferences(user.preferences.toObject()),
+      hasPhone: Boolean(user.phone)
+    }, 'Notification preferences updated successfully');
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,371 @@
+/**
+ * @module controllers/payoutController
+ * @description Controller for the cashback dashboard, withdrawal requests and payout batches
+ */
+
+const Transaction = require('../models/Transaction');
+const PayoutBatch = require('../models/PayoutBatch');
+const { paginateQuery } = require('../middleware/paginationMiddleware');
+const { ApiError } = require('../middleware/errorHandlerMiddleware');
+const { sendSuccess, sendPaginated } = require('../utils/responseUtil');
+const { computeBalances, toBaseAmount, EARNING_TYPES } = require('../utils/ledgerUtils');
+const payoutUtils = require('../utils/payoutUtils');
+const { getLoyaltyStatus } = require('../utils/loyaltyUtils');
+const { BASE_CURRENCY, createConverter, getDisplayCurrency } = require('../utils/currencyUtils');
+
+/**
+ * Withdrawal statuses as shown to users
+ */
+const WITHDRAWAL_STATUS_LABELS = {
+  pending: 'processing',
+  confirmed: 'approved',
+  paid: 'completed',
+  rejected: 'rejected'
+};
+
+/**
+ * Shape a withdrawal for the user-facing dashboard
+ * @param {Object} withdrawal - Withdrawal transaction
+ * @param {Object} [converter] - Display currency converter
+ * @returns {Object} Redemption summary
+ */
+const toRedemption = (withdrawal, converter) => ({
+  id: withdrawal._id,
+  date: withdrawal.createdAt,
+  amount: withdrawal.cashbackAmount,
+  ...(converter && { displayAmount: converter.convert(withdrawal.cashbackAmount) }),
+  method: withdrawal.paymentMethod,
+  status: WITHDRAWAL_STATUS_LABELS[withdrawal.status] || withdrawal.status,
+  reference: withdrawal.paymentReference || null,
+  rejectionReason: withdrawal.rejectionReason || null
+});
+
+/**
+ * Shape an earning transaction for the user-facing dashboard.
+ * Amounts are in the base currency, like the balances; `originalAmount` is what the store reported.
+ * @param {Object} transaction - Earning transaction with populated store
+ * @param {Object} converter - Display currency converter
+ * @returns {Object} Cashback summary
+ */
+const toCashback = (transaction, converter) => {
+  const expected = transaction.status === 'pending' && transaction.type === 'cashback' && transaction.store
+    ? transaction.store.getAutoConfirmDate(transaction.purchaseDate)
+    : undefined;
+
+  return {
+    id: transaction._id,
+    storeName: transaction.store ? transaction.store.name : transaction.typeDisplay,
+    storeLogo: transaction.store ? transaction.store.logo : null,
+    orderDate: transaction.purchaseDate,
+    amount: toBaseAmount(transaction),
+    displayAmount: converter.convert(toBaseAmount(transaction)),
+    originalAmount: transaction.cashbackAmount,
+    originalCurrency: transaction.currency || BASE_CURRENCY,
+    expectedApprovalDate: expected,
+    approvalDate: transaction.confirmationDate
+  };
+};
+
+/**
+ * @desc    Get the authenticated user's balances, cashbacks and redemptions
+ * @route   GET /api/cashback/dashboard
+ * @access  Private
+ */
+exports.getDashboard = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    const [converter, balances, loyalty, pending, approved, withdrawals, recent] = await Promise.all([
+      getDisplayCurrency(userId, req.query.currency).then(createConverter),
+      computeBalances(userId),
+      getLoyaltyStatus(userId),
+      Transaction.find({ user: userId, type: { $in: EARNING_TYPES }, status: 'pending' })
+        .populate('store', 'name logo returnWindowDays confirmationHoldDays')
+        .sort({ purchaseDate: -1 })
+        .limit(50),
+      Transaction.find({ user: userId, type: { $in: EARNING_TYPES }, status: 'confirmed' })
+        .populate('store', 'name logo')
+        .sort({ confirmationDate: -1 })
+        .limit(50),
+      Transaction.find({ user: userId, type: 'withdrawal' })
+        .sort({ createdAt: -1 })
+        .limit(50),
+      Transaction.find({ user: userId, status: { $ne: 'rejected' } })
+        .populate('store', 'name')
+        .sort({ createdAt: -1 })
+        .limit(10)
+    ]);
+
+    const minimumWithdrawal = payoutUtils.getMinimumWithdrawal();
+
+    // Balances and withdrawals stay in the base currency they are paid in; `display` shows them converted
+    return sendSuccess(res, {
+      currency: BASE_CURRENCY,
+      balance: balances.balance,
+      pendingBalance: balances.pendingBalance,
+      heldBalance: balances.heldBalance,
+      totalEarned: balances.totalEarned,
+      totalRedeemed: balances.totalRedeemed,
+      minimumWithdrawal,
+      display: {
+        currency: converter.currency,
+        rate: converter.rate,
+        balance: converter.convert(balances.balance),
+        pendingBalance: converter.convert(balances.pendingBalance),
+        heldBalance: converter.convert(balances.heldBalance),
+        totalEarned: converter.convert(balances.totalEarned),
+        totalRedeemed: converter.convert(balances.totalRedeemed),
+        minimumWithdrawal: converter.convert(minimumWithdrawal)
+      },
+      loyalty,
+      pendingCashbacks: pending.map(transaction => toCashback(transaction, converter)),
+      approvedCashbacks: approved.map(transaction => toCashback(transaction, converter)),
+      redeemedCashbacks: withdrawals.map(withdrawal => toRedemption(withdrawal, converter)),
+      recentActivity: recent.map(transaction => (transaction.type === 'withdrawal'
+        ? {
+          type: 'redemption',
+          method: transaction.paymentMethod,
+          date: transaction.createdAt,
+          status: WITHDRAWAL_STATUS_LABELS[transaction.status],
+          amount: transaction.cashbackAmount,
+          displayAmount: converter.convert(transaction.cashbackAmount)
+        }
+        : {
+          type: 'earned',
+          store: transaction.store ? transaction.store.name : transaction.typeDisplay,
+          date: transaction.createdAt,
+          status: transaction.status,
+          amount: toBaseAmount(transaction),
+          displayAmount: converter.convert(toBaseAmount(transaction))
+        }))
+    }, 'Cashback dashboard retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Request a withdrawal of available cashback
+ * @route   POST /api/cashback/redeem
+ * @access  Private
+ */
+exports.requestWithdrawal = async (req, res, next) => {
+  try {
+    const { amount, method, details, paymentMethodId } = req.body;
+
+    const withdrawal = await payoutUtils.requestWithdrawal(req.user.userId, {
+      amount: parseFloat(amount),
+      method,
+      details,
+      paymentMethodId
+    }, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    return sendSuccess(res, { redemption: toRedemption(withdrawal) }, 'Withdrawal requested successfully', 201);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the authenticated user's withdrawals
+ * @route   GET /api/cashback/withdrawals
+ * @access  Private
+ */
+exports.getMyWithdrawals = async (req, res, next) => {
+  try {
+    const filter = { user: req.user.userId, type: 'withdrawal' };
+    if (req.query.status) filter.status = req.query.status;
+
+    const result = await paginateQuery(Transaction, filter, {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      sort: { createdAt: -1 },
+      select: '-ipAddress -userAgent -__v'
+    });
+
+    return sendPaginated(res, result.data, result.pagination, 'Withdrawals retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Cancel one of the authenticated user's pending withdrawals, releasing the funds
+ * @route   POST /api/cashback/withdrawals/:id/cancel
+ * @access  Private
+ */
+exports.cancelWithdrawal = async (req, res, next) => {
+  try {
+    const withdrawal = await Transaction.findOne({
+      _id: req.params.id,
+      user: req.user.userId,
+      type: 'withdrawal'
+    });
+
+    if (!withdrawal) {
+      throw new ApiError('Withdrawal not found', 404);
+    }
+
+    if (withdrawal.status !== 'pending') {
+      throw new ApiError('Only withdrawals that are still processing can be cancelled', 400);
+    }
+
+    const updated = await payoutUtils.rejectWithdrawal(withdrawal._id, {
+      reason: 'Cancelled by user',
+      updatedBy: req.user.userId
+    });
+
+    return sendSuccess(res, { redemption: toRedemption(updated) }, 'Withdrawal cancelled successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    List withdrawals for review
+ * @route   GET /api/cashback/admin/withdrawals
+ * @access  Private (support and above)
+ */
+exports.getWithdrawalQueue = async (req, res, next) => {
+  try {
+    const filter = { type: 'withdrawal', status: req.query.status || 'pending' };
+    if (req.query.user) filter.user = req.query.user;
+    if (req.query.unbatched === 'true') filter.payoutBatch = null;
+
+    const result = await paginateQuery(Transaction, filter, {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      sort: { createdAt: 1 },
+      populate: [
+        { path: 'user', select: 'email firstName lastName balance' },
+        { path: 'payoutBatch', select: 'reference status' }
+      ],
+      select: '-__v'
+    });
+
+    return sendPaginated(res, result.data, result.pagination, 'Withdrawals retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Approve a pending withdrawal
+ * @route   PATCH /api/cashback/admin/withdrawals/:id/approve
+ * @access  Private (support and above)
+ */
+exports.approveWithdrawal = async (req, res, next) => {
+  try {
+    const withdrawal = await payoutUtils.approveWithdrawal(req.params.id, {
+      note: req.body.note,
+      updatedBy: req.user.userId
+    });
+
+    return sendSuccess(res, withdrawal, 'Withdrawal approved');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Reject a withdrawal, releasing the held funds to the user's balance
+ * @route   PATCH /api/cashback/admin/withdrawals/:id/reject
+ * @access  Private (support and above)
+ */
+exports.rejectWithdrawal = async (req, res, next) => {
+  try {
+    const withdrawal = await payoutUtils.rejectWithdrawal(req.params.id, {
+      reason: req.body.reason,
+      updatedBy: req.user.userId
+    });
+
+    return sendSuccess(res, withdrawal, 'Withdrawal rejected');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Batch all approved withdrawals for payout
+ * @route   POST /api/cashback/admin/payout-batches
+ * @access  Private (admin)
+ */
+exports.createPayoutBatch = async (req, res, next) => {
+  try {
+    const batch = await payoutUtils.createPayoutBatch({
+      provider: req.body.provider,
+      createdBy: req.user.userId
+    });
+
+    return sendSuccess(res, batch, 'Payout batch created successfully', 201);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    List payout batches
+ * @route   GET /api/cashback/admin/payout-batches
+ * @access  Private (admin)
+ */
+exports.getPayoutBatches = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    const result = await paginateQuery(PayoutBatch, filter, {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      sort: { createdAt: -1 },
+      populate: [{ path: 'createdBy', select: 'email firstName lastName' }],
+      select: '-__v'
+    });
+
+    return sendPaginated(res, result.data, result.pagination, 'Payout batches retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Export a payout batch as CSV or JSON
+ * @route   GET /api/cashback/admin/payout-batches/:id/export
+ * @access  Private (admin)
+ */
+exports.exportPayoutBatch = async (req, res, next) => {
+  try {
+    const format = req.query.format || 'json';
+    const exported = await payoutUtils.exportPayoutBatch(req.params.id, format);
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="${exported.batch.reference}.csv"`);
+      return res.status(200).send(exported.csv);
+    }
+
+    return sendSuccess(res, exported, 'Payout batch exported successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Send a payout batch through its payout provider
+ * @route   POST /api/cashback/admin/payout-batches/:id/send
+ * @access  Private (admin)
+ */
+exports.sendPayoutBatch = async (req, res, next) => {
+  try {
+    const batch = await payoutUtils.sendPayoutBatch(req.params.id, { updatedBy: req.user.userId });
+    const message = batch.status === 'completed'
+      ? 'Payout batch sent successfully'
+      : 'Payout batch sent with failures - send it again to retry';
+
+    return sendSuccess(res, batch, message);
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * @module controllers/postbackController
+ * @description Controller for conversion postbacks sent by affiliate networks
+ */
+
+const { sendSuccess } = require('../utils/responseUtil');
+const { ingestPostback } = require('../utils/postbackUtils');
+
+/**
+ * @desc    Record a conversion reported by an affiliate network
+ * @route   POST /api/postbacks/:network
+ * @access  Public (HMAC signed with the network's postback secret)
+ */
+exports.receivePostback = async (req, res, next) => {
+  try {
+    const { transaction, duplicate } = await ingestPostback(req.params.network, req.body);
+
+    return sendSuccess(res, {
+      transactionId: transaction._id,
+      status: transaction.status,
+      duplicate
+    }, duplicate ? 'Conversion already recorded' : 'Conversion recorded', duplicate ? 200 : 201);
+  } catch (err) {
+    next(err);
+  }
+};
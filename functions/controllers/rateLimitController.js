@@ -0,0 +1,98 @@
+/**
+ * @module controllers/rateLimitController
+ * @description Controller for inspecting and clearing rate limits and login blocks
+ */
+
+const User = require('../models/User');
+const rateLimitStore = require('../utils/rateLimitStore');
+const { getLimiters, getLoginBlocks, clearLoginBlocks } = require('../middleware/rateLimitMiddleware');
+const { ApiError } = require('../middleware/errorHandlerMiddleware');
+const { sendSuccess } = require('../utils/responseUtil');
+
+/**
+ * @desc    Get rate limiters, with a client's current counts if a key is given
+ * @route   GET /api/rate-limits
+ * @access  Private (admin only)
+ */
+exports.getLimits = async (req, res, next) => {
+  try {
+    const { key } = req.query;
+    const limiters = await Promise.all(getLimiters().map(async limiter => {
+      if (!key) return limiter;
+      const { count, resetAt } = await rateLimitStore.peek(`${limiter.prefix}:${key}`, limiter.windowMs);
+      return { ...limiter, count, remaining: Math.max(0, limiter.max - count), resetAt };
+    }));
+
+    return sendSuccess(res, {
+      store: rateLimitStore.getStore().type,
+      key: key || null,
+      limiters
+    }, 'Rate limits retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Clear a client's counts, in one rate limiter or all of them
+ * @route   DELETE /api/rate-limits/counters
+ * @access  Private (admin only)
+ */
+exports.clearCounters = async (req, res, next) => {
+  try {
+    const { key, limiter } = req.query;
+    const limiters = getLimiters().filter(item => !limiter || item.prefix === limiter);
+    if (limiters.length === 0) {
+      throw new ApiError('Rate limiter not found', 404);
+    }
+
+    const cleared = await Promise.all(limiters.map(item => rateLimitStore.reset(`${item.prefix}:${key}`)));
+
+    return sendSuccess(res, {
+      key,
+      limiters: limiters.map(item => item.prefix),
+      cleared: cleared.reduce((total, count) => total + count, 0)
+    }, 'Rate limit counters cleared successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get active login blocks
+ * @route   GET /api/rate-limits/blocks
+ * @access  Private (admin only)
+ */
+exports.getBlocks = async (req, res, next) => {
+  try {
+    const blocks = await getLoginBlocks({ ip: req.query.ip, email: req.query.email });
+
+    return sendSuccess(res, { blocks }, 'Login blocks retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Clear login blocks and unlock the accounts they locked
+ * @route   DELETE /api/rate-limits/blocks
+ * @access  Private (admin only)
+ */
+exports.clearBlocks = async (req, res, next) => {
+  try {
+    const { ip, email } = req.query;
+    const blocks = await clearLoginBlocks({ ip, email });
+
+    const emails = [...new Set([...blocks.map(block => block.email), ...(email ? [email.toLowerCase()] : [])])];
+    if (emails.length > 0) {
+      await User.updateMany(
+        { email: { $in: emails }, accountLocked: true },
+        { $set: { accountLocked: false, accountLockedUntil: null, loginAttempts: 0 } }
+      );
+    }
+
+    return sendSuccess(res, { cleared: blocks.length, blocks }, 'Login blocks cleared successfully');
+  } catch (err) {
+    next(err);
+  }
+};
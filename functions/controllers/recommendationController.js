@@ -11,6 +11,7 @@ const Blog = require('../models/Blog');
 const UserProfile = require('../models/UserProfile');
 const Recommendation = require('../models/Recommendation');
 const AnalyticsEvent = require('../models/AnalyticsEvent');
+const { startedCouponFilter } = require('../utils/storeUtils');
 
 // Controller object
 const recommendationController = {
@@ -136,6 +137,7 @@ const recommendationController = {
                 const couponRecommendations = await Coupon.find({
                     isActive: true,
                     expiryDate: { $gt: new Date() },
+                    $and: [startedCouponFilter()],
                     ...(combinedCategories.length > 0 ? { category: { $in: combinedCategories } } : {})
                 })
                     .sort({ usageCount: -1 })
@@ -248,7 +250,8 @@ const recommendationController = {
                 // Get trending coupons
                 const trendingCoupons = await Coupon.find({
                     isActive: true,
-                    expiryDate: { $gt: new Date() }
+                    expiryDate: { $gt: new Date() },
+                    $and: [startedCouponFilter()]
                 })
                     .sort({ usageCount: -1, createdAt: -1 })
                     .limit(parseInt(limit))
@@ -354,6 +357,7 @@ const recommendationController = {
                         _id: { $ne: itemId },
                         isActive: true,
                         expiryDate: { $gt: new Date() },
+                        $and: [startedCouponFilter()],
                         $or: [
                             { category: coupon.category },
                             { 'store._id': coupon.store._id }
@@ -462,6 +466,7 @@ const recommendationController = {
             const coupons = await Coupon.find({
                 isActive: true,
                 expiryDate: { $gt: new Date() },
+                $and: [startedCouponFilter()],
                 $or: [
                     { title: searchRegex },
                     { description: searchRegex },
@@ -0,0 +1,38 @@
+/**
+ * @module controllers/referralController
+ * @description Controller for the referral program overview and invitations
+ */
+
+const { sendSuccess } = require('../utils/responseUtil');
+const { getReferralSummary, sendReferralInvites } = require('../utils/referralUtils');
+
+/**
+ * @desc    Get the authenticated user's referral code, link, referrals and earnings
+ * @route   GET /api/users/referrals
+ * @access  Private
+ */
+exports.getReferrals = async (req, res, next) => {
+  try {
+    const summary = await getReferralSummary(req.user.userId);
+    return sendSuccess(res, summary, 'Referrals retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Email referral invitations to a list of addresses
+ * @route   POST /api/users/send-referrals
+ * @access  Private
+ */
+exports.sendReferrals = async (req, res, next) => {
+  try {
+    const result = await sendReferralInvites(req.user.userId, req.body.emails);
+    const message = result.sent.length > 0
+      ? `Invitations sent to ${result.sent.length} email(s)`
+      : 'No new invitations were sent';
+    return sendSuccess(res, result, message);
+  } catch (err) {
+    next(err);
+  }
+};
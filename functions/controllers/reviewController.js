@@ -0,0 +1,346 @@
+/**
+ * @module controllers/reviewController
+ * @description Controller for store, coupon and cashback reviews, helpful votes and review moderation
+ */
+
+const Review = require('../models/Review');
+const ReviewVote = require('../models/ReviewVote');
+const { paginateQuery } = require('../middleware/paginationMiddleware');
+const { hasRole } = require('../middleware/roleMiddleware');
+const { ApiError } = require('../middleware/errorHandlerMiddleware');
+const { sendSuccess, sendPaginated } = require('../utils/responseUtil');
+const { notifyUser } = require('../utils/notificationUtils');
+const { syncReviewPoints, recalculateUserLoyalty } = require('../utils/loyaltyUtils');
+const {
+  findReviewItem,
+  hasVerifiedPurchase,
+  getRatingSummary,
+  syncItemRating,
+  recordVote,
+  removeVote
+} = require('../utils/reviewUtils');
+
+/**
+ * Fields a reviewer may write
+ */
+const REVIEW_FIELDS = ['rating', 'title', 'content', 'pros', 'cons', 'images'];
+
+/**
+ * Sort orders for public review lists
+ */
+const SORTS = {
+  newest: { createdAt: -1 },
+  helpful: { helpfulVotes: -1, createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+/**
+ * Reviewer fields shown next to a public review
+ */
+const REVIEWER_FIELDS = 'firstName lastName profilePicture';
+
+/**
+ * Item fields shown next to a review in lists
+ */
+const ITEM_FIELDS = 'name slug logo code title';
+
+/**
+ * Copy the reviewer-writable fields from the request body
+ * @param {Object} body - Request body
+ * @returns {Object} Review fields
+ */
+const pickReviewFields = (body) => REVIEW_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+/**
+ * Award or take back the review's loyalty points after its status changed
+ * @param {Object} review - Review document
+ */
+const syncLoyalty = async (review) => {
+  if (await syncReviewPoints(review)) {
+    await recalculateUserLoyalty(review.user);
+  }
+};
+
+/**
+ * @desc    Get the approved reviews of an item
+ * @route   GET /api/reviews
+ * @access  Public
+ */
+exports.getReviews = async (req, res, next) => {
+  try {
+    const { itemType, itemId, rating, verified, sort = 'newest' } = req.query;
+
+    const filter = { itemType, itemId, status: 'approved' };
+    if (rating) filter.rating = Number(rating);
+    if (verified !== undefined) filter.isVerifiedPurchase = verified === 'true';
+
+    const result = await paginateQuery(Review, filter, {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      sort: SORTS[sort],
+      populate: [{ path: 'user', select: REVIEWER_FIELDS }],
+      select: '-moderationNotes -moderatedBy -__v'
+    });
+
+    return sendPaginated(res, result.data, result.pagination, 'Reviews retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get an item's average rating and the number of approved reviews per star
+ * @route   GET /api/reviews/summary
+ * @access  Public
+ */
+exports.getReviewSummary = async (req, res, next) => {
+  try {
+    const summary = await getRatingSummary(req.query.itemType, req.query.itemId);
+    return sendSuccess(res, summary, 'Review summary retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the current user's reviews, whatever their status
+ * @route   GET /api/reviews/mine
+ * @access  Private
+ */
+exports.getMyReviews = async (req, res, next) => {
+  try {
+    const filter = { user: req.user.userId };
+    if (req.query.status) filter.status = req.query.status;
+
+    const result = await paginateQuery(Review, filter, {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      populate: [{ path: 'item', select: ITEM_FIELDS }],
+      select: '-moderatedBy -__v'
+    });
+
+    return sendPaginated(res, result.data, result.pagination, 'Your reviews retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Review a store, coupon or cashback offer. Reviews are published once a moderator approves them.
+ * @route   POST /api/reviews
+ * @access  Private
+ */
+exports.createReview = async (req, res, next) => {
+  try {
+    const { itemType, itemId } = req.body;
+    const userId = req.user.userId;
+
+    if (!await findReviewItem(itemType, itemId)) {
+      throw new ApiError(`The ${itemType} you are reviewing was not found`, 404);
+    }
+    if (await Review.exists({ user: userId, itemType, itemId })) {
+      throw new ApiError(`You have already reviewed this ${itemType} - edit your review instead`, 409);
+    }
+
+    const review = await Review.create({
+      ...pickReviewFields(req.body),
+      user: userId,
+      itemType,
+      itemId,
+      isVerifiedPurchase: await hasVerifiedPurchase(userId, itemType, itemId)
+    });
+
+    return sendSuccess(res, review, 'Thanks! Your review will appear once it has been approved', 201);
+  } catch (err) {
+    if (err.code === 11000) {
+      return next(new ApiError(`You have already reviewed this ${req.body.itemType} - edit your review instead`, 409));
+    }
+    next(err);
+  }
+};
+
+/**
+ * @desc    Edit one of the current user's reviews. The edit goes back into the moderation queue.
+ * @route   PUT /api/reviews/:id
+ * @access  Private (review author)
+ */
+exports.updateReview = async (req, res, next) => {
+  try {
+    const review = await Review.findOne({ _id: req.params.id, user: req.user.userId });
+    if (!review) {
+      throw new ApiError('Review not found', 404);
+    }
+
+    const wasApproved = review.status === 'approved';
+    review.set(pickReviewFields(req.body));
+    review.isVerifiedPurchase = await hasVerifiedPurchase(review.user, review.itemType, review.itemId);
+    review.status = 'pending';
+    review.moderationNotes = undefined;
+    review.moderatedBy = undefined;
+    review.moderatedAt = undefined;
+    await review.save();
+
+    // Loyalty points stay put until a moderator decides on the edit
+    if (wasApproved) {
+      await syncItemRating(review.itemType, review.itemId);
+    }
+
+    return sendSuccess(res, review, 'Review updated - it will reappear once it has been approved');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Delete a review
+ * @route   DELETE /api/reviews/:id
+ * @access  Private (review author, or moderator and above)
+ */
+exports.deleteReview = async (req, res, next) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    if (!review || (!review.user.equals(req.user.userId) && !hasRole(req.user.role, 'moderator'))) {
+      throw new ApiError('Review not found', 404);
+    }
+
+    await review.deleteOne();
+    await ReviewVote.deleteMany({ review: review._id });
+
+    if (review.status === 'approved') {
+      await syncItemRating(review.itemType, review.itemId);
+      // A deleted review loses its points like a rejected one, so reviews cannot be re-posted for points
+      review.status = 'rejected';
+      await syncLoyalty(review);
+    }
+
+    return sendSuccess(res, null, 'Review deleted successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Vote a review helpful or unhelpful. Voting again replaces the earlier vote.
+ * @route   POST /api/reviews/:id/vote
+ * @access  Private
+ */
+exports.voteReview = async (req, res, next) => {
+  try {
+    const review = await Review.findOne({ _id: req.params.id, status: 'approved' }).select('user');
+    if (!review) {
+      throw new ApiError('Review not found', 404);
+    }
+    if (review.user.equals(req.user.userId)) {
+      throw new ApiError('You cannot vote on your own review', 400);
+    }
+
+    const result = await recordVote(review._id, req.user.userId, req.body.vote);
+    return sendSuccess(res, result, 'Thanks for your vote');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Withdraw the current user's vote on a review
+ * @route   DELETE /api/reviews/:id/vote
+ * @access  Private
+ */
+exports.removeReviewVote = async (req, res, next) => {
+  try {
+    if (!await Review.exists({ _id: req.params.id })) {
+      throw new ApiError('Review not found', 404);
+    }
+
+    const result = await removeVote(req.params.id, req.user.userId);
+    return sendSuccess(res, result, 'Vote removed');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the moderation queue (pending reviews by default, oldest first)
+ * @route   GET /api/reviews/admin/queue
+ * @access  Private (moderator and above)
+ */
+exports.getModerationQueue = async (req, res, next) => {
+  try {
+    const { status = 'pending', itemType } = req.query;
+
+    const filter = { status };
+    if (itemType) filter.itemType = itemType;
+
+    const result = await paginateQuery(Review, filter, {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      sort: status === 'pending' ? { createdAt: 1 } : { moderatedAt: -1 },
+      populate: [
+        { path: 'user', select: 'email firstName lastName' },
+        { path: 'moderatedBy', select: 'email firstName lastName' },
+        { path: 'item', select: ITEM_FIELDS }
+      ],
+      select: '-__v'
+    });
+
+    return sendPaginated(res, result.data, result.pagination, 'Review queue retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Approve or reject a review
+ * @route   PUT /api/reviews/admin/:id/moderate
+ * @access  Private (moderator and above)
+ */
+exports.moderateReview = async (req, res, next) => {
+  try {
+    const { status, moderationNotes } = req.body;
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      throw new ApiError('Review not found', 404);
+    }
+
+    const wasApproved = review.status === 'approved';
+    review.status = status;
+    review.moderationNotes = moderationNotes;
+    review.moderatedBy = req.user.userId;
+    review.moderatedAt = new Date();
+    await review.save();
+
+    if (wasApproved !== (status === 'approved')) {
+      await syncItemRating(review.itemType, review.itemId);
+    }
+    await syncLoyalty(review);
+
+    if (status === 'approved' && !wasApproved) {
+      await notifyUser(review.user, {
+        title: 'Your review is live',
+        message: `Your ${review.itemType} review "${review.title || `${review.rating} stars`}" has been published.`,
+        type: 'account',
+        actionLink: '/account',
+        relatedDocument: { documentType: review.itemType, documentId: review.itemId }
+      });
+    } else if (status === 'rejected') {
+      await notifyUser(review.user, {
+        title: 'Your review was not published',
+        message: moderationNotes
+          ? `Your ${review.itemType} review was not published: ${moderationNotes}`
+          : `Your ${review.itemType} review was not published because it does not follow our review guidelines.`,
+        type: 'account',
+        actionLink: '/account',
+        relatedDocument: { documentType: review.itemType, documentId: review.itemId }
+      });
+    }
+
+    return sendSuccess(res, review, `Review ${status}`);
+  } catch (err) {
+    next(err);
+  }
+};
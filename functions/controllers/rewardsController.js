@@ -0,0 +1,138 @@
+/**
+ * @module controllers/rewardsController
+ * @description Controller for loyalty points, tiers and the admin-configurable tier rules
+ */
+
+const LoyaltyPointEntry = require('../models/LoyaltyPointEntry');
+const { paginateQuery } = require('../middleware/paginationMiddleware');
+const { sendSuccess, sendPaginated } = require('../utils/responseUtil');
+const { computeBalances } = require('../utils/ledgerUtils');
+const { getMinimumWithdrawal } = require('../utils/payoutUtils');
+const {
+  getLoyaltySettings,
+  updateLoyaltySettings,
+  getLoyaltyStatus
+} = require('../utils/loyaltyUtils');
+const { runLoyaltyRecalculation } = require('../jobs/loyaltyJob');
+const { BASE_CURRENCY, createConverter, getDisplayCurrency } = require('../utils/currencyUtils');
+
+/**
+ * @desc    Get the authenticated user's rewards balances, points and tier
+ * @route   GET /api/rewards
+ * @access  Private
+ */
+exports.getRewards = async (req, res, next) => {
+  try {
+    const [converter, balances, loyalty] = await Promise.all([
+      getDisplayCurrency(req.user.userId, req.query.currency).then(createConverter),
+      computeBalances(req.user.userId),
+      getLoyaltyStatus(req.user.userId)
+    ]);
+    const totalRewards = Math.round((balances.balance + balances.pendingBalance) * 100) / 100;
+    const minimumWithdrawal = getMinimumWithdrawal();
+
+    return sendSuccess(res, {
+      currency: BASE_CURRENCY,
+      approvedRewards: balances.balance,
+      pendingRewards: balances.pendingBalance,
+      totalRewards,
+      minimumWithdrawal,
+      display: {
+        currency: converter.currency,
+        rate: converter.rate,
+        approvedRewards: converter.convert(balances.balance),
+        pendingRewards: converter.convert(balances.pendingBalance),
+        totalRewards: converter.convert(totalRewards),
+        minimumWithdrawal: converter.convert(minimumWithdrawal)
+      },
+      loyalty
+    }, 'Rewards retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the authenticated user's loyalty point history
+ * @route   GET /api/rewards/activity
+ * @access  Private
+ */
+exports.getPointsActivity = async (req, res, next) => {
+  try {
+    const result = await paginateQuery(LoyaltyPointEntry, { user: req.user.userId }, {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      sort: { createdAt: -1 },
+      select: 'points sourceType source event description createdAt'
+    });
+
+    return sendPaginated(res, result.data, result.pagination, 'Points activity retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the loyalty tiers and how points are earned
+ * @route   GET /api/rewards/tiers
+ * @access  Public
+ */
+exports.getTiers = async (req, res, next) => {
+  try {
+    const settings = await getLoyaltySettings();
+
+    return sendSuccess(res, {
+      tiers: settings.tiers,
+      pointsPerDollar: settings.pointsPerDollar,
+      referralPoints: settings.referralPoints,
+      reviewPoints: settings.reviewPoints,
+      qualificationWindowDays: settings.qualificationWindowDays
+    }, 'Loyalty tiers retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the loyalty program settings
+ * @route   GET /api/rewards/admin/settings
+ * @access  Private (admin only)
+ */
+exports.getSettings = async (req, res, next) => {
+  try {
+    const settings = await getLoyaltySettings();
+    await settings.populate('updatedBy', 'email firstName lastName');
+    return sendSuccess(res, settings, 'Loyalty settings retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Update the loyalty program settings (tiers take effect at the next recalculation)
+ * @route   PUT /api/rewards/admin/settings
+ * @access  Private (admin only)
+ */
+exports.updateSettings = async (req, res, next) => {
+  try {
+    const settings = await updateLoyaltySettings(req.body, req.user.userId);
+    return sendSuccess(res, settings, 'Loyalty settings updated successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Run the loyalty recalculation now
+ * @route   POST /api/rewards/admin/recalculate
+ * @access  Private (admin only)
+ */
+exports.recalculate = async (req, res, next) => {
+  try {
+    // A full run re-syncs every transaction and review instead of the last week's changes
+    const summary = await runLoyaltyRecalculation(req.body.full ? { since: new Date(0) } : {});
+    return sendSuccess(res, summary, 'Loyalty recalculation completed');
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,15 +1,17 @@
 const Coupon = require('../models/Coupon');
 const Cashback = require('../models/Cashback');
 const Blog = require('../models/Blog');
+const { escapeRegex } = require('../utils/regexUtils');
+const { search } = require('../utils/searchUtils');
 
 /**
- * @desc    Search across all resources
+ * @desc    Search coupons, cashback offers, stores and blog posts, ranked by relevance
  * @route   GET /api/search
  * @access  Public
  */
 exports.globalSearch = async (req, res) => {
   try {
-    const { q, type, limit = 10, page = 1 } = req.query;
+    const { q, type, limit = 10, page = 1, category, store, discountType, expiry } = req.query;
     
     if (!q) {
       return res.status(400).json({ 
@@ -18,132 +20,29 @@ exports.globalSearch = async (req, res) => {
       });
     }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
     const searchLimit = parseInt(limit);
     
-    // Create search regex pattern - use text index for better performance
-    // Fall back to regex for partial matches
-    const searchRegex = { $regex: q, $options: 'i' };
-    
-    let results = {};
-    let totalResults = 0;
-    
-    // Use Promise.all to run queries in parallel when searching all types
-    const searchPromises = [];
-    
-    // Search based on type or search all if no type specified
-    if (!type || type === 'coupons') {
-      const couponQuery = {
-        $or: [
-          { code: searchRegex },
-          { title: searchRegex },
-          { description: searchRegex },
-          { category: searchRegex }
-        ]
-      };
-      
-      // Use lean() for better performance when we don't need Mongoose documents
-      const couponPromise = Promise.all([
-        Coupon.find(couponQuery)
-          .skip(type ? skip : 0)
-          .limit(type ? searchLimit : 5)
-          .sort({ createdAt: -1 })
-          .select('code title description discount store expiryDate isActive category') // Select only needed fields
-          .populate('store', 'name logo') // Populate only needed store fields
-          .lean(),
-        
-        // Use countDocuments only when we need the exact count
-        // For large collections, estimatedDocumentCount is faster
-        Coupon.countDocuments(couponQuery)
-      ]).then(([coupons, couponCount]) => {
-        results.coupons = {
-          data: coupons,
-          count: couponCount
-        };
-        
-        totalResults += couponCount;
-      });
-      
-      searchPromises.push(couponPromise);
-    }
-    
-    if (!type || type === 'cashbacks') {
-      const cashbackQuery = {
-        $or: [
-          { title: searchRegex },
-          { description: searchRegex },
-          { category: searchRegex }
-        ]
-      };
-      
-      const cashbackPromise = Promise.all([
-        Cashback.find(cashbackQuery)
-          .skip(type ? skip : 0)
-          .limit(type ? searchLimit : 5)
-          .sort({ createdAt: -1 })
-          .select('title description amount store category isActive expiryDate') // Select only needed fields
-          .populate('store', 'name logo') // Populate only needed store fields
-          .lean(),
-        
-        Cashback.countDocuments(cashbackQuery)
-      ]).then(([cashbacks, cashbackCount]) => {
-        results.cashbacks = {
-          data: cashbacks,
-          count: cashbackCount
-        };
-        
-        totalResults += cashbackCount;
-      });
-      
-      searchPromises.push(cashbackPromise);
-    }
-    
-    if (!type || type === 'blogs') {
-      // For blog content which can be large, use text index search when possible
-      const blogQuery = {
-        $or: [
-          { title: searchRegex },
-          { content: searchRegex },
-          { summary: searchRegex },
-          { category: searchRegex },
-          { tags: searchRegex }
-        ]
-      };
-      
-      const blogPromise = Promise.all([
-        Blog.find(blogQuery)
-          .skip(type ? skip : 0)
-          .limit(type ? searchLimit : 5)
-          .sort({ createdAt: -1 })
-          .select('title excerpt featuredImage category tags publishedAt viewCount author') // Select only needed fields
-          .populate('author', 'name avatar') // Populate only needed author fields
-          .lean(),
-        
-        Blog.countDocuments(blogQuery)
-      ]).then(([blogs, blogCount]) => {
-        results.blogs = {
-          data: blogs,
-          count: blogCount
-        };
-        
-        totalResults += blogCount;
-      });
-      
-      searchPromises.push(blogPromise);
-    }
-    
-    // Wait for all search queries to complete
-    await Promise.all(searchPromises);
+    // Misspelled queries are corrected, and partial words matched, when nothing matches as typed
+    const found = await search(q, {
+      type,
+      page: parseInt(page),
+      limit: searchLimit,
+      filters: { category, store, discountType, expiry }
+    });
     
     res.status(200).json({
       success: true,
       query: q,
-      totalResults,
-      results,
+      correctedQuery: found.correctedQuery,
+      matchMode: found.matchMode,
+      terms: found.terms,
+      totalResults: found.totalResults,
+      results: found.results,
+      facets: found.facets,
       pagination: type ? {
         page: parseInt(page),
         limit: searchLimit,
-        totalPages: Math.ceil((results[type]?.count || 0) / searchLimit)
+        totalPages: Math.ceil((found.results[type]?.count || 0) / searchLimit)
       } : null
     });
   } catch (error) {
@@ -169,7 +68,7 @@ exports.getSearchSuggestions = async (req, res) => {
     }
     
     // Create search regex pattern - use ^ for prefix matching which is more efficient
-    const searchRegex = { $regex: `^${q}`, $options: 'i' };
+    const searchRegex = { $regex: `^${escapeRegex(q)}`, $options: 'i' };
     
     // Use Promise.all to run all aggregations in parallel
     const [couponSuggestions, cashbackSuggestions, blogSuggestions] = await Promise.all([
@@ -0,0 +1,433 @@
+/**
+ * @module controllers/storeController
+ * @description Controller for the store directory, store pages and store administration
+ */
+
+const Store = require('../models/Store');
+const Coupon = require('../models/Coupon');
+const Cashback = require('../models/Cashback');
+const { paginateQuery } = require('../middleware/paginationMiddleware');
+const { ApiError } = require('../middleware/errorHandlerMiddleware');
+const { sendSuccess, sendPaginated } = require('../utils/responseUtil');
+const { escapeRegex } = require('../utils/regexUtils');
+const {
+  activeCouponFilter,
+  activeCashbackFilter,
+  countStoreReferences
+} = require('../utils/storeUtils');
+
+/**
+ * Fields admins may set on a store
+ */
+const STORE_FIELDS = [
+  'name', 'slug', 'logo', 'description', 'website', 'categories', 'affiliateLink',
+  'affiliateSubIdParam', 'affiliateMerchants', 'cashbackPercentage', 'returnWindowDays',
+  'confirmationHoldDays', 'isActive', 'isFeatured', 'socialMedia', 'contactInfo', 'termsAndConditions'
+];
+
+/**
+ * Fields left out of public store responses
+ */
+const PRIVATE_FIELDS = '-affiliateMerchants -affiliateSubIdParam -createdBy -__v';
+
+/**
+ * Sort orders for store listings
+ */
+const SORTS = {
+  name: { name: 1 },
+  cashback: { cashbackPercentage: -1, name: 1 },
+  rating: { averageRating: -1, totalReviews: -1 },
+  popular: { popularityScore: -1, averageRating: -1 },
+  newest: { createdAt: -1 }
+};
+
+/**
+ * Pick the admin-editable fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Store fields
+ */
+const pickStoreFields = (body) => STORE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+/**
+ * Turn duplicate name or slug errors into a 409
+ * @param {Error} err - Error from saving a store
+ * @returns {Error} Error to pass on
+ */
+const toStoreError = (err) => {
+  if (err.code === 11000) {
+    const field = Object.keys(err.keyPattern || err.keyValue || {})[0] || 'name';
+    return new ApiError(`A store with this ${field} already exists`, 409);
+  }
+  return err;
+};
+
+/**
+ * Case-insensitive exact match on a category
+ * @param {string} category - Category name
+ * @returns {Object} Categories filter
+ */
+const categoryFilter = (category) => ({ $regex: `^${escapeRegex(category)}$`, $options: 'i' });
+
+/**
+ * Build the public listing filter from query parameters
+ * @param {Object} query - Request query
+ * @returns {Object} Store filter
+ */
+const buildListFilter = (query) => {
+  const filter = { isActive: true };
+  if (query.category) filter.categories = categoryFilter(query.category);
+  if (query.featured !== undefined) filter.isFeatured = query.featured === 'true';
+  if (query.minCashback) filter.cashbackPercentage = { $gte: parseFloat(query.minCashback) };
+  if (query.search) filter.name = { $regex: escapeRegex(query.search), $options: 'i' };
+  return filter;
+};
+
+/**
+ * Get a limited list of active stores
+ * @param {Object} req - Express request object
+ * @param {Object} sort - Sort order
+ * @param {Object} [filter] - Extra filter
+ * @returns {Promise<Array>} Stores
+ */
+const listTopStores = (req, sort, filter = {}) => Store.find({ isActive: true, ...filter })
+  .sort(sort)
+  .limit(parseInt(req.query.limit, 10) || 10)
+  .select(PRIVATE_FIELDS)
+  .lean();
+
+/**
+ * Load a store page with its live coupons and cashback offers
+ * @param {Object} filter - Store filter
+ * @returns {Promise<Object>} Store with coupons and cashbacks
+ */
+const loadStorePage = async (filter) => {
+  const store = await Store.findOne({ ...filter, isActive: true }).select(PRIVATE_FIELDS).lean();
+  if (!store) {
+    throw new ApiError('Store not found', 404);
+  }
+
+  const [coupons, cashbacks] = await Promise.all([
+    Coupon.find({ store: store._id, ...activeCouponFilter() })
+      .sort({ isExclusive: -1, popularityScore: -1 })
+      .select('-createdBy -review -__v')
+      .lean(),
+    Cashback.find({ store: store._id, ...activeCashbackFilter() })
+      .sort({ featured: -1, amount: -1 })
+      .select('-createdBy -__v')
+      .lean()
+  ]);
+
+  return { ...store, coupons, cashbacks };
+};
+
+/**
+ * @desc    Get active stores
+ * @route   GET /api/stores
+ * @access  Public
+ */
+exports.getStores = async (req, res, next) => {
+  try {
+    const result = await paginateQuery(Store, buildListFilter(req.query), {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      sort: SORTS[req.query.sort] || SORTS.name,
+      select: PRIVATE_FIELDS
+    });
+
+    return sendPaginated(res, result.data, result.pagination, 'Stores retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Search active stores by name or category
+ * @route   GET /api/stores/search
+ * @access  Public
+ */
+exports.searchStores = async (req, res, next) => {
+  try {
+    const pattern = { $regex: escapeRegex(req.query.query), $options: 'i' };
+
+    const result = await paginateQuery(Store, {
+      isActive: true,
+      $or: [{ name: pattern }, { categories: pattern }, { description: pattern }]
+    }, {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      sort: SORTS.popular,
+      select: PRIVATE_FIELDS
+    });
+
+    return sendPaginated(res, result.data, result.pagination, 'Stores retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get featured stores
+ * @route   GET /api/stores/featured
+ * @access  Public
+ */
+exports.getFeaturedStores = async (req, res, next) => {
+  try {
+    const stores = await listTopStores(req, SORTS.cashback, { isFeatured: true });
+    return sendSuccess(res, stores, 'Featured stores retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the most clicked-through stores of the last 30 days
+ * @route   GET /api/stores/popular
+ * @access  Public
+ */
+exports.getPopularStores = async (req, res, next) => {
+  try {
+    const stores = await listTopStores(req, SORTS.popular);
+    return sendSuccess(res, stores, 'Popular stores retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the most recently added stores
+ * @route   GET /api/stores/newest
+ * @access  Public
+ */
+exports.getNewestStores = async (req, res, next) => {
+  try {
+    const stores = await listTopStores(req, SORTS.newest);
+    return sendSuccess(res, stores, 'Newest stores retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get store categories with the number of active stores in each
+ * @route   GET /api/stores/categories
+ * @access  Public
+ */
+exports.getCategories = async (req, res, next) => {
+  try {
+    const categories = await Store.aggregate([
+      { $match: { isActive: true } },
+      { $unwind: '$categories' },
+      { $group: { _id: '$categories', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    return sendSuccess(res, categories.map(({ _id, count }) => ({ name: _id, count })),
+      'Store categories retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get active stores in a category
+ * @route   GET /api/stores/category/:category
+ * @access  Public
+ */
+exports.getStoresByCategory = async (req, res, next) => {
+  try {
+    const result = await paginateQuery(Store, {
+      ...buildListFilter(req.query),
+      categories: categoryFilter(req.params.category)
+    }, {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      sort: SORTS[req.query.sort] || SORTS.name,
+      select: PRIVATE_FIELDS
+    });
+
+    return sendPaginated(res, result.data, result.pagination, 'Stores retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a store page by slug, with its live coupons and cashback offers
+ * @route   GET /api/stores/slug/:slug
+ * @access  Public
+ */
+exports.getStoreBySlug = async (req, res, next) => {
+  try {
+    const store = await loadStorePage({ slug: req.params.slug.toLowerCase() });
+    return sendSuccess(res, store, 'Store retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a store page by ID, with its live coupons and cashback offers
+ * @route   GET /api/stores/:id
+ * @access  Public
+ */
+exports.getStoreById = async (req, res, next) => {
+  try {
+    const store = await loadStorePage({ _id: req.params.id });
+    return sendSuccess(res, store, 'Store retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a store's live coupons
+ * @route   GET /api/stores/:id/coupons
+ * @access  Public
+ */
+exports.getStoreCoupons = async (req, res, next) => {
+  try {
+    if (!await Store.exists({ _id: req.params.id, isActive: true })) {
+      throw new ApiError('Store not found', 404);
+    }
+
+    const filter = { store: req.params.id, ...activeCouponFilter() };
+    if (req.query.category) filter.category = req.query.category;
+
+    const result = await paginateQuery(Coupon, filter, {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      sort: { isExclusive: -1, popularityScore: -1 },
+      select: '-createdBy -review -__v'
+    });
+
+    return sendPaginated(res, result.data, result.pagination, 'Store coupons retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a store's live cashback offers and base cashback rate
+ * @route   GET /api/stores/:id/cashback
+ * @access  Public
+ */
+exports.getStoreCashback = async (req, res, next) => {
+  try {
+    const store = await Store.findOne({ _id: req.params.id, isActive: true })
+      .select('name slug logo cashbackPercentage termsAndConditions')
+      .lean();
+    if (!store) {
+      throw new ApiError('Store not found', 404);
+    }
+
+    const offers = await Cashback.find({ store: store._id, ...activeCashbackFilter() })
+      .sort({ featured: -1, amount: -1 })
+      .select('-createdBy -__v')
+      .lean();
+
+    return sendSuccess(res, {
+      store,
+      cashbackPercentage: store.cashbackPercentage,
+      bestRate: Math.max(store.cashbackPercentage || 0, ...offers.map(offer => offer.amount)),
+      offers
+    }, 'Store cashback retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get all stores, including inactive ones and affiliate settings
+ * @route   GET /api/stores/admin/all
+ * @access  Private (admin only)
+ */
+exports.getAllStores = async (req, res, next) => {
+  try {
+    const { category, featured, active, search } = req.query;
+    const filter = {};
+    if (category) filter.categories = categoryFilter(category);
+    if (featured !== undefined) filter.isFeatured = featured === 'true';
+    if (active !== undefined) filter.isActive = active === 'true';
+    if (search) filter.name = { $regex: escapeRegex(search), $options: 'i' };
+
+    const result = await paginateQuery(Store, filter, {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      sort: SORTS[req.query.sort] || SORTS.name,
+      select: '-__v'
+    });
+
+    return sendPaginated(res, result.data, result.pagination, 'Stores retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Create a store
+ * @route   POST /api/stores
+ * @access  Private (admin only)
+ */
+exports.createStore = async (req, res, next) => {
+  try {
+    const store = await Store.create({
+      ...pickStoreFields(req.body),
+      createdBy: req.user.userId
+    });
+
+    return sendSuccess(res, store, 'Store created successfully', 201);
+  } catch (err) {
+    next(toStoreError(err));
+  }
+};
+
+/**
+ * @desc    Update a store
+ * @route   PUT /api/stores/:id
+ * @access  Private (admin only)
+ */
+exports.updateStore = async (req, res, next) => {
+  try {
+    const store = await Store.findById(req.params.id);
+    if (!store) {
+      throw new ApiError('Store not found', 404);
+    }
+
+    store.set(pickStoreFields(req.body));
+    await store.save();
+
+    return sendSuccess(res, store, 'Store updated successfully');
+  } catch (err) {
+    next(toStoreError(err));
+  }
+};
+
+/**
+ * @desc    Delete a store that nothing references; stores with history should be deactivated instead
+ * @route   DELETE /api/stores/:id
+ * @access  Private (admin only)
+ */
+exports.deleteStore = async (req, res, next) => {
+  try {
+    const store = await Store.findById(req.params.id);
+    if (!store) {
+      throw new ApiError('Store not found', 404);
+    }
+
+    const references = await countStoreReferences(store._id);
+    const inUse = Object.entries(references).filter(([, count]) => count > 0);
+    if (inUse.length > 0) {
+      const summary = inUse.map(([type, count]) => `${count} ${type}`).join(', ');
+      throw new ApiError(`Store is referenced by ${summary}; deactivate it instead`, 409);
+    }
+
+    await store.deleteOne();
+
+    return sendSuccess(res, { _id: store._id }, 'Store deleted successfully');
+  } catch (err) {
+    next(err);
+  }
+};
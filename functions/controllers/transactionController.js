@@ -0,0 +1,260 @@
+/**
+ * @module controllers/transactionController
+ * @description Controller for listing cashback transactions and moving them through their lifecycle
+ */
+
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const { paginateQuery } = require('../middleware/paginationMiddleware');
+const { hasRole } = require('../middleware/roleMiddleware');
+const { ApiError } = require('../middleware/errorHandlerMiddleware');
+const { sendSuccess, sendPaginated } = require('../utils/responseUtil');
+const { transitionTransaction } = require('../utils/ledgerUtils');
+const { createConverter, getDisplayCurrency } = require('../utils/currencyUtils');
+
+/**
+ * Fields that may be used to sort transaction listings
+ */
+const SORTABLE_FIELDS = ['createdAt', 'purchaseDate', 'amount', 'cashbackAmount', 'status'];
+
+/**
+ * Build a Mongo filter from the transaction listing query parameters
+ * @param {Object} query - Express request query
+ * @returns {Object} Mongo filter
+ */
+const buildTransactionFilter = (query) => {
+  const { status, type, store, startDate, endDate, minAmount, maxAmount } = query;
+  const filter = {};
+
+  if (status) filter.status = { $in: status.split(',') };
+  if (type) filter.type = { $in: type.split(',') };
+  if (store) filter.store = store;
+
+  if (startDate || endDate) {
+    filter.purchaseDate = {};
+    if (startDate) filter.purchaseDate.$gte = new Date(startDate);
+    if (endDate) {
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999); // Include the whole end day
+      filter.purchaseDate.$lte = end;
+    }
+  }
+
+  if (minAmount !== undefined || maxAmount !== undefined) {
+    filter.cashbackAmount = {};
+    if (minAmount !== undefined) filter.cashbackAmount.$gte = parseFloat(minAmount);
+    if (maxAmount !== undefined) filter.cashbackAmount.$lte = parseFloat(maxAmount);
+  }
+
+  return filter;
+};
+
+/**
+ * Build a sort object from the transaction listing query parameters
+ * @param {Object} query - Express request query
+ * @returns {Object} Mongo sort
+ */
+const buildTransactionSort = (query) => {
+  const { sort = 'createdAt', direction = 'desc' } = query;
+  const field = SORTABLE_FIELDS.includes(sort) ? sort : 'createdAt';
+  return { [field]: direction === 'asc' ? 1 : -1 };
+};
+
+/**
+ * Add the transaction's amounts in a display currency, converted from the base currency at current rates
+ * @param {Object} transaction - Plain transaction object
+ * @param {Object} converter - Converter from createConverter
+ * @returns {Object} Transaction with a `display` block
+ */
+const withDisplayAmounts = (transaction, converter) => {
+  const rate = transaction.exchangeRate || 1;
+  return {
+    ...transaction,
+    display: {
+      currency: converter.currency,
+      amount: converter.convert(transaction.amount / rate),
+      cashbackAmount: converter.convert(transaction.cashbackAmount / rate)
+    }
+  };
+};
+
+/**
+ * @desc    Get the authenticated user's transactions
+ * @route   GET /api/transactions
+ * @access  Private
+ */
+exports.getMyTransactions = async (req, res, next) => {
+  try {
+    const filter = {
+      ...buildTransactionFilter(req.query),
+      user: req.user.userId
+    };
+
+    const result = await paginateQuery(Transaction, filter, {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      sort: buildTransactionSort(req.query),
+      populate: [
+        { path: 'store', select: 'name logo website' },
+        { path: 'couponUsed', select: 'code title' },
+        { path: 'cashbackOffer', select: 'title amount' }
+      ],
+      select: '-ipAddress -userAgent -__v'
+    });
+
+    const converter = await createConverter(await getDisplayCurrency(req.user.userId, req.query.currency));
+    const transactions = result.data.map(transaction => withDisplayAmounts(transaction, converter));
+
+    return sendPaginated(res, transactions, result.pagination, 'Transactions retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get totals of the authenticated user's transactions grouped by status
+ * @route   GET /api/transactions/summary
+ * @access  Private
+ */
+exports.getMyTransactionSummary = async (req, res, next) => {
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+
+    const grouped = await Transaction.aggregate([
+      { $match: { user: userId } },
+      {
+        $group: {
+          _id: { status: '$status', type: '$type' },
+          count: { $sum: 1 },
+          // Totals are taken in the base currency, then converted for display
+          cashbackAmount: { $sum: { $divide: ['$cashbackAmount', { $ifNull: ['$exchangeRate', 1] }] } }
+        }
+      }
+    ]);
+
+    const converter = await createConverter(await getDisplayCurrency(req.user.userId, req.query.currency));
+    const summary = { currency: converter.currency, byType: {} };
+    Transaction.STATUSES.forEach((status) => {
+      summary[status] = { count: 0, amount: 0 };
+    });
+
+    grouped.forEach(({ _id, count, cashbackAmount: baseAmount }) => {
+      const cashbackAmount = converter.convert(baseAmount);
+      // Documents written outside the model could hold a status it does not know
+      if (Transaction.STATUSES.includes(_id.status)) {
+        summary[_id.status].count += count;
+        summary[_id.status].amount += cashbackAmount;
+      }
+
+      if (!summary.byType[_id.type]) {
+        summary.byType[_id.type] = { count: 0, amount: 0 };
+      }
+      summary.byType[_id.type].count += count;
+      summary.byType[_id.type].amount += cashbackAmount;
+    });
+
+    return sendSuccess(res, summary, 'Transaction summary retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a single transaction
+ * @route   GET /api/transactions/:id
+ * @access  Private (owner, or support and above)
+ */
+exports.getTransactionById = async (req, res, next) => {
+  try {
+    const transaction = await Transaction.findById(req.params.id)
+      .populate('store', 'name logo website')
+      .populate('couponUsed', 'code title')
+      .populate('cashbackOffer', 'title amount')
+      .populate('statusHistory.updatedBy', 'firstName lastName email role');
+
+    if (!transaction) {
+      throw new ApiError('Transaction not found', 404);
+    }
+
+    const isOwner = transaction.user.toString() === req.user.userId.toString();
+    if (!isOwner && !hasRole(req.user.role, 'support')) {
+      throw new ApiError('Access denied: You do not own this transaction', 403);
+    }
+
+    const converter = await createConverter(await getDisplayCurrency(req.user.userId, req.query.currency));
+
+    return sendSuccess(res, withDisplayAmounts(transaction.toJSON(), converter), 'Transaction retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get all transactions for back-office review
+ * @route   GET /api/transactions/admin
+ * @access  Private (support and above)
+ */
+exports.getAllTransactions = async (req, res, next) => {
+  try {
+    const filter = buildTransactionFilter(req.query);
+    if (req.query.user) filter.user = req.query.user;
+    if (req.query.orderReference) filter.orderReference = req.query.orderReference;
+
+    const result = await paginateQuery(Transaction, filter, {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      sort: buildTransactionSort(req.query),
+      populate: [
+        { path: 'user', select: 'email firstName lastName' },
+        { path: 'store', select: 'name logo' }
+      ],
+      select: '-__v'
+    });
+
+    return sendPaginated(res, result.data, result.pagination, 'Transactions retrieved successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Move a transaction to a new status, recording a note in its history
+ * @route   PATCH /api/transactions/:id/status
+ * @access  Private (support and above)
+ */
+exports.updateTransactionStatus = async (req, res, next) => {
+  try {
+    const { status, note, rejectionReason, paymentMethod, paymentReference } = req.body;
+
+    const transaction = await Transaction.findById(req.params.id);
+
+    if (!transaction) {
+      throw new ApiError('Transaction not found', 404);
+    }
+
+    if (transaction.status === status) {
+      throw new ApiError(`Transaction is already ${status}`, 400);
+    }
+
+    if (status === 'rejected' && !rejectionReason) {
+      throw new ApiError('A rejection reason is required when rejecting a transaction', 400);
+    }
+
+    // Status change and ledger postings are written in one Mongo transaction
+    const updated = await transitionTransaction(transaction._id, status, {
+      note,
+      updatedBy: req.user.userId,
+      beforeSave: (doc) => {
+        if (status === 'rejected') doc.rejectionReason = rejectionReason;
+        if (status === 'paid') {
+          if (paymentMethod) doc.paymentMethod = paymentMethod;
+          if (paymentReference) doc.paymentReference = paymentReference;
+        }
+      }
+    });
+
+    return sendSuccess(res, updated, `Transaction marked as ${status}`);
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,4 +1,55 @@
 const functions = require('firebase-functions');
+const mongoose = require('mongoose');
 const app = require('./server');
+const { runTransactionLifecycle } = require('./jobs/transactionLifecycleJob');
+const { runLoyaltyRecalculation } = require('./jobs/loyaltyJob');
+const { runFavoriteAlerts } = require('./jobs/favoriteAlertJob');
+const { runNotificationDelivery } = require('./jobs/notificationDeliveryJob');
+const { runFeedIngestion } = require('./jobs/feedIngestionJob');
+const { refreshPopularityScores } = require('./utils/storeUtils');
 
-exports.api = functions.https.onRequest(app);
\ No newline at end of file
+/**
+ * Wait for the MongoDB connection opened by server.js before a scheduled job runs
+ * @returns {Promise} Resolves once connected
+ */
+const waitForDatabase = () => (
+  mongoose.connection.readyState === 1 ? Promise.resolve() : mongoose.connection.asPromise()
+);
+
+exports.api = functions.https.onRequest(app);
+
+// Confirm held cashback and expire stale pending transactions
+exports.transactionLifecycle = functions.scheduler.onSchedule('every 6 hours', async () => {
+  await waitForDatabase();
+  await runTransactionLifecycle();
+});
+
+// Sync loyalty points and recalculate tiers
+exports.loyaltyRecalculation = functions.scheduler.onSchedule('every day 03:00', async () => {
+  await waitForDatabase();
+  await runLoyaltyRecalculation();
+});
+
+// Rank stores by their recent click-outs for the popular stores list
+exports.storePopularity = functions.scheduler.onSchedule('every day 04:00', async () => {
+  await waitForDatabase();
+  await refreshPopularityScores();
+});
+
+// Warn about expiring favorited offers and favorited stores' cashback rate changes
+exports.favoriteAlerts = functions.scheduler.onSchedule('every day 09:00', async () => {
+  await waitForDatabase();
+  await runFavoriteAlerts();
+});
+
+// Send notification emails held back for quiet hours, and daily and weekly digests
+exports.notificationDelivery = functions.scheduler.onSchedule('every 1 hours', async () => {
+  await waitForDatabase();
+  await runNotificationDelivery();
+});
+
+// Ingest affiliate feed files dropped since the last run
+exports.feedIngestion = functions.scheduler.onSchedule('every 1 hours', async () => {
+  await waitForDatabase();
+  await runFeedIngestion();
+});
@@ -0,0 +1,156 @@
+/**
+ * @module jobs/favoriteAlertJob
+ * @description Scheduled alerts for favorited items
+ *
+ * 1. Favorites with notifyOnExpiry get a notification when their coupon or cashback offer
+ *    expires within the alert window. Each expiry date is announced once, so an offer that is
+ *    extended and then nears its new date is announced again.
+ * 2. Favorites with notifyOnUpdates get a notification when their store's cashback rate changes
+ *    from the rate they last heard about.
+ */
+
+const functions = require('firebase-functions');
+const Favorite = require('../models/Favorite');
+const Coupon = require('../models/Coupon');
+const Cashback = require('../models/Cashback');
+const Store = require('../models/Store');
+const { notifyUser } = require('../utils/notificationUtils');
+const { logger } = require('../middleware/loggingMiddleware');
+
+/**
+ * Read the favorite alert settings
+ * @returns {Object} Settings
+ */
+const getFavoriteAlertSettings = () => {
+  const config = functions.config().favorites || {};
+  return {
+    expiryAlertDays: parseInt(config.expiry_alert_days, 10) || 3
+  };
+};
+
+/**
+ * Describe an expiring coupon or cashback offer for its notification
+ * @param {string} itemType - 'coupon' or 'cashback'
+ * @param {Object} item - Item document with its store populated
+ * @returns {string} Short description
+ */
+const describeOffer = (itemType, item) => {
+  const storeName = item.store?.name ? ` at ${item.store.name}` : '';
+  return itemType === 'coupon'
+    ? `Coupon ${item.code}${storeName}`
+    : `The cashback offer "${item.title}"${storeName}`;
+};
+
+/**
+ * Warn the users who favorited coupons and cashback offers that expire soon
+ * @param {Date} now - Current time
+ * @param {Object} settings - Alert settings
+ * @returns {Promise<Object>} { notified, failed }
+ */
+const sendExpiryAlerts = async (now, settings) => {
+  const summary = { notified: 0, failed: [] };
+  const horizon = new Date(now.getTime() + settings.expiryAlertDays * 24 * 60 * 60 * 1000);
+
+  for (const [itemType, Model] of [['coupon', Coupon], ['cashback', Cashback]]) {
+    const items = await Model.find({ isActive: true, expiryDate: { $gt: now, $lte: horizon } })
+      .select('code title expiryDate store')
+      .populate('store', 'name slug');
+
+    for (const item of items) {
+      const favorites = await Favorite.find({
+        itemType,
+        itemId: item._id,
+        notifyOnExpiry: true,
+        'alerts.expiryNotifiedFor': { $ne: item.expiryDate }
+      }).select('user');
+
+      for (const favorite of favorites) {
+        try {
+          await notifyUser(favorite.user, {
+            title: `A saved ${itemType === 'coupon' ? 'coupon' : 'cashback offer'} expires soon`,
+            message: `${describeOffer(itemType, item)} expires on ${item.expiryDate.toDateString()}.`,
+            type: 'offer',
+            actionLink: '/favorites',
+            relatedDocument: { documentType: itemType, documentId: item._id },
+            expiresAt: item.expiryDate
+          });
+          await Favorite.updateOne({ _id: favorite._id }, { $set: { 'alerts.expiryNotifiedFor': item.expiryDate } });
+          summary.notified += 1;
+        } catch (error) {
+          summary.failed.push({ favorite: favorite._id, error: error.message });
+          logger.warn(`Expiry alert failed for favorite ${favorite._id}: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Tell the users who favorited a store that its cashback rate changed
+ * @returns {Promise<Object>} { notified, baselined, failed }
+ */
+const sendCashbackRateAlerts = async () => {
+  const summary = { notified: 0, baselined: 0, failed: [] };
+  const storeIds = await Favorite.distinct('itemId', { itemType: 'store', notifyOnUpdates: true });
+  const stores = await Store.find({ _id: { $in: storeIds }, isActive: true }).select('name slug cashbackPercentage');
+
+  for (const store of stores) {
+    const rate = store.cashbackPercentage;
+    const favorites = await Favorite.find({
+      itemType: 'store',
+      itemId: store._id,
+      notifyOnUpdates: true,
+      'alerts.cashbackPercentage': { $ne: rate }
+    }).select('user alerts');
+
+    for (const favorite of favorites) {
+      try {
+        const previous = favorite.alerts?.cashbackPercentage;
+        // Favorites saved before rates were tracked have nothing to compare with yet
+        if (previous != null) {
+          await notifyUser(favorite.user, {
+            title: `${store.name} cashback ${rate > previous ? 'increased' : 'decreased'}`,
+            message: `${store.name} now pays ${rate}% cashback (was ${previous}%).`,
+            type: 'offer',
+            actionLink: `/stores/${store.slug}`,
+            relatedDocument: { documentType: 'store', documentId: store._id }
+          });
+          summary.notified += 1;
+        } else {
+          summary.baselined += 1;
+        }
+        await Favorite.updateOne({ _id: favorite._id }, { $set: { 'alerts.cashbackPercentage': rate } });
+      } catch (error) {
+        summary.failed.push({ favorite: favorite._id, error: error.message });
+        logger.warn(`Cashback rate alert failed for favorite ${favorite._id}: ${error.message}`);
+      }
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Run the favorite alerts
+ * @param {Object} options - Options
+ * @param {Date} [options.now=new Date()] - Current time
+ * @returns {Promise<Object>} Summary of expiry and cashback rate alerts
+ */
+const runFavoriteAlerts = async (options = {}) => {
+  const { now = new Date() } = options;
+  const settings = getFavoriteAlertSettings();
+
+  const expiry = await sendExpiryAlerts(now, settings);
+  const cashbackRates = await sendCashbackRateAlerts();
+
+  const summary = { ranAt: now, expiry, cashbackRates };
+  logger.info(`Favorite alerts: ${expiry.notified} expiry alerts, ${cashbackRates.notified} cashback rate alerts, ` +
+    `${expiry.failed.length + cashbackRates.failed.length} failed`);
+  return summary;
+};
+
+module.exports = {
+  runFavoriteAlerts
+};
@@ -0,0 +1,38 @@
+/**
+ * @module jobs/feedIngestionJob
+ * @description Ingest the affiliate feed files waiting in the drop directory (see utils/feedUtils)
+ */
+
+const { getFeedSettings, ingestPendingFeeds } = require('../utils/feedUtils');
+const { logger } = require('../middleware/loggingMiddleware');
+
+/**
+ * Ingest every pending feed file
+ * @param {Object} options - Options
+ * @param {Date} [options.now=new Date()] - Current time
+ * @returns {Promise<Object>} Summary of the runs
+ */
+const runFeedIngestion = async (options = {}) => {
+  const { now = new Date() } = options;
+  if (!getFeedSettings().dropDir) {
+    logger.warn('Feed ingestion skipped: no drop directory is configured (feeds.drop_dir)');
+    return { ranAt: now, files: 0, completed: 0, failed: 0, runs: [], skipped: true };
+  }
+
+  const runs = await ingestPendingFeeds({ trigger: 'schedule', now });
+
+  const summary = {
+    ranAt: now,
+    files: runs.length,
+    completed: runs.filter(run => run.status === 'completed').length,
+    failed: runs.filter(run => run.status === 'failed').length,
+    runs: runs.map(run => run._id)
+  };
+
+  logger.info(`Feed ingestion: ${summary.files} file(s), ${summary.completed} completed, ${summary.failed} failed`);
+  return summary;
+};
+
+module.exports = {
+  runFeedIngestion
+};
@@ -0,0 +1,101 @@
+/**
+ * @module jobs/loyaltyJob
+ * @description Scheduled loyalty recalculation
+ *
+ * 1. Sync points for recently changed earning transactions and reviews, catching anything
+ *    the ledger commit listener missed (and reviews, which have no listener).
+ * 2. Recompute every point holder's qualifying points and tier, so points that age out of
+ *    the qualification window and changed tier rules take effect.
+ */
+
+const LoyaltyPointEntry = require('../models/LoyaltyPointEntry');
+const Review = require('../models/Review');
+const Transaction = require('../models/Transaction');
+const { EARNING_TYPES } = require('../utils/ledgerUtils');
+const {
+  getLoyaltySettings,
+  syncTransactionPoints,
+  syncReviewPoints,
+  recalculateUserLoyalty
+} = require('../utils/loyaltyUtils');
+const { logger } = require('../middleware/loggingMiddleware');
+
+/**
+ * How far back changed sources are re-synced on a regular run
+ */
+const DEFAULT_LOOKBACK_DAYS = 7;
+
+/**
+ * Sync the points of every document matched by a query
+ * @param {Object} query - Mongoose query (a cursor is taken from it)
+ * @param {Function} sync - Sync function for one document
+ * @param {Object} summary - Summary to update ({ synced, failed })
+ * @returns {Promise<void>}
+ */
+const syncMatching = async (query, sync, summary) => {
+  const cursor = query.cursor();
+  for (let doc = await cursor.next(); doc != null; doc = await cursor.next()) {
+    try {
+      if (await sync(doc)) summary.synced += 1;
+    } catch (error) {
+      summary.failed.push({ source: doc._id, error: error.message });
+      logger.warn(`Loyalty sync failed for ${doc._id}: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Run the loyalty recalculation
+ * @param {Object} options - Options
+ * @param {Date} [options.now=new Date()] - Current time
+ * @param {Date} [options.since] - Re-sync sources changed after this time (default: the last week; pass new Date(0) for everything)
+ * @returns {Promise<Object>} Summary of synced sources and recalculated users
+ */
+const runLoyaltyRecalculation = async (options = {}) => {
+  const { now = new Date() } = options;
+  const since = options.since || new Date(now.getTime() - DEFAULT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const settings = await getLoyaltySettings();
+
+  const transactions = { synced: 0, failed: [] };
+  await syncMatching(
+    Transaction.find({
+      type: { $in: EARNING_TYPES },
+      status: { $in: ['confirmed', 'paid', 'rejected'] },
+      updatedAt: { $gte: since }
+    }).select('user type status cashbackAmount currency exchangeRate'),
+    (transaction) => syncTransactionPoints(transaction, settings),
+    transactions
+  );
+
+  const reviews = { synced: 0, failed: [] };
+  await syncMatching(
+    Review.find({ status: { $in: ['approved', 'rejected'] }, updatedAt: { $gte: since } })
+      .select('user itemType status'),
+    (review) => syncReviewPoints(review, settings),
+    reviews
+  );
+
+  const users = { recalculated: 0, tierChanges: 0, failed: [] };
+  const userIds = await LoyaltyPointEntry.distinct('user');
+  for (const userId of userIds) {
+    try {
+      const result = await recalculateUserLoyalty(userId, { settings, now });
+      if (!result) continue;
+      users.recalculated += 1;
+      if (result.changed) users.tierChanges += 1;
+    } catch (error) {
+      users.failed.push({ user: userId, error: error.message });
+      logger.warn(`Loyalty recalculation failed for user ${userId}: ${error.message}`);
+    }
+  }
+
+  const summary = { ranAt: now, transactions, reviews, users };
+  logger.info(`Loyalty recalculation: ${transactions.synced + reviews.synced} sources synced, ` +
+    `${users.recalculated} users recalculated, ${users.tierChanges} tier changes, ` +
+    `${transactions.failed.length + reviews.failed.length + users.failed.length} failed`);
+  return summary;
+};
+
+module.exports = {
+  runLoyaltyRecalculation
+};
@@ -0,0 +1,67 @@
+/**
+ * @module jobs/notificationDeliveryJob
+ * @description Send the notification deliveries utils/notificationDispatcher held back
+ *
+ * 1. Email and SMS deliveries deferred until a user's quiet hours ended.
+ * 2. Daily and weekly digests: each user's due notifications go out as one email per digest.
+ */
+
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { deliverNotification, sendDigest } = require('../utils/notificationDispatcher');
+const { logger } = require('../middleware/loggingMiddleware');
+
+/**
+ * Run the due notification deliveries
+ * @param {Object} options - Options
+ * @param {Date} [options.now=new Date()] - Current time
+ * @returns {Promise<Object>} Summary of deferred deliveries and digests
+ */
+const runNotificationDelivery = async (options = {}) => {
+  const { now = new Date() } = options;
+  const summary = { ranAt: now, deferred: { sent: 0, failed: 0, skipped: 0 }, digests: { sent: 0, failed: 0, skipped: 0 } };
+
+  const due = await Notification.find({ 'delivery.status': 'pending', 'delivery.scheduledFor': { $lte: now } })
+    .sort({ createdAt: 1 });
+
+  const userIds = [...new Set(due.map(notification => String(notification.user)))];
+  const users = await User.find({ _id: { $in: userIds } }).select('email phone preferences');
+  const usersById = new Map(users.map(user => [String(user._id), user]));
+
+  const digests = new Map();
+  for (const notification of due) {
+    const user = usersById.get(String(notification.user));
+    if (!user) {
+      await Notification.updateOne({ _id: notification._id }, { $set: { 'delivery.status': 'skipped' } });
+      continue;
+    }
+
+    if (notification.delivery.digest) {
+      const key = `${user._id}:${notification.delivery.digest}`;
+      if (!digests.has(key)) digests.set(key, { user, digest: notification.delivery.digest, notifications: [] });
+      digests.get(key).notifications.push(notification);
+      continue;
+    }
+
+    const status = await deliverNotification(user, notification);
+    summary.deferred[status] += 1;
+  }
+
+  for (const { user, digest, notifications } of digests.values()) {
+    try {
+      const status = await sendDigest(user, notifications, digest);
+      summary.digests[status] += 1;
+    } catch (error) {
+      summary.digests.failed += 1;
+      logger.warn(`Notification digest failed for user ${user._id}: ${error.message}`);
+    }
+  }
+
+  logger.info(`Notification delivery: ${summary.deferred.sent} deferred sent, ${summary.digests.sent} digests sent, ` +
+    `${summary.deferred.failed + summary.digests.failed} failed`);
+  return summary;
+};
+
+module.exports = {
+  runNotificationDelivery
+};
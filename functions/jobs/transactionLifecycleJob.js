@@ -0,0 +1,141 @@
+/**
+ * @module jobs/transactionLifecycleJob
+ * @description Scheduled sweep moving pending transactions along their lifecycle
+ *
+ * 1. Expire pending transactions past their expiryDate (or, without one, older than
+ *    the configured maximum pending age) by rejecting them.
+ * 2. Confirm pending cashback once its store's return window and hold period have passed.
+ * 3. Grant referral bonuses still owed for referees with confirmed cashback (deferred by
+ *    the monthly cap, or missed when a commit listener failed).
+ *
+ * Every move goes through ledgerUtils.transitionTransaction, so it is validated against
+ * the allowed transitions, recorded in statusHistory, posted to the ledger and notified.
+ */
+
+const functions = require('firebase-functions');
+const Store = require('../models/Store');
+const Transaction = require('../models/Transaction');
+const { transitionTransaction } = require('../utils/ledgerUtils');
+const { processPendingReferrals } = require('../utils/referralUtils');
+const { logger } = require('../middleware/loggingMiddleware');
+
+/**
+ * Pending transactions without an expiry date are expired after this many days
+ * @returns {number} Maximum pending age in days
+ */
+const getMaxPendingDays = () => parseInt(functions.config().transactions?.max_pending_days, 10) || 365;
+
+/**
+ * Move each transaction matched by a query, collecting a summary
+ * @param {Object} filter - Transaction filter
+ * @param {string} status - Status to move to
+ * @param {Function} describe - Returns { note, rejectionReason } for a transaction
+ * @param {Object} summary - Summary to update ({ moved, failed })
+ * @returns {Promise<void>}
+ */
+const moveMatching = async (filter, status, describe, summary) => {
+  const cursor = Transaction.find(filter).select('_id purchaseDate expiryDate').cursor();
+
+  for (let transaction = await cursor.next(); transaction != null; transaction = await cursor.next()) {
+    const { note, rejectionReason } = describe(transaction);
+    try {
+      // Re-checked inside the session: skip transactions another process already moved
+      const moved = await transitionTransaction(transaction._id, status, {
+        note,
+        beforeSave: (doc) => {
+          if (doc.status !== 'pending') {
+            throw new Error(`Transaction is no longer pending (${doc.status})`);
+          }
+          if (rejectionReason) doc.rejectionReason = rejectionReason;
+        }
+      });
+      if (moved) summary.moved += 1;
+    } catch (error) {
+      summary.failed.push({ transaction: transaction._id, error: error.message });
+      logger.warn(`Lifecycle sweep could not move transaction ${transaction._id} to ${status}: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Reject pending transactions that expired before being confirmed
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { moved, failed }
+ */
+const expireStaleTransactions = async (now) => {
+  const summary = { moved: 0, failed: [] };
+  const maxAge = new Date(now);
+  maxAge.setDate(maxAge.getDate() - getMaxPendingDays());
+
+  await moveMatching({
+    status: 'pending',
+    type: { $ne: 'withdrawal' },
+    $or: [
+      { expiryDate: { $lte: now } },
+      { expiryDate: null, purchaseDate: { $lte: maxAge } }
+    ]
+  }, 'rejected', (transaction) => ({
+    note: 'Expired automatically',
+    rejectionReason: transaction.expiryDate
+      ? 'Expired before the store confirmed the purchase'
+      : `Not confirmed within ${getMaxPendingDays()} days`
+  }), summary);
+
+  return summary;
+};
+
+/**
+ * Confirm pending cashback whose store hold period has passed
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { moved, failed }
+ */
+const confirmHeldCashback = async (now) => {
+  const summary = { moved: 0, failed: [] };
+  const storeIds = await Transaction.distinct('store', { status: 'pending', type: 'cashback' });
+  const stores = await Store.find({ _id: { $in: storeIds } })
+    .select('name returnWindowDays confirmationHoldDays');
+
+  for (const store of stores) {
+    const days = (store.returnWindowDays || 0) + (store.confirmationHoldDays || 0);
+    const cutoff = new Date(now);
+    cutoff.setDate(cutoff.getDate() - days);
+
+    await moveMatching({
+      status: 'pending',
+      type: 'cashback',
+      store: store._id,
+      purchaseDate: { $lte: cutoff }
+    }, 'confirmed', () => ({
+      note: `Confirmed automatically ${days} days after purchase (${store.name} return window and hold period)`
+    }), summary);
+  }
+
+  return summary;
+};
+
+/**
+ * Run the transaction lifecycle sweep
+ * @param {Object} options - Options
+ * @param {Date} [options.now=new Date()] - Time to evaluate hold periods and expiry against
+ * @returns {Promise<Object>} Summary of expired and confirmed transactions and granted referral bonuses
+ */
+const runTransactionLifecycle = async (options = {}) => {
+  const { now = new Date() } = options;
+
+  // Expiry runs first: an explicit expiry date wins over the hold period
+  const expired = await expireStaleTransactions(now);
+  const confirmed = await confirmHeldCashback(now);
+  const referrals = await processPendingReferrals({ now });
+
+  const summary = { ranAt: now, expired, confirmed, referrals };
+  logger.info(`Transaction lifecycle sweep: ${expired.moved} expired, ${confirmed.moved} confirmed, ` +
+    `${referrals.granted} referral bonuses, ` +
+    `${expired.failed.length + confirmed.failed.length + referrals.failed.length} failed`);
+  return summary;
+};
+
+module.exports = {
+  runTransactionLifecycle,
+  expireStaleTransactions,
+  confirmHeldCashback
+};
@@ -9,123 +9,216 @@
  * - Rate limiting per key
  * - Usage tracking and analytics
  * - Key rotation and revocation
+ *
+ * Keys are stored hashed in the ApiKey collection and managed through /api/api-keys.
  */
 
 const crypto = require('crypto');
-const { getAsync, setAsync, incrAsync, expireAsync } = require('../utils/redisClient');
+const ApiKey = require('../models/ApiKey');
+const { logger } = require('./loggingMiddleware');
+const { authMiddleware, requireAdmin } = require('./authMiddleware');
 
-// In-memory store for API key tracking (should use Redis in production)
-const apiKeyStore = {};
+// Maximum age of a signed request before it is treated as a replay (5 minutes)
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
 
 /**
- * Generate a new API key
- * @param {string} service - Service name
- * @returns {string} Generated API key
+ * Validate the API key in the X-API-Key header, check its scopes and count the request against its hourly limit
+ * @param {Object} options - Options for validation
+ * @param {string[]} options.scopes - Scopes that may call the route (any key if empty; admin keys always may)
+ * @returns {Function} Express middleware function
  */
-const generateApiKey = (service) => {
-  const apiKey = `${service}_${crypto.randomBytes(16).toString('hex')}`;
-  const apiSecret = crypto.randomBytes(32).toString('hex');
+const validateApiKey = (options = {}) => {
+  const { scopes = [] } = options;
   
-  // In production, save this to database instead of in-memory
-  apiKeyStore[apiKey] = {
-    service,
-    secret: apiSecret,
-    createdAt: new Date(),
-    lastUsed: null,
-    rateLimit: {
-      count: 0,
-      resetAt: Date.now() + 3600000 // 1 hour
+  return async (req, res, next) => {
+    try {
+      const presented = req.headers['x-api-key'];
+      
+      if (!presented) {
+        return res.status(401).json({
+          success: false,
+          message: 'API key is required'
+        });
+      }
+      
+      const keyId = ApiKey.parseKeyId(presented);
+      const apiKey = keyId && await ApiKey.findOne({ keyId });
+      const now = new Date();
+      
+      if (!apiKey || !apiKey.matchesKey(presented, now) || !apiKey.isUsable(now)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid API key'
+        });
+      }
+      
+      // Check if the key may call this route
+      if (!apiKey.hasScope(scopes)) {
+        return res.status(403).json({
+          success: false,
+          message: 'This API key is not authorized for this service'
+        });
+      }
+      
+      // Count the request and check the key's hourly limit
+      const usage = await ApiKey.recordUsage(apiKey, { ip: req.ip, now });
+      res.setHeader('X-RateLimit-Limit', apiKey.rateLimit);
+      res.setHeader('X-RateLimit-Remaining', usage.remaining);
+      res.setHeader('X-RateLimit-Reset', Math.ceil(usage.resetAt.getTime() / 1000));
+      
+      if (!usage.allowed) {
+        const retryAfter = Math.ceil((usage.resetAt.getTime() - now.getTime()) / 1000);
+        res.setHeader('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: 'API rate limit exceeded',
+          retryAfter
+        });
+      }
+      
+      // Add API key info to request for use in controllers
+      req.apiKey = {
+        id: apiKey._id,
+        keyId: apiKey.keyId,
+        name: apiKey.name,
+        scopes: apiKey.scopes
+      };
+      
+      next();
+    } catch (error) {
+      logger.error(`API key validation error: ${error.message}`);
+      next(error);
     }
   };
-  
-  return { apiKey, apiSecret };
 };
 
 /**
- * Validate API key and apply rate limiting
- * @param {Object} options - Options for validation
- * @param {string[]} options.services - Array of allowed services
- * @param {number} options.rateLimit - Maximum requests per hour
+ * Compute the HMAC signature of a request payload
+ * The signed string is `${timestamp}.${payload}` so a signature cannot be replayed with another timestamp
+ * @param {string} secret - Shared secret
+ * @param {string|number} timestamp - Request timestamp (ms since epoch)
+ * @param {string|Buffer} payload - Raw request body
+ * @returns {string} Hex encoded HMAC-SHA256 signature
+ */
+const computeSignature = (secret, timestamp, payload = '') => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(payload)
+    .digest('hex');
+};
+
+/**
+ * Verify an HMAC signature and its timestamp
+ * @param {Object} options - Verification options
+ * @param {string} options.secret - Shared secret
+ * @param {string} options.signature - Signature sent by the client (hex, optionally prefixed with "sha256=")
+ * @param {string|number} options.timestamp - Timestamp sent by the client (ms since epoch)
+ * @param {string|Buffer} options.payload - Raw request body
+ * @param {number} [options.tolerance] - Maximum allowed clock difference in ms
+ * @returns {Object} { valid: boolean, reason?: string }
+ */
+const verifySignature = (options) => {
+  const { secret, signature, timestamp, payload, tolerance = SIGNATURE_TOLERANCE_MS } = options;
+
+  if (!signature || !timestamp) {
+    return { valid: false, reason: 'Signature and timestamp are required' };
+  }
+
+  const sentAt = Number(timestamp);
+  if (!Number.isFinite(sentAt) || Math.abs(Date.now() - sentAt) > tolerance) {
+    return { valid: false, reason: 'Request timestamp is invalid or expired' };
+  }
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, payload), 'hex');
+  const received = Buffer.from(String(signature).replace(/^sha256=/, ''), 'hex');
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'Invalid signature' };
+  }
+
+  return { valid: true };
+};
+
+/**
+ * Middleware verifying the HMAC signature of a request
+ * Expects `X-Signature` and `X-Timestamp` headers and the raw body on `req.rawBody`.
+ * @param {Object} options - Options
+ * @param {Function} [options.getSecret] - Resolve the shared secret for a request
+ *   (defaults to the API key validated by validateApiKey, which only its holder and the caller know)
+ * @param {number} [options.tolerance] - Maximum allowed clock difference in ms
  * @returns {Function} Express middleware function
  */
-const validateApiKey = (options = {}) => {
+const requireSignature = (options = {}) => {
   const {
-    services = [],
-    rateLimit = 1000 // Default to 1000 requests per hour
+    getSecret = (req) => req.apiKey && req.headers['x-api-key'],
+    tolerance
   } = options;
-  
-  return (req, res, next) => {
-    const apiKey = req.headers['x-api-key'];
-    
-    if (!apiKey) {
-      return res.status(401).json({
-        success: false,
-        message: 'API key is required'
-      });
-    }
-    
-    const keyData = apiKeyStore[apiKey];
-    
-    if (!keyData) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid API key'
-      });
-    }
-    
-    // Check if the service is allowed
-    if (services.length > 0 && !services.includes(keyData.service)) {
-      return res.status(403).json({
-        success: false,
-        message: 'This API key is not authorized for this service'
+
+  return async (req, res, next) => {
+    try {
+      const secret = await getSecret(req);
+
+      if (!secret) {
+        return res.status(401).json({
+          success: false,
+          message: 'No signing secret is configured for this request'
+        });
+      }
+
+      const result = verifySignature({
+        secret,
+        signature: req.headers['x-signature'],
+        timestamp: req.headers['x-timestamp'],
+        payload: req.rawBody || '',
+        tolerance
       });
-    }
-    
-    // Check rate limit
-    const now = Date.now();
-    
-    // Reset rate limit if the hour has passed
-    if (now > keyData.rateLimit.resetAt) {
-      keyData.rateLimit = {
-        count: 1,
-        resetAt: now + 3600000 // 1 hour
-      };
-    } else {
-      // Increment count and check if limit is exceeded
-      keyData.rateLimit.count++;
-      if (keyData.rateLimit.count > rateLimit) {
-        return res.status(429).json({
+
+      if (!result.valid) {
+        return res.status(401).json({
           success: false,
-          message: 'API rate limit exceeded',
-          retryAfter: Math.ceil((keyData.rateLimit.resetAt - now) / 1000)
+          message: result.reason
         });
       }
+
+      next();
+    } catch (error) {
+      next(error);
     }
-    
-    // Update last used timestamp
-    keyData.lastUsed = new Date();
-    
-    // Add API key info to request for use in controllers
-    req.apiKey = {
-      key: apiKey,
-      service: keyData.service
-    };
-    
-    next();
   };
 };
 
 /**
- * Middleware to require API key for specific services
- * @param {string[]} services - Array of services that require API key
+ * Middleware to require an API key with one of some scopes
+ * @param {string[]} scopes - Scopes that may call the route (any key if empty)
  * @returns {Function} Express middleware function
  */
-const requireApiKey = (services = []) => {
-  return validateApiKey({ services });
+const requireApiKey = (scopes = []) => {
+  return validateApiKey({ scopes });
+};
+
+/**
+ * Middleware to require either an API key with one of some scopes or a signed-in admin.
+ * A request with an X-API-Key header is judged on the key alone, so partners need no user account.
+ * @param {string[]} scopes - Scopes that may call the route (any key if empty)
+ * @returns {Function} Express middleware function
+ */
+const requireApiKeyOrAdmin = (scopes = []) => {
+  const checkApiKey = validateApiKey({ scopes });
+
+  return (req, res, next) => {
+    if (req.headers['x-api-key']) {
+      return checkApiKey(req, res, next);
+    }
+    return authMiddleware(req, res, () => requireAdmin(req, res, next));
+  };
 };
 
 module.exports = {
-  generateApiKey,
   validateApiKey,
-  requireApiKey
+  requireApiKey,
+  requireApiKeyOrAdmin,
+  computeSignature,
+  verifySignature,
+  requireSignature
 };
\ No newline at end of file
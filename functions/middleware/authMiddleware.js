@@ -6,6 +6,15 @@
 const { verifyAccessToken, extractTokenFromHeader } = require('../utils/jwtUtils');
 const User = require('../models/User');
 
+/**
+ * Check that the session an access token belongs to has not been signed out or revoked
+ * @param {Object} user - User document
+ * @param {Object} decoded - Decoded access token
+ * @returns {boolean} Whether the session is active (tokens issued without a session always are)
+ */
+const isSessionActive = (user, decoded) => !decoded.sessionId
+  || user.refreshTokens.some(session => String(session._id) === decoded.sessionId);
+
 /**
  * Authentication middleware
  * Verifies the JWT token from the Authorization header and adds the decoded user data to the request object
@@ -41,7 +50,7 @@ const authMiddleware = async (req, res, next) => {
     }
 
     // Verify the token
-    const decoded = verifyAccessToken(token);
+    const decoded = await verifyAccessToken(token);
     
     if (!decoded) {
       return res.status(401).json({ 
@@ -71,6 +80,15 @@ const authMiddleware = async (req, res, next) => {
       });
     }
     
+    // Tokens of a session that was signed out or revoked stop working with it
+    if (!isSessionActive(user, decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
     // Add the decoded user data and full user object to the request
     req.user = decoded;
     req.userDetails = user;
@@ -117,7 +135,7 @@ const optionalAuthMiddleware = async (req, res, next) => {
     }
 
     // Verify the token
-    const decoded = verifyAccessToken(token);
+    const decoded = await verifyAccessToken(token);
     
     if (!decoded) {
       // Invalid token, but that's okay
@@ -127,7 +145,7 @@ const optionalAuthMiddleware = async (req, res, next) => {
     // Check if user exists
     const user = await User.findById(decoded.userId).select('-password');
     
-    if (user && decoded.tokenVersion === (user.tokenVersion || 0)) {
+    if (user && decoded.tokenVersion === (user.tokenVersion || 0) && isSessionActive(user, decoded)) {
       // Add the decoded user data to the request
       req.user = decoded;
       req.userDetails = user;
@@ -176,5 +194,6 @@ const requireAdmin = (req, res, next) => {
 module.exports = {
   authMiddleware,
   optionalAuthMiddleware,
-  requireAdmin
+  requireAdmin,
+  isSessionActive
 };
\ No newline at end of file
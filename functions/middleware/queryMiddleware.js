@@ -283,8 +283,9 @@ const cacheResponse = (options = {}) => {
       return next();
     }
     
-    // Skip caching for authenticated requests if configured
-    if (skipAuthenticated && req.user) {
+    // Skip caching for authenticated requests if configured. Routers authenticate after this
+    // middleware runs, so req.user is not set yet; the Authorization header is what marks them.
+    if (skipAuthenticated && (req.user || req.headers.authorization)) {
       return next();
     }
     
@@ -3,23 +3,35 @@
  * @description Rate limiting middleware for API endpoints
  * 
  * This middleware implements rate limiting to prevent API abuse.
- * It uses an in-memory store for simplicity, but in production,
- * you should use Redis or another distributed store.
+ * Counters and login blocks are kept in the shared rate limit store
+ * (Redis, or MongoDB without it), so limits hold across every function instance.
  */
 
 const User = require('../models/User');
+const rateLimitStore = require('../utils/rateLimitStore');
 
-// Simple in-memory store for rate limiting
-const rateLimitStore = {};
+// Every rate limiter, by prefix, so admins can inspect and clear them
+const limiters = new Map();
 
-// Store for tracking failed login attempts
-const loginAttemptStore = {};
+// Failed login attempts allowed from an IP address for an email within LOGIN_WINDOW_MS
+const LOGIN_MAX_ATTEMPTS = 5;
+const LOGIN_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+const LOGIN_BLOCK_MS = 30 * 60 * 1000; // 30 minutes
+
+/**
+ * Store key for an IP address and email's login attempts
+ * @param {string} ip - IP address
+ * @param {string} email - Email address
+ * @returns {string} Key
+ */
+const loginKey = (ip, email) => `${ip}:${String(email).toLowerCase()}`;
 
 /**
  * Base rate limiting middleware
  * @param {Object} options - Rate limiting options
  * @param {number} options.windowMs - Time window in milliseconds
  * @param {number} options.max - Maximum number of requests in the time window
+ * @param {string} options.prefix - Name of the limiter; keeps its counters apart from other limiters'
  * @param {string|Object} options.message - Error message to return when rate limit is exceeded
  * @param {Function} options.keyGenerator - Function to generate a unique key for each request (defaults to IP address)
  * @param {boolean} options.skipSuccessfulRequests - Whether to skip incrementing the counter for successful requests
@@ -29,66 +41,37 @@ const createRateLimiter = (options = {}) => {
   const {
     windowMs = 60 * 1000, // 1 minute by default
     max = 100, // 100 requests per windowMs by default
+    prefix = 'requests',
     message = 'Too many requests, please try again later.',
     keyGenerator = (req) => req.ip || req.connection.remoteAddress,
     skipSuccessfulRequests = false
   } = options;
 
-  // Clean up old entries every windowMs
-  setInterval(() => {
-    const now = Date.now();
-    Object.keys(rateLimitStore).forEach(key => {
-      if (now - rateLimitStore[key].timestamp > windowMs) {
-        delete rateLimitStore[key];
-      }
-    });
-  }, windowMs);
+  limiters.set(prefix, { prefix, windowMs, max });
 
-  return (req, res, next) => {
-    const key = keyGenerator(req);
+  return async (req, res, next) => {
+    const key = `${prefix}:${keyGenerator(req)}`;
     const now = Date.now();
 
-    // Initialize or update the rate limit entry
-    if (!rateLimitStore[key]) {
-      rateLimitStore[key] = {
-        count: 1,
-        timestamp: now
-      };
-      
-      // Add rate limit headers
-      res.setHeader('X-RateLimit-Limit', max);
-      res.setHeader('X-RateLimit-Remaining', max - 1);
-      res.setHeader('X-RateLimit-Reset', Math.ceil((now + windowMs) / 1000));
-      
+    let result;
+    try {
+      result = await rateLimitStore.hit(key, windowMs, { now });
+    } catch (error) {
+      // Don't take the API down with the store
+      console.error('Rate limit store error:', error);
       return next();
     }
+    const { count, resetAt } = result;
 
-    // Reset count if the window has passed
-    if (now - rateLimitStore[key].timestamp > windowMs) {
-      rateLimitStore[key] = {
-        count: 1,
-        timestamp: now
-      };
-      
-      // Add rate limit headers
-      res.setHeader('X-RateLimit-Limit', max);
-      res.setHeader('X-RateLimit-Remaining', max - 1);
-      res.setHeader('X-RateLimit-Reset', Math.ceil((now + windowMs) / 1000));
-      
-      return next();
-    }
+    // Add rate limit headers
+    res.setHeader('X-RateLimit-Limit', max);
+    res.setHeader('X-RateLimit-Remaining', Math.max(0, max - count));
+    res.setHeader('X-RateLimit-Reset', Math.ceil(resetAt.getTime() / 1000));
 
-    // Increment count and check if limit is exceeded
-    rateLimitStore[key].count++;
-    if (rateLimitStore[key].count > max) {
+    if (count > max) {
       // Calculate retry after time
-      const retryAfterSeconds = Math.ceil((rateLimitStore[key].timestamp + windowMs - now) / 1000);
-      
-      // Set retry-after header
+      const retryAfterSeconds = Math.ceil((resetAt.getTime() - now) / 1000);
       res.setHeader('Retry-After', String(retryAfterSeconds));
-      res.setHeader('X-RateLimit-Limit', max);
-      res.setHeader('X-RateLimit-Remaining', 0);
-      res.setHeader('X-RateLimit-Reset', Math.ceil((rateLimitStore[key].timestamp + windowMs) / 1000));
       
       // Return error response
       return res.status(429).json(
@@ -103,19 +86,15 @@ const createRateLimiter = (options = {}) => {
       );
     }
 
-    // Add rate limit headers
-    res.setHeader('X-RateLimit-Limit', max);
-    res.setHeader('X-RateLimit-Remaining', Math.max(0, max - rateLimitStore[key].count));
-    res.setHeader('X-RateLimit-Reset', Math.ceil((rateLimitStore[key].timestamp + windowMs) / 1000));
-
-    // If skipSuccessfulRequests is true, decrement the counter after a successful response
+    // If skipSuccessfulRequests is true, take the hit back after a successful response
     if (skipSuccessfulRequests) {
       const originalEnd = res.end;
       res.end = function(...args) {
         if (res.statusCode < 400) {
-          rateLimitStore[key].count--;
+          rateLimitStore.release(key, windowMs, now)
+            .catch(error => console.error('Rate limit store error:', error));
         }
-        originalEnd.apply(res, args);
+        return originalEnd.apply(res, args);
       };
     }
 
@@ -129,6 +108,7 @@ const createRateLimiter = (options = {}) => {
 const basicLimiter = createRateLimiter({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
+  prefix: 'basic',
   message: {
     success: false,
     message: 'Too many requests from this IP, please try again after 15 minutes',
@@ -142,6 +122,7 @@ const basicLimiter = createRateLimiter({
 const apiLimiter = createRateLimiter({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 1000, // limit each IP to 1000 requests per windowMs
+  prefix: 'api',
   message: {
     success: false,
     message: 'Too many API requests from this IP, please try again after an hour',
@@ -155,6 +136,7 @@ const apiLimiter = createRateLimiter({
 const authLimiter = createRateLimiter({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: process.env.NODE_ENV === 'production' ? 20 : 100, // More lenient in development
+  prefix: 'auth',
   message: {
     success: false,
     message: 'Too many authentication attempts from this IP, please try again after an hour',
@@ -168,6 +150,7 @@ const authLimiter = createRateLimiter({
 const strictLimiter = createRateLimiter({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 5, // limit each IP to 5 requests per hour
+  prefix: 'strict',
   message: {
     success: false,
     message: 'Too many sensitive operations from this IP, please try again after an hour',
@@ -175,10 +158,29 @@ const strictLimiter = createRateLimiter({
   }
 });
 
+/**
+ * Respond that login is blocked for an IP address and email
+ * @param {Object} res - Express response
+ * @param {Date} blockedUntil - When the block ends
+ * @returns {Object} Response
+ */
+const sendLoginBlocked = (res, blockedUntil) => {
+  const retryAfterSeconds = Math.max(1, Math.ceil((blockedUntil.getTime() - Date.now()) / 1000));
+  res.setHeader('Retry-After', String(retryAfterSeconds));
+
+  return res.status(429).json({
+    success: false,
+    message: 'Too many failed login attempts. Account temporarily locked.',
+    code: 'ACCOUNT_LOCKED',
+    retryAfter: retryAfterSeconds,
+    lockExpires: blockedUntil
+  });
+};
+
 /**
  * Progressive rate limiter for login attempts
- * This middleware tracks failed login attempts and implements progressive delays
- * It also updates the user's loginAttempts field in the database
+ * This middleware counts login attempts per IP address and email and blocks them for 30 minutes after too many.
+ * It also updates the user's accountLocked field in the database
  */
 const loginRateLimiter = async (req, res, next) => {
   const ipAddr = req.ip || req.connection.remoteAddress;
@@ -188,65 +190,46 @@ const loginRateLimiter = async (req, res, next) => {
     return next();
   }
   
-  const key = `${ipAddr}:${email}`;
+  const key = loginKey(ipAddr, email);
   const now = Date.now();
-  const maxAttempts = 5;
-  const blockDuration = 30 * 60 * 1000; // 30 minutes
-  
-  // Initialize or get the login attempt entry
-  if (!loginAttemptStore[key]) {
-    loginAttemptStore[key] = {
-      attempts: 0,
-      lastAttempt: now,
-      blockedUntil: null
-    };
-  }
-  
-  const attemptInfo = loginAttemptStore[key];
-  
-  // Check if the user is blocked
-  if (attemptInfo.blockedUntil && now < attemptInfo.blockedUntil) {
-    // Calculate retry after time
-    const retryAfterSeconds = Math.ceil((attemptInfo.blockedUntil - now) / 1000);
-    
-    // Set retry-after header
-    res.setHeader('Retry-After', String(retryAfterSeconds));
-    
-    return res.status(429).json({
-      success: false,
-      message: 'Too many failed login attempts. Account temporarily locked.',
-      code: 'ACCOUNT_LOCKED',
-      retryAfter: retryAfterSeconds,
-      lockExpires: new Date(attemptInfo.blockedUntil)
-    });
-  }
-  
-  // If the user was blocked but the block has expired, reset the attempts
-  if (attemptInfo.blockedUntil && now >= attemptInfo.blockedUntil) {
-    attemptInfo.attempts = 0;
-    attemptInfo.blockedUntil = null;
+
+  let attempts;
+  try {
+    const block = await rateLimitStore.getBlock(`login-block:${key}`);
+    if (block) {
+      return sendLoginBlocked(res, block.blockedUntil);
+    }
+
+    ({ count: attempts } = await rateLimitStore.hit(`login:${key}`, LOGIN_WINDOW_MS, { now }));
+  } catch (error) {
+    console.error('Rate limit store error:', error);
+    return next();
   }
   
-  // Track this attempt
-  attemptInfo.attempts++;
-  attemptInfo.lastAttempt = now;
-  
   // Check if the user has exceeded the maximum attempts
-  if (attemptInfo.attempts >= maxAttempts) {
-    // Block the user
-    attemptInfo.blockedUntil = now + blockDuration;
+  if (attempts >= LOGIN_MAX_ATTEMPTS) {
+    const blockedUntil = new Date(now + LOGIN_BLOCK_MS);
+
+    try {
+      await rateLimitStore.setBlock(`login-block:${key}`, blockedUntil, {
+        ip: ipAddr,
+        email: String(email).toLowerCase(),
+        attempts
+      });
+      // Attempts count from zero once the block ends
+      await rateLimitStore.reset(`login:${key}`);
+    } catch (error) {
+      console.error('Rate limit store error:', error);
+    }
     
     // Update the user's account status in the database
     try {
       const user = await User.findOne({ email });
       
       if (user) {
-        // Lock the account
+        // Lock the account until the block ends
         user.accountLocked = true;
-        
-        // Lock for 30 minutes
-        const lockUntil = new Date(attemptInfo.blockedUntil);
-        user.accountLockedUntil = lockUntil;
+        user.accountLockedUntil = blockedUntil;
         
         // Record the failed login attempt
         if (!user.loginHistory) {
@@ -266,36 +249,22 @@ const loginRateLimiter = async (req, res, next) => {
       console.error('Error updating user account status:', error);
     }
     
-    // Calculate retry after time
-    const retryAfterSeconds = Math.ceil(blockDuration / 1000);
-    
-    // Set retry-after header
-    res.setHeader('Retry-After', String(retryAfterSeconds));
-    
-    return res.status(429).json({
-      success: false,
-      message: 'Too many failed login attempts. Account temporarily locked.',
-      code: 'ACCOUNT_LOCKED',
-      retryAfter: retryAfterSeconds,
-      lockExpires: new Date(attemptInfo.blockedUntil)
-    });
+    return sendLoginBlocked(res, blockedUntil);
   }
   
   // Add a warning header with attempts left
-  res.setHeader('X-RateLimit-Remaining', String(maxAttempts - attemptInfo.attempts));
+  res.setHeader('X-RateLimit-Remaining', String(LOGIN_MAX_ATTEMPTS - attempts));
   
-  // Proceed to next middleware
-  next();
-  
-  // Add a hook to reset the counter on successful login
+  // Reset the counter on successful login
   const originalEnd = res.end;
   res.end = function(...args) {
     if (res.statusCode >= 200 && res.statusCode < 300) {
-      // Successful login, reset the counter
-      delete loginAttemptStore[key];
+      resetLoginRateLimit(ipAddr, email);
     }
-    originalEnd.apply(res, args);
+    return originalEnd.apply(res, args);
   };
+
+  next();
 };
 
 /**
@@ -304,25 +273,49 @@ const loginRateLimiter = async (req, res, next) => {
  * 
  * @param {string} ip - IP address
  * @param {string} email - Email address
+ * @returns {Promise<void>}
  */
-const resetLoginRateLimit = (ip, email) => {
-  const key = `${ip}:${email}`;
-  delete loginAttemptStore[key];
+const resetLoginRateLimit = async (ip, email) => {
+  try {
+    await rateLimitStore.reset(`login:${loginKey(ip, email)}`);
+  } catch (error) {
+    console.error('Rate limit store error:', error);
+  }
 };
 
-// Clean up old login attempt entries every hour
-setInterval(() => {
-  const now = Date.now();
-  Object.keys(loginAttemptStore).forEach(key => {
-    const attemptInfo = loginAttemptStore[key];
-    
-    // Remove entries that are no longer blocked and haven't been attempted in the last hour
-    if ((!attemptInfo.blockedUntil || now >= attemptInfo.blockedUntil) && 
-        now - attemptInfo.lastAttempt > 60 * 60 * 1000) {
-      delete loginAttemptStore[key];
-    }
-  });
-}, 60 * 60 * 1000);
+/**
+ * List active login blocks
+ * @param {Object} [filter] - Filter
+ * @param {string} [filter.ip] - Only blocks for this IP address
+ * @param {string} [filter.email] - Only blocks for this email
+ * @returns {Promise<Array<Object>>} Blocks: { key, ip, email, attempts, blockedUntil }
+ */
+const getLoginBlocks = async (filter = {}) => {
+  const email = filter.email && filter.email.toLowerCase();
+  const blocks = await rateLimitStore.listBlocks('login-block:');
+  return blocks.filter(block => (!filter.ip || block.ip === filter.ip) && (!email || block.email === email));
+};
+
+/**
+ * Clear login blocks, along with the attempts counted towards them
+ * @param {Object} [filter] - Filter, as for getLoginBlocks; clears every block if empty
+ * @returns {Promise<Array<Object>>} The blocks cleared
+ */
+const clearLoginBlocks = async (filter = {}) => {
+  const blocks = await getLoginBlocks(filter);
+  await Promise.all(blocks.map(block => rateLimitStore.removeBlock(block.key)));
+  await Promise.all(blocks.map(block => rateLimitStore.reset(`login:${loginKey(block.ip, block.email)}`)));
+  if (filter.ip && filter.email) {
+    await rateLimitStore.reset(`login:${loginKey(filter.ip, filter.email)}`);
+  }
+  return blocks;
+};
+
+/**
+ * Get every rate limiter's settings
+ * @returns {Array<Object>} [{ prefix, windowMs, max }]
+ */
+const getLimiters = () => Array.from(limiters.values());
 
 module.exports = {
   createRateLimiter,
@@ -331,5 +324,8 @@ module.exports = {
   authLimiter,
   strictLimiter,
   loginRateLimiter,
-  resetLoginRateLimit
-};
\ No newline at end of file
+  resetLoginRateLimit,
+  getLoginBlocks,
+  clearLoginBlocks,
+  getLimiters
+};
@@ -0,0 +1,280 @@
+/**
+ * @module models/ApiKey
+ * @description API keys partner integrations call the API with.
+ * Only a SHA-256 hash of each key is stored; the key itself is shown once, when it is created or rotated.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * What a key can be allowed to call; admin keys can call everything
+ */
+const SCOPES = ['external', 'analytics', 'monitoring', 'cache', 'admin'];
+
+/**
+ * Keys look like ck_<key ID>_<secret>; the key ID finds the key, the whole key is hashed
+ */
+const KEY_PREFIX = 'ck';
+const KEY_PATTERN = /^ck_([a-f0-9]{16})_[a-f0-9]{64}$/;
+
+/**
+ * Longest grace period a rotated key can keep working, in hours
+ */
+const MAX_ROTATION_GRACE_HOURS = 30 * 24;
+
+/**
+ * Days of daily request counts kept per key
+ */
+const USAGE_RETENTION_DAYS = 90;
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - API key
+ * @returns {string} Hex SHA-256 hash
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Compare two hex hashes in constant time
+ * @param {string} a - Hash
+ * @param {string} b - Hash
+ * @returns {boolean} Whether they are equal
+ */
+const hashesMatch = (a, b) => Boolean(a && b) && a.length === b.length
+  && crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+
+/**
+ * API Key Schema
+ * @typedef {Object} ApiKeySchema
+ * @property {string} name - What the key is for, e.g. the partner's name
+ * @property {string} keyId - Public part of the key, used to find it
+ * @property {string} keyHash - Hash of the current key
+ * @property {string} previousKeyHash - Hash of the key it was rotated from, accepted until previousKeyExpiresAt
+ * @property {string[]} scopes - What the key can call
+ * @property {number} rateLimit - Requests allowed per hour
+ * @property {Date} expiresAt - When the key stops working (never if unset)
+ * @property {Date} revokedAt - When the key was revoked
+ * @property {Object} usage - Request counts: total, per day and in the current hour
+ */
+const apiKeySchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  keyId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: true
+  },
+  previousKeyHash: {
+    type: String
+  },
+  previousKeyExpiresAt: {
+    type: Date
+  },
+  scopes: {
+    type: [{ type: String, enum: SCOPES }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'An API key needs at least one scope'
+    }
+  },
+  rateLimit: {
+    type: Number,
+    min: 1,
+    default: 1000
+  },
+  expiresAt: {
+    type: Date
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rotatedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  usage: {
+    totalRequests: { type: Number, default: 0 },
+    lastUsedAt: { type: Date },
+    lastUsedIp: { type: String },
+    // Requests per UTC day (YYYY-MM-DD)
+    daily: { type: Map, of: Number, default: () => new Map() },
+    // Fixed hourly rate limit window
+    windowStart: { type: Date },
+    windowCount: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ revokedAt: 1, createdAt: -1 });
+
+/**
+ * Whether the key can be used at a time
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {boolean} Whether it is neither revoked nor expired
+ */
+apiKeySchema.methods.isUsable = function(now = new Date()) {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > now);
+};
+
+/**
+ * Check a presented key against this one, accepting the previous key during its grace period
+ * @param {string} key - Presented API key
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {boolean} Whether it matches
+ */
+apiKeySchema.methods.matchesKey = function(key, now = new Date()) {
+  const hash = hashKey(key);
+  if (hashesMatch(hash, this.keyHash)) return true;
+  return Boolean(this.previousKeyExpiresAt && this.previousKeyExpiresAt > now)
+    && hashesMatch(hash, this.previousKeyHash);
+};
+
+/**
+ * Whether the key may call something that requires one of some scopes
+ * @param {string[]} scopes - Accepted scopes (any key if empty)
+ * @returns {boolean} Whether it has one of them, or admin
+ */
+apiKeySchema.methods.hasScope = function(scopes = []) {
+  return scopes.length === 0 || this.scopes.includes('admin') || scopes.some(scope => this.scopes.includes(scope));
+};
+
+/**
+ * Replace the key with a new one, accepting the old one for a grace period
+ * @param {number} graceMs - How long the old key keeps working
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {string} The new key
+ */
+apiKeySchema.methods.rotate = function(graceMs, now = new Date()) {
+  const key = `${KEY_PREFIX}_${this.keyId}_${crypto.randomBytes(32).toString('hex')}`;
+  this.previousKeyHash = this.keyHash;
+  this.previousKeyExpiresAt = new Date(now.getTime() + graceMs);
+  this.keyHash = hashKey(key);
+  this.rotatedAt = now;
+  return key;
+};
+
+/**
+ * Daily request counts, oldest first
+ * @param {number} [days=30] - Days to return, ending today
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Array<Object>} [{ date, requests }]
+ */
+apiKeySchema.methods.dailyUsage = function(days = 30, now = new Date()) {
+  const daily = this.usage.daily || new Map();
+  return Array.from({ length: days }, (_, index) => {
+    const date = new Date(now.getTime() - (days - 1 - index) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    return { date, requests: daily.get(date) || 0 };
+  });
+};
+
+/**
+ * Create a key
+ * @param {Object} fields - name, scopes, rateLimit, expiresAt, createdBy
+ * @returns {Promise<Object>} { apiKey, key } - the key is only available now
+ */
+apiKeySchema.statics.issue = async function(fields) {
+  const keyId = crypto.randomBytes(8).toString('hex');
+  const key = `${KEY_PREFIX}_${keyId}_${crypto.randomBytes(32).toString('hex')}`;
+  const apiKey = await this.create({ ...fields, keyId, keyHash: hashKey(key) });
+  return { apiKey, key };
+};
+
+/**
+ * Get the key ID of a presented key
+ * @param {string} key - Presented API key
+ * @returns {string|null} Key ID, or null if it is not shaped like a key
+ */
+apiKeySchema.statics.parseKeyId = function(key) {
+  const match = KEY_PATTERN.exec(key || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * Count a request made with a key and check it against the key's hourly limit
+ * @param {Object} apiKey - ApiKey document
+ * @param {Object} [options] - Options
+ * @param {string} [options.ip] - Caller's IP address
+ * @param {Date} [options.now=new Date()] - Current time
+ * @returns {Promise<Object>} { allowed, remaining, resetAt }
+ */
+apiKeySchema.statics.recordUsage = async function(apiKey, options = {}) {
+  const { ip, now = new Date() } = options;
+  const windowStart = new Date(Math.floor(now.getTime() / 3600000) * 3600000);
+  const day = now.toISOString().slice(0, 10);
+  const counted = {
+    'usage.totalRequests': 1,
+    [`usage.daily.${day}`]: 1
+  };
+  const seen = { 'usage.lastUsedAt': now, 'usage.lastUsedIp': ip };
+
+  // Daily counts past the retention period are dropped on the first request of a day
+  const stale = {};
+  if (!apiKey.usage.daily || !apiKey.usage.daily.has(day)) {
+    const cutoff = new Date(now.getTime() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    for (const date of (apiKey.usage.daily || new Map()).keys()) {
+      if (date < cutoff) stale[`usage.daily.${date}`] = '';
+    }
+  }
+  const unset = Object.keys(stale).length > 0 ? { $unset: stale } : {};
+
+  // Same window: count the request; new window: start counting again
+  let updated = await this.findOneAndUpdate(
+    { _id: apiKey._id, 'usage.windowStart': windowStart },
+    { $inc: { ...counted, 'usage.windowCount': 1 }, $set: seen, ...unset },
+    { new: true, projection: { usage: 1 } }
+  );
+  if (!updated) {
+    updated = await this.findOneAndUpdate(
+      { _id: apiKey._id, 'usage.windowStart': { $ne: windowStart } },
+      { $inc: counted, $set: { ...seen, 'usage.windowStart': windowStart, 'usage.windowCount': 1 }, ...unset },
+      { new: true, projection: { usage: 1 } }
+    );
+  }
+  if (!updated) {
+    // Another request started the window first
+    updated = await this.findOneAndUpdate(
+      { _id: apiKey._id },
+      { $inc: { ...counted, 'usage.windowCount': 1 }, $set: seen },
+      { new: true, projection: { usage: 1 } }
+    );
+  }
+
+  const count = updated ? updated.usage.windowCount : 1;
+  return {
+    allowed: count <= apiKey.rateLimit,
+    remaining: Math.max(0, apiKey.rateLimit - count),
+    resetAt: new Date(windowStart.getTime() + 3600000)
+  };
+};
+
+apiKeySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    delete ret.previousKeyHash;
+    return ret;
+  }
+});
+
+apiKeySchema.statics.SCOPES = SCOPES;
+apiKeySchema.statics.MAX_ROTATION_GRACE_HOURS = MAX_ROTATION_GRACE_HOURS;
+apiKeySchema.statics.hashKey = hashKey;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
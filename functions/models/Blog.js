@@ -50,7 +50,10 @@ const blogSchema = new Schema({
 });
 
 // Create a text index for search functionality
-blogSchema.index({ title: 'text', content: 'text', tags: 'text' });
+blogSchema.index(
+  { title: 'text', summary: 'text', content: 'text', tags: 'text', category: 'text' },
+  { weights: { title: 10, summary: 5, content: 3, tags: 2, category: 1 }, name: 'blog_search' }
+);
 
 // Pre-save hook to generate slug if not provided
 blogSchema.pre('save', function(next) {
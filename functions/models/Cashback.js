@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = require('./ExchangeRate');
 
 const cashbackSchema = new Schema({
   title: {
@@ -17,20 +18,18 @@ const cashbackSchema = new Schema({
     min: 0,
     max: 100
   },
+  // Currency the store reports orders in for this offer
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    enum: SUPPORTED_CURRENCIES,
+    default: BASE_CURRENCY
+  },
   store: {
-    name: {
-      type: String,
-      required: true,
-      trim: true
-    },
-    logo: {
-      type: String,
-      trim: true
-    },
-    website: {
-      type: String,
-      trim: true
-    }
+    type: Schema.Types.ObjectId,
+    ref: 'Store',
+    required: [true, 'Store is required']
   },
   category: {
     type: String,
@@ -50,6 +49,13 @@ const cashbackSchema = new Schema({
     type: Boolean,
     default: false
   },
+  // Set on offers maintained by an affiliate feed (utils/feedUtils); hand-entered offers have none
+  feedSource: {
+    network: { type: String, trim: true },
+    offerId: { type: String, trim: true },
+    lastSeenAt: Date,
+    retiredAt: Date
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -59,6 +65,12 @@ const cashbackSchema = new Schema({
   timestamps: true
 });
 
+// Offers maintained by an affiliate feed, by the network's offer ID
+cashbackSchema.index(
+  { 'feedSource.network': 1, 'feedSource.offerId': 1 },
+  { unique: true, partialFilterExpression: { 'feedSource.offerId': { $exists: true } } }
+);
+
 // Virtual for checking if cashback is expired
 cashbackSchema.virtual('isExpired').get(function() {
   if (!this.expiryDate) return false;
@@ -0,0 +1,143 @@
+/**
+ * @module models/CashbackClaim
+ * @description Missing-cashback claims filed by users for purchases that were not tracked
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = require('./ExchangeRate');
+
+/**
+ * Claim statuses
+ * submitted -> in_review -> approved | rejected (support may also decide straight from submitted)
+ */
+const CLAIM_STATUSES = ['submitted', 'in_review', 'approved', 'rejected'];
+
+/**
+ * Cashback Claim Schema
+ * @typedef {Object} CashbackClaimSchema
+ * @property {ObjectId} user - User filing the claim
+ * @property {ObjectId} store - Store the purchase was made at
+ * @property {string} orderReference - Store order number
+ * @property {number} orderAmount - Order amount
+ * @property {string} currency - Currency of the order amount
+ * @property {Date} purchaseDate - Date of purchase
+ * @property {Object} receipt - Uploaded receipt image; `path` is its Cloud Storage object path
+ * @property {ObjectId} click - Click-out matched to the claim, if any
+ * @property {string} status - Claim status
+ * @property {ObjectId} transaction - Transaction created when the claim was approved
+ */
+const cashbackClaimSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+  store: {
+    type: Schema.Types.ObjectId,
+    ref: 'Store',
+    required: [true, 'Store is required']
+  },
+  orderReference: {
+    type: String,
+    required: [true, 'Order reference is required'],
+    trim: true,
+    maxlength: [100, 'Order reference cannot exceed 100 characters']
+  },
+  orderAmount: {
+    type: Number,
+    required: [true, 'Order amount is required'],
+    min: [0, 'Order amount must be a positive number']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    enum: {
+      values: SUPPORTED_CURRENCIES,
+      message: 'Unsupported currency: {VALUE}'
+    },
+    default: BASE_CURRENCY
+  },
+  purchaseDate: {
+    type: Date,
+    required: [true, 'Purchase date is required'],
+    validate: {
+      validator: function(value) {
+        return value <= new Date();
+      },
+      message: 'Purchase date cannot be in the future'
+    }
+  },
+  receipt: {
+    path: { type: String, required: [true, 'A receipt image is required'] },
+    originalName: { type: String },
+    mimeType: { type: String },
+    size: { type: Number }
+  },
+  comments: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comments cannot exceed 1000 characters']
+  },
+  click: {
+    type: Schema.Types.ObjectId,
+    ref: 'Click'
+  },
+  status: {
+    type: String,
+    enum: {
+      values: CLAIM_STATUSES,
+      message: `Status must be one of: ${CLAIM_STATUSES.join(', ')}`
+    },
+    default: 'submitted',
+    index: true
+  },
+  assignedTo: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewNotes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review notes cannot exceed 1000 characters']
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot exceed 500 characters']
+  },
+  reviewedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  transaction: {
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Virtual for whether support can still decide on the claim
+ * @returns {boolean} True if the claim is open
+ */
+cashbackClaimSchema.virtual('isOpen').get(function() {
+  return this.status === 'submitted' || this.status === 'in_review';
+});
+
+cashbackClaimSchema.set('toJSON', { virtuals: true });
+cashbackClaimSchema.set('toObject', { virtuals: true });
+
+cashbackClaimSchema.statics.STATUSES = CLAIM_STATUSES;
+
+/**
+ * CashbackClaim model
+ * @type {Model<CashbackClaimSchema>}
+ */
+module.exports = mongoose.model('CashbackClaim', cashbackClaimSchema);
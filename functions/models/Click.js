@@ -0,0 +1,93 @@
+/**
+ * @module models/Click
+ * @description Click-outs to store affiliate links, used to attribute conversions to users
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Click Schema
+ * @typedef {Object} ClickSchema
+ * @property {string} subId - Unique sub-ID appended to the affiliate URL and echoed back in postbacks
+ * @property {ObjectId} user - Signed-in user who clicked (null for anonymous clicks)
+ * @property {string} sessionId - Browser session the click came from
+ * @property {ObjectId} store - Store clicked through to
+ * @property {ObjectId} coupon - Coupon the click started from
+ * @property {ObjectId} cashbackOffer - Cashback offer the click started from
+ * @property {string} destinationUrl - URL the user was redirected to
+ * @property {ObjectId} transaction - Transaction the click converted into
+ */
+const clickSchema = new Schema({
+  subId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  sessionId: {
+    type: String,
+    trim: true
+  },
+  store: {
+    type: Schema.Types.ObjectId,
+    ref: 'Store',
+    required: [true, 'Store is required']
+  },
+  coupon: {
+    type: Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  cashbackOffer: {
+    type: Schema.Types.ObjectId,
+    ref: 'Cashback'
+  },
+  destinationUrl: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  device: {
+    type: {
+      type: String,
+      enum: ['desktop', 'mobile', 'tablet', 'bot', 'unknown'],
+      default: 'unknown'
+    },
+    id: {
+      type: String,
+      trim: true
+    }
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  referrer: {
+    type: String,
+    trim: true
+  },
+  transaction: {
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  convertedAt: {
+    type: Date
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * Click model
+ * @type {Model<ClickSchema>}
+ */
+module.exports = mongoose.model('Click', clickSchema);
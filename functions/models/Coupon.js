@@ -24,6 +24,9 @@ const mongoose = require('mongoose');
  * @property {string[]} tags - Tags for search and categorization
  * @property {number} successRate - Success rate percentage
  * @property {number} popularityScore - Calculated popularity score
+ * @property {Object} feedback - Totals of "did this code work?" reports
+ * @property {Object} review - Automatic flag raised when reports show the code failing
+ * @property {Object} eligibility - Who may use the coupon and what it combines with (see validateForUse)
  * @property {ObjectId} createdBy - Reference to the admin user who created the coupon
  * @property {Date} createdAt - Timestamp when the coupon was created
  * @property {Date} updatedAt - Timestamp when the coupon was last updated
@@ -90,7 +93,8 @@ const couponSchema = new mongoose.Schema({
     validate: {
       validator: function(v) {
         if (!v) return true; // Allow empty
-        return /^(https?:\/\/)?([\da-z.-]+)\.([a-z.]{2,6})([/\w .-]*)*\/?$/.test(v);
+        // Affiliate tracking links carry query strings; the path is matched in one pass so long links cannot stall it
+        return /^(https?:\/\/)?[\da-z.-]+\.[a-z]{2,}(:\d+)?(\/\S*)?$/i.test(v);
       },
       message: props => `${props.value} is not a valid URL`
     }
@@ -166,6 +170,72 @@ const couponSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  feedback: {
+    worked: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    failed: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    lastReportedAt: Date
+  },
+  review: {
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    flaggedAt: Date,
+    reason: {
+      type: String,
+      trim: true
+    },
+    // Reports before this are ignored when deciding whether to flag again
+    clearedAt: Date,
+    clearedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Who may use the coupon and what it combines with, checked by validateForUse
+  eligibility: {
+    // Only for users without an earlier purchase at the store
+    newCustomersOnly: {
+      type: Boolean,
+      default: false
+    },
+    // Smallest order total the coupon applies to, in the store's currency
+    minimumSpend: {
+      type: Number,
+      min: [0, 'Minimum spend cannot be negative'],
+      default: null
+    },
+    // Loyalty tiers the coupon is exclusive to; empty means everyone
+    loyaltyTiers: [{
+      type: String,
+      trim: true
+    }],
+    // Whether the coupon can be used on the same order as other coupons
+    stackable: {
+      type: Boolean,
+      default: true
+    },
+    // Coupons this one can never be combined with, even when both are stackable
+    excludedCoupons: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    }]
+  },
+  // Set on offers maintained by an affiliate feed (utils/feedUtils); hand-entered offers have none
+  feedSource: {
+    network: { type: String, trim: true },
+    offerId: { type: String, trim: true },
+    lastSeenAt: Date,
+    retiredAt: Date
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -255,30 +325,65 @@ couponSchema.methods.incrementUsage = async function() {
 
 /**
  * Method to check if coupon can be used
+ * Eligibility rules are only checked when the caller knows the facts they need, so a check without
+ * a user or order (e.g. on a listing) covers just the schedule, status and usage limit.
  * @param {Object} options - Options for validation
  * @param {Date} options.currentDate - Date to check against (defaults to now)
- * @returns {Object} Result with isValid flag and message
+ * @param {boolean} [options.isNewCustomer] - Whether the user has no earlier purchase at the store
+ * @param {string|null} [options.loyaltyTier] - The user's loyalty tier (null for none)
+ * @param {number} [options.orderAmount] - Order total, in the store's currency
+ * @param {Array<Object>} [options.combinedWith] - Other coupons used on the same order
+ * @returns {Object} Result with isValid flag, reason code and message
  */
 couponSchema.methods.validateForUse = function(options = {}) {
   const currentDate = options.currentDate || new Date();
+  const eligibility = this.eligibility || {};
+  const fail = (reason, message) => ({ isValid: false, reason, message });
   
   if (!this.isActive) {
-    return { isValid: false, message: 'This coupon is not active' };
+    return fail('inactive', 'This coupon is not active');
   }
   
   if (this.startDate && currentDate < this.startDate) {
-    return { isValid: false, message: 'This coupon is not yet active' };
+    return fail('not_started', 'This coupon is not yet active');
   }
   
   if (this.expiryDate && currentDate > this.expiryDate) {
-    return { isValid: false, message: 'This coupon has expired' };
+    return fail('expired', 'This coupon has expired');
   }
   
   if (this.usageLimit !== null && this.usageCount >= this.usageLimit) {
-    return { isValid: false, message: 'This coupon has reached its usage limit' };
+    return fail('usage_limit', 'This coupon has reached its usage limit');
+  }
+
+  if (eligibility.newCustomersOnly && options.isNewCustomer === false) {
+    return fail('new_customers_only', 'This coupon is for new customers only');
+  }
+
+  const tiers = eligibility.loyaltyTiers || [];
+  if (tiers.length > 0 && options.loyaltyTier !== undefined && !tiers.includes(options.loyaltyTier)) {
+    return fail('loyalty_tier', `This coupon is exclusive to ${tiers.join(' and ')} members`);
+  }
+
+  if (eligibility.minimumSpend !== null && eligibility.minimumSpend !== undefined &&
+      options.orderAmount !== undefined && options.orderAmount < eligibility.minimumSpend) {
+    return fail('minimum_spend', `This coupon needs a minimum spend of ${eligibility.minimumSpend}`);
+  }
+
+  const others = (options.combinedWith || []).filter(other => !other._id.equals(this._id));
+  if (others.length > 0 && eligibility.stackable === false) {
+    return fail('not_combinable', 'This coupon cannot be combined with other coupons');
+  }
+  for (const other of others) {
+    const otherEligibility = other.eligibility || {};
+    const excluded = (eligibility.excludedCoupons || []).some(id => id.equals(other._id)) ||
+      (otherEligibility.excludedCoupons || []).some(id => id.equals(this._id));
+    if (excluded || otherEligibility.stackable === false) {
+      return fail('not_combinable', `This coupon cannot be combined with ${other.code}`);
+    }
   }
   
-  return { isValid: true, message: 'Coupon is valid' };
+  return { isValid: true, reason: null, message: 'Coupon is valid' };
 };
 
 // Set virtuals to be included when converting to JSON
@@ -296,15 +401,22 @@ couponSchema.index(
       category: 2,
       tags: 1
     },
-    name: 'coupon_text_search'
+    name: 'coupon_search'
   }
 );
 
 // Create compound indexes for common queries
 couponSchema.index({ isActive: 1, expiryDate: 1 });
+couponSchema.index({ isActive: 1, startDate: 1 });
 couponSchema.index({ store: 1, isActive: 1 });
 couponSchema.index({ category: 1, isActive: 1 });
 couponSchema.index({ popularityScore: -1 });
+couponSchema.index({ 'review.flagged': 1, 'review.flaggedAt': -1 });
+// Offers maintained by an affiliate feed, by the network's offer ID
+couponSchema.index(
+  { 'feedSource.network': 1, 'feedSource.offerId': 1 },
+  { unique: true, partialFilterExpression: { 'feedSource.offerId': { $exists: true } } }
+);
 
 /**
  * Coupon model
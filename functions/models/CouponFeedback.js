@@ -0,0 +1,80 @@
+/**
+ * @module models/CouponFeedback
+ * @description "Did this code work?" reports from the website and the browser extension
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Report outcomes
+ */
+const OUTCOMES = ['worked', 'failed'];
+
+/**
+ * Where a report came from
+ */
+const SOURCES = ['web', 'extension'];
+
+/**
+ * Coupon Feedback Schema
+ * Each voter has one report per coupon; reporting again replaces the earlier outcome.
+ * @typedef {Object} CouponFeedbackSchema
+ * @property {ObjectId} coupon - Coupon the report is about
+ * @property {ObjectId} user - Signed-in user who reported, if any
+ * @property {string} voterKey - `user:<id>` for signed-in users, `client:<id>` for anonymous installs
+ * @property {string} outcome - Whether the code worked
+ * @property {string} source - Where the report came from
+ * @property {Date} reportedAt - When the outcome was last reported
+ */
+const couponFeedbackSchema = new Schema({
+  coupon: {
+    type: Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: [true, 'Coupon is required']
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voterKey: {
+    type: String,
+    required: [true, 'Voter key is required'],
+    trim: true,
+    maxlength: [100, 'Voter key cannot exceed 100 characters']
+  },
+  outcome: {
+    type: String,
+    required: [true, 'Outcome is required'],
+    enum: {
+      values: OUTCOMES,
+      message: '{VALUE} is not a valid outcome'
+    }
+  },
+  source: {
+    type: String,
+    enum: {
+      values: SOURCES,
+      message: '{VALUE} is not a valid feedback source'
+    },
+    default: 'web'
+  },
+  reportedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+couponFeedbackSchema.index({ coupon: 1, voterKey: 1 }, { unique: true });
+couponFeedbackSchema.index({ coupon: 1, reportedAt: -1 });
+
+couponFeedbackSchema.statics.OUTCOMES = OUTCOMES;
+couponFeedbackSchema.statics.SOURCES = SOURCES;
+
+/**
+ * Coupon Feedback model
+ * @type {Model<CouponFeedbackSchema>}
+ */
+module.exports = mongoose.model('CouponFeedback', couponFeedbackSchema);
@@ -0,0 +1,75 @@
+/**
+ * @module models/ExchangeRate
+ * @description History of foreign exchange rates against the base currency
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Currency the ledger, balances and payouts are kept in
+ */
+const BASE_CURRENCY = 'USD';
+
+/**
+ * Currencies transactions, offers and display preferences may use
+ */
+const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CNY', 'INR', 'BRL', 'MXN'];
+
+/**
+ * Exchange Rate Schema
+ * @typedef {Object} ExchangeRateSchema
+ * @property {string} currency - ISO 4217 currency code
+ * @property {number} rate - Units of the currency per one unit of the base currency
+ * @property {Date} effectiveAt - When the rate starts to apply; it applies until the next rate for the currency
+ * @property {string} source - How the rate was loaded
+ * @property {ObjectId} importedBy - Admin who uploaded the rate
+ */
+const exchangeRateSchema = new Schema({
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    enum: {
+      values: SUPPORTED_CURRENCIES.filter(code => code !== BASE_CURRENCY),
+      message: 'Unsupported currency: {VALUE}'
+    },
+    required: [true, 'Currency is required']
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    validate: {
+      validator: function(value) {
+        return Number.isFinite(value) && value > 0;
+      },
+      message: 'Rate must be a positive number'
+    }
+  },
+  effectiveAt: {
+    type: Date,
+    required: [true, 'Effective date is required']
+  },
+  source: {
+    type: String,
+    enum: ['file', 'upload'],
+    default: 'upload'
+  },
+  importedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ currency: 1, effectiveAt: -1 }, { unique: true });
+
+exchangeRateSchema.statics.BASE_CURRENCY = BASE_CURRENCY;
+exchangeRateSchema.statics.SUPPORTED_CURRENCIES = SUPPORTED_CURRENCIES;
+
+/**
+ * ExchangeRate model
+ * @type {Model<ExchangeRateSchema>}
+ */
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
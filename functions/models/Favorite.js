@@ -1,6 +1,16 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
 
+/**
+ * Model behind each favoritable item type
+ */
+const ITEM_MODELS = {
+  store: 'Store',
+  coupon: 'Coupon',
+  cashback: 'Cashback',
+  blog: 'Blog'
+};
+
 const favoriteSchema = new Schema({
   user: {
     type: Schema.Types.ObjectId,
@@ -9,12 +19,12 @@ const favoriteSchema = new Schema({
   },
   itemType: {
     type: String,
-    enum: ['store', 'coupon', 'cashback', 'blog'],
+    enum: Object.keys(ITEM_MODELS),
     required: true
   },
   itemId: {
     type: Schema.Types.ObjectId,
-    refPath: 'itemType',
+    ref: function() { return ITEM_MODELS[this.itemType]; },
     required: true
   },
   notes: {
@@ -36,7 +46,18 @@ const favoriteSchema = new Schema({
   tags: [{
     type: String,
     trim: true
-  }]
+  }],
+  // State of the favoriteAlerts job, so each change is only announced once
+  alerts: {
+    // Expiry date the user was last warned about; an extended offer is warned about again
+    expiryNotifiedFor: {
+      type: Date
+    },
+    // Store cashback rate the user last heard about (set when favorited or when alerts are turned on)
+    cashbackPercentage: {
+      type: Number
+    }
+  }
 }, {
   timestamps: true
 });
@@ -44,9 +65,16 @@ const favoriteSchema = new Schema({
 // Create a compound index to ensure a user can only favorite an item once
 favoriteSchema.index({ user: 1, itemType: 1, itemId: 1 }, { unique: true });
 
+// Lookups by the favoriteAlerts job
+favoriteSchema.index({ itemType: 1, itemId: 1, notifyOnExpiry: 1 });
+favoriteSchema.index({ itemType: 1, itemId: 1, notifyOnUpdates: 1 });
+
+// A user's favorites list, newest first
+favoriteSchema.index({ user: 1, itemType: 1, addedAt: -1 });
+
 // Virtual to populate the referenced item
 favoriteSchema.virtual('item', {
-  refPath: 'itemType',
+  ref: doc => ITEM_MODELS[doc.itemType],
   localField: 'itemId',
   foreignField: '_id',
   justOne: true
@@ -56,4 +84,6 @@ favoriteSchema.virtual('item', {
 favoriteSchema.set('toJSON', { virtuals: true });
 favoriteSchema.set('toObject', { virtuals: true });
 
+favoriteSchema.statics.ITEM_MODELS = ITEM_MODELS;
+
 module.exports = mongoose.model('Favorite', favoriteSchema);
\ No newline at end of file
@@ -0,0 +1,139 @@
+/**
+ * @module models/FeedRun
+ * @description One ingestion of an affiliate feed file, with what it changed
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Statuses, file formats and what can trigger a run
+ */
+const STATUSES = ['running', 'completed', 'failed'];
+const FORMATS = ['csv', 'xml', 'json'];
+const TRIGGERS = ['schedule', 'admin'];
+
+/**
+ * Most record errors kept on a run; the rest are only counted
+ */
+const MAX_RECORDED_ERRORS = 100;
+
+const changeCountsSchema = new Schema({
+  created: { type: Number, default: 0 },
+  updated: { type: Number, default: 0 },
+  unchanged: { type: Number, default: 0 },
+  retired: { type: Number, default: 0 }
+}, { _id: false });
+
+const recordErrorSchema = new Schema({
+  record: { type: Number },
+  offerId: { type: String, trim: true },
+  message: { type: String, trim: true }
+}, { _id: false });
+
+/**
+ * Feed Run Schema
+ * @typedef {Object} FeedRunSchema
+ * @property {string} network - Affiliate network the feed came from
+ * @property {string} file - Feed file name
+ * @property {string} format - csv, xml or json
+ * @property {string} status - running, completed or failed
+ * @property {number} records - Records read from the file
+ * @property {Object} coupons - Coupon changes
+ * @property {Object} cashbacks - Cashback offer changes
+ * @property {Object} stores - Stores created for, and linked to, the network's merchants
+ * @property {number} failed - Records that could not be ingested
+ * @property {Object[]} recordErrors - The first record errors
+ * @property {string} retirementSkipped - Why offers missing from the feed were not retired, if they were not
+ */
+const feedRunSchema = new Schema({
+  network: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  file: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  format: {
+    type: String,
+    enum: FORMATS,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'running'
+  },
+  trigger: {
+    type: String,
+    enum: TRIGGERS,
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  },
+  records: {
+    type: Number,
+    default: 0
+  },
+  coupons: {
+    type: changeCountsSchema,
+    default: () => ({})
+  },
+  cashbacks: {
+    type: changeCountsSchema,
+    default: () => ({})
+  },
+  stores: {
+    created: { type: Number, default: 0 },
+    linked: { type: Number, default: 0 }
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  recordErrors: [recordErrorSchema],
+  retirementSkipped: {
+    type: String,
+    trim: true
+  },
+  // Why the whole run failed (unreadable file, unknown format)
+  error: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Latest runs, per network
+feedRunSchema.index({ network: 1, startedAt: -1 });
+feedRunSchema.index({ startedAt: -1 });
+
+/**
+ * Record a failed feed record, keeping only the first MAX_RECORDED_ERRORS
+ * @param {Object} error - { record, offerId, message }
+ */
+feedRunSchema.methods.recordError = function(error) {
+  this.failed += 1;
+  if (this.recordErrors.length < MAX_RECORDED_ERRORS) {
+    this.recordErrors.push(error);
+  }
+};
+
+feedRunSchema.statics.STATUSES = STATUSES;
+feedRunSchema.statics.FORMATS = FORMATS;
+feedRunSchema.statics.TRIGGERS = TRIGGERS;
+
+module.exports = mongoose.model('FeedRun', feedRunSchema);
@@ -0,0 +1,119 @@
+/**
+ * @module models/LedgerEntry
+ * @description Append-only double-entry ledger backing user balances
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Ledger accounts
+ * - pending, available, held and redeemed are per-user accounts
+ * - earnings is the platform account cashback is funded from
+ */
+const LEDGER_ACCOUNTS = ['pending', 'available', 'held', 'redeemed', 'earnings'];
+
+/**
+ * Ledger Entry Schema
+ * @typedef {Object} LedgerEntrySchema
+ * @property {string} journalId - Identifier shared by all entries of one posting (they sum to zero)
+ * @property {ObjectId} user - User the posting belongs to
+ * @property {string} account - Ledger account affected
+ * @property {number} amount - Signed amount (positive increases the account balance)
+ * @property {ObjectId} transaction - Transaction that caused the posting
+ * @property {string} event - What caused the posting (e.g. 'created', 'pending->confirmed')
+ * @property {string} description - Human readable description
+ * @property {ObjectId} createdBy - User who triggered the posting
+ */
+const ledgerEntrySchema = new Schema({
+  journalId: {
+    type: String,
+    required: [true, 'Journal ID is required'],
+    index: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+  account: {
+    type: String,
+    enum: {
+      values: LEDGER_ACCOUNTS,
+      message: `Account must be one of: ${LEDGER_ACCOUNTS.join(', ')}`
+    },
+    required: [true, 'Account is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    validate: {
+      validator: function(value) {
+        return Number.isFinite(value) && value !== 0;
+      },
+      message: 'Amount must be a non-zero number'
+    }
+  },
+  transaction: {
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction',
+    index: true
+  },
+  event: {
+    type: String,
+    required: [true, 'Event is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+ledgerEntrySchema.index({ user: 1, account: 1 });
+ledgerEntrySchema.index({ user: 1, createdAt: -1 });
+
+/**
+ * Reject any attempt to modify or remove existing entries.
+ * Corrections are made by posting reversing entries instead.
+ */
+const rejectMutation = function(next) {
+  next(new Error('Ledger entries are append-only and cannot be modified or deleted'));
+};
+
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove'
+].forEach(operation => {
+  ledgerEntrySchema.pre(operation, rejectMutation);
+});
+
+ledgerEntrySchema.statics.ACCOUNTS = LEDGER_ACCOUNTS;
+
+/**
+ * LedgerEntry model
+ * @type {Model<LedgerEntrySchema>}
+ */
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
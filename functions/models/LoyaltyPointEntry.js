@@ -0,0 +1,103 @@
+/**
+ * @module models/LoyaltyPointEntry
+ * @description Append-only log of loyalty points awarded to and reversed from users
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * What points can be earned for
+ */
+const POINT_SOURCES = ['transaction', 'review'];
+
+/**
+ * Loyalty Point Entry Schema
+ * @typedef {Object} LoyaltyPointEntrySchema
+ * @property {ObjectId} user - User the points belong to
+ * @property {number} points - Signed number of points
+ * @property {string} sourceType - What the points were earned for
+ * @property {ObjectId} source - Transaction or review the points were earned for
+ * @property {string} event - 'award' or 'reversal'; each source is awarded and reversed at most once
+ * @property {string} description - Human readable description
+ */
+const loyaltyPointEntrySchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  points: {
+    type: Number,
+    required: [true, 'Points are required'],
+    validate: {
+      validator: function(value) {
+        return Number.isInteger(value) && value !== 0;
+      },
+      message: 'Points must be a non-zero whole number'
+    }
+  },
+  sourceType: {
+    type: String,
+    enum: {
+      values: POINT_SOURCES,
+      message: `Source type must be one of: ${POINT_SOURCES.join(', ')}`
+    },
+    required: [true, 'Source type is required']
+  },
+  source: {
+    type: Schema.Types.ObjectId,
+    required: [true, 'Source is required']
+  },
+  event: {
+    type: String,
+    enum: ['award', 'reversal'],
+    required: [true, 'Event is required']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loyaltyPointEntrySchema.index({ sourceType: 1, source: 1, event: 1 }, { unique: true });
+loyaltyPointEntrySchema.index({ user: 1, createdAt: -1 });
+
+/**
+ * Reject any attempt to modify or remove existing entries; points are taken back with reversal entries
+ */
+const rejectMutation = function(next) {
+  next(new Error('Loyalty point entries are append-only and cannot be modified or deleted'));
+};
+
+loyaltyPointEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove'
+].forEach(operation => {
+  loyaltyPointEntrySchema.pre(operation, rejectMutation);
+});
+
+loyaltyPointEntrySchema.statics.SOURCES = POINT_SOURCES;
+
+/**
+ * LoyaltyPointEntry model
+ * @type {Model<LoyaltyPointEntrySchema>}
+ */
+module.exports = mongoose.model('LoyaltyPointEntry', loyaltyPointEntrySchema);
@@ -0,0 +1,115 @@
+/**
+ * @module models/LoyaltySettings
+ * @description Admin-configurable loyalty program rules (a single document keyed 'default')
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Loyalty tier
+ * @typedef {Object} LoyaltyTier
+ * @property {string} name - Tier name
+ * @property {number} minPoints - Qualifying points needed to reach the tier
+ * @property {number} cashbackBonus - Percentage points added to a store's cashback rate
+ * @property {Array<string>} perks - Perks listed on the rewards page
+ */
+const tierSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Tier name is required'],
+    trim: true,
+    maxlength: [50, 'Tier name cannot exceed 50 characters']
+  },
+  minPoints: {
+    type: Number,
+    required: [true, 'Minimum points are required'],
+    min: [0, 'Minimum points cannot be negative']
+  },
+  cashbackBonus: {
+    type: Number,
+    default: 0,
+    min: [0, 'Cashback bonus cannot be negative'],
+    max: [100, 'Cashback bonus cannot exceed 100']
+  },
+  perks: [{
+    type: String,
+    trim: true,
+    maxlength: [200, 'Perks cannot exceed 200 characters']
+  }]
+}, { _id: false });
+
+/**
+ * Loyalty Settings Schema
+ * @typedef {Object} LoyaltySettingsSchema
+ * @property {string} key - Settings key ('default')
+ * @property {Array<LoyaltyTier>} tiers - Tiers, the lowest must start at 0 points
+ * @property {number} pointsPerDollar - Points per dollar of confirmed cashback
+ * @property {number} referralPoints - Points per completed referral
+ * @property {number} reviewPoints - Points per approved review
+ * @property {number} qualificationWindowDays - Points earned within this many days count towards a tier (0 = lifetime)
+ */
+const loyaltySettingsSchema = new Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  tiers: {
+    type: [tierSchema],
+    validate: [
+      {
+        validator: function(tiers) {
+          return tiers.length > 0 && tiers.some(tier => tier.minPoints === 0);
+        },
+        message: 'There must be at least one tier and one of them must start at 0 points'
+      },
+      {
+        validator: function(tiers) {
+          const names = tiers.map(tier => tier.name.toLowerCase());
+          const thresholds = tiers.map(tier => tier.minPoints);
+          return new Set(names).size === names.length && new Set(thresholds).size === thresholds.length;
+        },
+        message: 'Tier names and minimum points must be unique'
+      }
+    ]
+  },
+  pointsPerDollar: {
+    type: Number,
+    default: 10,
+    min: [0, 'Points per dollar cannot be negative']
+  },
+  referralPoints: {
+    type: Number,
+    default: 200,
+    min: [0, 'Referral points cannot be negative']
+  },
+  reviewPoints: {
+    type: Number,
+    default: 25,
+    min: [0, 'Review points cannot be negative']
+  },
+  qualificationWindowDays: {
+    type: Number,
+    default: 365,
+    min: [0, 'Qualification window cannot be negative']
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Keep tiers ordered from lowest to highest
+loyaltySettingsSchema.pre('save', function(next) {
+  this.tiers.sort((a, b) => a.minPoints - b.minPoints);
+  next();
+});
+
+/**
+ * LoyaltySettings model
+ * @type {Model<LoyaltySettingsSchema>}
+ */
+module.exports = mongoose.model('LoyaltySettings', loyaltySettingsSchema);
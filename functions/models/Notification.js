@@ -1,6 +1,30 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
 
+/**
+ * Model behind each related document type
+ */
+const DOCUMENT_MODELS = {
+  transaction: 'Transaction',
+  coupon: 'Coupon',
+  cashback: 'Cashback',
+  store: 'Store',
+  claim: 'CashbackClaim'
+};
+
+/**
+ * Notification types and priorities
+ */
+const TYPES = ['transaction', 'account', 'offer', 'system', 'promotion'];
+const PRIORITIES = ['low', 'medium', 'high'];
+
+/**
+ * Delivery channels besides the inbox, and how a notification's delivery on them stands
+ */
+const CHANNELS = ['email', 'sms', 'push'];
+const DELIVERY_STATUSES = ['none', 'pending', 'sent', 'failed', 'skipped'];
+const DIGESTS = ['daily', 'weekly'];
+
 const notificationSchema = new Schema({
   user: {
     type: Schema.Types.ObjectId,
@@ -19,12 +43,12 @@ const notificationSchema = new Schema({
   },
   type: {
     type: String,
-    enum: ['transaction', 'account', 'offer', 'system', 'promotion'],
+    enum: TYPES,
     default: 'system'
   },
   priority: {
     type: String,
-    enum: ['low', 'medium', 'high'],
+    enum: PRIORITIES,
     default: 'medium'
   },
   isRead: {
@@ -41,14 +65,24 @@ const notificationSchema = new Schema({
   relatedDocument: {
     documentType: {
       type: String,
-      enum: ['transaction', 'coupon', 'cashback', 'store', null],
+      enum: [...Object.keys(DOCUMENT_MODELS), null],
       default: null
     },
     documentId: {
       type: Schema.Types.ObjectId,
-      refPath: 'relatedDocument.documentType'
+      ref: function() { return DOCUMENT_MODELS[this.relatedDocument.documentType]; }
     }
   },
+  // Set by utils/notificationDispatcher from the user's preferences
+  delivery: {
+    channels: [{ type: String, enum: CHANNELS }],
+    status: { type: String, enum: DELIVERY_STATUSES, default: 'none' },
+    // Pending deliveries wait for quiet hours to end or for the user's digest
+    digest: { type: String, enum: [...DIGESTS, null], default: null },
+    scheduledFor: { type: Date },
+    sentAt: { type: Date }
+  },
+  // Removed by the TTL index once passed; notifyUser sets a retention period when none is given
   expiresAt: {
     type: Date
   }
@@ -59,6 +93,15 @@ const notificationSchema = new Schema({
 // Index for faster queries on user and read status
 notificationSchema.index({ user: 1, isRead: 1 });
 
+// Inbox, newest first
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+// Deferred deliveries and digests that are due
+notificationSchema.index({ 'delivery.status': 1, 'delivery.scheduledFor': 1 });
+
+// TTL cleanup of expired notifications
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
 // Virtual for checking if notification is expired
 notificationSchema.virtual('isExpired').get(function() {
   if (!this.expiresAt) return false;
@@ -76,4 +119,11 @@ notificationSchema.methods.markAsRead = function() {
 notificationSchema.set('toJSON', { virtuals: true });
 notificationSchema.set('toObject', { virtuals: true });
 
+notificationSchema.statics.DOCUMENT_MODELS = DOCUMENT_MODELS;
+notificationSchema.statics.TYPES = TYPES;
+notificationSchema.statics.PRIORITIES = PRIORITIES;
+notificationSchema.statics.CHANNELS = CHANNELS;
+notificationSchema.statics.DELIVERY_STATUSES = DELIVERY_STATUSES;
+notificationSchema.statics.DIGESTS = DIGESTS;
+
 module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
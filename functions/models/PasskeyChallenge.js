@@ -0,0 +1,36 @@
+/**
+ * @module models/PasskeyChallenge
+ * @description Challenges issued for passkey sign-in, one per request, so asking for a new one
+ * never cancels a sign-in already in progress. Each is answered at most once and
+ * removed by a TTL index once it expires.
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Passkey Challenge Schema
+ * @typedef {Object} PasskeyChallengeSchema
+ * @property {string} challenge - Challenge from the generated options (base64url)
+ * @property {ObjectId} user - User signing in
+ * @property {Date} expiresAt - When the challenge can no longer be answered
+ */
+const passkeyChallengeSchema = new Schema({
+  challenge: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+passkeyChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PasskeyChallenge', passkeyChallengeSchema);
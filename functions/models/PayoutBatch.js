@@ -0,0 +1,107 @@
+/**
+ * @module models/PayoutBatch
+ * @description Batches of approved withdrawals exported and sent together
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Per-withdrawal outcome of sending a batch
+ */
+const payoutResultSchema = new Schema({
+  transaction: {
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  error: {
+    type: String,
+    trim: true
+  },
+  attemptedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Payout Batch Schema
+ * @typedef {Object} PayoutBatchSchema
+ * @property {string} reference - Human readable batch reference
+ * @property {string} status - open, processing, completed or partially_failed
+ * @property {string} provider - Payout provider used to send the batch
+ * @property {ObjectId[]} transactions - Withdrawal transactions in the batch
+ * @property {number} totalAmount - Sum of the withdrawals in the batch
+ * @property {Object[]} results - Latest send outcome per withdrawal
+ */
+const payoutBatchSchema = new Schema({
+  reference: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['open', 'processing', 'completed', 'partially_failed'],
+      message: 'Status must be one of: open, processing, completed, partially_failed'
+    },
+    default: 'open',
+    index: true
+  },
+  provider: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  transactions: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Total amount must be a positive number']
+  },
+  results: [payoutResultSchema],
+  exportedAt: {
+    type: Date
+  },
+  processedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Virtual for the number of withdrawals in the batch
+ * @returns {number} Withdrawal count
+ */
+payoutBatchSchema.virtual('count').get(function() {
+  return this.transactions ? this.transactions.length : 0;
+});
+
+payoutBatchSchema.set('toJSON', { virtuals: true });
+payoutBatchSchema.set('toObject', { virtuals: true });
+
+/**
+ * PayoutBatch model
+ * @type {Model<PayoutBatchSchema>}
+ */
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
@@ -0,0 +1,39 @@
+/**
+ * @module models/RateLimitEntry
+ * @description Rate limit counters and login blocks, for when Redis is not available.
+ * Entries are removed by a TTL index once they expire.
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Rate Limit Entry Schema
+ * @typedef {Object} RateLimitEntrySchema
+ * @property {string} key - Store key, e.g. api:203.0.113.7:28934512 or login-block:203.0.113.7:jane@example.com
+ * @property {number} count - Counter value
+ * @property {Object} data - Stored record, e.g. a login block
+ * @property {Date} expiresAt - When the entry stops counting
+ */
+const rateLimitEntrySchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  data: {
+    type: Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitEntry', rateLimitEntrySchema);
@@ -0,0 +1,93 @@
+/**
+ * @module models/Referral
+ * @description Referral invitations and sign-ups attributed to a referrer, and the bonus they earn
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Referral statuses
+ * invited -> pending (referee signed up with the code) -> completed (bonus granted) | rejected
+ */
+const REFERRAL_STATUSES = ['invited', 'pending', 'completed', 'rejected'];
+
+/**
+ * Referral Schema
+ * @typedef {Object} ReferralSchema
+ * @property {ObjectId} referrer - User who shared the code
+ * @property {ObjectId} referee - User who signed up with the code (unset for invitations)
+ * @property {string} email - Invited or signed-up email address
+ * @property {string} code - Referral code used
+ * @property {string} status - Referral status
+ * @property {Object} signup - Request fingerprint of the referee's sign-up
+ * @property {ObjectId} qualifyingTransaction - Referee's first confirmed cashback
+ * @property {ObjectId} bonusTransaction - Referral transaction granted to the referrer
+ */
+const referralSchema = new Schema({
+  referrer: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Referrer is required'],
+    index: true
+  },
+  referee: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Referral code is required'],
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: {
+      values: REFERRAL_STATUSES,
+      message: `Status must be one of: ${REFERRAL_STATUSES.join(', ')}`
+    },
+    default: 'invited',
+    index: true
+  },
+  invitedAt: {
+    type: Date
+  },
+  signup: {
+    at: { type: Date },
+    ip: { type: String },
+    deviceId: { type: String },
+    sessionId: { type: String }
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot exceed 500 characters']
+  },
+  qualifyingTransaction: {
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  bonusTransaction: {
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+referralSchema.statics.STATUSES = REFERRAL_STATUSES;
+
+/**
+ * Referral model
+ * @type {Model<ReferralSchema>}
+ */
+module.exports = mongoose.model('Referral', referralSchema);
@@ -1,6 +1,20 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
 
+/**
+ * Model behind each reviewable item type
+ */
+const ITEM_MODELS = {
+  store: 'Store',
+  coupon: 'Coupon',
+  cashback: 'Cashback'
+};
+
+/**
+ * Moderation statuses
+ */
+const STATUSES = ['pending', 'approved', 'rejected'];
+
 const reviewSchema = new Schema({
   user: {
     type: Schema.Types.ObjectId,
@@ -9,12 +23,12 @@ const reviewSchema = new Schema({
   },
   itemType: {
     type: String,
-    enum: ['store', 'coupon', 'cashback'],
+    enum: Object.keys(ITEM_MODELS),
     required: true
   },
   itemId: {
     type: Schema.Types.ObjectId,
-    refPath: 'itemType',
+    ref: function() { return ITEM_MODELS[this.itemType]; },
     required: true
   },
   rating: {
@@ -53,7 +67,7 @@ const reviewSchema = new Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected'],
+    enum: STATUSES,
     default: 'pending'
   },
   moderationNotes: {
@@ -77,11 +91,14 @@ const reviewSchema = new Schema({
 reviewSchema.index({ user: 1, itemType: 1, itemId: 1 }, { unique: true });
 
 // Create an index for faster queries on item type and ID
-reviewSchema.index({ itemType: 1, itemId: 1 });
+reviewSchema.index({ itemType: 1, itemId: 1, status: 1, createdAt: -1 });
+
+// Moderation queue, oldest first
+reviewSchema.index({ status: 1, createdAt: 1 });
 
 // Virtual to populate the referenced item
 reviewSchema.virtual('item', {
-  refPath: 'itemType',
+  ref: doc => ITEM_MODELS[doc.itemType],
   localField: 'itemId',
   foreignField: '_id',
   justOne: true
@@ -98,4 +115,7 @@ reviewSchema.virtual('helpfulnessScore').get(function() {
 reviewSchema.set('toJSON', { virtuals: true });
 reviewSchema.set('toObject', { virtuals: true });
 
+reviewSchema.statics.ITEM_MODELS = ITEM_MODELS;
+reviewSchema.statics.STATUSES = STATUSES;
+
 module.exports = mongoose.model('Review', reviewSchema);
\ No newline at end of file
@@ -0,0 +1,54 @@
+/**
+ * @module models/ReviewVote
+ * @description Helpful/unhelpful votes on reviews
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Vote values
+ */
+const VOTES = ['helpful', 'unhelpful'];
+
+/**
+ * Review Vote Schema
+ * Each user has one vote per review; voting again replaces the earlier vote.
+ * @typedef {Object} ReviewVoteSchema
+ * @property {ObjectId} review - Review voted on
+ * @property {ObjectId} user - User who voted
+ * @property {string} vote - Whether the review was helpful
+ */
+const reviewVoteSchema = new Schema({
+  review: {
+    type: Schema.Types.ObjectId,
+    ref: 'Review',
+    required: [true, 'Review is required']
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  vote: {
+    type: String,
+    required: [true, 'Vote is required'],
+    enum: {
+      values: VOTES,
+      message: '{VALUE} is not a valid vote'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+reviewVoteSchema.index({ review: 1, user: 1 }, { unique: true });
+reviewVoteSchema.index({ review: 1, vote: 1 });
+
+reviewVoteSchema.statics.VOTES = VOTES;
+
+/**
+ * Review Vote model
+ * @type {Model<ReviewVoteSchema>}
+ */
+module.exports = mongoose.model('ReviewVote', reviewVoteSchema);
@@ -0,0 +1,66 @@
+/**
+ * @module models/RevokedToken
+ * @description JWTs revoked before they expire, by jti, for when Redis is not available.
+ * Entries are removed by a TTL index once the token would have expired anyway.
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Token kinds, and why a token was revoked: signed out, replaced by a rotated refresh token,
+ * or part of a token family ended because a rotated refresh token was used again
+ */
+const KINDS = ['access', 'refresh'];
+const REASONS = ['logout', 'rotated', 'reuse'];
+
+/**
+ * Revoked Token Schema
+ * @typedef {Object} RevokedTokenSchema
+ * @property {string} jti - JWT ID of the revoked token
+ * @property {string} kind - access or refresh
+ * @property {string} reason - Why it was revoked
+ * @property {ObjectId} user - User the token was issued to
+ * @property {string} sessionId - Session (token family) the token belongs to
+ * @property {Date} revokedAt - When it was revoked
+ * @property {Date} expiresAt - When the token expires
+ */
+const revokedTokenSchema = new Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  kind: {
+    type: String,
+    enum: KINDS,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REASONS,
+    required: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sessionId: {
+    type: String
+  },
+  revokedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+revokedTokenSchema.statics.KINDS = KINDS;
+revokedTokenSchema.statics.REASONS = REASONS;
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
@@ -1,6 +1,18 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
 
+/**
+ * Turn a store name into a URL slug
+ * @param {string} name - Store name
+ * @returns {string} Slug
+ */
+const slugify = (name) => String(name)
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^\w\s-]/g, '') // Remove non-word chars
+  .replace(/[\s_-]+/g, '-') // Replace spaces and underscores with hyphens
+  .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
+
 const storeSchema = new Schema({
   name: {
     type: String,
@@ -8,6 +20,14 @@ const storeSchema = new Schema({
     trim: true,
     unique: true
   },
+  // URL name of the store page; set from the name when the store is created and kept when it is renamed
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    unique: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and single hyphens']
+  },
   logo: {
     type: String,
     required: true
@@ -28,12 +48,36 @@ const storeSchema = new Schema({
     type: String,
     trim: true
   },
+  // Query parameter the affiliate network reads our click sub-ID from
+  affiliateSubIdParam: {
+    type: String,
+    trim: true,
+    default: 'subid'
+  },
+  // How affiliate networks identify this store in their postbacks and feeds
+  affiliateMerchants: [{
+    _id: false,
+    network: { type: String, required: true, trim: true },
+    merchantId: { type: String, required: true, trim: true }
+  }],
   cashbackPercentage: {
     type: Number,
     min: 0,
     max: 100,
     default: 0
   },
+  // Days customers can return orders - cashback is never confirmed inside this window
+  returnWindowDays: {
+    type: Number,
+    min: 0,
+    default: 30
+  },
+  // Extra days past the return window before pending cashback is confirmed automatically
+  confirmationHoldDays: {
+    type: Number,
+    min: 0,
+    default: 60
+  },
   averageRating: {
     type: Number,
     min: 0,
@@ -44,6 +88,11 @@ const storeSchema = new Schema({
     type: Number,
     default: 0
   },
+  // Click-outs in the last 30 days, refreshed daily by the storePopularity job
+  popularityScore: {
+    type: Number,
+    default: 0
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -75,24 +124,49 @@ const storeSchema = new Schema({
 });
 
 // Create text index for search functionality
-storeSchema.index({ name: 'text', description: 'text', categories: 'text' });
+storeSchema.index(
+  { name: 'text', categories: 'text', description: 'text' },
+  { weights: { name: 10, categories: 3, description: 2 }, name: 'store_search' }
+);
 
 // Virtual for getting all coupons for this store
 storeSchema.virtual('coupons', {
   ref: 'Coupon',
-  localField: 'name',
-  foreignField: 'store.name'
+  localField: '_id',
+  foreignField: 'store'
 });
 
 // Virtual for getting all cashback offers for this store
 storeSchema.virtual('cashbacks', {
   ref: 'Cashback',
-  localField: 'name',
-  foreignField: 'store.name'
+  localField: '_id',
+  foreignField: 'store'
 });
 
+// Generate the slug from the name if one was not given
+storeSchema.pre('validate', function(next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+/**
+ * Date from which pending cashback for an order placed at this store is confirmed automatically
+ * @param {Date} purchaseDate - Order date
+ * @returns {Date} Auto-confirmation date
+ */
+storeSchema.methods.getAutoConfirmDate = function(purchaseDate) {
+  const days = (this.returnWindowDays || 0) + (this.confirmationHoldDays || 0);
+  const date = new Date(purchaseDate);
+  date.setDate(date.getDate() + days);
+  return date;
+};
+
 // Set virtuals to be included when converting to JSON
 storeSchema.set('toJSON', { virtuals: true });
 storeSchema.set('toObject', { virtuals: true });
 
+storeSchema.statics.slugify = slugify;
+
 module.exports = mongoose.model('Store', storeSchema);
\ No newline at end of file
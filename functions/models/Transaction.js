@@ -5,6 +5,7 @@
 
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = require('./ExchangeRate');
 
 /**
  * Status history schema for tracking transaction status changes
@@ -30,6 +31,22 @@ const statusHistorySchema = new Schema({
   }
 }, { _id: true });
 
+/**
+ * Statuses a transaction may move to from each status.
+ * Paid and rejected are final - money that has left or been released is never re-opened.
+ */
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'rejected'],
+  confirmed: ['paid', 'rejected'],
+  rejected: [],
+  paid: []
+};
+
+/**
+ * Statuses a transaction may have
+ */
+const STATUSES = Object.keys(STATUS_TRANSITIONS);
+
 /**
  * Transaction Schema
  * @typedef {Object} TransactionSchema
@@ -43,11 +60,11 @@ const transactionSchema = new Schema({
     index: true
   },
   
-  // Store where the transaction occurred
+  // Store where the transaction occurred (only cashback has one)
   store: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Store',
-    required: [true, 'Store is required'],
+    required: [function() { return this.type === 'cashback'; }, 'Store is required'],
     index: true
   },
   
@@ -64,6 +81,30 @@ const transactionSchema = new Schema({
     }
   },
   
+  // Currency the amount and cashback amount are in
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    enum: {
+      values: SUPPORTED_CURRENCIES,
+      message: 'Unsupported currency: {VALUE}'
+    },
+    default: BASE_CURRENCY
+  },
+  
+  // Units of the currency per unit of the base currency, fixed when the transaction is recorded
+  exchangeRate: {
+    type: Number,
+    default: 1,
+    validate: {
+      validator: function(value) {
+        return Number.isFinite(value) && value > 0 && (this.currency !== BASE_CURRENCY || value === 1);
+      },
+      message: 'Exchange rate must be a positive number, and 1 for the base currency'
+    }
+  },
+  
   // Cashback amount earned
   cashbackAmount: {
     type: Number,
@@ -102,7 +143,7 @@ const transactionSchema = new Schema({
   status: {
     type: String,
     enum: {
-      values: ['pending', 'confirmed', 'rejected', 'paid'],
+      values: STATUSES,
       message: 'Status must be one of: pending, confirmed, rejected, paid'
     },
     default: 'pending',
@@ -169,11 +210,22 @@ const transactionSchema = new Schema({
     type: String,
     trim: true,
     enum: {
-      values: ['paypal', 'bank_transfer', 'store_credit', 'gift_card', 'crypto', null],
-      message: 'Payment method must be one of: paypal, bank_transfer, store_credit, gift_card, crypto'
+      values: ['paypal', 'bank_transfer', 'store_credit', 'gift_card', 'crypto', 'venmo', null],
+      message: 'Payment method must be one of: paypal, bank_transfer, store_credit, gift_card, crypto, venmo'
     }
   },
   
+  // Where a withdrawal should be sent (copied from the user's payment method at request time)
+  payoutDestination: {
+    type: Schema.Types.Mixed
+  },
+  
+  // Payout batch a withdrawal was exported in
+  payoutBatch: {
+    type: Schema.Types.ObjectId,
+    ref: 'PayoutBatch'
+  },
+  
   // Payment reference number
   paymentReference: {
     type: String,
@@ -200,6 +252,19 @@ const transactionSchema = new Schema({
     ref: 'Cashback'
   },
   
+  // Click-out the transaction was attributed to
+  click: {
+    type: Schema.Types.ObjectId,
+    ref: 'Click'
+  },
+  
+  // Loyalty tier bonus included in cashbackPercentage, in percentage points
+  tierBonusPercentage: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tier bonus cannot be negative']
+  },
+  
   // IP address for tracking
   ipAddress: {
     type: String,
@@ -236,10 +301,23 @@ const transactionSchema = new Schema({
   timestamps: true
 });
 
+/**
+ * Remember the stored status so status changes can be validated on save
+ */
+transactionSchema.post('init', function() {
+  this.$locals.storedStatus = this.status;
+});
+
 /**
  * Pre-save middleware to validate transaction data
  */
 transactionSchema.pre('save', function(next) {
+  // Reject status changes the lifecycle does not allow
+  if (!this.isNew && this.isModified('status') && this.$locals.storedStatus &&
+      !STATUS_TRANSITIONS[this.$locals.storedStatus].includes(this.status)) {
+    return next(new Error(`Invalid status transition: ${this.$locals.storedStatus} -> ${this.status}`));
+  }
+  
   // Ensure cashback amount is consistent with percentage
   if (this.isModified('amount') || this.isModified('cashbackPercentage') || this.isModified('cashbackAmount')) {
     const calculatedCashback = (this.amount * this.cashbackPercentage) / 100;
@@ -250,16 +328,20 @@ transactionSchema.pre('save', function(next) {
   }
   
   // Add status change to history if status changed
+  // (updateStatus() records its own entry with the note and author)
   if (this.isModified('status')) {
     if (!this.statusHistory) {
       this.statusHistory = [];
     }
     
-    this.statusHistory.push({
-      status: this.status,
-      timestamp: new Date(),
-      note: 'Status updated'
-    });
+    if (!this.$locals.statusHistoryRecorded) {
+      this.statusHistory.push({
+        status: this.status,
+        timestamp: new Date(),
+        note: 'Status updated'
+      });
+    }
+    this.$locals.statusHistoryRecorded = false;
     
     // Set confirmation date if status changed to 'confirmed'
     if (this.status === 'confirmed' && !this.confirmationDate) {
@@ -275,6 +357,13 @@ transactionSchema.pre('save', function(next) {
   next();
 });
 
+/**
+ * Track the newly stored status once a save succeeds
+ */
+transactionSchema.post('save', function(doc) {
+  doc.$locals.storedStatus = doc.status;
+});
+
 /**
  * Virtual for transaction age in days
  * @returns {number} Age in days
@@ -319,18 +408,40 @@ transactionSchema.virtual('typeDisplay').get(function() {
   return typeMap[this.type] || this.type;
 });
 
+/**
+ * Cashback amount in the base currency, as posted to the ledger
+ */
+transactionSchema.virtual('baseCashbackAmount').get(function() {
+  return Math.round((this.cashbackAmount / (this.exchangeRate || 1)) * 100) / 100;
+});
+
+/**
+ * Check whether the transaction may move to a status
+ * @param {string} status - Target status
+ * @returns {boolean} True if the transition is allowed
+ */
+transactionSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
 /**
  * Method to update transaction status with history tracking
  * @param {string} status - New status
  * @param {string} note - Optional note
  * @param {ObjectId} updatedBy - User who updated the status
+ * @param {Object} options - Save options
+ * @param {ClientSession} options.session - Mongo session to save within
  * @returns {Promise} Updated transaction
  */
-transactionSchema.methods.updateStatus = async function(status, note, updatedBy) {
+transactionSchema.methods.updateStatus = async function(status, note, updatedBy, options = {}) {
   if (!['pending', 'confirmed', 'rejected', 'paid'].includes(status)) {
     throw new Error('Invalid status');
   }
   
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Invalid status transition: ${this.status} -> ${status}`);
+  }
+  
   this.status = status;
   
   if (!this.statusHistory) {
@@ -343,6 +454,7 @@ transactionSchema.methods.updateStatus = async function(status, note, updatedBy)
     note: note || `Status updated to ${status}`,
     updatedBy
   });
+  this.$locals.statusHistoryRecorded = true;
   
   if (status === 'confirmed' && !this.confirmationDate) {
     this.confirmationDate = new Date();
@@ -352,13 +464,16 @@ transactionSchema.methods.updateStatus = async function(status, note, updatedBy)
     this.paymentDate = new Date();
   }
   
-  return this.save();
+  return this.save({ session: options.session });
 };
 
 // Set virtuals to be included when converting to JSON
 transactionSchema.set('toJSON', { virtuals: true });
 transactionSchema.set('toObject', { virtuals: true });
 
+transactionSchema.statics.STATUSES = STATUSES;
+transactionSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 /**
  * Transaction model
  * @type {Model<TransactionSchema>}
@@ -1,4 +1,20 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = require('./ExchangeRate');
+const { TYPES: NOTIFICATION_TYPES } = require('./Notification');
+
+// Referral codes avoid characters that are easy to confuse when read aloud or typed (0/O, 1/I/L)
+const REFERRAL_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const REFERRAL_CODE_LENGTH = 8;
+
+/**
+ * Generate a random referral code
+ * @returns {string} Referral code
+ */
+const generateReferralCode = () => {
+  const bytes = crypto.randomBytes(REFERRAL_CODE_LENGTH);
+  return Array.from(bytes, byte => REFERRAL_CODE_ALPHABET[byte % REFERRAL_CODE_ALPHABET.length]).join('');
+};
 
 const addressSchema = new mongoose.Schema({
   street: { type: String },
@@ -8,6 +24,15 @@ const addressSchema = new mongoose.Schema({
   country: { type: String, default: 'USA' }
 }, { _id: false });
 
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Local times (in preferences.timezone) when only high-priority notifications go out
+const quietHoursSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+  start: { type: String, match: TIME_OF_DAY, default: '22:00' },
+  end: { type: String, match: TIME_OF_DAY, default: '08:00' }
+}, { _id: false });
+
 const preferencesSchema = new mongoose.Schema({
   emailNotifications: { type: Boolean, default: true },
   smsNotifications: { type: Boolean, default: false },
@@ -15,7 +40,13 @@ const preferencesSchema = new mongoose.Schema({
   categories: [{ type: String, trim: true }],
   favoriteStores: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Store' }],
   notificationFrequency: { type: String, enum: ['immediate', 'daily', 'weekly'], default: 'immediate' },
-  emailDigest: { type: Boolean, default: true }
+  emailDigest: { type: Boolean, default: true },
+  // Notification types the user does not want (high-priority notifications are always delivered)
+  mutedNotificationTypes: [{ type: String, enum: NOTIFICATION_TYPES }],
+  quietHours: { type: quietHoursSchema, default: () => ({}) },
+  // IANA time zone for quiet hours and digest times
+  timezone: { type: String, default: 'UTC' },
+  currency: { type: String, enum: SUPPORTED_CURRENCIES, default: BASE_CURRENCY }
 }, { _id: false });
 
 const userSchema = new mongoose.Schema({
@@ -30,9 +61,21 @@ const userSchema = new mongoose.Schema({
     token: { type: String },
     expiresAt: { type: Date },
     device: { type: String },
+    // Identifies the device across sessions (see utils/sessionUtils)
+    deviceKey: { type: String },
     ip: { type: String },
+    // Approximate location of the sign-in, e.g. "Austin, TX, US"
+    location: { type: String },
+    createdAt: { type: Date },
     lastUsed: { type: Date }
   }],
+  // Devices the user has signed in from; signing in from any other one raises an alert
+  knownDevices: [{
+    key: { type: String },
+    label: { type: String },
+    firstSeen: { type: Date },
+    lastSeen: { type: Date }
+  }],
 
   // OAuth fields
   oauthProvider: { type: String, enum: ['google', 'facebook', null], default: null },
@@ -59,6 +102,25 @@ const userSchema = new mongoose.Schema({
   twoFactorTempToken: { type: String },
   twoFactorTempTokenExpires: { type: Date },
 
+  // Passkeys (WebAuthn credentials), usable for passwordless sign-in and as a second factor
+  passkeys: [{
+    credentialId: { type: String, required: true }, // base64url
+    publicKey: { type: String, required: true }, // COSE public key, base64url
+    counter: { type: Number, default: 0 },
+    transports: [{ type: String }],
+    deviceType: { type: String, enum: ['singleDevice', 'multiDevice'] },
+    backedUp: { type: Boolean, default: false },
+    name: { type: String, trim: true },
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: { type: Date }
+  }],
+  // Challenge of the passkey ceremony in progress (see utils/webauthnUtils)
+  passkeyChallenge: {
+    challenge: { type: String },
+    purpose: { type: String, enum: ['register', 'login', 'second-factor'] },
+    expiresAt: { type: Date }
+  },
+
   // Profile information
   firstName: { type: String, trim: true },
   lastName: { type: String, trim: true },
@@ -88,6 +150,7 @@ const userSchema = new mongoose.Schema({
   }],
 
   // Cashback and rewards tracking
+  // Balance fields are derived from the ledger (utils/ledgerUtils) - never update them directly
   balance: { type: Number, default: 0 },
   pendingBalance: { type: Number, default: 0 },
   totalEarned: { type: Number, default: 0 },
@@ -100,7 +163,20 @@ const userSchema = new mongoose.Schema({
   }],
   referralCode: { type: String, unique: true, sparse: true },
   referredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-  referralCount: { type: Number, default: 0 }
+  referralCount: { type: Number, default: 0 },
+
+  // Loyalty status, derived from LoyaltyPointEntry by utils/loyaltyUtils - never update directly
+  loyalty: {
+    points: { type: Number, default: 0 },
+    qualifyingPoints: { type: Number, default: 0 },
+    tier: { type: String },
+    tierUpdatedAt: { type: Date },
+    recalculatedAt: { type: Date }
+  },
+
+  // Where the account was created from, used to detect self-referrals
+  signupIp: { type: String },
+  signupDeviceId: { type: String }
 }, {
   timestamps: true
 });
@@ -118,6 +194,16 @@ userSchema.virtual('accountAge').get(function() {
   return Math.floor((Date.now() - this.joinDate) / (1000 * 60 * 60 * 24));
 });
 
+// Every new account gets a referral code, whichever sign-up flow created it
+userSchema.pre('validate', function(next) {
+  if (this.isNew && !this.referralCode) {
+    this.referralCode = generateReferralCode();
+  }
+  next();
+});
+
+userSchema.statics.generateReferralCode = generateReferralCode;
+
 // Set virtuals to be included when converting to JSON
 userSchema.set('toJSON', { virtuals: true });
 userSchema.set('toObject', { virtuals: true });
@@ -7,6 +7,21 @@ const Transaction = require('./Transaction');
 const Notification = require('./Notification');
 const Favorite = require('./Favorite');
 const Review = require('./Review');
+const LedgerEntry = require('./LedgerEntry');
+const PayoutBatch = require('./PayoutBatch');
+const Click = require('./Click');
+const CashbackClaim = require('./CashbackClaim');
+const Referral = require('./Referral');
+const LoyaltyPointEntry = require('./LoyaltyPointEntry');
+const LoyaltySettings = require('./LoyaltySettings');
+const ExchangeRate = require('./ExchangeRate');
+const CouponFeedback = require('./CouponFeedback');
+const ReviewVote = require('./ReviewVote');
+const FeedRun = require('./FeedRun');
+const ApiKey = require('./ApiKey');
+const RateLimitEntry = require('./RateLimitEntry');
+const RevokedToken = require('./RevokedToken');
+const PasskeyChallenge = require('./PasskeyChallenge');
 
 module.exports = {
   User,
@@ -17,5 +32,20 @@ module.exports = {
   Transaction,
   Notification,
   Favorite,
-  Review
+  Review,
+  LedgerEntry,
+  PayoutBatch,
+  Click,
+  CashbackClaim,
+  Referral,
+  LoyaltyPointEntry,
+  LoyaltySettings,
+  ExchangeRate,
+  CouponFeedback,
+  ReviewVote,
+  FeedRun,
+  ApiKey,
+  RateLimitEntry,
+  RevokedToken,
+  PasskeyChallenge
 };
\ No newline at end of file
@@ -1,28 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const analyticsController = require('../controllers/analyticsController');
-const { authMiddleware } = require('../middleware/authMiddleware');
 const { query, validationResult } = require('express-validator');
 
-// Middleware to check if user is admin
-const adminCheck = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ 
-      success: false, 
-      message: 'Unauthorized: Admin access required' 
-    });
-  }
-  next();
-};
+// Access (an API key with the analytics scope, or an admin) is checked where the router is mounted
 
 /**
  * @route   GET /api/analytics/users
  * @desc    Get user activity analytics
- * @access  Private/Admin
+ * @access  Private (analytics API key or admin)
  */
 router.get('/users', 
-  authMiddleware,
-  adminCheck,
   [
     query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
     query('endDate').optional().isISO8601().withMessage('End date must be a valid date')
@@ -40,11 +28,9 @@ router.get('/users',
 /**
  * @route   GET /api/analytics/coupons
  * @desc    Get coupon usage analytics
- * @access  Private/Admin
+ * @access  Private (analytics API key or admin)
  */
 router.get('/coupons', 
-  authMiddleware,
-  adminCheck,
   [
     query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
     query('endDate').optional().isISO8601().withMessage('End date must be a valid date')
@@ -62,22 +48,18 @@ router.get('/coupons',
 /**
  * @route   GET /api/analytics/content
  * @desc    Get content analytics (blogs, cashbacks)
- * @access  Private/Admin
+ * @access  Private (analytics API key or admin)
  */
 router.get('/content', 
-  authMiddleware,
-  adminCheck,
   analyticsController.getContentAnalytics
 );
 
 /**
  * @route   GET /api/analytics/dashboard
  * @desc    Get dashboard summary analytics
- * @access  Private/Admin
+ * @access  Private (analytics API key or admin)
  */
 router.get('/dashboard', 
-  authMiddleware,
-  adminCheck,
   analyticsController.getDashboardAnalytics
 );
 
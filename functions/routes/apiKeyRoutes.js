@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const { query, param, body } = require('express-validator');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { adminMiddleware } = require('../middleware/roleMiddleware');
+const { paginate } = require('../middleware/paginationMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const ApiKey = require('../models/ApiKey');
+const apiKeyController = require('../controllers/apiKeyController');
+
+// API keys are managed by admins only
+router.use(authMiddleware, adminMiddleware);
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid API key ID')
+];
+
+const keyValidation = (optional) => {
+  const field = (validator) => (optional ? validator.optional() : validator);
+  return [
+    field(body('name')).isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+    field(body('scopes')).isArray({ min: 1 }).withMessage('At least one scope is required'),
+    body('scopes.*').isIn(ApiKey.SCOPES).withMessage(`Scopes must be among: ${ApiKey.SCOPES.join(', ')}`),
+    body('rateLimit').optional().isInt({ min: 1, max: 100000 }).withMessage('Rate limit must be 1-100000 requests per hour').toInt(),
+    body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('Expiry must be a date')
+      .custom(value => new Date(value) > new Date()).withMessage('Expiry must be in the future')
+  ];
+};
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    Get API keys, newest first
+ * @access  Private (admin only)
+ */
+router.get('/',
+  paginate({ defaultLimit: 20, maxLimit: 100 }),
+  [
+    query('status').optional().isIn(['active', 'revoked']).withMessage('Status must be active or revoked'),
+    query('scope').optional().isIn(ApiKey.SCOPES).withMessage(`Scope must be one of: ${ApiKey.SCOPES.join(', ')}`)
+  ],
+  validate,
+  apiKeyController.getKeys
+);
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Create an API key; the key is only returned now
+ * @access  Private (admin only)
+ */
+router.post('/',
+  keyValidation(false),
+  validate,
+  apiKeyController.createKey
+);
+
+/**
+ * @route   GET /api/api-keys/:id
+ * @desc    Get an API key with its daily usage over the last 30 days
+ * @access  Private (admin only)
+ */
+router.get('/:id',
+  idValidation,
+  validate,
+  apiKeyController.getKey
+);
+
+/**
+ * @route   PUT /api/api-keys/:id
+ * @desc    Update an API key's name, scopes, rate limit or expiry
+ * @access  Private (admin only)
+ */
+router.put('/:id',
+  [...idValidation, ...keyValidation(true)],
+  validate,
+  apiKeyController.updateKey
+);
+
+/**
+ * @route   POST /api/api-keys/:id/rotate
+ * @desc    Replace an API key with a new one; the old one keeps working for a grace period
+ * @access  Private (admin only)
+ */
+router.post('/:id/rotate',
+  [
+    ...idValidation,
+    body('graceHours').optional().isFloat({ min: 0, max: ApiKey.MAX_ROTATION_GRACE_HOURS })
+      .withMessage(`Grace period must be 0-${ApiKey.MAX_ROTATION_GRACE_HOURS} hours`).toFloat()
+  ],
+  validate,
+  apiKeyController.rotateKey
+);
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private (admin only)
+ */
+router.delete('/:id',
+  idValidation,
+  validate,
+  apiKeyController.revokeKey
+);
+
+module.exports = router;
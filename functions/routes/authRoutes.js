@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const { authMiddleware, optionalAuthMiddleware } = require('../middleware/authMiddleware');
 const { authLimiter, strictLimiter, loginRateLimiter } = require('../middleware/rateLimitMiddleware');
 const authController = require('../controllers/authController');
@@ -32,7 +32,9 @@ router.post('/register',
     body('email').isEmail().withMessage('Please provide a valid email'),
     body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
     body('firstName').optional().trim().notEmpty().withMessage('First name cannot be empty if provided'),
-    body('lastName').optional().trim().notEmpty().withMessage('Last name cannot be empty if provided')
+    body('lastName').optional().trim().notEmpty().withMessage('Last name cannot be empty if provided'),
+    body('referralCode').optional({ checkFalsy: true }).trim().isAlphanumeric().isLength({ max: 20 })
+      .withMessage('Referral code is invalid')
   ],
   (req, res, next) => {
     // Validate input
@@ -130,7 +132,9 @@ router.post('/verify-2fa',
   [
     body('userId').isMongoId().withMessage('Invalid user ID'),
     body('tempToken').notEmpty().withMessage('Temporary token is required'),
-    body('code').isLength({ min: 6, max: 6 }).withMessage('Verification code must be 6 digits')
+    // A passkey assertion can be sent instead of a code
+    body('code').if(body('passkey').not().exists()).isLength({ min: 6, max: 6 }).withMessage('Verification code must be 6 digits'),
+    body('passkey').optional().isObject().withMessage('Invalid passkey response')
   ],
   (req, res, next) => {
     // Validate input
@@ -182,6 +186,194 @@ router.post('/logout-all',
   authController.logoutAll
 );
 
+// List the devices the user is signed in on
+router.get('/sessions',
+  authMiddleware,
+  authController.getSessions
+);
+
+// Sign out one device
+router.delete('/sessions/:id',
+  authMiddleware,
+  [
+    param('id').isMongoId().withMessage('Invalid session ID')
+  ],
+  (req, res, next) => {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    next();
+  },
+  authController.revokeSession
+);
+
+// Get options for registering a passkey
+router.post('/passkeys/register/options',
+  authMiddleware,
+  [
+    body('password').isString().notEmpty().withMessage('Password is required')
+  ],
+  (req, res, next) => {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    next();
+  },
+  authController.getPasskeyRegistrationOptions
+);
+
+// Register a passkey
+router.post('/passkeys/register',
+  authMiddleware,
+  [
+    body('response').isObject().withMessage('Passkey response is required'),
+    body('response.id').isString().notEmpty().withMessage('Passkey response is required'),
+    body('name').optional().isString().trim().isLength({ min: 1, max: 50 }).withMessage('Name must be 1-50 characters')
+  ],
+  (req, res, next) => {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    next();
+  },
+  authController.registerPasskey
+);
+
+// List the user's passkeys
+router.get('/passkeys',
+  authMiddleware,
+  authController.getPasskeys
+);
+
+// Rename a passkey
+router.patch('/passkeys/:id',
+  authMiddleware,
+  [
+    param('id').isMongoId().withMessage('Invalid passkey ID'),
+    body('name').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Name must be 1-50 characters')
+  ],
+  (req, res, next) => {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    next();
+  },
+  authController.renamePasskey
+);
+
+// Remove a passkey
+router.delete('/passkeys/:id',
+  authMiddleware,
+  [
+    param('id').isMongoId().withMessage('Invalid passkey ID'),
+    body('password').isString().notEmpty().withMessage('Password is required')
+  ],
+  (req, res, next) => {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    next();
+  },
+  authController.deletePasskey
+);
+
+// Get options for signing in with a passkey
+router.post('/passkeys/login/options',
+  authLimiter,
+  [
+    body('email').isEmail().withMessage('Please provide a valid email')
+  ],
+  (req, res, next) => {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    next();
+  },
+  authController.getPasskeyLoginOptions
+);
+
+// Sign in with a passkey instead of a password
+router.post('/passkeys/login',
+  authLimiter,
+  loginRateLimiter,
+  [
+    body('email').isEmail().withMessage('Please provide a valid email'),
+    body('challengeId').isMongoId().withMessage('Passkey challenge is required'),
+    body('response').isObject().withMessage('Passkey response is required')
+  ],
+  (req, res, next) => {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    next();
+  },
+  authController.loginWithPasskey
+);
+
+// Get options for completing two-factor authentication with a passkey
+router.post('/2fa/passkey/options',
+  authLimiter,
+  [
+    body('userId').isMongoId().withMessage('Invalid user ID'),
+    body('tempToken').notEmpty().withMessage('Temporary token is required')
+  ],
+  (req, res, next) => {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    next();
+  },
+  authController.getTwoFactorPasskeyOptions
+);
+
 // Setup two-factor authentication
 router.post('/2fa/setup', 
   authMiddleware,
@@ -7,25 +7,20 @@
 const express = require('express');
 const router = express.Router();
 const cacheController = require('../controllers/cacheController');
-const { requireApiKey } = require('../middleware/apiKeyMiddleware');
-const { authMiddleware, requireAdmin } = require('../middleware/authMiddleware');
-
-// Apply API key authentication to all cache routes
-router.use(requireApiKey(['admin']));
 
 // Get cache statistics
-router.get('/stats', authMiddleware, requireAdmin, cacheController.getStats);
+router.get('/stats', cacheController.getStats);
 
 // Clear cache by pattern
-router.post('/clear', authMiddleware, requireAdmin, cacheController.clearCache);
+router.post('/clear', cacheController.clearCache);
 
 // Clear all cache
-router.post('/clear-all', authMiddleware, requireAdmin, cacheController.clearAllCache);
+router.post('/clear-all', cacheController.clearAllCache);
 
 // Get cached value by key
-router.get('/value/:key', authMiddleware, requireAdmin, cacheController.getCachedValue);
+router.get('/value/:key', cacheController.getCachedValue);
 
 // Delete cached value by key
-router.delete('/value/:key', authMiddleware, requireAdmin, cacheController.deleteCachedValue);
+router.delete('/value/:key', cacheController.deleteCachedValue);
 
 module.exports = router;
\ No newline at end of file
@@ -1,8 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const Cashback = require('../models/Cashback');
+const Store = require('../models/Store');
 const { authMiddleware } = require('../middleware/authMiddleware');
 const { body, query, param, validationResult } = require('express-validator');
+const { SUPPORTED_CURRENCIES } = require('../models/ExchangeRate');
+const { buildStoreFilter } = require('../utils/storeUtils');
+
+// Store fields returned with each cashback offer
+const STORE_FIELDS = 'name slug logo website';
 
 /**
  * @route   GET /api/cashbacks
@@ -13,7 +19,7 @@ router.get('/', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('category').optional().isString().withMessage('Category must be a string'),
-  query('store').optional().isString().withMessage('Store must be a string'),
+  query('store').optional().isString().withMessage('Store must be a store ID or name'),
   query('active').optional().isBoolean().withMessage('Active must be a boolean'),
   query('featured').optional().isBoolean().withMessage('Featured must be a boolean'),
   query('sort').optional().isString().withMessage('Sort must be a string')
@@ -37,22 +43,22 @@ router.get('/', [
 
   const skip = (parseInt(page) - 1) * parseInt(limit);
 
-  // Build filter object
-  const filter = {};
-  if (category) filter.category = category;
-  if (store) filter['store.name'] = { $regex: store, $options: 'i' }; // Case-insensitive search
-  if (active !== undefined) filter.isActive = active === 'true';
-  if (featured !== undefined) filter.featured = featured === 'true';
-
   // Build sort object
   const sortObj = {};
   sortObj[sort] = direction === 'asc' ? 1 : -1;
 
   try {
+    // Build filter object; a store can be given by ID or by (part of) its name
+    const filter = store ? await buildStoreFilter(store) : {};
+    if (category) filter.category = category;
+    if (active !== undefined) filter.isActive = active === 'true';
+    if (featured !== undefined) filter.featured = featured === 'true';
+
     const cashbacks = await Cashback.find(filter)
       .skip(skip)
       .limit(parseInt(limit))
-      .sort(sortObj);
+      .sort(sortObj)
+      .populate('store', STORE_FIELDS);
 
     const total = await Cashback.countDocuments(filter);
 
@@ -83,7 +89,7 @@ router.get('/:id', [
   }
 
   try {
-    const cashback = await Cashback.findById(req.params.id);
+    const cashback = await Cashback.findById(req.params.id).populate('store', STORE_FIELDS);
 
     if (!cashback) {
       return res.status(404).json({ message: 'Cashback not found' });
@@ -111,12 +117,10 @@ router.post('/',
       .isString().withMessage('Description must be a string'),
     body('amount').notEmpty().withMessage('Amount is required')
       .isFloat({ min: 0, max: 100 }).withMessage('Amount must be a number between 0 and 100'),
-    body('store.name').notEmpty().withMessage('Store name is required')
-      .isString().withMessage('Store name must be a string'),
-    body('store.logo').optional()
-      .isURL().withMessage('Store logo must be a valid URL'),
-    body('store.website').optional()
-      .isURL().withMessage('Store website must be a valid URL'),
+    body('currency').optional()
+      .isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`),
+    body('store').notEmpty().withMessage('Store is required')
+      .isMongoId().withMessage('Store must be a valid store ID'),
     body('category').optional()
       .isString().withMessage('Category must be a string'),
     body('terms').optional()
@@ -147,6 +151,10 @@ router.post('/',
     }
 
     try {
+      if (!await Store.exists({ _id: req.body.store })) {
+        return res.status(400).json({ message: 'Store not found' });
+      }
+
       // Create new cashback with user ID
       const newCashback = new Cashback({
         ...req.body,
@@ -178,12 +186,10 @@ router.put('/:id',
       .isString().withMessage('Description must be a string'),
     body('amount').optional()
       .isFloat({ min: 0, max: 100 }).withMessage('Amount must be a number between 0 and 100'),
-    body('store.name').optional()
-      .isString().withMessage('Store name must be a string'),
-    body('store.logo').optional()
-      .isURL().withMessage('Store logo must be a valid URL'),
-    body('store.website').optional()
-      .isURL().withMessage('Store website must be a valid URL'),
+    body('currency').optional()
+      .isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`),
+    body('store').optional()
+      .isMongoId().withMessage('Store must be a valid store ID'),
     body('category').optional()
       .isString().withMessage('Category must be a string'),
     body('terms').optional()
@@ -214,6 +220,10 @@ router.put('/:id',
     }
 
     try {
+      if (req.body.store && !await Store.exists({ _id: req.body.store })) {
+        return res.status(400).json({ message: 'Store not found' });
+      }
+
       const updatedCashback = await Cashback.findByIdAndUpdate(
         req.params.id,
         req.body,
@@ -289,7 +299,7 @@ router.get('/featured/list', async (req, res) => {
         { expiryDate: { $gt: new Date() } },
         { expiryDate: null }
       ]
-    }).sort({ amount: -1 }).limit(10);
+    }).sort({ amount: -1 }).limit(10).populate('store', STORE_FIELDS);
 
     res.json(featuredCashbacks);
   } catch (err) {
@@ -308,19 +318,22 @@ router.get('/stores/list', async (req, res) => {
     const stores = await Cashback.aggregate([
       { $match: { isActive: true } },
       { $group: {
-        _id: '$store.name',
-        logo: { $first: '$store.logo' },
-        website: { $first: '$store.website' },
+        _id: '$store',
         maxAmount: { $max: '$amount' }
       }},
-      { $sort: { _id: 1 } }
+      { $lookup: { from: 'stores', localField: '_id', foreignField: '_id', as: 'store' } },
+      { $unwind: '$store' },
+      { $match: { 'store.isActive': true } },
+      { $sort: { 'store.name': 1 } }
     ]);
 
-    res.json(stores.map(store => ({
-      name: store._id,
+    res.json(stores.map(({ store, maxAmount }) => ({
+      _id: store._id,
+      name: store.name,
+      slug: store.slug,
       logo: store.logo,
       website: store.website,
-      maxCashback: store.maxAmount
+      maxCashback: maxAmount
     })));
   } catch (err) {
     console.error('Error fetching cashback stores:', err);
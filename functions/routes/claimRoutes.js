@@ -0,0 +1,168 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { supportMiddleware } = require('../middleware/roleMiddleware');
+const { query, param, body } = require('express-validator');
+const { paginate } = require('../middleware/paginationMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const claimController = require('../controllers/claimController');
+const { SUPPORTED_CURRENCIES } = require('../utils/currencyUtils');
+
+const STATUSES = ['submitted', 'in_review', 'approved', 'rejected'];
+
+// Receipts are held in memory and uploaded to Cloud Storage once the claim passes its checks
+// (see utils/receiptStorage) - function instances cannot keep files on disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Receipts must be an image or a PDF'), false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
+/**
+ * @route   POST /api/claims
+ * @desc    File a missing-cashback claim (multipart form with a `receipt` file)
+ * @access  Private
+ */
+router.post('/',
+  authMiddleware,
+  upload.single('receipt'),
+  [
+    body('storeId').isMongoId().withMessage('Invalid store ID'),
+    body('orderReference').isString().trim().notEmpty().isLength({ max: 100 })
+      .withMessage('Order reference is required and cannot exceed 100 characters'),
+    body('orderAmount').isFloat({ gt: 0 }).withMessage('Order amount must be a positive number'),
+    body('currency').optional().isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`),
+    body('purchaseDate').isISO8601().withMessage('Purchase date must be a valid date')
+      .custom(value => new Date(value) <= new Date()).withMessage('Purchase date cannot be in the future'),
+    body('comments').optional().isString().isLength({ max: 1000 }).withMessage('Comments cannot exceed 1000 characters')
+  ],
+  validate,
+  claimController.createClaim
+);
+
+/**
+ * @route   GET /api/claims
+ * @desc    List the authenticated user's claims
+ * @access  Private
+ */
+router.get('/',
+  authMiddleware,
+  paginate({ defaultLimit: 10, maxLimit: 100 }),
+  [
+    query('status').optional().isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`)
+  ],
+  validate,
+  claimController.getMyClaims
+);
+
+/**
+ * @route   GET /api/claims/admin
+ * @desc    List claims awaiting review (submitted and in review by default)
+ * @access  Private (Support, Moderator, Admin)
+ */
+router.get('/admin',
+  authMiddleware,
+  supportMiddleware,
+  paginate({ defaultLimit: 20, maxLimit: 100 }),
+  [
+    query('status').optional().custom(value => value.split(',').every(s => STATUSES.includes(s)))
+      .withMessage(`Status must be a comma-separated list of: ${STATUSES.join(', ')}`),
+    query('store').optional().isMongoId().withMessage('Invalid store ID'),
+    query('user').optional().isMongoId().withMessage('Invalid user ID'),
+    query('assignedTo').optional().isMongoId().withMessage('Invalid assignee ID')
+  ],
+  validate,
+  claimController.getClaimQueue
+);
+
+/**
+ * @route   GET /api/claims/:id
+ * @desc    Get a single claim
+ * @access  Private (Owner, Support, Moderator, Admin)
+ */
+router.get('/:id',
+  authMiddleware,
+  [
+    param('id').isMongoId().withMessage('Invalid claim ID')
+  ],
+  validate,
+  claimController.getClaimById
+);
+
+/**
+ * @route   GET /api/claims/:id/receipt
+ * @desc    Download the receipt attached to a claim
+ * @access  Private (Owner, Support, Moderator, Admin)
+ */
+router.get('/:id/receipt',
+  authMiddleware,
+  [
+    param('id').isMongoId().withMessage('Invalid claim ID')
+  ],
+  validate,
+  claimController.getClaimReceipt
+);
+
+/**
+ * @route   PATCH /api/claims/:id/review
+ * @desc    Assign a claim to the current support agent and mark it in review
+ * @access  Private (Support, Moderator, Admin)
+ */
+router.patch('/:id/review',
+  authMiddleware,
+  supportMiddleware,
+  [
+    param('id').isMongoId().withMessage('Invalid claim ID'),
+    body('reviewNotes').optional().isString().isLength({ max: 1000 }).withMessage('Review notes cannot exceed 1000 characters')
+  ],
+  validate,
+  claimController.startReview
+);
+
+/**
+ * @route   POST /api/claims/:id/approve
+ * @desc    Approve a claim and create its cashback transaction
+ * @access  Private (Support, Moderator, Admin)
+ */
+router.post('/:id/approve',
+  authMiddleware,
+  supportMiddleware,
+  [
+    param('id').isMongoId().withMessage('Invalid claim ID'),
+    body('orderAmount').optional().isFloat({ gt: 0 }).withMessage('Order amount must be a positive number'),
+    body('cashbackPercentage').optional().isFloat({ min: 0, max: 100 }).withMessage('Cashback percentage must be between 0 and 100'),
+    body('status').optional().isIn(['pending', 'confirmed']).withMessage('Status must be pending or confirmed'),
+    body('reviewNotes').optional().isString().isLength({ max: 1000 }).withMessage('Review notes cannot exceed 1000 characters')
+  ],
+  validate,
+  claimController.approveClaim
+);
+
+/**
+ * @route   POST /api/claims/:id/reject
+ * @desc    Reject a claim with a reason shown to the user
+ * @access  Private (Support, Moderator, Admin)
+ */
+router.post('/:id/reject',
+  authMiddleware,
+  supportMiddleware,
+  [
+    param('id').isMongoId().withMessage('Invalid claim ID'),
+    body('reason').isString().trim().notEmpty().isLength({ max: 500 })
+      .withMessage('A rejection reason of at most 500 characters is required'),
+    body('reviewNotes').optional().isString().isLength({ max: 1000 }).withMessage('Review notes cannot exceed 1000 characters')
+  ],
+  validate,
+  claimController.rejectClaim
+);
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, optionalAuthMiddleware } = require('../middleware/authMiddleware');
+const { supportMiddleware } = require('../middleware/roleMiddleware');
+const { query, param, body } = require('express-validator');
+const { paginate } = require('../middleware/paginationMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const clickController = require('../controllers/clickController');
+
+/**
+ * Click-out redirect, mounted at /go
+ */
+const redirectRouter = express.Router();
+
+/**
+ * @route   GET /go/:storeId
+ * @desc    Record a click and redirect to the store's affiliate URL with a unique sub-ID.
+ *          Optional ?coupon=<id> and ?cashback=<id> record which offer the click started from,
+ *          and ?t=<click token> the signed-in user it belongs to (see GET /api/clicks/token).
+ * @access  Public
+ */
+redirectRouter.get('/:storeId',
+  optionalAuthMiddleware,
+  [
+    param('storeId').isMongoId().withMessage('Invalid store ID'),
+    query('coupon').optional().isMongoId().withMessage('Invalid coupon ID'),
+    query('cashback').optional().isMongoId().withMessage('Invalid cashback offer ID'),
+    query('t').optional().isString().withMessage('Invalid click token')
+  ],
+  validate,
+  clickController.goToStore
+);
+
+/**
+ * @route   GET /api/clicks/token
+ * @desc    Issue a short-lived click token attributing /go links to the signed-in user
+ * @access  Private
+ */
+router.get('/token',
+  authMiddleware,
+  clickController.getClickToken
+);
+
+/**
+ * @route   POST /api/clicks
+ * @desc    Record a click for the signed-in user and return the tagged URL to open
+ * @access  Private
+ */
+router.post('/',
+  authMiddleware,
+  [
+    body('storeId').isMongoId().withMessage('Invalid store ID'),
+    body('couponId').optional().isMongoId().withMessage('Invalid coupon ID'),
+    body('cashbackId').optional().isMongoId().withMessage('Invalid cashback offer ID')
+  ],
+  validate,
+  clickController.createClick
+);
+
+/**
+ * @route   GET /api/clicks
+ * @desc    List clicks to match conversions and claims to their originating click
+ * @access  Private (Support, Moderator, Admin)
+ */
+router.get('/',
+  authMiddleware,
+  supportMiddleware,
+  paginate({ defaultLimit: 20, maxLimit: 100 }),
+  [
+    query('user').optional().isMongoId().withMessage('Invalid user ID'),
+    query('store').optional().isMongoId().withMessage('Invalid store ID'),
+    query('subId').optional().isString().withMessage('Sub-ID must be a string'),
+    query('converted').optional().isBoolean().withMessage('Converted must be a boolean')
+  ],
+  validate,
+  clickController.getClicks
+);
+
+module.exports = router;
+module.exports.redirectRouter = redirectRouter;
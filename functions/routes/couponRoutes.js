@@ -1,21 +1,89 @@
 const express = require('express');
 const router = express.Router();
+const path = require('path');
+const multer = require('multer');
 const Coupon = require('../models/Coupon');
-const { authMiddleware } = require('../middleware/authMiddleware');
+const Store = require('../models/Store');
+const { authMiddleware, optionalAuthMiddleware } = require('../middleware/authMiddleware');
+const { adminMiddleware } = require('../middleware/roleMiddleware');
+const { createRateLimiter } = require('../middleware/rateLimitMiddleware');
+const { paginate } = require('../middleware/paginationMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
 const { body, query, param, validationResult } = require('express-validator');
 const cache = require('../utils/cache');
+const couponFeedbackController = require('../controllers/couponFeedbackController');
+const couponImportController = require('../controllers/couponImportController');
+const couponCalendarController = require('../controllers/couponCalendarController');
+const { buildStoreFilter, startedCouponFilter } = require('../utils/storeUtils');
+const { checkCouponEligibility } = require('../utils/couponEligibilityUtils');
+const CouponFeedback = require('../models/CouponFeedback');
+
+// Anonymous reports are keyed by a client ID anyone can make up, so cap them per IP address
+const feedbackLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  prefix: 'coupon-feedback',
+  message: {
+    success: false,
+    message: 'Too many coupon reports from this IP, please try again later',
+    code: 'FEEDBACK_RATE_LIMIT_EXCEEDED'
+  }
+});
+
+// Coupon feeds are parsed straight from memory and never stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (['.csv', '.json'].includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Coupon files must be .csv or .json'), false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
+// Scheduling and eligibility fields shared by coupon creation and updates
+const scheduleValidation = [
+  body('startDate').optional()
+    .isISO8601().withMessage('Start date must be a valid date'),
+  body('eligibility.newCustomersOnly').optional()
+    .isBoolean().withMessage('newCustomersOnly must be a boolean'),
+  body('eligibility.minimumSpend').optional({ values: 'null' })
+    .isFloat({ min: 0 }).withMessage('Minimum spend must be a positive number'),
+  body('eligibility.loyaltyTiers').optional()
+    .isArray().withMessage('Loyalty tiers must be a list'),
+  body('eligibility.loyaltyTiers.*')
+    .isString().withMessage('Loyalty tiers must be names').trim(),
+  body('eligibility.stackable').optional()
+    .isBoolean().withMessage('stackable must be a boolean'),
+  body('eligibility.excludedCoupons').optional()
+    .isArray().withMessage('Excluded coupons must be a list'),
+  body('eligibility.excludedCoupons.*')
+    .isMongoId().withMessage('Excluded coupons must be coupon IDs')
+];
+
+/**
+ * Whether a request may see coupons that have not started yet
+ * @param {Object} req - Express request
+ * @returns {boolean} True for admins
+ */
+const canSeeScheduled = (req) => Boolean(req.user && req.user.role === 'admin');
 
 /**
  * @route   GET /api/coupons
  * @desc    Get all coupons with pagination, filtering, and sorting
  * @access  Public
  */
-router.get('/', [
+router.get('/', optionalAuthMiddleware, [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('category').optional().isString().withMessage('Category must be a string'),
-  query('store').optional().isString().withMessage('Store must be a string'),
+  query('store').optional().isString().withMessage('Store must be a store ID or name'),
   query('active').optional().isBoolean().withMessage('Active must be a boolean'),
+  query('scheduled').optional().isBoolean().withMessage('Scheduled must be a boolean'),
   query('sort').optional().isString().withMessage('Sort must be a string')
 ], async (req, res) => {
   // Validate query parameters
@@ -33,10 +101,12 @@ router.get('/', [
     sort = 'createdAt',
     direction = 'desc'
   } = req.query;
+  // Coupons that have not started are listed only for admins who ask for them
+  const scheduled = req.query.scheduled === 'true' && canSeeScheduled(req);
 
   // Generate cache key based on query parameters
   const cacheKey = cache.generateKey('coupons:list', {
-    page, limit, category, store, active, sort, direction
+    page, limit, category, store, active, sort, direction, scheduled
   });
   
   // Try to get from cache first
@@ -47,17 +117,17 @@ router.get('/', [
 
   const skip = (parseInt(page) - 1) * parseInt(limit);
 
-  // Build filter object
-  const filter = {};
-  if (category) filter.category = category;
-  if (store) filter['store.name'] = { $regex: store, $options: 'i' }; // Case-insensitive search
-  if (active !== undefined) filter.isActive = active === 'true';
-
   // Build sort object
   const sortObj = {};
   sortObj[sort] = direction === 'asc' ? 1 : -1;
 
   try {
+    // Build filter object; a store can be given by ID or by (part of) its name
+    const filter = store ? await buildStoreFilter(store) : {};
+    if (category) filter.category = category;
+    if (active !== undefined) filter.isActive = active === 'true';
+    if (!scheduled) Object.assign(filter, startedCouponFilter());
+
     // Use lean() for better performance - returns plain JS objects instead of Mongoose documents
     const coupons = await Coupon.find(filter)
       .skip(skip)
@@ -90,7 +160,7 @@ router.get('/', [
  * @desc    Get a single coupon by ID
  * @access  Public
  */
-router.get('/:id', [
+router.get('/:id', optionalAuthMiddleware, [
   param('id').isMongoId().withMessage('Invalid coupon ID')
 ], async (req, res) => {
   // Validate parameters
@@ -104,9 +174,15 @@ router.get('/:id', [
   // Generate cache key for this specific coupon
   const cacheKey = cache.generateKey('coupons:single', { id: couponId });
   
+  // Coupons that have not started yet are hidden from everyone but admins
+  const isHidden = (coupon) => coupon.startDate && new Date(coupon.startDate) > new Date() && !canSeeScheduled(req);
+
   // Try to get from cache first
   const cachedCoupon = await cache.get(cacheKey);
   if (cachedCoupon) {
+    if (isHidden(cachedCoupon)) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
     return res.json(cachedCoupon);
   }
 
@@ -121,6 +197,9 @@ router.get('/:id', [
     // Cache the coupon for 30 minutes (1800 seconds)
     await cache.set(cacheKey, coupon, 1800);
 
+    if (isHidden(coupon)) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
     res.json(coupon);
   } catch (err) {
     console.error('Error fetching coupon:', err);
@@ -147,10 +226,8 @@ router.post('/',
       .isString().withMessage('Description must be a string'),
     body('discount').notEmpty().withMessage('Discount is required')
       .isFloat({ min: 0, max: 100 }).withMessage('Discount must be a number between 0 and 100'),
-    body('store.name').notEmpty().withMessage('Store name is required')
-      .isString().withMessage('Store name must be a string'),
-    body('store.logo').optional()
-      .isURL().withMessage('Store logo must be a valid URL'),
+    body('store').notEmpty().withMessage('Store is required')
+      .isMongoId().withMessage('Store must be a valid store ID'),
     body('expiryDate').optional()
       .isISO8601().withMessage('Expiry date must be a valid date')
       .custom(value => {
@@ -164,7 +241,8 @@ router.post('/',
     body('usageLimit').optional()
       .isInt({ min: 1 }).withMessage('Usage limit must be a positive integer'),
     body('category').optional()
-      .isString().withMessage('Category must be a string')
+      .isString().withMessage('Category must be a string'),
+    ...scheduleValidation
   ],
   async (req, res) => {
     // Check for validation errors
@@ -179,6 +257,10 @@ router.post('/',
     }
 
     try {
+      if (!await Store.exists({ _id: req.body.store })) {
+        return res.status(400).json({ message: 'Store not found' });
+      }
+
       // Check if coupon code already exists
       const existingCoupon = await Coupon.findOne({ code: req.body.code.toUpperCase() });
       if (existingCoupon) {
@@ -224,10 +306,8 @@ router.put('/:id',
       .isString().withMessage('Description must be a string'),
     body('discount').optional()
       .isFloat({ min: 0, max: 100 }).withMessage('Discount must be a number between 0 and 100'),
-    body('store.name').optional()
-      .isString().withMessage('Store name must be a string'),
-    body('store.logo').optional()
-      .isURL().withMessage('Store logo must be a valid URL'),
+    body('store').optional()
+      .isMongoId().withMessage('Store must be a valid store ID'),
     body('expiryDate').optional()
       .isISO8601().withMessage('Expiry date must be a valid date')
       .custom(value => {
@@ -241,7 +321,8 @@ router.put('/:id',
     body('usageLimit').optional()
       .isInt({ min: 1 }).withMessage('Usage limit must be a positive integer'),
     body('category').optional()
-      .isString().withMessage('Category must be a string')
+      .isString().withMessage('Category must be a string'),
+    ...scheduleValidation
   ],
   async (req, res) => {
     // Check for validation errors
@@ -256,6 +337,10 @@ router.put('/:id',
     }
 
     try {
+      if (req.body.store && !await Store.exists({ _id: req.body.store })) {
+        return res.status(400).json({ message: 'Store not found' });
+      }
+
       // If code is being updated, check if it already exists
       if (req.body.code) {
         const existingCoupon = await Coupon.findOne({
@@ -340,13 +425,20 @@ router.delete('/:id',
 
 /**
  * @route   POST /api/coupons/:id/redeem
- * @desc    Redeem a coupon (increment usage count)
+ * @desc    Redeem a coupon (increment usage count) after checking its schedule and eligibility rules.
+ *          Send orderAmount for minimum spend rules and couponIds for the other coupons on the order.
  * @access  Private
  */
 router.post('/:id/redeem',
   authMiddleware,
   [
-    param('id').isMongoId().withMessage('Invalid coupon ID')
+    param('id').isMongoId().withMessage('Invalid coupon ID'),
+    body('orderAmount').optional()
+      .isFloat({ min: 0 }).withMessage('Order amount must be a positive number').toFloat(),
+    body('couponIds').optional()
+      .isArray({ max: 10 }).withMessage('couponIds must be a list of at most 10 coupon IDs'),
+    body('couponIds.*')
+      .isMongoId().withMessage('couponIds must be coupon IDs')
   ],
   async (req, res) => {
     // Validate parameters
@@ -362,13 +454,17 @@ router.post('/:id/redeem',
         return res.status(404).json({ message: 'Coupon not found' });
       }
 
-      // Check if coupon is valid
-      if (!coupon.isValid) {
+      // Check the schedule, usage limit and eligibility rules
+      const eligibility = await checkCouponEligibility(coupon, {
+        userId: req.user.userId,
+        orderAmount: req.body.orderAmount,
+        couponIds: req.body.couponIds
+      });
+      if (!eligibility.isValid) {
         return res.status(400).json({
           message: 'Coupon is not valid',
-          reason: coupon.isExpired ? 'expired' :
-                  !coupon.isActive ? 'inactive' :
-                  'usage limit reached'
+          reason: eligibility.reason,
+          detail: eligibility.message
         });
       }
 
@@ -387,4 +483,127 @@ router.post('/:id/redeem',
   }
 );
 
+/**
+ * @route   POST /api/coupons/:id/feedback
+ * @desc    Report whether a coupon code worked (one report per user or client, later reports replace it)
+ * @access  Public (clientId required when not signed in)
+ */
+router.post('/:id/feedback',
+  feedbackLimiter,
+  optionalAuthMiddleware,
+  [
+    param('id').isMongoId().withMessage('Invalid coupon ID'),
+    body('outcome').isIn(CouponFeedback.OUTCOMES).withMessage(`Outcome must be one of: ${CouponFeedback.OUTCOMES.join(', ')}`),
+    body('source').optional().isIn(CouponFeedback.SOURCES).withMessage(`Source must be one of: ${CouponFeedback.SOURCES.join(', ')}`),
+    body('clientId').optional()
+      .isString().withMessage('Client ID must be a string')
+      .trim()
+      .isLength({ min: 8, max: 64 }).withMessage('Client ID must be between 8 and 64 characters')
+      .matches(/^[A-Za-z0-9_-]+$/).withMessage('Client ID may only contain letters, numbers, underscores and hyphens')
+  ],
+  validate,
+  couponFeedbackController.submitFeedback
+);
+
+/**
+ * @route   GET /api/coupons/admin/flagged
+ * @desc    Get coupons flagged for review because reports say they fail
+ * @access  Private (Admin only)
+ */
+router.get('/admin/flagged',
+  authMiddleware,
+  adminMiddleware,
+  paginate({ defaultLimit: 20, maxLimit: 100 }),
+  couponFeedbackController.getFlaggedCoupons
+);
+
+/**
+ * @route   GET /api/coupons/admin/:id/feedback
+ * @desc    Get the reports for a coupon
+ * @access  Private (Admin only)
+ */
+router.get('/admin/:id/feedback',
+  authMiddleware,
+  adminMiddleware,
+  paginate({ defaultLimit: 20, maxLimit: 100 }),
+  [
+    param('id').isMongoId().withMessage('Invalid coupon ID'),
+    query('outcome').optional().isIn(CouponFeedback.OUTCOMES).withMessage('Invalid outcome')
+  ],
+  validate,
+  couponFeedbackController.getCouponFeedback
+);
+
+/**
+ * @route   POST /api/coupons/admin/:id/clear-flag
+ * @desc    Clear a coupon's review flag, optionally deactivating it
+ * @access  Private (Admin only)
+ */
+router.post('/admin/:id/clear-flag',
+  authMiddleware,
+  adminMiddleware,
+  [
+    param('id').isMongoId().withMessage('Invalid coupon ID'),
+    body('deactivate').optional().isBoolean().withMessage('Deactivate must be a boolean').toBoolean()
+  ],
+  validate,
+  couponFeedbackController.clearFlag
+);
+
+/**
+ * @route   GET /api/coupons/admin/calendar
+ * @desc    Get the coupons starting and the coupons and cashback offers expiring in a date range, by day
+ * @access  Private (Admin only)
+ */
+router.get('/admin/calendar',
+  authMiddleware,
+  adminMiddleware,
+  [
+    query('from').optional().isISO8601().withMessage('from must be a valid date'),
+    query('to').optional().isISO8601().withMessage('to must be a valid date')
+  ],
+  validate,
+  couponCalendarController.getCalendar
+);
+
+/**
+ * @route   POST /api/coupons/admin/import
+ * @desc    Import coupons from a CSV or JSON file (multipart `file`) or { coupons: [...] }, upserting by code.
+ *          With dryRun, report what would change without saving.
+ * @access  Private (Admin only)
+ */
+router.post('/admin/import',
+  authMiddleware,
+  adminMiddleware,
+  upload.single('file'),
+  [
+    body('coupons').optional().isArray({ min: 1 }).withMessage('Coupons must be a non-empty list'),
+    body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean').toBoolean(),
+    query('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean').toBoolean()
+  ],
+  validate,
+  couponImportController.importCoupons
+);
+
+/**
+ * @route   GET /api/coupons/admin/export
+ * @desc    Export coupons as CSV or JSON, filtered by store, category, status, flag and update date
+ * @access  Private (Admin only)
+ */
+router.get('/admin/export',
+  authMiddleware,
+  adminMiddleware,
+  [
+    query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json'),
+    query('store').optional().isMongoId().withMessage('Store must be a valid store ID'),
+    query('category').optional().isString().trim(),
+    query('status').optional().isIn(['active', 'inactive', 'expired']).withMessage('Status must be active, inactive or expired'),
+    query('flagged').optional().isBoolean().withMessage('Flagged must be a boolean').toBoolean(),
+    query('updatedFrom').optional().isISO8601().withMessage('updatedFrom must be a valid date'),
+    query('updatedTo').optional().isISO8601().withMessage('updatedTo must be a valid date')
+  ],
+  validate,
+  couponImportController.exportCoupons
+);
+
 module.exports = router;
\ No newline at end of file
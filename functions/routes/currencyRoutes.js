@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const multer = require('multer');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { adminMiddleware } = require('../middleware/roleMiddleware');
+const { query, body } = require('express-validator');
+const { paginate } = require('../middleware/paginationMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const currencyController = require('../controllers/currencyController');
+const { SUPPORTED_CURRENCIES } = require('../utils/currencyUtils');
+
+// Rate files are parsed straight from memory and never stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (['.csv', '.json'].includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Rate files must be .csv or .json'), false);
+    }
+  },
+  limits: {
+    fileSize: 1024 * 1024 // 1MB limit
+  }
+});
+
+/**
+ * @route   GET /api/currency/rates
+ * @desc    Get the exchange rates in effect now (or at ?at=)
+ * @access  Public
+ */
+router.get('/rates',
+  [
+    query('at').optional().isISO8601().withMessage('At must be a valid date')
+  ],
+  validate,
+  currencyController.getRates
+);
+
+/**
+ * @route   PUT /api/currency/preference
+ * @desc    Set the currency amounts are shown in
+ * @access  Private
+ */
+router.put('/preference',
+  authMiddleware,
+  [
+    body('currency').isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`)
+  ],
+  validate,
+  currencyController.setPreferredCurrency
+);
+
+/**
+ * @route   GET /api/currency/admin/rates/history
+ * @desc    Get the stored rate history
+ * @access  Private (Admin only)
+ */
+router.get('/admin/rates/history',
+  authMiddleware,
+  adminMiddleware,
+  paginate({ defaultLimit: 50, maxLimit: 200 }),
+  [
+    query('currency').optional().isIn(SUPPORTED_CURRENCIES).withMessage('Unsupported currency'),
+    query('from').optional().isISO8601().withMessage('From must be a valid date'),
+    query('to').optional().isISO8601().withMessage('To must be a valid date')
+  ],
+  validate,
+  currencyController.getRateHistory
+);
+
+/**
+ * @route   POST /api/currency/admin/rates
+ * @desc    Upload exchange rates (multipart `file` as CSV/JSON, or { base, effectiveAt, rates } as JSON)
+ * @access  Private (Admin only)
+ */
+router.post('/admin/rates',
+  authMiddleware,
+  adminMiddleware,
+  upload.single('file'),
+  [
+    body('base').optional().isIn(SUPPORTED_CURRENCIES).withMessage('Unsupported base currency'),
+    body('effectiveAt').optional().isISO8601().withMessage('Effective date must be a valid date'),
+    body('rates').optional().isObject().withMessage('Rates must be an object of currency codes to rates'),
+    body('entries').optional().isArray({ min: 1 }).withMessage('Entries must be a list of rates')
+  ],
+  validate,
+  currencyController.uploadRates
+);
+
+module.exports = router;
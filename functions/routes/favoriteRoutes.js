@@ -0,0 +1,111 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { query, param, body } = require('express-validator');
+const { paginate } = require('../middleware/paginationMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const Favorite = require('../models/Favorite');
+const favoriteController = require('../controllers/favoriteController');
+
+const ITEM_TYPES = Object.keys(Favorite.ITEM_MODELS);
+
+const favoriteIdValidation = [
+  param('id').isMongoId().withMessage('Invalid favorite ID')
+];
+
+const itemTypeQueryValidation = [
+  query('itemType').optional().isIn(ITEM_TYPES).withMessage(`Item type must be one of: ${ITEM_TYPES.join(', ')}`)
+];
+
+// Fields a user may set on a favorite
+const favoriteFieldsValidation = [
+  body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters'),
+  body('tags').optional().isArray({ max: 20 }).withMessage('Tags must be a list of at most 20 tags'),
+  body('tags.*').isString().trim().toLowerCase().isLength({ min: 1, max: 30 }).withMessage('Each tag must be between 1 and 30 characters'),
+  body('notifyOnExpiry').optional().isBoolean().withMessage('notifyOnExpiry must be a boolean').toBoolean(),
+  body('notifyOnUpdates').optional().isBoolean().withMessage('notifyOnUpdates must be a boolean').toBoolean()
+];
+
+// Every favorites route belongs to the signed-in user
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/users/favorites
+ * @desc    Get the current user's favorites
+ * @access  Private
+ */
+router.get('/',
+  paginate({ defaultLimit: 20, maxLimit: 100 }),
+  [
+    ...itemTypeQueryValidation,
+    query('tag').optional().isString().trim().toLowerCase().withMessage('Tag must be a string')
+  ],
+  validate,
+  favoriteController.getFavorites
+);
+
+/**
+ * @route   GET /api/users/favorites/ids
+ * @desc    Get the IDs of the current user's favorited items, grouped by item type
+ * @access  Private
+ */
+router.get('/ids', itemTypeQueryValidation, validate, favoriteController.getFavoriteIds);
+
+/**
+ * @route   GET /api/users/favorites/tags
+ * @desc    Get the tags the current user has used
+ * @access  Private
+ */
+router.get('/tags', favoriteController.getFavoriteTags);
+
+/**
+ * @route   POST /api/users/favorites
+ * @desc    Add an item to favorites
+ * @access  Private
+ */
+router.post('/',
+  [
+    body('itemType').isIn(ITEM_TYPES).withMessage(`Item type must be one of: ${ITEM_TYPES.join(', ')}`),
+    body('itemId').isMongoId().withMessage('Invalid item ID'),
+    ...favoriteFieldsValidation
+  ],
+  validate,
+  favoriteController.addFavorite
+);
+
+/**
+ * @route   DELETE /api/users/favorites/item/:itemType/:itemId
+ * @desc    Remove an item from favorites by the item's ID
+ * @access  Private
+ */
+router.delete('/item/:itemType/:itemId',
+  [
+    param('itemType').isIn(ITEM_TYPES).withMessage(`Item type must be one of: ${ITEM_TYPES.join(', ')}`),
+    param('itemId').isMongoId().withMessage('Invalid item ID')
+  ],
+  validate,
+  favoriteController.removeFavoriteItem
+);
+
+/**
+ * @route   PUT /api/users/favorites/:id
+ * @desc    Update a favorite's notes, tags and alerts
+ * @access  Private
+ */
+router.put('/:id',
+  [
+    ...favoriteIdValidation,
+    ...favoriteFieldsValidation
+  ],
+  validate,
+  favoriteController.updateFavorite
+);
+
+/**
+ * @route   DELETE /api/users/favorites/:id
+ * @desc    Remove a favorite
+ * @access  Private
+ */
+router.delete('/:id', favoriteIdValidation, validate, favoriteController.removeFavorite);
+
+module.exports = router;
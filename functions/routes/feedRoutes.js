@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const { query, param, body } = require('express-validator');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { adminMiddleware } = require('../middleware/roleMiddleware');
+const { paginate } = require('../middleware/paginationMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const FeedRun = require('../models/FeedRun');
+const feedController = require('../controllers/feedController');
+
+const NETWORK_NAME = /^[a-z0-9_-]+$/i;
+
+// Feed ingestion is managed by admins only
+router.use(authMiddleware, adminMiddleware);
+
+/**
+ * @route   GET /api/feeds/runs
+ * @desc    Get feed runs, newest first
+ * @access  Private (admin only)
+ */
+router.get('/runs',
+  paginate({ defaultLimit: 20, maxLimit: 100 }),
+  [
+    query('network').optional().matches(NETWORK_NAME).withMessage('Invalid network name'),
+    query('status').optional().isIn(FeedRun.STATUSES).withMessage(`Status must be one of: ${FeedRun.STATUSES.join(', ')}`)
+  ],
+  validate,
+  feedController.getRuns
+);
+
+/**
+ * @route   GET /api/feeds/runs/:id
+ * @desc    Get a feed run with its record errors
+ * @access  Private (admin only)
+ */
+router.get('/runs/:id',
+  [
+    param('id').isMongoId().withMessage('Invalid feed run ID')
+  ],
+  validate,
+  feedController.getRun
+);
+
+/**
+ * @route   POST /api/feeds/run
+ * @desc    Ingest the pending feed files now, for one network or all of them
+ * @access  Private (admin only)
+ */
+router.post('/run',
+  [
+    body('network').optional().matches(NETWORK_NAME).withMessage('Invalid network name')
+  ],
+  validate,
+  feedController.runFeeds
+);
+
+/**
+ * @route   GET /api/feeds/networks
+ * @desc    Get the networks with a feed directory, their field mappings and pending files
+ * @access  Private (admin only)
+ */
+router.get('/networks', feedController.getNetworks);
+
+module.exports = router;
@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { query, param, body } = require('express-validator');
+const { paginate } = require('../middleware/paginationMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const Notification = require('../models/Notification');
+const notificationController = require('../controllers/notificationController');
+const { isValidTimeZone } = require('../utils/notificationDispatcher');
+
+const TYPES = Notification.TYPES;
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const preferencesValidation = [
+  body(['emailNotifications', 'smsNotifications', 'pushNotifications', 'emailDigest'])
+    .optional().isBoolean().withMessage('Channel settings must be booleans').toBoolean(),
+  body('notificationFrequency').optional().isIn(['immediate', 'daily', 'weekly'])
+    .withMessage('Frequency must be one of: immediate, daily, weekly'),
+  body('mutedNotificationTypes').optional().isArray().withMessage('Muted notification types must be a list'),
+  body('mutedNotificationTypes.*').isIn(TYPES).withMessage(`Muted types must be among: ${TYPES.join(', ')}`),
+  body('quietHours').optional().isObject().withMessage('Quiet hours must be an object'),
+  body('quietHours.enabled').optional().isBoolean().withMessage('Quiet hours enabled must be a boolean').toBoolean(),
+  body(['quietHours.start', 'quietHours.end']).optional().matches(TIME_OF_DAY)
+    .withMessage('Quiet hours must be times in HH:MM format'),
+  body('timezone').optional().custom(isValidTimeZone).withMessage('Unknown time zone'),
+  body('categories').optional().isArray().withMessage('Categories must be a list'),
+  body('categories.*').isString().trim().notEmpty().withMessage('Each category must be a non-empty string')
+];
+
+const notificationIdValidation = [
+  param('id').isMongoId().withMessage('Invalid notification ID')
+];
+
+// Every notification route belongs to the signed-in user
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get the current user's notifications
+ * @access  Private
+ */
+router.get('/',
+  paginate({ defaultLimit: 20, maxLimit: 100 }),
+  [
+    query('status').optional().isIn(['all', 'read', 'unread']).withMessage('Status must be one of: all, read, unread'),
+    query('type').optional().isIn(TYPES).withMessage(`Type must be one of: ${TYPES.join(', ')}`)
+  ],
+  validate,
+  notificationController.getNotifications
+);
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Get the current user's unread notification count
+ * @access  Private
+ */
+router.get('/unread-count', notificationController.getUnreadCount);
+
+/**
+ * @route   GET /api/notifications/preferences
+ * @desc    Get the current user's notification preferences
+ * @access  Private
+ */
+router.get('/preferences', notificationController.getPreferences);
+
+/**
+ * @route   PUT /api/notifications/preferences
+ * @desc    Update the current user's notification preferences
+ * @access  Private
+ */
+router.put('/preferences', preferencesValidation, validate, notificationController.updatePreferences);
+
+/**
+ * @route   PUT /api/notifications/read-all
+ * @desc    Mark all notifications (optionally of one type) as read
+ * @access  Private
+ */
+router.put('/read-all',
+  [
+    body('type').optional().isIn(TYPES).withMessage(`Type must be one of: ${TYPES.join(', ')}`)
+  ],
+  validate,
+  notificationController.markAllAsRead
+);
+
+/**
+ * @route   DELETE /api/notifications/read
+ * @desc    Delete all read notifications
+ * @access  Private
+ */
+router.delete('/read', notificationController.deleteReadNotifications);
+
+/**
+ * @route   PUT /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.put('/:id/read', notificationIdValidation, validate, notificationController.markAsRead);
+
+/**
+ * @route   PUT /api/notifications/:id/unread
+ * @desc    Mark a notification as unread
+ * @access  Private
+ */
+router.put('/:id/unread', notificationIdValidation, validate, notificationController.markAsUnread);
+
+/**
+ * @route   DELETE /api/notifications/:id
+ * @desc    Delete a notification
+ * @access  Private
+ */
+router.delete('/:id', notificationIdValidation, validate, notificationController.deleteNotification);
+
+module.exports = router;
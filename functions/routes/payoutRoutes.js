@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { adminMiddleware, supportMiddleware } = require('../middleware/roleMiddleware');
+const { query, param, body } = require('express-validator');
+const { paginate } = require('../middleware/paginationMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const { PAYOUT_METHODS } = require('../utils/payoutUtils');
+const payoutController = require('../controllers/payoutController');
+
+const STATUSES = ['pending', 'confirmed', 'rejected', 'paid'];
+const BATCH_STATUSES = ['open', 'processing', 'completed', 'partially_failed'];
+
+const pageValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * @route   GET /api/cashback/dashboard
+ * @desc    Get balances, cashbacks and redemptions for the cashback dashboard
+ * @access  Private
+ */
+router.get('/dashboard', authMiddleware, payoutController.getDashboard);
+
+/**
+ * @route   POST /api/cashback/redeem
+ * @desc    Request a withdrawal to a saved payment method or to the given details
+ * @access  Private
+ */
+router.post('/redeem',
+  authMiddleware,
+  [
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+    body('paymentMethodId').optional().isMongoId().withMessage('Invalid payment method ID'),
+    body('method')
+      .if(body('paymentMethodId').not().exists())
+      .isIn(Object.keys(PAYOUT_METHODS)).withMessage(`Method must be one of: ${Object.keys(PAYOUT_METHODS).join(', ')}`),
+    body('details')
+      .if(body('paymentMethodId').not().exists())
+      .notEmpty().withMessage('Payment details are required')
+  ],
+  validate,
+  payoutController.requestWithdrawal
+);
+
+/**
+ * @route   GET /api/cashback/withdrawals
+ * @desc    List the authenticated user's withdrawals
+ * @access  Private
+ */
+router.get('/withdrawals',
+  authMiddleware,
+  paginate({ defaultLimit: 10, maxLimit: 100 }),
+  [
+    ...pageValidation,
+    query('status').optional().isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`)
+  ],
+  validate,
+  payoutController.getMyWithdrawals
+);
+
+/**
+ * @route   POST /api/cashback/withdrawals/:id/cancel
+ * @desc    Cancel a withdrawal that has not been approved yet
+ * @access  Private
+ */
+router.post('/withdrawals/:id/cancel',
+  authMiddleware,
+  [
+    param('id').isMongoId().withMessage('Invalid withdrawal ID')
+  ],
+  validate,
+  payoutController.cancelWithdrawal
+);
+
+/**
+ * @route   GET /api/cashback/admin/withdrawals
+ * @desc    List withdrawals awaiting review (pending by default)
+ * @access  Private (Support, Moderator, Admin)
+ */
+router.get('/admin/withdrawals',
+  authMiddleware,
+  supportMiddleware,
+  paginate({ defaultLimit: 20, maxLimit: 100 }),
+  [
+    ...pageValidation,
+    query('status').optional().isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+    query('user').optional().isMongoId().withMessage('Invalid user ID'),
+    query('unbatched').optional().isBoolean().withMessage('Unbatched must be a boolean')
+  ],
+  validate,
+  payoutController.getWithdrawalQueue
+);
+
+/**
+ * @route   PATCH /api/cashback/admin/withdrawals/:id/approve
+ * @desc    Approve a pending withdrawal for payout
+ * @access  Private (Support, Moderator, Admin)
+ */
+router.patch('/admin/withdrawals/:id/approve',
+  authMiddleware,
+  supportMiddleware,
+  [
+    param('id').isMongoId().withMessage('Invalid withdrawal ID'),
+    body('note').optional().isString().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+  ],
+  validate,
+  payoutController.approveWithdrawal
+);
+
+/**
+ * @route   PATCH /api/cashback/admin/withdrawals/:id/reject
+ * @desc    Reject a withdrawal and release the held funds
+ * @access  Private (Support, Moderator, Admin)
+ */
+router.patch('/admin/withdrawals/:id/reject',
+  authMiddleware,
+  supportMiddleware,
+  [
+    param('id').isMongoId().withMessage('Invalid withdrawal ID'),
+    body('reason').isString().trim().notEmpty().isLength({ max: 500 })
+      .withMessage('A rejection reason of at most 500 characters is required')
+  ],
+  validate,
+  payoutController.rejectWithdrawal
+);
+
+/**
+ * @route   GET /api/cashback/admin/payout-batches
+ * @desc    List payout batches
+ * @access  Private (Admin)
+ */
+router.get('/admin/payout-batches',
+  authMiddleware,
+  adminMiddleware,
+  paginate({ defaultLimit: 20, maxLimit: 100 }),
+  [
+    ...pageValidation,
+    query('status').optional().isIn(BATCH_STATUSES).withMessage(`Status must be one of: ${BATCH_STATUSES.join(', ')}`)
+  ],
+  validate,
+  payoutController.getPayoutBatches
+);
+
+/**
+ * @route   POST /api/cashback/admin/payout-batches
+ * @desc    Batch all approved withdrawals for payout
+ * @access  Private (Admin)
+ */
+router.post('/admin/payout-batches',
+  authMiddleware,
+  adminMiddleware,
+  [
+    body('provider').optional().isString().withMessage('Provider must be a string')
+  ],
+  validate,
+  payoutController.createPayoutBatch
+);
+
+/**
+ * @route   GET /api/cashback/admin/payout-batches/:id/export
+ * @desc    Export a payout batch as CSV or JSON
+ * @access  Private (Admin)
+ */
+router.get('/admin/payout-batches/:id/export',
+  authMiddleware,
+  adminMiddleware,
+  [
+    param('id').isMongoId().withMessage('Invalid payout batch ID'),
+    query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json')
+  ],
+  validate,
+  payoutController.exportPayoutBatch
+);
+
+/**
+ * @route   POST /api/cashback/admin/payout-batches/:id/send
+ * @desc    Send a payout batch through its payout provider (retries failed payouts)
+ * @access  Private (Admin)
+ */
+router.post('/admin/payout-batches/:id/send',
+  authMiddleware,
+  adminMiddleware,
+  [
+    param('id').isMongoId().withMessage('Invalid payout batch ID')
+  ],
+  validate,
+  payoutController.sendPayoutBatch
+);
+
+module.exports = router;
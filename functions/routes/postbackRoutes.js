@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const { param } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
+const { requireSignature } = require('../middleware/apiKeyMiddleware');
+const { getPostbackSecret } = require('../utils/postbackUtils');
+const postbackController = require('../controllers/postbackController');
+
+/**
+ * @route   POST /api/postbacks/:network
+ * @desc    Receive a conversion postback from an affiliate network.
+ *          Signed with X-Signature / X-Timestamp using the network's postback secret
+ *          (functions config affiliates.<network>.postback_secret).
+ * @access  Public (signed)
+ */
+router.post('/:network',
+  [
+    param('network').matches(/^[a-z0-9_-]+$/i).withMessage('Invalid network name')
+  ],
+  validate,
+  requireSignature({ getSecret: req => getPostbackSecret(req.params.network) }),
+  postbackController.receivePostback
+);
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { adminMiddleware } = require('../middleware/roleMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const rateLimitController = require('../controllers/rateLimitController');
+
+// Rate limits are managed by admins only
+router.use(authMiddleware, adminMiddleware);
+
+const blockFilterValidation = [
+  query('ip').optional().isIP().withMessage('Invalid IP address'),
+  query('email').optional().isEmail().withMessage('Invalid email address')
+];
+
+/**
+ * @route   GET /api/rate-limits
+ * @desc    Get rate limiters, with a client's current counts if a key is given
+ * @access  Private (admin only)
+ */
+router.get('/',
+  [
+    query('key').optional().isString().trim().isLength({ min: 1, max: 200 }).withMessage('Key must be 1-200 characters')
+  ],
+  validate,
+  rateLimitController.getLimits
+);
+
+/**
+ * @route   DELETE /api/rate-limits/counters
+ * @desc    Clear a client's counts, in one rate limiter or all of them
+ * @access  Private (admin only)
+ */
+router.delete('/counters',
+  [
+    query('key').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Key is required, e.g. an IP address or user ID'),
+    query('limiter').optional().isString().trim().notEmpty().withMessage('Invalid rate limiter')
+  ],
+  validate,
+  rateLimitController.clearCounters
+);
+
+/**
+ * @route   GET /api/rate-limits/blocks
+ * @desc    Get active login blocks
+ * @access  Private (admin only)
+ */
+router.get('/blocks',
+  blockFilterValidation,
+  validate,
+  rateLimitController.getBlocks
+);
+
+/**
+ * @route   DELETE /api/rate-limits/blocks
+ * @desc    Clear login blocks and unlock the accounts they locked
+ * @access  Private (admin only)
+ */
+router.delete('/blocks',
+  blockFilterValidation,
+  validate,
+  rateLimitController.clearBlocks
+);
+
+module.exports = router;
@@ -0,0 +1,189 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { moderatorMiddleware } = require('../middleware/roleMiddleware');
+const { query, param, body } = require('express-validator');
+const { paginate } = require('../middleware/paginationMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const { createRateLimiter } = require('../middleware/rateLimitMiddleware');
+const Review = require('../models/Review');
+const ReviewVote = require('../models/ReviewVote');
+const reviewController = require('../controllers/reviewController');
+
+const ITEM_TYPES = Object.keys(Review.ITEM_MODELS);
+const SORTS = ['newest', 'helpful', 'highest', 'lowest'];
+
+// Posting and voting are cheap to automate, so keep them to a human pace
+const reviewLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  prefix: 'reviews',
+  keyGenerator: (req) => req.user.userId,
+  message: {
+    success: false,
+    message: 'Too many review actions, please try again later',
+    code: 'REVIEW_RATE_LIMIT_EXCEEDED'
+  }
+});
+
+const itemValidation = (location) => [
+  location('itemType').isIn(ITEM_TYPES).withMessage(`Item type must be one of: ${ITEM_TYPES.join(', ')}`),
+  location('itemId').isMongoId().withMessage('Invalid item ID')
+];
+
+const reviewIdValidation = [
+  param('id').isMongoId().withMessage('Invalid review ID')
+];
+
+/**
+ * Validation for the fields a reviewer writes. `required` makes the rating mandatory.
+ * @param {boolean} required - Whether the rating is required
+ * @returns {Array} Validation chain
+ */
+const reviewValidation = (required) => [
+  (required ? body('rating') : body('rating').optional())
+    .isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number from 1 to 5').toInt(),
+  body('title').optional().isString().trim().isLength({ max: 120 }).withMessage('Title cannot exceed 120 characters'),
+  body('content').optional().isString().trim().isLength({ max: 5000 }).withMessage('Review cannot exceed 5000 characters'),
+  body(['pros', 'cons']).optional().isArray({ max: 10 }).withMessage('Pros and cons must be lists of at most 10 points'),
+  body(['pros.*', 'cons.*']).isString().trim().isLength({ min: 1, max: 200 }).withMessage('Each point must be between 1 and 200 characters'),
+  body('images').optional().isArray({ max: 5 }).withMessage('A review can have at most 5 images'),
+  body('images.*').isURL().withMessage('Images must be valid URLs')
+];
+
+/**
+ * @route   GET /api/reviews
+ * @desc    Get the approved reviews of a store, coupon or cashback offer
+ * @access  Public
+ */
+router.get('/',
+  paginate({ defaultLimit: 10, maxLimit: 50 }),
+  [
+    ...itemValidation(query),
+    query('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number from 1 to 5'),
+    query('verified').optional().isBoolean().withMessage('Verified must be a boolean'),
+    query('sort').optional().isIn(SORTS).withMessage(`Sort must be one of: ${SORTS.join(', ')}`)
+  ],
+  validate,
+  reviewController.getReviews
+);
+
+/**
+ * @route   GET /api/reviews/summary
+ * @desc    Get an item's average rating and star distribution
+ * @access  Public
+ */
+router.get('/summary', itemValidation(query), validate, reviewController.getReviewSummary);
+
+/**
+ * @route   GET /api/reviews/mine
+ * @desc    Get the current user's reviews
+ * @access  Private
+ */
+router.get('/mine',
+  authMiddleware,
+  paginate({ defaultLimit: 10, maxLimit: 50 }),
+  [
+    query('status').optional().isIn(Review.STATUSES).withMessage(`Status must be one of: ${Review.STATUSES.join(', ')}`)
+  ],
+  validate,
+  reviewController.getMyReviews
+);
+
+/**
+ * @route   GET /api/reviews/admin/queue
+ * @desc    Get reviews awaiting moderation
+ * @access  Private (Moderator and above)
+ */
+router.get('/admin/queue',
+  authMiddleware,
+  moderatorMiddleware,
+  paginate({ defaultLimit: 20, maxLimit: 100 }),
+  [
+    query('status').optional().isIn(Review.STATUSES).withMessage(`Status must be one of: ${Review.STATUSES.join(', ')}`),
+    query('itemType').optional().isIn(ITEM_TYPES).withMessage(`Item type must be one of: ${ITEM_TYPES.join(', ')}`)
+  ],
+  validate,
+  reviewController.getModerationQueue
+);
+
+/**
+ * @route   PUT /api/reviews/admin/:id/moderate
+ * @desc    Approve or reject a review
+ * @access  Private (Moderator and above)
+ */
+router.put('/admin/:id/moderate',
+  authMiddleware,
+  moderatorMiddleware,
+  [
+    ...reviewIdValidation,
+    body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected'),
+    body('moderationNotes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Moderation notes cannot exceed 1000 characters')
+  ],
+  validate,
+  reviewController.moderateReview
+);
+
+/**
+ * @route   POST /api/reviews
+ * @desc    Review a store, coupon or cashback offer
+ * @access  Private
+ */
+router.post('/',
+  authMiddleware,
+  reviewLimiter,
+  [
+    ...itemValidation(body),
+    ...reviewValidation(true)
+  ],
+  validate,
+  reviewController.createReview
+);
+
+/**
+ * @route   PUT /api/reviews/:id
+ * @desc    Edit one of the current user's reviews
+ * @access  Private (Review author)
+ */
+router.put('/:id',
+  authMiddleware,
+  reviewLimiter,
+  [
+    ...reviewIdValidation,
+    ...reviewValidation(false)
+  ],
+  validate,
+  reviewController.updateReview
+);
+
+/**
+ * @route   DELETE /api/reviews/:id
+ * @desc    Delete a review
+ * @access  Private (Review author, or moderator and above)
+ */
+router.delete('/:id', authMiddleware, reviewIdValidation, validate, reviewController.deleteReview);
+
+/**
+ * @route   POST /api/reviews/:id/vote
+ * @desc    Vote a review helpful or unhelpful
+ * @access  Private
+ */
+router.post('/:id/vote',
+  authMiddleware,
+  reviewLimiter,
+  [
+    ...reviewIdValidation,
+    body('vote').isIn(ReviewVote.VOTES).withMessage(`Vote must be one of: ${ReviewVote.VOTES.join(', ')}`)
+  ],
+  validate,
+  reviewController.voteReview
+);
+
+/**
+ * @route   DELETE /api/reviews/:id/vote
+ * @desc    Withdraw the current user's vote on a review
+ * @access  Private
+ */
+router.delete('/:id/vote', authMiddleware, reviewIdValidation, validate, reviewController.removeReviewVote);
+
+module.exports = router;
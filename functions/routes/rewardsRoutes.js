@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { adminMiddleware } = require('../middleware/roleMiddleware');
+const { query, body } = require('express-validator');
+const { paginate } = require('../middleware/paginationMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const rewardsController = require('../controllers/rewardsController');
+
+/**
+ * @route   GET /api/rewards
+ * @desc    Get rewards balances, loyalty points and tier
+ * @access  Private
+ */
+router.get('/', authMiddleware, rewardsController.getRewards);
+
+/**
+ * @route   GET /api/rewards/activity
+ * @desc    Get the loyalty point history
+ * @access  Private
+ */
+router.get('/activity',
+  authMiddleware,
+  paginate({ defaultLimit: 20, maxLimit: 100 }),
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  validate,
+  rewardsController.getPointsActivity
+);
+
+/**
+ * @route   GET /api/rewards/tiers
+ * @desc    Get the loyalty tiers and point earning rules
+ * @access  Public
+ */
+router.get('/tiers', rewardsController.getTiers);
+
+/**
+ * @route   GET /api/rewards/admin/settings
+ * @desc    Get the loyalty program settings
+ * @access  Private (Admin only)
+ */
+router.get('/admin/settings', authMiddleware, adminMiddleware, rewardsController.getSettings);
+
+/**
+ * @route   PUT /api/rewards/admin/settings
+ * @desc    Update tiers and point earning rules
+ * @access  Private (Admin only)
+ */
+router.put('/admin/settings',
+  authMiddleware,
+  adminMiddleware,
+  [
+    body('tiers').optional().isArray({ min: 1, max: 10 }).withMessage('Provide between 1 and 10 tiers'),
+    body('tiers.*.name').isString().trim().notEmpty().isLength({ max: 50 })
+      .withMessage('Each tier needs a name of at most 50 characters'),
+    body('tiers.*.minPoints').isInt({ min: 0 }).withMessage('Tier minimum points must be a non-negative integer').toInt(),
+    body('tiers.*.cashbackBonus').optional().isFloat({ min: 0, max: 100 })
+      .withMessage('Tier cashback bonus must be between 0 and 100').toFloat(),
+    body('tiers.*.perks').optional().isArray().withMessage('Tier perks must be a list'),
+    body('pointsPerDollar').optional().isFloat({ min: 0 }).withMessage('Points per dollar must be non-negative').toFloat(),
+    body('referralPoints').optional().isInt({ min: 0 }).withMessage('Referral points must be a non-negative integer').toInt(),
+    body('reviewPoints').optional().isInt({ min: 0 }).withMessage('Review points must be a non-negative integer').toInt(),
+    body('qualificationWindowDays').optional().isInt({ min: 0 })
+      .withMessage('Qualification window must be a non-negative number of days').toInt()
+  ],
+  validate,
+  rewardsController.updateSettings
+);
+
+/**
+ * @route   POST /api/rewards/admin/recalculate
+ * @desc    Sync points and recalculate tiers now (pass { full: true } to re-sync all history)
+ * @access  Private (Admin only)
+ */
+router.post('/admin/recalculate',
+  authMiddleware,
+  adminMiddleware,
+  [
+    body('full').optional().isBoolean().withMessage('Full must be a boolean').toBoolean()
+  ],
+  validate,
+  rewardsController.recalculate
+);
+
+module.exports = router;
@@ -1,33 +1,46 @@
 const express = require('express');
 const router = express.Router();
 const searchController = require('../controllers/searchController');
-const { query, validationResult } = require('express-validator');
-const rateLimitMiddleware = require('../middleware/rateLimitMiddleware');
+const { query } = require('express-validator');
+const { createRateLimiter } = require('../middleware/rateLimitMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const { SEARCH_TYPES, EXPIRY_WINDOWS } = require('../utils/searchUtils');
+const Coupon = require('../models/Coupon');
+
+const searchLimiter = createRateLimiter({
+  windowMs: 60 * 1000, // 1 minute
+  max: 20, // 20 searches per minute
+  prefix: 'search',
+  message: 'Too many search requests, please try again after a minute'
+});
+
+const suggestionLimiter = createRateLimiter({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30, // 30 suggestion requests per minute
+  prefix: 'search-suggestions',
+  message: 'Too many suggestion requests, please try again after a minute'
+});
 
 /**
  * @route   GET /api/search
- * @desc    Search across all resources
+ * @desc    Search coupons, cashback offers, stores and blog posts, ranked by relevance,
+ *          with facet counts; category, store, discountType and expiry narrow the results
  * @access  Public
  */
 router.get('/',
-  rateLimitMiddleware({
-    windowMs: 60 * 1000, // 1 minute
-    max: 20, // 20 searches per minute
-    message: 'Too many search requests, please try again after a minute'
-  }),
+  searchLimiter,
   [
-    query('q').notEmpty().withMessage('Search query is required'),
-    query('type').optional().isIn(['coupons', 'cashbacks', 'blogs']).withMessage('Invalid resource type'),
+    query('q').trim().notEmpty().withMessage('Search query is required')
+      .isLength({ max: 100 }).withMessage('Search query must be at most 100 characters'),
+    query('type').optional().isIn(Object.keys(SEARCH_TYPES)).withMessage('Invalid resource type'),
     query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
-    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('category').optional().isString().trim(),
+    query('store').optional().isMongoId().withMessage('Invalid store ID'),
+    query('discountType').optional().isIn(Coupon.schema.path('discountType').enumValues).withMessage('Invalid discount type'),
+    query('expiry').optional().isIn(EXPIRY_WINDOWS).withMessage(`Expiry must be one of: ${EXPIRY_WINDOWS.join(', ')}`)
   ],
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ success: false, errors: errors.array() });
-    }
-    next();
-  },
+  validate,
   searchController.globalSearch
 );
 
@@ -37,22 +50,12 @@ router.get('/',
  * @access  Public
  */
 router.get('/suggestions',
-  rateLimitMiddleware({
-    windowMs: 60 * 1000, // 1 minute
-    max: 30, // 30 suggestion requests per minute
-    message: 'Too many suggestion requests, please try again after a minute'
-  }),
+  suggestionLimiter,
   [
     query('q').optional().isString().withMessage('Search query must be a string')
   ],
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ success: false, errors: errors.array() });
-    }
-    next();
-  },
+  validate,
   searchController.getSearchSuggestions
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,237 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { adminMiddleware } = require('../middleware/roleMiddleware');
+const { query, param, body } = require('express-validator');
+const { paginate } = require('../middleware/paginationMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const storeController = require('../controllers/storeController');
+
+const SORTS = ['name', 'cashback', 'rating', 'popular', 'newest'];
+
+const listValidation = [
+  query('category').optional().isString().trim().withMessage('Category must be a string'),
+  query('featured').optional().isBoolean().withMessage('Featured must be a boolean'),
+  query('minCashback').optional().isFloat({ min: 0, max: 100 }).withMessage('Minimum cashback must be between 0 and 100'),
+  query('search').optional().isString().trim().isLength({ max: 100 }).withMessage('Search must be at most 100 characters'),
+  query('sort').optional().isIn(SORTS).withMessage(`Sort must be one of: ${SORTS.join(', ')}`)
+];
+
+const limitValidation = [
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+];
+
+const storeIdValidation = [
+  param('id').isMongoId().withMessage('Invalid store ID')
+];
+
+/**
+ * Validation for store fields. `required` makes the fields a new store needs mandatory.
+ * @param {boolean} required - Whether name and logo are required
+ * @returns {Array} Validation chain
+ */
+const storeValidation = (required) => {
+  const field = (chain) => (required ? chain : chain.optional());
+  return [
+    field(body('name')).isString().trim()
+      .isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    field(body('logo')).isURL().withMessage('Logo must be a valid URL'),
+    body('slug').optional().isString().trim().toLowerCase()
+      .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).withMessage('Slug may only contain lowercase letters, numbers and single hyphens'),
+    body('description').optional().isString().withMessage('Description must be a string'),
+    body('website').optional({ values: 'falsy' }).isURL().withMessage('Website must be a valid URL'),
+    body('categories').optional().isArray().withMessage('Categories must be a list'),
+    body('categories.*').isString().trim().notEmpty().withMessage('Each category must be a non-empty string'),
+    body('affiliateLink').optional({ values: 'falsy' }).isURL().withMessage('Affiliate link must be a valid URL'),
+    body('affiliateSubIdParam').optional().isString().trim()
+      .matches(/^[A-Za-z0-9_-]+$/).withMessage('Sub-ID parameter may only contain letters, numbers, underscores and hyphens'),
+    body('affiliateMerchants').optional().isArray().withMessage('Affiliate merchants must be a list'),
+    body('affiliateMerchants.*.network').isString().trim().notEmpty().withMessage('Affiliate network is required'),
+    body('affiliateMerchants.*.merchantId').isString().trim().notEmpty().withMessage('Affiliate merchant ID is required'),
+    body('cashbackPercentage').optional().isFloat({ min: 0, max: 100 }).withMessage('Cashback percentage must be between 0 and 100'),
+    body('returnWindowDays').optional().isInt({ min: 0 }).withMessage('Return window must be a non-negative number of days'),
+    body('confirmationHoldDays').optional().isInt({ min: 0 }).withMessage('Confirmation hold must be a non-negative number of days'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    body('isFeatured').optional().isBoolean().withMessage('isFeatured must be a boolean'),
+    body('socialMedia').optional().isObject().withMessage('Social media must be an object'),
+    body(['socialMedia.facebook', 'socialMedia.twitter', 'socialMedia.instagram', 'socialMedia.pinterest'])
+      .optional({ values: 'falsy' }).isURL().withMessage('Social media links must be valid URLs'),
+    body('contactInfo').optional().isObject().withMessage('Contact info must be an object'),
+    body('contactInfo.email').optional({ values: 'falsy' }).isEmail().withMessage('Contact email must be a valid email'),
+    body('contactInfo.phone').optional().isString().withMessage('Contact phone must be a string'),
+    body('contactInfo.address').optional().isString().withMessage('Contact address must be a string'),
+    body('termsAndConditions').optional().isString().withMessage('Terms and conditions must be a string')
+  ];
+};
+
+/**
+ * @route   GET /api/stores
+ * @desc    Get active stores
+ * @access  Public
+ */
+router.get('/',
+  paginate({ defaultLimit: 24, maxLimit: 100 }),
+  listValidation,
+  validate,
+  storeController.getStores
+);
+
+/**
+ * @route   GET /api/stores/search
+ * @desc    Search active stores by name or category
+ * @access  Public
+ */
+router.get('/search',
+  paginate({ defaultLimit: 24, maxLimit: 100 }),
+  [
+    query('query').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Query must be between 1 and 100 characters')
+  ],
+  validate,
+  storeController.searchStores
+);
+
+/**
+ * @route   GET /api/stores/featured
+ * @desc    Get featured stores
+ * @access  Public
+ */
+router.get('/featured', limitValidation, validate, storeController.getFeaturedStores);
+
+/**
+ * @route   GET /api/stores/popular
+ * @desc    Get the most clicked-through stores of the last 30 days
+ * @access  Public
+ */
+router.get('/popular', limitValidation, validate, storeController.getPopularStores);
+
+/**
+ * @route   GET /api/stores/newest
+ * @desc    Get the most recently added stores
+ * @access  Public
+ */
+router.get('/newest', limitValidation, validate, storeController.getNewestStores);
+
+/**
+ * @route   GET /api/stores/categories
+ * @desc    Get store categories with the number of active stores in each
+ * @access  Public
+ */
+router.get('/categories', storeController.getCategories);
+
+/**
+ * @route   GET /api/stores/category/:category
+ * @desc    Get active stores in a category
+ * @access  Public
+ */
+router.get('/category/:category',
+  paginate({ defaultLimit: 24, maxLimit: 100 }),
+  [
+    param('category').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Invalid category'),
+    ...listValidation
+  ],
+  validate,
+  storeController.getStoresByCategory
+);
+
+/**
+ * @route   GET /api/stores/slug/:slug
+ * @desc    Get a store page by slug, with its live coupons and cashback offers
+ * @access  Public
+ */
+router.get('/slug/:slug',
+  [
+    param('slug').isString().trim().isLength({ min: 1, max: 120 }).withMessage('Invalid store slug')
+  ],
+  validate,
+  storeController.getStoreBySlug
+);
+
+/**
+ * @route   GET /api/stores/admin/all
+ * @desc    Get all stores, including inactive ones and affiliate settings
+ * @access  Private (Admin only)
+ */
+router.get('/admin/all',
+  authMiddleware,
+  adminMiddleware,
+  paginate({ defaultLimit: 20, maxLimit: 100 }),
+  [
+    ...listValidation,
+    query('active').optional().isBoolean().withMessage('Active must be a boolean')
+  ],
+  validate,
+  storeController.getAllStores
+);
+
+/**
+ * @route   POST /api/stores
+ * @desc    Create a store
+ * @access  Private (Admin only)
+ */
+router.post('/',
+  authMiddleware,
+  adminMiddleware,
+  storeValidation(true),
+  validate,
+  storeController.createStore
+);
+
+/**
+ * @route   GET /api/stores/:id
+ * @desc    Get a store page by ID, with its live coupons and cashback offers
+ * @access  Public
+ */
+router.get('/:id', storeIdValidation, validate, storeController.getStoreById);
+
+/**
+ * @route   GET /api/stores/:id/coupons
+ * @desc    Get a store's live coupons
+ * @access  Public
+ */
+router.get('/:id/coupons',
+  paginate({ defaultLimit: 20, maxLimit: 100 }),
+  [
+    ...storeIdValidation,
+    query('category').optional().isString().trim().withMessage('Category must be a string')
+  ],
+  validate,
+  storeController.getStoreCoupons
+);
+
+/**
+ * @route   GET /api/stores/:id/cashback
+ * @desc    Get a store's live cashback offers and base cashback rate
+ * @access  Public
+ */
+router.get('/:id/cashback', storeIdValidation, validate, storeController.getStoreCashback);
+
+/**
+ * @route   PUT /api/stores/:id
+ * @desc    Update a store
+ * @access  Private (Admin only)
+ */
+router.put('/:id',
+  authMiddleware,
+  adminMiddleware,
+  [
+    ...storeIdValidation,
+    ...storeValidation(false)
+  ],
+  validate,
+  storeController.updateStore
+);
+
+/**
+ * @route   DELETE /api/stores/:id
+ * @desc    Delete a store that nothing references (deactivate stores with history instead)
+ * @access  Private (Admin only)
+ */
+router.delete('/:id',
+  authMiddleware,
+  adminMiddleware,
+  storeIdValidation,
+  validate,
+  storeController.deleteStore
+);
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { supportMiddleware } = require('../middleware/roleMiddleware');
+const { query, param, body } = require('express-validator');
+const { paginate } = require('../middleware/paginationMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const transactionController = require('../controllers/transactionController');
+const { SUPPORTED_CURRENCIES } = require('../utils/currencyUtils');
+
+const STATUSES = ['pending', 'confirmed', 'rejected', 'paid'];
+const TYPES = ['cashback', 'referral', 'bonus', 'withdrawal'];
+
+// Shared validation for the listing endpoints
+const listValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().custom(value => value.split(',').every(s => STATUSES.includes(s)))
+    .withMessage(`Status must be a comma-separated list of: ${STATUSES.join(', ')}`),
+  query('type').optional().custom(value => value.split(',').every(t => TYPES.includes(t)))
+    .withMessage(`Type must be a comma-separated list of: ${TYPES.join(', ')}`),
+  query('store').optional().isMongoId().withMessage('Invalid store ID'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  query('minAmount').optional().isFloat({ min: 0 }).withMessage('Minimum amount must be a positive number'),
+  query('maxAmount').optional().isFloat({ min: 0 }).withMessage('Maximum amount must be a positive number'),
+  query('sort').optional().isString().withMessage('Sort must be a string'),
+  query('direction').optional().isIn(['asc', 'desc']).withMessage('Direction must be asc or desc'),
+  query('currency').optional().isIn(SUPPORTED_CURRENCIES).withMessage('Unsupported display currency')
+];
+
+/**
+ * @route   GET /api/transactions
+ * @desc    List and filter the authenticated user's transactions
+ * @access  Private
+ */
+router.get('/',
+  authMiddleware,
+  paginate({ defaultLimit: 10, maxLimit: 100 }),
+  listValidation,
+  validate,
+  transactionController.getMyTransactions
+);
+
+/**
+ * @route   GET /api/transactions/summary
+ * @desc    Get the authenticated user's transaction totals by status and type
+ * @access  Private
+ */
+router.get('/summary',
+  authMiddleware,
+  [
+    query('currency').optional().isIn(SUPPORTED_CURRENCIES).withMessage('Unsupported display currency')
+  ],
+  validate,
+  transactionController.getMyTransactionSummary
+);
+
+/**
+ * @route   GET /api/transactions/admin
+ * @desc    List all transactions for back-office review
+ * @access  Private (Support, Moderator, Admin)
+ */
+router.get('/admin',
+  authMiddleware,
+  supportMiddleware,
+  paginate({ defaultLimit: 20, maxLimit: 100 }),
+  [
+    ...listValidation,
+    query('user').optional().isMongoId().withMessage('Invalid user ID'),
+    query('orderReference').optional().isString().withMessage('Order reference must be a string')
+  ],
+  validate,
+  transactionController.getAllTransactions
+);
+
+/**
+ * @route   GET /api/transactions/:id
+ * @desc    Get a single transaction with its status history
+ * @access  Private (Owner, Support, Moderator, Admin)
+ */
+router.get('/:id',
+  authMiddleware,
+  [
+    param('id').isMongoId().withMessage('Invalid transaction ID'),
+    query('currency').optional().isIn(SUPPORTED_CURRENCIES).withMessage('Unsupported display currency')
+  ],
+  validate,
+  transactionController.getTransactionById
+);
+
+/**
+ * @route   PATCH /api/transactions/:id/status
+ * @desc    Move a transaction to a new status with a note
+ * @access  Private (Support, Moderator, Admin)
+ */
+router.patch('/:id/status',
+  authMiddleware,
+  supportMiddleware,
+  [
+    param('id').isMongoId().withMessage('Invalid transaction ID'),
+    body('status').isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+    body('note').optional().isString().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+    body('rejectionReason').optional().isString().isLength({ max: 500 }).withMessage('Rejection reason cannot exceed 500 characters'),
+    body('paymentMethod').optional()
+      .isIn(['paypal', 'bank_transfer', 'store_credit', 'gift_card', 'crypto', 'venmo']).withMessage('Invalid payment method'),
+    body('paymentReference').optional().isString().isLength({ max: 100 }).withMessage('Payment reference cannot exceed 100 characters')
+  ],
+  validate,
+  transactionController.updateTransactionStatus
+);
+
+module.exports = router;
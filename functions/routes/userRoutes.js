@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const Favorite = require('../models/Favorite');
 const { authMiddleware } = require('../middleware/authMiddleware');
 const multer = require('multer');
 const path = require('path');
@@ -8,6 +9,9 @@ const bcrypt = require('bcrypt');
 const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const fs = require('fs');
+const { validate } = require('../middleware/validationMiddleware');
+const referralController = require('../controllers/referralController');
+const favoriteRoutes = require('./favoriteRoutes');
 
 // Ensure uploads directory exists
 const uploadsDir = path.join(__dirname, '..', 'uploads');
@@ -92,31 +96,8 @@ router.get('/activity', authMiddleware, async (req, res) => {
   }
 });
 
-/**
- * @route   GET /api/users/favorites
- * @desc    Get user favorite stores and coupons
- * @access  Private
- */
-router.get('/favorites', authMiddleware, async (req, res) => {
-  try {
-    const userId = req.user.userId;
-
-    // This is a placeholder for actual favorites tracking
-    // In a real implementation, you would query favorites collections
-
-    // Example response structure
-    const favorites = {
-      stores: [],
-      coupons: [],
-      cashbacks: []
-    };
-
-    res.json({ favorites });
-  } catch (error) {
-    console.error('Get user favorites error:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
-  }
-});
+// Favorites management (see favoriteRoutes.js)
+router.use('/favorites', favoriteRoutes);
 
 /**
  * @route   PUT /api/users/profile
@@ -387,6 +368,7 @@ router.delete('/account',
 
       // Delete user
       await User.findByIdAndDelete(userId);
+      await Favorite.deleteMany({ user: userId });
 
       // Send account deletion confirmation email (placeholder)
       console.log(`Account deletion confirmation sent to ${user.email}`);
@@ -436,4 +418,26 @@ router.get('/security-log', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/users/referrals
+ * @desc    Get the user's referral code, link, referrals and referral earnings
+ * @access  Private
+ */
+router.get('/referrals', authMiddleware, referralController.getReferrals);
+
+/**
+ * @route   POST /api/users/send-referrals
+ * @desc    Email referral invitations
+ * @access  Private
+ */
+router.post('/send-referrals',
+  authMiddleware,
+  [
+    body('emails').isArray({ min: 1, max: 50 }).withMessage('Provide between 1 and 50 email addresses'),
+    body('emails.*').isEmail().withMessage('Each invitation needs a valid email address')
+  ],
+  validate,
+  referralController.sendReferrals
+);
+
 module.exports = router;
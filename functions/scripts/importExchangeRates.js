@@ -0,0 +1,58 @@
+/**
+ * Exchange Rate Import Script
+ *
+ * Loads exchange rates from a CSV or JSON file into the rate history.
+ *
+ * Usage:
+ *   node scripts/importExchangeRates.js <file.csv|file.json> [--effective-at <ISO date>]
+ *
+ *   --effective-at <date>  When rows without their own date take effect (default: now)
+ *
+ * JSON files are { "base": "USD", "effectiveAt": "...", "rates": { "EUR": 0.92 } } or a list of
+ * { currency, rate, effectiveAt }. CSV files have a header row with currency,rate[,effectiveAt].
+ * Importing the same file twice replaces the rates rather than duplicating them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { connectDatabase } = require('../config/database');
+const { parseRatesFile, importRates } = require('../utils/currencyUtils');
+
+const args = process.argv.slice(2);
+const file = args.find(arg => !arg.startsWith('--'));
+const effectiveIndex = args.indexOf('--effective-at');
+const effectiveAt = effectiveIndex !== -1 ? args[effectiveIndex + 1] : undefined;
+
+/**
+ * Run the import and print a report
+ */
+async function run() {
+  if (!file) {
+    console.error('Usage: node scripts/importExchangeRates.js <file.csv|file.json> [--effective-at <ISO date>]');
+    return 1;
+  }
+
+  const parsed = parseRatesFile(fs.readFileSync(file, 'utf8'), path.extname(file).slice(1).toLowerCase());
+
+  await connectDatabase(process.env.MONGO_URI || 'mongodb://localhost:27017/cashheros?replicaSet=rs0');
+
+  const result = await importRates(parsed.entries, {
+    base: parsed.base,
+    effectiveAt: effectiveAt || parsed.effectiveAt,
+    source: 'file'
+  });
+
+  console.log(`✅ Imported ${result.imported} rate(s) for ${result.currencies.join(', ')}`);
+  return 0;
+}
+
+run()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error('Exchange rate import failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
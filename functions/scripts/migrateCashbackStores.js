@@ -0,0 +1,127 @@
+/**
+ * Cashback Store Migration Script
+ *
+ * Cashback offers used to embed their store as { name, logo, website }. They now reference a
+ * Store document. This script links each embedded offer to the store with the same name
+ * (ignoring case) and gives stores created before slugs existed a slug.
+ *
+ * Usage:
+ *   node scripts/migrateCashbackStores.js [--apply] [--create-missing]
+ *
+ *   --apply           Write the changes (without it the script only reports what it would do)
+ *   --create-missing  Create a store for embedded names that match none, from the embedded name, logo and website
+ *
+ * Exits with code 1 when offers are left that could not be linked to a store.
+ */
+
+const mongoose = require('mongoose');
+const { connectDatabase } = require('../config/database');
+const Store = require('../models/Store');
+const Cashback = require('../models/Cashback');
+
+const args = process.argv.slice(2);
+const apply = args.includes('--apply');
+const createMissing = args.includes('--create-missing');
+
+/**
+ * Give every store without a slug one made from its name, numbering duplicates
+ * @returns {Promise<number>} Stores given a slug
+ */
+async function backfillSlugs() {
+  const stores = await Store.find({ $or: [{ slug: null }, { slug: '' }] }).select('name');
+  const taken = new Set((await Store.find({ slug: { $nin: [null, ''] } }).select('slug').lean()).map(({ slug }) => slug));
+
+  for (const store of stores) {
+    const base = Store.slugify(store.name) || `store-${store._id}`;
+    let slug = base;
+    for (let suffix = 2; taken.has(slug); suffix += 1) {
+      slug = `${base}-${suffix}`;
+    }
+    taken.add(slug);
+
+    console.log(`  ${store.name} -> /${slug}`);
+    if (apply) {
+      await Store.updateOne({ _id: store._id }, { $set: { slug } });
+    }
+  }
+
+  return stores.length;
+}
+
+/**
+ * Point cashback offers with an embedded store at the matching Store document
+ * @returns {Promise<Object>} { linked, created, unmatched }
+ */
+async function linkCashbackStores() {
+  const result = { linked: 0, created: 0, unmatched: [] };
+  const storesByName = new Map();
+  (await Store.find().select('name').lean()).forEach(store => storesByName.set(store.name.toLowerCase(), store._id));
+
+  // Read the raw documents: the embedded objects no longer fit the schema
+  const cursor = Cashback.collection.find({ 'store.name': { $exists: true } });
+  for (let offer = await cursor.next(); offer != null; offer = await cursor.next()) {
+    const { name, logo, website } = offer.store;
+    let storeId = storesByName.get(String(name).trim().toLowerCase());
+
+    if (!storeId && createMissing && logo) {
+      if (apply) {
+        storeId = (await Store.create({ name: String(name).trim(), logo, website }))._id;
+      } else {
+        storeId = new mongoose.Types.ObjectId();
+      }
+      storesByName.set(String(name).trim().toLowerCase(), storeId);
+      result.created += 1;
+      console.log(`  Created store "${name}"`);
+    }
+
+    if (!storeId) {
+      result.unmatched.push({ offer: offer._id, name });
+      continue;
+    }
+
+    if (apply) {
+      await Cashback.collection.updateOne({ _id: offer._id }, { $set: { store: storeId } });
+    }
+    result.linked += 1;
+  }
+
+  return result;
+}
+
+/**
+ * Run the migration and print a report
+ */
+async function run() {
+  await connectDatabase(process.env.MONGO_URI || 'mongodb://localhost:27017/cashheros?replicaSet=rs0');
+
+  if (!apply) {
+    console.log('Dry run - pass --apply to write the changes\n');
+  }
+
+  console.log('Store slugs:');
+  const slugged = await backfillSlugs();
+  console.log(`${slugged} store(s) ${apply ? 'given' : 'need'} a slug\n`);
+
+  console.log('Cashback offers:');
+  const { linked, created, unmatched } = await linkCashbackStores();
+  console.log(`${linked} offer(s) ${apply ? 'linked' : 'can be linked'} to a store, ${created} store(s) ${apply ? 'created' : 'to create'}`);
+
+  if (unmatched.length > 0) {
+    console.log(`❌ ${unmatched.length} offer(s) match no store${createMissing ? ' and have no logo to create one from' : ' (run with --create-missing to create them)'}:`);
+    unmatched.forEach(({ offer, name }) => console.log(`  ${offer}: "${name}"`));
+    return 1;
+  }
+
+  console.log('✅ Every cashback offer references a store');
+  return 0;
+}
+
+run()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error('Cashback store migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,73 @@
+/**
+ * Ledger Reconciliation Script
+ *
+ * Compares the balance fields stored on each user with the balances derived
+ * from the ledger, and lists journals whose entries do not sum to zero.
+ *
+ * Usage:
+ *   node scripts/reconcileLedger.js [--user <id>] [--fix] [--backfill]
+ *
+ *   --user <id>  Only reconcile a single user
+ *   --backfill   Post opening journals for transactions created before the ledger existed
+ *   --fix        Overwrite drifting user balances with the ledger-derived values
+ *
+ * Exits with code 1 when drift or unbalanced journals are found and --fix was not given.
+ */
+
+const mongoose = require('mongoose');
+const { connectDatabase } = require('../config/database');
+const { backfillTransactions, reconcileBalances } = require('../utils/ledgerUtils');
+
+const args = process.argv.slice(2);
+const fix = args.includes('--fix');
+const backfill = args.includes('--backfill');
+const userIndex = args.indexOf('--user');
+const userId = userIndex !== -1 ? args[userIndex + 1] : undefined;
+
+/**
+ * Run the reconciliation and print a report
+ */
+async function run() {
+  await connectDatabase(process.env.MONGO_URI || 'mongodb://localhost:27017/cashheros?replicaSet=rs0');
+
+  const missing = await backfillTransactions({ dryRun: !backfill });
+  if (missing.length > 0) {
+    console.log(`${missing.length} transaction(s) have no ledger entries${backfill ? ' - opening journals posted' : ' (run with --backfill to post them)'}`);
+  }
+
+  const report = await reconcileBalances({ userId, fix });
+
+  if (report.drift.length === 0) {
+    console.log('✅ All user balances match the ledger');
+  } else {
+    console.log(`❌ ${report.drift.length} user(s) drift from the ledger${fix ? ' - fixed' : ''}:`);
+    report.drift.forEach(({ user, email, differences }) => {
+      console.log(`  ${user} (${email})`);
+      differences.forEach(({ field, stored, ledger }) => {
+        console.log(`    ${field}: stored ${stored}, ledger ${ledger}`);
+      });
+    });
+  }
+
+  if (report.unbalancedJournals.length === 0) {
+    console.log('✅ All journals balance');
+  } else {
+    console.log(`❌ ${report.unbalancedJournals.length} journal(s) do not balance:`);
+    report.unbalancedJournals.forEach(({ journalId, total, entries }) => {
+      console.log(`  ${journalId}: ${entries} entries, total ${total}`);
+    });
+  }
+
+  const clean = report.unbalancedJournals.length === 0 && (fix || report.drift.length === 0);
+  return clean ? 0 : 1;
+}
+
+run()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error('Reconciliation failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -65,10 +65,24 @@ const authRoutes = require('./routes/authRoutes');
 const blogRoutes = require('./routes/blogRoutes');
 const cashbackRoutes = require('./routes/cashbackRoutes');
 const couponRoutes = require('./routes/couponRoutes');
+const storeRoutes = require('./routes/storeRoutes');
+const searchRoutes = require('./routes/searchRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const feedRoutes = require('./routes/feedRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const rateLimitRoutes = require('./routes/rateLimitRoutes');
 const userRoutes = require('./routes/userRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const analyticsRoutes = require('./routes/analyticsRoutes');
 const recommendationRoutes = require('./routes/recommendationRoutes');
+const transactionRoutes = require('./routes/transactionRoutes');
+const payoutRoutes = require('./routes/payoutRoutes');
+const postbackRoutes = require('./routes/postbackRoutes');
+const clickRoutes = require('./routes/clickRoutes');
+const claimRoutes = require('./routes/claimRoutes');
+const rewardsRoutes = require('./routes/rewardsRoutes');
+const currencyRoutes = require('./routes/currencyRoutes');
 
 // Import security middleware
 const corsMiddleware = require('./middleware/corsMiddleware');
@@ -76,7 +90,7 @@ const { createRateLimiter, basicLimiter, apiLimiter, authLimiter } = require('./
 const { defaultSetCsrfToken, defaultVerifyCsrfToken } = require('./middleware/csrfMiddleware');
 const { defaultSanitizeInputs, defaultPreventNoSqlInjection } = require('./middleware/sanitizationMiddleware');
 const { defaultSecurityHeaders } = require('./middleware/securityHeadersMiddleware');
-const { requireApiKey } = require('./middleware/apiKeyMiddleware');
+const { requireApiKey, requireApiKeyOrAdmin } = require('./middleware/apiKeyMiddleware');
 
 // Import performance optimization middleware
 const { routeCache } = require('./middleware/cacheMiddleware');
@@ -84,9 +98,6 @@ const { paginate, filter, sort, select, optimizeQuery, cacheResponse } = require
 const { requestLogger, performanceLogger, errorLogger, logger } = require('./middleware/loggingMiddleware');
 const compressionMiddleware = require('./middleware/compressionMiddleware');
 
-// Import WebSocket server (Kept for module resolution, but WebSocket functionality will not work via HTTP Functions)
-const { createWebSocketServer } = require('./websocket-server');
-
 // Import scaling configuration
 const { initializeScaling, getResourceUsage } = require('./config/scaling'); // Keeping require for getResourceUsage if it's used elsewhere
 
@@ -116,8 +127,12 @@ app.use(compressionMiddleware({
   level: 6, // Compression level (0-9)
   threshold: 1024 // Only compress responses larger than 1KB
 })); // Enhanced compression
-app.use(express.json({ limit: '1mb' })); // Limit request body size
-app.use(express.urlencoded({ extended: true, limit: '1mb' }));
+// Keep the raw body for HMAC signature checks (Firebase sets req.rawBody itself)
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ limit: '1mb', verify: keepRawBody })); // Limit request body size
+app.use(express.urlencoded({ extended: true, limit: '1mb', verify: keepRawBody }));
 app.use(cookieParser()); // Required for CSRF cookies
 
 // Logging middleware
@@ -155,11 +170,28 @@ app.use('/api/auth', csrfMiddleware, authRoutes);
 app.use('/api/blogs', csrfMiddleware, publicRoutesCache, blogRoutes);
 app.use('/api/cashbacks', csrfMiddleware, publicRoutesCache, cashbackRoutes);
 app.use('/api/coupons', csrfMiddleware, publicRoutesCache, couponRoutes);
+app.use('/api/stores', csrfMiddleware, publicRoutesCache, storeRoutes);
+app.use('/api/search', csrfMiddleware, searchRoutes);
+app.use('/api/reviews', csrfMiddleware, reviewRoutes);
+app.use('/api/notifications', csrfMiddleware, notificationRoutes);
+app.use('/api/feeds', csrfMiddleware, feedRoutes);
 app.use('/api/users', csrfMiddleware, userRoutes);
 app.use('/api/admin', csrfMiddleware, adminRoutes);
+app.use('/api/transactions', csrfMiddleware, transactionRoutes);
+app.use('/api/cashback', csrfMiddleware, payoutRoutes);
+app.use('/api/clicks', csrfMiddleware, clickRoutes);
+app.use('/api/claims', csrfMiddleware, claimRoutes);
+app.use('/api/rewards', csrfMiddleware, rewardsRoutes);
+app.use('/api/currency', csrfMiddleware, currencyRoutes);
+
+// Click-out redirects are plain browser navigations, so they carry no CSRF token
+app.use('/go', clickRoutes.redirectRouter);
+
+// Analytics routes take an API key with the analytics scope or an admin's token
+app.use('/api/analytics', requireApiKeyOrAdmin(['analytics']), analyticsRoutes);
 
-// Analytics routes require API key authentication
-app.use('/api/analytics', requireApiKey(['analytics', 'admin']), analyticsRoutes);
+// Affiliate network postbacks are server-to-server and authenticated by HMAC signature
+app.use('/api/postbacks', postbackRoutes);
 
 // Recommendation routes
 app.use('/api/recommendations', csrfMiddleware, recommendationRoutes);
@@ -168,12 +200,16 @@ app.use('/api/recommendations', csrfMiddleware, recommendationRoutes);
 const monitoringRoutes = require('./routes/monitoringRoutes');
 const cacheRoutes = require('./routes/cacheRoutes');
 
-// Monitoring and cache routes require API key authentication
-app.use('/api/monitoring', requireApiKey(['admin']), monitoringRoutes);
-app.use('/api/cache', requireApiKey(['admin']), cacheRoutes);
+// Monitoring and cache routes take an API key with their scope or an admin's token
+app.use('/api/monitoring', requireApiKeyOrAdmin(['monitoring']), monitoringRoutes);
+app.use('/api/cache', requireApiKeyOrAdmin(['cache']), cacheRoutes);
+
+// API key management (admin only)
+app.use('/api/api-keys', csrfMiddleware, apiKeyRoutes);
+app.use('/api/rate-limits', csrfMiddleware, rateLimitRoutes);
 
 // External API routes with API key authentication
-app.use('/api/external', requireApiKey(), (req, res) => {
+app.use('/api/external', requireApiKey(['external']), (req, res) => {
   res.json({ success: true, message: 'External API access granted' });
 });
 
@@ -230,11 +266,8 @@ connectDatabase()
 // Create HTTP server - REMOVED for Firebase Functions (handled by Functions runtime)
 // const server = http.createServer(app);
 
-// Initialize WebSocket server - REMOVED: Not supported by standard Firebase HTTP Functions
-// const wsServer = createWebSocketServer(server);
-
-// Make WebSocket server available globally - REMOVED: Not relevant
-// app.set('wsServer', wsServer);
+// WebSocket server - not supported by Firebase HTTP Functions, so it runs as its own process
+// (websocket-server.js) and receives the notifications created here over Redis
 
 // Start Server - REMOVED: Functions runtime manages server startup
 // const PORT = process.env.PORT || 5000;
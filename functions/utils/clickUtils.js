@@ -0,0 +1,204 @@
+/**
+ * @module utils/clickUtils
+ * @description Record click-outs to stores and tag affiliate URLs with a unique sub-ID
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const functions = require('firebase-functions');
+const mongoose = require('mongoose');
+const Click = require('../models/Click');
+const Store = require('../models/Store');
+const Coupon = require('../models/Coupon');
+const Cashback = require('../models/Cashback');
+const { ApiError } = require('../middleware/errorHandlerMiddleware');
+const { logger } = require('../middleware/loggingMiddleware');
+
+/**
+ * Cookie identifying the browser session of anonymous and signed-in clicks
+ */
+const SESSION_COOKIE = 'ch_sid';
+
+/**
+ * How long a click token lasts. Browsers following a /go link send no Authorization header,
+ * so signed-in users' links carry one of these to attribute the click.
+ */
+const CLICK_TOKEN_TTL_SECONDS = 15 * 60;
+
+/**
+ * Key click tokens are signed with. It is derived from the JWT secret rather than being it,
+ * so a click token can never pass as an access token.
+ * @returns {string} Signing key
+ */
+const getClickTokenSecret = () => crypto
+  .createHmac('sha256', functions.config().secrets.jwt_secret)
+  .update('click-token')
+  .digest('hex');
+
+/**
+ * Issue a click token for a user
+ * @param {ObjectId|string} userId - User ID
+ * @returns {string} Signed token
+ */
+const generateClickToken = (userId) => jwt.sign(
+  { userId: String(userId) },
+  getClickTokenSecret(),
+  { expiresIn: CLICK_TOKEN_TTL_SECONDS, audience: 'click' }
+);
+
+/**
+ * Get the user a click token was issued to
+ * @param {string} token - Click token
+ * @returns {string|null} User ID, or null if the token is missing, invalid or expired
+ */
+const verifyClickToken = (token) => {
+  if (!token) return null;
+  try {
+    const decoded = jwt.verify(String(token), getClickTokenSecret(), { audience: 'click' });
+    return mongoose.Types.ObjectId.isValid(decoded.userId) ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Generate a unique sub-ID
+ * @returns {string} Sub-ID
+ */
+const generateSubId = () => `ch${crypto.randomBytes(10).toString('hex')}`;
+
+/**
+ * Classify the device a request came from by its user agent
+ * @param {string} userAgent - User agent header
+ * @returns {string} desktop, mobile, tablet, bot or unknown
+ */
+const detectDeviceType = (userAgent = '') => {
+  if (!userAgent) return 'unknown';
+  if (/bot|crawl|spider|slurp|preview/i.test(userAgent)) return 'bot';
+  if (/ipad|tablet|kindle|silk|playbook|(android(?!.*mobile))/i.test(userAgent)) return 'tablet';
+  if (/mobi|iphone|ipod|android|blackberry|opera mini|iemobile/i.test(userAgent)) return 'mobile';
+  return 'desktop';
+};
+
+/**
+ * Append a sub-ID to an affiliate URL
+ * @param {string} url - Affiliate URL (protocol optional)
+ * @param {string} param - Query parameter the network reads the sub-ID from
+ * @param {string} subId - Sub-ID
+ * @returns {string} Tagged URL
+ */
+const appendSubId = (url, param, subId) => {
+  const target = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+  target.searchParams.set(param, subId);
+  return target.toString();
+};
+
+/**
+ * Load a document by ID if the ID is valid, otherwise return null
+ * @param {Model} Model - Mongoose model
+ * @param {string} id - Document ID
+ * @returns {Promise<Object|null>} Document
+ */
+const findOptional = async (Model, id) => {
+  if (!id || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return Model.findById(id);
+};
+
+/**
+ * Record a click-out and build the tagged destination URL
+ * @param {Object} options - Click options
+ * @param {string} options.storeId - Store ID
+ * @param {string} [options.couponId] - Coupon the click started from
+ * @param {string} [options.cashbackId] - Cashback offer the click started from
+ * @param {ObjectId} [options.userId] - Signed-in user
+ * @param {string} [options.sessionId] - Browser session ID
+ * @param {string} [options.deviceId] - Client-supplied device identifier
+ * @param {string} [options.ipAddress] - Client IP address
+ * @param {string} [options.userAgent] - Client user agent
+ * @param {string} [options.referrer] - Referring page
+ * @returns {Promise<Object>} { redirectUrl, subId, click }
+ */
+const recordClick = async (options) => {
+  const store = await findOptional(Store, options.storeId);
+  if (!store || !store.isActive) {
+    throw new ApiError('Store not found', 404);
+  }
+
+  const [coupon, cashbackOffer] = await Promise.all([
+    findOptional(Coupon, options.couponId),
+    findOptional(Cashback, options.cashbackId)
+  ]);
+
+  // A coupon's own URL takes precedence, but only for coupons of this store
+  const couponUrl = coupon && coupon.store.equals(store._id) ? coupon.url : null;
+  const baseUrl = couponUrl || store.affiliateLink || store.website;
+  if (!baseUrl) {
+    throw new ApiError('This store has no link to redirect to', 404);
+  }
+
+  const subId = generateSubId();
+  let redirectUrl;
+  try {
+    redirectUrl = appendSubId(baseUrl, store.affiliateSubIdParam || 'subid', subId);
+  } catch (error) {
+    throw new ApiError(`This store's link is not a valid URL: ${baseUrl}`, 422);
+  }
+
+  try {
+    const click = await Click.create({
+      subId,
+      user: options.userId || null,
+      sessionId: options.sessionId,
+      store: store._id,
+      coupon: couponUrl ? coupon._id : undefined,
+      cashbackOffer: cashbackOffer ? cashbackOffer._id : undefined,
+      destinationUrl: redirectUrl,
+      device: { type: detectDeviceType(options.userAgent), id: options.deviceId },
+      ipAddress: options.ipAddress,
+      userAgent: options.userAgent,
+      referrer: options.referrer
+    });
+
+    return { redirectUrl, subId, click };
+  } catch (error) {
+    // Never strand the shopper - send them on untracked rather than failing the redirect
+    logger.error(`Failed to record click for store ${store._id}: ${error.message}`);
+    return { redirectUrl: baseUrl, subId: null, click: null };
+  }
+};
+
+/**
+ * Find the click a sub-ID belongs to
+ * @param {string} subId - Sub-ID
+ * @returns {Promise<Object|null>} Click document
+ */
+const findClickBySubId = async (subId) => {
+  if (!subId) return null;
+  return Click.findOne({ subId: String(subId) });
+};
+
+/**
+ * Mark a click as converted into a transaction
+ * @param {ObjectId} clickId - Click ID
+ * @param {ObjectId} transactionId - Transaction ID
+ * @returns {Promise<void>}
+ */
+const markClickConverted = async (clickId, transactionId) => {
+  await Click.updateOne(
+    { _id: clickId, transaction: { $exists: false } },
+    { $set: { transaction: transactionId, convertedAt: new Date() } }
+  );
+};
+
+module.exports = {
+  SESSION_COOKIE,
+  CLICK_TOKEN_TTL_SECONDS,
+  generateClickToken,
+  verifyClickToken,
+  generateSubId,
+  detectDeviceType,
+  appendSubId,
+  recordClick,
+  findClickBySubId,
+  markClickConverted
+};
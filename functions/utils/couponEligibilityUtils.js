@@ -0,0 +1,51 @@
+/**
+ * @module utils/couponEligibilityUtils
+ * @description Gather what a coupon's eligibility rules need to know about a user and order
+ */
+
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+
+/**
+ * Check whether a user may use a coupon on an order
+ * @param {Object} coupon - Coupon document
+ * @param {Object} context - What is known about the use
+ * @param {ObjectId|string} [context.userId] - User using the coupon
+ * @param {number} [context.orderAmount] - Order total, in the store's currency
+ * @param {Array<string>} [context.couponIds] - Other coupons used on the same order
+ * @param {Date} [context.now=new Date()] - Current time
+ * @returns {Promise<Object>} validateForUse result: { isValid, reason, message }
+ */
+const checkCouponEligibility = async (coupon, context = {}) => {
+  const { userId, orderAmount, couponIds = [], now = new Date() } = context;
+  const eligibility = coupon.eligibility || {};
+  const options = { currentDate: now, orderAmount };
+
+  if (userId) {
+    if (eligibility.newCustomersOnly) {
+      // Rejected transactions never became purchases, so they do not count
+      options.isNewCustomer = !await Transaction.exists({
+        user: userId,
+        store: coupon.store,
+        status: { $ne: 'rejected' }
+      });
+    }
+    if ((eligibility.loyaltyTiers || []).length > 0) {
+      const user = await User.findById(userId).select('loyalty.tier').lean();
+      options.loyaltyTier = (user && user.loyalty && user.loyalty.tier) || null;
+    }
+  }
+
+  const otherIds = couponIds.filter(id => mongoose.Types.ObjectId.isValid(id) && String(id) !== String(coupon._id));
+  if (otherIds.length > 0) {
+    options.combinedWith = await Coupon.find({ _id: { $in: otherIds } }).select('code eligibility');
+  }
+
+  return coupon.validateForUse(options);
+};
+
+module.exports = {
+  checkCouponEligibility
+};
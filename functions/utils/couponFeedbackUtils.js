@@ -0,0 +1,239 @@
+/**
+ * @module utils/couponFeedbackUtils
+ * @description "Did this code work?" reports, recency-weighted coupon success rates and review flags
+ *
+ * Each signed-in user, or each anonymous install of the extension or browser, has one report per
+ * coupon, so reporting again changes the earlier answer instead of adding a vote. A coupon's
+ * successRate is the share of reports saying the code worked, with every report weighted down
+ * by its age so a code that stopped working drops quickly. A few pseudo-reports at 100% keep a
+ * single early failure from sinking a new code. When most recent reports say the code failed it
+ * is flagged for an admin to review; clearing the flag ignores the reports that raised it.
+ */
+
+const functions = require('firebase-functions');
+const Coupon = require('../models/Coupon');
+const CouponFeedback = require('../models/CouponFeedback');
+const cache = require('./cache');
+const { ApiError } = require('../middleware/errorHandlerMiddleware');
+const { logger } = require('../middleware/loggingMiddleware');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reports older than this many half-lives weigh almost nothing and are not read
+ */
+const LOOKBACK_HALF_LIVES = 10;
+
+/**
+ * Read the feedback settings
+ * @returns {Object} Settings
+ */
+const getFeedbackSettings = () => {
+  const config = functions.config().coupon_feedback || {};
+  return {
+    halfLifeDays: parseFloat(config.half_life_days) || 14,
+    // Anonymous reports are cheaper to fake, so they count for less
+    anonymousWeight: config.anonymous_weight !== undefined ? parseFloat(config.anonymous_weight) : 0.5,
+    priorWeight: config.prior_weight !== undefined ? parseFloat(config.prior_weight) : 2,
+    flagWindowDays: parseFloat(config.flag_window_days) || 7,
+    flagMinReports: parseInt(config.flag_min_reports, 10) || 5,
+    flagThreshold: parseFloat(config.flag_threshold) || 40
+  };
+};
+
+/**
+ * Build the key a voter's report is de-duplicated on
+ * @param {Object} voter - Voter
+ * @param {ObjectId|string} [voter.userId] - Signed-in user
+ * @param {string} [voter.clientId] - Anonymous install ID
+ * @returns {string} Voter key
+ */
+const buildVoterKey = ({ userId, clientId }) => {
+  if (userId) return `user:${userId}`;
+  if (clientId) return `client:${clientId}`;
+  throw new ApiError('Sign in or send a client ID to report whether a coupon worked', 400);
+};
+
+/**
+ * Work out a recency-weighted success rate
+ * @param {Array} reports - [{ outcome, reportedAt, user }]
+ * @param {Object} settings - Feedback settings
+ * @param {Date} [now=new Date()] - Time to measure report age from
+ * @returns {number} Success rate percentage, to one decimal place
+ */
+const computeSuccessRate = (reports, settings, now = new Date()) => {
+  const { halfLifeDays, anonymousWeight, priorWeight } = settings;
+
+  let worked = priorWeight;
+  let total = priorWeight;
+  reports.forEach(report => {
+    const ageDays = Math.max(0, now - new Date(report.reportedAt)) / DAY_MS;
+    const weight = Math.pow(0.5, ageDays / halfLifeDays) * (report.user ? 1 : anonymousWeight);
+    total += weight;
+    if (report.outcome === 'worked') worked += weight;
+  });
+
+  if (total === 0) return 100;
+  return Math.round((worked / total) * 1000) / 10;
+};
+
+/**
+ * Decide whether recent reports show a coupon failing
+ * @param {Object} coupon - Coupon document
+ * @param {Array} reports - [{ outcome, reportedAt }]
+ * @param {Object} settings - Feedback settings
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {string|null} Reason to flag the coupon, or null
+ */
+const getFlagReason = (coupon, reports, settings, now = new Date()) => {
+  const { flagWindowDays, flagMinReports, flagThreshold } = settings;
+  const windowStart = new Date(now.getTime() - flagWindowDays * DAY_MS);
+  const since = coupon.review?.clearedAt && coupon.review.clearedAt > windowStart
+    ? coupon.review.clearedAt
+    : windowStart;
+
+  const recent = reports.filter(report => new Date(report.reportedAt) >= since);
+  if (recent.length < flagMinReports) return null;
+
+  const failed = recent.filter(report => report.outcome === 'failed').length;
+  const recentRate = ((recent.length - failed) / recent.length) * 100;
+  if (recentRate >= flagThreshold) return null;
+
+  return `${failed} of ${recent.length} reports in the last ${flagWindowDays} days say the code failed`;
+};
+
+/**
+ * Drop the cached copies of a coupon
+ * @param {ObjectId|string} couponId - Coupon ID
+ * @returns {Promise<void>}
+ */
+const invalidateCouponCache = (couponId) => Promise.all([
+  cache.clear('coupons:list'),
+  cache.del(cache.generateKey('coupons:single', { id: String(couponId) }))
+]);
+
+/**
+ * Recompute a coupon's success rate and report totals, flagging it for review if it is failing
+ * @param {ObjectId|string} couponId - Coupon ID
+ * @returns {Promise<Object|null>} Updated coupon, or null if it no longer exists
+ */
+const recalculateCouponSuccess = async (couponId) => {
+  const coupon = await Coupon.findById(couponId);
+  if (!coupon) return null;
+
+  const settings = getFeedbackSettings();
+  const now = new Date();
+
+  const [totals, reports] = await Promise.all([
+    CouponFeedback.aggregate([
+      { $match: { coupon: coupon._id } },
+      { $group: { _id: '$outcome', count: { $sum: 1 }, lastReportedAt: { $max: '$reportedAt' } } }
+    ]),
+    CouponFeedback.find({
+      coupon: coupon._id,
+      reportedAt: { $gte: new Date(now.getTime() - settings.halfLifeDays * LOOKBACK_HALF_LIVES * DAY_MS) }
+    }).select('outcome reportedAt user').lean()
+  ]);
+
+  const counts = totals.reduce((result, { _id, count, lastReportedAt }) => {
+    result[_id] = count;
+    if (!result.lastReportedAt || lastReportedAt > result.lastReportedAt) result.lastReportedAt = lastReportedAt;
+    return result;
+  }, { worked: 0, failed: 0, lastReportedAt: undefined });
+
+  coupon.feedback = counts;
+  coupon.successRate = computeSuccessRate(reports, settings, now);
+
+  if (!coupon.review?.flagged) {
+    const reason = getFlagReason(coupon, reports, settings, now);
+    if (reason) {
+      coupon.review.flagged = true;
+      coupon.review.flaggedAt = now;
+      coupon.review.reason = reason;
+      logger.warn(`Coupon ${coupon.code} (${coupon._id}) flagged for review: ${reason}`);
+    }
+  }
+
+  await coupon.save();
+  await invalidateCouponCache(coupon._id);
+
+  return coupon;
+};
+
+/**
+ * Record whether a coupon worked for a voter. A voter reporting again replaces their earlier answer.
+ * @param {Object} report - Report
+ * @param {ObjectId|string} report.couponId - Coupon ID
+ * @param {ObjectId|string} [report.userId] - Signed-in user
+ * @param {string} [report.clientId] - Anonymous install ID, used when not signed in
+ * @param {string} report.outcome - 'worked' or 'failed'
+ * @param {string} [report.source='web'] - 'web' or 'extension'
+ * @returns {Promise<Object>} { outcome, changed, successRate, feedback }
+ */
+const recordFeedback = async ({ couponId, userId, clientId, outcome, source = 'web' }) => {
+  const voterKey = buildVoterKey({ userId, clientId });
+
+  if (!await Coupon.exists({ _id: couponId })) {
+    throw new ApiError('Coupon not found', 404);
+  }
+
+  const filter = { coupon: couponId, voterKey };
+  const update = { $set: { outcome, source, reportedAt: new Date() } };
+  if (userId) update.$set.user = userId;
+
+  let previous;
+  try {
+    previous = await CouponFeedback.findOneAndUpdate(filter, update, { upsert: true, runValidators: true });
+  } catch (error) {
+    // Two reports from the same voter raced to create the record; the second one updates it
+    if (error.code !== 11000) throw error;
+    previous = await CouponFeedback.findOneAndUpdate(filter, update, { runValidators: true });
+  }
+
+  const coupon = await recalculateCouponSuccess(couponId);
+
+  return {
+    outcome,
+    changed: !previous || previous.outcome !== outcome,
+    successRate: coupon.successRate,
+    feedback: coupon.feedback
+  };
+};
+
+/**
+ * Clear a coupon's review flag. Reports made before now no longer count towards flagging it again.
+ * @param {ObjectId|string} couponId - Coupon ID
+ * @param {ObjectId|string} adminId - Admin clearing the flag
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.deactivate=false] - Also take the coupon off the site
+ * @returns {Promise<Object>} Updated coupon
+ */
+const clearReviewFlag = async (couponId, adminId, options = {}) => {
+  const coupon = await Coupon.findById(couponId);
+  if (!coupon) {
+    throw new ApiError('Coupon not found', 404);
+  }
+
+  coupon.review = {
+    flagged: false,
+    clearedAt: new Date(),
+    clearedBy: adminId
+  };
+  if (options.deactivate) {
+    coupon.isActive = false;
+  }
+
+  await coupon.save();
+  await invalidateCouponCache(coupon._id);
+
+  return coupon;
+};
+
+module.exports = {
+  getFeedbackSettings,
+  computeSuccessRate,
+  getFlagReason,
+  recordFeedback,
+  recalculateCouponSuccess,
+  clearReviewFlag
+};
@@ -0,0 +1,297 @@
+/**
+ * @module utils/couponImportUtils
+ * @description Bulk import and export of coupons as CSV or JSON feeds
+ *
+ * Rows are matched to existing coupons by code: a known code updates that coupon, a new code
+ * creates one. Each row is checked with the Coupon schema validators and rows that fail are
+ * reported without stopping the others. A dry run reports what would happen and saves nothing.
+ * Exports use the same columns, so an exported file can be edited and imported again.
+ */
+
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const Store = require('../models/Store');
+const { ApiError } = require('../middleware/errorHandlerMiddleware');
+const { parseCsv, toCsv } = require('./csvUtils');
+
+/**
+ * Most rows accepted in one import
+ */
+const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Coupon fields an import may set, and the columns of an export
+ */
+const IMPORT_FIELDS = [
+  'code', 'title', 'description', 'discount', 'discountType', 'store', 'url', 'terms',
+  'startDate', 'expiryDate', 'isActive', 'isExclusive', 'usageLimit', 'category', 'tags'
+];
+const EXPORT_COLUMNS = [...IMPORT_FIELDS, 'usageCount', 'successRate', 'flagged', 'createdAt', 'updatedAt'];
+
+const BOOLEAN_FIELDS = ['isActive', 'isExclusive'];
+const NUMBER_FIELDS = ['discount', 'usageLimit'];
+const DATE_FIELDS = ['startDate', 'expiryDate'];
+
+/**
+ * Parse an import file into rows
+ * JSON files are a list of coupons or { coupons: [...] }. CSV files have a header row naming the
+ * columns; tags are separated by '|'.
+ * @param {string} content - File contents
+ * @param {string} format - 'json' or 'csv'
+ * @returns {Array<Object>} Rows
+ */
+const parseCouponFile = (content, format) => {
+  let rows;
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new ApiError(`Coupon file is not valid JSON: ${error.message}`, 422);
+    }
+    rows = Array.isArray(data) ? data : data && data.coupons;
+    if (!Array.isArray(rows)) {
+      throw new ApiError('Coupon file must be a list of coupons or contain a "coupons" list', 422);
+    }
+  } else if (format === 'csv') {
+    const { columns, records } = parseCsv(content);
+    if (!columns.includes('code')) {
+      throw new ApiError('Coupon CSV needs a header row with at least a code column', 422);
+    }
+    rows = records;
+  } else {
+    throw new ApiError(`Unsupported coupon file format: ${format}`, 422);
+  }
+
+  if (rows.length === 0) {
+    throw new ApiError('Coupon file has no rows', 422);
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ApiError(`Coupon files are limited to ${MAX_IMPORT_ROWS} rows; split this one up`, 422);
+  }
+  return rows;
+};
+
+/**
+ * Convert a raw row into coupon fields. Values the schema cannot cast are kept as they are so
+ * its validators report them.
+ * @param {Object} row - Raw row from a CSV or JSON file
+ * @returns {Object} Coupon fields present in the row
+ */
+const normalizeRow = (row) => IMPORT_FIELDS.reduce((fields, field) => {
+  let value = row[field];
+  if (value === undefined || value === null || value === '') return fields;
+
+  if (BOOLEAN_FIELDS.includes(field) && typeof value === 'string') {
+    const lower = value.trim().toLowerCase();
+    if (['true', 'yes', '1'].includes(lower)) value = true;
+    else if (['false', 'no', '0'].includes(lower)) value = false;
+  } else if (NUMBER_FIELDS.includes(field) && typeof value === 'string' && value.trim() !== '' && !isNaN(value)) {
+    value = Number(value);
+  } else if (DATE_FIELDS.includes(field) && typeof value === 'string') {
+    const date = new Date(value);
+    if (!isNaN(date.getTime())) value = date;
+  } else if (field === 'tags' && typeof value === 'string') {
+    value = value.split('|').map(tag => tag.trim()).filter(Boolean);
+  } else if (field === 'code' && typeof value === 'string') {
+    value = value.trim().toUpperCase();
+  }
+
+  fields[field] = value;
+  return fields;
+}, {});
+
+/**
+ * Look up the stores named by a set of rows, by ID or slug
+ * @param {Array<Object>} rows - Normalized rows
+ * @returns {Promise<Map>} Store reference (as written in the file) to store ID
+ */
+const resolveStores = async (rows) => {
+  const references = [...new Set(rows.map(row => row.store).filter(Boolean).map(String))];
+  const ids = references.filter(reference => mongoose.Types.ObjectId.isValid(reference) && /^[a-f0-9]{24}$/i.test(reference));
+  const slugs = references.filter(reference => !ids.includes(reference)).map(reference => reference.toLowerCase());
+
+  const stores = await Store.find({ $or: [{ _id: { $in: ids } }, { slug: { $in: slugs } }] }).select('_id slug');
+
+  const byReference = new Map();
+  for (const store of stores) {
+    byReference.set(String(store._id), store._id);
+    byReference.set(store.slug, store._id);
+  }
+  return new Map(references.map(reference => [reference, byReference.get(reference) || byReference.get(reference.toLowerCase())]));
+};
+
+/**
+ * Turn a Mongoose validation error into per-field messages
+ * @param {Error} error - Validation error
+ * @returns {Array<Object>} [{ field, message }]
+ */
+const validationMessages = (error) => {
+  if (error instanceof mongoose.Error.ValidationError) {
+    return Object.values(error.errors).map(({ path, message }) => ({ field: path, message }));
+  }
+  return [{ field: null, message: error.message }];
+};
+
+/**
+ * Import coupons, creating new codes and updating known ones
+ * @param {Array<Object>} rows - Raw rows
+ * @param {Object} options - Options
+ * @param {boolean} [options.dryRun=false] - Validate and report without saving
+ * @param {ObjectId} [options.importedBy] - Admin importing the coupons (createdBy of new coupons)
+ * @returns {Promise<Object>} { dryRun, total, created, updated, unchanged, failed, rows: [{ row, code, action, errors }] }
+ */
+const importCoupons = async (rows, options = {}) => {
+  const { dryRun = false, importedBy } = options;
+  const normalized = rows.map(row => (row && typeof row === 'object' ? normalizeRow(row) : {}));
+
+  const storeIds = await resolveStores(normalized);
+  const codes = normalized.map(row => row.code).filter(code => typeof code === 'string');
+  const existing = await Coupon.find({ code: { $in: codes } });
+  const existingByCode = new Map(existing.map(coupon => [coupon.code, coupon]));
+
+  const summary = { dryRun, total: rows.length, created: 0, updated: 0, unchanged: 0, failed: 0, rows: [] };
+  const seenCodes = new Set();
+
+  for (const [index, fields] of normalized.entries()) {
+    // Rows are numbered from 1, not counting a CSV header
+    const result = { row: index + 1, code: fields.code || null, action: null, errors: [] };
+    summary.rows.push(result);
+
+    if (!fields.code) {
+      result.errors.push({ field: 'code', message: 'Coupon code is required' });
+    } else if (seenCodes.has(fields.code)) {
+      result.errors.push({ field: 'code', message: `Code ${fields.code} appears more than once in this file` });
+    }
+    if (fields.code) seenCodes.add(fields.code);
+
+    if (fields.store !== undefined) {
+      const storeId = storeIds.get(String(fields.store));
+      if (storeId) {
+        fields.store = storeId;
+      } else {
+        result.errors.push({ field: 'store', message: `Store ${fields.store} was not found` });
+        delete fields.store;
+      }
+    }
+
+    const coupon = existingByCode.get(fields.code);
+    let document;
+    if (coupon) {
+      coupon.set(fields);
+      document = coupon;
+      result.action = coupon.isModified() ? 'update' : 'unchanged';
+    } else {
+      document = new Coupon({ ...fields, createdBy: importedBy });
+      result.action = 'create';
+    }
+
+    try {
+      await document.validate();
+    } catch (error) {
+      // Fields already reported above would only repeat themselves
+      const reported = new Set(result.errors.map(({ field }) => field));
+      result.errors.push(...validationMessages(error).filter(({ field }) => !reported.has(field)));
+    }
+
+    if (result.errors.length > 0) {
+      result.action = 'failed';
+      summary.failed += 1;
+      continue;
+    }
+
+    if (!dryRun && result.action !== 'unchanged') {
+      try {
+        await document.save();
+      } catch (error) {
+        result.action = 'failed';
+        if (error.code === 11000) {
+          result.errors.push({ field: 'code', message: `Code ${fields.code} was created by someone else during the import` });
+        } else {
+          result.errors.push(...validationMessages(error));
+        }
+        summary.failed += 1;
+        continue;
+      }
+    }
+
+    summary[result.action === 'create' ? 'created' : result.action === 'update' ? 'updated' : 'unchanged'] += 1;
+  }
+
+  return summary;
+};
+
+/**
+ * Build the coupon filter for an export
+ * @param {Object} filters - Filters
+ * @param {string} [filters.store] - Store ID
+ * @param {string} [filters.category] - Category
+ * @param {string} [filters.status] - 'active', 'inactive' or 'expired'
+ * @param {boolean} [filters.flagged] - Only coupons flagged for review
+ * @param {string} [filters.updatedFrom] - Updated on or after this date
+ * @param {string} [filters.updatedTo] - Updated on or before this date
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object} Query filter
+ */
+const buildExportFilter = (filters, now = new Date()) => {
+  const filter = {};
+  if (filters.store) filter.store = filters.store;
+  if (filters.category) filter.category = filters.category;
+  if (filters.flagged) filter['review.flagged'] = true;
+
+  if (filters.status === 'active') {
+    filter.isActive = true;
+    filter.$or = [{ expiryDate: null }, { expiryDate: { $gt: now } }];
+  } else if (filters.status === 'inactive') {
+    filter.isActive = false;
+  } else if (filters.status === 'expired') {
+    filter.expiryDate = { $lte: now };
+  }
+
+  if (filters.updatedFrom || filters.updatedTo) {
+    filter.updatedAt = {};
+    if (filters.updatedFrom) filter.updatedAt.$gte = new Date(filters.updatedFrom);
+    if (filters.updatedTo) filter.updatedAt.$lte = new Date(filters.updatedTo);
+  }
+  return filter;
+};
+
+/**
+ * Export coupons matching a filter
+ * @param {Object} filters - See buildExportFilter
+ * @param {string} [format='json'] - 'json' or 'csv'
+ * @returns {Promise<Object>} { count, rows } for JSON, or { count, csv } for CSV
+ */
+const exportCoupons = async (filters, format = 'json') => {
+  const coupons = await Coupon.find(buildExportFilter(filters))
+    .populate('store', 'slug')
+    .sort({ code: 1 })
+    .lean();
+
+  const rows = coupons.map(coupon => ({
+    ...IMPORT_FIELDS.reduce((row, field) => {
+      row[field] = coupon[field];
+      return row;
+    }, {}),
+    // Stores are written as slugs, which an import accepts as well as IDs
+    store: coupon.store ? coupon.store.slug || String(coupon.store._id) : null,
+    usageCount: coupon.usageCount,
+    successRate: coupon.successRate,
+    flagged: Boolean(coupon.review && coupon.review.flagged),
+    createdAt: coupon.createdAt,
+    updatedAt: coupon.updatedAt
+  }));
+
+  if (format === 'csv') {
+    const csvRows = rows.map(row => ({ ...row, tags: (row.tags || []).join('|') }));
+    return { count: rows.length, csv: toCsv(EXPORT_COLUMNS, csvRows) };
+  }
+  return { count: rows.length, rows };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  parseCouponFile,
+  importCoupons,
+  exportCoupons
+};
@@ -0,0 +1,102 @@
+/**
+ * @module utils/csvUtils
+ * @description Read and write CSV files (RFC 4180: quoted cells may hold commas, quotes and line breaks)
+ */
+
+/**
+ * Split CSV text into rows of cells
+ * @param {string} content - CSV text
+ * @returns {Array<Array<string>>} Rows, without blank lines
+ */
+const parseCsvRows = (content) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  // Strip a byte order mark left by spreadsheet exports
+  const text = content.charCodeAt(0) === 0xfeff ? content.slice(1) : content;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ * @param {string} content - CSV text
+ * @returns {Object} { columns, records } - empty cells are left out of the records
+ */
+const parseCsv = (content) => {
+  const [header = [], ...rows] = parseCsvRows(content);
+  const columns = header.map(column => column.trim());
+
+  const records = rows.map(cells => columns.reduce((record, column, index) => {
+    const value = (cells[index] || '').trim();
+    if (column && value !== '') record[column] = value;
+    return record;
+  }, {}));
+
+  return { columns, records };
+};
+
+/**
+ * Escape a value for a CSV cell. Text that a spreadsheet would run as a formula
+ * (starting with =, +, - or @) is prefixed with a quote so it opens as plain text.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write objects as CSV with a header row
+ * @param {Array<string>} columns - Columns, in order
+ * @param {Array<Object>} records - Records keyed by column
+ * @returns {string} CSV text
+ */
+const toCsv = (columns, records) => [columns.join(',')]
+  .concat(records.map(record => columns.map(column => toCsvCell(record[column])).join(',')))
+  .join('\n');
+
+module.exports = {
+  parseCsvRows,
+  parseCsv,
+  toCsvCell,
+  toCsv
+};
@@ -0,0 +1,302 @@
+/**
+ * @module utils/currencyUtils
+ * @description Stored exchange rates and conversion between the base currency and other currencies
+ *
+ * The ledger, balances and payouts are kept in the base currency. Transactions keep their
+ * amounts in the currency the store reported and lock the exchange rate in effect at the
+ * purchase date, so the ledger amount never moves afterwards. Amounts shown to users are
+ * converted from the base currency to their preferred currency with the current rates.
+ */
+
+const ExchangeRate = require('../models/ExchangeRate');
+const User = require('../models/User');
+const { ApiError } = require('../middleware/errorHandlerMiddleware');
+
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = ExchangeRate;
+
+/**
+ * Minor units per currency where it is not 2
+ */
+const CURRENCY_DECIMALS = {
+  JPY: 0
+};
+
+/**
+ * How long the current rates are reused before being read again
+ */
+const RATE_CACHE_TTL_MS = 60 * 1000;
+
+let currentRatesCache = null;
+
+/**
+ * Round an amount to the minor unit of its currency
+ * @param {number} amount - Amount
+ * @param {string} currency - Currency code
+ * @returns {number} Rounded amount
+ */
+const roundCurrency = (amount, currency) => {
+  const factor = Math.pow(10, CURRENCY_DECIMALS[currency] ?? 2);
+  return Math.round(amount * factor) / factor;
+};
+
+/**
+ * Format an amount with its currency symbol
+ * @param {number} amount - Amount
+ * @param {string} [currency=BASE_CURRENCY] - Currency code
+ * @returns {string} Formatted amount
+ */
+const formatMoney = (amount, currency = BASE_CURRENCY) => {
+  const decimals = CURRENCY_DECIMALS[currency] ?? 2;
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  }).format(Number(amount || 0));
+};
+
+/**
+ * Check whether a currency code is supported
+ * @param {string} currency - Currency code
+ * @returns {boolean} True if supported
+ */
+const isSupportedCurrency = (currency) => SUPPORTED_CURRENCIES.includes(currency);
+
+/**
+ * Get the rate of every currency in effect at a time
+ * @param {Object} [options] - Options
+ * @param {Date} [options.at] - Point in time (default: now, served from a short-lived cache)
+ * @returns {Promise<Object>} { base, rates: { [currency]: rate }, updatedAt }
+ */
+const getRates = async (options = {}) => {
+  const { at } = options;
+  if (!at && currentRatesCache && Date.now() - currentRatesCache.loadedAt < RATE_CACHE_TTL_MS) {
+    return currentRatesCache.value;
+  }
+
+  const latest = await ExchangeRate.aggregate([
+    { $match: { effectiveAt: { $lte: at || new Date() } } },
+    { $sort: { currency: 1, effectiveAt: -1 } },
+    { $group: { _id: '$currency', rate: { $first: '$rate' }, effectiveAt: { $first: '$effectiveAt' } } }
+  ]);
+
+  const value = latest.reduce((result, { _id, rate, effectiveAt }) => {
+    result.rates[_id] = rate;
+    if (!result.updatedAt || effectiveAt > result.updatedAt) result.updatedAt = effectiveAt;
+    return result;
+  }, { base: BASE_CURRENCY, rates: { [BASE_CURRENCY]: 1 }, updatedAt: null });
+
+  if (!at) {
+    currentRatesCache = { loadedAt: Date.now(), value };
+  }
+  return value;
+};
+
+/**
+ * Get the rate of a currency in effect at a time. Dates before the first stored
+ * rate use that first rate, so older purchases can still be recorded.
+ * @param {string} currency - Currency code
+ * @param {Date} [at=new Date()] - Point in time
+ * @returns {Promise<number>} Units of the currency per unit of the base currency
+ */
+const getRate = async (currency, at = new Date()) => {
+  if (currency === BASE_CURRENCY) {
+    return 1;
+  }
+  if (!isSupportedCurrency(currency)) {
+    throw new ApiError(`Unsupported currency: ${currency}`, 422);
+  }
+
+  const rate = await ExchangeRate.findOne({ currency, effectiveAt: { $lte: at } }).sort({ effectiveAt: -1 }) ||
+    await ExchangeRate.findOne({ currency }).sort({ effectiveAt: 1 });
+  if (!rate) {
+    throw new ApiError(`No exchange rate is available for ${currency}`, 422);
+  }
+  return rate.rate;
+};
+
+/**
+ * Build a converter from the base currency to a display currency using the current rates.
+ * Falls back to the base currency when no rate is stored for the requested one.
+ * @param {string} currency - Display currency code
+ * @returns {Promise<Object>} { currency, rate, convert(baseAmount) }
+ */
+const createConverter = async (currency) => {
+  const { rates } = await getRates();
+  const target = rates[currency] ? currency : BASE_CURRENCY;
+  const rate = rates[target];
+
+  return {
+    currency: target,
+    rate,
+    convert: (baseAmount) => roundCurrency(Number(baseAmount || 0) * rate, target)
+  };
+};
+
+/**
+ * Work out which currency to show a user amounts in
+ * @param {ObjectId|string} userId - User ID
+ * @param {string} [requested] - Currency asked for on the request, taking precedence over the preference
+ * @returns {Promise<string>} Currency code
+ */
+const getDisplayCurrency = async (userId, requested) => {
+  if (requested && isSupportedCurrency(String(requested).toUpperCase())) {
+    return String(requested).toUpperCase();
+  }
+
+  const user = await User.findById(userId).select('preferences.currency');
+  return user?.preferences?.currency || BASE_CURRENCY;
+};
+
+/**
+ * Normalize a list of rates, re-expressing them against the base currency if they were quoted against another
+ * @param {Array} entries - [{ currency, rate, effectiveAt? }]
+ * @param {string} base - Currency the rates are quoted against
+ * @returns {Array} Entries against the base currency
+ */
+const rebaseRates = (entries, base) => {
+  if (base === BASE_CURRENCY) {
+    return entries.filter(entry => entry.currency !== BASE_CURRENCY);
+  }
+
+  const baseEntry = entries.find(entry => entry.currency === BASE_CURRENCY);
+  if (!baseEntry) {
+    throw new ApiError(`Rates quoted against ${base} must include ${BASE_CURRENCY}`, 422);
+  }
+
+  return [
+    ...entries
+      .filter(entry => entry.currency !== BASE_CURRENCY && entry.currency !== base)
+      .map(entry => ({ ...entry, rate: entry.rate / baseEntry.rate })),
+    { currency: base, rate: 1 / baseEntry.rate, effectiveAt: baseEntry.effectiveAt }
+  ];
+};
+
+/**
+ * Parse a rates file.
+ * JSON files are { base?, effectiveAt?, rates: { EUR: 0.92, ... } } or [{ currency, rate, effectiveAt? }].
+ * CSV files have a header row with `currency` and `rate` columns and an optional `effectiveAt` column.
+ * @param {string} content - File contents
+ * @param {string} format - 'json' or 'csv'
+ * @returns {Object} { base, effectiveAt, entries: [{ currency, rate, effectiveAt? }] }
+ */
+const parseRatesFile = (content, format) => {
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new ApiError(`Rates file is not valid JSON: ${error.message}`, 422);
+    }
+
+    if (Array.isArray(data)) {
+      return { base: BASE_CURRENCY, entries: data };
+    }
+    if (!data || typeof data.rates !== 'object') {
+      throw new ApiError('Rates file must contain a "rates" object or be a list of rates', 422);
+    }
+    return {
+      base: data.base || BASE_CURRENCY,
+      effectiveAt: data.effectiveAt,
+      entries: Object.entries(data.rates).map(([currency, rate]) => ({ currency, rate }))
+    };
+  }
+
+  if (format === 'csv') {
+    const [header, ...rows] = content.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const columns = (header || '').split(',').map(column => column.trim());
+    const currencyIndex = columns.indexOf('currency');
+    const rateIndex = columns.indexOf('rate');
+    const effectiveIndex = columns.findIndex(column => ['effectiveAt', 'effective_at', 'date'].includes(column));
+
+    if (currencyIndex === -1 || rateIndex === -1) {
+      throw new ApiError('Rates CSV needs a header row with currency and rate columns', 422);
+    }
+
+    return {
+      base: BASE_CURRENCY,
+      entries: rows.map(row => {
+        const cells = row.split(',').map(cell => cell.trim());
+        return {
+          currency: cells[currencyIndex],
+          rate: cells[rateIndex],
+          effectiveAt: effectiveIndex !== -1 && cells[effectiveIndex] ? cells[effectiveIndex] : undefined
+        };
+      })
+    };
+  }
+
+  throw new ApiError(`Unsupported rates file format: ${format}`, 422);
+};
+
+/**
+ * Store a set of rates. Re-importing a rate for the same currency and time replaces it,
+ * so loading the same file twice is harmless.
+ * @param {Array} entries - [{ currency, rate, effectiveAt? }]
+ * @param {Object} options - Options
+ * @param {string} [options.base=BASE_CURRENCY] - Currency the rates are quoted against
+ * @param {Date|string} [options.effectiveAt=new Date()] - Default effective time for entries without one
+ * @param {string} [options.source='upload'] - 'file' or 'upload'
+ * @param {ObjectId} [options.importedBy] - Admin uploading the rates
+ * @returns {Promise<Object>} { imported, currencies }
+ */
+const importRates = async (entries, options = {}) => {
+  const { source = 'upload', importedBy } = options;
+  const base = String(options.base || BASE_CURRENCY).toUpperCase();
+  const defaultEffectiveAt = options.effectiveAt ? new Date(options.effectiveAt) : new Date();
+
+  if (!isSupportedCurrency(base)) {
+    throw new ApiError(`Unsupported base currency: ${base}`, 422);
+  }
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new ApiError('No rates to import', 422);
+  }
+
+  const errors = [];
+  const normalized = entries.map((entry, index) => {
+    const currency = String(entry.currency || '').trim().toUpperCase();
+    const rate = parseFloat(entry.rate);
+    const effectiveAt = entry.effectiveAt ? new Date(entry.effectiveAt) : defaultEffectiveAt;
+
+    if (!isSupportedCurrency(currency)) errors.push(`Row ${index + 1}: unsupported currency "${entry.currency}"`);
+    if (!Number.isFinite(rate) || rate <= 0) errors.push(`Row ${index + 1}: rate must be a positive number`);
+    if (isNaN(effectiveAt)) errors.push(`Row ${index + 1}: invalid effective date`);
+
+    return { currency, rate, effectiveAt };
+  });
+
+  if (errors.length > 0) {
+    throw new ApiError(`Invalid rates: ${errors.slice(0, 10).join('; ')}`, 422);
+  }
+
+  const rates = rebaseRates(normalized, base);
+  await ExchangeRate.bulkWrite(rates.map(({ currency, rate, effectiveAt }) => ({
+    updateOne: {
+      filter: { currency, effectiveAt },
+      update: { $set: { rate, source, importedBy } },
+      upsert: true
+    }
+  })));
+
+  currentRatesCache = null;
+
+  return {
+    imported: rates.length,
+    currencies: [...new Set(rates.map(({ currency }) => currency))]
+  };
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  roundCurrency,
+  formatMoney,
+  isSupportedCurrency,
+  getRates,
+  getRate,
+  createConverter,
+  getDisplayCurrency,
+  rebaseRates,
+  parseRatesFile,
+  importRates
+};
@@ -167,6 +167,12 @@ const sendAccountActivityEmail = async (email, activity) => {
     case '2fa_disabled':
       activityText = 'disabled two-factor authentication';
       break;
+    case 'passkey_added':
+      activityText = 'added a passkey to your account';
+      break;
+    case 'passkey_removed':
+      activityText = 'removed a passkey from your account';
+      break;
     default:
       activityText = 'performed an action';
   }
@@ -201,6 +207,120 @@ const sendAccountActivityEmail = async (email, activity) => {
   }
 };
 
+// Escape user-supplied text placed in email HTML
+const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Send referral invitation email
+const sendReferralInviteEmail = async (email, invite) => {
+  const { referrerName, referralCode, referralLink } = invite;
+  const inviter = escapeHtml(referrerName || 'A friend');
+
+  const mailOptions = {
+    from: functions.config().email?.user,
+    to: email,
+    subject: `${referrerName || 'A friend'} invited you to CashHeros`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #4a4a4a;">You've been invited to CashHeros!</h2>
+        <p>${inviter} thinks you'd like earning cashback and finding coupons for the stores you already shop at.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${referralLink}" style="background-color: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">Join CashHeros</a>
+        </div>
+        <p>Or sign up at the link below and enter referral code <strong>${referralCode}</strong>:</p>
+        <p style="word-break: break-all;">${referralLink}</p>
+        <p>If you don't know the sender, you can ignore this email.</p>
+        <p>Best regards,<br>The CashHeros Team</p>
+      </div>
+    `
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error('Error sending referral invite email:', error);
+    return false;
+  }
+};
+
+// Absolute link for a notification's in-app action link
+const notificationUrl = (actionLink) => {
+  const frontendUrl = functions.config().frontend?.url || '';
+  if (!actionLink) return `${frontendUrl}/`;
+  return /^https?:\/\//.test(actionLink) ? actionLink : `${frontendUrl}${actionLink}`;
+};
+
+// Send a single notification by email
+const sendNotificationEmail = async (email, notification) => {
+  const { title, message, actionLink } = notification;
+
+  const mailOptions = {
+    from: functions.config().email?.user,
+    to: email,
+    subject: `CashHeros - ${title}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #4a4a4a;">${escapeHtml(title)}</h2>
+        <p>${escapeHtml(message)}</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${notificationUrl(actionLink)}" style="background-color: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">View on CashHeros</a>
+        </div>
+        <p style="color: #888; font-size: 12px;">You can change which notifications you receive in your <a href="${notificationUrl('/notification-preferences')}">notification preferences</a>.</p>
+        <p>Best regards,<br>The CashHeros Team</p>
+      </div>
+    `
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error('Error sending notification email:', error);
+    return false;
+  }
+};
+
+// Send a daily or weekly digest of notifications
+const sendNotificationDigestEmail = async (email, digest) => {
+  const { frequency, notifications } = digest;
+  const period = frequency === 'weekly' ? 'week' : 'day';
+
+  const items = notifications.map(({ title, message, actionLink }) => `
+          <li style="margin-bottom: 15px;">
+            <a href="${notificationUrl(actionLink)}" style="color: #4a4a4a; font-weight: bold;">${escapeHtml(title)}</a>
+            <div>${escapeHtml(message)}</div>
+          </li>`).join('');
+
+  const mailOptions = {
+    from: functions.config().email?.user,
+    to: email,
+    subject: `CashHeros - Your ${frequency} digest (${notifications.length} update${notifications.length === 1 ? '' : 's'})`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #4a4a4a;">Your ${frequency} digest</h2>
+        <p>Here is what happened on your account this ${period}:</p>
+        <ul style="padding-left: 20px;">${items}
+        </ul>
+        <p style="color: #888; font-size: 12px;">You can change your digest frequency in your <a href="${notificationUrl('/notification-preferences')}">notification preferences</a>.</p>
+        <p>Best regards,<br>The CashHeros Team</p>
+      </div>
+    `
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error('Error sending notification digest email:', error);
+    return false;
+  }
+};
+
 module.exports = {
   generateToken,
   generateOTP,
@@ -208,5 +328,8 @@ module.exports = {
   sendPasswordResetEmail,
   sendTwoFactorCode,
   sendBackupCodesEmail,
-  sendAccountActivityEmail
+  sendAccountActivityEmail,
+  sendReferralInviteEmail,
+  sendNotificationEmail,
+  sendNotificationDigestEmail
 };
\ No newline at end of file
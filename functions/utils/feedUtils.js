@@ -0,0 +1,635 @@
+/**
+ * @module utils/feedUtils
+ * @description Ingest affiliate network offer feeds (CSV, XML or JSON) dropped into a directory
+ *
+ * The drop directory must be configured (functions config feeds.drop_dir) on storage that every instance
+ * shares and can write, such as a mounted Cloud Storage bucket; a function's own directory is read-only
+ * and local to each instance. Without it, nothing is ingested.
+ *
+ * Feeds are dropped as <drop dir>/<network>/<file>.csv|xml|json, and each file is a full snapshot
+ * of the network's current offers:
+ * 1. The file is claimed by moving it to <network>/processing, so overlapping runs never share one.
+ * 2. Records are mapped to normalized fields (FEED_FIELD_MAPS, overridable per network in functions
+ *    config affiliates.<network>.feed_map) and matched to stores by the network's merchant ID.
+ * 3. Records with a code become coupons, the rest cashback offers. Offers are matched to earlier
+ *    runs by the network's offer ID; a coupon entered by hand with the same code is adopted.
+ * 4. Offers of the network that are missing from the file are retired (deactivated), unless the
+ *    file looks incomplete. An offer the feed retired is reactivated when it comes back; one an admin
+ *    deactivated stays inactive.
+ * 5. The file moves to <network>/processed or <network>/failed, and the FeedRun records the outcome.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const functions = require('firebase-functions');
+const { XMLParser } = require('fast-xml-parser');
+const Coupon = require('../models/Coupon');
+const Cashback = require('../models/Cashback');
+const Store = require('../models/Store');
+const FeedRun = require('../models/FeedRun');
+const { parseCsv } = require('./csvUtils');
+const { escapeRegex } = require('./regexUtils');
+const { ApiError } = require('../middleware/errorHandlerMiddleware');
+const cache = require('./cache');
+const { logger } = require('../middleware/loggingMiddleware');
+
+/**
+ * Feed field names per network, tried in order. Networks without their own map use the default.
+ * Names may be dotted paths into nested JSON or XML records (e.g. "advertiser.name").
+ */
+const FEED_FIELD_MAPS = {
+  default: {
+    offerId: ['offer_id', 'offerId', 'promotion_id', 'promotionId', 'id'],
+    merchantId: ['merchant_id', 'merchantId', 'advertiser_id', 'advertiserId', 'program_id'],
+    merchantName: ['merchant_name', 'merchantName', 'advertiser_name', 'advertiserName', 'merchant'],
+    merchantUrl: ['merchant_url', 'merchantUrl', 'advertiser_url', 'website'],
+    merchantLogo: ['merchant_logo', 'merchantLogo', 'logo_url', 'logo'],
+    code: ['code', 'coupon_code', 'couponCode', 'voucher_code', 'promo_code'],
+    title: ['title', 'offer_name', 'name', 'headline'],
+    description: ['description', 'offer_description', 'details'],
+    discount: ['discount', 'discount_amount', 'discount_value'],
+    discountType: ['discount_type', 'discountType'],
+    url: ['url', 'tracking_url', 'deeplink', 'click_url', 'link'],
+    terms: ['terms', 'terms_and_conditions', 'restrictions'],
+    startDate: ['start_date', 'startDate', 'valid_from', 'starts'],
+    expiryDate: ['end_date', 'expiry_date', 'expiryDate', 'valid_to', 'expires'],
+    category: ['category', 'categories'],
+    cashbackRate: ['cashback_rate', 'cashbackRate', 'commission_rate', 'commission'],
+    currency: ['currency', 'currency_code']
+  }
+};
+
+const FEED_FORMATS = FeedRun.FORMATS;
+const NETWORK_NAME = /^[a-z0-9_-]+$/i;
+
+/**
+ * Get the feed settings from functions config
+ * @returns {Object} Feed settings
+ */
+const getFeedSettings = () => {
+  const config = functions.config().feeds || {};
+  const maxRetireRatio = parseFloat(config.max_retire_ratio);
+  return {
+    dropDir: config.drop_dir || null,
+    // Largest share of a network's active offers one file may retire; more suggests a truncated feed
+    maxRetireRatio: maxRetireRatio >= 0 && maxRetireRatio <= 1 ? maxRetireRatio : 0.5
+  };
+};
+
+/**
+ * Get the drop directory, which must be configured
+ * @returns {string} Drop directory
+ * @throws {ApiError} If feeds.drop_dir is not set
+ */
+const getDropDir = () => {
+  const { dropDir } = getFeedSettings();
+  if (!dropDir) {
+    throw new ApiError('Feed drop directory is not configured (feeds.drop_dir)', 503);
+  }
+  return dropDir;
+};
+
+/**
+ * Get the feed config of a network
+ * @param {string} network - Network name
+ * @returns {Object} { fieldMap, recordPath }
+ */
+const getNetworkFeedConfig = (network) => {
+  const config = (functions.config().affiliates || {})[network] || {};
+  const overrides = config.feed_map || {};
+  const defaults = FEED_FIELD_MAPS[network] || FEED_FIELD_MAPS.default;
+
+  const fieldMap = Object.keys(FEED_FIELD_MAPS.default).reduce((map, field) => {
+    // Overrides are comma-separated field names under the snake_case field, since config keys are
+    // lowercase, e.g. affiliates.awin.feed_map.merchant_id="advertiserId,programId"
+    const override = overrides[field.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`)];
+    map[field] = override
+      ? String(override).split(',').map(name => name.trim()).filter(Boolean)
+      : defaults[field];
+    return map;
+  }, {});
+
+  return { fieldMap, recordPath: config.feed_record_path || null };
+};
+
+/**
+ * Read a dotted path from an object
+ * @param {Object} source - Object to read
+ * @param {string} fieldPath - Dotted path
+ * @returns {*} Value, or undefined
+ */
+const getPath = (source, fieldPath) => fieldPath.split('.').reduce(
+  (value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined),
+  source
+);
+
+/**
+ * Find the list of records in a parsed JSON or XML document: the first list found, nearest the root.
+ * A document without a list holds a single record (XML does not wrap one element in a list), which is
+ * the first object with only plain values.
+ * @param {*} data - Parsed document
+ * @returns {Array|null} Records
+ */
+const findRecordList = (data) => {
+  const queue = [data];
+  let single = null;
+  while (queue.length > 0) {
+    const value = queue.shift();
+    if (Array.isArray(value)) return value;
+    if (value === null || typeof value !== 'object') continue;
+
+    const children = Object.values(value).filter(child => child !== null && typeof child === 'object' && !('#text' in child));
+    if (children.length === 0 && !single) single = value;
+    queue.push(...children);
+  }
+  return single ? [single] : null;
+};
+
+/**
+ * Parse a feed file into raw records
+ * @param {string} content - File contents
+ * @param {string} format - 'csv', 'xml' or 'json'
+ * @param {string|null} [recordPath] - Dotted path to the records in a JSON or XML document
+ * @returns {Array<Object>} Records
+ */
+const parseFeed = (content, format, recordPath = null) => {
+  if (format === 'csv') {
+    return parseCsv(content).records;
+  }
+
+  let data;
+  if (format === 'json') {
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Feed is not valid JSON: ${error.message}`);
+    }
+  } else if (format === 'xml') {
+    // Attributes are read as fields, and values are kept as text so codes like 007 survive
+    const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '', parseTagValue: false, ignoreDeclaration: true });
+    try {
+      data = parser.parse(content);
+    } catch (error) {
+      throw new Error(`Feed is not valid XML: ${error.message}`);
+    }
+  } else {
+    throw new Error(`Unsupported feed format: ${format}`);
+  }
+
+  let records = recordPath ? getPath(data, recordPath) : findRecordList(data);
+  // An XML feed with a single record has no list
+  if (records && !Array.isArray(records) && typeof records === 'object') records = [records];
+  if (!Array.isArray(records)) {
+    throw new Error(recordPath
+      ? `Feed has no records at ${recordPath}`
+      : 'Feed has no list of records; set feed_record_path for this network');
+  }
+  return records;
+};
+
+/**
+ * Map a raw feed record to the normalized fields, as trimmed text
+ * @param {Object} fieldMap - Field map of the network
+ * @param {Object} record - Raw record
+ * @returns {Object} Normalized record; missing fields are undefined
+ */
+const normalizeFeedRecord = (fieldMap, record) => Object.keys(fieldMap).reduce((normalized, field) => {
+  let value;
+  for (const name of fieldMap[field]) {
+    value = getPath(record, name);
+    // XML elements that also have attributes keep their text under #text
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) value = value['#text'];
+    if (Array.isArray(value)) value = value[0];
+    if (value !== undefined && value !== null && String(value).trim() !== '') break;
+    value = undefined;
+  }
+  normalized[field] = value === undefined ? undefined : String(value).trim();
+  return normalized;
+}, {});
+
+/**
+ * Parse a number from feed text such as "20%", "$15.00" or "7,5"
+ * @param {string} value - Feed value
+ * @returns {number|undefined} Number
+ */
+const parseFeedNumber = (value) => {
+  if (value === undefined) return undefined;
+  const number = parseFloat(value.replace(',', '.').replace(/[^\d.-]/g, ''));
+  return isNaN(number) ? undefined : number;
+};
+
+/**
+ * Parse a date from feed text
+ * @param {string} value - Feed value
+ * @returns {Date|undefined} Date
+ */
+const parseFeedDate = (value) => {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Work out the discount type of a coupon record
+ * @param {Object} offer - Normalized record
+ * @returns {string} 'percentage' or 'fixed'
+ */
+const feedDiscountType = (offer) => {
+  const type = (offer.discountType || '').toLowerCase();
+  if (['percentage', 'percent', '%', 'pct'].includes(type)) return 'percentage';
+  if (['fixed', 'amount', 'flat', 'value'].includes(type)) return 'fixed';
+  return offer.discount && !offer.discount.includes('%') && /[^\d.,\s%]/.test(offer.discount) ? 'fixed' : 'percentage';
+};
+
+/**
+ * Find the store a feed record belongs to: by the network's merchant ID, then by name. A store
+ * matched by name is linked to the merchant ID. Unknown merchants with a name and logo get a new
+ * store, created inactive so an admin reviews it before it is listed.
+ * @param {string} network - Network name
+ * @param {Object} offer - Normalized record
+ * @param {Object} run - FeedRun document (store counts are updated)
+ * @param {Map} storeCache - Stores already resolved in this run
+ * @returns {Promise<Object>} Store document
+ */
+const resolveFeedStore = async (network, offer, run, storeCache) => {
+  const key = offer.merchantId ? `id:${offer.merchantId}` : `name:${(offer.merchantName || '').toLowerCase()}`;
+  if (storeCache.has(key)) return storeCache.get(key);
+
+  let store = null;
+  if (offer.merchantId) {
+    store = await Store.findOne({
+      affiliateMerchants: { $elemMatch: { network, merchantId: offer.merchantId } }
+    });
+  }
+
+  if (!store && offer.merchantName) {
+    store = await Store.findOne({ name: { $regex: `^${escapeRegex(offer.merchantName)}$`, $options: 'i' } });
+    if (store && offer.merchantId) {
+      store.affiliateMerchants.push({ network, merchantId: offer.merchantId });
+      run.stores.linked += 1;
+    }
+  }
+
+  if (!store && offer.merchantName && offer.merchantLogo) {
+    store = new Store({
+      name: offer.merchantName,
+      logo: offer.merchantLogo,
+      website: offer.merchantUrl,
+      isActive: false,
+      affiliateMerchants: offer.merchantId ? [{ network, merchantId: offer.merchantId }] : []
+    });
+    run.stores.created += 1;
+  }
+
+  if (!store) {
+    throw new Error(`Merchant ${offer.merchantId || offer.merchantName || '(unnamed)'} has no store and no name and logo to create one`);
+  }
+
+  // The feed only fills in what the store is missing; anything entered by hand wins
+  if (!store.website && offer.merchantUrl) store.website = offer.merchantUrl;
+  if (store.isNew || store.isModified()) await store.save();
+
+  storeCache.set(key, store);
+  return store;
+};
+
+/**
+ * Set the fields of an offer from a feed record, and work out what changed
+ * @param {Object} document - Coupon or Cashback document
+ * @param {Object} fields - Offer fields from the feed
+ * @param {string} network - Network name
+ * @param {string} offerId - Network's offer ID
+ * @param {Date} now - Current time
+ * @returns {string} 'created', 'updated' or 'unchanged'
+ */
+const applyFeedFields = (document, fields, network, offerId, now) => {
+  // Only offers the feed itself retired come back; one an admin deactivated stays inactive
+  const retiredByFeed = Boolean(document.feedSource && document.feedSource.retiredAt);
+  document.set(fields);
+  if (document.isNew || retiredByFeed) document.set('isActive', true);
+  document.set('feedSource.network', network);
+  document.set('feedSource.offerId', offerId);
+  document.set('feedSource.retiredAt', undefined);
+  const change = document.isNew ? 'created' : document.isModified() ? 'updated' : 'unchanged';
+
+  document.set('feedSource.lastSeenAt', now);
+  return change;
+};
+
+/**
+ * Create or update the coupon of a feed record
+ * @param {string} network - Network name
+ * @param {string} offerId - Network's offer ID
+ * @param {Object} offer - Normalized record
+ * @param {Object} store - Store document
+ * @param {Date} now - Current time
+ * @returns {Promise<string>} 'created', 'updated' or 'unchanged'
+ */
+const upsertFeedCoupon = async (network, offerId, offer, store, now) => {
+  const code = offer.code.toUpperCase();
+  let coupon = await Coupon.findOne({ 'feedSource.network': network, 'feedSource.offerId': offerId });
+  if (!coupon) {
+    coupon = await Coupon.findOne({ code });
+    if (coupon && coupon.feedSource && coupon.feedSource.network && coupon.feedSource.network !== network) {
+      throw new Error(`Code ${code} is already maintained by the ${coupon.feedSource.network} feed`);
+    }
+  }
+  if (!coupon) coupon = new Coupon();
+
+  const fields = {
+    code,
+    title: offer.title,
+    description: offer.description,
+    discount: parseFeedNumber(offer.discount),
+    discountType: feedDiscountType(offer),
+    store: store._id,
+    url: offer.url,
+    terms: offer.terms,
+    startDate: parseFeedDate(offer.startDate),
+    expiryDate: parseFeedDate(offer.expiryDate),
+    category: offer.category
+  };
+  // Leave out what the feed does not have, so it keeps what was entered by hand
+  Object.keys(fields).forEach(field => fields[field] === undefined && delete fields[field]);
+
+  const change = applyFeedFields(coupon, fields, network, offerId, now);
+  await coupon.save();
+  return change;
+};
+
+/**
+ * Create or update the cashback offer of a feed record
+ * @param {string} network - Network name
+ * @param {string} offerId - Network's offer ID
+ * @param {Object} offer - Normalized record
+ * @param {Object} store - Store document
+ * @param {Date} now - Current time
+ * @returns {Promise<string>} 'created', 'updated' or 'unchanged'
+ */
+const upsertFeedCashback = async (network, offerId, offer, store, now) => {
+  const cashback = await Cashback.findOne({ 'feedSource.network': network, 'feedSource.offerId': offerId }) ||
+    new Cashback();
+
+  const fields = {
+    title: offer.title,
+    description: offer.description,
+    amount: parseFeedNumber(offer.cashbackRate),
+    currency: offer.currency && offer.currency.toUpperCase(),
+    store: store._id,
+    category: offer.category,
+    terms: offer.terms,
+    expiryDate: parseFeedDate(offer.expiryDate)
+  };
+  Object.keys(fields).forEach(field => fields[field] === undefined && delete fields[field]);
+
+  const change = applyFeedFields(cashback, fields, network, offerId, now);
+  await cashback.save();
+  return change;
+};
+
+/**
+ * Describe why an offer could not be saved
+ * @param {Error} error - Save error
+ * @returns {string} Message
+ */
+const feedErrorMessage = (error) => {
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map(({ message }) => message).join('; ');
+  }
+  if (error.code === 11000) {
+    return 'Offer conflicts with an existing offer (duplicate code or offer ID)';
+  }
+  return error.message;
+};
+
+/**
+ * Retire the network's offers that are missing from a feed file, unless the file looks incomplete:
+ * some of its records had no offer ID, or it would retire more than maxRetireRatio of the offers.
+ * @param {string} network - Network name
+ * @param {Object} seen - { coupons: Set, cashbacks: Set } of offer IDs in the file
+ * @param {Object} run - FeedRun document
+ * @param {Date} now - Current time
+ * @returns {Promise<void>}
+ */
+const retireMissingOffers = async (network, seen, run, now) => {
+  const { maxRetireRatio } = getFeedSettings();
+  const targets = [
+    { Model: Coupon, counts: run.coupons, offerIds: [...seen.coupons] },
+    { Model: Cashback, counts: run.cashbacks, offerIds: [...seen.cashbacks] }
+  ];
+
+  let active = 0;
+  let missing = 0;
+  for (const target of targets) {
+    target.filter = { 'feedSource.network': network, isActive: true, 'feedSource.offerId': { $nin: target.offerIds } };
+    active += await target.Model.countDocuments({ 'feedSource.network': network, isActive: true });
+    missing += await target.Model.countDocuments(target.filter);
+  }
+  if (missing === 0) return;
+
+  if (seen.unidentified > 0) {
+    run.retirementSkipped = `${seen.unidentified} record(s) had no offer ID, so ${missing} missing offer(s) were kept`;
+    return;
+  }
+  if (missing / active > maxRetireRatio) {
+    run.retirementSkipped = `The feed would retire ${missing} of ${active} active offers ` +
+      `(limit ${Math.round(maxRetireRatio * 100)}%); it may be incomplete`;
+    return;
+  }
+
+  for (const { Model, counts, filter } of targets) {
+    const result = await Model.updateMany(filter, { $set: { isActive: false, 'feedSource.retiredAt': now } });
+    counts.retired = result.modifiedCount;
+  }
+};
+
+/**
+ * Ingest the records of a feed file into a run
+ * @param {string} network - Network name
+ * @param {Array<Object>} records - Raw records
+ * @param {Object} run - FeedRun document (counts and errors are updated)
+ * @param {Date} now - Current time
+ * @returns {Promise<void>}
+ */
+const ingestFeedRecords = async (network, records, run, now) => {
+  const { fieldMap } = getNetworkFeedConfig(network);
+  const storeCache = new Map();
+  const seen = { coupons: new Set(), cashbacks: new Set(), unidentified: 0 };
+
+  for (const [index, record] of records.entries()) {
+    // Records are numbered from 1, not counting a CSV header
+    const number = index + 1;
+    const offer = normalizeFeedRecord(fieldMap, record && typeof record === 'object' ? record : {});
+    const offerId = offer.offerId || offer.code;
+    const kind = offer.code ? 'coupons' : 'cashbacks';
+
+    if (!offerId) {
+      seen.unidentified += 1;
+      run.recordError({ record: number, message: 'Record has no offer ID or code' });
+      continue;
+    }
+    if (seen[kind].has(offerId)) {
+      run.recordError({ record: number, offerId, message: `Offer ${offerId} appears more than once in this file` });
+      continue;
+    }
+    // Offers that fail are still in the feed, so they are never retired for it
+    seen[kind].add(offerId);
+
+    try {
+      const store = await resolveFeedStore(network, offer, run, storeCache);
+      const change = kind === 'coupons'
+        ? await upsertFeedCoupon(network, offerId, offer, store, now)
+        : await upsertFeedCashback(network, offerId, offer, store, now);
+      run[kind][change] += 1;
+    } catch (error) {
+      run.recordError({ record: number, offerId, message: feedErrorMessage(error) });
+    }
+  }
+
+  await retireMissingOffers(network, seen, run, now);
+};
+
+/**
+ * List the networks that have a feed directory or their own feed mapping
+ * @returns {Promise<Array<string>>} Network names
+ */
+const listFeedNetworks = async () => {
+  const { dropDir } = getFeedSettings();
+  let directories = [];
+  try {
+    directories = dropDir
+      ? (await fs.promises.readdir(dropDir, { withFileTypes: true }))
+        .filter(entry => entry.isDirectory() && NETWORK_NAME.test(entry.name))
+        .map(entry => entry.name)
+      : [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const affiliates = functions.config().affiliates || {};
+  const configured = Object.keys(affiliates).filter(network => affiliates[network] && affiliates[network].feed_map);
+  return [...new Set([...directories, ...configured])].sort();
+};
+
+/**
+ * List the feed files waiting in the drop directory, oldest first
+ * @param {string} [network] - Only this network's files
+ * @returns {Promise<Array<Object>>} [{ network, file, format, path, modifiedAt }]
+ * @throws {ApiError} If the drop directory is not configured
+ */
+const listPendingFeeds = async (network) => {
+  const dropDir = getDropDir();
+  const networks = network ? [network] : await listFeedNetworks();
+
+  const feeds = [];
+  for (const name of networks) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(path.join(dropDir, name), { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      const format = path.extname(entry.name).slice(1).toLowerCase();
+      if (!entry.isFile() || !FEED_FORMATS.includes(format)) continue;
+      const filePath = path.join(dropDir, name, entry.name);
+      const { mtime } = await fs.promises.stat(filePath);
+      feeds.push({ network: name, file: entry.name, format, path: filePath, modifiedAt: mtime });
+    }
+  }
+
+  return feeds.sort((a, b) => a.modifiedAt - b.modifiedAt);
+};
+
+/**
+ * Move a feed file into one of its network's subdirectories
+ * @param {string} filePath - Current path
+ * @param {string} network - Network name
+ * @param {string} folder - 'processing', 'processed' or 'failed'
+ * @param {string} fileName - Name in the folder
+ * @returns {Promise<string>} New path
+ */
+const moveFeedFile = async (filePath, network, folder, fileName) => {
+  const directory = path.join(getDropDir(), network, folder);
+  await fs.promises.mkdir(directory, { recursive: true });
+  const target = path.join(directory, fileName);
+  await fs.promises.rename(filePath, target);
+  return target;
+};
+
+/**
+ * Ingest one feed file
+ * @param {Object} feed - Pending feed from listPendingFeeds
+ * @param {Object} options - Options
+ * @param {string} [options.trigger='schedule'] - What started the run
+ * @param {ObjectId} [options.triggeredBy] - Admin who started the run
+ * @param {Date} [options.now=new Date()] - Current time
+ * @returns {Promise<Object|null>} FeedRun document, or null if another run claimed the file first
+ */
+const ingestFeedFile = async (feed, options = {}) => {
+  const { trigger = 'schedule', triggeredBy, now = new Date() } = options;
+  // Processed files are kept under their run time, so a network can reuse a file name
+  const fileName = `${now.toISOString().replace(/[:.]/g, '-')}-${feed.file}`;
+
+  let processingPath;
+  try {
+    processingPath = await moveFeedFile(feed.path, feed.network, 'processing', fileName);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  const run = new FeedRun({ network: feed.network, file: feed.file, format: feed.format, trigger, triggeredBy, startedAt: now });
+  await run.save();
+
+  try {
+    const content = await fs.promises.readFile(processingPath, 'utf8');
+    const records = parseFeed(content, feed.format, getNetworkFeedConfig(feed.network).recordPath);
+    run.records = records.length;
+    await ingestFeedRecords(feed.network, records, run, now);
+    run.status = 'completed';
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+    logger.error(`Feed ${feed.network}/${feed.file} failed: ${error.message}`);
+  }
+
+  run.finishedAt = new Date();
+  await run.save();
+  await moveFeedFile(processingPath, feed.network, run.status === 'completed' ? 'processed' : 'failed', fileName);
+
+  if (run.coupons.created + run.coupons.updated + run.coupons.retired > 0) {
+    await cache.clear('coupons:list');
+  }
+  return run;
+};
+
+/**
+ * Ingest every feed file waiting in the drop directory
+ * @param {Object} options - Options, see ingestFeedFile
+ * @param {string} [options.network] - Only this network's files
+ * @returns {Promise<Array<Object>>} FeedRun documents
+ */
+const ingestPendingFeeds = async (options = {}) => {
+  const feeds = await listPendingFeeds(options.network);
+  const runs = [];
+  for (const feed of feeds) {
+    const run = await ingestFeedFile(feed, options);
+    if (run) runs.push(run);
+  }
+  return runs;
+};
+
+module.exports = {
+  FEED_FIELD_MAPS,
+  getFeedSettings,
+  getNetworkFeedConfig,
+  parseFeed,
+  normalizeFeedRecord,
+  listFeedNetworks,
+  listPendingFeeds,
+  ingestFeedFile,
+  ingestPendingFeeds
+};
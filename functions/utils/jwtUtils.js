@@ -7,27 +7,34 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const functions = require('firebase-functions');
 const User = require('../models/User');
+const tokenRevocation = require('./tokenRevocation');
 
-// In-memory token blacklist (should be replaced with Redis in production)
-const tokenBlacklist = new Set();
+/**
+ * Generate a JWT ID, so a single token can be revoked
+ * @returns {string} Random hex ID
+ */
+const generateJti = () => crypto.randomBytes(16).toString('hex');
 
 /**
  * Generate an access token for a user
  * @param {Object} user - User object
  * @param {string} expiresIn - Token expiration time (default: '15m')
+ * @param {Object} [options] - Options
+ * @param {string} [options.sessionId] - Session (refresh token entry) the token belongs to
  * @returns {string} JWT access token
  */
-const generateAccessToken = (user, expiresIn = '15m') => {
+const generateAccessToken = (user, expiresIn = '15m', options = {}) => {
   return jwt.sign(
     {
       userId: user._id,
       role: user.role,
       email: user.email,
       verified: user.verified,
-      tokenVersion: user.tokenVersion || 0
+      tokenVersion: user.tokenVersion || 0,
+      ...(options.sessionId && { sessionId: String(options.sessionId) })
     },
     functions.config().secrets.jwt_secret,
-    { expiresIn }
+    { expiresIn, jwtid: generateJti() }
   );
 };
 
@@ -35,36 +42,41 @@ const generateAccessToken = (user, expiresIn = '15m') => {
  * Generate a refresh token for a user
  * @param {Object} user - User object
  * @param {string} expiresIn - Token expiration time (default: '7d')
+ * @param {Object} [options] - Options
+ * @param {string} [options.sessionId] - Session the token belongs to; every token rotated from it shares it
  * @returns {string} JWT refresh token
  */
-const generateRefreshToken = (user, expiresIn = '7d') => {
+const generateRefreshToken = (user, expiresIn = '7d', options = {}) => {
   return jwt.sign(
     {
       userId: user._id,
       tokenVersion: user.tokenVersion || 0,
-      tokenId: crypto.randomBytes(16).toString('hex')
+      ...(options.sessionId && { sessionId: String(options.sessionId) })
     },
     functions.config().secrets.jwt_refresh_secret,
-    { expiresIn }
+    { expiresIn, jwtid: generateJti() }
   );
 };
 
 /**
  * Verify an access token
  * @param {string} token - JWT access token
- * @returns {Object|null} Decoded token payload or null if invalid
+ * @returns {Promise<Object|null>} Decoded token payload or null if invalid or revoked
  */
-const verifyAccessToken = (token) => {
+const verifyAccessToken = async (token) => {
+  let decoded;
   try {
-    // Check if token is blacklisted
-    if (tokenBlacklist.has(token)) {
-      return null;
-    }
-    
-    return jwt.verify(token, functions.config().secrets.jwt_secret);
+    decoded = jwt.verify(token, functions.config().secrets.jwt_secret);
   } catch (error) {
     return null;
   }
+
+  // Check if token has been revoked
+  if (await tokenRevocation.getRevocation(decoded.jti)) {
+    return null;
+  }
+
+  return decoded;
 };
 
 /**
@@ -81,71 +93,20 @@ const verifyRefreshToken = (token) => {
 };
 
 /**
- * Refresh an access token using a refresh token
- * @param {string} refreshToken - JWT refresh token
- * @returns {Promise<Object>} Object containing new access token and user info
- * @throws {Error} If refresh token is invalid
- */
-const refreshAccessToken = async (refreshToken) => {
-  // Verify the refresh token
-  const decoded = verifyRefreshToken(refreshToken);
-  
-  if (!decoded) {
-    throw new Error('Invalid refresh token');
-  }
-  
-  // Find the user
-  const user = await User.findById(decoded.userId);
-  
-  if (!user) {
-    throw new Error('User not found');
-  }
-  
-  // Check if token version matches (for token revocation)
-  if (decoded.tokenVersion !== (user.tokenVersion || 0)) {
-    throw new Error('Token has been revoked');
-  }
-  
-  // Generate a new access token
-  const accessToken = generateAccessToken(user);
-  
-  return {
-    accessToken,
-    user: {
-      id: user._id,
-      email: user.email,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      role: user.role,
-      verified: user.verified
-    }
-  };
-};
-
-/**
- * Blacklist a token (for logout)
- * @param {string} token - JWT token to blacklist
+ * Revoke a token until it expires, on every instance (e.g. on logout)
+ * @param {string} token - JWT token to revoke
+ * @param {Object} [options] - Options
+ * @param {string} [options.kind='access'] - access or refresh
+ * @param {string} [options.reason='logout'] - logout, rotated or reuse
+ * @returns {Promise<boolean>} Whether it was revoked
  */
-const blacklistToken = (token) => {
+const revokeToken = async (token, options = {}) => {
+  const { kind = 'access', reason = 'logout' } = options;
   try {
-    // Verify the token to get its expiration
-    const decoded = jwt.decode(token);
-    
-    if (decoded && decoded.exp) {
-      // Add to blacklist
-      tokenBlacklist.add(token);
-      
-      // Set a timeout to remove from blacklist after expiration
-      // This helps prevent memory leaks in the blacklist Set
-      const expiresIn = decoded.exp * 1000 - Date.now();
-      if (expiresIn > 0) {
-        setTimeout(() => {
-          tokenBlacklist.delete(token);
-        }, expiresIn);
-      }
-    }
+    return await tokenRevocation.revoke(jwt.decode(token), { kind, reason });
   } catch (error) {
-    console.error('Error blacklisting token:', error);
+    console.error('Error revoking token:', error);
+    return false;
   }
 };
 
@@ -184,8 +145,7 @@ module.exports = {
   generateRefreshToken,
   verifyAccessToken,
   verifyRefreshToken,
-  refreshAccessToken,
-  blacklistToken,
+  revokeToken,
   revokeUserTokens,
   extractTokenFromHeader
 };
\ No newline at end of file
@@ -0,0 +1,400 @@
+/**
+ * @module utils/ledgerUtils
+ * @description Double-entry ledger postings for transactions and the user balances derived from them
+ *
+ * Every transaction keeps its money in exactly one ledger account, chosen by its
+ * type and status. Creating a transaction moves the amount from the type's source
+ * account into the status account; each status change moves it from the old status
+ * account to the new one. Each move is written as a journal of two entries summing
+ * to zero, in the same Mongo session as the transaction write, and the user's
+ * balance fields are then re-derived from the ledger in that session.
+ * Ledger amounts are in the base currency, using the rate each transaction locked when recorded.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { ApiError } = require('../middleware/errorHandlerMiddleware');
+const { notifyTransactionStatus } = require('./notificationUtils');
+const { logger } = require('../middleware/loggingMiddleware');
+
+/**
+ * Where the money of a transaction sits, by transaction type and status
+ */
+const POSTING_RULES = {
+  earning: {
+    source: 'earnings',
+    accounts: {
+      pending: 'pending',
+      confirmed: 'available',
+      rejected: 'earnings',
+      paid: 'redeemed'
+    }
+  },
+  // Requested withdrawals hold funds out of the available balance until paid or released
+  withdrawal: {
+    source: 'available',
+    accounts: {
+      pending: 'held',
+      confirmed: 'held',
+      rejected: 'available',
+      paid: 'redeemed'
+    }
+  }
+};
+
+/**
+ * Transaction types that credit the user
+ */
+const EARNING_TYPES = ['cashback', 'referral', 'bonus'];
+
+/**
+ * Listeners called once a created or moved transaction has been committed
+ */
+const commitListeners = [];
+
+/**
+ * Round a monetary amount to cents
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Get a transaction's cashback amount in the base currency
+ * @param {Object} transaction - Transaction document
+ * @returns {number} Amount in the base currency, rounded to cents
+ */
+const toBaseAmount = (transaction) => roundAmount(transaction.cashbackAmount / (transaction.exchangeRate || 1));
+
+/**
+ * Get the posting rules for a transaction type
+ * @param {string} type - Transaction type
+ * @returns {Object} Posting rules
+ */
+const getPostingRules = (type) => {
+  if (EARNING_TYPES.includes(type)) {
+    return POSTING_RULES.earning;
+  }
+
+  const rules = POSTING_RULES[type];
+  if (!rules) {
+    throw new Error(`No ledger posting rules for transaction type: ${type}`);
+  }
+  return rules;
+};
+
+/**
+ * Run a function inside a Mongo transaction (needs a replica set; connectDatabase refuses standalone servers)
+ * @param {Function} fn - Async function receiving the session
+ * @returns {Promise<*>} Result of fn
+ */
+const runInSession = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Post a journal moving a transaction's amount between two accounts
+ * @param {Object} transaction - Transaction document
+ * @param {string} fromAccount - Account to debit
+ * @param {string} toAccount - Account to credit
+ * @param {Object} options - Posting options
+ * @param {string} options.event - What caused the posting
+ * @param {ObjectId} [options.createdBy] - User who triggered the posting
+ * @param {ClientSession} [options.session] - Mongo session
+ * @returns {Promise<Array>} Created ledger entries (empty if nothing moved)
+ */
+const postJournal = async (transaction, fromAccount, toAccount, options = {}) => {
+  const { event, createdBy, session } = options;
+  const amount = toBaseAmount(transaction);
+
+  if (fromAccount === toAccount || amount === 0) {
+    return [];
+  }
+
+  const journalId = crypto.randomBytes(12).toString('hex');
+  const description = `${transaction.typeDisplay || transaction.type} ${event}`;
+  const base = {
+    journalId,
+    user: transaction.user,
+    transaction: transaction._id,
+    event,
+    description,
+    createdBy
+  };
+
+  return LedgerEntry.insertMany([
+    { ...base, account: fromAccount, amount: -amount },
+    { ...base, account: toAccount, amount }
+  ], { session });
+};
+
+/**
+ * Compute a user's balances from the ledger
+ * @param {ObjectId|string} userId - User ID
+ * @param {Object} options - Options
+ * @param {ClientSession} [options.session] - Mongo session
+ * @returns {Promise<Object>} Derived balances
+ */
+const computeBalances = async (userId, options = {}) => {
+  const totals = await LedgerEntry.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: '$account', total: { $sum: '$amount' } } }
+  ]).session(options.session || null);
+
+  const accounts = totals.reduce((acc, { _id, total }) => {
+    acc[_id] = roundAmount(total);
+    return acc;
+  }, {});
+
+  const available = accounts.available || 0;
+  const held = accounts.held || 0;
+  const redeemed = accounts.redeemed || 0;
+
+  return {
+    balance: available,
+    pendingBalance: accounts.pending || 0,
+    heldBalance: held,
+    totalEarned: roundAmount(available + held + redeemed),
+    totalRedeemed: redeemed
+  };
+};
+
+/**
+ * Re-derive a user's balance fields from the ledger and store them
+ * @param {ObjectId|string} userId - User ID
+ * @param {Object} options - Options
+ * @param {ClientSession} [options.session] - Mongo session
+ * @returns {Promise<Object>} Derived balances
+ */
+const syncUserBalances = async (userId, options = {}) => {
+  const { heldBalance, ...balances } = await computeBalances(userId, options);
+  await User.updateOne({ _id: userId }, { $set: balances }, { session: options.session });
+  return { ...balances, heldBalance };
+};
+
+/**
+ * Register a listener called with each transaction created or moved by this module,
+ * after its Mongo transaction commits. Listener failures are logged, never thrown.
+ * @param {Function} listener - Async function receiving the transaction document
+ */
+const onTransactionCommitted = (listener) => {
+  commitListeners.push(listener);
+};
+
+/**
+ * Run the commit listeners for a transaction, optionally notifying its owner first.
+ * Called internally for self-managed sessions; callers that pass their own session
+ * call it after their commit.
+ * @param {Object} transaction - Transaction document
+ * @param {Object} options - Options
+ * @param {boolean} [options.notify=false] - Notify the owner about the status
+ * @returns {Promise<void>}
+ */
+const publishTransactionCommitted = async (transaction, options = {}) => {
+  if (options.notify) {
+    await notifyTransactionStatus(transaction);
+  }
+
+  for (const listener of commitListeners) {
+    try {
+      await listener(transaction);
+    } catch (error) {
+      logger.error(`Transaction commit listener failed for ${transaction._id}: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Create a transaction and post its opening journal atomically
+ * @param {Object} data - Transaction fields
+ * @param {Object} options - Options
+ * @param {ObjectId} [options.createdBy] - User who created the transaction
+ * @param {ClientSession} [options.session] - Existing session to join instead of starting one
+ * @returns {Promise<Object>} Created transaction
+ */
+const recordTransaction = async (data, options = {}) => {
+  const work = async (session) => {
+    const [transaction] = await Transaction.create([data], { session });
+    const rules = getPostingRules(transaction.type);
+
+    await postJournal(transaction, rules.source, rules.accounts[transaction.status], {
+      event: `created:${transaction.status}`,
+      createdBy: options.createdBy,
+      session
+    });
+    await syncUserBalances(transaction.user, { session });
+
+    return transaction;
+  };
+
+  if (options.session) {
+    return work(options.session);
+  }
+
+  const transaction = await runInSession(work);
+  await publishTransactionCommitted(transaction);
+  return transaction;
+};
+
+/**
+ * Move a transaction to a new status and post the matching journal atomically.
+ * The owner is notified once the change is committed; when joining a caller's
+ * session the caller is responsible for calling publishTransactionCommitted after its own commit.
+ * @param {ObjectId|string} transactionId - Transaction ID
+ * @param {string} status - New status
+ * @param {Object} options - Options
+ * @param {string} [options.note] - Note for the status history
+ * @param {ObjectId} [options.updatedBy] - User making the change
+ * @param {Function} [options.beforeSave] - Hook to adjust the document before it is saved
+ * @param {ClientSession} [options.session] - Existing session to join instead of starting one
+ * @param {boolean} [options.notify=true] - Notify the owner about the new status
+ * @returns {Promise<Object|null>} Updated transaction, or null if it does not exist
+ */
+const transitionTransaction = async (transactionId, status, options = {}) => {
+  const { note, updatedBy, beforeSave, notify = true } = options;
+
+  const work = async (session) => {
+    const transaction = await Transaction.findById(transactionId).session(session);
+    if (!transaction) {
+      return null;
+    }
+
+    const previousStatus = transaction.status;
+    const rules = getPostingRules(transaction.type);
+
+    if (!transaction.canTransitionTo(status)) {
+      throw new ApiError(`A ${previousStatus} transaction cannot be moved to ${status}`, 400);
+    }
+
+    if (beforeSave) {
+      await beforeSave(transaction);
+    }
+
+    await transaction.updateStatus(status, note, updatedBy, { session });
+    await postJournal(transaction, rules.accounts[previousStatus], rules.accounts[status], {
+      event: `${previousStatus}->${status}`,
+      createdBy: updatedBy,
+      session
+    });
+    await syncUserBalances(transaction.user, { session });
+
+    return transaction;
+  };
+
+  if (options.session) {
+    return work(options.session);
+  }
+
+  const transaction = await runInSession(work);
+  if (transaction) {
+    await publishTransactionCommitted(transaction, { notify });
+  }
+  return transaction;
+};
+
+/**
+ * Post opening journals for transactions that predate the ledger
+ * @param {Object} options - Options
+ * @param {boolean} [options.dryRun=true] - Only report what would be posted
+ * @returns {Promise<Array>} Transactions without ledger entries
+ */
+const backfillTransactions = async (options = {}) => {
+  const { dryRun = true } = options;
+  const postedIds = await LedgerEntry.distinct('transaction');
+  const missing = await Transaction.find({ _id: { $nin: postedIds } });
+
+  if (!dryRun) {
+    for (const transaction of missing) {
+      const rules = getPostingRules(transaction.type);
+      await runInSession(session => postJournal(transaction, rules.source, rules.accounts[transaction.status], {
+        event: `opening:${transaction.status}`,
+        session
+      }));
+    }
+  }
+
+  return missing.map(transaction => ({
+    transaction: transaction._id,
+    user: transaction.user,
+    type: transaction.type,
+    status: transaction.status,
+    amount: toBaseAmount(transaction)
+  }));
+};
+
+/**
+ * Compare stored user balances and journals against the ledger
+ * @param {Object} options - Options
+ * @param {ObjectId|string} [options.userId] - Only check a single user
+ * @param {boolean} [options.fix=false] - Overwrite drifting user balances with the derived values
+ * @returns {Promise<Object>} Report of drifting users and unbalanced journals
+ */
+const reconcileBalances = async (options = {}) => {
+  const { userId, fix = false } = options;
+  const fields = ['balance', 'pendingBalance', 'totalEarned', 'totalRedeemed'];
+  const drift = [];
+
+  const userFilter = userId ? { _id: userId } : {};
+  const cursor = User.find(userFilter).select(fields.join(' ') + ' email').cursor();
+
+  for (let user = await cursor.next(); user != null; user = await cursor.next()) {
+    const derived = await computeBalances(user._id);
+    const differences = fields
+      .filter(field => Math.abs((user[field] || 0) - derived[field]) >= 0.01)
+      .map(field => ({ field, stored: user[field] || 0, ledger: derived[field] }));
+
+    if (differences.length > 0) {
+      drift.push({ user: user._id, email: user.email, differences });
+      if (fix) {
+        await syncUserBalances(user._id);
+      }
+    }
+  }
+
+  const journalMatch = userId ? { user: new mongoose.Types.ObjectId(userId) } : {};
+  const unbalancedJournals = await LedgerEntry.aggregate([
+    { $match: journalMatch },
+    { $group: { _id: '$journalId', total: { $sum: '$amount' }, entries: { $sum: 1 } } },
+    { $match: { $expr: { $gte: [{ $abs: '$total' }, 0.01] } } }
+  ]);
+
+  return {
+    checkedAt: new Date(),
+    fixed: fix,
+    drift,
+    unbalancedJournals: unbalancedJournals.map(({ _id, total, entries }) => ({
+      journalId: _id,
+      total: roundAmount(total),
+      entries
+    }))
+  };
+};
+
+module.exports = {
+  POSTING_RULES,
+  EARNING_TYPES,
+  getPostingRules,
+  toBaseAmount,
+  runInSession,
+  postJournal,
+  computeBalances,
+  syncUserBalances,
+  recordTransaction,
+  transitionTransaction,
+  onTransactionCommitted,
+  publishTransactionCommitted,
+  backfillTransactions,
+  reconcileBalances
+};
@@ -0,0 +1,346 @@
+/**
+ * @module utils/loyaltyUtils
+ * @description Loyalty points, tiers and the cashback bonus tiers grant
+ *
+ * Users earn points for confirmed cashback (per dollar), completed referrals and approved
+ * reviews. Points are written to the append-only LoyaltyPointEntry log, awarded at most once
+ * per source and reversed if the source is later rejected. A user's tier is the highest tier
+ * whose minimum is covered by the points earned inside the qualification window; it raises
+ * the cashback percentage of new cashback transactions by the tier's bonus.
+ */
+
+const mongoose = require('mongoose');
+const LoyaltyPointEntry = require('../models/LoyaltyPointEntry');
+const LoyaltySettings = require('../models/LoyaltySettings');
+const User = require('../models/User');
+const { onTransactionCommitted, toBaseAmount } = require('./ledgerUtils');
+const { formatMoney } = require('./currencyUtils');
+const { notifyUser } = require('./notificationUtils');
+
+/**
+ * Program rules used until an admin saves their own
+ */
+const DEFAULT_SETTINGS = {
+  tiers: [
+    { name: 'Bronze', minPoints: 0, cashbackBonus: 0, perks: ['Standard cashback rates'] },
+    { name: 'Silver', minPoints: 1000, cashbackBonus: 0.5, perks: ['+0.5% cashback on every store'] },
+    { name: 'Gold', minPoints: 5000, cashbackBonus: 1, perks: ['+1% cashback on every store', 'Priority support'] }
+  ],
+  pointsPerDollar: 10,
+  referralPoints: 200,
+  reviewPoints: 25,
+  qualificationWindowDays: 365
+};
+
+/**
+ * Load the loyalty settings, creating them from the defaults on first use
+ * @returns {Promise<Object>} Settings document
+ */
+const getLoyaltySettings = async () => {
+  const settings = await LoyaltySettings.findOne({ key: 'default' });
+  if (settings) {
+    return settings;
+  }
+
+  try {
+    return await LoyaltySettings.create({ key: 'default', ...DEFAULT_SETTINGS });
+  } catch (error) {
+    // Another request created them first
+    if (error.code === 11000) {
+      return LoyaltySettings.findOne({ key: 'default' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Replace the loyalty settings
+ * @param {Object} changes - Fields to update (tiers, pointsPerDollar, referralPoints, reviewPoints, qualificationWindowDays)
+ * @param {ObjectId} updatedBy - Admin making the change
+ * @returns {Promise<Object>} Updated settings
+ */
+const updateLoyaltySettings = async (changes, updatedBy) => {
+  const settings = await getLoyaltySettings();
+  const fields = ['tiers', 'pointsPerDollar', 'referralPoints', 'reviewPoints', 'qualificationWindowDays'];
+
+  fields.forEach(field => {
+    if (changes[field] !== undefined) settings[field] = changes[field];
+  });
+  settings.updatedBy = updatedBy;
+
+  return settings.save();
+};
+
+/**
+ * Find the tier a number of qualifying points reaches
+ * @param {Object} settings - Loyalty settings
+ * @param {number} points - Qualifying points
+ * @returns {Object} Tier
+ */
+const resolveTier = (settings, points) => {
+  const tiers = [...settings.tiers].sort((a, b) => a.minPoints - b.minPoints);
+  return tiers.reduce((reached, tier) => (points >= tier.minPoints ? tier : reached), tiers[0]);
+};
+
+/**
+ * Find the tier after a given one
+ * @param {Object} settings - Loyalty settings
+ * @param {Object} tier - Current tier
+ * @returns {Object|null} Next tier, or null at the top
+ */
+const getNextTier = (settings, tier) => {
+  const tiers = [...settings.tiers].sort((a, b) => a.minPoints - b.minPoints);
+  return tiers.find(candidate => candidate.minPoints > tier.minPoints) || null;
+};
+
+/**
+ * Add a user's tier bonus to a store's cashback percentage
+ * @param {ObjectId|string} userId - User ID
+ * @param {number} basePercentage - Store cashback percentage
+ * @returns {Promise<Object>} { percentage, tierBonusPercentage, tier }
+ */
+const getEffectiveCashbackPercentage = async (userId, basePercentage) => {
+  const [user, settings] = await Promise.all([
+    User.findById(userId).select('loyalty'),
+    getLoyaltySettings()
+  ]);
+
+  const tier = resolveTier(settings, user?.loyalty?.qualifyingPoints || 0);
+  const bonus = tier.cashbackBonus || 0;
+
+  return {
+    percentage: Math.min(basePercentage + bonus, 100),
+    tierBonusPercentage: bonus,
+    tier: tier.name
+  };
+};
+
+/**
+ * Work out how many points a transaction earns (per dollar of base-currency cashback)
+ * @param {Object} settings - Loyalty settings
+ * @param {Object} transaction - Transaction document
+ * @returns {number} Points (0 if the transaction earns none)
+ */
+const pointsForTransaction = (settings, transaction) => {
+  if (transaction.type === 'cashback') {
+    return Math.floor(toBaseAmount(transaction) * settings.pointsPerDollar);
+  }
+  if (transaction.type === 'referral') {
+    return settings.referralPoints;
+  }
+  return 0;
+};
+
+/**
+ * Write a point entry, ignoring the duplicate if the source was already awarded or reversed
+ * @param {Object} entry - Entry fields
+ * @returns {Promise<boolean>} True if the entry was written
+ */
+const writeEntry = async (entry) => {
+  try {
+    await LoyaltyPointEntry.create(entry);
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Award or reverse the points for a source so the log matches whether it is eligible
+ * @param {Object} source - { user, sourceType, source, points, eligible, description }
+ * @returns {Promise<boolean>} True if an entry was written
+ */
+const syncSourcePoints = async ({ user, sourceType, source, points, eligible, description }) => {
+  const entries = await LoyaltyPointEntry.find({ sourceType, source }).select('event points');
+  const award = entries.find(entry => entry.event === 'award');
+  const reversed = entries.some(entry => entry.event === 'reversal');
+
+  // A reversed source is never awarded again, so re-moderating a review cannot farm points
+  if (reversed) {
+    return false;
+  }
+  if (eligible && !award && points > 0) {
+    return writeEntry({ user, sourceType, source, points, event: 'award', description });
+  }
+  if (!eligible && award) {
+    return writeEntry({
+      user,
+      sourceType,
+      source,
+      points: -award.points,
+      event: 'reversal',
+      description: `Reversed: ${description}`
+    });
+  }
+  return false;
+};
+
+/**
+ * Award points for a confirmed earning transaction, or take them back once it is rejected
+ * @param {Object} transaction - Transaction document
+ * @param {Object} [settings] - Loyalty settings (loaded if omitted)
+ * @returns {Promise<boolean>} True if the user's points changed
+ */
+const syncTransactionPoints = async (transaction, settings) => {
+  if (transaction.type === 'withdrawal') {
+    return false;
+  }
+  const rules = settings || await getLoyaltySettings();
+
+  return syncSourcePoints({
+    user: transaction.user,
+    sourceType: 'transaction',
+    source: transaction._id,
+    points: pointsForTransaction(rules, transaction),
+    eligible: ['confirmed', 'paid'].includes(transaction.status),
+    description: transaction.type === 'referral'
+      ? 'Completed referral'
+      : `Cashback of ${formatMoney(transaction.cashbackAmount, transaction.currency)}`
+  });
+};
+
+/**
+ * Award points for an approved review, or take them back if it is rejected later
+ * @param {Object} review - Review document
+ * @param {Object} [settings] - Loyalty settings (loaded if omitted)
+ * @returns {Promise<boolean>} True if the user's points changed
+ */
+const syncReviewPoints = async (review, settings) => {
+  const rules = settings || await getLoyaltySettings();
+
+  return syncSourcePoints({
+    user: review.user,
+    sourceType: 'review',
+    source: review._id,
+    points: rules.reviewPoints,
+    eligible: review.status === 'approved',
+    description: `Approved ${review.itemType} review`
+  });
+};
+
+/**
+ * Recompute a user's points, qualifying points and tier from the point log
+ * @param {ObjectId|string} userId - User ID
+ * @param {Object} [options] - Options
+ * @param {Object} [options.settings] - Loyalty settings (loaded if omitted)
+ * @param {Date} [options.now=new Date()] - Current time, for the qualification window
+ * @returns {Promise<Object>} { points, qualifyingPoints, tier, previousTier, changed }
+ */
+const recalculateUserLoyalty = async (userId, options = {}) => {
+  const { now = new Date() } = options;
+  const settings = options.settings || await getLoyaltySettings();
+
+  const windowStart = settings.qualificationWindowDays > 0
+    ? new Date(now.getTime() - settings.qualificationWindowDays * 24 * 60 * 60 * 1000)
+    : new Date(0);
+
+  const [totals] = await LoyaltyPointEntry.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    {
+      $group: {
+        _id: null,
+        points: { $sum: '$points' },
+        qualifyingPoints: { $sum: { $cond: [{ $gte: ['$createdAt', windowStart] }, '$points', 0] } }
+      }
+    }
+  ]);
+
+  const points = Math.max(totals?.points || 0, 0);
+  const qualifyingPoints = Math.max(totals?.qualifyingPoints || 0, 0);
+  const tier = resolveTier(settings, qualifyingPoints);
+
+  const user = await User.findById(userId).select('loyalty');
+  if (!user) {
+    return null;
+  }
+
+  const previousTier = user.loyalty?.tier;
+  const changed = previousTier !== tier.name;
+  const update = {
+    'loyalty.points': points,
+    'loyalty.qualifyingPoints': qualifyingPoints,
+    'loyalty.tier': tier.name,
+    'loyalty.recalculatedAt': now
+  };
+  if (changed) update['loyalty.tierUpdatedAt'] = now;
+  await User.updateOne({ _id: userId }, { $set: update });
+
+  // New accounts start in the base tier silently; moving up is announced
+  const previous = previousTier && settings.tiers.find(candidate => candidate.name === previousTier);
+  if (changed && previous && tier.minPoints > previous.minPoints) {
+    await notifyUser(userId, {
+      title: `Welcome to ${tier.name}!`,
+      message: tier.cashbackBonus > 0
+        ? `You've reached ${tier.name} status and now earn an extra ${tier.cashbackBonus}% cashback at every store.`
+        : `You've reached ${tier.name} status.`,
+      type: 'system',
+      actionLink: '/rewards'
+    });
+  }
+
+  return { points, qualifyingPoints, tier: tier.name, previousTier, changed };
+};
+
+/**
+ * Build the loyalty overview shown on the rewards and cashback dashboard pages
+ * @param {ObjectId|string} userId - User ID
+ * @returns {Promise<Object>} Loyalty status
+ */
+const getLoyaltyStatus = async (userId) => {
+  const [user, settings] = await Promise.all([
+    User.findById(userId).select('loyalty'),
+    getLoyaltySettings()
+  ]);
+
+  const qualifyingPoints = user?.loyalty?.qualifyingPoints || 0;
+  const tier = resolveTier(settings, qualifyingPoints);
+  const nextTier = getNextTier(settings, tier);
+
+  return {
+    points: user?.loyalty?.points || 0,
+    qualifyingPoints,
+    qualificationWindowDays: settings.qualificationWindowDays,
+    tier: {
+      name: tier.name,
+      cashbackBonus: tier.cashbackBonus,
+      perks: tier.perks
+    },
+    nextTier: nextTier
+      ? {
+        name: nextTier.name,
+        cashbackBonus: nextTier.cashbackBonus,
+        pointsNeeded: nextTier.minPoints - qualifyingPoints
+      }
+      : null,
+    earningRules: {
+      pointsPerDollar: settings.pointsPerDollar,
+      referralPoints: settings.referralPoints,
+      reviewPoints: settings.reviewPoints
+    },
+    tiers: settings.tiers.map(({ name, minPoints, cashbackBonus, perks }) => ({ name, minPoints, cashbackBonus, perks }))
+  };
+};
+
+// Points follow the ledger: confirmed earnings award them, rejections take them back
+onTransactionCommitted(async (transaction) => {
+  if (await syncTransactionPoints(transaction)) {
+    await recalculateUserLoyalty(transaction.user);
+  }
+});
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getLoyaltySettings,
+  updateLoyaltySettings,
+  resolveTier,
+  getNextTier,
+  getEffectiveCashbackPercentage,
+  pointsForTransaction,
+  syncTransactionPoints,
+  syncReviewPoints,
+  recalculateUserLoyalty,
+  getLoyaltyStatus
+};
@@ -0,0 +1,314 @@
+/**
+ * @module utils/notificationDispatcher
+ * @description Route notifications to the channels a user enabled in their preferences
+ *
+ * Every notification that is not muted is kept in the inbox. Beyond that:
+ * - push: the live WebSocket push, sent right away unless it is quiet hours
+ * - email and sms: sent right away for users on immediate delivery. During quiet hours they wait
+ *   until the quiet hours end. Users on daily or weekly delivery get their emails batched into a
+ *   digest, and no SMS.
+ * High-priority notifications are urgent: they ignore muted types, quiet hours and digests.
+ * Deferred deliveries and digests are sent by the notificationDelivery job.
+ *
+ * No SMS provider is configured, so SMS deliveries are logged and count as failed.
+ */
+
+const functions = require('firebase-functions');
+const Notification = require('../models/Notification');
+const { sendNotificationEmail, sendNotificationDigestEmail } = require('./emailUtils');
+const { logger } = require('../middleware/loggingMiddleware');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read the notification dispatch settings
+ * @returns {Object} Settings
+ */
+const getDispatchSettings = () => {
+  const config = functions.config().notifications || {};
+  const digestHour = parseInt(config.digest_hour, 10);
+  const weeklyDigestDay = parseInt(config.weekly_digest_day, 10);
+  return {
+    // Local hour digests go out at, and the weekday (0 = Sunday) of weekly digests
+    digestHour: digestHour >= 0 && digestHour <= 23 ? digestHour : 8,
+    weeklyDigestDay: weeklyDigestDay >= 0 && weeklyDigestDay <= 6 ? weeklyDigestDay : 1
+  };
+};
+
+/**
+ * Check that a string is a time zone Intl understands
+ * @param {string} timeZone - IANA time zone, e.g. 'Europe/Berlin'
+ * @returns {boolean} Whether the time zone is valid
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * The user's time zone, falling back to UTC
+ * @param {Object} preferences - User preferences
+ * @returns {string} Time zone
+ */
+const userTimeZone = (preferences) => (
+  preferences.timezone && isValidTimeZone(preferences.timezone) ? preferences.timezone : 'UTC'
+);
+
+/**
+ * Offset of a time zone from UTC at a moment, in milliseconds
+ * @param {Date} date - Moment
+ * @param {string} timeZone - Time zone
+ * @returns {number} Local time minus UTC
+ */
+const timeZoneOffset = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(date).reduce((fields, { type, value }) => {
+    fields[type] = parseInt(value, 10);
+    return fields;
+  }, {});
+
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return local - Math.floor(date.getTime() / 60000) * 60000;
+};
+
+/**
+ * Minutes since midnight of an 'HH:MM' time
+ * @param {string} time - Time of day
+ * @returns {number} Minutes
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * The next moment after now that a user's clock shows a time of day
+ * (the offset at now is used throughout, so a DST change in between shifts the result by an hour)
+ * @param {Date} now - Current time
+ * @param {string} time - Local time of day, 'HH:MM'
+ * @param {string} timeZone - Time zone
+ * @param {number} [weekday] - Also require this local weekday (0 = Sunday)
+ * @returns {Date} Next occurrence
+ */
+const nextLocalTime = (now, time, timeZone, weekday) => {
+  const offset = timeZoneOffset(now, timeZone);
+  const local = new Date(now.getTime() + offset);
+  const minutes = toMinutes(time);
+
+  let candidate = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(),
+    Math.floor(minutes / 60), minutes % 60);
+  while (candidate <= local.getTime() || (weekday !== undefined && new Date(candidate).getUTCDay() !== weekday)) {
+    candidate += DAY_MS;
+  }
+
+  return new Date(candidate - offset);
+};
+
+/**
+ * Whether it is currently quiet hours for a user
+ * @param {Object} preferences - User preferences
+ * @param {Date} now - Current time
+ * @returns {boolean} Whether only urgent notifications should go out
+ */
+const isQuietTime = (preferences, now) => {
+  const quietHours = preferences.quietHours;
+  if (!quietHours?.enabled) return false;
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return false;
+
+  const local = new Date(now.getTime() + timeZoneOffset(now, userTimeZone(preferences)));
+  const minutes = local.getUTCHours() * 60 + local.getUTCMinutes();
+
+  // Quiet hours usually run overnight, past midnight
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+};
+
+/**
+ * When a user's next digest is due
+ * @param {Object} preferences - User preferences
+ * @param {string} digest - 'daily' or 'weekly'
+ * @param {Date} now - Current time
+ * @returns {Date} Digest time, moved past quiet hours if it falls inside them
+ */
+const nextDigestTime = (preferences, digest, now) => {
+  const { digestHour, weeklyDigestDay } = getDispatchSettings();
+  const timeZone = userTimeZone(preferences);
+  const time = `${String(digestHour).padStart(2, '0')}:00`;
+
+  const digestTime = nextLocalTime(now, time, timeZone, digest === 'weekly' ? weeklyDigestDay : undefined);
+  return isQuietTime(preferences, digestTime)
+    ? nextLocalTime(digestTime, preferences.quietHours.end, timeZone)
+    : digestTime;
+};
+
+/**
+ * Whether a user currently has a channel turned on
+ * @param {Object} user - User with email, phone and preferences
+ * @param {string} channel - 'email', 'sms' or 'push'
+ * @returns {boolean} Whether the channel is enabled
+ */
+const isChannelEnabled = (user, channel) => {
+  const preferences = user.preferences || {};
+  switch (channel) {
+    case 'email':
+      return preferences.emailNotifications !== false && Boolean(user.email);
+    case 'sms':
+      return preferences.smsNotifications === true && Boolean(user.phone);
+    case 'push':
+      return preferences.pushNotifications !== false;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Decide how a new notification reaches a user
+ * @param {Object} user - User with email, phone and preferences
+ * @param {Object} notification - Notification fields (type, priority)
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object} { muted, push, sendNow, delivery } - delivery is stored on the notification
+ */
+const planDelivery = (user, notification, now = new Date()) => {
+  const preferences = user.preferences || {};
+  const urgent = notification.priority === 'high';
+
+  if (!urgent && (preferences.mutedNotificationTypes || []).includes(notification.type)) {
+    return { muted: true, push: false, sendNow: false, delivery: null };
+  }
+
+  const quiet = !urgent && isQuietTime(preferences, now);
+  const push = isChannelEnabled(user, 'push') && !quiet;
+  const channels = push ? ['push'] : [];
+  const frequency = urgent ? 'immediate' : preferences.notificationFrequency || 'immediate';
+
+  if (Notification.DIGESTS.includes(frequency)) {
+    if (preferences.emailDigest === false || !isChannelEnabled(user, 'email')) {
+      return { muted: false, push, sendNow: false, delivery: { channels, status: 'none' } };
+    }
+    return {
+      muted: false,
+      push,
+      sendNow: false,
+      delivery: {
+        channels: [...channels, 'email'],
+        status: 'pending',
+        digest: frequency,
+        scheduledFor: nextDigestTime(preferences, frequency, now)
+      }
+    };
+  }
+
+  const outbound = ['email', 'sms'].filter(channel => isChannelEnabled(user, channel));
+  if (outbound.length === 0) {
+    return { muted: false, push, sendNow: false, delivery: { channels, status: 'none' } };
+  }
+
+  return {
+    muted: false,
+    push,
+    sendNow: !quiet,
+    delivery: {
+      channels: [...channels, ...outbound],
+      status: 'pending',
+      digest: null,
+      scheduledFor: quiet ? nextLocalTime(now, preferences.quietHours.end, userTimeZone(preferences)) : now
+    }
+  };
+};
+
+/**
+ * Send a notification on one outbound channel
+ * @param {Object} user - User
+ * @param {Object} notification - Notification document
+ * @param {string} channel - 'email' or 'sms'
+ * @returns {Promise<boolean>} Whether it was sent
+ */
+const sendOnChannel = async (user, notification, channel) => {
+  if (channel === 'email') {
+    return sendNotificationEmail(user.email, notification);
+  }
+  logger.warn(`No SMS provider configured; notification ${notification._id} was not sent by SMS`);
+  return false;
+};
+
+/**
+ * Send a notification's pending email and SMS deliveries.
+ * Channels the user has turned off since the notification was created are skipped.
+ * Failures are logged and recorded on the notification, never thrown.
+ * @param {Object} user - User with email, phone and preferences
+ * @param {Object} notification - Notification document
+ * @returns {Promise<string>} Resulting delivery status
+ */
+const deliverNotification = async (user, notification) => {
+  let status = 'skipped';
+  try {
+    const channels = (notification.delivery?.channels || [])
+      .filter(channel => channel !== 'push' && isChannelEnabled(user, channel));
+
+    if (channels.length > 0) {
+      const results = [];
+      for (const channel of channels) {
+        results.push(await sendOnChannel(user, notification, channel));
+      }
+      status = results.some(Boolean) ? 'sent' : 'failed';
+    }
+  } catch (error) {
+    status = 'failed';
+    logger.error(`Failed to deliver notification ${notification._id}: ${error.message}`);
+  }
+
+  await Notification.updateOne({ _id: notification._id }, {
+    $set: { 'delivery.status': status, ...(status === 'sent' && { 'delivery.sentAt': new Date() }) }
+  });
+  return status;
+};
+
+/**
+ * Send a user one digest email of pending notifications.
+ * Notifications the user already read in the inbox are left out.
+ * @param {Object} user - User with email and preferences
+ * @param {Array<Object>} notifications - Notification documents
+ * @param {string} digest - 'daily' or 'weekly'
+ * @returns {Promise<string>} Resulting delivery status
+ */
+const sendDigest = async (user, notifications, digest) => {
+  const unread = notifications.filter(notification => !notification.isRead);
+  const read = notifications.filter(notification => notification.isRead);
+
+  let status = 'skipped';
+  if (unread.length > 0 && user.preferences?.emailDigest !== false && isChannelEnabled(user, 'email')) {
+    status = await sendNotificationDigestEmail(user.email, { frequency: digest, notifications: unread })
+      ? 'sent'
+      : 'failed';
+  }
+
+  await Notification.updateMany({ _id: { $in: unread.map(({ _id }) => _id) } }, {
+    $set: { 'delivery.status': status, ...(status === 'sent' && { 'delivery.sentAt': new Date() }) }
+  });
+  await Notification.updateMany({ _id: { $in: read.map(({ _id }) => _id) } }, {
+    $set: { 'delivery.status': 'skipped' }
+  });
+  return status;
+};
+
+module.exports = {
+  isValidTimeZone,
+  isQuietTime,
+  nextLocalTime,
+  planDelivery,
+  deliverNotification,
+  sendDigest
+};
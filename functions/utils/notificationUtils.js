@@ -0,0 +1,181 @@
+/**
+ * @module utils/notificationUtils
+ * @description Create in-app notifications for users
+ *
+ * notifyUser honors the user's notification preferences through utils/notificationDispatcher.
+ * Notifications to be pushed live are handed to the created listeners (the WebSocket server
+ * registers one when it runs in this process) and, when Redis is enabled, published on
+ * NOTIFICATION_CHANNEL so a WebSocket server in another process can push them.
+ */
+
+const functions = require('firebase-functions');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { planDelivery, deliverNotification } = require('./notificationDispatcher');
+const redisClient = require('./redisClient');
+const { logger } = require('../middleware/loggingMiddleware');
+const { formatMoney } = require('./currencyUtils');
+
+/**
+ * Redis channel new notifications are published on
+ */
+const NOTIFICATION_CHANNEL = 'notifications:created';
+
+const createdListeners = [];
+
+/**
+ * Read the notification settings
+ * @returns {Object} Settings
+ */
+const getNotificationSettings = () => {
+  const config = functions.config().notifications || {};
+  return {
+    retentionDays: parseInt(config.retention_days, 10) || 90
+  };
+};
+
+/**
+ * Register a listener called with each notification created by notifyUser.
+ * Listener failures are logged, never thrown.
+ * @param {Function} listener - Async function receiving the notification document
+ */
+const onNotificationCreated = (listener) => {
+  createdListeners.push(listener);
+};
+
+/**
+ * Hand a new notification to the created listeners and the Redis channel
+ * @param {Object} notification - Notification document
+ * @returns {Promise<void>}
+ */
+const publishNotificationCreated = async (notification) => {
+  for (const listener of createdListeners) {
+    try {
+      await listener(notification);
+    } catch (error) {
+      logger.error(`Notification listener failed for ${notification._id}: ${error.message}`);
+    }
+  }
+
+  if (redisClient.client) {
+    try {
+      await redisClient.client.publish(NOTIFICATION_CHANNEL, JSON.stringify(notification));
+    } catch (error) {
+      logger.error(`Failed to publish notification ${notification._id}: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Create a notification for a user and deliver it on the channels they enabled.
+ * Notifications of a type the user muted are not created, unless they are high priority.
+ * Failures are logged rather than thrown - a missed notification must not undo the action it reports.
+ * @param {ObjectId|string} userId - User to notify
+ * @param {Object} notification - Notification fields
+ * @param {string} notification.title - Title
+ * @param {string} notification.message - Message body
+ * @param {string} [notification.type='system'] - transaction, account, offer, system or promotion
+ * @param {string} [notification.priority='medium'] - low, medium or high
+ * @param {string} [notification.actionLink] - Link the notification opens
+ * @param {Object} [notification.relatedDocument] - { documentType, documentId }
+ * @param {Date} [notification.expiresAt] - When the notification is removed (default: after the retention period)
+ * @returns {Promise<Object|null>} Created notification, or null if muted or failed
+ */
+const notifyUser = async (userId, notification) => {
+  let user;
+  let plan;
+  let created;
+  try {
+    user = await User.findById(userId).select('email phone preferences');
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const fields = { type: 'system', priority: 'medium', ...notification };
+    plan = planDelivery(user, fields);
+    if (plan.muted) {
+      return null;
+    }
+
+    const { retentionDays } = getNotificationSettings();
+    created = await Notification.create({
+      user: userId,
+      expiresAt: new Date(Date.now() + retentionDays * 24 * 60 * 60 * 1000),
+      ...fields,
+      delivery: plan.delivery
+    });
+  } catch (error) {
+    logger.error(`Failed to notify user ${userId}: ${error.message}`);
+    return null;
+  }
+
+  if (plan.push) {
+    await publishNotificationCreated(created);
+  }
+  if (plan.sendNow) {
+    await deliverNotification(user, created);
+  }
+  return created;
+};
+
+/**
+ * Build the notification for a transaction that just changed status
+ * @param {Object} transaction - Transaction document (store populated with name, if any)
+ * @returns {Object|null} Notification fields, or null if the status is not announced
+ */
+const buildTransactionNotification = (transaction) => {
+  const amount = formatMoney(transaction.cashbackAmount, transaction.currency);
+  const storeName = transaction.store && transaction.store.name;
+  const source = storeName ? `${transaction.typeDisplay.toLowerCase()} from ${storeName}` : transaction.typeDisplay.toLowerCase();
+
+  const messages = transaction.type === 'withdrawal'
+    ? {
+      confirmed: ['Withdrawal approved', `Your ${amount} withdrawal has been approved and will be sent shortly.`, 'medium'],
+      rejected: ['Withdrawal rejected', `Your ${amount} withdrawal was rejected${transaction.rejectionReason ? `: ${transaction.rejectionReason}` : ''}. The funds are back in your available balance.`, 'high'],
+      paid: ['Withdrawal sent', `Your ${amount} withdrawal has been sent${transaction.paymentReference ? ` (reference ${transaction.paymentReference})` : ''}.`, 'medium']
+    }
+    : {
+      confirmed: ['Cashback confirmed', `Your ${amount} ${source} has been confirmed and added to your available balance.`, 'medium'],
+      rejected: ['Cashback declined', `Your ${amount} ${source} was declined${transaction.rejectionReason ? `: ${transaction.rejectionReason}` : ''}.`, 'high'],
+      paid: ['Cashback paid', `Your ${amount} ${source} has been paid out.`, 'low']
+    };
+
+  const message = messages[transaction.status];
+  if (!message) return null;
+
+  return {
+    title: message[0],
+    message: message[1],
+    priority: message[2],
+    type: 'transaction',
+    actionLink: '/account',
+    relatedDocument: { documentType: 'transaction', documentId: transaction._id }
+  };
+};
+
+/**
+ * Notify the owner of a transaction about its new status
+ * @param {Object} transaction - Transaction document
+ * @returns {Promise<Object|null>} Created notification
+ */
+const notifyTransactionStatus = async (transaction) => {
+  try {
+    if (transaction.store && !transaction.populated('store')) {
+      await transaction.populate('store', 'name');
+    }
+
+    const notification = buildTransactionNotification(transaction);
+    return notification ? notifyUser(transaction.user, notification) : null;
+  } catch (error) {
+    logger.error(`Failed to notify user about transaction ${transaction._id}: ${error.message}`);
+    return null;
+  }
+};
+
+module.exports = {
+  NOTIFICATION_CHANNEL,
+  onNotificationCreated,
+  notifyUser,
+  buildTransactionNotification,
+  notifyTransactionStatus
+};
@@ -0,0 +1,94 @@
+/**
+ * @module utils/payoutProviders
+ * @description Pluggable providers used to send approved withdrawals to users
+ *
+ * A provider is an object with a `name` and an async `send(payout)` method.
+ * `send` receives { transactionId, amount, currency, method, destination, user }
+ * and resolves to { reference } on success; it throws on failure.
+ *
+ * The provider to use must be configured (`payouts.provider`) - there is no default, so
+ * an unconfigured deployment cannot mark withdrawals as paid without sending money.
+ * The in-memory fake provider is only registered when `payouts.enable_fake` is "true"
+ * (local development); tests register their own with createFakePayoutProvider.
+ */
+
+const crypto = require('crypto');
+const functions = require('firebase-functions');
+const { ApiError } = require('../middleware/errorHandlerMiddleware');
+
+// Registered providers by name
+const providers = new Map();
+
+/**
+ * Register a payout provider
+ * @param {Object} provider - Provider implementation
+ * @param {string} provider.name - Unique provider name
+ * @param {Function} provider.send - Async function sending a single payout
+ */
+const registerPayoutProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.send !== 'function') {
+    throw new Error('A payout provider needs a name and a send(payout) function');
+  }
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Get a registered payout provider
+ * @param {string} [name] - Provider name (defaults to the configured provider)
+ * @returns {Object} Provider implementation
+ * @throws {ApiError} If no provider is given and none is configured
+ */
+const getPayoutProvider = (name = functions.config().payouts?.provider) => {
+  if (!name) {
+    throw new ApiError('Payout provider is not configured (payouts.provider)', 503);
+  }
+
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown payout provider: ${name}`);
+  }
+  return provider;
+};
+
+/**
+ * Create a local fake provider that records payouts in memory instead of sending money.
+ * Destinations listed in `failFor` (by email/account string) are rejected so error
+ * handling can be exercised.
+ * @param {Object} options - Options
+ * @param {string} [options.name='fake'] - Provider name
+ * @param {string[]} [options.failFor=[]] - Destination values that should fail
+ * @returns {Object} Provider implementation with a `sent` log and `reset()` helper
+ */
+const createFakePayoutProvider = (options = {}) => {
+  const { name = 'fake', failFor = [] } = options;
+  const sent = [];
+
+  return {
+    name,
+    sent,
+    reset: () => {
+      sent.length = 0;
+    },
+    send: async (payout) => {
+      const destination = JSON.stringify(payout.destination || {});
+      if (failFor.some(value => destination.includes(value))) {
+        throw new Error(`Fake provider rejected payout to ${destination}`);
+      }
+
+      const reference = `FAKE-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+      sent.push({ ...payout, reference, sentAt: new Date() });
+      return { reference };
+    }
+  };
+};
+
+// The fake provider records payouts without sending money, so it is opt-in for local development
+if (functions.config().payouts?.enable_fake === 'true') {
+  registerPayoutProvider(createFakePayoutProvider());
+}
+
+module.exports = {
+  registerPayoutProvider,
+  getPayoutProvider,
+  createFakePayoutProvider
+};
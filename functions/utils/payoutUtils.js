@@ -0,0 +1,378 @@
+/**
+ * @module utils/payoutUtils
+ * @description Withdrawal requests, payout batches and sending them through a payout provider
+ *
+ * A withdrawal is a Transaction of type 'withdrawal'. Requesting one holds the amount
+ * out of the user's available balance (see POSTING_RULES.withdrawal in ledgerUtils).
+ * Support approves (confirmed) or rejects it (rejected - funds are released); approved
+ * withdrawals are grouped into a PayoutBatch, exported, and sent through a provider,
+ * which marks each successful withdrawal as paid.
+ */
+
+const crypto = require('crypto');
+const functions = require('firebase-functions');
+const Transaction = require('../models/Transaction');
+const PayoutBatch = require('../models/PayoutBatch');
+const User = require('../models/User');
+const { ApiError } = require('../middleware/errorHandlerMiddleware');
+const { runInSession, computeBalances, recordTransaction, transitionTransaction } = require('./ledgerUtils');
+const { getPayoutProvider } = require('./payoutProviders');
+const { toCsv } = require('./csvUtils');
+const { BASE_CURRENCY, formatMoney } = require('./currencyUtils');
+const { logger } = require('../middleware/loggingMiddleware');
+
+/**
+ * Accepted withdrawal methods mapped to Transaction.paymentMethod values
+ * (camelCase names are what the dashboard sends, the others match User.paymentMethods types)
+ */
+const PAYOUT_METHODS = {
+  paypal: 'paypal',
+  bank: 'bank_transfer',
+  bankTransfer: 'bank_transfer',
+  bank_transfer: 'bank_transfer',
+  giftCard: 'gift_card',
+  gift_card: 'gift_card',
+  venmo: 'venmo',
+  crypto: 'crypto'
+};
+
+/**
+ * Smallest amount that can be withdrawn
+ * @returns {number} Minimum withdrawal amount
+ */
+const getMinimumWithdrawal = () => parseFloat(functions.config().payouts?.minimum_amount) || 10;
+
+/**
+ * Round a monetary amount to cents
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Resolve where a withdrawal should be sent
+ * @param {Object} user - User document
+ * @param {Object} request - Withdrawal request
+ * @returns {Object} { paymentMethod, destination }
+ */
+const resolveDestination = (user, request) => {
+  const { paymentMethodId, method, details } = request;
+
+  if (paymentMethodId) {
+    const saved = user.paymentMethods.id(paymentMethodId);
+    if (!saved) {
+      throw new ApiError('Payment method not found', 404);
+    }
+    saved.lastUsed = new Date();
+    return {
+      paymentMethod: PAYOUT_METHODS[saved.type],
+      destination: { paymentMethodId: saved._id, type: saved.type, details: saved.details }
+    };
+  }
+
+  if (!PAYOUT_METHODS[method]) {
+    throw new ApiError(`Unsupported payout method: ${method}`, 400);
+  }
+  if (!details) {
+    throw new ApiError('Payment details are required', 400);
+  }
+
+  return {
+    paymentMethod: PAYOUT_METHODS[method],
+    destination: { type: method, details }
+  };
+};
+
+/**
+ * Request a withdrawal, holding the amount out of the user's available balance
+ * @param {ObjectId|string} userId - User ID
+ * @param {Object} request - Withdrawal request
+ * @param {number} request.amount - Amount to withdraw
+ * @param {string} [request.paymentMethodId] - Saved payment method to pay out to
+ * @param {string} [request.method] - Payout method when not using a saved one
+ * @param {*} [request.details] - Payout details when not using a saved one
+ * @param {Object} [context] - Request context
+ * @param {string} [context.ipAddress] - Client IP address
+ * @param {string} [context.userAgent] - Client user agent
+ * @returns {Promise<Object>} Withdrawal transaction
+ */
+const requestWithdrawal = async (userId, request, context = {}) => {
+  const amount = roundAmount(request.amount);
+  const minimum = getMinimumWithdrawal();
+
+  if (!(amount >= minimum)) {
+    throw new ApiError(`Minimum withdrawal amount is ${formatMoney(minimum)}`, 400);
+  }
+
+  return runInSession(async (session) => {
+    const user = await User.findById(userId).session(session);
+    if (!user) {
+      throw new ApiError('User not found', 404);
+    }
+
+    // Checked against the ledger inside the session so concurrent requests cannot overdraw
+    const { balance } = await computeBalances(userId, { session });
+    if (amount > balance) {
+      throw new ApiError('Amount exceeds your available balance', 400);
+    }
+
+    const { paymentMethod, destination } = resolveDestination(user, request);
+    if (request.paymentMethodId) {
+      await user.save({ session });
+    }
+
+    return recordTransaction({
+      user: userId,
+      type: 'withdrawal',
+      status: 'pending',
+      // Withdrawals are held and paid out in the base currency the balance is kept in
+      currency: BASE_CURRENCY,
+      amount,
+      cashbackAmount: amount,
+      cashbackPercentage: 100,
+      paymentMethod,
+      payoutDestination: destination,
+      description: `Withdrawal via ${paymentMethod.replace('_', ' ')}`,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent
+    }, { createdBy: userId, session });
+  });
+};
+
+/**
+ * Load a withdrawal transaction
+ * @param {ObjectId|string} transactionId - Transaction ID
+ * @returns {Promise<Object>} Withdrawal transaction
+ */
+const findWithdrawal = async (transactionId) => {
+  const withdrawal = await Transaction.findOne({ _id: transactionId, type: 'withdrawal' });
+  if (!withdrawal) {
+    throw new ApiError('Withdrawal not found', 404);
+  }
+  return withdrawal;
+};
+
+/**
+ * Approve a pending withdrawal so it can be batched for payout
+ * @param {ObjectId|string} transactionId - Withdrawal transaction ID
+ * @param {Object} options - Options
+ * @param {ObjectId} options.updatedBy - User approving the withdrawal
+ * @param {string} [options.note] - Note for the status history
+ * @returns {Promise<Object>} Updated withdrawal
+ */
+const approveWithdrawal = async (transactionId, options = {}) => {
+  const withdrawal = await findWithdrawal(transactionId);
+  if (withdrawal.status !== 'pending') {
+    throw new ApiError(`Only pending withdrawals can be approved (withdrawal is ${withdrawal.status})`, 400);
+  }
+
+  return transitionTransaction(withdrawal._id, 'confirmed', {
+    note: options.note || 'Withdrawal approved',
+    updatedBy: options.updatedBy
+  });
+};
+
+/**
+ * Reject a withdrawal that has not been paid, releasing the held funds
+ * @param {ObjectId|string} transactionId - Withdrawal transaction ID
+ * @param {Object} options - Options
+ * @param {string} options.reason - Rejection reason shown to the user
+ * @param {ObjectId} options.updatedBy - User rejecting the withdrawal
+ * @returns {Promise<Object>} Updated withdrawal
+ */
+const rejectWithdrawal = async (transactionId, options = {}) => {
+  const { reason, updatedBy } = options;
+  const withdrawal = await findWithdrawal(transactionId);
+
+  if (!['pending', 'confirmed'].includes(withdrawal.status)) {
+    throw new ApiError(`Withdrawal is already ${withdrawal.status}`, 400);
+  }
+
+  if (withdrawal.payoutBatch) {
+    const sent = await PayoutBatch.exists({
+      _id: withdrawal.payoutBatch,
+      results: { $elemMatch: { transaction: withdrawal._id, status: 'sent' } }
+    });
+    if (sent) {
+      throw new ApiError('Withdrawal has already been sent to the payout provider', 409);
+    }
+  }
+
+  return transitionTransaction(withdrawal._id, 'rejected', {
+    note: reason,
+    updatedBy,
+    beforeSave: (doc) => {
+      doc.rejectionReason = reason;
+    }
+  });
+};
+
+/**
+ * Group all approved, unbatched withdrawals into a new payout batch
+ * @param {Object} options - Options
+ * @param {string} [options.provider] - Provider to send the batch with (defaults to the configured one)
+ * @param {ObjectId} [options.createdBy] - User creating the batch
+ * @returns {Promise<Object>} Created payout batch
+ */
+const createPayoutBatch = async (options = {}) => {
+  const provider = getPayoutProvider(options.provider).name;
+
+  return runInSession(async (session) => {
+    const withdrawals = await Transaction.find({
+      type: 'withdrawal',
+      status: 'confirmed',
+      payoutBatch: null
+    }).select('_id cashbackAmount').session(session);
+
+    if (withdrawals.length === 0) {
+      throw new ApiError('There are no approved withdrawals to batch', 400);
+    }
+
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const [batch] = await PayoutBatch.create([{
+      reference: `PB-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+      provider,
+      transactions: withdrawals.map(w => w._id),
+      totalAmount: roundAmount(withdrawals.reduce((sum, w) => sum + w.cashbackAmount, 0)),
+      createdBy: options.createdBy
+    }], { session });
+
+    await Transaction.updateMany(
+      { _id: { $in: batch.transactions } },
+      { $set: { payoutBatch: batch._id } },
+      { session }
+    );
+
+    return batch;
+  });
+};
+
+/**
+ * Export a payout batch as rows for the payout team
+ * @param {ObjectId|string} batchId - Payout batch ID
+ * @param {string} [format='json'] - 'json' or 'csv'
+ * @returns {Promise<Object>} { batch, rows } for JSON, or { batch, csv } for CSV
+ */
+const exportPayoutBatch = async (batchId, format = 'json') => {
+  const batch = await PayoutBatch.findById(batchId);
+  if (!batch) {
+    throw new ApiError('Payout batch not found', 404);
+  }
+
+  const withdrawals = await Transaction.find({ _id: { $in: batch.transactions } })
+    .populate('user', 'email firstName lastName')
+    .sort({ createdAt: 1 });
+
+  const rows = withdrawals.map(w => ({
+    transactionId: w._id.toString(),
+    userId: w.user?._id?.toString(),
+    email: w.user?.email,
+    name: w.user?.fullName,
+    amount: w.cashbackAmount,
+    currency: w.currency,
+    method: w.paymentMethod,
+    destination: w.payoutDestination?.details,
+    status: w.status,
+    requestedAt: w.createdAt.toISOString()
+  }));
+
+  batch.exportedAt = new Date();
+  await batch.save();
+
+  if (format === 'csv') {
+    const columns = ['transactionId', 'userId', 'email', 'name', 'amount', 'currency', 'method', 'destination', 'status', 'requestedAt'];
+    return { batch, csv: toCsv(columns, rows) };
+  }
+
+  return { batch, rows };
+};
+
+/**
+ * Send every unsent, still-approved withdrawal of a batch through its provider.
+ * Successful sends mark the withdrawal as paid; failures are recorded on the batch
+ * and can be retried by sending the batch again.
+ * @param {ObjectId|string} batchId - Payout batch ID
+ * @param {Object} options - Options
+ * @param {ObjectId} [options.updatedBy] - User sending the batch
+ * @returns {Promise<Object>} Updated payout batch
+ */
+const sendPayoutBatch = async (batchId, options = {}) => {
+  const existing = await PayoutBatch.findById(batchId).select('provider');
+  if (!existing) {
+    throw new ApiError('Payout batch not found', 404);
+  }
+
+  // Resolved before claiming the batch so an unavailable provider leaves it retryable
+  const provider = getPayoutProvider(existing.provider);
+
+  const batch = await PayoutBatch.findOneAndUpdate(
+    { _id: batchId, status: { $in: ['open', 'partially_failed'] } },
+    { $set: { status: 'processing' } },
+    { new: true }
+  );
+
+  if (!batch) {
+    throw new ApiError('Payout batch is already processing or completed', 409);
+  }
+
+  const alreadySent = new Set(batch.results.filter(r => r.status === 'sent').map(r => r.transaction.toString()));
+  const withdrawals = await Transaction.find({ _id: { $in: batch.transactions }, status: 'confirmed' })
+    .populate('user', 'email firstName lastName');
+  const results = new Map(batch.results.map(r => [r.transaction.toString(), r]));
+  let failures = 0;
+
+  for (const withdrawal of withdrawals) {
+    const id = withdrawal._id.toString();
+    if (alreadySent.has(id)) continue;
+
+    let reference;
+    try {
+      ({ reference } = await provider.send({
+        transactionId: id,
+        amount: withdrawal.cashbackAmount,
+        currency: withdrawal.currency,
+        method: withdrawal.paymentMethod,
+        destination: withdrawal.payoutDestination,
+        user: { id: withdrawal.user._id.toString(), email: withdrawal.user.email, name: withdrawal.user.fullName }
+      }));
+    } catch (error) {
+      logger.warn(`Payout ${id} in batch ${batch.reference} failed: ${error.message}`);
+      results.set(id, { transaction: withdrawal._id, status: 'failed', error: error.message, attemptedAt: new Date() });
+      failures += 1;
+      continue;
+    }
+
+    results.set(id, { transaction: withdrawal._id, status: 'sent', reference, attemptedAt: new Date() });
+    try {
+      await transitionTransaction(withdrawal._id, 'paid', {
+        note: `Paid via ${provider.name} in batch ${batch.reference}`,
+        updatedBy: options.updatedBy,
+        beforeSave: (doc) => {
+          doc.paymentReference = reference;
+        }
+      });
+    } catch (error) {
+      // The money has left - keep the result as sent so a retry cannot pay twice
+      logger.error(`Payout ${id} was sent (${reference}) but could not be marked as paid: ${error.message}`);
+      results.get(id).error = `Sent but not marked as paid: ${error.message}`;
+    }
+  }
+
+  batch.results = Array.from(results.values());
+  batch.status = failures > 0 ? 'partially_failed' : 'completed';
+  batch.processedAt = new Date();
+  await batch.save();
+
+  return batch;
+};
+
+module.exports = {
+  PAYOUT_METHODS,
+  getMinimumWithdrawal,
+  requestWithdrawal,
+  approveWithdrawal,
+  rejectWithdrawal,
+  createPayoutBatch,
+  exportPayoutBatch,
+  sendPayoutBatch
+};
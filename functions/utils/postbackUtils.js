@@ -0,0 +1,197 @@
+/**
+ * @module utils/postbackUtils
+ * @description Turn affiliate network conversion postbacks into pending cashback transactions
+ */
+
+const mongoose = require('mongoose');
+const functions = require('firebase-functions');
+const Store = require('../models/Store');
+const Cashback = require('../models/Cashback');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { ApiError } = require('../middleware/errorHandlerMiddleware');
+const { recordTransaction } = require('./ledgerUtils');
+const { findClickBySubId, markClickConverted } = require('./clickUtils');
+const { getEffectiveCashbackPercentage } = require('./loyaltyUtils');
+const { BASE_CURRENCY, getRate } = require('./currencyUtils');
+
+/**
+ * Payload field names per network, for each normalized postback field.
+ * The first name present in the payload wins; networks without an entry use `default`.
+ */
+const NETWORK_FIELD_MAPS = {
+  default: {
+    orderReference: ['order_id', 'orderId', 'order_reference', 'oid'],
+    amount: ['sale_amount', 'saleAmount', 'order_amount', 'amount'],
+    subId: ['sub_id', 'subId', 'subid', 'u1'],
+    store: ['store_id', 'storeId', 'merchant_id', 'merchantId', 'advertiser_id'],
+    purchaseDate: ['transaction_date', 'order_date', 'date'],
+    currency: ['currency', 'currency_code', 'cur']
+  }
+};
+
+/**
+ * Get the signing secret configured for a network
+ * @param {string} network - Network name
+ * @returns {string|undefined} Shared postback secret
+ */
+const getPostbackSecret = (network) => {
+  const config = functions.config().affiliates || {};
+  return config[network] && config[network].postback_secret;
+};
+
+/**
+ * Map a raw postback payload to the normalized fields
+ * @param {string} network - Network name
+ * @param {Object} payload - Raw postback payload
+ * @returns {Object} Normalized postback
+ */
+const normalizePostback = (network, payload = {}) => {
+  const fieldMap = NETWORK_FIELD_MAPS[network] || NETWORK_FIELD_MAPS.default;
+
+  return Object.keys(fieldMap).reduce((normalized, field) => {
+    const source = fieldMap[field].find(name => payload[name] !== undefined && payload[name] !== '');
+    normalized[field] = source ? payload[source] : undefined;
+    return normalized;
+  }, {});
+};
+
+/**
+ * Find the store a postback refers to, by ID or by the network's merchant ID
+ * @param {string} network - Network name
+ * @param {string} storeRef - Store reference from the postback
+ * @returns {Promise<Object|null>} Store document
+ */
+const resolveStore = async (network, storeRef) => {
+  if (!storeRef) return null;
+
+  if (mongoose.Types.ObjectId.isValid(storeRef)) {
+    const store = await Store.findById(storeRef);
+    if (store) return store;
+  }
+
+  return Store.findOne({
+    affiliateMerchants: { $elemMatch: { network, merchantId: String(storeRef) } }
+  });
+};
+
+/**
+ * Find the user a postback's sub-ID refers to.
+ * Sub-IDs are normally click sub-IDs from /go; a bare user ID is accepted for
+ * networks that were set up before click tracking existed.
+ * @param {string} subId - Sub-ID from the postback
+ * @param {Object|null} click - Click the sub-ID belongs to
+ * @returns {Promise<Object|null>} User document
+ */
+const resolveUser = async (subId, click) => {
+  if (click) {
+    return click.user ? User.findById(click.user) : null;
+  }
+  if (!subId || !mongoose.Types.ObjectId.isValid(subId)) return null;
+  return User.findById(subId);
+};
+
+/**
+ * Work out the currency a postback's amounts are in: the one reported, else the clicked offer's
+ * @param {Object} postback - Normalized postback
+ * @param {Object|null} click - Click the sub-ID belongs to
+ * @returns {Promise<string>} Currency code
+ */
+const resolveCurrency = async (postback, click) => {
+  if (postback.currency) {
+    return String(postback.currency).trim().toUpperCase();
+  }
+  if (click && click.cashbackOffer) {
+    const offer = await Cashback.findById(click.cashbackOffer).select('currency');
+    if (offer && offer.currency) return offer.currency;
+  }
+  return BASE_CURRENCY;
+};
+
+/**
+ * Record a conversion postback as a pending cashback transaction.
+ * Postbacks are retried by networks, so an order already recorded for the store is returned as is.
+ * @param {string} network - Network name
+ * @param {Object} payload - Raw postback payload
+ * @returns {Promise<Object>} { transaction, duplicate }
+ */
+const ingestPostback = async (network, payload) => {
+  const postback = normalizePostback(network, payload);
+  const amount = parseFloat(postback.amount);
+
+  if (!postback.orderReference) {
+    throw new ApiError('Postback is missing the order reference', 422);
+  }
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new ApiError('Postback sale amount must be a positive number', 422);
+  }
+
+  const click = await findClickBySubId(postback.subId);
+  const store = await resolveStore(network, postback.store) ||
+    (click ? await Store.findById(click.store) : null);
+  if (!store) {
+    throw new ApiError(`Unknown store: ${postback.store}`, 422);
+  }
+
+  const orderReference = String(postback.orderReference);
+  const existing = await Transaction.findOne({ store: store._id, orderReference });
+  if (existing) {
+    return { transaction: existing, duplicate: true };
+  }
+
+  const user = await resolveUser(postback.subId, click);
+  if (!user) {
+    throw new ApiError(`No user is attributed to sub-ID: ${postback.subId}`, 422);
+  }
+
+  // Networks report in their own timezone - never let clock skew produce a future purchase date
+  const reported = postback.purchaseDate ? new Date(postback.purchaseDate) : null;
+  const purchaseDate = reported && !isNaN(reported) && reported < new Date() ? reported : new Date();
+
+  const rate = await getEffectiveCashbackPercentage(user._id, store.cashbackPercentage);
+  // Lock the rate of the purchase date so the ledger amount does not move with later rates
+  const currency = await resolveCurrency(postback, click);
+  const exchangeRate = await getRate(currency, purchaseDate);
+
+  try {
+    const transaction = await recordTransaction({
+      user: user._id,
+      store: store._id,
+      type: 'cashback',
+      status: 'pending',
+      amount,
+      currency,
+      exchangeRate,
+      cashbackPercentage: rate.percentage,
+      cashbackAmount: Math.round(amount * rate.percentage) / 100,
+      tierBonusPercentage: rate.tierBonusPercentage,
+      orderReference,
+      purchaseDate,
+      description: `Cashback from ${store.name}`,
+      notes: `Recorded from ${network} postback`,
+      click: click ? click._id : undefined,
+      couponUsed: click ? click.coupon : undefined,
+      cashbackOffer: click ? click.cashbackOffer : undefined
+    });
+
+    if (click) {
+      await markClickConverted(click._id, transaction._id);
+    }
+
+    return { transaction, duplicate: false };
+  } catch (error) {
+    // A concurrent retry of the same postback won the race on the unique index
+    if (error.code === 11000) {
+      const transaction = await Transaction.findOne({ store: store._id, orderReference });
+      return { transaction, duplicate: true };
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  NETWORK_FIELD_MAPS,
+  getPostbackSecret,
+  normalizePostback,
+  ingestPostback
+};
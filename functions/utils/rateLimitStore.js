@@ -0,0 +1,403 @@
+/**
+ * @module utils/rateLimitStore
+ * @description Shared store for rate limit counters and blocks, so limits hold across every function instance.
+ * Uses Redis when it is enabled and MongoDB otherwise, falling back to MongoDB whenever Redis fails.
+ * Tests use an in-memory store.
+ */
+
+const functions = require('firebase-functions');
+const RateLimitEntry = require('../models/RateLimitEntry');
+const { client: redisClient } = require('./redisClient');
+const { escapeRegex } = require('./regexUtils');
+
+/**
+ * Stores that can be configured with rate_limit.store
+ */
+const STORE_TYPES = ['redis', 'mongo', 'memory'];
+
+/**
+ * Prefix for rate limit keys in Redis, keeping them apart from cached data
+ */
+const REDIS_KEY_PREFIX = 'rate-limit:';
+
+/**
+ * Entries the in-memory store holds before sweeping out expired ones
+ */
+const MEMORY_SWEEP_SIZE = 10000;
+
+/**
+ * A store adapter. Counters and records share one key space; every entry expires.
+ * @typedef {Object} RateLimitStoreAdapter
+ * @property {string} type - redis, mongo or memory
+ * @property {Function} increment - (key, amount, ttlMs) => Promise<number>, the new count
+ * @property {Function} get - (key) => Promise<Object|null>, { key, count, data, expiresAt }
+ * @property {Function} set - (key, data, ttlMs) => Promise<void>, store a record
+ * @property {Function} list - (prefix) => Promise<Array<Object>>, live entries whose keys start with prefix
+ * @property {Function} remove - (key) => Promise<number>, entries removed
+ * @property {Function} clear - (prefix) => Promise<number>, entries removed
+ */
+
+/**
+ * Get rate limit store settings from config
+ * @returns {Object} { store }
+ */
+const getRateLimitSettings = () => {
+  const config = functions.config().rate_limit || {};
+  let store = STORE_TYPES.includes(config.store) ? config.store : null;
+  if (!store) {
+    store = process.env.NODE_ENV === 'test' ? 'memory' : (redisClient ? 'redis' : 'mongo');
+  }
+  // Redis can only be used when it is enabled
+  if (store === 'redis' && !redisClient) store = 'mongo';
+  return { store };
+};
+
+/**
+ * Create a store that keeps entries in this process only
+ * @returns {RateLimitStoreAdapter} Store
+ */
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= new Date()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  const matching = (prefix) => Array.from(entries.keys()).filter(key => key.startsWith(prefix) && live(key));
+
+  const put = (key, entry) => {
+    if (entries.size >= MEMORY_SWEEP_SIZE) {
+      Array.from(entries.keys()).forEach(live);
+    }
+    entries.set(key, entry);
+  };
+
+  return {
+    type: 'memory',
+    async increment(key, amount, ttlMs) {
+      const entry = live(key) || { key, count: 0, data: null };
+      entry.count += amount;
+      entry.expiresAt = new Date(Date.now() + ttlMs);
+      put(key, entry);
+      return entry.count;
+    },
+    async get(key) {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+    async set(key, data, ttlMs) {
+      put(key, { key, count: 0, data, expiresAt: new Date(Date.now() + ttlMs) });
+    },
+    async list(prefix) {
+      return matching(prefix).map(key => ({ ...entries.get(key) }));
+    },
+    async remove(key) {
+      return live(key) && entries.delete(key) ? 1 : 0;
+    },
+    async clear(prefix) {
+      const keys = matching(prefix);
+      keys.forEach(key => entries.delete(key));
+      return keys.length;
+    }
+  };
+};
+
+/**
+ * Create a store backed by Redis. Counters are integers; records are JSON.
+ * @param {Object} client - ioredis client
+ * @returns {RateLimitStoreAdapter} Store
+ */
+const createRedisStore = (client) => {
+  const fullKey = (key) => `${REDIS_KEY_PREFIX}${key}`;
+  const pattern = (prefix) => `${fullKey(prefix).replace(/[*?[\]\\]/g, '\\$&')}*`;
+
+  // Run a MULTI and throw the first command error, if any
+  const exec = async (multi) => {
+    const results = await multi.exec();
+    const failed = results.find(([error]) => error);
+    if (failed) throw failed[0];
+    return results.map(([, result]) => result);
+  };
+
+  // Walk the matching keys with SCAN rather than KEYS, which blocks Redis while it reads every key
+  const scanKeys = (prefix) => new Promise((resolve, reject) => {
+    const keys = new Set();
+    client.scanStream({ match: pattern(prefix), count: 100 })
+      .on('data', batch => batch.forEach(key => keys.add(key)))
+      .on('end', () => resolve(Array.from(keys)))
+      .on('error', reject);
+  });
+
+  const toEntry = (key, value, ttl) => {
+    if (value === null) return null;
+    const isRecord = value.startsWith('{');
+    return {
+      key,
+      count: isRecord ? 0 : parseInt(value, 10),
+      data: isRecord ? JSON.parse(value) : null,
+      expiresAt: ttl > 0 ? new Date(Date.now() + ttl) : null
+    };
+  };
+
+  return {
+    type: 'redis',
+    async increment(key, amount, ttlMs) {
+      const [count] = await exec(client.multi().incrby(fullKey(key), amount).pexpire(fullKey(key), ttlMs));
+      return count;
+    },
+    async get(key) {
+      const [value, ttl] = await exec(client.multi().get(fullKey(key)).pttl(fullKey(key)));
+      return toEntry(key, value, ttl);
+    },
+    async set(key, data, ttlMs) {
+      await client.set(fullKey(key), JSON.stringify(data), 'PX', ttlMs);
+    },
+    async list(prefix) {
+      const keys = await scanKeys(prefix);
+      if (keys.length === 0) return [];
+
+      const multi = client.multi();
+      keys.forEach(key => multi.get(key).pttl(key));
+      const results = await exec(multi);
+      return keys
+        .map((key, index) => toEntry(key.slice(REDIS_KEY_PREFIX.length), results[index * 2], results[index * 2 + 1]))
+        .filter(Boolean);
+    },
+    async remove(key) {
+      return client.del(fullKey(key));
+    },
+    async clear(prefix) {
+      const keys = await scanKeys(prefix);
+      return keys.length > 0 ? client.del(...keys) : 0;
+    }
+  };
+};
+
+/**
+ * Create a store backed by MongoDB
+ * @param {Object} [Model=RateLimitEntry] - Model to store entries with
+ * @returns {RateLimitStoreAdapter} Store
+ */
+const createMongoStore = (Model = RateLimitEntry) => {
+  const toEntry = (doc) => doc && { key: doc.key, count: doc.count, data: doc.data || null, expiresAt: doc.expiresAt };
+  const startsWith = (prefix) => ({ $regex: `^${escapeRegex(prefix)}` });
+
+  // Two requests can both insert a new key; the loser updates the winner's entry
+  const upsert = async (key, update) => {
+    try {
+      return await Model.findOneAndUpdate({ key }, update, { upsert: true, new: true }).lean();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return Model.findOneAndUpdate({ key }, update, { new: true }).lean();
+    }
+  };
+
+  return {
+    type: 'mongo',
+    async increment(key, amount, ttlMs) {
+      const now = new Date();
+      // Expired entries the TTL monitor has not removed yet count from zero
+      const doc = await upsert(key, [{
+        $set: {
+          count: { $add: [{ $cond: [{ $gt: ['$expiresAt', now] }, '$count', 0] }, amount] },
+          expiresAt: new Date(now.getTime() + ttlMs)
+        }
+      }]);
+      return doc.count;
+    },
+    async get(key) {
+      return toEntry(await Model.findOne({ key, expiresAt: { $gt: new Date() } }).lean());
+    },
+    async set(key, data, ttlMs) {
+      await upsert(key, { $set: { count: 0, data, expiresAt: new Date(Date.now() + ttlMs) } });
+    },
+    async list(prefix) {
+      const docs = await Model.find({ key: startsWith(prefix), expiresAt: { $gt: new Date() } }).lean();
+      return docs.map(toEntry);
+    },
+    async remove(key) {
+      const result = await Model.deleteOne({ key });
+      return result.deletedCount;
+    },
+    async clear(prefix) {
+      const result = await Model.deleteMany({ key: startsWith(prefix) });
+      return result.deletedCount;
+    }
+  };
+};
+
+/**
+ * Wrap a store so that any operation that fails on it is retried on another
+ * @param {RateLimitStoreAdapter} primary - Store to use
+ * @param {RateLimitStoreAdapter} fallback - Store to use when it fails
+ * @returns {RateLimitStoreAdapter} Store
+ */
+const withFallback = (primary, fallback) => {
+  const store = { type: primary.type };
+  ['increment', 'get', 'set', 'list', 'remove', 'clear'].forEach(method => {
+    store[method] = async (...args) => {
+      try {
+        return await primary[method](...args);
+      } catch (error) {
+        console.error(`Rate limit store ${primary.type} ${method} failed, using ${fallback.type}:`, error.message);
+        return fallback[method](...args);
+      }
+    };
+  });
+  return store;
+};
+
+let store = null;
+
+/**
+ * Get the configured store
+ * @returns {RateLimitStoreAdapter} Store
+ */
+const getStore = () => {
+  if (!store) {
+    const { store: type } = getRateLimitSettings();
+    if (type === 'memory') {
+      store = createMemoryStore();
+    } else if (type === 'redis') {
+      store = withFallback(createRedisStore(redisClient), createMongoStore());
+    } else {
+      store = createMongoStore();
+    }
+  }
+  return store;
+};
+
+/**
+ * Replace the store, e.g. with a fresh in-memory one between tests
+ * @param {RateLimitStoreAdapter} adapter - Store
+ */
+const setStore = (adapter) => {
+  store = adapter;
+};
+
+/**
+ * Count a hit in a sliding window. The window is approximated from two fixed windows:
+ * the current one's count plus the previous one's, weighted by how much of it the sliding window still covers.
+ * @param {string} key - Counter key, e.g. api:203.0.113.7
+ * @param {number} windowMs - Window length in milliseconds
+ * @param {Object} [options] - Options
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<Object>} { count, resetAt } - hits in the window including this one, and when the current fixed window ends
+ */
+const hit = async (key, windowMs, options = {}) => {
+  const { now = Date.now() } = options;
+  const window = Math.floor(now / windowMs);
+  const current = await getStore().increment(`${key}:${window}`, 1, windowMs * 2);
+  const previous = await getStore().get(`${key}:${window - 1}`);
+  const overlap = 1 - (now - window * windowMs) / windowMs;
+
+  return {
+    count: current + Math.floor((previous ? previous.count : 0) * overlap),
+    resetAt: new Date((window + 1) * windowMs)
+  };
+};
+
+/**
+ * Take back a hit, e.g. when successful requests should not count
+ * @param {string} key - Counter key
+ * @param {number} windowMs - Window length in milliseconds
+ * @param {number} hitAt - When the hit was counted, in milliseconds
+ * @returns {Promise<void>}
+ */
+const release = async (key, windowMs, hitAt) => {
+  await getStore().increment(`${key}:${Math.floor(hitAt / windowMs)}`, -1, windowMs * 2);
+};
+
+/**
+ * Get a sliding window count without counting a hit
+ * @param {string} key - Counter key
+ * @param {number} windowMs - Window length in milliseconds
+ * @param {Object} [options] - Options
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<Object>} { count, resetAt }
+ */
+const peek = async (key, windowMs, options = {}) => {
+  const { now = Date.now() } = options;
+  const window = Math.floor(now / windowMs);
+  const [current, previous] = await Promise.all([
+    getStore().get(`${key}:${window}`),
+    getStore().get(`${key}:${window - 1}`)
+  ]);
+  const overlap = 1 - (now - window * windowMs) / windowMs;
+
+  return {
+    count: (current ? current.count : 0) + Math.floor((previous ? previous.count : 0) * overlap),
+    resetAt: new Date((window + 1) * windowMs)
+  };
+};
+
+/**
+ * Clear a sliding window counter
+ * @param {string} key - Counter key
+ * @returns {Promise<number>} Entries removed
+ */
+const reset = (key) => getStore().clear(`${key}:`);
+
+/**
+ * Block something until a time
+ * @param {string} key - Block key, e.g. login-block:203.0.113.7:jane@example.com
+ * @param {Date} blockedUntil - When the block ends
+ * @param {Object} [data={}] - What to record about the block
+ * @returns {Promise<void>}
+ */
+const setBlock = (key, blockedUntil, data = {}) =>
+  getStore().set(key, { ...data, blockedUntil: blockedUntil.toISOString() }, blockedUntil.getTime() - Date.now());
+
+/**
+ * Get an active block
+ * @param {string} key - Block key
+ * @returns {Promise<Object|null>} The block's data with blockedUntil as a Date, or null
+ */
+const getBlock = async (key) => {
+  const entry = await getStore().get(key);
+  return entry && entry.data ? { ...entry.data, blockedUntil: new Date(entry.data.blockedUntil) } : null;
+};
+
+/**
+ * List active blocks
+ * @param {string} prefix - Key prefix, e.g. login-block:
+ * @returns {Promise<Array<Object>>} Blocks with their keys, soonest to end first
+ */
+const listBlocks = async (prefix) => {
+  const entries = await getStore().list(prefix);
+  return entries
+    .filter(entry => entry.data)
+    .map(entry => ({ key: entry.key, ...entry.data, blockedUntil: new Date(entry.data.blockedUntil) }))
+    .sort((a, b) => a.blockedUntil - b.blockedUntil);
+};
+
+/**
+ * Remove a block
+ * @param {string} key - Block key
+ * @returns {Promise<number>} Entries removed
+ */
+const removeBlock = (key) => getStore().remove(key);
+
+module.exports = {
+  STORE_TYPES,
+  getRateLimitSettings,
+  createMemoryStore,
+  createRedisStore,
+  createMongoStore,
+  withFallback,
+  getStore,
+  setStore,
+  hit,
+  release,
+  peek,
+  reset,
+  setBlock,
+  getBlock,
+  listBlocks,
+  removeBlock
+};
@@ -0,0 +1,73 @@
+/**
+ * @module utils/receiptStorage
+ * @description Keep missing-cashback claim receipts in Cloud Storage
+ *
+ * Function instances have a read-only file system and /tmp is per instance, so receipts are
+ * uploaded to a bucket - the project's default bucket, or `claims.receipts_bucket` - and the
+ * claim keeps the object path. Receipts are never made public; they are streamed through the API.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const admin = require('firebase-admin');
+const functions = require('firebase-functions');
+
+/**
+ * Folder receipts are stored under in the bucket
+ */
+const RECEIPT_PREFIX = 'receipts';
+
+/**
+ * Get the bucket receipts are kept in
+ * @returns {Object} Cloud Storage bucket
+ */
+const getBucket = () => {
+  if (admin.apps.length === 0) {
+    admin.initializeApp();
+  }
+  return admin.storage().bucket(functions.config().claims?.receipts_bucket);
+};
+
+/**
+ * Upload a receipt
+ * @param {ObjectId|string} userId - User filing the claim
+ * @param {Object} file - Multer file held in memory
+ * @returns {Promise<string>} Object path of the stored receipt
+ */
+const saveReceipt = async (userId, file) => {
+  const name = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${path.extname(file.originalname).toLowerCase()}`;
+  const objectPath = `${RECEIPT_PREFIX}/${userId}/${name}`;
+
+  await getBucket().file(objectPath).save(file.buffer, {
+    resumable: false,
+    contentType: file.mimetype
+  });
+
+  return objectPath;
+};
+
+/**
+ * Open a stored receipt for reading
+ * @param {string} objectPath - Object path kept on the claim
+ * @returns {Promise<Stream|null>} Readable stream, or null if the receipt is gone
+ */
+const openReceipt = async (objectPath) => {
+  const file = getBucket().file(objectPath);
+  const [exists] = await file.exists();
+  return exists ? file.createReadStream() : null;
+};
+
+/**
+ * Delete a stored receipt, e.g. when the claim it was uploaded for is not accepted
+ * @param {string} objectPath - Object path
+ * @returns {Promise<void>}
+ */
+const deleteReceipt = async (objectPath) => {
+  await getBucket().file(objectPath).delete({ ignoreNotFound: true });
+};
+
+module.exports = {
+  saveReceipt,
+  openReceipt,
+  deleteReceipt
+};
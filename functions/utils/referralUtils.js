@@ -0,0 +1,411 @@
+/**
+ * @module utils/referralUtils
+ * @description Referral codes, sign-up attribution, self-referral checks and referral bonuses
+ *
+ * A referee who signs up with a code gets a pending Referral. Once their first cashback
+ * is confirmed the referrer is granted a 'referral' Transaction through the ledger and
+ * the referral is completed. Sign-ups that share a device, browser or IP address with
+ * the referrer are recorded as rejected and never attributed.
+ */
+
+const functions = require('firebase-functions');
+const Click = require('../models/Click');
+const Referral = require('../models/Referral');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { ApiError } = require('../middleware/errorHandlerMiddleware');
+const { logger } = require('../middleware/loggingMiddleware');
+const {
+  runInSession,
+  recordTransaction,
+  toBaseAmount,
+  onTransactionCommitted,
+  publishTransactionCommitted
+} = require('./ledgerUtils');
+const { notifyUser } = require('./notificationUtils');
+const { sendReferralInviteEmail } = require('./emailUtils');
+
+/**
+ * Read the referral program settings
+ * @returns {Object} Settings
+ */
+const getReferralSettings = () => {
+  const config = functions.config().referrals || {};
+  return {
+    bonusAmount: parseFloat(config.bonus_amount) || 10,
+    maxRewards: parseInt(config.max_rewards, 10) || 50,
+    maxMonthlyRewards: parseInt(config.max_monthly_rewards, 10) || 10,
+    maxDailyInvites: parseInt(config.max_daily_invites, 10) || 20,
+    minQualifyingCashback: parseFloat(config.min_qualifying_cashback) || 0,
+    // Households share an IP address; set referrals.check_shared_ip to "false" to only match devices
+    checkSharedIp: config.check_shared_ip !== 'false'
+  };
+};
+
+/**
+ * Build the sign-up link for a referral code
+ * @param {string} code - Referral code
+ * @returns {string} Referral link
+ */
+const buildReferralLink = (code) => `${functions.config().frontend?.url || ''}/signup?ref=${encodeURIComponent(code)}`;
+
+/**
+ * Hide most of an email address for display to another user
+ * @param {string} email - Email address
+ * @returns {string} Masked email
+ */
+const maskEmail = (email = '') => {
+  const [name, domain] = email.split('@');
+  if (!domain) return email;
+  return `${name.charAt(0)}${'*'.repeat(Math.max(name.length - 1, 2))}@${domain}`;
+};
+
+/**
+ * Find the user owning a referral code
+ * @param {string} code - Referral code
+ * @returns {Promise<Object|null>} Referrer
+ */
+const findReferrerByCode = async (code) => {
+  if (!code) return null;
+  // Codes are typed in upper case; accounts created before readable codes have lowercase hex ones
+  const trimmed = String(code).trim();
+  return User.findOne({ referralCode: { $in: [trimmed.toUpperCase(), trimmed.toLowerCase()] } })
+    .select('email firstName lastName referralCode signupIp signupDeviceId loginHistory.ipAddress refreshTokens.ip');
+};
+
+/**
+ * Check a sign-up against the referrer's own footprint
+ * @param {Object} referrer - Referrer (as returned by findReferrerByCode)
+ * @param {Object} fingerprint - Sign-up request fingerprint
+ * @param {string} [fingerprint.ip] - IP address
+ * @param {string} [fingerprint.deviceId] - Client-supplied device identifier
+ * @param {string} [fingerprint.sessionId] - Click-out session cookie
+ * @returns {Promise<string|null>} Why the sign-up looks like a self-referral, or null
+ */
+const detectSelfReferral = async (referrer, fingerprint) => {
+  const { ip, deviceId, sessionId } = fingerprint;
+  const { checkSharedIp } = getReferralSettings();
+
+  if (deviceId) {
+    const sameDevice = referrer.signupDeviceId === deviceId ||
+      await Click.exists({ user: referrer._id, 'device.id': deviceId });
+    if (sameDevice) return 'Signed up from the referrer\'s device';
+  }
+
+  if (sessionId && await Click.exists({ user: referrer._id, sessionId })) {
+    return 'Signed up from the referrer\'s browser';
+  }
+
+  if (checkSharedIp && ip) {
+    const referrerIps = [
+      referrer.signupIp,
+      ...(referrer.loginHistory || []).map(entry => entry.ipAddress),
+      ...(referrer.refreshTokens || []).map(token => token.ip)
+    ];
+    if (referrerIps.includes(ip)) return 'Signed up from an IP address the referrer uses';
+  }
+
+  // Several referees of one referrer signing up from the same device or network
+  const shared = [];
+  if (deviceId) shared.push({ 'signup.deviceId': deviceId });
+  if (checkSharedIp && ip) shared.push({ 'signup.ip': ip });
+  if (shared.length > 0) {
+    const duplicate = await Referral.exists({
+      referrer: referrer._id,
+      status: { $in: ['pending', 'completed'] },
+      $or: shared
+    });
+    if (duplicate) return 'Another referral of this referrer signed up from the same device or network';
+  }
+
+  return null;
+};
+
+/**
+ * Attribute a new user to the owner of a referral code
+ * @param {Object} referee - Newly registered user
+ * @param {string} code - Referral code supplied at sign-up
+ * @param {Object} fingerprint - Sign-up request fingerprint ({ ip, deviceId, sessionId })
+ * @returns {Promise<Object|null>} Referral, or null if the code is unknown
+ */
+const attributeReferral = async (referee, code, fingerprint = {}) => {
+  const referrer = await findReferrerByCode(code);
+  if (!referrer || referrer._id.equals(referee._id)) {
+    return null;
+  }
+
+  const rejectionReason = await detectSelfReferral(referrer, fingerprint);
+  const fields = {
+    referee: referee._id,
+    code: referrer.referralCode,
+    status: rejectionReason ? 'rejected' : 'pending',
+    signup: {
+      at: new Date(),
+      ip: fingerprint.ip,
+      deviceId: fingerprint.deviceId,
+      sessionId: fingerprint.sessionId
+    },
+    rejectionReason
+  };
+
+  // Turn an outstanding invitation to this email into the referral, if there is one
+  const referral = await Referral.findOneAndUpdate(
+    { referrer: referrer._id, email: referee.email, status: 'invited' },
+    { $set: fields },
+    { new: true }
+  ) || await Referral.create({ referrer: referrer._id, email: referee.email, ...fields });
+
+  if (rejectionReason) {
+    logger.warn(`Referral of ${referee._id} by ${referrer._id} rejected: ${rejectionReason}`);
+    return referral;
+  }
+
+  await User.updateOne({ _id: referee._id }, { $set: { referredBy: referrer._id } });
+  await User.updateOne({ _id: referrer._id }, { $inc: { referralCount: 1 } });
+
+  return referral;
+};
+
+/**
+ * Count a referrer's completed referrals, in total and since the start of the month
+ * @param {ObjectId} referrerId - Referrer ID
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { total, thisMonth }
+ */
+const countRewards = async (referrerId, now) => {
+  const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+  const [total, thisMonth] = await Promise.all([
+    Referral.countDocuments({ referrer: referrerId, status: 'completed' }),
+    Referral.countDocuments({ referrer: referrerId, status: 'completed', completedAt: { $gte: monthStart } })
+  ]);
+  return { total, thisMonth };
+};
+
+/**
+ * Grant the referral bonus if a transaction is the referee's first confirmed cashback.
+ * Registered as a ledger commit listener; safe to call more than once for the same transaction.
+ * @param {Object} transaction - Committed transaction
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now=new Date()] - Current time, for the monthly cap
+ * @returns {Promise<Object|null>} Bonus transaction, or null if none was granted
+ */
+const qualifyReferral = async (transaction, options = {}) => {
+  const { now = new Date() } = options;
+  if (transaction.type !== 'cashback' || !['confirmed', 'paid'].includes(transaction.status)) {
+    return null;
+  }
+
+  const referral = await Referral.findOne({ referee: transaction.user, status: 'pending' });
+  if (!referral) {
+    return null;
+  }
+
+  const settings = getReferralSettings();
+  if (toBaseAmount(transaction) < settings.minQualifyingCashback) {
+    return null;
+  }
+
+  const rewards = await countRewards(referral.referrer, now);
+  if (rewards.total >= settings.maxRewards) {
+    referral.status = 'rejected';
+    referral.rejectionReason = `Referrer reached the limit of ${settings.maxRewards} referral rewards`;
+    await referral.save();
+    return null;
+  }
+  // Over the monthly cap the referral stays pending and is picked up by a later sweep
+  if (rewards.thisMonth >= settings.maxMonthlyRewards) {
+    return null;
+  }
+
+  const bonus = await runInSession(async (session) => {
+    const claimed = await Referral.findOneAndUpdate(
+      { _id: referral._id, status: 'pending' },
+      { $set: { status: 'completed', completedAt: now, qualifyingTransaction: transaction._id } },
+      { new: true, session }
+    );
+    if (!claimed) {
+      return null;
+    }
+
+    const created = await recordTransaction({
+      user: referral.referrer,
+      type: 'referral',
+      status: 'confirmed',
+      amount: settings.bonusAmount,
+      cashbackAmount: settings.bonusAmount,
+      cashbackPercentage: 100,
+      purchaseDate: now,
+      description: `Referral bonus for inviting ${maskEmail(referral.email)}`,
+      notes: `Referral ${referral._id}`
+    }, { session });
+
+    claimed.bonusTransaction = created._id;
+    await claimed.save({ session });
+    return created;
+  });
+
+  if (bonus) {
+    await publishTransactionCommitted(bonus);
+    await notifyUser(referral.referrer, {
+      title: 'Referral bonus earned',
+      message: `Your friend earned their first cashback - $${settings.bonusAmount.toFixed(2)} has been added to your available balance.`,
+      type: 'transaction',
+      actionLink: '/referrals',
+      relatedDocument: { documentType: 'transaction', documentId: bonus._id }
+    });
+  }
+  return bonus;
+};
+
+/**
+ * Grant bonuses for pending referrals whose referee already has confirmed cashback.
+ * Catches referrals deferred by the monthly cap or missed by a failed commit listener.
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now=new Date()] - Current time
+ * @returns {Promise<Object>} { granted, failed }
+ */
+const processPendingReferrals = async (options = {}) => {
+  const summary = { granted: 0, failed: [] };
+  const cursor = Referral.find({ status: 'pending' }).select('referee').cursor();
+
+  for (let referral = await cursor.next(); referral != null; referral = await cursor.next()) {
+    try {
+      const transaction = await Transaction.findOne({
+        user: referral.referee,
+        type: 'cashback',
+        status: { $in: ['confirmed', 'paid'] }
+      }).sort({ createdAt: 1 });
+
+      if (transaction && await qualifyReferral(transaction, options)) {
+        summary.granted += 1;
+      }
+    } catch (error) {
+      summary.failed.push({ referral: referral._id, error: error.message });
+      logger.warn(`Could not process referral ${referral._id}: ${error.message}`);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Build the referral overview shown on the referral page
+ * @param {ObjectId|string} userId - User ID
+ * @returns {Promise<Object>} Referral summary
+ */
+const getReferralSummary = async (userId) => {
+  const user = await User.findById(userId).select('referralCode referralCount');
+  if (!user) {
+    throw new ApiError('User not found', 404);
+  }
+
+  // Accounts created before codes were generated at sign-up get one on first visit
+  if (!user.referralCode) {
+    user.referralCode = User.generateReferralCode();
+    await user.save();
+  }
+
+  const [referrals, earned] = await Promise.all([
+    Referral.find({ referrer: user._id, status: { $ne: 'rejected' } })
+      .populate('referee', 'firstName lastName')
+      .sort({ createdAt: -1 }),
+    Transaction.aggregate([
+      { $match: { user: user._id, type: 'referral', status: { $in: ['confirmed', 'paid'] } } },
+      { $group: { _id: null, total: { $sum: '$cashbackAmount' } } }
+    ])
+  ]);
+
+  const toEntry = (referral) => ({
+    id: referral._id,
+    name: referral.referee ? referral.referee.fullName : null,
+    // Invited addresses were typed in by the referrer; sign-ups through a shared link were not
+    email: referral.status === 'invited' ? referral.email : maskEmail(referral.email),
+    date: referral.completedAt || referral.signup?.at || referral.invitedAt || referral.createdAt,
+    status: referral.status === 'completed' ? 'completed' : 'pending',
+    invited: referral.status === 'invited'
+  });
+
+  return {
+    referralCode: user.referralCode,
+    referralLink: buildReferralLink(user.referralCode),
+    referralCount: user.referralCount,
+    pendingReferrals: referrals.filter(referral => referral.status !== 'completed').map(toEntry),
+    completedReferrals: referrals.filter(referral => referral.status === 'completed').map(toEntry),
+    totalEarned: earned.length > 0 ? Math.round(earned[0].total * 100) / 100 : 0,
+    bonusPerReferral: getReferralSettings().bonusAmount
+  };
+};
+
+/**
+ * Email referral invitations on behalf of a user
+ * @param {ObjectId|string} userId - Inviting user
+ * @param {Array<string>} emails - Addresses to invite
+ * @returns {Promise<Object>} { sent, skipped }
+ */
+const sendReferralInvites = async (userId, emails) => {
+  const user = await User.findById(userId).select('email firstName lastName referralCode');
+  if (!user) {
+    throw new ApiError('User not found', 404);
+  }
+  if (!user.referralCode) {
+    user.referralCode = User.generateReferralCode();
+    await user.save();
+  }
+
+  const { maxDailyInvites } = getReferralSettings();
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const recent = await Referral.countDocuments({ referrer: user._id, invitedAt: { $gte: since } });
+  const addresses = [...new Set(emails.map(email => email.trim().toLowerCase()))];
+
+  if (recent + addresses.length > maxDailyInvites) {
+    throw new ApiError(`You can send up to ${maxDailyInvites} invitations per day (${Math.max(maxDailyInvites - recent, 0)} left)`, 429);
+  }
+
+  // Skip yourself, existing members and addresses you already invited
+  const [members, invited] = await Promise.all([
+    User.find({ email: { $in: addresses } }).distinct('email'),
+    Referral.find({ referrer: user._id, email: { $in: addresses } }).distinct('email')
+  ]);
+  const skip = new Set([user.email, ...members, ...invited]);
+
+  const referralLink = buildReferralLink(user.referralCode);
+  const sent = [];
+  const skipped = addresses.filter(email => skip.has(email));
+
+  for (const email of addresses.filter(address => !skip.has(address))) {
+    await Referral.create({
+      referrer: user._id,
+      email,
+      code: user.referralCode,
+      status: 'invited',
+      invitedAt: new Date()
+    });
+    const delivered = await sendReferralInviteEmail(email, {
+      referrerName: user.fullName,
+      referralCode: user.referralCode,
+      referralLink
+    });
+    if (delivered) {
+      sent.push(email);
+    } else {
+      skipped.push(email);
+    }
+  }
+
+  return { sent, skipped };
+};
+
+// Bonuses follow the ledger: whenever a cashback is confirmed, check whether it qualifies a referral
+onTransactionCommitted((transaction) => qualifyReferral(transaction));
+
+module.exports = {
+  getReferralSettings,
+  buildReferralLink,
+  findReferrerByCode,
+  detectSelfReferral,
+  attributeReferral,
+  qualifyReferral,
+  processPendingReferrals,
+  getReferralSummary,
+  sendReferralInvites
+};
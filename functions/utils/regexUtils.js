@@ -0,0 +1,15 @@
+/**
+ * @module utils/regexUtils
+ * @description Build MongoDB and JavaScript regular expressions from user input
+ */
+
+/**
+ * Escape user input for use inside a regular expression
+ * @param {string} value - Raw input
+ * @returns {string} Escaped pattern
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  escapeRegex
+};
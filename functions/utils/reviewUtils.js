@@ -0,0 +1,152 @@
+/**
+ * @module utils/reviewUtils
+ * @description Review helpers: verified purchases, rating summaries and helpful votes
+ */
+
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const ReviewVote = require('../models/ReviewVote');
+const Store = require('../models/Store');
+const Transaction = require('../models/Transaction');
+
+/**
+ * Transaction field that links a purchase to each reviewable item type
+ */
+const PURCHASE_FIELDS = {
+  store: 'store',
+  coupon: 'couponUsed',
+  cashback: 'cashbackOffer'
+};
+
+/**
+ * Load the item a review is about
+ * @param {string} itemType - 'store', 'coupon' or 'cashback'
+ * @param {ObjectId|string} itemId - Item ID
+ * @returns {Promise<Object|null>} Item document, or null if it does not exist
+ */
+const findReviewItem = (itemType, itemId) => mongoose.model(Review.ITEM_MODELS[itemType]).findById(itemId);
+
+/**
+ * Whether the user has a confirmed (or paid) cashback purchase through the item
+ * @param {ObjectId|string} userId - User ID
+ * @param {string} itemType - 'store', 'coupon' or 'cashback'
+ * @param {ObjectId|string} itemId - Item ID
+ * @returns {Promise<boolean>} True if the purchase is verified
+ */
+const hasVerifiedPurchase = async (userId, itemType, itemId) => {
+  const purchase = await Transaction.exists({
+    user: userId,
+    type: 'cashback',
+    status: { $in: ['confirmed', 'paid'] },
+    [PURCHASE_FIELDS[itemType]]: itemId
+  });
+  return Boolean(purchase);
+};
+
+/**
+ * Summarise the approved reviews of an item
+ * @param {string} itemType - 'store', 'coupon' or 'cashback'
+ * @param {ObjectId|string} itemId - Item ID
+ * @returns {Promise<Object>} { averageRating, totalReviews, distribution } where distribution counts reviews per star
+ */
+const getRatingSummary = async (itemType, itemId) => {
+  const counts = await Review.aggregate([
+    { $match: { itemType, itemId: new mongoose.Types.ObjectId(itemId), status: 'approved' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let totalReviews = 0;
+  let ratingSum = 0;
+  counts.forEach(({ _id, count }) => {
+    distribution[_id] = count;
+    totalReviews += count;
+    ratingSum += _id * count;
+  });
+
+  return {
+    averageRating: totalReviews > 0 ? Math.round((ratingSum / totalReviews) * 10) / 10 : 0,
+    totalReviews,
+    distribution
+  };
+};
+
+/**
+ * Bring a store's averageRating and totalReviews in line with its approved reviews.
+ * Coupons and cashback offers keep no rating of their own, so other item types are left alone.
+ * @param {string} itemType - 'store', 'coupon' or 'cashback'
+ * @param {ObjectId|string} itemId - Item ID
+ * @returns {Promise<Object|null>} Rating summary, or null if the item type keeps no rating
+ */
+const syncItemRating = async (itemType, itemId) => {
+  if (itemType !== 'store') {
+    return null;
+  }
+
+  const summary = await getRatingSummary(itemType, itemId);
+  await Store.updateOne(
+    { _id: itemId },
+    { $set: { averageRating: summary.averageRating, totalReviews: summary.totalReviews } }
+  );
+  return summary;
+};
+
+/**
+ * Recount a review's helpful and unhelpful votes from the vote log
+ * @param {ObjectId|string} reviewId - Review ID
+ * @returns {Promise<Object>} { helpfulVotes, unhelpfulVotes }
+ */
+const recountVotes = async (reviewId) => {
+  const [helpfulVotes, unhelpfulVotes] = await Promise.all([
+    ReviewVote.countDocuments({ review: reviewId, vote: 'helpful' }),
+    ReviewVote.countDocuments({ review: reviewId, vote: 'unhelpful' })
+  ]);
+
+  await Review.updateOne({ _id: reviewId }, { $set: { helpfulVotes, unhelpfulVotes } });
+  return { helpfulVotes, unhelpfulVotes };
+};
+
+/**
+ * Record a user's vote on a review, replacing any earlier vote
+ * @param {ObjectId|string} reviewId - Review ID
+ * @param {ObjectId|string} userId - Voting user ID
+ * @param {string} vote - 'helpful' or 'unhelpful'
+ * @returns {Promise<Object>} { vote, helpfulVotes, unhelpfulVotes }
+ */
+const recordVote = async (reviewId, userId, vote) => {
+  try {
+    await ReviewVote.findOneAndUpdate(
+      { review: reviewId, user: userId },
+      { $set: { vote } },
+      { upsert: true, runValidators: true }
+    );
+  } catch (error) {
+    // Two first votes raced; the other insert won, so update it instead
+    if (error.code !== 11000) {
+      throw error;
+    }
+    await ReviewVote.updateOne({ review: reviewId, user: userId }, { $set: { vote } });
+  }
+
+  return { vote, ...await recountVotes(reviewId) };
+};
+
+/**
+ * Withdraw a user's vote on a review
+ * @param {ObjectId|string} reviewId - Review ID
+ * @param {ObjectId|string} userId - Voting user ID
+ * @returns {Promise<Object>} { vote: null, helpfulVotes, unhelpfulVotes }
+ */
+const removeVote = async (reviewId, userId) => {
+  await ReviewVote.deleteOne({ review: reviewId, user: userId });
+  return { vote: null, ...await recountVotes(reviewId) };
+};
+
+module.exports = {
+  findReviewItem,
+  hasVerifiedPurchase,
+  getRatingSummary,
+  syncItemRating,
+  recordVote,
+  removeVote
+};
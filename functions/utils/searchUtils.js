@@ -0,0 +1,424 @@
+/**
+ * @module utils/searchUtils
+ * @description Relevance-ranked search over coupons, cashback offers, stores and blog posts
+ *
+ * 1. Each collection is searched through its text index and ranked by text score.
+ * 2. When nothing matches, misspelled words are corrected against the vocabulary of store names,
+ *    categories and tags (edit distance), and the corrected query is searched instead.
+ * 3. When that finds nothing either, words are matched as prefixes, so partial words still match.
+ * Facet counts (category, store, discount type, expiry window) cover every match of the query,
+ * before the facet filters are applied, so a client can offer the other values of a facet.
+ */
+
+const Coupon = require('../models/Coupon');
+const Cashback = require('../models/Cashback');
+const Store = require('../models/Store');
+const Blog = require('../models/Blog');
+const cache = require('./cache');
+const { escapeRegex } = require('./regexUtils');
+const { activeCouponFilter, activeCashbackFilter } = require('./storeUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Expiry windows offers are grouped in: within a week, within a month, later, or never
+ */
+const EXPIRY_WINDOWS = ['week', 'month', 'later', 'none'];
+
+/**
+ * How long the spelling vocabulary is cached, in seconds
+ */
+const VOCABULARY_TTL = 60 * 60;
+
+/**
+ * Characters of a result's text shown around the first match
+ */
+const SNIPPET_LENGTH = 160;
+
+/**
+ * What each collection is searched for, which filters apply to it and what a result shows
+ */
+const SEARCH_TYPES = {
+  coupons: {
+    Model: Coupon,
+    baseFilter: now => activeCouponFilter(now),
+    select: 'code title description discount discountType store expiryDate category',
+    populate: { path: 'store', select: 'name logo slug' },
+    prefixFields: ['code', 'title', 'description', 'category', 'tags'],
+    snippetFields: ['description', 'title'],
+    facets: ['category', 'store', 'discountType', 'expiry']
+  },
+  cashbacks: {
+    Model: Cashback,
+    baseFilter: now => activeCashbackFilter(now),
+    select: 'title description amount store category expiryDate',
+    populate: { path: 'store', select: 'name logo slug' },
+    prefixFields: ['title', 'description', 'category'],
+    snippetFields: ['description', 'title'],
+    facets: ['category', 'store', 'expiry']
+  },
+  stores: {
+    Model: Store,
+    baseFilter: () => ({ isActive: true }),
+    select: 'name slug logo description categories cashbackPercentage averageRating',
+    prefixFields: ['name', 'description', 'categories'],
+    snippetFields: ['description'],
+    facets: ['category'],
+    // Stores keep their categories in a list
+    categoryField: 'categories'
+  },
+  blogs: {
+    Model: Blog,
+    baseFilter: () => ({ isPublished: true }),
+    select: 'title summary content slug featuredImage category tags createdAt viewCount author',
+    populate: { path: 'author', select: 'name avatar' },
+    prefixFields: ['title', 'summary', 'content', 'category', 'tags'],
+    snippetFields: ['summary', 'content'],
+    facets: ['category']
+  }
+};
+
+/**
+ * Split a query into lowercase words
+ * @param {string} query - Search query
+ * @returns {Array<string>} Words
+ */
+const tokenize = (query) => (String(query).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+
+/**
+ * Edit distance between two words (insertions, deletions, substitutions and swapped neighbours),
+ * giving up once it exceeds max
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Distance, or max + 1 when it is larger than max
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+};
+
+/**
+ * Get the words searches are spell-corrected against: store names, categories and tags
+ * @returns {Promise<Array<string>>} Words
+ */
+const getVocabulary = () => cache.getOrSet('search:vocabulary', async () => {
+  const lists = await Promise.all([
+    Store.distinct('name', { isActive: true }),
+    Store.distinct('categories', { isActive: true }),
+    Coupon.distinct('category', { isActive: true }),
+    Coupon.distinct('tags', { isActive: true }),
+    Cashback.distinct('category', { isActive: true }),
+    Blog.distinct('category', { isPublished: true }),
+    Blog.distinct('tags', { isPublished: true })
+  ]);
+  const words = new Set(lists.flat().filter(Boolean).flatMap(tokenize).filter(word => word.length >= 3));
+  return [...words];
+}, VOCABULARY_TTL);
+
+/**
+ * Correct the misspelled words of a query against the vocabulary
+ * @param {string} query - Search query
+ * @returns {Promise<string|null>} Corrected query, or null if no word needed correcting
+ */
+const correctQuery = async (query) => {
+  const vocabulary = await getVocabulary();
+  const known = new Set(vocabulary);
+  let corrected = false;
+
+  const words = tokenize(query).map(word => {
+    if (word.length < 3 || known.has(word) || /^\d+$/.test(word)) return word;
+
+    // Short words tolerate one typo, longer ones two
+    const maxDistance = word.length <= 4 ? 1 : 2;
+    let best = null;
+    let bestDistance = maxDistance + 1;
+    for (const candidate of vocabulary) {
+      const distance = editDistance(word, candidate, maxDistance);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+    if (!best) return word;
+    corrected = true;
+    return best;
+  });
+
+  return corrected ? words.join(' ') : null;
+};
+
+/**
+ * Build the filter matching a query in one collection
+ * @param {Object} config - Search type config
+ * @param {string} query - Search query
+ * @param {string} mode - 'text' to use the text index, 'prefix' to match words by prefix
+ * @returns {Object} Query filter
+ */
+const buildMatchFilter = (config, query, mode) => {
+  if (mode === 'text') {
+    return { $text: { $search: query } };
+  }
+
+  // Every word has to start a word in one of the fields
+  return {
+    $and: tokenize(query).map(word => ({
+      $or: config.prefixFields.map(field => ({ [field]: { $regex: `\\b${escapeRegex(word)}`, $options: 'i' } }))
+    }))
+  };
+};
+
+/**
+ * Build the filter for the facet values a search is narrowed to
+ * @param {Object} config - Search type config
+ * @param {Object} filters - { category, store, discountType, expiry }
+ * @param {Date} now - Current time
+ * @returns {Object|null} Filter, or null when a filter cannot apply to this collection
+ */
+const buildFacetFilter = (config, filters, now) => {
+  const filter = {};
+  for (const facet of ['category', 'store', 'discountType', 'expiry']) {
+    if (!filters[facet]) continue;
+    if (!config.facets.includes(facet)) return null;
+
+    if (facet === 'category') {
+      filter[config.categoryField || 'category'] = filters.category;
+    } else if (facet === 'expiry') {
+      const week = new Date(now.getTime() + 7 * DAY_MS);
+      const month = new Date(now.getTime() + 30 * DAY_MS);
+      filter.expiryDate = {
+        week: { $lte: week },
+        month: { $gt: week, $lte: month },
+        later: { $gt: month },
+        none: null
+      }[filters.expiry];
+    } else {
+      filter[facet] = filters[facet];
+    }
+  }
+  return filter;
+};
+
+/**
+ * Build the facet pipelines of a collection
+ * @param {Object} config - Search type config
+ * @param {Date} now - Current time
+ * @returns {Object} $facet stage contents
+ */
+const buildFacetStages = (config, now) => {
+  const count = (field) => [
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $match: { _id: { $ne: null } } },
+    { $sort: { count: -1 } },
+    { $limit: 20 }
+  ];
+
+  const stages = {};
+  if (config.facets.includes('category')) {
+    stages.category = config.categoryField
+      ? [{ $unwind: `$${config.categoryField}` }, ...count(config.categoryField)]
+      : count('category');
+  }
+  if (config.facets.includes('store')) {
+    stages.store = [
+      ...count('store'),
+      { $lookup: { from: Store.collection.name, localField: '_id', foreignField: '_id', as: 'store' } },
+      { $project: { count: 1, name: { $arrayElemAt: ['$store.name', 0] } } }
+    ];
+  }
+  if (config.facets.includes('discountType')) {
+    stages.discountType = count('discountType');
+  }
+  if (config.facets.includes('expiry')) {
+    const week = new Date(now.getTime() + 7 * DAY_MS);
+    const month = new Date(now.getTime() + 30 * DAY_MS);
+    stages.expiry = [
+      {
+        $group: {
+          _id: {
+            $switch: {
+              branches: [
+                { case: { $eq: [{ $ifNull: ['$expiryDate', null] }, null] }, then: 'none' },
+                { case: { $lte: ['$expiryDate', week] }, then: 'week' },
+                { case: { $lte: ['$expiryDate', month] }, then: 'month' }
+              ],
+              default: 'later'
+            }
+          },
+          count: { $sum: 1 }
+        }
+      }
+    ];
+  }
+  return stages;
+};
+
+/**
+ * Cut a result's text down to the part around the first matching word
+ * @param {Object} document - Result
+ * @param {Array<string>} fields - Fields to take the snippet from, in order of preference
+ * @param {Array<string>} terms - Query words
+ * @returns {string} Snippet
+ */
+const buildSnippet = (document, fields, terms) => {
+  const texts = fields.map(field => document[field]).filter(text => typeof text === 'string' && text.trim());
+  if (texts.length === 0) return '';
+
+  // Blog content may be HTML
+  const plain = texts.map(text => text.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim());
+  const pattern = terms.length > 0 ? new RegExp(`\\b(${terms.map(escapeRegex).join('|')})`, 'i') : null;
+  const text = plain.find(candidate => pattern && pattern.test(candidate)) || plain[0];
+  if (text.length <= SNIPPET_LENGTH) return text;
+
+  const match = pattern ? text.search(pattern) : -1;
+  const start = Math.max(0, Math.min(match - SNIPPET_LENGTH / 4, text.length - SNIPPET_LENGTH));
+  const snippet = text.slice(start, start + SNIPPET_LENGTH).trim();
+  return `${start > 0 ? '…' : ''}${snippet}${start + SNIPPET_LENGTH < text.length ? '…' : ''}`;
+};
+
+/**
+ * Search one collection
+ * @param {string} type - Search type
+ * @param {string} query - Search query
+ * @param {string} mode - 'text' or 'prefix'
+ * @param {Object} options - { filters, skip, limit, now }
+ * @returns {Promise<Object>} { data, count, facets }
+ */
+const searchType = async (type, query, mode, options) => {
+  const config = SEARCH_TYPES[type];
+  const { filters, skip, limit, now } = options;
+  const facetFilter = buildFacetFilter(config, filters, now);
+  if (!facetFilter) return { data: [], count: 0, facets: {} };
+
+  // Facets are counted before the facet filters are applied. Both filters may use $and, so they are not merged
+  const matchFilter = { $and: [buildMatchFilter(config, query, mode), config.baseFilter(now)] };
+  const filter = { $and: [matchFilter, facetFilter] };
+
+  let find = config.Model.find(filter).select(config.select).skip(skip).limit(limit);
+  if (mode === 'text') {
+    find = find.select({ score: { $meta: 'textScore' } }).sort({ score: { $meta: 'textScore' }, _id: 1 });
+  } else {
+    find = find.sort({ createdAt: -1 });
+  }
+  if (config.populate) find = find.populate(config.populate);
+
+  const [documents, count, [facets = {}]] = await Promise.all([
+    find.lean(),
+    config.Model.countDocuments(filter),
+    config.Model.aggregate([{ $match: matchFilter }, { $facet: buildFacetStages(config, now) }])
+  ]);
+
+  const terms = tokenize(query);
+  const data = documents.map(document => {
+    const result = { ...document, snippet: buildSnippet(document, config.snippetFields, terms) };
+    // Blog content is only needed for the snippet
+    delete result.content;
+    return result;
+  });
+
+  const facetCounts = Object.keys(facets).reduce((counts, facet) => {
+    counts[facet] = facets[facet].map(({ _id, count: facetCount, name }) => (
+      name !== undefined ? { value: _id, name, count: facetCount } : { value: _id, count: facetCount }
+    ));
+    return counts;
+  }, {});
+
+  return { data, count, facets: facetCounts };
+};
+
+/**
+ * Search across collections, correcting typos and falling back to prefix matching
+ * @param {string} query - Search query
+ * @param {Object} [options] - Options
+ * @param {string} [options.type] - Only this collection; all of them otherwise
+ * @param {number} [options.page=1] - Page, when searching one collection
+ * @param {number} [options.limit=10] - Results per page, when searching one collection
+ * @param {Object} [options.filters] - Facet values: { category, store, discountType, expiry }
+ * @param {Date} [options.now=new Date()] - Current time
+ * @returns {Promise<Object>} { query, correctedQuery, matchMode, terms, totalResults, results, facets }
+ */
+const search = async (query, options = {}) => {
+  const { type, page = 1, limit = 10, filters = {}, now = new Date() } = options;
+  const types = type ? [type] : Object.keys(SEARCH_TYPES);
+  // Searching everything shows the best few of each kind
+  const searchOptions = {
+    filters,
+    now,
+    skip: type ? (page - 1) * limit : 0,
+    limit: type ? limit : 5
+  };
+
+  const run = async (searchQuery, mode) => {
+    const found = await Promise.all(types.map(name => searchType(name, searchQuery, mode, searchOptions)));
+    const results = {};
+    const facets = {};
+    let totalResults = 0;
+    types.forEach((name, index) => {
+      const { data, count, facets: typeFacets } = found[index];
+      results[name] = { data, count };
+      facets[name] = typeFacets;
+      totalResults += count;
+    });
+    return { results, facets, totalResults };
+  };
+
+  let searchQuery = query;
+  let matchMode = 'text';
+  let correctedQuery = null;
+  let found = await run(query, 'text');
+
+  if (found.totalResults === 0) {
+    correctedQuery = await correctQuery(query);
+    if (correctedQuery) {
+      const corrected = await run(correctedQuery, 'text');
+      if (corrected.totalResults > 0) {
+        found = corrected;
+        searchQuery = correctedQuery;
+        matchMode = 'corrected';
+      }
+    }
+  }
+
+  if (found.totalResults === 0 && tokenize(query).length > 0) {
+    found = await run(query, 'prefix');
+    searchQuery = query;
+    matchMode = 'prefix';
+  }
+
+  return {
+    query,
+    correctedQuery: matchMode === 'corrected' ? correctedQuery : null,
+    matchMode,
+    terms: tokenize(searchQuery),
+    ...found
+  };
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  EXPIRY_WINDOWS,
+  tokenize,
+  editDistance,
+  correctQuery,
+  buildSnippet,
+  search
+};
@@ -0,0 +1,276 @@
+/**
+ * @module utils/sessionUtils
+ * @description Sign-in sessions: starting them with the device and approximate location they came from,
+ * and alerting users to sign-ins from devices they have not used before
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { generateAccessToken, generateRefreshToken, revokeToken } = require('./jwtUtils');
+const { notifyUser } = require('./notificationUtils');
+
+/**
+ * Sessions kept per user; starting another one ends the oldest
+ */
+const MAX_SESSIONS = 5;
+
+/**
+ * How long a session lasts without being refreshed
+ */
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Devices remembered per user; the least recently used are forgotten first
+ */
+const MAX_KNOWN_DEVICES = 20;
+
+/**
+ * How long after rotation a refresh token is only rejected, rather than treated as reused.
+ * Covers a client that sent two refreshes at once, e.g. from two tabs.
+ */
+const REUSE_GRACE_MS = 30 * 1000;
+
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Safari', /Version\/.*Safari\//]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['Chrome OS', /CrOS/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * Describe the device behind a user agent, e.g. "Chrome on Windows"
+ * @param {string} userAgent - User agent header
+ * @returns {string} Device description
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent || userAgent === 'unknown') return 'Unknown device';
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+  if (!browser && !os) return 'Unknown device';
+  return `${browser ? browser[0] : 'Unknown browser'} on ${os ? os[0] : 'an unknown system'}`;
+};
+
+/**
+ * Get the approximate location of a request from the geolocation headers Google's front end adds
+ * @param {Object} req - Express request object
+ * @returns {string|null} Location, e.g. "Austin, TX, US", or null if unknown
+ */
+const getRequestLocation = (req) => {
+  // Unknown values are sent as '?'
+  const header = (name) => {
+    const value = req.get(name);
+    return value && value !== '?' ? value : null;
+  };
+
+  const city = header('X-Appengine-City');
+  const parts = [
+    city && city.replace(/\b\w/g, letter => letter.toUpperCase()),
+    header('X-Appengine-Region') && header('X-Appengine-Region').toUpperCase(),
+    header('X-Appengine-Country')
+  ].filter(Boolean);
+  if (parts.length > 0) return parts.join(', ');
+
+  return header('X-Client-Geo-Location');
+};
+
+/**
+ * Identify the device a request comes from: by the ID the client sends, or else by its browser and system
+ * @param {Object} req - Express request object
+ * @returns {string} Device key
+ */
+const getDeviceKey = (req) => {
+  const deviceId = req.get('X-Device-Id');
+  const source = deviceId ? `id:${deviceId}` : `agent:${describeDevice(req.get('User-Agent'))}`;
+  return crypto.createHash('sha256').update(source).digest('hex').slice(0, 32);
+};
+
+/**
+ * Record the device a user signs in from
+ * @param {Object} user - User document
+ * @param {string} key - Device key
+ * @param {string} label - Device description
+ * @param {Date} now - Sign-in time
+ * @returns {boolean} Whether the device is new to a user who has signed in before
+ */
+const rememberDevice = (user, key, label, now) => {
+  const known = user.knownDevices.find(device => device.key === key);
+  if (known) {
+    known.lastSeen = now;
+    return false;
+  }
+
+  // Users who signed in before devices were remembered get no alert for their first device
+  const isNew = user.knownDevices.length > 0;
+  user.knownDevices.push({ key, label, firstSeen: now, lastSeen: now });
+  if (user.knownDevices.length > MAX_KNOWN_DEVICES) {
+    const sorted = [...user.knownDevices].sort((a, b) => b.lastSeen - a.lastSeen);
+    user.knownDevices = sorted.slice(0, MAX_KNOWN_DEVICES);
+  }
+  return isNew;
+};
+
+/**
+ * Tell a user their account was signed in to from a new device
+ * @param {Object} user - User document
+ * @param {Object} device - { label, location, ip }
+ * @returns {Promise<Object|null>} Notification, or null if it failed
+ */
+const alertNewDevice = (user, device) => notifyUser(user._id, {
+  title: 'New sign-in to your account',
+  message: `Your account was signed in to from ${device.label}${device.location ? ` near ${device.location}` : ''}. `
+    + 'If this wasn\'t you, sign that session out from your account page and change your password.',
+  type: 'account',
+  // Security alerts skip muted types, quiet hours and digests
+  priority: 'high',
+  actionLink: '/account'
+});
+
+/**
+ * Start a session for a user who just signed in: issue its tokens, record it with its device and location,
+ * save the user and alert them if the device is new
+ * @param {Object} user - User document, with any other sign-in changes already made
+ * @param {Object} req - Express request object
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.alert=true] - Alert on a new device (false for the session created at sign-up)
+ * @param {Date} [options.now=new Date()] - Current time
+ * @returns {Promise<Object>} { accessToken, refreshToken, sessionId }
+ */
+const startSession = async (user, req, options = {}) => {
+  const { alert = true, now = new Date() } = options;
+  const userAgent = req.get('User-Agent') || 'unknown';
+  const deviceKey = getDeviceKey(req);
+  const label = describeDevice(userAgent);
+  const location = getRequestLocation(req);
+  const isNewDevice = rememberDevice(user, deviceKey, label, now);
+
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = generateRefreshToken(user, undefined, { sessionId });
+  user.refreshTokens.push({
+    _id: sessionId,
+    token: refreshToken,
+    expiresAt: new Date(now.getTime() + SESSION_TTL_MS),
+    device: userAgent,
+    deviceKey,
+    ip: req.ip,
+    location,
+    createdAt: now,
+    lastUsed: now
+  });
+
+  // Keep the most recent sessions
+  if (user.refreshTokens.length > MAX_SESSIONS) {
+    user.refreshTokens = user.refreshTokens.slice(-MAX_SESSIONS);
+  }
+
+  await user.save();
+
+  if (alert && isNewDevice) {
+    await alertNewDevice(user, { label, location, ip: req.ip });
+  }
+
+  return {
+    accessToken: generateAccessToken(user, undefined, { sessionId }),
+    refreshToken,
+    sessionId
+  };
+};
+
+/**
+ * Rotate a session's refresh token: the session gets a new one and the one presented is revoked,
+ * so presenting it again is recognised as reuse
+ * @param {Object} user - User document
+ * @param {Object} session - The session's refresh token entry
+ * @param {string} presentedToken - Refresh token the client presented
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<Object|null>} { accessToken, refreshToken }, or null if another request rotated it first
+ */
+const rotateSession = async (user, session, presentedToken, now = new Date()) => {
+  const refreshToken = generateRefreshToken(user, undefined, { sessionId: session._id });
+
+  // Only the first of two concurrent refreshes with the same token wins
+  const result = await User.updateOne(
+    { _id: user._id, refreshTokens: { $elemMatch: { _id: session._id, token: presentedToken } } },
+    { $set: { 'refreshTokens.$.token': refreshToken, 'refreshTokens.$.lastUsed': now } }
+  );
+  if (result.modifiedCount === 0) return null;
+
+  await revokeToken(presentedToken, { kind: 'refresh', reason: 'rotated' });
+
+  return {
+    accessToken: generateAccessToken(user, undefined, { sessionId: session._id }),
+    refreshToken
+  };
+};
+
+/**
+ * End a token family after one of its rotated refresh tokens was used again, which means it was probably stolen:
+ * sign the session out, end every access token by bumping the token version and alert the user
+ * @param {Object} user - User document
+ * @param {string} [sessionId] - Session (token family) the reused token belongs to
+ * @returns {Promise<void>}
+ */
+const endReusedTokenFamily = async (user, sessionId) => {
+  const session = sessionId && user.refreshTokens.find(item => String(item._id) === String(sessionId));
+  if (session) {
+    user.refreshTokens = user.refreshTokens.filter(item => item !== session);
+  }
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+  await user.save();
+
+  await notifyUser(user._id, {
+    title: 'A session on your account was signed out',
+    message: `A sign-in token for ${session ? describeDevice(session.device) : 'one of your devices'} was used again `
+      + 'after it had been replaced, which can mean someone else has a copy of it. We signed that session out. '
+      + 'If you don\'t recognize this, change your password.',
+    type: 'account',
+    // Security alerts skip muted types, quiet hours and digests
+    priority: 'high',
+    actionLink: '/account'
+  });
+};
+
+/**
+ * Describe a user's sessions for display
+ * @param {Object} user - User document
+ * @param {string} [currentSessionId] - Session of the request
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Array<Object>} Unexpired sessions, most recently used first
+ */
+const listSessions = (user, currentSessionId, now = new Date()) => user.refreshTokens
+  .filter(session => !session.expiresAt || session.expiresAt > now)
+  .map(session => ({
+    id: session._id,
+    device: describeDevice(session.device),
+    userAgent: session.device,
+    ip: session.ip,
+    location: session.location || null,
+    createdAt: session.createdAt || null,
+    lastUsed: session.lastUsed,
+    expiresAt: session.expiresAt,
+    isCurrentSession: Boolean(currentSessionId) && String(session._id) === String(currentSessionId)
+  }))
+  .sort((a, b) => (b.isCurrentSession - a.isCurrentSession) || (new Date(b.lastUsed) - new Date(a.lastUsed)));
+
+module.exports = {
+  MAX_SESSIONS,
+  REUSE_GRACE_MS,
+  describeDevice,
+  getRequestLocation,
+  startSession,
+  rotateSession,
+  endReusedTokenFamily,
+  listSessions
+};
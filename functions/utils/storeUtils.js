@@ -0,0 +1,117 @@
+/**
+ * @module utils/storeUtils
+ * @description Store lookups shared by the store, coupon and cashback routes
+ *
+ * Coupons, cashback offers, clicks, claims and transactions all reference a Store by ID.
+ * The older list endpoints still accept a store name, so names are resolved to IDs here.
+ */
+
+const mongoose = require('mongoose');
+const Store = require('../models/Store');
+const Coupon = require('../models/Coupon');
+const Cashback = require('../models/Cashback');
+const Click = require('../models/Click');
+const Transaction = require('../models/Transaction');
+const CashbackClaim = require('../models/CashbackClaim');
+const { escapeRegex } = require('./regexUtils');
+
+/**
+ * Days of click-outs counted towards a store's popularity
+ */
+const POPULARITY_WINDOW_DAYS = 30;
+
+/**
+ * Build a filter matching the records of a store given by ID, or by part of its name
+ * @param {string} store - Store ID or name
+ * @returns {Promise<Object>} Filter on the `store` field
+ */
+const buildStoreFilter = async (store) => {
+  if (mongoose.Types.ObjectId.isValid(store)) {
+    return { store };
+  }
+
+  const stores = await Store.find({ name: { $regex: escapeRegex(store), $options: 'i' } }).select('_id').lean();
+  return { store: { $in: stores.map(({ _id }) => _id) } };
+};
+
+/**
+ * Filter for coupons that have started; scheduled coupons stay hidden from the public until then
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object} Coupon filter
+ */
+const startedCouponFilter = (now = new Date()) => ({
+  $or: [{ startDate: null }, { startDate: { $lte: now } }]
+});
+
+/**
+ * Filter for coupons that can be used right now
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object} Coupon filter
+ */
+const activeCouponFilter = (now = new Date()) => ({
+  isActive: true,
+  $and: [
+    startedCouponFilter(now),
+    { $or: [{ expiryDate: null }, { expiryDate: { $gt: now } }] }
+  ]
+});
+
+/**
+ * Filter for cashback offers that are live right now
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object} Cashback filter
+ */
+const activeCashbackFilter = (now = new Date()) => ({
+  isActive: true,
+  $or: [{ expiryDate: null }, { expiryDate: { $gt: now } }]
+});
+
+/**
+ * Recount each store's click-outs over the popularity window and store it as popularityScore
+ * @returns {Promise<number>} Number of stores updated
+ */
+const refreshPopularityScores = async () => {
+  const since = new Date(Date.now() - POPULARITY_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const counts = await Click.aggregate([
+    { $match: { createdAt: { $gte: since }, store: { $ne: null } } },
+    { $group: { _id: '$store', clicks: { $sum: 1 } } }
+  ]);
+
+  await Store.updateMany(
+    { _id: { $nin: counts.map(({ _id }) => _id) }, popularityScore: { $ne: 0 } },
+    { $set: { popularityScore: 0 } }
+  );
+  if (counts.length > 0) {
+    await Store.bulkWrite(counts.map(({ _id, clicks }) => ({
+      updateOne: { filter: { _id }, update: { $set: { popularityScore: clicks } } }
+    })));
+  }
+
+  return counts.length;
+};
+
+/**
+ * Count the records that still reference a store
+ * @param {ObjectId|string} storeId - Store ID
+ * @returns {Promise<Object>} { coupons, cashbacks, clicks, transactions, claims }
+ */
+const countStoreReferences = async (storeId) => {
+  const [coupons, cashbacks, clicks, transactions, claims] = await Promise.all([
+    Coupon.countDocuments({ store: storeId }),
+    Cashback.countDocuments({ store: storeId }),
+    Click.countDocuments({ store: storeId }),
+    Transaction.countDocuments({ store: storeId }),
+    CashbackClaim.countDocuments({ store: storeId })
+  ]);
+
+  return { coupons, cashbacks, clicks, transactions, claims };
+};
+
+module.exports = {
+  buildStoreFilter,
+  startedCouponFilter,
+  activeCouponFilter,
+  activeCashbackFilter,
+  refreshPopularityScores,
+  countStoreReferences
+};
@@ -0,0 +1,197 @@
+/**
+ * @module utils/tokenRevocation
+ * @description Revocation list for JWTs, keyed by jti and shared by every function instance.
+ * Uses Redis when it is enabled and MongoDB otherwise, falling back to MongoDB whenever Redis fails.
+ * Tests use an in-memory list. Each entry expires when the token it revokes would have.
+ */
+
+const functions = require('firebase-functions');
+const RevokedToken = require('../models/RevokedToken');
+const { client: redisClient } = require('./redisClient');
+
+/**
+ * Lists that can be configured with token_revocation.store
+ */
+const STORE_TYPES = ['redis', 'mongo', 'memory'];
+
+/**
+ * Prefix for revoked token keys in Redis
+ */
+const REDIS_KEY_PREFIX = 'revoked-token:';
+
+/**
+ * A revocation list. Records are { jti, kind, reason, user, sessionId, revokedAt, expiresAt }.
+ * @typedef {Object} RevocationStoreAdapter
+ * @property {string} type - redis, mongo or memory
+ * @property {Function} add - (record) => Promise<void>
+ * @property {Function} get - (jti) => Promise<Object|null>, the record if it has not expired
+ */
+
+/**
+ * Get token revocation settings from config
+ * @returns {Object} { store }
+ */
+const getRevocationSettings = () => {
+  const config = functions.config().token_revocation || {};
+  let store = STORE_TYPES.includes(config.store) ? config.store : null;
+  if (!store) {
+    store = process.env.NODE_ENV === 'test' ? 'memory' : (redisClient ? 'redis' : 'mongo');
+  }
+  // Redis can only be used when it is enabled
+  if (store === 'redis' && !redisClient) store = 'mongo';
+  return { store };
+};
+
+/**
+ * Create a revocation list kept in this process only
+ * @returns {RevocationStoreAdapter} List
+ */
+const createMemoryRevocationStore = () => {
+  const records = new Map();
+
+  return {
+    type: 'memory',
+    async add(record) {
+      // Drop expired records as new ones arrive
+      const now = new Date();
+      records.forEach((existing, jti) => {
+        if (existing.expiresAt <= now) records.delete(jti);
+      });
+      records.set(record.jti, { ...record });
+    },
+    async get(jti) {
+      const record = records.get(jti);
+      return record && record.expiresAt > new Date() ? { ...record } : null;
+    }
+  };
+};
+
+/**
+ * Create a revocation list backed by Redis
+ * @param {Object} client - ioredis client
+ * @returns {RevocationStoreAdapter} List
+ */
+const createRedisRevocationStore = (client) => ({
+  type: 'redis',
+  async add(record) {
+    const ttl = record.expiresAt.getTime() - Date.now();
+    if (ttl <= 0) return;
+    await client.set(`${REDIS_KEY_PREFIX}${record.jti}`, JSON.stringify(record), 'PX', ttl);
+  },
+  async get(jti) {
+    const value = await client.get(`${REDIS_KEY_PREFIX}${jti}`);
+    if (!value) return null;
+    const record = JSON.parse(value);
+    return { ...record, revokedAt: new Date(record.revokedAt), expiresAt: new Date(record.expiresAt) };
+  }
+});
+
+/**
+ * Create a revocation list backed by MongoDB
+ * @param {Object} [Model=RevokedToken] - Model to store records with
+ * @returns {RevocationStoreAdapter} List
+ */
+const createMongoRevocationStore = (Model = RevokedToken) => ({
+  type: 'mongo',
+  async add(record) {
+    // A token revoked twice keeps its first record
+    const { jti, ...fields } = record;
+    await Model.updateOne({ jti }, { $setOnInsert: fields }, { upsert: true })
+      .catch(error => {
+        if (error.code !== 11000) throw error;
+      });
+  },
+  async get(jti) {
+    const doc = await Model.findOne({ jti, expiresAt: { $gt: new Date() } }).lean();
+    return doc ? { ...doc, user: doc.user ? String(doc.user) : null } : null;
+  }
+});
+
+let store = null;
+
+/**
+ * Get the configured revocation list
+ * @returns {RevocationStoreAdapter} List
+ */
+const getRevocationStore = () => {
+  if (!store) {
+    const { store: type } = getRevocationSettings();
+    if (type === 'memory') {
+      store = createMemoryRevocationStore();
+    } else if (type === 'redis') {
+      const primary = createRedisRevocationStore(redisClient);
+      const fallback = createMongoRevocationStore();
+      store = {
+        type: 'redis',
+        add: (record) => primary.add(record).catch(error => {
+          console.error('Token revocation store redis add failed, using mongo:', error.message);
+          return fallback.add(record);
+        }),
+        // A token revoked while Redis was down is only on the fallback list
+        get: async (jti) => {
+          try {
+            return (await primary.get(jti)) || (await fallback.get(jti));
+          } catch (error) {
+            console.error('Token revocation store redis get failed, using mongo:', error.message);
+            return fallback.get(jti);
+          }
+        }
+      };
+    } else {
+      store = createMongoRevocationStore();
+    }
+  }
+  return store;
+};
+
+/**
+ * Replace the revocation list, e.g. with a fresh in-memory one between tests
+ * @param {RevocationStoreAdapter} adapter - List
+ */
+const setRevocationStore = (adapter) => {
+  store = adapter;
+};
+
+/**
+ * Revoke a token until it expires
+ * @param {Object} decoded - Decoded token, with jti and exp
+ * @param {Object} options - Options
+ * @param {string} options.kind - access or refresh
+ * @param {string} options.reason - logout, rotated or reuse
+ * @returns {Promise<boolean>} Whether it was revoked (tokens without a jti or already expired cannot be)
+ */
+const revoke = async (decoded, options) => {
+  if (!decoded || !decoded.jti || !decoded.exp) return false;
+
+  const expiresAt = new Date(decoded.exp * 1000);
+  if (expiresAt <= new Date()) return false;
+
+  await getRevocationStore().add({
+    jti: decoded.jti,
+    kind: options.kind,
+    reason: options.reason,
+    user: decoded.userId ? String(decoded.userId) : null,
+    sessionId: decoded.sessionId || null,
+    revokedAt: new Date(),
+    expiresAt
+  });
+  return true;
+};
+
+/**
+ * Get the revocation record for a token
+ * @param {string} jti - JWT ID
+ * @returns {Promise<Object|null>} Record, or null if the token is not revoked
+ */
+const getRevocation = (jti) => (jti ? getRevocationStore().get(jti) : Promise.resolve(null));
+
+module.exports = {
+  getRevocationSettings,
+  createMemoryRevocationStore,
+  createRedisRevocationStore,
+  createMongoRevocationStore,
+  getRevocationStore,
+  setRevocationStore,
+  revoke,
+  getRevocation
+};
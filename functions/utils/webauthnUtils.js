@@ -0,0 +1,311 @@
+/**
+ * @module utils/webauthnUtils
+ * @description Passkey (WebAuthn) ceremonies: registering authenticators and verifying assertions made with them.
+ * Challenges can only be answered once. Registration and second-factor challenges are kept on the user, one
+ * ceremony at a time, since only the user can start those. Anyone can start a passkey sign-in, so each sign-in
+ * challenge is kept on its own (PasskeyChallenge) and starting one never cancels another.
+ * These helpers change the user document; callers save it.
+ */
+
+const mongoose = require('mongoose');
+const functions = require('firebase-functions');
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const PasskeyChallenge = require('../models/PasskeyChallenge');
+
+/**
+ * Passkeys a user can register
+ */
+const MAX_PASSKEYS = 10;
+
+/**
+ * How long the browser has to answer a challenge
+ */
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Get WebAuthn settings from config
+ * @returns {Object} { rpID, rpName, origins }
+ */
+const getWebAuthnSettings = () => {
+  const config = functions.config().webauthn || {};
+  const frontendUrl = functions.config().frontend?.url || process.env.FRONTEND_URL || 'http://localhost:3000';
+  const origins = (config.origins || frontendUrl)
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+
+  return {
+    rpID: config.rp_id || new URL(origins[0]).hostname,
+    rpName: config.rp_name || 'CashHeros',
+    origins
+  };
+};
+
+/**
+ * Issue a challenge for a ceremony, replacing any the user had
+ * @param {Object} user - User document
+ * @param {string} challenge - Challenge from the generated options
+ * @param {string} purpose - register, login or second-factor
+ */
+const setChallenge = (user, challenge, purpose) => {
+  user.passkeyChallenge = {
+    challenge,
+    purpose,
+    expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS)
+  };
+};
+
+/**
+ * Take the user's challenge for a ceremony. It is cleared either way, so each one is answered at most once.
+ * @param {Object} user - User document
+ * @param {string} purpose - register, login or second-factor
+ * @returns {string|null} Challenge, or null if there is none for this purpose or it expired
+ */
+const takeChallenge = (user, purpose) => {
+  const { challenge, purpose: issuedFor, expiresAt } = user.passkeyChallenge || {};
+  user.passkeyChallenge = undefined;
+
+  if (!challenge || issuedFor !== purpose || !expiresAt || expiresAt <= new Date()) {
+    return null;
+  }
+  return challenge;
+};
+
+/**
+ * Find one of the user's passkeys by credential ID
+ * @param {Object} user - User document
+ * @param {string} credentialId - Credential ID (base64url)
+ * @returns {Object|undefined} Passkey
+ */
+const findPasskey = (user, credentialId) => (user.passkeys || []).find(passkey => passkey.credentialId === credentialId);
+
+/**
+ * Create options for registering a new passkey
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Options for navigator.credentials.create()
+ */
+const createRegistrationOptions = async (user) => {
+  const { rpID, rpName } = getWebAuthnSettings();
+
+  const options = await generateRegistrationOptions({
+    rpName,
+    rpID,
+    userName: user.email,
+    userDisplayName: [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email,
+    userID: Buffer.from(String(user._id)),
+    attestationType: 'none',
+    // The same authenticator cannot be registered twice
+    excludeCredentials: (user.passkeys || []).map(passkey => ({
+      id: passkey.credentialId,
+      transports: passkey.transports
+    })),
+    authenticatorSelection: {
+      residentKey: 'preferred',
+      userVerification: 'preferred'
+    },
+    timeout: CHALLENGE_TTL_MS
+  });
+
+  setChallenge(user, options.challenge, 'register');
+  return options;
+};
+
+/**
+ * Verify a registration response and add the passkey to the user
+ * @param {Object} user - User document
+ * @param {Object} response - RegistrationResponseJSON from the browser
+ * @param {string} [name] - Name for the passkey
+ * @returns {Promise<Object|null>} The new passkey, or null if the response could not be verified
+ */
+const verifyRegistration = async (user, response, name) => {
+  const expectedChallenge = takeChallenge(user, 'register');
+  if (!expectedChallenge) return null;
+
+  const { rpID, origins } = getWebAuthnSettings();
+
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: origins,
+      expectedRPID: rpID,
+      requireUserVerification: false
+    });
+  } catch (error) {
+    console.error('Passkey registration verification failed:', error.message);
+    return null;
+  }
+
+  if (!verification.verified) return null;
+
+  const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+  user.passkeys.push({
+    credentialId: credential.id,
+    publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+    counter: credential.counter,
+    transports: credential.transports || response.response?.transports || [],
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp,
+    name: name || `Passkey ${user.passkeys.length + 1}`,
+    createdAt: new Date()
+  });
+
+  return user.passkeys[user.passkeys.length - 1];
+};
+
+/**
+ * Generate options for making an assertion. Signing in without a password requires user verification
+ * (a PIN or biometric), which makes the passkey both factors on its own.
+ * @param {Object|null} user - User document
+ * @param {string} purpose - login or second-factor
+ * @returns {Promise<Object>} Options for navigator.credentials.get()
+ */
+const generateAssertionOptions = (user, purpose) => generateAuthenticationOptions({
+  rpID: getWebAuthnSettings().rpID,
+  allowCredentials: (user?.passkeys || []).map(passkey => ({
+    id: passkey.credentialId,
+    transports: passkey.transports
+  })),
+  userVerification: purpose === 'login' ? 'required' : 'preferred',
+  timeout: CHALLENGE_TTL_MS
+});
+
+/**
+ * Create options for completing two-factor authentication with a passkey
+ * @param {Object} user - User document
+ * @param {string} purpose - second-factor
+ * @returns {Promise<Object>} Options for navigator.credentials.get()
+ */
+const createAuthenticationOptions = async (user, purpose) => {
+  const options = await generateAssertionOptions(user, purpose);
+  setChallenge(user, options.challenge, purpose);
+  return options;
+};
+
+/**
+ * Create options for signing in with a passkey, with a challenge of their own.
+ * Without a user (unknown email, or no passkeys) the options look the same but list no passkeys
+ * and nothing is stored, so they do not reveal whether an account exists.
+ * @param {Object|null} user - User document
+ * @returns {Promise<Object>} { options, challengeId } - the client sends challengeId back with its response
+ */
+const createLoginOptions = async (user) => {
+  const options = await generateAssertionOptions(user, 'login');
+
+  if (!user) {
+    return { options, challengeId: new mongoose.Types.ObjectId() };
+  }
+
+  const challenge = await PasskeyChallenge.create({
+    challenge: options.challenge,
+    user: user._id,
+    expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS)
+  });
+  return { options, challengeId: challenge._id };
+};
+
+/**
+ * Verify an assertion made with one of the user's passkeys against a challenge, updating its signature counter
+ * @param {Object} user - User document
+ * @param {Object} response - AuthenticationResponseJSON from the browser
+ * @param {string|null} expectedChallenge - Challenge the assertion must answer
+ * @param {string} purpose - login or second-factor
+ * @returns {Promise<Object|null>} The passkey used, or null if the assertion could not be verified
+ */
+const verifyAssertion = async (user, response, expectedChallenge, purpose) => {
+  const passkey = response && findPasskey(user, response.id);
+  if (!expectedChallenge || !passkey) return null;
+
+  const { rpID, origins } = getWebAuthnSettings();
+
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: origins,
+      expectedRPID: rpID,
+      credential: {
+        id: passkey.credentialId,
+        publicKey: Buffer.from(passkey.publicKey, 'base64url'),
+        counter: passkey.counter,
+        transports: passkey.transports
+      },
+      requireUserVerification: purpose === 'login'
+    });
+  } catch (error) {
+    // Includes a counter that went backwards, which suggests a cloned authenticator
+    console.error('Passkey authentication verification failed:', error.message);
+    return null;
+  }
+
+  if (!verification.verified) return null;
+
+  const { newCounter, credentialBackedUp } = verification.authenticationInfo;
+  passkey.counter = newCounter;
+  passkey.backedUp = credentialBackedUp;
+  passkey.lastUsedAt = new Date();
+
+  return passkey;
+};
+
+/**
+ * Verify a second-factor assertion against the user's challenge
+ * @param {Object} user - User document
+ * @param {Object} response - AuthenticationResponseJSON from the browser
+ * @param {string} purpose - second-factor
+ * @returns {Promise<Object|null>} The passkey used, or null if the assertion could not be verified
+ */
+const verifyAuthentication = (user, response, purpose) => (
+  verifyAssertion(user, response, takeChallenge(user, purpose), purpose)
+);
+
+/**
+ * Verify a sign-in assertion against the challenge issued with its options. The challenge is used up
+ * even if the assertion fails, so each one is answered at most once.
+ * @param {Object} user - User document
+ * @param {Object} response - AuthenticationResponseJSON from the browser
+ * @param {string} challengeId - ID returned by createLoginOptions
+ * @returns {Promise<Object|null>} The passkey used, or null if the assertion could not be verified
+ */
+const verifyLogin = async (user, response, challengeId) => {
+  const challenge = await PasskeyChallenge.findOneAndDelete({
+    _id: challengeId,
+    user: user._id,
+    expiresAt: { $gt: new Date() }
+  });
+  return verifyAssertion(user, response, challenge && challenge.challenge, 'login');
+};
+
+/**
+ * Describe a passkey for the client, without its public key
+ * @param {Object} passkey - Passkey
+ * @returns {Object} { id, name, deviceType, backedUp, createdAt, lastUsedAt }
+ */
+const describePasskey = (passkey) => ({
+  id: passkey._id,
+  name: passkey.name,
+  deviceType: passkey.deviceType,
+  backedUp: passkey.backedUp,
+  createdAt: passkey.createdAt,
+  lastUsedAt: passkey.lastUsedAt || null
+});
+
+module.exports = {
+  MAX_PASSKEYS,
+  getWebAuthnSettings,
+  findPasskey,
+  createRegistrationOptions,
+  verifyRegistration,
+  createAuthenticationOptions,
+  verifyAuthentication,
+  createLoginOptions,
+  verifyLogin,
+  describePasskey
+};
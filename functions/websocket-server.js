@@ -2,9 +2,13 @@
 const WebSocket = require('ws');
 const http = require('http');
 const url = require('url');
-const jwt = require('jsonwebtoken');
-const functions = require('firebase-functions');
 const { logger } = require('./middleware/loggingMiddleware');
+const { connectDatabase } = require('./config/database');
+const User = require('./models/User');
+const { verifyAccessToken } = require('./utils/jwtUtils');
+const { isSessionActive } = require('./middleware/authMiddleware');
+const redisClient = require('./utils/redisClient');
+const { NOTIFICATION_CHANNEL, onNotificationCreated } = require('./utils/notificationUtils');
 // require('dotenv').config(); // COMMENTED OUT: Not needed for Firebase Functions
 
 // WebSocket event types
@@ -20,6 +24,50 @@ const WS_EVENTS = {
   PRICE_DROP: 'price_drop',
   CUSTOM_OFFER: 'custom_offer',
   USER_NOTIFICATION: 'user_notification',
+  // A notification saved to the user's inbox (/api/notifications)
+  NOTIFICATION: 'notification',
+};
+
+/**
+ * Authenticate a WebSocket connection with the user's access token, checked as authMiddleware checks it:
+ * not revoked, issued for the user's current token version and for a session that is still active
+ * @param {Object} query - Query string of the upgrade request
+ * @param {string} query.userId - User connecting
+ * @param {string} query.token - Their access token
+ * @returns {Promise<string>} User ID
+ * @throws {Error} If the connection is not authenticated
+ */
+const authenticateConnection = async (query) => {
+  const { userId, token } = query;
+
+  if (!userId || !token) {
+    throw new Error('Missing userId or token');
+  }
+
+  // Verify the token and that it has not been revoked
+  const decoded = await verifyAccessToken(token);
+  if (!decoded) {
+    throw new Error('Invalid or expired token');
+  }
+
+  if (String(decoded.userId) !== userId) {
+    throw new Error('User ID mismatch');
+  }
+
+  const user = await User.findById(decoded.userId).select('tokenVersion refreshTokens');
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (decoded.tokenVersion !== (user.tokenVersion || 0)) {
+    throw new Error('Token has been revoked');
+  }
+
+  if (!isSessionActive(user, decoded)) {
+    throw new Error('Session has been revoked');
+  }
+
+  return userId;
 };
 
 // Create WebSocket server
@@ -55,16 +103,16 @@ const createWebSocketServer = (server) => {
       }
     });
     
-    // Handle connection close
+    // Handle connection close (a newer connection from the same user may have replaced this one)
     ws.on('close', () => {
       logger.info(`WebSocket connection closed for user: ${userId}`);
-      clients.delete(userId);
+      if (clients.get(userId) === ws) clients.delete(userId);
     });
     
     // Handle errors
     ws.on('error', (error) => {
       logger.error(`WebSocket error for user ${userId}:`, error);
-      clients.delete(userId);
+      if (clients.get(userId) === ws) clients.delete(userId);
     });
   });
   
@@ -75,7 +123,7 @@ const createWebSocketServer = (server) => {
     // Only handle WebSocket connections to the /ws endpoint
     if (pathname === '/ws') {
       // Authenticate the connection
-      authenticateConnection(request, query)
+      authenticateConnection(query)
         .then(userId => {
           wss.handleUpgrade(request, socket, head, (ws) => {
             wss.emit('connection', ws, request, userId);
@@ -90,28 +138,6 @@ const createWebSocketServer = (server) => {
     }
   });
   
-  // Authenticate WebSocket connection using JWT
-  const authenticateConnection = async (request, query) => {
-    try {
-      const { userId, token } = query;
-      
-      if (!userId || !token) {
-        throw new Error('Missing userId or token');
-      }
-      
-      // Verify JWT token
-      const decoded = jwt.verify(token, functions.config().secrets.jwt_secret);
-      
-      if (decoded.id !== userId) {
-        throw new Error('User ID mismatch');
-      }
-      
-      return userId;
-    } catch (error) {
-      throw new Error(`Authentication failed: ${error.message}`);
-    }
-  };
-  
   // Send message to a specific client
   const sendToClient = (client, type, payload) => {
     if (client.readyState === WebSocket.OPEN) {
@@ -166,6 +192,29 @@ const createWebSocketServer = (server) => {
     sendToUser(userId, WS_EVENTS.USER_NOTIFICATION, { message, type });
   };
   
+  // Push a notification saved to the user's inbox
+  const pushNotification = (notification) => {
+    sendToUser(String(notification.user), WS_EVENTS.NOTIFICATION, notification);
+  };
+  
+  // Receive saved notifications: over Redis when enabled, so notifications created by the API in
+  // another process arrive too, otherwise straight from notifyUser in this process
+  if (redisClient.client) {
+    const subscriber = redisClient.client.duplicate();
+    subscriber.subscribe(NOTIFICATION_CHANNEL).catch(error => {
+      logger.error('Failed to subscribe to notifications:', error);
+    });
+    subscriber.on('message', (channel, message) => {
+      try {
+        pushNotification(JSON.parse(message));
+      } catch (error) {
+        logger.error('Error parsing published notification:', error);
+      }
+    });
+  } else {
+    onNotificationCreated(notification => pushNotification(notification.toJSON()));
+  }
+  
   // Return public API
   return {
     clients,
@@ -175,8 +224,58 @@ const createWebSocketServer = (server) => {
     notifyCashbackReceived,
     notifyRewardEarned,
     sendUserNotification,
+    pushNotification,
     WS_EVENTS
   };
 };
 
-module.exports = { createWebSocketServer };
\ No newline at end of file
+/**
+ * Run the WebSocket server as a process of its own (npm run ws:start, or Dockerfile.websocket).
+ * Cloud Functions cannot hold WebSocket connections, so it runs beside them, e.g. on Cloud Run,
+ * and gets the notifications the API creates over Redis, which must be enabled for that.
+ * It reads the same config as the functions (CLOUD_RUNTIME_CONFIG or .runtimeconfig.json) and MONGO_URI.
+ * @param {number} [port] - Port to listen on
+ * @returns {Promise<Object>} { server, wsServer }
+ * @throws {Error} If Redis is disabled, as no notification from the API could reach the process
+ */
+const startWebSocketServer = async (port = process.env.PORT || process.env.WS_PORT || 5001) => {
+  if (!redisClient.client) {
+    throw new Error('Redis must be enabled (redis.enabled) for the WebSocket server to receive notifications from the API');
+  }
+
+  await connectDatabase();
+
+  const server = http.createServer((req, res) => {
+    // Health check for the platform running the process
+    if (req.url === '/health') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: 'ok', connections: wsServer.clients.size }));
+      return;
+    }
+    res.writeHead(404);
+    res.end();
+  });
+  const wsServer = createWebSocketServer(server);
+
+  await new Promise(resolve => server.listen(port, resolve));
+  logger.info(`WebSocket server running on port ${port}`);
+
+  const shutdown = () => {
+    logger.info('Shutting down WebSocket server...');
+    wsServer.clients.forEach(client => client.close(1001, 'Server shutting down'));
+    server.close(() => process.exit(0));
+  };
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+
+  return { server, wsServer };
+};
+
+if (require.main === module) {
+  startWebSocketServer().catch(error => {
+    logger.error('Failed to start WebSocket server:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { authenticateConnection, createWebSocketServer, startWebSocketServer };
\ No newline at end of file
@@ -147,6 +147,33 @@ const RewardsPage = lazy(() =>
     })
 );
 
+const NotificationPreferencesPage = lazy(() => 
+  import(/* webpackChunkName: "notification-preferences-page" */ './pages/NotificationPreferencesPage/NotificationPreferencesPage.jsx')
+    .then(module => ({ default: module.NotificationPreferencesPage }))
+    .catch(error => {
+      console.error('Error loading NotificationPreferencesPage:', error);
+      return import('./Components/ErrorBoundary/FallbackPage');
+    })
+);
+
+const FavoritesPage = lazy(() => 
+  import(/* webpackChunkName: "favorites-page" */ './pages/FavoritesPage/FavoritesPage.jsx')
+    .then(module => ({ default: module.FavoritesPage }))
+    .catch(error => {
+      console.error('Error loading FavoritesPage:', error);
+      return import('./Components/ErrorBoundary/FallbackPage');
+    })
+);
+
+const ReferralPage = lazy(() => 
+  import(/* webpackChunkName: "referral-page" */ './pages/ReferralPage/ReferralPage.jsx')
+    .then(module => ({ default: module.ReferralPage }))
+    .catch(error => {
+      console.error('Error loading ReferralPage:', error);
+      return import('./Components/ErrorBoundary/FallbackPage');
+    })
+);
+
 const AdminDashboard = lazy(() => 
   import(/* webpackChunkName: "admin-dashboard" */ './pages/AdminDashboard/AdminDashboard.jsx')
     .catch(error => {
@@ -391,6 +418,9 @@ function App() {
                 <Route path="/careers" element={<PageTransition><CareersPage /></PageTransition>} />
                 <Route path="/account" element={<PageTransition><AccountPage /></PageTransition>} />
                 <Route path="/rewards" element={<PageTransition><RewardsPage /></PageTransition>} />
+                <Route path="/favorites" element={<PageTransition><FavoritesPage /></PageTransition>} />
+                <Route path="/notification-preferences" element={<PageTransition><NotificationPreferencesPage /></PageTransition>} />
+                <Route path="/referrals" element={<PageTransition><ReferralPage /></PageTransition>} />
                 <Route path="/offers" element={<PageTransition><OffersPage /></PageTransition>} />
                 <Route path="/deals" element={<PageTransition><DealsPage /></PageTransition>} />
                 <Route path="/deals/:season" element={<PageTransition><DealsPage /></PageTransition>} />
@@ -1,7 +1,11 @@
 import React, { useState, useContext, useEffect, useRef } from 'react';
 import { FaMoneyBillWave, FaChevronDown } from 'react-icons/fa';
 import { useTranslation } from 'react-i18next';
+import axios from 'axios';
 import { AppContext } from '../../context/AppContext';
+import { AuthContext } from '../../context/AuthContext';
+import { buildApiUrl, API_ENDPOINTS } from '../../config/api';
+import { loadExchangeRates } from '../../utils/currencyUtils';
 import styles from './CurrencySelector.module.css';
 
 // Available currencies
@@ -23,7 +27,11 @@ const CurrencySelector = () => {
   const [isOpen, setIsOpen] = useState(false);
   const [showNotification, setShowNotification] = useState(false);
   const { showNotification: appShowNotification } = useContext(AppContext);
+  const { accessToken } = useContext(AuthContext);
   const dropdownRef = useRef(null);
+  // Currencies the backend holds a rate for; until they load, every currency is offered
+  const [availableCodes, setAvailableCodes] = useState(null);
+  const [ratesUpdatedAt, setRatesUpdatedAt] = useState(null);
   
   // Get current currency from localStorage or default to USD
   const [currentCurrency, setCurrentCurrency] = useState(() => {
@@ -31,6 +39,18 @@ const CurrencySelector = () => {
     return currencies.find(curr => curr.code === savedCurrency) || currencies[0];
   });
   
+  // Load the backend's exchange rates so converted amounts match what it will pay
+  useEffect(() => {
+    loadExchangeRates()
+      .then((data) => {
+        setAvailableCodes(data.currencies);
+        setRatesUpdatedAt(data.updatedAt);
+      })
+      .catch((err) => {
+        console.error('Error loading exchange rates:', err);
+      });
+  }, []);
+  
   // Close dropdown when clicking outside
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -55,6 +75,15 @@ const CurrencySelector = () => {
       setCurrentCurrency(newCurrency);
       localStorage.setItem('currency', currencyCode);
       
+      // Signed-in users keep the choice across devices; server responses are converted to it
+      if (accessToken) {
+        axios.put(buildApiUrl(API_ENDPOINTS.CURRENCY.PREFERENCE), { currency: currencyCode }, {
+          headers: { Authorization: `Bearer ${accessToken}` }
+        }).catch((err) => {
+          console.error('Error saving preferred currency:', err);
+        });
+      }
+      
       // Publish currency change event for other components
       const event = new CustomEvent('currencyChange', { detail: newCurrency });
       window.dispatchEvent(event);
@@ -71,6 +100,10 @@ const CurrencySelector = () => {
     }
   };
   
+  const availableCurrencies = availableCodes
+    ? currencies.filter(currency => availableCodes.includes(currency.code))
+    : currencies;
+  
   return (
     <div className={styles.currencySelector} ref={dropdownRef}>
       <button 
@@ -88,7 +121,7 @@ const CurrencySelector = () => {
       {isOpen && (
         <div className={styles.dropdown} role="menu">
           <div className={styles.currencyList}>
-            {currencies.map((currency) => (
+            {availableCurrencies.map((currency) => (
               <button
                 key={currency.code}
                 className={`${styles.currencyOption} ${currency.code === currentCurrency.code ? styles.active : ''}`}
@@ -102,6 +135,11 @@ const CurrencySelector = () => {
               </button>
             ))}
           </div>
+          <p className={styles.rateNote}>
+            {t('currency.payoutNote', {
+              updated: ratesUpdatedAt ? ` (updated ${new Date(ratesUpdatedAt).toLocaleDateString()})` : ''
+            })}
+          </p>
         </div>
       )}
     </div>
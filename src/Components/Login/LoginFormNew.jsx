@@ -3,7 +3,7 @@ import React, { useContext, useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import PropTypes from 'prop-types';
 import styles from './LoginForm.module.css';
-import { FaGoogle, FaFacebook, FaApple, FaEnvelope, FaLock, FaEye, FaEyeSlash } from 'react-icons/fa';
+import { FaGoogle, FaFacebook, FaApple, FaEnvelope, FaLock, FaEye, FaEyeSlash, FaKey } from 'react-icons/fa';
 import Form from '../Form/Form';
 import FormField from '../Form/FormField';
 import Button from '../Button/Button';
@@ -24,7 +24,7 @@ const SocialButton = ({ provider, onClick, icon: Icon }) => (
 );
 
 const LoginFormNew = () => {
-  const { login } = useContext(AuthContext);
+  const { login, loginWithPasskey } = useContext(AuthContext);
   const navigate = useNavigate();
   const { showNotification } = useApp();
   const [showPassword, setShowPassword] = useState(false);
@@ -81,6 +81,26 @@ const LoginFormNew = () => {
     }
   );
 
+  const handlePasskeyLogin = async () => {
+    if (!values.email) {
+      showNotification('Enter your email address to sign in with a passkey.', 'error');
+      return;
+    }
+
+    try {
+      await loginOperation.execute(async () => {
+        await loginWithPasskey(values.email);
+        showNotification('Login successful! Welcome back.', 'success');
+        navigate('/');
+      }, {
+        errorMessage: 'Passkey sign-in failed. Please try again or use your password.'
+      });
+    } catch (err) {
+      // Error is already handled by the useAsyncOperation hook
+      console.error('Passkey login error:', err);
+    }
+  };
+
   const handleSocialLogin = (provider) => {
     // Placeholder for social login API call
     showNotification(`Logging in with ${provider}...`, 'info');
@@ -190,6 +210,16 @@ const LoginFormNew = () => {
         </div>
         
         <div className={styles.socialButtons}>
+          <Button
+            onClick={handlePasskeyLogin}
+            className={styles.passkeyBtn}
+            fullWidth
+            rounded
+            icon={<FaKey />}
+            disabled={loginOperation.loading}
+          >
+            Sign in with a passkey
+          </Button>
           <SocialButton provider="Google" onClick={handleSocialLogin} icon={FaGoogle} />
           <SocialButton provider="Facebook" onClick={handleSocialLogin} icon={FaFacebook} />
           <SocialButton provider="Apple" onClick={handleSocialLogin} icon={FaApple} />
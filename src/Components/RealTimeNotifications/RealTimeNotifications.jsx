@@ -1,19 +1,68 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { useWebSocket, WS_EVENTS } from '../../services/websocketService';
-import { useApp } from '../../context/AppContext';
+import { useAuth } from '../../context/AuthContext';
+import notificationService from '../../services/notificationService';
 import styles from './RealTimeNotifications.module.css';
 import { FaBell, FaCircle } from 'react-icons/fa';
 
+// How often the unread count is refreshed while the live connection is down
+const UNREAD_POLL_INTERVAL = 60000;
+
 const RealTimeNotifications = () => {
   const { isConnected, subscribe, unsubscribe } = useWebSocket();
-  const { showNotification } = useApp();
-  const [hasNewNotifications, setHasNewNotifications] = useState(false);
+  const { isAuthenticated } = useAuth();
+  const navigate = useNavigate();
   const [notificationCount, setNotificationCount] = useState(0);
   const [notifications, setNotifications] = useState([]);
   const [isOpen, setIsOpen] = useState(false);
 
+  // Inbox notifications come from the API; live-only events (no _id) stay on top until reload
+  const loadInbox = useCallback(async () => {
+    try {
+      const response = await notificationService.getNotifications({ limit: 20 });
+      const inbox = response.data.items.map(item => ({ ...item, timestamp: item.createdAt }));
+      setNotifications(prev => [...prev.filter(item => !item._id), ...inbox].slice(0, 50));
+    } catch (error) {
+      console.error('Error loading notifications:', error);
+    }
+  }, []);
+
+  const loadUnreadCount = useCallback(async () => {
+    try {
+      const response = await notificationService.getUnreadCount();
+      setNotificationCount(response.data.total);
+    } catch (error) {
+      console.error('Error loading unread notification count:', error);
+    }
+  }, []);
+
+  // Load the unread count on sign-in, and keep polling it while live updates are unavailable
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setNotifications([]);
+      setNotificationCount(0);
+      return undefined;
+    }
+
+    loadUnreadCount();
+    if (isConnected) return undefined;
+
+    const interval = setInterval(loadUnreadCount, UNREAD_POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [isAuthenticated, isConnected, loadUnreadCount]);
+
   // Handle new notifications
   useEffect(() => {
+    // Saved to the inbox and pushed live
+    const handleNotification = (data) => {
+      setNotifications(prev => [
+        { ...data, timestamp: data.createdAt },
+        ...prev.filter(item => item._id !== data._id)
+      ].slice(0, 50));
+      setNotificationCount(prev => prev + 1);
+    };
+
     const handleNewCoupon = (data) => {
       addNotification({
         type: 'coupon',
@@ -66,6 +115,7 @@ const RealTimeNotifications = () => {
 
     // Subscribe to WebSocket events
     if (isConnected) {
+      subscribe(WS_EVENTS.NOTIFICATION, handleNotification);
       subscribe(WS_EVENTS.NEW_COUPON, handleNewCoupon);
       subscribe(WS_EVENTS.CASHBACK_RECEIVED, handleCashbackReceived);
       subscribe(WS_EVENTS.REWARD_EARNED, handleRewardEarned);
@@ -76,6 +126,7 @@ const RealTimeNotifications = () => {
     return () => {
       // Unsubscribe from WebSocket events
       if (isConnected) {
+        unsubscribe(WS_EVENTS.NOTIFICATION, handleNotification);
         unsubscribe(WS_EVENTS.NEW_COUPON, handleNewCoupon);
         unsubscribe(WS_EVENTS.CASHBACK_RECEIVED, handleCashbackReceived);
         unsubscribe(WS_EVENTS.REWARD_EARNED, handleRewardEarned);
@@ -85,19 +136,47 @@ const RealTimeNotifications = () => {
     };
   }, [isConnected, subscribe, unsubscribe]);
 
-  // Add a new notification
+  // Add a live-only notification
   const addNotification = (notification) => {
-    setNotifications(prev => [notification, ...prev].slice(0, 50)); // Keep last 50 notifications
+    setNotifications(prev => [{ ...notification, isRead: false }, ...prev].slice(0, 50)); // Keep last 50 notifications
     setNotificationCount(prev => prev + 1);
-    setHasNewNotifications(true);
   };
 
   // Toggle notification panel
   const toggleNotifications = () => {
     setIsOpen(!isOpen);
     if (!isOpen) {
-      setHasNewNotifications(false);
+      loadInbox();
+    }
+  };
+
+  // Mark a notification as read and follow its link
+  const openNotification = async (notification) => {
+    if (!notification.isRead) {
+      setNotifications(prev => prev.map(item => (item === notification ? { ...item, isRead: true } : item)));
+      setNotificationCount(prev => Math.max(prev - 1, 0));
+      if (notification._id) {
+        try {
+          await notificationService.markAsRead(notification._id);
+        } catch (error) {
+          console.error('Error marking notification as read:', error);
+        }
+      }
+    }
+
+    if (notification.actionLink) {
+      setIsOpen(false);
+      navigate(notification.actionLink);
+    }
+  };
+
+  const markAllAsRead = async () => {
+    try {
+      await notificationService.markAllAsRead();
+      setNotifications(prev => prev.map(item => ({ ...item, isRead: true })));
       setNotificationCount(0);
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
     }
   };
 
@@ -113,10 +192,12 @@ const RealTimeNotifications = () => {
       case 'coupon':
         return <span className={`${styles.icon} ${styles.couponIcon}`}>🏷️</span>;
       case 'cashback':
+      case 'transaction':
         return <span className={`${styles.icon} ${styles.cashbackIcon}`}>💰</span>;
       case 'reward':
         return <span className={`${styles.icon} ${styles.rewardIcon}`}>🎁</span>;
       case 'offer':
+      case 'promotion':
         return <span className={`${styles.icon} ${styles.offerIcon}`}>🔥</span>;
       case 'success':
         return <span className={`${styles.icon} ${styles.successIcon}`}>✅</span>;
@@ -138,7 +219,7 @@ const RealTimeNotifications = () => {
         aria-expanded={isOpen}
       >
         <FaBell />
-        {hasNewNotifications && (
+        {notificationCount > 0 && (
           <span className={styles.notificationBadge}>
             {notificationCount > 9 ? '9+' : notificationCount}
           </span>
@@ -149,6 +230,11 @@ const RealTimeNotifications = () => {
         <div className={styles.notificationPanel} role="dialog" aria-label="Notifications">
           <div className={styles.notificationHeader}>
             <h3>Notifications</h3>
+            {notificationCount > 0 && (
+              <button className={styles.markAllButton} onClick={markAllAsRead}>
+                Mark all read
+              </button>
+            )}
             <div className={styles.connectionStatus}>
               <FaCircle className={isConnected ? styles.connected : styles.disconnected} />
               <span>{isConnected ? 'Connected' : 'Disconnected'}</span>
@@ -162,7 +248,13 @@ const RealTimeNotifications = () => {
               </div>
             ) : (
               notifications.map((notification, index) => (
-                <div key={index} className={`${styles.notificationItem} ${styles[notification.type]}`}>
+                <div
+                  key={notification._id || index}
+                  className={`${styles.notificationItem} ${styles[notification.type] || ''} ${notification.isRead ? '' : styles.unread}`}
+                  onClick={() => openNotification(notification)}
+                  role="button"
+                  tabIndex={0}
+                >
                   {getNotificationIcon(notification.type)}
                   <div className={styles.notificationContent}>
                     <div className={styles.notificationHeader}>
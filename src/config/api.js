@@ -20,14 +20,23 @@ export const API_ENDPOINTS = {
     REGISTER: '/auth/register',
     REFRESH: '/auth/refresh',
     VERIFY_EMAIL: '/auth/verify-email',
-    LOGOUT: '/auth/logout'
+    LOGOUT: '/auth/logout',
+    SESSIONS: '/auth/sessions'
   },
   
   // User endpoints
   USERS: {
     PROFILE: '/users/profile',
     ACTIVITY: '/users/activity',
-    FAVORITES: '/users/favorites'
+    FAVORITES: '/users/favorites',
+    REFERRALS: '/users/referrals',
+    SEND_REFERRALS: '/users/send-referrals'
+  },
+  
+  // Transaction endpoints
+  TRANSACTIONS: {
+    BASE: '/transactions',
+    SUMMARY: '/transactions/summary'
   },
   
   // Cashback endpoints
@@ -35,6 +44,78 @@ export const API_ENDPOINTS = {
     DASHBOARD: '/cashback/dashboard',
     REDEEM: '/cashback/redeem'
   },
+
+  // Missing-cashback claim endpoints
+  CLAIMS: {
+    BASE: '/claims',
+    ADMIN: '/claims/admin'
+  },
+  
+  // Coupon "did this code work?" feedback endpoints
+  COUPON_FEEDBACK: {
+    ADMIN: '/coupons/admin',
+    ADMIN_FLAGGED: '/coupons/admin/flagged'
+  },
+  
+  // Coupon bulk import and export endpoints
+  COUPON_ADMIN: {
+    IMPORT: '/coupons/admin/import',
+    EXPORT: '/coupons/admin/export',
+    CALENDAR: '/coupons/admin/calendar'
+  },
+  FEEDS: {
+    RUNS: '/feeds/runs',
+    RUN: '/feeds/run',
+    NETWORKS: '/feeds/networks'
+  },
+  
+  // Partner API key administration endpoints
+  API_KEYS: {
+    BASE: '/api-keys'
+  },
+  
+  // Store administration endpoints
+  STORE_ADMIN: {
+    ALL: '/stores/admin/all',
+    BASE: '/stores'
+  },
+  
+  // Review endpoints
+  REVIEWS: {
+    BASE: '/reviews',
+    ADMIN: '/reviews/admin',
+    ADMIN_QUEUE: '/reviews/admin/queue'
+  },
+  
+  // Notification inbox endpoints
+  NOTIFICATIONS: {
+    BASE: '/notifications',
+    UNREAD_COUNT: '/notifications/unread-count',
+    READ_ALL: '/notifications/read-all'
+  },
+  
+  // Search endpoints
+  SEARCH: {
+    BASE: '/search',
+    SUGGESTIONS: '/search/suggestions'
+  },
+  
+  // Rewards and loyalty endpoints
+  REWARDS: {
+    SUMMARY: '/rewards',
+    ACTIVITY: '/rewards/activity',
+    TIERS: '/rewards/tiers',
+    ADMIN_SETTINGS: '/rewards/admin/settings',
+    ADMIN_RECALCULATE: '/rewards/admin/recalculate'
+  },
+  
+  // Currency and exchange rate endpoints
+  CURRENCY: {
+    RATES: '/currency/rates',
+    PREFERENCE: '/currency/preference',
+    ADMIN_RATES: '/currency/admin/rates',
+    ADMIN_RATE_HISTORY: '/currency/admin/rates/history'
+  },
   
   // Support endpoints
   SUPPORT: {
@@ -336,7 +336,44 @@ export const AuthProvider = ({ children }) => {
     dispatch({ type: 'AUTH_START' });
 
     try {
-      const result = await authService.login(email, password, rememberMe);
+      let result = await authService.login(email, password, rememberMe);
+
+      // Complete two-factor authentication with a passkey when the account has one
+      if (result.requiresTwoFactor && result.twoFactorMethods?.includes('passkey')) {
+        result = await authService.verifyTwoFactorWithPasskey(result.userId, result.tempToken);
+      }
+
+      dispatch({
+        type: 'AUTH_SUCCESS',
+        payload: {
+          user: result.user,
+          accessToken: result.accessToken,
+          refreshToken: result.refreshToken
+        }
+      });
+
+      // Set up session timeout
+      setupSessionTimeout(result.accessToken);
+
+      return result;
+    } catch (error) {
+      const parsedError = handleApiError(error);
+      
+      dispatch({
+        type: 'AUTH_FAILURE',
+        payload: parsedError.message
+      });
+      
+      throw parsedError;
+    }
+  };
+
+  // Passkey login function
+  const handleLoginWithPasskey = async (email) => {
+    dispatch({ type: 'AUTH_START' });
+
+    try {
+      const result = await authService.loginWithPasskey(email);
 
       dispatch({
         type: 'AUTH_SUCCESS',
@@ -590,6 +627,7 @@ export const AuthProvider = ({ children }) => {
         
         // Auth methods
         login: handleLogin,
+        loginWithPasskey: handleLoginWithPasskey,
         signup: handleSignup,
         logout: handleLogout,
         forgotPassword: handleForgotPassword,
@@ -178,6 +178,16 @@ const mockStores = [
   }
 ];
 
+// Map a store from the API to the shape the store pages use
+const toStoreView = (store) => ({
+  ...store,
+  id: store._id,
+  category: store.categories?.[0] || '',
+  popularity: store.popularityScore || 0,
+  featured: store.isFeatured,
+  cashbackRate: `${store.cashbackPercentage || 0}%`
+});
+
 export const StoreProvider = ({ children }) => {
   const [state, dispatch] = useReducer(storeReducer, initialState);
   const { api, isAuthenticated } = useContext(AuthContext);
@@ -200,15 +210,15 @@ export const StoreProvider = ({ children }) => {
     dispatch({ type: 'FETCH_STORES_START' });
 
     try {
-      // In a real app, this would be an API call
-      // const response = await api.get('/stores');
-      // const stores = response.data.data;
-      
-      // Using mock data for now
-      const stores = mockStores;
-      
-      // Simulate API delay
-      await new Promise(resolve => setTimeout(resolve, 500));
+      let stores;
+      try {
+        const response = await api.get('/stores', { params: { limit: 100, sort: 'popular' } });
+        stores = response.data.data.items.map(toStoreView);
+      } catch (apiError) {
+        // Fall back to the sample stores while the API is unreachable
+        console.warn('Using sample stores:', apiError.message);
+        stores = mockStores;
+      }
       
       dispatch({ 
         type: 'FETCH_STORES_SUCCESS', 
@@ -240,20 +250,19 @@ export const StoreProvider = ({ children }) => {
     }
 
     try {
-      // In a real app, this would be an API call
-      // const response = await api.get(`/stores/${id}`);
-      // const storeDetails = response.data.data;
-      
-      // Using mock data for now
-      const storeDetails = mockStores.find(store => store.id === parseInt(id));
+      let storeDetails;
+      if (/^[0-9a-f]{24}$/i.test(id)) {
+        // The store page includes its live coupons and cashback offers
+        const response = await api.get(`/stores/${id}`);
+        storeDetails = toStoreView(response.data.data);
+      } else {
+        storeDetails = mockStores.find(store => store.id === parseInt(id));
+      }
       
       if (!storeDetails) {
         throw new Error('Store not found');
       }
       
-      // Simulate API delay
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
       dispatch({ 
         type: 'FETCH_STORE_DETAILS_SUCCESS', 
         payload: storeDetails 
@@ -261,7 +270,7 @@ export const StoreProvider = ({ children }) => {
       
       return storeDetails;
     } catch (error) {
-      const errorMessage = error.response?.data?.message || 'Failed to fetch store details';
+      const errorMessage = error.response?.data?.error?.message || error.message || 'Failed to fetch store details';
       
       dispatch({ 
         type: 'FETCH_STORES_ERROR', 
@@ -2,6 +2,8 @@
 import React, { useContext } from 'react';
 import { AuthContext } from '../../context/AuthContext';
 import { Link } from 'react-router-dom';
+import { ActiveSessions } from './ActiveSessions';
+import { Passkeys } from './Passkeys';
 import styles from './AccountPage.module.css';
 
 export const AccountPage = () => {
@@ -48,6 +50,10 @@ export const AccountPage = () => {
           <p>You can control your email settings here.</p>
         </Link>
       </div>
+
+      <Passkeys />
+
+      <ActiveSessions />
     </div>
   );
 };
\ No newline at end of file
@@ -0,0 +1,114 @@
+// src/pages/AccountPage/ActiveSessions.jsx
+import React, { useState, useEffect, useContext } from 'react';
+import { AuthContext } from '../../context/AuthContext';
+import authService from '../../services/authService';
+import styles from './AccountPage.module.css';
+
+const formatLastActive = (date) => {
+  if (!date) return 'Unknown';
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return 'Just now';
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  return new Date(date).toLocaleDateString();
+};
+
+/**
+ * Devices the user is signed in on, each of which can be signed out
+ */
+export const ActiveSessions = () => {
+  const { user, logout } = useContext(AuthContext);
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [revoking, setRevoking] = useState(null);
+
+  useEffect(() => {
+    const fetchSessions = async () => {
+      if (!user) return;
+
+      try {
+        setLoading(true);
+        const data = await authService.getSessions();
+        setSessions(data.sessions);
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching sessions:', err);
+        setError('Failed to load your signed-in devices. Please try again later.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSessions();
+  }, [user]);
+
+  const handleRevoke = async (session) => {
+    const prompt = session.isCurrentSession
+      ? 'Sign out of this device?'
+      : `Sign out ${session.device}${session.location ? ` near ${session.location}` : ''}?`;
+    if (!window.confirm(prompt)) return;
+
+    try {
+      setRevoking(session.id);
+      const data = await authService.revokeSession(session.id);
+      if (data.isCurrentSession) {
+        await logout();
+        return;
+      }
+      setSessions(prev => prev.filter(item => item.id !== session.id));
+      setError(null);
+    } catch (err) {
+      console.error('Error revoking session:', err);
+      setError('Failed to sign out that device. Please try again.');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  if (!user) return null;
+
+  return (
+    <section className={styles.sessionsSection}>
+      <h2>Signed-in Devices</h2>
+      <p className={styles.sectionDescription}>
+        These devices are signed in to your account. If you don't recognize one, sign it out and change your password.
+        We'll also let you know whenever your account is signed in to from a new device.
+      </p>
+
+      {error && <div className={styles.errorMessage}>{error}</div>}
+
+      {loading ? (
+        <p className={styles.sectionDescription}>Loading...</p>
+      ) : sessions.length === 0 ? (
+        <p className={styles.sectionDescription}>No active sessions.</p>
+      ) : (
+        <ul className={styles.sessionList}>
+          {sessions.map(session => (
+            <li key={session.id} className={styles.sessionItem}>
+              <div className={styles.sessionInfo}>
+                <strong>
+                  {session.device}
+                  {session.isCurrentSession && <span className={styles.currentBadge}>This device</span>}
+                </strong>
+                <span>
+                  {session.location || 'Unknown location'}
+                  {session.ip && ` · ${session.ip}`}
+                </span>
+                <span>Last active: {session.isCurrentSession ? 'Now' : formatLastActive(session.lastUsed)}</span>
+              </div>
+              <button
+                className={styles.revokeButton}
+                onClick={() => handleRevoke(session)}
+                disabled={revoking === session.id}
+              >
+                {revoking === session.id ? 'Signing out...' : 'Sign out'}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
@@ -0,0 +1,210 @@
+// src/pages/AccountPage/Passkeys.jsx
+import React, { useState, useEffect, useContext } from 'react';
+import { browserSupportsWebAuthn } from '@simplewebauthn/browser';
+import { AuthContext } from '../../context/AuthContext';
+import authService from '../../services/authService';
+import styles from './AccountPage.module.css';
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : 'Never');
+
+/**
+ * The user's passkeys, which sign in without a password or stand in for a two-factor code
+ */
+export const Passkeys = () => {
+  const { user } = useContext(AuthContext);
+  const [passkeys, setPasskeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(null);
+  // The passkey being added ('new') or removed, which needs the current password
+  const [confirming, setConfirming] = useState(null);
+  const [password, setPassword] = useState('');
+  const [name, setName] = useState('');
+  const supported = browserSupportsWebAuthn();
+
+  useEffect(() => {
+    const fetchPasskeys = async () => {
+      if (!user) return;
+
+      try {
+        setLoading(true);
+        const data = await authService.getPasskeys();
+        setPasskeys(data.passkeys);
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching passkeys:', err);
+        setError('Failed to load your passkeys. Please try again later.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPasskeys();
+  }, [user]);
+
+  const startConfirming = (id) => {
+    setConfirming(id);
+    setPassword('');
+    setName('');
+    setError(null);
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+
+    try {
+      setBusy('new');
+      const data = await authService.registerPasskey(password, name.trim());
+      setPasskeys(prev => [...prev, data.passkey]);
+      setConfirming(null);
+      setError(null);
+    } catch (err) {
+      console.error('Error adding passkey:', err);
+      // The browser rejects with NotAllowedError when the prompt is dismissed
+      setError(err.name === 'NotAllowedError'
+        ? 'Passkey setup was cancelled.'
+        : err.response?.data?.message || 'Failed to add the passkey. Please try again.');
+    } finally {
+      setBusy(null);
+      setPassword('');
+    }
+  };
+
+  const handleRename = async (passkey) => {
+    const newName = window.prompt('Name this passkey', passkey.name);
+    if (!newName || !newName.trim() || newName.trim() === passkey.name) return;
+
+    try {
+      setBusy(passkey.id);
+      const data = await authService.renamePasskey(passkey.id, newName.trim());
+      setPasskeys(prev => prev.map(item => (item.id === passkey.id ? data.passkey : item)));
+      setError(null);
+    } catch (err) {
+      console.error('Error renaming passkey:', err);
+      setError('Failed to rename the passkey. Please try again.');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRemove = async (e, passkey) => {
+    e.preventDefault();
+
+    try {
+      setBusy(passkey.id);
+      await authService.deletePasskey(passkey.id, password);
+      setPasskeys(prev => prev.filter(item => item.id !== passkey.id));
+      setConfirming(null);
+      setError(null);
+    } catch (err) {
+      console.error('Error removing passkey:', err);
+      setError(err.response?.data?.message || 'Failed to remove the passkey. Please try again.');
+    } finally {
+      setBusy(null);
+      setPassword('');
+    }
+  };
+
+  const passwordField = (
+    <input
+      type="password"
+      className={styles.passkeyInput}
+      placeholder="Current password"
+      aria-label="Current password"
+      value={password}
+      onChange={(e) => setPassword(e.target.value)}
+      required
+      autoFocus
+    />
+  );
+
+  if (!user) return null;
+
+  return (
+    <section className={styles.sessionsSection}>
+      <h2>Passkeys</h2>
+      <p className={styles.sectionDescription}>
+        Passkeys let you sign in with your fingerprint, face or device PIN instead of a password.
+        If you use two-factor authentication, a passkey can also be used instead of a code.
+      </p>
+
+      {error && <div className={styles.errorMessage}>{error}</div>}
+
+      {loading ? (
+        <p className={styles.sectionDescription}>Loading...</p>
+      ) : passkeys.length === 0 ? (
+        <p className={styles.sectionDescription}>You haven't added any passkeys yet.</p>
+      ) : (
+        <ul className={styles.sessionList}>
+          {passkeys.map(passkey => (
+            <li key={passkey.id} className={styles.sessionItem}>
+              <div className={styles.sessionInfo}>
+                <strong>
+                  {passkey.name}
+                  {passkey.backedUp && <span className={styles.currentBadge}>Synced</span>}
+                </strong>
+                <span>Added: {formatDate(passkey.createdAt)}</span>
+                <span>Last used: {formatDate(passkey.lastUsedAt)}</span>
+              </div>
+              {confirming === passkey.id ? (
+                <form className={styles.passkeyForm} onSubmit={(e) => handleRemove(e, passkey)}>
+                  {passwordField}
+                  <button type="submit" className={styles.revokeButton} disabled={busy === passkey.id}>
+                    {busy === passkey.id ? 'Removing...' : 'Remove'}
+                  </button>
+                  <button type="button" className={styles.secondaryButton} onClick={() => setConfirming(null)}>
+                    Cancel
+                  </button>
+                </form>
+              ) : (
+                <div className={styles.passkeyForm}>
+                  <button
+                    className={styles.secondaryButton}
+                    onClick={() => handleRename(passkey)}
+                    disabled={busy === passkey.id}
+                  >
+                    Rename
+                  </button>
+                  <button
+                    className={styles.revokeButton}
+                    onClick={() => startConfirming(passkey.id)}
+                    disabled={busy === passkey.id}
+                  >
+                    Remove
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!supported ? (
+        <p className={styles.sectionDescription}>This browser doesn't support passkeys.</p>
+      ) : confirming === 'new' ? (
+        <form className={styles.passkeyForm} onSubmit={handleAdd}>
+          <input
+            type="text"
+            className={styles.passkeyInput}
+            placeholder="Name, e.g. Work laptop"
+            aria-label="Passkey name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={50}
+          />
+          {passwordField}
+          <button type="submit" className={styles.primaryButton} disabled={busy === 'new'}>
+            {busy === 'new' ? 'Adding...' : 'Continue'}
+          </button>
+          <button type="button" className={styles.secondaryButton} onClick={() => setConfirming(null)}>
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <button className={styles.primaryButton} onClick={() => startConfirming('new')}>
+          Add a passkey
+        </button>
+      )}
+    </section>
+  );
+};
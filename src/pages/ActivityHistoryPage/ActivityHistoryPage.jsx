@@ -3,74 +3,95 @@ import React, { useState, useEffect, useContext } from 'react';
 import { AuthContext } from '../../context/AuthContext';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
+import { buildApiUrl, API_ENDPOINTS } from '../../config/api';
+import { formatCurrency, getPreferredCurrency } from '../../utils/currencyUtils';
 import styles from './ActivityHistoryPage.module.css';
 
+// Transaction types shown under each tab
+const TAB_TYPES = {
+  all: undefined,
+  cashback: 'cashback',
+  bonus: 'referral,bonus',
+  withdrawal: 'withdrawal'
+};
+
+// Status labels and the detail styles that color them
+const STATUS_LABELS = {
+  pending: { label: 'Pending', style: 'pending' },
+  confirmed: { label: 'Approved', style: 'approved' },
+  paid: { label: 'Paid', style: 'approved' },
+  rejected: { label: 'Rejected', style: 'rejected' }
+};
+
+const PAGE_SIZE = 20;
+
 export const ActivityHistoryPage = () => {
   const { user, accessToken } = useContext(AuthContext);
   const navigate = useNavigate();
-  
+
   const [activeTab, setActiveTab] = useState('all');
-  const [activities, setActivities] = useState([]);
-  const [filteredActivities, setFilteredActivities] = useState([]);
+  const [transactions, setTransactions] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [dateRange, setDateRange] = useState({
     startDate: '',
     endDate: ''
   });
+  const [displayCurrency, setDisplayCurrency] = useState(getPreferredCurrency());
 
-  // Fetch user activity when component mounts
+  // Re-fetch converted amounts when the currency selector changes
   useEffect(() => {
-    const fetchActivity = async () => {
+    const handleCurrencyChange = (event) => {
+      setDisplayCurrency(event.detail.code || event.detail);
+      setPage(1);
+    };
+    window.addEventListener('currencyChange', handleCurrencyChange);
+    return () => window.removeEventListener('currencyChange', handleCurrencyChange);
+  }, []);
+
+  // Fetch the user's transactions; later pages are appended for "Load More"
+  useEffect(() => {
+    const fetchTransactions = async () => {
       if (!user) return;
-      
+
       try {
         setLoading(true);
-        const response = await axios.get('http://localhost:5000/api/users/activity', {
+        const response = await axios.get(buildApiUrl(API_ENDPOINTS.TRANSACTIONS.BASE), {
+          params: {
+            page,
+            limit: PAGE_SIZE,
+            type: TAB_TYPES[activeTab],
+            startDate: dateRange.startDate || undefined,
+            endDate: dateRange.endDate || undefined,
+            currency: displayCurrency
+          },
           headers: {
             Authorization: `Bearer ${accessToken}`
           }
         });
-        
-        setActivities(response.data.activity.recentActivity || []);
-        setFilteredActivities(response.data.activity.recentActivity || []);
+
+        const { items, pagination: pageInfo } = response.data.data;
+        setTransactions(prev => (page === 1 ? items : [...prev, ...items]));
+        setPagination(pageInfo);
         setError(null);
       } catch (err) {
-        console.error('Error fetching activity:', err);
+        console.error('Error fetching transactions:', err);
         setError('Failed to load your activity history. Please try again later.');
       } finally {
         setLoading(false);
       }
     };
-    
-    fetchActivity();
-  }, [user, accessToken]);
 
-  // Filter activities when tab changes
-  useEffect(() => {
-    if (activities.length === 0) return;
-    
-    let filtered = [...activities];
-    
-    // Filter by type
-    if (activeTab !== 'all') {
-      filtered = filtered.filter(activity => activity.type === activeTab);
-    }
-    
-    // Filter by date range
-    if (dateRange.startDate) {
-      const startDate = new Date(dateRange.startDate);
-      filtered = filtered.filter(activity => new Date(activity.date) >= startDate);
-    }
-    
-    if (dateRange.endDate) {
-      const endDate = new Date(dateRange.endDate);
-      endDate.setHours(23, 59, 59, 999); // End of the day
-      filtered = filtered.filter(activity => new Date(activity.date) <= endDate);
-    }
-    
-    setFilteredActivities(filtered);
-  }, [activeTab, activities, dateRange]);
+    fetchTransactions();
+  }, [user, accessToken, page, activeTab, dateRange, displayCurrency]);
+
+  // Changing a filter starts again from the first page
+  const changeTab = (tab) => {
+    setActiveTab(tab);
+    setPage(1);
+  };
 
   // Handle date range change
   const handleDateChange = (e) => {
@@ -79,6 +100,7 @@ export const ActivityHistoryPage = () => {
       ...prev,
       [name]: value
     }));
+    setPage(1);
   };
 
   // Clear date filters
@@ -87,6 +109,7 @@ export const ActivityHistoryPage = () => {
       startDate: '',
       endDate: ''
     });
+    setPage(1);
   };
 
   // Format date for display
@@ -95,34 +118,45 @@ export const ActivityHistoryPage = () => {
     return new Date(dateString).toLocaleDateString(undefined, options);
   };
 
-  // Get activity icon based on type
+  // Get activity icon based on transaction type
   const getActivityIcon = (type) => {
     switch (type) {
-      case 'login':
-        return '🔐';
-      case 'signup':
-        return '👋';
-      case 'purchase':
-        return '🛒';
       case 'cashback':
         return '💰';
-      case 'coupon':
-        return '🏷️';
-      case 'redemption':
-        return '💸';
-      case 'favorite':
-        return '❤️';
-      case 'profile':
-        return '👤';
       case 'referral':
         return '👥';
-      case 'feedback':
-        return '📝';
+      case 'bonus':
+        return '🎁';
+      case 'withdrawal':
+        return '💸';
       default:
         return '📊';
     }
   };
 
+  // Title shown for a transaction
+  const getActivityTitle = (transaction) => {
+    switch (transaction.type) {
+      case 'withdrawal':
+        return `Withdrawal via ${(transaction.paymentMethod || 'payout').replace('_', ' ')}`;
+      case 'referral':
+        return 'Referral bonus';
+      case 'bonus':
+        return 'Bonus';
+      default:
+        return `Cashback from ${transaction.store ? transaction.store.name : 'a store'}`;
+    }
+  };
+
+  // Amount in the display currency the server converted it to
+  const formatAmount = (transaction) => (
+    transaction.display
+      ? formatCurrency(transaction.display.cashbackAmount, transaction.display.currency)
+      : formatCurrency(transaction.cashbackAmount, transaction.currency)
+  );
+
+  const hasFilters = activeTab !== 'all' || dateRange.startDate || dateRange.endDate;
+
   // Redirect to login if not authenticated
   if (!user) {
     navigate('/login', { state: { from: '/activity-history' } });
@@ -133,47 +167,35 @@ export const ActivityHistoryPage = () => {
     <div className={styles.activityPage}>
       <div className={styles.activityContainer}>
         <h1>Activity History</h1>
-        
+
         <div className={styles.filterSection}>
           <div className={styles.tabs}>
-            <button 
+            <button
               className={`${styles.tabButton} ${activeTab === 'all' ? styles.active : ''}`}
-              onClick={() => setActiveTab('all')}
+              onClick={() => changeTab('all')}
             >
               All Activity
             </button>
-            <button 
-              className={`${styles.tabButton} ${activeTab === 'login' ? styles.active : ''}`}
-              onClick={() => setActiveTab('login')}
-            >
-              Logins
-            </button>
-            <button 
-              className={`${styles.tabButton} ${activeTab === 'purchase' ? styles.active : ''}`}
-              onClick={() => setActiveTab('purchase')}
-            >
-              Purchases
-            </button>
-            <button 
+            <button
               className={`${styles.tabButton} ${activeTab === 'cashback' ? styles.active : ''}`}
-              onClick={() => setActiveTab('cashback')}
+              onClick={() => changeTab('cashback')}
             >
               Cashback
             </button>
-            <button 
-              className={`${styles.tabButton} ${activeTab === 'coupon' ? styles.active : ''}`}
-              onClick={() => setActiveTab('coupon')}
+            <button
+              className={`${styles.tabButton} ${activeTab === 'bonus' ? styles.active : ''}`}
+              onClick={() => changeTab('bonus')}
             >
-              Coupons
+              Bonuses
             </button>
-            <button 
-              className={`${styles.tabButton} ${activeTab === 'favorite' ? styles.active : ''}`}
-              onClick={() => setActiveTab('favorite')}
+            <button
+              className={`${styles.tabButton} ${activeTab === 'withdrawal' ? styles.active : ''}`}
+              onClick={() => changeTab('withdrawal')}
             >
-              Favorites
+              Withdrawals
             </button>
           </div>
-          
+
           <div className={styles.dateFilters}>
             <div className={styles.dateInputGroup}>
               <label htmlFor="startDate">From:</label>
@@ -185,7 +207,7 @@ export const ActivityHistoryPage = () => {
                 onChange={handleDateChange}
               />
             </div>
-            
+
             <div className={styles.dateInputGroup}>
               <label htmlFor="endDate">To:</label>
               <input
@@ -197,8 +219,8 @@ export const ActivityHistoryPage = () => {
                 min={dateRange.startDate}
               />
             </div>
-            
-            <button 
+
+            <button
               className={styles.clearButton}
               onClick={clearDateFilters}
               disabled={!dateRange.startDate && !dateRange.endDate}
@@ -207,28 +229,28 @@ export const ActivityHistoryPage = () => {
             </button>
           </div>
         </div>
-        
-        {loading ? (
+
+        {loading && page === 1 ? (
           <div className={styles.loadingContainer}>
             <div className={styles.loader}></div>
             <p>Loading your activity history...</p>
           </div>
         ) : error ? (
           <div className={styles.errorMessage}>{error}</div>
-        ) : filteredActivities.length === 0 ? (
+        ) : transactions.length === 0 ? (
           <div className={styles.emptyState}>
             <div className={styles.emptyIcon}>📊</div>
             <h3>No Activity Found</h3>
             <p>
-              {activeTab === 'all' && !dateRange.startDate && !dateRange.endDate
+              {!hasFilters
                 ? "You don't have any recorded activity yet."
                 : "No activity matches your current filters."}
             </p>
-            {activeTab !== 'all' || dateRange.startDate || dateRange.endDate ? (
-              <button 
+            {hasFilters ? (
+              <button
                 className={styles.clearFiltersButton}
                 onClick={() => {
-                  setActiveTab('all');
+                  changeTab('all');
                   clearDateFilters();
                 }}
               >
@@ -238,112 +260,80 @@ export const ActivityHistoryPage = () => {
           </div>
         ) : (
           <div className={styles.activityList}>
-            {filteredActivities.map((activity, index) => (
-              <div key={index} className={styles.activityItem}>
-                <div className={styles.activityIcon}>
-                  {getActivityIcon(activity.type)}
-                </div>
-                
-                <div className={styles.activityContent}>
-                  <div className={styles.activityHeader}>
-                    <h3>{activity.title}</h3>
-                    <span className={styles.activityDate}>{formatDate(activity.date)}</span>
+            {transactions.map((transaction) => {
+              const status = STATUS_LABELS[transaction.status] || { label: transaction.status, style: '' };
+              return (
+                <div key={transaction._id} className={styles.activityItem}>
+                  <div className={styles.activityIcon}>
+                    {getActivityIcon(transaction.type)}
                   </div>
-                  
-                  <p className={styles.activityDescription}>{activity.description}</p>
-                  
-                  {activity.details && (
+
+                  <div className={styles.activityContent}>
+                    <div className={styles.activityHeader}>
+                      <h3>{getActivityTitle(transaction)}</h3>
+                      <span className={styles.activityDate}>
+                        {formatDate(transaction.type === 'withdrawal' ? transaction.createdAt : transaction.purchaseDate)}
+                      </span>
+                    </div>
+
+                    {transaction.description && (
+                      <p className={styles.activityDescription}>{transaction.description}</p>
+                    )}
+
                     <div className={styles.activityDetails}>
-                      {activity.type === 'purchase' && (
-                        <>
-                          <div className={styles.detailItem}>
-                            <span className={styles.detailLabel}>Store:</span>
-                            <span className={styles.detailValue}>{activity.details.store}</span>
-                          </div>
-                          <div className={styles.detailItem}>
-                            <span className={styles.detailLabel}>Order ID:</span>
-                            <span className={styles.detailValue}>{activity.details.orderId}</span>
-                          </div>
-                          <div className={styles.detailItem}>
-                            <span className={styles.detailLabel}>Amount:</span>
-                            <span className={styles.detailValue}>${activity.details.amount.toFixed(2)}</span>
-                          </div>
-                        </>
-                      )}
-                      
-                      {activity.type === 'cashback' && (
-                        <>
-                          <div className={styles.detailItem}>
-                            <span className={styles.detailLabel}>Store:</span>
-                            <span className={styles.detailValue}>{activity.details.store}</span>
-                          </div>
-                          <div className={styles.detailItem}>
-                            <span className={styles.detailLabel}>Amount:</span>
-                            <span className={styles.detailValue}>${activity.details.amount.toFixed(2)}</span>
-                          </div>
-                          <div className={styles.detailItem}>
-                            <span className={styles.detailLabel}>Status:</span>
-                            <span className={`${styles.detailValue} ${styles[activity.details.status]}`}>
-                              {activity.details.status.charAt(0).toUpperCase() + activity.details.status.slice(1)}
-                            </span>
-                          </div>
-                        </>
+                      {transaction.store && (
+                        <div className={styles.detailItem}>
+                          <span className={styles.detailLabel}>Store:</span>
+                          <span className={styles.detailValue}>{transaction.store.name}</span>
+                        </div>
                       )}
-                      
-                      {activity.type === 'coupon' && (
-                        <>
-                          <div className={styles.detailItem}>
-                            <span className={styles.detailLabel}>Store:</span>
-                            <span className={styles.detailValue}>{activity.details.store}</span>
-                          </div>
-                          <div className={styles.detailItem}>
-                            <span className={styles.detailLabel}>Code:</span>
-                            <span className={styles.detailValue}>{activity.details.code}</span>
-                          </div>
-                          <div className={styles.detailItem}>
-                            <span className={styles.detailLabel}>Discount:</span>
-                            <span className={styles.detailValue}>{activity.details.discount}</span>
-                          </div>
-                        </>
+                      {transaction.orderReference && (
+                        <div className={styles.detailItem}>
+                          <span className={styles.detailLabel}>Order ID:</span>
+                          <span className={styles.detailValue}>{transaction.orderReference}</span>
+                        </div>
                       )}
-                      
-                      {activity.type === 'login' && (
-                        <>
-                          <div className={styles.detailItem}>
-                            <span className={styles.detailLabel}>IP Address:</span>
-                            <span className={styles.detailValue}>{activity.details.ip}</span>
-                          </div>
-                          <div className={styles.detailItem}>
-                            <span className={styles.detailLabel}>Device:</span>
-                            <span className={styles.detailValue}>{activity.details.device}</span>
-                          </div>
-                          <div className={styles.detailItem}>
-                            <span className={styles.detailLabel}>Location:</span>
-                            <span className={styles.detailValue}>{activity.details.location}</span>
-                          </div>
-                        </>
+                      <div className={styles.detailItem}>
+                        <span className={styles.detailLabel}>Amount:</span>
+                        <span className={styles.detailValue}>{formatAmount(transaction)}</span>
+                      </div>
+                      <div className={styles.detailItem}>
+                        <span className={styles.detailLabel}>Status:</span>
+                        <span className={`${styles.detailValue} ${styles[status.style] || ''}`}>
+                          {status.label}
+                        </span>
+                      </div>
+                      {transaction.status === 'rejected' && transaction.rejectionReason && (
+                        <div className={styles.detailItem}>
+                          <span className={styles.detailLabel}>Reason:</span>
+                          <span className={styles.detailValue}>{transaction.rejectionReason}</span>
+                        </div>
                       )}
                     </div>
-                  )}
-                  
-                  {activity.actionUrl && (
-                    <div className={styles.activityAction}>
-                      <button 
-                        className={styles.actionButton}
-                        onClick={() => navigate(activity.actionUrl)}
-                      >
-                        {activity.actionText || 'View Details'}
-                      </button>
-                    </div>
-                  )}
+
+                    {transaction.type !== 'withdrawal' && (
+                      <div className={styles.activityAction}>
+                        <button
+                          className={styles.actionButton}
+                          onClick={() => navigate('/cashback-dashboard')}
+                        >
+                          View Cashback
+                        </button>
+                      </div>
+                    )}
+                  </div>
                 </div>
-              </div>
-            ))}
-            
-            {filteredActivities.length > 20 && (
+              );
+            })}
+
+            {pagination && pagination.hasNextPage && (
               <div className={styles.loadMoreContainer}>
-                <button className={styles.loadMoreButton}>
-                  Load More
+                <button
+                  className={styles.loadMoreButton}
+                  onClick={() => setPage(prev => prev + 1)}
+                  disabled={loading}
+                >
+                  {loading ? 'Loading...' : 'Load More'}
                 </button>
               </div>
             )}
@@ -354,4 +344,4 @@ export const ActivityHistoryPage = () => {
   );
 };
 
-export default ActivityHistoryPage;
\ No newline at end of file
+export default ActivityHistoryPage;
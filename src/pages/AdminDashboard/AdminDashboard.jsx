@@ -5,7 +5,7 @@ import { useNavigate } from 'react-router-dom';
 import adminService from '../../services/adminService';
 import { 
   FaUsers, FaTag, FaMoneyBillWave, FaStore, FaBlog, 
-  FaChartLine, FaFileAlt, FaBars, FaTimes, FaRobot
+  FaChartLine, FaFileAlt, FaBars, FaTimes, FaRobot, FaReceipt, FaMedal, FaFlag, FaStar, FaRss, FaCalendarAlt, FaKey
 } from 'react-icons/fa';
 import ThemeToggle from '../../Components/ThemeToggle/ThemeToggle';
 import SkeletonLoader from '../../Components/SkeletonLoader/SkeletonLoader';
@@ -13,13 +13,20 @@ import styles from './AdminDashboard.module.css';
 
 // Admin Dashboard Components
 import CouponManagement from './components/CouponManagement';
+import FlaggedCoupons from './components/FlaggedCoupons';
+import FeedRuns from './components/FeedRuns';
+import OfferCalendar from './components/OfferCalendar';
 import CashbackManagement from './components/CashbackManagement';
+import ClaimManagement from './components/ClaimManagement';
+import LoyaltyManagement from './components/LoyaltyManagement';
 import StoreManagement from './components/StoreManagement';
+import ReviewModeration from './components/ReviewModeration';
 import UserManagement from './components/UserManagement';
 import BlogManagement from './components/BlogManagement';
 import SimpleAnalyticsDashboard from './components/SimpleAnalyticsDashboard';
 import AIAnalyticsDashboard from './components/AIAnalyticsDashboard';
 import ReportingTools from './components/ReportingTools';
+import ApiKeyManagement from './components/ApiKeyManagement';
 import Overview from './components/Overview';
 
 // Import theme CSS
@@ -136,10 +143,22 @@ const AdminDashboard = () => {
     switch (activeSection) {
       case 'coupons':
         return <CouponManagement />;
+      case 'flaggedCoupons':
+        return <FlaggedCoupons />;
+      case 'feeds':
+        return <FeedRuns />;
+      case 'calendar':
+        return <OfferCalendar />;
       case 'cashbacks':
         return <CashbackManagement />;
+      case 'claims':
+        return <ClaimManagement />;
+      case 'loyalty':
+        return <LoyaltyManagement />;
       case 'stores':
         return <StoreManagement />;
+      case 'reviews':
+        return <ReviewModeration />;
       case 'users':
         return <UserManagement />;
       case 'blogs':
@@ -150,6 +169,8 @@ const AdminDashboard = () => {
         return <AIAnalyticsDashboard analytics={analytics} />;
       case 'reports':
         return <ReportingTools />;
+      case 'apiKeys':
+        return <ApiKeyManagement />;
       case 'overview':
       default:
         return <Overview analytics={analytics} />;
@@ -236,6 +257,36 @@ const AdminDashboard = () => {
               <FaTag aria-hidden="true" /> Coupon Management
             </button>
             
+            <button 
+              className={`${styles.navButton} ${activeSection === 'flaggedCoupons' ? styles.active : ''}`}
+              onClick={() => handleSectionChange('flaggedCoupons')}
+              aria-current={activeSection === 'flaggedCoupons' ? 'page' : undefined}
+              aria-label="Flagged Coupons"
+              title="Flagged Coupons"
+            >
+              <FaFlag aria-hidden="true" /> Flagged Coupons
+            </button>
+            
+            <button 
+              className={`${styles.navButton} ${activeSection === 'calendar' ? styles.active : ''}`}
+              onClick={() => handleSectionChange('calendar')}
+              aria-current={activeSection === 'calendar' ? 'page' : undefined}
+              aria-label="Offer Calendar"
+              title="Offer Calendar"
+            >
+              <FaCalendarAlt aria-hidden="true" /> Offer Calendar
+            </button>
+            
+            <button 
+              className={`${styles.navButton} ${activeSection === 'feeds' ? styles.active : ''}`}
+              onClick={() => handleSectionChange('feeds')}
+              aria-current={activeSection === 'feeds' ? 'page' : undefined}
+              aria-label="Affiliate Feeds"
+              title="Affiliate Feeds"
+            >
+              <FaRss aria-hidden="true" /> Affiliate Feeds
+            </button>
+            
             <button 
               className={`${styles.navButton} ${activeSection === 'cashbacks' ? styles.active : ''}`}
               onClick={() => handleSectionChange('cashbacks')}
@@ -246,6 +297,26 @@ const AdminDashboard = () => {
               <FaMoneyBillWave aria-hidden="true" /> Cashback Management
             </button>
             
+            <button 
+              className={`${styles.navButton} ${activeSection === 'claims' ? styles.active : ''}`}
+              onClick={() => handleSectionChange('claims')}
+              aria-current={activeSection === 'claims' ? 'page' : undefined}
+              aria-label="Cashback Claims"
+              title="Cashback Claims"
+            >
+              <FaReceipt aria-hidden="true" /> Cashback Claims
+            </button>
+            
+            <button 
+              className={`${styles.navButton} ${activeSection === 'loyalty' ? styles.active : ''}`}
+              onClick={() => handleSectionChange('loyalty')}
+              aria-current={activeSection === 'loyalty' ? 'page' : undefined}
+              aria-label="Loyalty Program"
+              title="Loyalty Program"
+            >
+              <FaMedal aria-hidden="true" /> Loyalty Program
+            </button>
+            
             <button 
               className={`${styles.navButton} ${activeSection === 'stores' ? styles.active : ''}`}
               onClick={() => handleSectionChange('stores')}
@@ -256,6 +327,16 @@ const AdminDashboard = () => {
               <FaStore aria-hidden="true" /> Store Management
             </button>
             
+            <button 
+              className={`${styles.navButton} ${activeSection === 'reviews' ? styles.active : ''}`}
+              onClick={() => handleSectionChange('reviews')}
+              aria-current={activeSection === 'reviews' ? 'page' : undefined}
+              aria-label="Review Moderation"
+              title="Review Moderation"
+            >
+              <FaStar aria-hidden="true" /> Review Moderation
+            </button>
+            
             <button 
               className={`${styles.navButton} ${activeSection === 'users' ? styles.active : ''}`}
               onClick={() => handleSectionChange('users')}
@@ -305,6 +386,16 @@ const AdminDashboard = () => {
             >
               <FaFileAlt aria-hidden="true" /> Reporting Tools
             </button>
+            
+            <button 
+              className={`${styles.navButton} ${activeSection === 'apiKeys' ? styles.active : ''}`}
+              onClick={() => handleSectionChange('apiKeys')}
+              aria-current={activeSection === 'apiKeys' ? 'page' : undefined}
+              aria-label="API Keys"
+              title="API Keys"
+            >
+              <FaKey aria-hidden="true" /> API Keys
+            </button>
           </nav>
         </div>
         
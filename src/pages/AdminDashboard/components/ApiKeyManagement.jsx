@@ -0,0 +1,420 @@
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { AuthContext } from '../../../context/AuthContext';
+import axios from 'axios';
+import { FaPlus, FaList, FaSync, FaBan } from 'react-icons/fa';
+import styles from '../AdminDashboard.module.css';
+import { buildApiUrl, API_ENDPOINTS } from '../../../config/api';
+
+const SCOPES = ['external', 'analytics', 'monitoring', 'cache', 'admin'];
+
+const emptyForm = { name: '', scopes: ['external'], rateLimit: 1000, expiresAt: '' };
+
+const keyStatus = (apiKey) => {
+  if (apiKey.revokedAt) return 'Revoked';
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) return 'Expired';
+  return 'Active';
+};
+
+const ApiKeyManagement = () => {
+  const { accessToken } = useContext(AuthContext);
+  const [apiKeys, setApiKeys] = useState([]);
+  const [filters, setFilters] = useState({ status: 'active', scope: '' });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const [newKey, setNewKey] = useState(null);
+  const [selectedKey, setSelectedKey] = useState(null);
+
+  const authHeaders = { headers: { Authorization: `Bearer ${accessToken}` } };
+
+  const fetchKeys = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { page: currentPage, limit: 20 };
+      if (filters.status) params.status = filters.status;
+      if (filters.scope) params.scope = filters.scope;
+
+      const response = await axios.get(buildApiUrl(API_ENDPOINTS.API_KEYS.BASE), {
+        params,
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+
+      setApiKeys(response.data.data.items);
+      setTotalPages(response.data.data.pagination?.totalPages || 1);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching API keys:', err);
+      setError(err.response?.data?.error?.message || 'Failed to load API keys. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [accessToken, currentPage, filters]);
+
+  useEffect(() => {
+    fetchKeys();
+  }, [fetchKeys]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setCurrentPage(1);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleScopeToggle = (scope) => {
+    setFormData(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter(item => item !== scope)
+        : [...prev.scopes, scope]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError(null);
+      const payload = {
+        name: formData.name,
+        scopes: formData.scopes,
+        rateLimit: Number(formData.rateLimit)
+      };
+      if (formData.expiresAt) payload.expiresAt = new Date(formData.expiresAt).toISOString();
+
+      const response = await axios.post(buildApiUrl(API_ENDPOINTS.API_KEYS.BASE), payload, authHeaders);
+      setNewKey({ name: response.data.data.apiKey.name, key: response.data.data.key, message: response.data.message });
+      setFormData(emptyForm);
+      setShowForm(false);
+      fetchKeys();
+    } catch (err) {
+      console.error('Error creating API key:', err);
+      setError(err.response?.data?.error?.message || 'Failed to create the API key. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRotate = async (apiKey) => {
+    const graceHours = window.prompt(
+      `Rotate "${apiKey.name}"? Enter how many hours the current key should keep working (leave empty for the default).`,
+      ''
+    );
+    if (graceHours === null) return;
+
+    try {
+      setError(null);
+      const response = await axios.post(
+        buildApiUrl(`${API_ENDPOINTS.API_KEYS.BASE}/${apiKey._id}/rotate`),
+        graceHours.trim() === '' ? {} : { graceHours: Number(graceHours) },
+        authHeaders
+      );
+      setNewKey({ name: apiKey.name, key: response.data.data.key, message: response.data.message });
+      fetchKeys();
+    } catch (err) {
+      console.error('Error rotating API key:', err);
+      setError(err.response?.data?.error?.message || 'Failed to rotate the API key. Please try again.');
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Anything still using it will stop working immediately.`)) return;
+
+    try {
+      setError(null);
+      const response = await axios.delete(buildApiUrl(`${API_ENDPOINTS.API_KEYS.BASE}/${apiKey._id}`), authHeaders);
+      setSuccess(response.data.message);
+      fetchKeys();
+    } catch (err) {
+      console.error('Error revoking API key:', err);
+      setError(err.response?.data?.error?.message || 'Failed to revoke the API key. Please try again.');
+    }
+  };
+
+  const handleViewKey = async (apiKey) => {
+    try {
+      const response = await axios.get(buildApiUrl(`${API_ENDPOINTS.API_KEYS.BASE}/${apiKey._id}`), authHeaders);
+      setSelectedKey(response.data.data);
+    } catch (err) {
+      console.error('Error loading API key:', err);
+      setError('Failed to load the API key. Please try again.');
+    }
+  };
+
+  if (loading && apiKeys.length === 0) {
+    return (
+      <div className={styles.loadingContainer}>
+        <div className={styles.loader}></div>
+        <p>Loading API keys...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className={styles.cardHeader}>
+        <h1>API Keys</h1>
+        <button onClick={() => setShowForm(prev => !prev)} className={styles.button}>
+          <FaPlus /> {showForm ? 'Cancel' : 'New API Key'}
+        </button>
+      </div>
+
+      {error && <div className={styles.errorMessage}>{error}</div>}
+      {success && <div className={styles.successMessage}>{success}</div>}
+
+      {showForm && (
+        <div className={styles.card}>
+          <div className={styles.cardHeader}>
+            <h2>New API Key</h2>
+          </div>
+          <div className={styles.cardBody}>
+            <form onSubmit={handleCreate}>
+              <div className={styles.formRow}>
+                <div className={styles.formGroup}>
+                  <label htmlFor="name">Name</label>
+                  <input
+                    id="name"
+                    name="name"
+                    value={formData.name}
+                    onChange={handleInputChange}
+                    className={styles.formControl}
+                    placeholder="Partner or integration name"
+                    maxLength={100}
+                    required
+                  />
+                </div>
+                <div className={styles.formGroup}>
+                  <label htmlFor="rateLimit">Requests per Hour</label>
+                  <input
+                    id="rateLimit"
+                    name="rateLimit"
+                    type="number"
+                    min="1"
+                    max="100000"
+                    value={formData.rateLimit}
+                    onChange={handleInputChange}
+                    className={styles.formControl}
+                    required
+                  />
+                </div>
+                <div className={styles.formGroup}>
+                  <label htmlFor="expiresAt">Expires</label>
+                  <input
+                    id="expiresAt"
+                    name="expiresAt"
+                    type="datetime-local"
+                    value={formData.expiresAt}
+                    onChange={handleInputChange}
+                    className={styles.formControl}
+                  />
+                </div>
+              </div>
+
+              <div className={styles.formGroup}>
+                <label>Scopes</label>
+                {SCOPES.map(scope => (
+                  <label key={scope} className={styles.checkboxLabel}>
+                    <input
+                      type="checkbox"
+                      checked={formData.scopes.includes(scope)}
+                      onChange={() => handleScopeToggle(scope)}
+                    />
+                    {scope}
+                  </label>
+                ))}
+              </div>
+
+              <button type="submit" className={styles.button} disabled={saving || formData.scopes.length === 0}>
+                {saving ? 'Creating...' : 'Create API Key'}
+              </button>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <div className={styles.card}>
+        <div className={styles.cardBody}>
+          <div className={styles.filterControls}>
+            <select name="status" value={filters.status} onChange={handleFilterChange} className={styles.formControl}>
+              <option value="">All Keys</option>
+              <option value="active">Not Revoked</option>
+              <option value="revoked">Revoked</option>
+            </select>
+            <select name="scope" value={filters.scope} onChange={handleFilterChange} className={styles.formControl}>
+              <option value="">All Scopes</option>
+              {SCOPES.map(scope => (
+                <option key={scope} value={scope}>{scope}</option>
+              ))}
+            </select>
+          </div>
+
+          {apiKeys.length === 0 ? (
+            <div className={styles.emptyState}>
+              <p>No API keys match these filters.</p>
+            </div>
+          ) : (
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Key ID</th>
+                  <th>Scopes</th>
+                  <th>Limit / Hour</th>
+                  <th>Status</th>
+                  <th>Requests</th>
+                  <th>Last Used</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {apiKeys.map((apiKey) => {
+                  const status = keyStatus(apiKey);
+                  return (
+                    <tr key={apiKey._id}>
+                      <td>{apiKey.name}</td>
+                      <td><code>{apiKey.keyId}</code></td>
+                      <td>{apiKey.scopes.join(', ')}</td>
+                      <td>{apiKey.rateLimit}</td>
+                      <td>
+                        <span className={status === 'Active' ? styles.statusActive : styles.statusInactive}>
+                          {status}
+                        </span>
+                      </td>
+                      <td>{apiKey.usage?.totalRequests || 0}</td>
+                      <td>{apiKey.usage?.lastUsedAt ? new Date(apiKey.usage.lastUsedAt).toLocaleString() : 'Never'}</td>
+                      <td>
+                        <button
+                          onClick={() => handleViewKey(apiKey)}
+                          className={`${styles.button} ${styles.buttonSecondary}`}
+                          title="View usage"
+                        >
+                          <FaList />
+                        </button>
+                        {status === 'Active' && (
+                          <>
+                            <button
+                              onClick={() => handleRotate(apiKey)}
+                              className={`${styles.button} ${styles.buttonSecondary}`}
+                              title="Rotate key"
+                            >
+                              <FaSync />
+                            </button>
+                            <button
+                              onClick={() => handleRevoke(apiKey)}
+                              className={`${styles.button} ${styles.buttonDanger}`}
+                              title="Revoke key"
+                            >
+                              <FaBan />
+                            </button>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+
+          {totalPages > 1 && (
+            <div className={styles.pagination}>
+              <button
+                onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
+                disabled={currentPage === 1}
+                className={styles.paginationButton}
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setCurrentPage(prev => Math.min(prev + 1, totalPages))}
+                disabled={currentPage === totalPages}
+                className={styles.paginationButton}
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {newKey && (
+        <div className={styles.modalOverlay}>
+          <div className={styles.modal}>
+            <div className={styles.modalHeader}>
+              <h2>{newKey.name}</h2>
+              <button onClick={() => setNewKey(null)} className={styles.closeButton}>×</button>
+            </div>
+            <div className={styles.modalBody}>
+              <p>{newKey.message}</p>
+              <input
+                readOnly
+                value={newKey.key}
+                className={styles.formControl}
+                onFocus={(e) => e.target.select()}
+                aria-label="API key"
+              />
+            </div>
+          </div>
+        </div>
+      )}
+
+      {selectedKey && (
+        <div className={styles.modalOverlay}>
+          <div className={styles.modal}>
+            <div className={styles.modalHeader}>
+              <h2>{selectedKey.name}</h2>
+              <button onClick={() => setSelectedKey(null)} className={styles.closeButton}>×</button>
+            </div>
+            <div className={styles.modalBody}>
+              <p>
+                Created {new Date(selectedKey.createdAt).toLocaleString()}
+                {selectedKey.createdBy?.email && ` by ${selectedKey.createdBy.email}`}
+                {selectedKey.expiresAt && ` · expires ${new Date(selectedKey.expiresAt).toLocaleString()}`}
+              </p>
+              {selectedKey.rotatedAt && (
+                <p>
+                  Last rotated {new Date(selectedKey.rotatedAt).toLocaleString()}
+                  {selectedKey.previousKeyExpiresAt && new Date(selectedKey.previousKeyExpiresAt) > new Date()
+                    && `. The previous key works until ${new Date(selectedKey.previousKeyExpiresAt).toLocaleString()}`}
+                </p>
+              )}
+              <p>
+                {selectedKey.usage?.totalRequests || 0} requests in total
+                {selectedKey.usage?.lastUsedAt && `, last from ${selectedKey.usage.lastUsedIp || 'an unknown address'} at ${new Date(selectedKey.usage.lastUsedAt).toLocaleString()}`}
+              </p>
+
+              <h3>Last 30 Days</h3>
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Requests</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selectedKey.dailyUsage.slice().reverse().map(day => (
+                    <tr key={day.date}>
+                      <td>{day.date}</td>
+                      <td>{day.requests}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApiKeyManagement;
@@ -0,0 +1,402 @@
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { AuthContext } from '../../../context/AuthContext';
+import axios from 'axios';
+import { FaCheck, FaTimes, FaReceipt, FaUserCheck } from 'react-icons/fa';
+import styles from '../AdminDashboard.module.css';
+import { buildApiUrl, API_ENDPOINTS } from '../../../config/api';
+import { formatCurrency } from '../../../utils/currencyUtils';
+
+const STATUS_LABELS = {
+  submitted: 'Submitted',
+  in_review: 'In Review',
+  approved: 'Approved',
+  rejected: 'Rejected'
+};
+
+const OPEN_STATUSES = ['submitted', 'in_review'];
+
+const ClaimManagement = () => {
+  const { accessToken } = useContext(AuthContext);
+  const [claims, setClaims] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('submitted,in_review');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [selectedClaim, setSelectedClaim] = useState(null);
+  const [decision, setDecision] = useState(null);
+  const [formData, setFormData] = useState({
+    orderAmount: '',
+    cashbackPercentage: '',
+    status: 'pending',
+    reason: '',
+    reviewNotes: ''
+  });
+
+  const authHeaders = { headers: { Authorization: `Bearer ${accessToken}` } };
+
+  const fetchClaims = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(buildApiUrl(API_ENDPOINTS.CLAIMS.ADMIN), {
+        params: { status: statusFilter, page: currentPage, limit: 20 },
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+
+      setClaims(response.data.data.items);
+      setTotalPages(response.data.data.pagination?.totalPages || 1);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching claims:', err);
+      setError(err.response?.data?.error?.message || 'Failed to load claims. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [accessToken, statusFilter, currentPage]);
+
+  useEffect(() => {
+    fetchClaims();
+  }, [fetchClaims]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const openDecisionModal = (claim, type) => {
+    setSelectedClaim(claim);
+    setDecision(type);
+    setFormData({
+      orderAmount: claim.orderAmount,
+      cashbackPercentage: '',
+      status: 'pending',
+      reason: '',
+      reviewNotes: claim.reviewNotes || ''
+    });
+  };
+
+  const closeModal = () => {
+    setSelectedClaim(null);
+    setDecision(null);
+  };
+
+  const handleStartReview = async (claim) => {
+    try {
+      setLoading(true);
+      await axios.patch(buildApiUrl(`${API_ENDPOINTS.CLAIMS.BASE}/${claim._id}/review`), {}, authHeaders);
+      setSuccess('Claim assigned to you for review.');
+      fetchClaims();
+    } catch (err) {
+      console.error('Error starting claim review:', err);
+      setError(err.response?.data?.error?.message || 'Failed to start review. Please try again.');
+      setLoading(false);
+    }
+  };
+
+  const handleViewReceipt = async (claim) => {
+    try {
+      const response = await axios.get(buildApiUrl(`${API_ENDPOINTS.CLAIMS.BASE}/${claim._id}/receipt`), {
+        ...authHeaders,
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(response.data);
+      window.open(url, '_blank', 'noopener');
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (err) {
+      console.error('Error loading receipt:', err);
+      setError('Failed to load the receipt. Please try again.');
+    }
+  };
+
+  const handleSubmitDecision = async (e) => {
+    e.preventDefault();
+
+    try {
+      setLoading(true);
+
+      if (decision === 'approve') {
+        // Leaving the percentage empty applies the store rate plus the user's tier bonus
+        await axios.post(buildApiUrl(`${API_ENDPOINTS.CLAIMS.BASE}/${selectedClaim._id}/approve`), {
+          orderAmount: formData.orderAmount,
+          ...(formData.cashbackPercentage !== '' && { cashbackPercentage: formData.cashbackPercentage }),
+          status: formData.status,
+          reviewNotes: formData.reviewNotes
+        }, authHeaders);
+        setSuccess('Claim approved and cashback transaction created.');
+      } else {
+        await axios.post(buildApiUrl(`${API_ENDPOINTS.CLAIMS.BASE}/${selectedClaim._id}/reject`), {
+          reason: formData.reason,
+          reviewNotes: formData.reviewNotes
+        }, authHeaders);
+        setSuccess('Claim rejected.');
+      }
+
+      closeModal();
+      fetchClaims();
+    } catch (err) {
+      console.error('Error deciding claim:', err);
+      setError(err.response?.data?.error?.message || 'Failed to save the decision. Please try again.');
+      setLoading(false);
+    }
+  };
+
+  if (loading && claims.length === 0) {
+    return (
+      <div className={styles.loadingContainer}>
+        <div className={styles.loader}></div>
+        <p>Loading claims...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className={styles.cardHeader}>
+        <h1>Missing Cashback Claims</h1>
+      </div>
+
+      {error && <div className={styles.errorMessage}>{error}</div>}
+      {success && <div className={styles.successMessage}>{success}</div>}
+
+      <div className={styles.card}>
+        <div className={styles.cardHeader}>
+          <h2>Claim Filters</h2>
+        </div>
+        <div className={styles.cardBody}>
+          <div className={styles.filterControls}>
+            <select
+              value={statusFilter}
+              onChange={(e) => {
+                setStatusFilter(e.target.value);
+                setCurrentPage(1);
+              }}
+              className={styles.formControl}
+            >
+              <option value="submitted,in_review">Open Claims</option>
+              <option value="submitted">Submitted</option>
+              <option value="in_review">In Review</option>
+              <option value="approved">Approved</option>
+              <option value="rejected">Rejected</option>
+            </select>
+          </div>
+        </div>
+      </div>
+
+      <div className={styles.card}>
+        <div className={styles.cardHeader}>
+          <h2>Claims</h2>
+        </div>
+        <div className={styles.cardBody}>
+          {claims.length === 0 ? (
+            <div className={styles.emptyState}>
+              <p>No claims match this filter.</p>
+            </div>
+          ) : (
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>User</th>
+                  <th>Store</th>
+                  <th>Order</th>
+                  <th>Amount</th>
+                  <th>Purchased</th>
+                  <th>Click Found</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {claims.map((claim) => (
+                  <tr key={claim._id}>
+                    <td>{claim.user?.email}</td>
+                    <td>{claim.store?.name}</td>
+                    <td>{claim.orderReference}</td>
+                    <td>{formatCurrency(claim.orderAmount, claim.currency || 'USD')}</td>
+                    <td>{new Date(claim.purchaseDate).toLocaleDateString()}</td>
+                    <td>{claim.click ? new Date(claim.click.createdAt).toLocaleString() : 'No'}</td>
+                    <td>
+                      <span className={claim.status === 'approved' ? styles.statusActive : styles.statusInactive}>
+                        {STATUS_LABELS[claim.status] || claim.status}
+                        {claim.assignedTo ? ` (${claim.assignedTo.email})` : ''}
+                      </span>
+                    </td>
+                    <td>
+                      <div className={styles.tableActions}>
+                        <button
+                          onClick={() => handleViewReceipt(claim)}
+                          className={`${styles.button} ${styles.buttonSecondary}`}
+                          title="View receipt"
+                        >
+                          <FaReceipt />
+                        </button>
+                        {OPEN_STATUSES.includes(claim.status) && (
+                          <>
+                            {claim.status === 'submitted' && (
+                              <button
+                                onClick={() => handleStartReview(claim)}
+                                className={`${styles.button} ${styles.buttonSecondary}`}
+                                title="Take into review"
+                              >
+                                <FaUserCheck />
+                              </button>
+                            )}
+                            <button
+                              onClick={() => openDecisionModal(claim, 'approve')}
+                              className={styles.button}
+                              title="Approve"
+                            >
+                              <FaCheck />
+                            </button>
+                            <button
+                              onClick={() => openDecisionModal(claim, 'reject')}
+                              className={`${styles.button} ${styles.buttonDanger}`}
+                              title="Reject"
+                            >
+                              <FaTimes />
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {totalPages > 1 && (
+            <div className={styles.pagination}>
+              <button
+                onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
+                disabled={currentPage === 1}
+                className={styles.paginationButton}
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setCurrentPage(prev => Math.min(prev + 1, totalPages))}
+                disabled={currentPage === totalPages}
+                className={styles.paginationButton}
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {selectedClaim && (
+        <div className={styles.modalOverlay}>
+          <div className={styles.modal}>
+            <div className={styles.modalHeader}>
+              <h2>{decision === 'approve' ? 'Approve Claim' : 'Reject Claim'}</h2>
+              <button onClick={closeModal} className={styles.closeButton}>×</button>
+            </div>
+
+            <form onSubmit={handleSubmitDecision} className={styles.modalBody}>
+              <p>
+                Order {selectedClaim.orderReference} at {selectedClaim.store?.name}
+                {selectedClaim.comments ? ` - "${selectedClaim.comments}"` : ''}
+              </p>
+
+              {decision === 'approve' ? (
+                <>
+                  <div className={styles.formRow}>
+                    <div className={styles.formGroup}>
+                      <label htmlFor="orderAmount">Order Amount ({selectedClaim.currency || 'USD'})*</label>
+                      <input
+                        type="number"
+                        id="orderAmount"
+                        name="orderAmount"
+                        value={formData.orderAmount}
+                        onChange={handleInputChange}
+                        className={styles.formControl}
+                        min="0.01"
+                        step="0.01"
+                        required
+                      />
+                    </div>
+
+                    <div className={styles.formGroup}>
+                      <label htmlFor="cashbackPercentage">Cashback Percentage</label>
+                      <input
+                        type="number"
+                        id="cashbackPercentage"
+                        name="cashbackPercentage"
+                        value={formData.cashbackPercentage}
+                        onChange={handleInputChange}
+                        className={styles.formControl}
+                        min="0"
+                        max="100"
+                        step="0.01"
+                        placeholder={`Store rate (${selectedClaim.store?.cashbackPercentage ?? 0}%) + tier bonus`}
+                      />
+                    </div>
+                  </div>
+
+                  <div className={styles.formGroup}>
+                    <label htmlFor="status">Transaction Status</label>
+                    <select
+                      id="status"
+                      name="status"
+                      value={formData.status}
+                      onChange={handleInputChange}
+                      className={styles.formControl}
+                    >
+                      <option value="pending">Pending (follow the store hold period)</option>
+                      <option value="confirmed">Confirmed</option>
+                    </select>
+                  </div>
+                </>
+              ) : (
+                <div className={styles.formGroup}>
+                  <label htmlFor="reason">Reason shown to the user*</label>
+                  <textarea
+                    id="reason"
+                    name="reason"
+                    value={formData.reason}
+                    onChange={handleInputChange}
+                    className={styles.formControl}
+                    maxLength={500}
+                    required
+                  />
+                </div>
+              )}
+
+              <div className={styles.formGroup}>
+                <label htmlFor="reviewNotes">Internal Notes</label>
+                <textarea
+                  id="reviewNotes"
+                  name="reviewNotes"
+                  value={formData.reviewNotes}
+                  onChange={handleInputChange}
+                  className={styles.formControl}
+                  maxLength={1000}
+                />
+              </div>
+
+              <div className={styles.modalFooter}>
+                <button type="button" onClick={closeModal} className={`${styles.button} ${styles.buttonSecondary}`}>
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className={`${styles.button} ${decision === 'reject' ? styles.buttonDanger : ''}`}
+                  disabled={loading}
+                >
+                  {loading ? 'Saving...' : (decision === 'approve' ? 'Approve Claim' : 'Reject Claim')}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ClaimManagement;
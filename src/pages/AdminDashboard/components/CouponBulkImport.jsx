@@ -0,0 +1,181 @@
+import React, { useState, useContext } from 'react';
+import { AuthContext } from '../../../context/AuthContext';
+import axios from 'axios';
+import { FaFileImport, FaFileExport } from 'react-icons/fa';
+import styles from '../AdminDashboard.module.css';
+import { buildApiUrl, API_ENDPOINTS } from '../../../config/api';
+
+const emptyExportFilters = { format: 'csv', status: '', category: '', flagged: false };
+
+const CouponBulkImport = ({ onImported }) => {
+  const { accessToken } = useContext(AuthContext);
+  const [file, setFile] = useState(null);
+  const [dryRun, setDryRun] = useState(true);
+  const [result, setResult] = useState(null);
+  const [exportFilters, setExportFilters] = useState(emptyExportFilters);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+
+    try {
+      setWorking(true);
+      setError(null);
+      setSuccess(null);
+
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('dryRun', String(dryRun));
+
+      const response = await axios.post(buildApiUrl(API_ENDPOINTS.COUPON_ADMIN.IMPORT), formData, {
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+
+      setResult(response.data.data);
+      setSuccess(response.data.message);
+      if (!dryRun && onImported) onImported();
+    } catch (err) {
+      console.error('Error importing coupons:', err);
+      setError(err.response?.data?.error?.message || err.response?.data?.message || 'Failed to import coupons. Please try again.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleExportFilterChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setExportFilters(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleExport = async () => {
+    try {
+      setWorking(true);
+      setError(null);
+
+      const params = { format: exportFilters.format };
+      if (exportFilters.status) params.status = exportFilters.status;
+      if (exportFilters.category) params.category = exportFilters.category;
+      if (exportFilters.flagged) params.flagged = true;
+
+      const response = await axios.get(buildApiUrl(API_ENDPOINTS.COUPON_ADMIN.EXPORT), {
+        params,
+        headers: { Authorization: `Bearer ${accessToken}` },
+        responseType: exportFilters.format === 'csv' ? 'blob' : 'json'
+      });
+
+      const blob = exportFilters.format === 'csv'
+        ? response.data
+        : new Blob([JSON.stringify(response.data.data.rows, null, 2)], { type: 'application/json' });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `coupons-${new Date().toISOString().slice(0, 10)}.${exportFilters.format}`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting coupons:', err);
+      setError('Failed to export coupons. Please try again.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const failedRows = result ? result.rows.filter(row => row.errors.length > 0) : [];
+
+  return (
+    <div className={styles.card}>
+      <div className={styles.cardHeader}>
+        <h2>Bulk Import &amp; Export</h2>
+      </div>
+      <div className={styles.cardBody}>
+        {error && <div className={styles.errorMessage}>{error}</div>}
+        {success && <div className={styles.successMessage}>{success}</div>}
+
+        <form onSubmit={handleImport} className={styles.filterControls}>
+          <input
+            type="file"
+            accept=".csv,.json"
+            onChange={(e) => { setFile(e.target.files[0] || null); setResult(null); }}
+            className={styles.formControl}
+          />
+          <label>
+            <input type="checkbox" checked={dryRun} onChange={(e) => setDryRun(e.target.checked)} /> Dry run (validate only)
+          </label>
+          <button type="submit" className={styles.button} disabled={!file || working}>
+            <FaFileImport /> {dryRun ? 'Validate File' : 'Import Coupons'}
+          </button>
+        </form>
+        <p>
+          CSV files need a header row. Columns: code, title, description, discount, discountType, store (ID or slug),
+          url, terms, startDate, expiryDate, isActive, isExclusive, usageLimit, category, tags (separated by |).
+          Existing codes are updated; new codes are created.
+        </p>
+
+        {result && (
+          <div>
+            <p>
+              {result.dryRun ? 'Would create' : 'Created'} {result.created}, {result.dryRun ? 'would update' : 'updated'} {result.updated},
+              unchanged {result.unchanged}, failed {result.failed} of {result.total} rows.
+            </p>
+            {failedRows.length > 0 && (
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Code</th>
+                    <th>Errors</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {failedRows.map(row => (
+                    <tr key={row.row}>
+                      <td>{row.row}</td>
+                      <td>{row.code || '—'}</td>
+                      <td>
+                        {row.errors.map((rowError, index) => (
+                          <div key={index}>{rowError.field ? `${rowError.field}: ` : ''}{rowError.message}</div>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+
+        <div className={styles.filterControls}>
+          <select name="format" value={exportFilters.format} onChange={handleExportFilterChange} className={styles.formControl}>
+            <option value="csv">CSV</option>
+            <option value="json">JSON</option>
+          </select>
+          <select name="status" value={exportFilters.status} onChange={handleExportFilterChange} className={styles.formControl}>
+            <option value="">All Statuses</option>
+            <option value="active">Active</option>
+            <option value="inactive">Inactive</option>
+            <option value="expired">Expired</option>
+          </select>
+          <input
+            type="text"
+            name="category"
+            placeholder="Category"
+            value={exportFilters.category}
+            onChange={handleExportFilterChange}
+            className={styles.formControl}
+          />
+          <label>
+            <input type="checkbox" name="flagged" checked={exportFilters.flagged} onChange={handleExportFilterChange} /> Flagged only
+          </label>
+          <button type="button" onClick={handleExport} className={`${styles.button} ${styles.buttonSecondary}`} disabled={working}>
+            <FaFileExport /> Export Coupons
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CouponBulkImport;
@@ -3,6 +3,14 @@ import { mockServices } from '../../../services/mockServices';
 import { FaPlus, FaEdit, FaTrash, FaSearch, FaFilter } from 'react-icons/fa';
 import styles from '../AdminDashboard.module.css';
 import axios from 'axios';
+import CouponBulkImport from './CouponBulkImport';
+
+const emptyEligibility = {
+  newCustomersOnly: false,
+  minimumSpend: '',
+  loyaltyTiers: '',
+  stackable: true
+};
 
 const CouponManagement = () => {
   const [coupons, setCoupons] = useState([]);
@@ -24,9 +32,11 @@ const CouponManagement = () => {
       name: '',
       logo: ''
     },
+    startDate: '',
     expiryDate: '',
     category: '',
-    isActive: true
+    isActive: true,
+    eligibility: emptyEligibility
   });
   const [filters, setFilters] = useState({
     category: '',
@@ -90,7 +100,16 @@ const CouponManagement = () => {
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
     
-    if (name.startsWith('store.')) {
+    if (name.startsWith('eligibility.')) {
+      const eligibilityField = name.split('.')[1];
+      setFormData(prev => ({
+        ...prev,
+        eligibility: {
+          ...prev.eligibility,
+          [eligibilityField]: type === 'checkbox' ? checked : value
+        }
+      }));
+    } else if (name.startsWith('store.')) {
       const storeField = name.split('.')[1];
       setFormData(prev => ({
         ...prev,
@@ -118,9 +137,11 @@ const CouponManagement = () => {
         name: '',
         logo: ''
       },
+      startDate: '',
       expiryDate: '',
       category: '',
-      isActive: true
+      isActive: true,
+      eligibility: emptyEligibility
     });
     setIsModalOpen(true);
   };
@@ -134,6 +155,7 @@ const CouponManagement = () => {
       const date = new Date(coupon.expiryDate);
       formattedDate = date.toISOString().split('T')[0];
     }
+    const eligibility = coupon.eligibility || {};
     
     setFormData({
       code: coupon.code,
@@ -144,9 +166,16 @@ const CouponManagement = () => {
         name: coupon.store?.name || '',
         logo: coupon.store?.logo || ''
       },
+      startDate: coupon.startDate ? new Date(coupon.startDate).toISOString().split('T')[0] : '',
       expiryDate: formattedDate,
       category: coupon.category || '',
-      isActive: coupon.isActive
+      isActive: coupon.isActive,
+      eligibility: {
+        newCustomersOnly: Boolean(eligibility.newCustomersOnly),
+        minimumSpend: eligibility.minimumSpend ?? '',
+        loyaltyTiers: (eligibility.loyaltyTiers || []).join(', '),
+        stackable: eligibility.stackable !== false
+      }
     });
     
     setIsModalOpen(true);
@@ -160,16 +189,27 @@ const CouponManagement = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     
+    // Eligibility rules are sent in the shape the coupon API expects
+    const couponData = {
+      ...formData,
+      startDate: formData.startDate || undefined,
+      eligibility: {
+        ...formData.eligibility,
+        minimumSpend: formData.eligibility.minimumSpend === '' ? null : Number(formData.eligibility.minimumSpend),
+        loyaltyTiers: formData.eligibility.loyaltyTiers.split(',').map(tier => tier.trim()).filter(Boolean)
+      }
+    };
+    
     try {
       setLoading(true);
       
       if (editingCoupon) {
         // Update existing coupon using mock service
-        await mockServices.updateCoupon(editingCoupon.id || editingCoupon._id, formData);
+        await mockServices.updateCoupon(editingCoupon.id || editingCoupon._id, couponData);
         setSuccess('Coupon updated successfully!');
       } else {
         // Create new coupon using mock service
-        await mockServices.createCoupon(formData);
+        await mockServices.createCoupon(couponData);
         setSuccess('Coupon created successfully!');
       }
       
@@ -285,6 +325,8 @@ const CouponManagement = () => {
       {error && <div className={styles.errorMessage}>{error}</div>}
       {success && <div className={styles.successMessage}>{success}</div>}
       
+      <CouponBulkImport onImported={fetchCoupons} />
+      
       <div className={styles.card}>
         <div className={styles.cardHeader}>
           <h2>Coupon Filters</h2>
@@ -552,17 +594,81 @@ const CouponManagement = () => {
                 />
               </div>
               
+              <div className={styles.formRow}>
+                <div className={styles.formGroup}>
+                  <label htmlFor="startDate">Start Date</label>
+                  <input
+                    type="date"
+                    id="startDate"
+                    name="startDate"
+                    value={formData.startDate}
+                    onChange={handleInputChange}
+                    className={styles.formControl}
+                  />
+                </div>
+                
+                <div className={styles.formGroup}>
+                  <label htmlFor="expiryDate">Expiry Date</label>
+                  <input
+                    type="date"
+                    id="expiryDate"
+                    name="expiryDate"
+                    value={formData.expiryDate}
+                    onChange={handleInputChange}
+                    className={styles.formControl}
+                    min={formData.startDate || new Date().toISOString().split('T')[0]}
+                  />
+                </div>
+              </div>
+              
+              <div className={styles.formRow}>
+                <div className={styles.formGroup}>
+                  <label htmlFor="eligibility.minimumSpend">Minimum Spend</label>
+                  <input
+                    type="number"
+                    id="eligibility.minimumSpend"
+                    name="eligibility.minimumSpend"
+                    value={formData.eligibility.minimumSpend}
+                    onChange={handleInputChange}
+                    className={styles.formControl}
+                    min="0"
+                    placeholder="No minimum"
+                  />
+                </div>
+                
+                <div className={styles.formGroup}>
+                  <label htmlFor="eligibility.loyaltyTiers">Exclusive to Loyalty Tiers</label>
+                  <input
+                    type="text"
+                    id="eligibility.loyaltyTiers"
+                    name="eligibility.loyaltyTiers"
+                    value={formData.eligibility.loyaltyTiers}
+                    onChange={handleInputChange}
+                    className={styles.formControl}
+                    placeholder="Everyone (or e.g. Gold, Platinum)"
+                  />
+                </div>
+              </div>
+              
               <div className={styles.formGroup}>
-                <label htmlFor="expiryDate">Expiry Date</label>
-                <input
-                  type="date"
-                  id="expiryDate"
-                  name="expiryDate"
-                  value={formData.expiryDate}
-                  onChange={handleInputChange}
-                  className={styles.formControl}
-                  min={new Date().toISOString().split('T')[0]}
-                />
+                <label className={styles.checkboxLabel}>
+                  <input
+                    type="checkbox"
+                    name="eligibility.newCustomersOnly"
+                    checked={formData.eligibility.newCustomersOnly}
+                    onChange={handleInputChange}
+                  />
+                  New customers only
+                </label>
+                <label className={styles.checkboxLabel}>
+                  <input
+                    type="checkbox"
+                    name="eligibility.stackable"
+                    checked={formData.eligibility.stackable}
+                    onChange={handleInputChange}
+                  />
+                  Can be combined with other coupons
+                </label>
               </div>
               
               <div className={styles.formGroup}>
@@ -0,0 +1,308 @@
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { AuthContext } from '../../../context/AuthContext';
+import axios from 'axios';
+import { FaPlay, FaList } from 'react-icons/fa';
+import styles from '../AdminDashboard.module.css';
+import { buildApiUrl, API_ENDPOINTS } from '../../../config/api';
+
+const formatCounts = (counts = {}) =>
+  `${counts.created || 0} new, ${counts.updated || 0} updated, ${counts.retired || 0} retired`;
+
+const FeedRuns = () => {
+  const { accessToken } = useContext(AuthContext);
+  const [runs, setRuns] = useState([]);
+  const [networks, setNetworks] = useState([]);
+  const [filters, setFilters] = useState({ network: '', status: '' });
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [selectedRun, setSelectedRun] = useState(null);
+
+  const authHeaders = { headers: { Authorization: `Bearer ${accessToken}` } };
+
+  const fetchRuns = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { page: currentPage, limit: 20 };
+      if (filters.network) params.network = filters.network;
+      if (filters.status) params.status = filters.status;
+
+      const [runsResponse, networksResponse] = await Promise.all([
+        axios.get(buildApiUrl(API_ENDPOINTS.FEEDS.RUNS), {
+          params,
+          headers: { Authorization: `Bearer ${accessToken}` }
+        }),
+        axios.get(buildApiUrl(API_ENDPOINTS.FEEDS.NETWORKS), {
+          headers: { Authorization: `Bearer ${accessToken}` }
+        })
+      ]);
+
+      setRuns(runsResponse.data.data.items);
+      setTotalPages(runsResponse.data.data.pagination?.totalPages || 1);
+      setNetworks(networksResponse.data.data.networks);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching feed runs:', err);
+      setError(err.response?.data?.error?.message || 'Failed to load feed runs. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [accessToken, currentPage, filters]);
+
+  useEffect(() => {
+    fetchRuns();
+  }, [fetchRuns]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setCurrentPage(1);
+  };
+
+  const handleRunNow = async (network) => {
+    try {
+      setRunning(true);
+      setError(null);
+      const response = await axios.post(buildApiUrl(API_ENDPOINTS.FEEDS.RUN), network ? { network } : {}, authHeaders);
+      setSuccess(response.data.message);
+      fetchRuns();
+    } catch (err) {
+      console.error('Error running feeds:', err);
+      setError(err.response?.data?.error?.message || 'Failed to run the feeds. Please try again.');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleViewRun = async (run) => {
+    try {
+      const response = await axios.get(buildApiUrl(`${API_ENDPOINTS.FEEDS.RUNS}/${run._id}`), authHeaders);
+      setSelectedRun(response.data.data);
+    } catch (err) {
+      console.error('Error loading feed run:', err);
+      setError('Failed to load the feed run. Please try again.');
+    }
+  };
+
+  if (loading && runs.length === 0 && networks.length === 0) {
+    return (
+      <div className={styles.loadingContainer}>
+        <div className={styles.loader}></div>
+        <p>Loading feed runs...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className={styles.cardHeader}>
+        <h1>Affiliate Feeds</h1>
+        <button onClick={() => handleRunNow()} className={styles.button} disabled={running}>
+          <FaPlay /> {running ? 'Running...' : 'Run All Feeds Now'}
+        </button>
+      </div>
+
+      {error && <div className={styles.errorMessage}>{error}</div>}
+      {success && <div className={styles.successMessage}>{success}</div>}
+
+      <div className={styles.card}>
+        <div className={styles.cardHeader}>
+          <h2>Networks</h2>
+        </div>
+        <div className={styles.cardBody}>
+          {networks.length === 0 ? (
+            <div className={styles.emptyState}>
+              <p>No feeds yet. Drop feed files into a folder named after the network in the feed directory.</p>
+            </div>
+          ) : (
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>Network</th>
+                  <th>Waiting Files</th>
+                  <th>Last Run</th>
+                  <th>Record Path</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {networks.map((network) => (
+                  <tr key={network.network}>
+                    <td>{network.network}</td>
+                    <td>{network.pendingFiles.map(file => file.file).join(', ') || 'None'}</td>
+                    <td>
+                      {network.lastRun
+                        ? `${new Date(network.lastRun.startedAt).toLocaleString()} (${network.lastRun.status})`
+                        : 'Never'}
+                    </td>
+                    <td>{network.recordPath || 'Automatic'}</td>
+                    <td>
+                      <button
+                        onClick={() => handleRunNow(network.network)}
+                        className={`${styles.button} ${styles.buttonSecondary}`}
+                        disabled={running || network.pendingFiles.length === 0}
+                        title="Ingest this network's waiting files"
+                      >
+                        <FaPlay />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+
+      <div className={styles.card}>
+        <div className={styles.cardHeader}>
+          <h2>Runs</h2>
+        </div>
+        <div className={styles.cardBody}>
+          <div className={styles.filterControls}>
+            <select name="network" value={filters.network} onChange={handleFilterChange} className={styles.formControl}>
+              <option value="">All Networks</option>
+              {networks.map(network => (
+                <option key={network.network} value={network.network}>{network.network}</option>
+              ))}
+            </select>
+            <select name="status" value={filters.status} onChange={handleFilterChange} className={styles.formControl}>
+              <option value="">All Statuses</option>
+              <option value="running">Running</option>
+              <option value="completed">Completed</option>
+              <option value="failed">Failed</option>
+            </select>
+          </div>
+
+          {runs.length === 0 ? (
+            <div className={styles.emptyState}>
+              <p>No feed runs match these filters.</p>
+            </div>
+          ) : (
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>Started</th>
+                  <th>Network</th>
+                  <th>File</th>
+                  <th>Status</th>
+                  <th>Records</th>
+                  <th>Coupons</th>
+                  <th>Cashback Offers</th>
+                  <th>Failed</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {runs.map((run) => (
+                  <tr key={run._id}>
+                    <td>{new Date(run.startedAt).toLocaleString()}</td>
+                    <td>{run.network}</td>
+                    <td>{run.file}</td>
+                    <td>
+                      <span className={run.status === 'failed' ? styles.statusInactive : styles.statusActive}>
+                        {run.status}
+                      </span>
+                    </td>
+                    <td>{run.records}</td>
+                    <td>{formatCounts(run.coupons)}</td>
+                    <td>{formatCounts(run.cashbacks)}</td>
+                    <td>{run.failed}</td>
+                    <td>
+                      <button
+                        onClick={() => handleViewRun(run)}
+                        className={`${styles.button} ${styles.buttonSecondary}`}
+                        title="View run details"
+                      >
+                        <FaList />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {totalPages > 1 && (
+            <div className={styles.pagination}>
+              <button
+                onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
+                disabled={currentPage === 1}
+                className={styles.paginationButton}
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setCurrentPage(prev => Math.min(prev + 1, totalPages))}
+                disabled={currentPage === totalPages}
+                className={styles.paginationButton}
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {selectedRun && (
+        <div className={styles.modalOverlay}>
+          <div className={styles.modal}>
+            <div className={styles.modalHeader}>
+              <h2>{selectedRun.network} / {selectedRun.file}</h2>
+              <button onClick={() => setSelectedRun(null)} className={styles.closeButton}>×</button>
+            </div>
+
+            <div className={styles.modalBody}>
+              <p>
+                {selectedRun.status} · started {new Date(selectedRun.startedAt).toLocaleString()}
+                {selectedRun.finishedAt && `, finished ${new Date(selectedRun.finishedAt).toLocaleString()}`}
+                {selectedRun.trigger === 'admin' && ` · run by ${selectedRun.triggeredBy?.email || 'an admin'}`}
+              </p>
+              {selectedRun.error && <div className={styles.errorMessage}>{selectedRun.error}</div>}
+              <p>
+                {selectedRun.records} records. Coupons: {formatCounts(selectedRun.coupons)}, {selectedRun.coupons?.unchanged || 0} unchanged.
+                Cashback offers: {formatCounts(selectedRun.cashbacks)}, {selectedRun.cashbacks?.unchanged || 0} unchanged.
+                Stores: {selectedRun.stores?.created || 0} created, {selectedRun.stores?.linked || 0} linked.
+              </p>
+              {selectedRun.retirementSkipped && (
+                <p>Offers missing from the feed were not retired: {selectedRun.retirementSkipped}</p>
+              )}
+
+              {selectedRun.recordErrors?.length > 0 && (
+                <>
+                  <h3>Record Errors ({selectedRun.failed})</h3>
+                  <table className={styles.table}>
+                    <thead>
+                      <tr>
+                        <th>Record</th>
+                        <th>Offer</th>
+                        <th>Error</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {selectedRun.recordErrors.map((recordError, index) => (
+                        <tr key={index}>
+                          <td>{recordError.record}</td>
+                          <td>{recordError.offerId || '—'}</td>
+                          <td>{recordError.message}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {selectedRun.failed > selectedRun.recordErrors.length && (
+                    <p>Only the first {selectedRun.recordErrors.length} errors are kept.</p>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FeedRuns;
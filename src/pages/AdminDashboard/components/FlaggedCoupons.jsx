@@ -0,0 +1,223 @@
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { AuthContext } from '../../../context/AuthContext';
+import axios from 'axios';
+import { FaCheck, FaBan, FaList } from 'react-icons/fa';
+import styles from '../AdminDashboard.module.css';
+import { buildApiUrl, API_ENDPOINTS } from '../../../config/api';
+
+const FlaggedCoupons = () => {
+  const { accessToken } = useContext(AuthContext);
+  const [coupons, setCoupons] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [selectedCoupon, setSelectedCoupon] = useState(null);
+  const [reports, setReports] = useState([]);
+
+  const authHeaders = { headers: { Authorization: `Bearer ${accessToken}` } };
+
+  const fetchFlaggedCoupons = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(buildApiUrl(API_ENDPOINTS.COUPON_FEEDBACK.ADMIN_FLAGGED), {
+        params: { page: currentPage, limit: 20 },
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+
+      setCoupons(response.data.data.items);
+      setTotalPages(response.data.data.pagination?.totalPages || 1);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching flagged coupons:', err);
+      setError(err.response?.data?.error?.message || 'Failed to load flagged coupons. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [accessToken, currentPage]);
+
+  useEffect(() => {
+    fetchFlaggedCoupons();
+  }, [fetchFlaggedCoupons]);
+
+  const handleViewReports = async (coupon) => {
+    try {
+      const response = await axios.get(buildApiUrl(`${API_ENDPOINTS.COUPON_FEEDBACK.ADMIN}/${coupon._id}/feedback`), {
+        params: { limit: 50 },
+        ...authHeaders
+      });
+      setSelectedCoupon(coupon);
+      setReports(response.data.data.items);
+    } catch (err) {
+      console.error('Error loading coupon reports:', err);
+      setError('Failed to load the reports. Please try again.');
+    }
+  };
+
+  const handleClearFlag = async (coupon, deactivate) => {
+    try {
+      setLoading(true);
+      await axios.post(buildApiUrl(`${API_ENDPOINTS.COUPON_FEEDBACK.ADMIN}/${coupon._id}/clear-flag`), {
+        deactivate
+      }, authHeaders);
+      setSuccess(deactivate ? `${coupon.code} deactivated.` : `${coupon.code} marked as working.`);
+      setSelectedCoupon(null);
+      fetchFlaggedCoupons();
+    } catch (err) {
+      console.error('Error clearing coupon flag:', err);
+      setError(err.response?.data?.error?.message || 'Failed to update the coupon. Please try again.');
+      setLoading(false);
+    }
+  };
+
+  if (loading && coupons.length === 0) {
+    return (
+      <div className={styles.loadingContainer}>
+        <div className={styles.loader}></div>
+        <p>Loading flagged coupons...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className={styles.cardHeader}>
+        <h1>Coupons Flagged for Review</h1>
+      </div>
+
+      {error && <div className={styles.errorMessage}>{error}</div>}
+      {success && <div className={styles.successMessage}>{success}</div>}
+
+      <div className={styles.card}>
+        <div className={styles.cardHeader}>
+          <h2>Flagged Coupons</h2>
+        </div>
+        <div className={styles.cardBody}>
+          {coupons.length === 0 ? (
+            <div className={styles.emptyState}>
+              <p>No coupons are flagged. Codes are flagged automatically when most recent reports say they fail.</p>
+            </div>
+          ) : (
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>Code</th>
+                  <th>Store</th>
+                  <th>Success Rate</th>
+                  <th>Reports</th>
+                  <th>Reason</th>
+                  <th>Flagged</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {coupons.map((coupon) => (
+                  <tr key={coupon._id}>
+                    <td>
+                      {coupon.code}
+                      {!coupon.isActive && <span className={styles.statusInactive}> (inactive)</span>}
+                    </td>
+                    <td>{coupon.store?.name}</td>
+                    <td>{Math.round(coupon.successRate)}%</td>
+                    <td>{coupon.feedback?.worked || 0} worked / {coupon.feedback?.failed || 0} failed</td>
+                    <td>{coupon.review?.reason}</td>
+                    <td>{new Date(coupon.review?.flaggedAt).toLocaleString()}</td>
+                    <td>
+                      <div className={styles.tableActions}>
+                        <button
+                          onClick={() => handleViewReports(coupon)}
+                          className={`${styles.button} ${styles.buttonSecondary}`}
+                          title="View reports"
+                        >
+                          <FaList />
+                        </button>
+                        <button
+                          onClick={() => handleClearFlag(coupon, false)}
+                          className={styles.button}
+                          title="Code still works - clear flag"
+                        >
+                          <FaCheck />
+                        </button>
+                        <button
+                          onClick={() => handleClearFlag(coupon, true)}
+                          className={`${styles.button} ${styles.buttonDanger}`}
+                          title="Deactivate coupon"
+                        >
+                          <FaBan />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {totalPages > 1 && (
+            <div className={styles.pagination}>
+              <button
+                onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
+                disabled={currentPage === 1}
+                className={styles.paginationButton}
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setCurrentPage(prev => Math.min(prev + 1, totalPages))}
+                disabled={currentPage === totalPages}
+                className={styles.paginationButton}
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {selectedCoupon && (
+        <div className={styles.modalOverlay}>
+          <div className={styles.modal}>
+            <div className={styles.modalHeader}>
+              <h2>Reports for {selectedCoupon.code}</h2>
+              <button onClick={() => setSelectedCoupon(null)} className={styles.closeButton}>×</button>
+            </div>
+
+            <div className={styles.modalBody}>
+              {reports.length === 0 ? (
+                <p>No reports yet.</p>
+              ) : (
+                <table className={styles.table}>
+                  <thead>
+                    <tr>
+                      <th>Reported</th>
+                      <th>Outcome</th>
+                      <th>Source</th>
+                      <th>Reporter</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {reports.map((report) => (
+                      <tr key={report._id}>
+                        <td>{new Date(report.reportedAt).toLocaleString()}</td>
+                        <td>
+                          <span className={report.outcome === 'worked' ? styles.statusActive : styles.statusInactive}>
+                            {report.outcome === 'worked' ? 'Worked' : 'Failed'}
+                          </span>
+                        </td>
+                        <td>{report.source}</td>
+                        <td>{report.user?.email || 'Anonymous'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FlaggedCoupons;
@@ -0,0 +1,333 @@
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { AuthContext } from '../../../context/AuthContext';
+import axios from 'axios';
+import { FaPlus, FaTrash, FaSync } from 'react-icons/fa';
+import styles from '../AdminDashboard.module.css';
+import { buildApiUrl, API_ENDPOINTS } from '../../../config/api';
+
+const emptyTier = { name: '', minPoints: '', cashbackBonus: 0, perks: '' };
+
+const LoyaltyManagement = () => {
+  const { accessToken } = useContext(AuthContext);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [tiers, setTiers] = useState([]);
+  const [rules, setRules] = useState({
+    pointsPerDollar: 0,
+    referralPoints: 0,
+    reviewPoints: 0,
+    qualificationWindowDays: 0
+  });
+  const [lastRun, setLastRun] = useState(null);
+
+  const authHeaders = { headers: { Authorization: `Bearer ${accessToken}` } };
+
+  const fetchSettings = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(buildApiUrl(API_ENDPOINTS.REWARDS.ADMIN_SETTINGS), {
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+      const settings = response.data.data;
+
+      // Perks are edited as one per line
+      setTiers(settings.tiers.map(tier => ({ ...tier, perks: (tier.perks || []).join('\n') })));
+      setRules({
+        pointsPerDollar: settings.pointsPerDollar,
+        referralPoints: settings.referralPoints,
+        reviewPoints: settings.reviewPoints,
+        qualificationWindowDays: settings.qualificationWindowDays
+      });
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching loyalty settings:', err);
+      setError(err.response?.data?.error?.message || 'Failed to load loyalty settings. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [accessToken]);
+
+  useEffect(() => {
+    fetchSettings();
+  }, [fetchSettings]);
+
+  const handleRuleChange = (e) => {
+    const { name, value } = e.target;
+    setRules(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleTierChange = (index, field, value) => {
+    setTiers(prev => prev.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier)));
+  };
+
+  const handleAddTier = () => {
+    setTiers(prev => [...prev, { ...emptyTier }]);
+  };
+
+  const handleRemoveTier = (index) => {
+    setTiers(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      await axios.put(buildApiUrl(API_ENDPOINTS.REWARDS.ADMIN_SETTINGS), {
+        ...rules,
+        tiers: tiers.map(tier => ({
+          name: tier.name,
+          minPoints: tier.minPoints,
+          cashbackBonus: tier.cashbackBonus,
+          perks: tier.perks.split('\n').map(perk => perk.trim()).filter(Boolean)
+        }))
+      }, authHeaders);
+      setSuccess('Loyalty settings saved. Tier changes apply at the next recalculation.');
+      setError(null);
+      fetchSettings();
+    } catch (err) {
+      console.error('Error saving loyalty settings:', err);
+      setError(err.response?.data?.error?.message || 'Failed to save loyalty settings. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRecalculate = async (full) => {
+    try {
+      setSaving(true);
+      const response = await axios.post(
+        buildApiUrl(API_ENDPOINTS.REWARDS.ADMIN_RECALCULATE),
+        { full },
+        authHeaders
+      );
+      setLastRun(response.data.data);
+      setSuccess('Loyalty recalculation completed.');
+      setError(null);
+    } catch (err) {
+      console.error('Error recalculating loyalty:', err);
+      setError(err.response?.data?.error?.message || 'Failed to recalculate loyalty. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading && tiers.length === 0) {
+    return (
+      <div className={styles.loadingContainer}>
+        <div className={styles.loader}></div>
+        <p>Loading loyalty settings...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className={styles.cardHeader}>
+        <h1>Loyalty Program</h1>
+      </div>
+
+      {error && <div className={styles.errorMessage}>{error}</div>}
+      {success && <div className={styles.successMessage}>{success}</div>}
+
+      <form onSubmit={handleSave}>
+        <div className={styles.card}>
+          <div className={styles.cardHeader}>
+            <h2>Earning Rules</h2>
+          </div>
+          <div className={styles.cardBody}>
+            <div className={styles.formRow}>
+              <div className={styles.formGroup}>
+                <label htmlFor="pointsPerDollar">Points per $1 of cashback</label>
+                <input
+                  type="number"
+                  id="pointsPerDollar"
+                  name="pointsPerDollar"
+                  value={rules.pointsPerDollar}
+                  onChange={handleRuleChange}
+                  className={styles.formControl}
+                  min="0"
+                  step="0.1"
+                  required
+                />
+              </div>
+              <div className={styles.formGroup}>
+                <label htmlFor="referralPoints">Points per referral</label>
+                <input
+                  type="number"
+                  id="referralPoints"
+                  name="referralPoints"
+                  value={rules.referralPoints}
+                  onChange={handleRuleChange}
+                  className={styles.formControl}
+                  min="0"
+                  required
+                />
+              </div>
+            </div>
+            <div className={styles.formRow}>
+              <div className={styles.formGroup}>
+                <label htmlFor="reviewPoints">Points per approved review</label>
+                <input
+                  type="number"
+                  id="reviewPoints"
+                  name="reviewPoints"
+                  value={rules.reviewPoints}
+                  onChange={handleRuleChange}
+                  className={styles.formControl}
+                  min="0"
+                  required
+                />
+              </div>
+              <div className={styles.formGroup}>
+                <label htmlFor="qualificationWindowDays">Qualification window (days, 0 = lifetime)</label>
+                <input
+                  type="number"
+                  id="qualificationWindowDays"
+                  name="qualificationWindowDays"
+                  value={rules.qualificationWindowDays}
+                  onChange={handleRuleChange}
+                  className={styles.formControl}
+                  min="0"
+                  required
+                />
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div className={styles.card}>
+          <div className={styles.cardHeader}>
+            <h2>Tiers</h2>
+            <button type="button" onClick={handleAddTier} className={styles.button} disabled={tiers.length >= 10}>
+              <FaPlus /> Add Tier
+            </button>
+          </div>
+          <div className={styles.cardBody}>
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Minimum Points</th>
+                  <th>Cashback Bonus (%)</th>
+                  <th>Perks (one per line)</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {tiers.map((tier, index) => (
+                  <tr key={tier._id || `new-${index}`}>
+                    <td>
+                      <input
+                        type="text"
+                        value={tier.name}
+                        onChange={(e) => handleTierChange(index, 'name', e.target.value)}
+                        className={styles.formControl}
+                        maxLength={50}
+                        required
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        value={tier.minPoints}
+                        onChange={(e) => handleTierChange(index, 'minPoints', e.target.value)}
+                        className={styles.formControl}
+                        min="0"
+                        required
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        value={tier.cashbackBonus}
+                        onChange={(e) => handleTierChange(index, 'cashbackBonus', e.target.value)}
+                        className={styles.formControl}
+                        min="0"
+                        max="100"
+                        step="0.01"
+                      />
+                    </td>
+                    <td>
+                      <textarea
+                        value={tier.perks}
+                        onChange={(e) => handleTierChange(index, 'perks', e.target.value)}
+                        className={styles.formControl}
+                        rows={2}
+                      />
+                    </td>
+                    <td>
+                      <div className={styles.tableActions}>
+                        <button
+                          type="button"
+                          onClick={() => handleRemoveTier(index)}
+                          className={`${styles.button} ${styles.buttonDanger}`}
+                          title="Remove tier"
+                          disabled={tiers.length <= 1}
+                        >
+                          <FaTrash />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p>One tier must start at 0 points. Tier names and minimums must be unique.</p>
+          </div>
+        </div>
+
+        <div className={styles.modalFooter}>
+          <button type="submit" className={styles.button} disabled={saving}>
+            {saving ? 'Saving...' : 'Save Settings'}
+          </button>
+        </div>
+      </form>
+
+      <div className={styles.card}>
+        <div className={styles.cardHeader}>
+          <h2>Recalculation</h2>
+        </div>
+        <div className={styles.cardBody}>
+          <p>
+            Points and tiers are recalculated every night. Run it now to apply changed tier rules
+            immediately, or run a full re-sync to rebuild points from all transaction and review history.
+          </p>
+          <div className={styles.tableActions}>
+            <button
+              type="button"
+              onClick={() => handleRecalculate(false)}
+              className={styles.button}
+              disabled={saving}
+            >
+              <FaSync /> Recalculate Now
+            </button>
+            <button
+              type="button"
+              onClick={() => handleRecalculate(true)}
+              className={`${styles.button} ${styles.buttonSecondary}`}
+              disabled={saving}
+            >
+              <FaSync /> Full Re-sync
+            </button>
+          </div>
+          {lastRun && (
+            <p>
+              {lastRun.transactions.synced + lastRun.reviews.synced} sources synced,
+              {' '}{lastRun.users.recalculated} users recalculated,
+              {' '}{lastRun.users.tierChanges} tier changes,
+              {' '}{lastRun.transactions.failed.length + lastRun.reviews.failed.length + lastRun.users.failed.length} failed.
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LoyaltyManagement;
@@ -0,0 +1,125 @@
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { AuthContext } from '../../../context/AuthContext';
+import axios from 'axios';
+import styles from '../AdminDashboard.module.css';
+import { buildApiUrl, API_ENDPOINTS } from '../../../config/api';
+
+const toDateInput = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+const describeOffer = (offer) => (offer.type === 'coupon'
+  ? `${offer.code} · ${offer.title}`
+  : `${offer.title} (${offer.amount}% cashback)`);
+
+const OfferCalendar = () => {
+  const { accessToken } = useContext(AuthContext);
+  const [range, setRange] = useState(() => {
+    const today = new Date();
+    return { from: toDateInput(today), to: toDateInput(addDays(today, 30)) };
+  });
+  const [calendar, setCalendar] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchCalendar = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(buildApiUrl(API_ENDPOINTS.COUPON_ADMIN.CALENDAR), {
+        params: range,
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+      setCalendar(response.data.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching offer calendar:', err);
+      setError(err.response?.data?.error?.message || 'Failed to load the offer calendar. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [accessToken, range]);
+
+  useEffect(() => {
+    fetchCalendar();
+  }, [fetchCalendar]);
+
+  const handleRangeChange = (e) => {
+    const { name, value } = e.target;
+    if (value) setRange(prev => ({ ...prev, [name]: value }));
+  };
+
+  const renderOffers = (offers, event) => offers.map(offer => (
+    <div key={`${event}-${offer.type}-${offer.id}`}>
+      <span className={event === 'starting' ? styles.statusActive : styles.statusInactive}>
+        {event === 'starting' ? 'Starts' : 'Expires'}
+      </span>{' '}
+      {describeOffer(offer)}{offer.store && ` — ${offer.store}`}
+      {!offer.isActive && ' (inactive)'}
+    </div>
+  ));
+
+  return (
+    <div>
+      <div className={styles.cardHeader}>
+        <h1>Offer Calendar</h1>
+      </div>
+
+      {error && <div className={styles.errorMessage}>{error}</div>}
+
+      <div className={styles.card}>
+        <div className={styles.cardBody}>
+          <div className={styles.filterControls}>
+            <label>
+              From{' '}
+              <input type="date" name="from" value={range.from} onChange={handleRangeChange} className={styles.formControl} />
+            </label>
+            <label>
+              To{' '}
+              <input type="date" name="to" value={range.to} onChange={handleRangeChange} className={styles.formControl} />
+            </label>
+          </div>
+
+          {calendar && (
+            <p>
+              {calendar.totals.starting} coupon(s) starting, {calendar.totals.expiringCoupons} coupon(s)
+              and {calendar.totals.expiringCashbacks} cashback offer(s) expiring in this range.
+            </p>
+          )}
+
+          {loading && !calendar ? (
+            <div className={styles.loadingContainer}>
+              <div className={styles.loader}></div>
+              <p>Loading offer calendar...</p>
+            </div>
+          ) : calendar && calendar.days.length === 0 ? (
+            <div className={styles.emptyState}>
+              <p>No offers start or expire in this range.</p>
+            </div>
+          ) : calendar && (
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>Day</th>
+                  <th>Offers</th>
+                </tr>
+              </thead>
+              <tbody>
+                {calendar.days.map(day => (
+                  <tr key={day.date}>
+                    <td>{new Date(`${day.date}T00:00:00Z`).toLocaleDateString(undefined, { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' })}</td>
+                    <td>
+                      {renderOffers(day.starting, 'starting')}
+                      {renderOffers(day.expiring, 'expiring')}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OfferCalendar;
@@ -0,0 +1,245 @@
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { AuthContext } from '../../../context/AuthContext';
+import axios from 'axios';
+import { FaCheck, FaBan } from 'react-icons/fa';
+import styles from '../AdminDashboard.module.css';
+import { buildApiUrl, API_ENDPOINTS } from '../../../config/api';
+
+const itemLabel = (review) => {
+  const item = review.item;
+  if (!item) return `Deleted ${review.itemType}`;
+  return review.itemType === 'coupon' ? `${item.code} - ${item.title}` : (item.name || item.title);
+};
+
+const ReviewModeration = () => {
+  const { accessToken } = useContext(AuthContext);
+  const [reviews, setReviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [filters, setFilters] = useState({ status: 'pending', itemType: '' });
+  const [rejecting, setRejecting] = useState(null);
+  const [moderationNotes, setModerationNotes] = useState('');
+
+  const fetchReviews = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { page: currentPage, limit: 20, status: filters.status };
+      if (filters.itemType) params.itemType = filters.itemType;
+
+      const response = await axios.get(buildApiUrl(API_ENDPOINTS.REVIEWS.ADMIN_QUEUE), {
+        params,
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+
+      setReviews(response.data.data.items);
+      setTotalPages(response.data.data.pagination?.totalPages || 1);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching reviews:', err);
+      setError(err.response?.data?.error?.message || 'Failed to load reviews. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [accessToken, currentPage, filters]);
+
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setCurrentPage(1);
+  };
+
+  const moderate = async (review, status, notes) => {
+    try {
+      setLoading(true);
+      await axios.put(buildApiUrl(`${API_ENDPOINTS.REVIEWS.ADMIN}/${review._id}/moderate`), {
+        status,
+        moderationNotes: notes || undefined
+      }, {
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+      setSuccess(`Review ${status}.`);
+      setRejecting(null);
+      fetchReviews();
+    } catch (err) {
+      console.error('Error moderating review:', err);
+      setError(err.response?.data?.error?.message || 'Failed to update the review. Please try again.');
+      setLoading(false);
+    }
+  };
+
+  const openRejectModal = (review) => {
+    setRejecting(review);
+    setModerationNotes('');
+  };
+
+  const handleReject = (e) => {
+    e.preventDefault();
+    moderate(rejecting, 'rejected', moderationNotes);
+  };
+
+  if (loading && reviews.length === 0) {
+    return (
+      <div className={styles.loadingContainer}>
+        <div className={styles.loader}></div>
+        <p>Loading reviews...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className={styles.cardHeader}>
+        <h1>Review Moderation</h1>
+      </div>
+
+      {error && <div className={styles.errorMessage}>{error}</div>}
+      {success && <div className={styles.successMessage}>{success}</div>}
+
+      <div className={styles.card}>
+        <div className={styles.cardHeader}>
+          <h2>Reviews</h2>
+          <div className={styles.filterControls}>
+            <select name="status" value={filters.status} onChange={handleFilterChange} className={styles.formControl}>
+              <option value="pending">Pending</option>
+              <option value="approved">Approved</option>
+              <option value="rejected">Rejected</option>
+            </select>
+            <select name="itemType" value={filters.itemType} onChange={handleFilterChange} className={styles.formControl}>
+              <option value="">All Items</option>
+              <option value="store">Stores</option>
+              <option value="coupon">Coupons</option>
+              <option value="cashback">Cashback Offers</option>
+            </select>
+          </div>
+        </div>
+        <div className={styles.cardBody}>
+          {reviews.length === 0 ? (
+            <div className={styles.emptyState}>
+              <p>No {filters.status} reviews.</p>
+            </div>
+          ) : (
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th>Reviewer</th>
+                  <th>Rating</th>
+                  <th>Review</th>
+                  <th>Submitted</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {reviews.map((review) => (
+                  <tr key={review._id}>
+                    <td>
+                      {itemLabel(review)}
+                      <div>{review.itemType}</div>
+                    </td>
+                    <td>
+                      {review.user?.email}
+                      {review.isVerifiedPurchase && <div className={styles.statusActive}>Verified purchase</div>}
+                    </td>
+                    <td>{'★'.repeat(review.rating)}{'☆'.repeat(5 - review.rating)}</td>
+                    <td>
+                      {review.title && <strong>{review.title}</strong>}
+                      <p>{review.content}</p>
+                      {review.pros?.length > 0 && <div>Pros: {review.pros.join(', ')}</div>}
+                      {review.cons?.length > 0 && <div>Cons: {review.cons.join(', ')}</div>}
+                      {review.moderationNotes && <div className={styles.statusInactive}>Notes: {review.moderationNotes}</div>}
+                    </td>
+                    <td>{new Date(review.createdAt).toLocaleString()}</td>
+                    <td>
+                      <div className={styles.tableActions}>
+                        {review.status !== 'approved' && (
+                          <button
+                            onClick={() => moderate(review, 'approved')}
+                            className={styles.button}
+                            title="Approve"
+                          >
+                            <FaCheck />
+                          </button>
+                        )}
+                        {review.status !== 'rejected' && (
+                          <button
+                            onClick={() => openRejectModal(review)}
+                            className={`${styles.button} ${styles.buttonDanger}`}
+                            title="Reject"
+                          >
+                            <FaBan />
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {totalPages > 1 && (
+            <div className={styles.pagination}>
+              <button
+                onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
+                disabled={currentPage === 1}
+                className={styles.paginationButton}
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setCurrentPage(prev => Math.min(prev + 1, totalPages))}
+                disabled={currentPage === totalPages}
+                className={styles.paginationButton}
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {rejecting && (
+        <div className={styles.modalOverlay}>
+          <div className={styles.modal}>
+            <div className={styles.modalHeader}>
+              <h2>Reject Review</h2>
+              <button onClick={() => setRejecting(null)} className={styles.closeButton}>×</button>
+            </div>
+
+            <form onSubmit={handleReject} className={styles.modalBody}>
+              <div className={styles.formGroup}>
+                <label htmlFor="moderationNotes">Reason (shown to the reviewer)</label>
+                <textarea
+                  id="moderationNotes"
+                  value={moderationNotes}
+                  onChange={(e) => setModerationNotes(e.target.value)}
+                  className={styles.formControl}
+                  maxLength={1000}
+                  placeholder="e.g. Contains personal information"
+                />
+              </div>
+
+              <div className={styles.modalFooter}>
+                <button type="button" onClick={() => setRejecting(null)} className={`${styles.button} ${styles.buttonSecondary}`}>
+                  Cancel
+                </button>
+                <button type="submit" className={`${styles.button} ${styles.buttonDanger}`} disabled={loading}>
+                  Reject Review
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewModeration;
@@ -3,7 +3,20 @@ import { AuthContext } from '../../../context/AuthContext';
 import axios from 'axios';
 import { FaPlus, FaEdit, FaTrash, FaSearch, FaFilter } from 'react-icons/fa';
 import styles from '../AdminDashboard.module.css';
-import { mockServices } from '../../../services/mockServices';
+import { buildApiUrl, API_ENDPOINTS } from '../../../config/api';
+
+const emptyForm = {
+  name: '',
+  logo: '',
+  website: '',
+  description: '',
+  categories: [],
+  cashbackPercentage: 0,
+  isFeatured: false,
+  isActive: true,
+  affiliateLink: '',
+  termsAndConditions: ''
+};
 
 const StoreManagement = () => {
   const { accessToken } = useContext(AuthContext);
@@ -16,17 +29,7 @@ const StoreManagement = () => {
   const [totalPages, setTotalPages] = useState(1);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editingStore, setEditingStore] = useState(null);
-  const [formData, setFormData] = useState({
-    name: '',
-    logo: '',
-    website: '',
-    description: '',
-    categories: [],
-    featured: false,
-    popularity: 50,
-    affiliateLink: '',
-    termsAndConditions: ''
-  });
+  const [formData, setFormData] = useState(emptyForm);
   const [filters, setFilters] = useState({
     category: '',
     featured: ''
@@ -46,15 +49,22 @@ const StoreManagement = () => {
     try {
       setLoading(true);
       
-      // Use mock service instead of real API
-      const response = await mockServices.getStores(currentPage, 10);
+      const params = { page: currentPage, limit: 10 };
+      if (filters.category) params.category = filters.category;
+      if (filters.featured) params.featured = filters.featured;
+      if (searchTerm) params.search = searchTerm;
       
-      setStores(response.data);
-      setTotalPages(response.pagination.totalPages);
+      const response = await axios.get(buildApiUrl(API_ENDPOINTS.STORE_ADMIN.ALL), {
+        params,
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+      
+      setStores(response.data.data.items);
+      setTotalPages(response.data.data.pagination?.totalPages || 1);
       setError(null);
     } catch (err) {
       console.error('Error fetching stores:', err);
-      setError('Failed to load stores. Please try again.');
+      setError(err.response?.data?.error?.message || 'Failed to load stores. Please try again.');
     } finally {
       setLoading(false);
     }
@@ -104,17 +114,7 @@ const StoreManagement = () => {
 
   const openAddModal = () => {
     setEditingStore(null);
-    setFormData({
-      name: '',
-      logo: '',
-      website: '',
-      description: '',
-      categories: [],
-      featured: false,
-      popularity: 50,
-      affiliateLink: '',
-      termsAndConditions: ''
-    });
+    setFormData(emptyForm);
     setIsModalOpen(true);
   };
 
@@ -126,8 +126,9 @@ const StoreManagement = () => {
       website: store.website || '',
       description: store.description || '',
       categories: store.categories || [],
-      featured: store.featured || false,
-      popularity: store.popularity || 50,
+      cashbackPercentage: store.cashbackPercentage || 0,
+      isFeatured: store.isFeatured || false,
+      isActive: store.isActive !== false,
       affiliateLink: store.affiliateLink || '',
       termsAndConditions: store.termsAndConditions || ''
     });
@@ -145,13 +146,17 @@ const StoreManagement = () => {
     try {
       setLoading(true);
       
+      const storeData = {
+        ...formData,
+        cashbackPercentage: Number(formData.cashbackPercentage) || 0
+      };
+      const headers = { Authorization: `Bearer ${accessToken}` };
+      
       if (editingStore) {
-        // Update existing store using mock service
-        await mockServices.updateStore(editingStore.id || editingStore._id, formData);
+        await axios.put(buildApiUrl(`${API_ENDPOINTS.STORE_ADMIN.BASE}/${editingStore._id}`), storeData, { headers });
         setSuccess('Store updated successfully!');
       } else {
-        // Create new store using mock service
-        await mockServices.createStore(formData);
+        await axios.post(buildApiUrl(API_ENDPOINTS.STORE_ADMIN.BASE), storeData, { headers });
         setSuccess('Store created successfully!');
       }
       
@@ -159,57 +164,25 @@ const StoreManagement = () => {
       fetchStores();
     } catch (err) {
       console.error('Error saving store:', err);
-      setError(err.message || 'Failed to save store. Please try again.');
+      setError(err.response?.data?.error?.message || 'Failed to save store. Please try again.');
     } finally {
       setLoading(false);
     }
   };
 
   const handleDelete = async (id) => {
-    if (!window.confirm('Are you sure you want to delete this store? This will also remove all associated coupons and cashback offers.')) return;
+    if (!window.confirm('Are you sure you want to delete this store? Stores with coupons, cashback offers or transactions can only be deactivated.')) return;
     
     try {
       setLoading(true);
-      // Use mock service instead of real API
-      await mockServices.deleteStore(id);
+      await axios.delete(buildApiUrl(`${API_ENDPOINTS.STORE_ADMIN.BASE}/${id}`), {
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
       setSuccess('Store deleted successfully!');
       fetchStores();
     } catch (err) {
       console.error('Error deleting store:', err);
-      setError('Failed to delete store. Please try again.');
-    } finally {
-      setLoading(false);
-    }
-  };
-  
-  const handleDeleteAllStores = async () => {
-    if (!window.confirm('Are you sure you want to delete ALL stores? This action cannot be undone.')) return;
-    
-    try {
-      setLoading(true);
-      // Use mock service instead of real API
-      await mockServices.deleteAllStores();
-      setSuccess('All stores deleted successfully!');
-      fetchStores();
-    } catch (err) {
-      console.error('Error deleting all stores:', err);
-      setError('Failed to delete all stores. Please try again.');
-    } finally {
-      setLoading(false);
-    }
-  };
-  
-  const handleResetData = async () => {
-    if (!window.confirm('Are you sure you want to reset all data to default? This will restore all original stores.')) return;
-    
-    try {
-      setLoading(true);
-      await mockServices.resetData();
-      setSuccess('All data has been reset successfully!');
-      fetchStores();
-    } catch (err) {
-      console.error('Error resetting data:', err);
-      setError('Failed to reset data. Please try again.');
+      setError(err.response?.data?.error?.message || 'Failed to delete store. Please try again.');
     } finally {
       setLoading(false);
     }
@@ -218,8 +191,11 @@ const StoreManagement = () => {
   const handleToggleFeatured = async (id, currentStatus) => {
     try {
       setLoading(true);
-      // Use mock service instead of real API
-      await mockServices.updateStore(id, { featured: !currentStatus });
+      await axios.put(buildApiUrl(`${API_ENDPOINTS.STORE_ADMIN.BASE}/${id}`), {
+        isFeatured: !currentStatus
+      }, {
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
       setSuccess(`Store ${currentStatus ? 'removed from' : 'added to'} featured successfully!`);
       fetchStores();
     } catch (err) {
@@ -247,20 +223,6 @@ const StoreManagement = () => {
           <button className={styles.button} onClick={openAddModal}>
             <FaPlus /> Add New Store
           </button>
-          <button 
-            className={`${styles.button} ${styles.buttonDanger}`} 
-            onClick={handleDeleteAllStores}
-            disabled={loading || stores.length === 0}
-          >
-            <FaTrash /> Delete All Stores
-          </button>
-          <button 
-            className={`${styles.button} ${styles.buttonSecondary}`} 
-            onClick={handleResetData}
-            disabled={loading}
-          >
-            Reset Data
-          </button>
         </div>
       </div>
       
@@ -339,14 +301,16 @@ const StoreManagement = () => {
                   <th>Logo</th>
                   <th>Name</th>
                   <th>Categories</th>
-                  <th>Popularity</th>
+                  <th>Cashback</th>
+                  <th>Clicks (30d)</th>
+                  <th>Status</th>
                   <th>Featured</th>
                   <th>Actions</th>
                 </tr>
               </thead>
               <tbody>
                 {stores.map((store) => (
-                  <tr key={store.id || store._id}>
+                  <tr key={store._id}>
                     <td>
                       {store.logo ? (
                         <img 
@@ -365,7 +329,10 @@ const StoreManagement = () => {
                         <div className={styles.noLogo}>No Logo</div>
                       )}
                     </td>
-                    <td>{store.name}</td>
+                    <td>
+                      {store.name}
+                      <div>/{store.slug}</div>
+                    </td>
                     <td>
                       <div className={styles.categoryTags}>
                         {store.categories && store.categories.map(category => (
@@ -375,10 +342,16 @@ const StoreManagement = () => {
                         ))}
                       </div>
                     </td>
-                    <td>{store.popularity || 0}</td>
+                    <td>{store.cashbackPercentage || 0}%</td>
+                    <td>{store.popularityScore || 0}</td>
+                    <td>
+                      <span className={store.isActive ? styles.statusActive : styles.statusInactive}>
+                        {store.isActive ? 'Active' : 'Inactive'}
+                      </span>
+                    </td>
                     <td>
-                      <span className={store.featured ? styles.statusActive : styles.statusInactive}>
-                        {store.featured ? 'Featured' : 'Not Featured'}
+                      <span className={store.isFeatured ? styles.statusActive : styles.statusInactive}>
+                        {store.isFeatured ? 'Featured' : 'Not Featured'}
                       </span>
                     </td>
                     <td>
@@ -390,13 +363,13 @@ const StoreManagement = () => {
                           <FaEdit />
                         </button>
                         <button 
-                          onClick={() => handleToggleFeatured(store.id || store._id, store.featured)}
-                          className={`${styles.button} ${store.featured ? styles.buttonSecondary : styles.button}`}
+                          onClick={() => handleToggleFeatured(store._id, store.isFeatured)}
+                          className={`${styles.button} ${store.isFeatured ? styles.buttonSecondary : styles.button}`}
                         >
-                          {store.featured ? 'Unfeature' : 'Feature'}
+                          {store.isFeatured ? 'Unfeature' : 'Feature'}
                         </button>
                         <button 
-                          onClick={() => handleDelete(store.id || store._id)} 
+                          onClick={() => handleDelete(store._id)} 
                           className={`${styles.button} ${styles.buttonDanger}`}
                         >
                           <FaTrash />
@@ -464,7 +437,7 @@ const StoreManagement = () => {
               </div>
               
               <div className={styles.formGroup}>
-                <label htmlFor="logo">Logo URL</label>
+                <label htmlFor="logo">Logo URL*</label>
                 <input
                   type="url"
                   id="logo"
@@ -473,11 +446,12 @@ const StoreManagement = () => {
                   onChange={handleInputChange}
                   className={styles.formControl}
                   placeholder="https://example.com/logo.png"
+                  required
                 />
               </div>
               
               <div className={styles.formGroup}>
-                <label htmlFor="website">Website URL*</label>
+                <label htmlFor="website">Website URL</label>
                 <input
                   type="url"
                   id="website"
@@ -486,7 +460,6 @@ const StoreManagement = () => {
                   onChange={handleInputChange}
                   className={styles.formControl}
                   placeholder="https://example.com"
-                  required
                 />
               </div>
               
@@ -522,16 +495,17 @@ const StoreManagement = () => {
               
               <div className={styles.formRow}>
                 <div className={styles.formGroup}>
-                  <label htmlFor="popularity">Popularity (0-100)</label>
+                  <label htmlFor="cashbackPercentage">Base Cashback (%)</label>
                   <input
                     type="number"
-                    id="popularity"
-                    name="popularity"
-                    value={formData.popularity}
+                    id="cashbackPercentage"
+                    name="cashbackPercentage"
+                    value={formData.cashbackPercentage}
                     onChange={handleInputChange}
                     className={styles.formControl}
                     min="0"
                     max="100"
+                    step="0.1"
                   />
                 </div>
                 
@@ -539,12 +513,21 @@ const StoreManagement = () => {
                   <label className={styles.checkboxLabel}>
                     <input
                       type="checkbox"
-                      name="featured"
-                      checked={formData.featured}
+                      name="isFeatured"
+                      checked={formData.isFeatured}
                       onChange={handleInputChange}
                     />
                     Featured Store
                   </label>
+                  <label className={styles.checkboxLabel}>
+                    <input
+                      type="checkbox"
+                      name="isActive"
+                      checked={formData.isActive}
+                      onChange={handleInputChange}
+                    />
+                    Active
+                  </label>
                 </div>
               </div>
               
@@ -3,6 +3,7 @@ import React, { useState, useEffect, useContext } from 'react';
 import { AuthContext } from '../../context/AuthContext';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
+import { formatCurrency, getPreferredCurrency } from '../../utils/currencyUtils';
 import styles from './CashbackDashboardPage.module.css';
 
 export const CashbackDashboardPage = () => {
@@ -12,6 +13,7 @@ export const CashbackDashboardPage = () => {
   const [activeTab, setActiveTab] = useState('overview');
   const [cashbackData, setCashbackData] = useState({
     balance: 0,
+    pendingBalance: 0,
     totalEarned: 0,
     totalRedeemed: 0,
     pendingCashbacks: [],
@@ -26,6 +28,14 @@ export const CashbackDashboardPage = () => {
   const [redeemDetails, setRedeemDetails] = useState('');
   const [redeemErrors, setRedeemErrors] = useState({});
   const [redeemSuccess, setRedeemSuccess] = useState('');
+  const [displayCurrency, setDisplayCurrency] = useState(getPreferredCurrency());
+
+  // Re-fetch converted amounts when the currency selector changes
+  useEffect(() => {
+    const handleCurrencyChange = (event) => setDisplayCurrency(event.detail.code || event.detail);
+    window.addEventListener('currencyChange', handleCurrencyChange);
+    return () => window.removeEventListener('currencyChange', handleCurrencyChange);
+  }, []);
 
   // Fetch cashback data when component mounts
   useEffect(() => {
@@ -35,12 +45,13 @@ export const CashbackDashboardPage = () => {
       try {
         setLoading(true);
         const response = await axios.get('http://localhost:5000/api/cashback/dashboard', {
+          params: { currency: displayCurrency },
           headers: {
             Authorization: `Bearer ${accessToken}`
           }
         });
         
-        setCashbackData(response.data);
+        setCashbackData(response.data.data);
         setError(null);
       } catch (err) {
         console.error('Error fetching cashback data:', err);
@@ -51,7 +62,17 @@ export const CashbackDashboardPage = () => {
     };
     
     fetchCashbackData();
-  }, [user, accessToken]);
+  }, [user, accessToken, displayCurrency]);
+
+  // Cashback is paid in USD; when another currency is selected, show the server's conversion alongside
+  const formatAmount = (amount, displayAmount) => {
+    const formatted = formatCurrency(amount, 'USD');
+    const display = cashbackData.display;
+    if (!display || display.currency === 'USD' || displayAmount === undefined) {
+      return formatted;
+    }
+    return `${formatted} (${formatCurrency(displayAmount, display.currency)})`;
+  };
 
   // Handle redeem form submission
   const handleRedeemSubmit = async (e) => {
@@ -96,12 +117,11 @@ export const CashbackDashboardPage = () => {
         }
       });
       
-      // Update local state with new balance
+      // Requested amounts are held until the payout is sent, so only the balance changes here
       setCashbackData(prev => ({
         ...prev,
         balance: prev.balance - amountValue,
-        totalRedeemed: prev.totalRedeemed + amountValue,
-        redeemedCashbacks: [response.data.redemption, ...prev.redeemedCashbacks],
+        redeemedCashbacks: [response.data.data.redemption, ...prev.redeemedCashbacks],
         recentActivity: [
           {
             type: 'redemption',
@@ -121,7 +141,7 @@ export const CashbackDashboardPage = () => {
     } catch (err) {
       console.error('Error submitting redemption:', err);
       setRedeemErrors({
-        submit: err.response?.data?.message || 'Failed to process your redemption request. Please try again.'
+        submit: err.response?.data?.error?.message || 'Failed to process your redemption request. Please try again.'
       });
     }
   };
@@ -155,7 +175,7 @@ export const CashbackDashboardPage = () => {
             <div className={styles.balanceSummary}>
               <div className={styles.balanceCard}>
                 <h3>Available Balance</h3>
-                <div className={styles.balanceAmount}>${cashbackData.balance.toFixed(2)}</div>
+                <div className={styles.balanceAmount}>{formatAmount(cashbackData.balance, cashbackData.display?.balance)}</div>
                 <button 
                   className={styles.redeemButton}
                   onClick={() => setActiveTab('redeem')}
@@ -168,18 +188,31 @@ export const CashbackDashboardPage = () => {
               <div className={styles.statsCards}>
                 <div className={styles.statCard}>
                   <h4>Total Earned</h4>
-                  <div className={styles.statAmount}>${cashbackData.totalEarned.toFixed(2)}</div>
+                  <div className={styles.statAmount}>{formatAmount(cashbackData.totalEarned, cashbackData.display?.totalEarned)}</div>
                 </div>
                 <div className={styles.statCard}>
                   <h4>Total Redeemed</h4>
-                  <div className={styles.statAmount}>${cashbackData.totalRedeemed.toFixed(2)}</div>
+                  <div className={styles.statAmount}>{formatAmount(cashbackData.totalRedeemed, cashbackData.display?.totalRedeemed)}</div>
                 </div>
                 <div className={styles.statCard}>
                   <h4>Pending Cashback</h4>
                   <div className={styles.statAmount}>
-                    ${cashbackData.pendingCashbacks.reduce((sum, item) => sum + item.amount, 0).toFixed(2)}
+                    {formatAmount(cashbackData.pendingBalance, cashbackData.display?.pendingBalance)}
                   </div>
                 </div>
+                {cashbackData.loyalty && (
+                  <div className={styles.statCard}>
+                    <h4>{cashbackData.loyalty.tier.name} Member</h4>
+                    <div className={styles.statAmount}>{cashbackData.loyalty.points.toLocaleString()} pts</div>
+                    <p>
+                      {cashbackData.loyalty.tier.cashbackBonus > 0
+                        ? `+${cashbackData.loyalty.tier.cashbackBonus}% cashback on every store`
+                        : 'Standard cashback rates'}
+                      {cashbackData.loyalty.nextTier &&
+                        ` · ${cashbackData.loyalty.nextTier.pointsNeeded.toLocaleString()} pts to ${cashbackData.loyalty.nextTier.name}`}
+                    </p>
+                  </div>
+                )}
               </div>
             </div>
             
@@ -255,7 +288,7 @@ export const CashbackDashboardPage = () => {
                               {activity.status.charAt(0).toUpperCase() + activity.status.slice(1)}
                             </span>
                             <span className={styles.activityAmount}>
-                              {activity.type === 'earned' ? '+' : '-'}${activity.amount.toFixed(2)}
+                              {activity.type === 'earned' ? '+' : '-'}{formatAmount(activity.amount, activity.displayAmount)}
                             </span>
                           </div>
                         </div>
@@ -310,7 +343,7 @@ export const CashbackDashboardPage = () => {
                           </div>
                         </div>
                         <div className={styles.tableCell}>{formatDate(cashback.orderDate)}</div>
-                        <div className={styles.tableCell}>${cashback.amount.toFixed(2)}</div>
+                        <div className={styles.tableCell}>{formatAmount(cashback.amount, cashback.displayAmount)}</div>
                         <div className={styles.tableCell}>
                           <span className={`${styles.statusBadge} ${styles.pending}`}>Pending</span>
                         </div>
@@ -359,7 +392,7 @@ export const CashbackDashboardPage = () => {
                         </div>
                         <div className={styles.tableCell}>{formatDate(cashback.orderDate)}</div>
                         <div className={styles.tableCell}>{formatDate(cashback.approvalDate)}</div>
-                        <div className={styles.tableCell}>${cashback.amount.toFixed(2)}</div>
+                        <div className={styles.tableCell}>{formatAmount(cashback.amount, cashback.displayAmount)}</div>
                         <div className={styles.tableCell}>
                           <span className={`${styles.statusBadge} ${styles.approved}`}>Approved</span>
                         </div>
@@ -399,7 +432,7 @@ export const CashbackDashboardPage = () => {
                     {cashbackData.redeemedCashbacks.map((redemption, index) => (
                       <div key={index} className={styles.tableRow}>
                         <div className={styles.tableCell}>{formatDate(redemption.date)}</div>
-                        <div className={styles.tableCell}>${redemption.amount.toFixed(2)}</div>
+                        <div className={styles.tableCell}>{formatAmount(redemption.amount, redemption.displayAmount)}</div>
                         <div className={styles.tableCell}>{redemption.method}</div>
                         <div className={styles.tableCell}>
                           <span className={`${styles.statusBadge} ${styles[redemption.status]}`}>
@@ -422,7 +455,7 @@ export const CashbackDashboardPage = () => {
                   <div className={styles.minimumBalanceWarning}>
                     <p>
                       You need a minimum balance of $10.00 to redeem your cashback.
-                      Your current balance is ${cashbackData.balance.toFixed(2)}.
+                      Your current balance is {formatAmount(cashbackData.balance, cashbackData.display?.balance)}.
                     </p>
                     <button 
                       className={styles.browseButton}
@@ -443,7 +476,7 @@ export const CashbackDashboardPage = () => {
                     
                     <form onSubmit={handleRedeemSubmit} className={styles.redeemForm}>
                       <div className={styles.availableBalance}>
-                        Available Balance: <span>${cashbackData.balance.toFixed(2)}</span>
+                        Available Balance: <span>{formatAmount(cashbackData.balance, cashbackData.display?.balance)}</span>
                       </div>
                       
                       <div className={styles.formGroup}>
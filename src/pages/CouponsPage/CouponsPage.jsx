@@ -1,11 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import apiService from '../../services/api';
 import { mockServices } from '../../services/mockServices';
+import { reportCouponFeedback } from '../../services/couponService';
 import styles from './CouponsPage.module.css';
 
 // Coupon card component
-const CouponsCard = ({ title, description, code, discount, discountType, discountValue, store }) => {
+const CouponsCard = ({ id, title, description, code, discount, discountType, discountValue, store, successRate }) => {
   const [copied, setCopied] = useState(false);
+  const [feedbackSent, setFeedbackSent] = useState(false);
+  const [sendingFeedback, setSendingFeedback] = useState(false);
 
   const handleCopyCode = () => {
     navigator.clipboard.writeText(code || 'COUPON');
@@ -13,6 +16,18 @@ const CouponsCard = ({ title, description, code, discount, discountType, discoun
     setTimeout(() => setCopied(false), 2000);
   };
 
+  const handleFeedback = async (outcome) => {
+    setSendingFeedback(true);
+    try {
+      await reportCouponFeedback(id, outcome);
+      setFeedbackSent(true);
+    } catch (err) {
+      console.error('Error sending coupon feedback:', err);
+    } finally {
+      setSendingFeedback(false);
+    }
+  };
+
   // Use discountValue and discountType if provided (from mock data)
   // Otherwise use the discount prop (from API)
   // Default to 10% if no discount information is available
@@ -43,6 +58,34 @@ const CouponsCard = ({ title, description, code, discount, discountType, discoun
         >
           {copied ? 'Copied!' : 'Copy Code'}
         </button>
+        {typeof successRate === 'number' && (
+          <span className={styles.successRate}>{Math.round(successRate)}% success rate</span>
+        )}
+        {id && (
+          <div className={styles.feedback}>
+            {feedbackSent ? (
+              <span>Thanks for your feedback!</span>
+            ) : (
+              <>
+                <span>Did it work?</span>
+                <button
+                  className={styles.feedbackButton}
+                  onClick={() => handleFeedback('worked')}
+                  disabled={sendingFeedback}
+                >
+                  Yes
+                </button>
+                <button
+                  className={styles.feedbackButton}
+                  onClick={() => handleFeedback('failed')}
+                  disabled={sendingFeedback}
+                >
+                  No
+                </button>
+              </>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -204,6 +247,7 @@ const CouponsPage = () => {
           {coupons.map((coupon, index) => (
             <CouponsCard
               key={coupon.id || coupon._id || `coupon-${index}`}
+              id={coupon._id}
               title={coupon.title || 'Special Offer'}
               description={coupon.description}
               code={coupon.code}
@@ -211,6 +255,7 @@ const CouponsPage = () => {
               discountType={coupon.discountType}
               discountValue={coupon.discountValue}
               store={coupon.store}
+              successRate={coupon.successRate}
             />
           ))}
         </div>
@@ -2,11 +2,19 @@
 import React, { useState, useEffect, useContext } from 'react';
 import { AuthContext } from '../../context/AuthContext';
 import { useNavigate } from 'react-router-dom';
-import axios from 'axios';
+import { getFavorites, updateFavorite, removeFavorite } from '../../services/favoriteService';
+import { getStoreId, openStore } from '../../services/clickService';
 import styles from './FavoritesPage.module.css';
 
+// Item type behind each tab, and the alert its favorites can turn on
+const TABS = {
+  stores: { itemType: 'store', alertField: 'notifyOnUpdates', alertLabel: 'Tell me when the cashback rate changes' },
+  coupons: { itemType: 'coupon', alertField: 'notifyOnExpiry', alertLabel: 'Remind me before it expires' },
+  cashbacks: { itemType: 'cashback', alertField: 'notifyOnExpiry', alertLabel: 'Remind me before it expires' }
+};
+
 export const FavoritesPage = () => {
-  const { user, accessToken } = useContext(AuthContext);
+  const { user } = useContext(AuthContext);
   const navigate = useNavigate();
   
   const [activeTab, setActiveTab] = useState('stores');
@@ -18,20 +26,20 @@ export const FavoritesPage = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  // Fetch user favorites when component mounts
+  // Fetch the favorites of the active tab
   useEffect(() => {
     const fetchFavorites = async () => {
       if (!user) return;
       
       try {
         setLoading(true);
-        const response = await axios.get('http://localhost:5000/api/users/favorites', {
-          headers: {
-            Authorization: `Bearer ${accessToken}`
-          }
-        });
+        const response = await getFavorites({ itemType: TABS[activeTab].itemType, limit: 100 });
         
-        setFavorites(response.data.favorites);
+        // Skip favorites whose item has since been deleted
+        setFavorites(prev => ({
+          ...prev,
+          [activeTab]: response.data.items.filter(favorite => favorite.item)
+        }));
         setError(null);
       } catch (err) {
         console.error('Error fetching favorites:', err);
@@ -42,21 +50,17 @@ export const FavoritesPage = () => {
     };
     
     fetchFavorites();
-  }, [user, accessToken]);
+  }, [user, activeTab]);
 
   // Handle removing an item from favorites
-  const handleRemoveFavorite = async (itemId, type) => {
+  const handleRemoveFavorite = async (favoriteId, type) => {
     try {
-      await axios.delete(`http://localhost:5000/api/users/favorites/${type}/${itemId}`, {
-        headers: {
-          Authorization: `Bearer ${accessToken}`
-        }
-      });
+      await removeFavorite(favoriteId);
       
       // Update local state to reflect the removal
       setFavorites(prev => ({
         ...prev,
-        [type]: prev[type].filter(item => item.id !== itemId)
+        [type]: prev[type].filter(favorite => favorite._id !== favoriteId)
       }));
     } catch (err) {
       console.error(`Error removing ${type} from favorites:`, err);
@@ -64,6 +68,37 @@ export const FavoritesPage = () => {
     }
   };
 
+  // Handle turning a favorite's alert on or off
+  const handleToggleAlert = async (favorite, type) => {
+    const { alertField } = TABS[type];
+    const enabled = !favorite[alertField];
+    
+    try {
+      await updateFavorite(favorite._id, { [alertField]: enabled });
+      setFavorites(prev => ({
+        ...prev,
+        [type]: prev[type].map(item => (item._id === favorite._id ? { ...item, [alertField]: enabled } : item))
+      }));
+    } catch (err) {
+      console.error(`Error updating ${type} alert:`, err);
+      setError('Failed to update the alert. Please try again.');
+    }
+  };
+
+  const renderFavoriteFooter = (favorite, type) => (
+    <>
+      {favorite.notes && <p className={styles.notes}>{favorite.notes}</p>}
+      <label className={styles.alertToggle}>
+        <input
+          type="checkbox"
+          checked={Boolean(favorite[TABS[type].alertField])}
+          onChange={() => handleToggleAlert(favorite, type)}
+        />
+        {TABS[type].alertLabel}
+      </label>
+    </>
+  );
+
   // Redirect to login if not authenticated
   if (!user) {
     navigate('/login', { state: { from: '/favorites' } });
@@ -120,11 +155,11 @@ export const FavoritesPage = () => {
                     </button>
                   </div>
                 ) : (
-                  favorites.stores.map(store => (
-                    <div key={store.id} className={styles.favoriteCard}>
+                  favorites.stores.map(({ item: store, ...favorite }) => (
+                    <div key={favorite._id} className={styles.favoriteCard}>
                       <button 
                         className={styles.removeButton}
-                        onClick={() => handleRemoveFavorite(store.id, 'stores')}
+                        onClick={() => handleRemoveFavorite(favorite._id, 'stores')}
                         aria-label="Remove from favorites"
                       >
                         ×
@@ -134,12 +169,12 @@ export const FavoritesPage = () => {
                       </div>
                       <h3>{store.name}</h3>
                       <div className={styles.storeDetails}>
-                        <span className={styles.cashbackRate}>{store.cashbackRate}% Cashback</span>
-                        <span className={styles.couponCount}>{store.couponCount} Coupons</span>
+                        <span className={styles.cashbackRate}>{store.cashbackPercentage}% Cashback</span>
                       </div>
+                      {renderFavoriteFooter(favorite, 'stores')}
                       <button 
                         className={styles.viewButton}
-                        onClick={() => navigate(`/store/${store.id}`)}
+                        onClick={() => navigate(`/stores/${store.slug}`)}
                       >
                         View Store
                       </button>
@@ -164,29 +199,34 @@ export const FavoritesPage = () => {
                     </button>
                   </div>
                 ) : (
-                  favorites.coupons.map(coupon => (
-                    <div key={coupon.id} className={styles.couponCard}>
+                  favorites.coupons.map(({ item: coupon, ...favorite }) => (
+                    <div key={favorite._id} className={styles.couponCard}>
                       <button 
                         className={styles.removeButton}
-                        onClick={() => handleRemoveFavorite(coupon.id, 'coupons')}
+                        onClick={() => handleRemoveFavorite(favorite._id, 'coupons')}
                         aria-label="Remove from favorites"
                       >
                         ×
                       </button>
                       <div className={styles.couponStore}>
-                        <img src={coupon.storeLogo} alt={coupon.storeName} className={styles.couponStoreLogo} />
-                        <span>{coupon.storeName}</span>
+                        <img src={coupon.store?.logo} alt={coupon.store?.name} className={styles.couponStoreLogo} />
+                        <span>{coupon.store?.name}</span>
                       </div>
                       <div className={styles.couponDiscount}>
-                        {coupon.discountType === 'percentage' ? `${coupon.discountValue}% OFF` : `$${coupon.discountValue} OFF`}
-                      </div>
-                      <p className={styles.couponDescription}>{coupon.description}</p>
-                      <div className={styles.couponExpiry}>
-                        Expires: {new Date(coupon.expiryDate).toLocaleDateString()}
+                        {coupon.discountType === 'percentage' ? `${coupon.discount}% OFF` : `$${coupon.discount} OFF`}
                       </div>
+                      <p className={styles.couponDescription}>{coupon.description || coupon.title}</p>
+                      {coupon.expiryDate && (
+                        <div className={styles.couponExpiry}>
+                          Expires: {new Date(coupon.expiryDate).toLocaleDateString()}
+                        </div>
+                      )}
+                      {renderFavoriteFooter(favorite, 'coupons')}
                       <button 
                         className={styles.couponButton}
-                        onClick={() => window.open(coupon.link, '_blank')}
+                        onClick={() => (getStoreId(coupon.store)
+                          ? openStore(getStoreId(coupon.store), { couponId: coupon._id })
+                          : navigate(`/stores/${coupon.store?.slug}`))}
                       >
                         Get Coupon
                       </button>
@@ -211,29 +251,32 @@ export const FavoritesPage = () => {
                     </button>
                   </div>
                 ) : (
-                  favorites.cashbacks.map(cashback => (
-                    <div key={cashback.id} className={styles.cashbackCard}>
+                  favorites.cashbacks.map(({ item: cashback, ...favorite }) => (
+                    <div key={favorite._id} className={styles.cashbackCard}>
                       <button 
                         className={styles.removeButton}
-                        onClick={() => handleRemoveFavorite(cashback.id, 'cashbacks')}
+                        onClick={() => handleRemoveFavorite(favorite._id, 'cashbacks')}
                         aria-label="Remove from favorites"
                       >
                         ×
                       </button>
                       <div className={styles.cashbackStore}>
-                        <img src={cashback.storeLogo} alt={cashback.storeName} className={styles.cashbackStoreLogo} />
-                        <span>{cashback.storeName}</span>
+                        <img src={cashback.store?.logo} alt={cashback.store?.name} className={styles.cashbackStoreLogo} />
+                        <span>{cashback.store?.name}</span>
                       </div>
                       <div className={styles.cashbackRate}>
-                        {cashback.rate}% Cashback
+                        {cashback.amount}% Cashback
                       </div>
-                      <p className={styles.cashbackDescription}>{cashback.description}</p>
+                      <p className={styles.cashbackDescription}>{cashback.description || cashback.title}</p>
                       <div className={styles.cashbackTerms}>
                         {cashback.terms}
                       </div>
+                      {renderFavoriteFooter(favorite, 'cashbacks')}
                       <button 
                         className={styles.cashbackButton}
-                        onClick={() => window.open(cashback.link, '_blank')}
+                        onClick={() => (getStoreId(cashback.store)
+                          ? openStore(getStoreId(cashback.store), { cashbackId: cashback._id })
+                          : navigate(`/stores/${cashback.store?.slug}`))}
                       >
                         Shop & Earn
                       </button>
@@ -2,30 +2,44 @@
 import React, { useState, useEffect, useContext } from 'react';
 import { AuthContext } from '../../context/AuthContext';
 import { useNavigate } from 'react-router-dom';
-import axios from 'axios';
+import api from '../../services/api';
+import notificationService from '../../services/notificationService';
 import styles from './NotificationPreferencesPage.module.css';
 
+// Notification types users can mute (high-priority notifications are always delivered)
+const NOTIFICATION_TYPES = [
+  { type: 'transaction', label: 'Cashback & Transactions' },
+  { type: 'account', label: 'Account Updates' },
+  { type: 'offer', label: 'Offers & Favorite Alerts' },
+  { type: 'promotion', label: 'Promotions & Deals' },
+  { type: 'system', label: 'Announcements' }
+];
+
+const FREQUENCIES = [
+  { value: 'immediate', label: 'Immediately', description: 'Receive each notification as it happens.' },
+  { value: 'daily', label: 'Daily Digest', description: 'Get one email a day summarizing your notifications.' },
+  { value: 'weekly', label: 'Weekly Digest', description: 'Get one email a week summarizing your notifications.' }
+];
+
+const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
 export const NotificationPreferencesPage = () => {
-  const { user, accessToken, updateProfile } = useContext(AuthContext);
+  const { user } = useContext(AuthContext);
   const navigate = useNavigate();
-  
+
   const [preferences, setPreferences] = useState({
     emailNotifications: true,
     smsNotifications: false,
-    notificationTypes: {
-      promotions: true,
-      cashbackAlerts: true,
-      accountUpdates: true,
-      orderConfirmations: true,
-      newStores: true,
-      recommendations: true,
-      newsletter: true,
-      surveyRequests: false
-    },
-    frequency: 'daily',
+    pushNotifications: true,
+    notificationFrequency: 'immediate',
+    emailDigest: true,
+    mutedNotificationTypes: [],
+    quietHours: { enabled: false, start: '22:00', end: '08:00' },
+    timezone: browserTimeZone(),
     categories: []
   });
-  
+  const [hasPhone, setHasPhone] = useState(false);
+
   const [availableCategories, setAvailableCategories] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -35,35 +49,26 @@ export const NotificationPreferencesPage = () => {
   useEffect(() => {
     const fetchPreferences = async () => {
       if (!user) return;
-      
+
       try {
         setLoading(true);
-        
-        // Fetch user preferences
-        const userResponse = await axios.get('http://localhost:5000/api/users/profile', {
-          headers: {
-            Authorization: `Bearer ${accessToken}`
-          }
-        });
-        
-        // Fetch available categories
-        const categoriesResponse = await axios.get('http://localhost:5000/api/categories');
-        
-        // Set preferences from user data
-        if (userResponse.data.user.preferences) {
-          setPreferences(prev => ({
-            ...prev,
-            emailNotifications: userResponse.data.user.preferences.emailNotifications ?? true,
-            smsNotifications: userResponse.data.user.preferences.smsNotifications ?? false,
-            notificationTypes: userResponse.data.user.preferences.notificationTypes ?? prev.notificationTypes,
-            frequency: userResponse.data.user.preferences.frequency ?? 'daily',
-            categories: userResponse.data.user.preferences.categories ?? []
-          }));
-        }
-        
-        // Set available categories
-        setAvailableCategories(categoriesResponse.data.categories);
-        
+
+        const [preferencesResponse, categoriesResponse] = await Promise.all([
+          notificationService.getPreferences(),
+          api.get('/stores/categories')
+        ]);
+
+        const { hasPhone: phoneOnFile, ...saved } = preferencesResponse.data;
+        setPreferences(prev => ({
+          ...prev,
+          ...saved,
+          quietHours: { ...prev.quietHours, ...saved.quietHours },
+          // Users who never picked a time zone get the browser's
+          timezone: saved.timezone && saved.timezone !== 'UTC' ? saved.timezone : prev.timezone
+        }));
+        setHasPhone(phoneOnFile);
+        setAvailableCategories(categoriesResponse.data.data);
+
         setError(null);
       } catch (err) {
         console.error('Error fetching preferences:', err);
@@ -72,9 +77,9 @@ export const NotificationPreferencesPage = () => {
         setLoading(false);
       }
     };
-    
+
     fetchPreferences();
-  }, [user, accessToken]);
+  }, [user]);
 
   // Handle toggle changes
   const handleToggleChange = (e) => {
@@ -85,15 +90,14 @@ export const NotificationPreferencesPage = () => {
     }));
   };
 
-  // Handle notification type toggle changes
+  // A checked type is one the user receives, i.e. not muted
   const handleNotificationTypeChange = (e) => {
     const { name, checked } = e.target;
     setPreferences(prev => ({
       ...prev,
-      notificationTypes: {
-        ...prev.notificationTypes,
-        [name]: checked
-      }
+      mutedNotificationTypes: checked
+        ? prev.mutedNotificationTypes.filter(type => type !== name)
+        : [...prev.mutedNotificationTypes, name]
     }));
   };
 
@@ -101,17 +105,29 @@ export const NotificationPreferencesPage = () => {
   const handleFrequencyChange = (e) => {
     setPreferences(prev => ({
       ...prev,
-      frequency: e.target.value
+      notificationFrequency: e.target.value
+    }));
+  };
+
+  // Handle quiet hours changes
+  const handleQuietHoursChange = (e) => {
+    const { name, type, checked, value } = e.target;
+    setPreferences(prev => ({
+      ...prev,
+      quietHours: {
+        ...prev.quietHours,
+        [name]: type === 'checkbox' ? checked : value
+      }
     }));
   };
 
   // Handle category toggle
-  const handleCategoryToggle = (categoryId) => {
+  const handleCategoryToggle = (category) => {
     setPreferences(prev => {
-      const updatedCategories = prev.categories.includes(categoryId)
-        ? prev.categories.filter(id => id !== categoryId)
-        : [...prev.categories, categoryId];
-      
+      const updatedCategories = prev.categories.includes(category)
+        ? prev.categories.filter(name => name !== category)
+        : [...prev.categories, category];
+
       return {
         ...prev,
         categories: updatedCategories
@@ -124,27 +140,14 @@ export const NotificationPreferencesPage = () => {
     e.preventDefault();
     setSuccessMessage('');
     setError(null);
-    
+
     try {
       setLoading(true);
-      
-      // Create form data for the API call
-      const formData = new FormData();
-      formData.append('preferences', JSON.stringify({
-        emailNotifications: preferences.emailNotifications,
-        smsNotifications: preferences.smsNotifications,
-        notificationTypes: preferences.notificationTypes,
-        frequency: preferences.frequency,
-        categories: preferences.categories
-      }));
-      
-      // Update user preferences
-      const response = await updateProfile(formData);
-      
+      await notificationService.updatePreferences(preferences);
       setSuccessMessage('Notification preferences updated successfully!');
     } catch (err) {
       console.error('Error updating preferences:', err);
-      setError('Failed to update notification preferences. Please try again.');
+      setError(err.response?.data?.error?.message || 'Failed to update notification preferences. Please try again.');
     } finally {
       setLoading(false);
     }
@@ -156,11 +159,30 @@ export const NotificationPreferencesPage = () => {
     return null;
   }
 
+  const renderToggle = (name, label, description, disabled = false) => (
+    <div className={styles.toggleGroup}>
+      <label className={styles.toggleLabel}>
+        <span>{label}</span>
+        <div className={styles.toggleSwitch}>
+          <input
+            type="checkbox"
+            name={name}
+            checked={preferences[name]}
+            onChange={handleToggleChange}
+            disabled={disabled}
+          />
+          <span className={styles.slider}></span>
+        </div>
+      </label>
+      <p className={styles.toggleDescription}>{description}</p>
+    </div>
+  );
+
   return (
     <div className={styles.preferencesPage}>
       <div className={styles.preferencesContainer}>
         <h1>Notification Preferences</h1>
-        
+
         {loading && !successMessage && !error ? (
           <div className={styles.loadingContainer}>
             <div className={styles.loader}></div>
@@ -171,238 +193,141 @@ export const NotificationPreferencesPage = () => {
             {successMessage && (
               <div className={styles.successMessage}>{successMessage}</div>
             )}
-            
+
             {error && (
               <div className={styles.errorMessage}>{error}</div>
             )}
-            
+
             <div className={styles.section}>
               <h2>Communication Channels</h2>
               <p className={styles.sectionDescription}>
-                Choose how you'd like to receive notifications from us.
+                Choose how you'd like to receive notifications. They always appear in your notification inbox.
               </p>
-              
-              <div className={styles.toggleGroup}>
-                <label className={styles.toggleLabel}>
-                  <span>Email Notifications</span>
-                  <div className={styles.toggleSwitch}>
+
+              {renderToggle('emailNotifications', 'Email Notifications',
+                'Receive notifications by email.')}
+              {renderToggle('smsNotifications', 'SMS Notifications',
+                hasPhone
+                  ? 'Receive time-sensitive alerts by text message.'
+                  : 'Add a phone number to your profile to receive text messages.',
+                !hasPhone)}
+              {renderToggle('pushNotifications', 'Live Notifications',
+                'Show notifications instantly while you are on the site.')}
+            </div>
+
+            <div className={styles.section}>
+              <h2>Notification Types</h2>
+              <p className={styles.sectionDescription}>
+                Select the types of notifications you want to receive. Urgent account and security alerts are always sent.
+              </p>
+
+              <div className={styles.checkboxGrid}>
+                {NOTIFICATION_TYPES.map(({ type, label }) => (
+                  <div key={type} className={styles.checkboxGroup}>
+                    <label className={styles.checkboxLabel}>
+                      <input
+                        type="checkbox"
+                        name={type}
+                        checked={!preferences.mutedNotificationTypes.includes(type)}
+                        onChange={handleNotificationTypeChange}
+                      />
+                      <span>{label}</span>
+                    </label>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className={styles.section}>
+              <h2>Email Frequency</h2>
+              <p className={styles.sectionDescription}>
+                Choose how often you'd like to receive notification emails. Urgent notifications are always sent right away.
+              </p>
+
+              <div className={styles.radioGroup}>
+                {FREQUENCIES.map(({ value, label, description }) => (
+                  <label key={value} className={styles.radioLabel}>
                     <input
-                      type="checkbox"
-                      name="emailNotifications"
-                      checked={preferences.emailNotifications}
-                      onChange={handleToggleChange}
+                      type="radio"
+                      name="notificationFrequency"
+                      value={value}
+                      checked={preferences.notificationFrequency === value}
+                      onChange={handleFrequencyChange}
                     />
-                    <span className={styles.slider}></span>
-                  </div>
-                </label>
-                <p className={styles.toggleDescription}>
-                  Receive notifications, offers, and updates via email.
-                </p>
+                    <span>{label}</span>
+                    <p className={styles.radioDescription}>{description}</p>
+                  </label>
+                ))}
               </div>
-              
+
+              {preferences.notificationFrequency !== 'immediate' && renderToggle('emailDigest', 'Digest Emails',
+                'Turn off to only see non-urgent notifications in your inbox.')}
+            </div>
+
+            <div className={styles.section}>
+              <h2>Quiet Hours</h2>
+              <p className={styles.sectionDescription}>
+                Hold back emails, texts and live notifications overnight. Anything held back is sent when quiet hours end.
+              </p>
+
               <div className={styles.toggleGroup}>
                 <label className={styles.toggleLabel}>
-                  <span>SMS Notifications</span>
+                  <span>Enable Quiet Hours</span>
                   <div className={styles.toggleSwitch}>
                     <input
                       type="checkbox"
-                      name="smsNotifications"
-                      checked={preferences.smsNotifications}
-                      onChange={handleToggleChange}
+                      name="enabled"
+                      checked={preferences.quietHours.enabled}
+                      onChange={handleQuietHoursChange}
                     />
                     <span className={styles.slider}></span>
                   </div>
                 </label>
-                <p className={styles.toggleDescription}>
-                  Receive time-sensitive alerts and offers via text message.
-                </p>
               </div>
-            </div>
-            
-            <div className={styles.section}>
-              <h2>Notification Types</h2>
-              <p className={styles.sectionDescription}>
-                Select the types of notifications you want to receive.
-              </p>
-              
-              <div className={styles.checkboxGrid}>
-                <div className={styles.checkboxGroup}>
-                  <label className={styles.checkboxLabel}>
-                    <input
-                      type="checkbox"
-                      name="promotions"
-                      checked={preferences.notificationTypes.promotions}
-                      onChange={handleNotificationTypeChange}
-                    />
-                    <span>Promotions & Deals</span>
-                  </label>
-                </div>
-                
-                <div className={styles.checkboxGroup}>
-                  <label className={styles.checkboxLabel}>
-                    <input
-                      type="checkbox"
-                      name="cashbackAlerts"
-                      checked={preferences.notificationTypes.cashbackAlerts}
-                      onChange={handleNotificationTypeChange}
-                    />
-                    <span>Cashback Alerts</span>
-                  </label>
-                </div>
-                
-                <div className={styles.checkboxGroup}>
-                  <label className={styles.checkboxLabel}>
-                    <input
-                      type="checkbox"
-                      name="accountUpdates"
-                      checked={preferences.notificationTypes.accountUpdates}
-                      onChange={handleNotificationTypeChange}
-                    />
-                    <span>Account Updates</span>
-                  </label>
-                </div>
-                
-                <div className={styles.checkboxGroup}>
-                  <label className={styles.checkboxLabel}>
-                    <input
-                      type="checkbox"
-                      name="orderConfirmations"
-                      checked={preferences.notificationTypes.orderConfirmations}
-                      onChange={handleNotificationTypeChange}
-                    />
-                    <span>Order Confirmations</span>
-                  </label>
-                </div>
-                
-                <div className={styles.checkboxGroup}>
-                  <label className={styles.checkboxLabel}>
-                    <input
-                      type="checkbox"
-                      name="newStores"
-                      checked={preferences.notificationTypes.newStores}
-                      onChange={handleNotificationTypeChange}
-                    />
-                    <span>New Stores</span>
-                  </label>
-                </div>
-                
-                <div className={styles.checkboxGroup}>
-                  <label className={styles.checkboxLabel}>
-                    <input
-                      type="checkbox"
-                      name="recommendations"
-                      checked={preferences.notificationTypes.recommendations}
-                      onChange={handleNotificationTypeChange}
-                    />
-                    <span>Personalized Recommendations</span>
-                  </label>
-                </div>
-                
-                <div className={styles.checkboxGroup}>
-                  <label className={styles.checkboxLabel}>
+
+              {preferences.quietHours.enabled && (
+                <div className={styles.timeRow}>
+                  <label>
+                    From
                     <input
-                      type="checkbox"
-                      name="newsletter"
-                      checked={preferences.notificationTypes.newsletter}
-                      onChange={handleNotificationTypeChange}
+                      type="time"
+                      name="start"
+                      value={preferences.quietHours.start}
+                      onChange={handleQuietHoursChange}
+                      className={styles.textInput}
+                      required
                     />
-                    <span>Weekly Newsletter</span>
                   </label>
-                </div>
-                
-                <div className={styles.checkboxGroup}>
-                  <label className={styles.checkboxLabel}>
+                  <label>
+                    Until
                     <input
-                      type="checkbox"
-                      name="surveyRequests"
-                      checked={preferences.notificationTypes.surveyRequests}
-                      onChange={handleNotificationTypeChange}
+                      type="time"
+                      name="end"
+                      value={preferences.quietHours.end}
+                      onChange={handleQuietHoursChange}
+                      className={styles.textInput}
+                      required
                     />
-                    <span>Survey Requests</span>
                   </label>
+                  <span className={styles.toggleDescription}>Times are in {preferences.timezone}</span>
                 </div>
-              </div>
+              )}
             </div>
-            
-            <div className={styles.section}>
-              <h2>Email Frequency</h2>
-              <p className={styles.sectionDescription}>
-                Choose how often you'd like to receive promotional emails.
-              </p>
-              
-              <div className={styles.radioGroup}>
-                <label className={styles.radioLabel}>
-                  <input
-                    type="radio"
-                    name="frequency"
-                    value="daily"
-                    checked={preferences.frequency === 'daily'}
-                    onChange={handleFrequencyChange}
-                  />
-                  <span>Daily</span>
-                  <p className={styles.radioDescription}>
-                    Receive a daily digest of the best deals and offers.
-                  </p>
-                </label>
-                
-                <label className={styles.radioLabel}>
-                  <input
-                    type="radio"
-                    name="frequency"
-                    value="weekly"
-                    checked={preferences.frequency === 'weekly'}
-                    onChange={handleFrequencyChange}
-                  />
-                  <span>Weekly</span>
-                  <p className={styles.radioDescription}>
-                    Receive a weekly roundup of deals and offers.
-                  </p>
-                </label>
-                
-                <label className={styles.radioLabel}>
-                  <input
-                    type="radio"
-                    name="frequency"
-                    value="monthly"
-                    checked={preferences.frequency === 'monthly'}
-                    onChange={handleFrequencyChange}
-                  />
-                  <span>Monthly</span>
-                  <p className={styles.radioDescription}>
-                    Receive a monthly summary of the best deals.
-                  </p>
-                </label>
-                
-                <label className={styles.radioLabel}>
-                  <input
-                    type="radio"
-                    name="frequency"
-                    value="important"
-                    checked={preferences.frequency === 'important'}
-                    onChange={handleFrequencyChange}
-                  />
-                  <span>Important Only</span>
-                  <p className={styles.radioDescription}>
-                    Only receive emails about important deals and account updates.
-                  </p>
-                </label>
-              </div>
-            </div>
-            
+
             <div className={styles.section}>
               <h2>Categories of Interest</h2>
               <p className={styles.sectionDescription}>
                 Select the categories you're interested in to receive more relevant notifications.
               </p>
-              
+
               <div className={styles.categoriesGrid}>
                 {availableCategories.map(category => (
-                  <div key={category.id} className={styles.categoryCard}>
+                  <div key={category.name} className={styles.categoryCard}>
                     <label className={styles.categoryLabel}>
                       <input
                         type="checkbox"
-                        checked={preferences.categories.includes(category.id)}
-                        onChange={() => handleCategoryToggle(category.id)}
+                        checked={preferences.categories.includes(category.name)}
+                        onChange={() => handleCategoryToggle(category.name)}
                       />
                       <span className={styles.categoryName}>{category.name}</span>
                     </label>
@@ -410,7 +335,7 @@ export const NotificationPreferencesPage = () => {
                 ))}
               </div>
             </div>
-            
+
             <div className={styles.formActions}>
               <button type="submit" className={styles.submitButton} disabled={loading}>
                 {loading ? 'Saving...' : 'Save Preferences'}
@@ -423,4 +348,4 @@ export const NotificationPreferencesPage = () => {
   );
 };
 
-export default NotificationPreferencesPage;
\ No newline at end of file
+export default NotificationPreferencesPage;
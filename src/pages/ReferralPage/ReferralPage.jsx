@@ -3,6 +3,7 @@ import React, { useState, useEffect, useContext } from 'react';
 import { AuthContext } from '../../context/AuthContext';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
+import { buildApiUrl, API_ENDPOINTS } from '../../config/api';
 import styles from './ReferralPage.module.css';
 
 export const ReferralPage = () => {
@@ -33,13 +34,13 @@ export const ReferralPage = () => {
       
       try {
         setLoading(true);
-        const response = await axios.get('http://localhost:5000/api/users/referrals', {
+        const response = await axios.get(buildApiUrl(API_ENDPOINTS.USERS.REFERRALS), {
           headers: {
             Authorization: `Bearer ${accessToken}`
           }
         });
         
-        setReferralData(response.data);
+        setReferralData(response.data.data);
         setError(null);
       } catch (err) {
         console.error('Error fetching referral data:', err);
@@ -111,7 +112,7 @@ export const ReferralPage = () => {
     try {
       setLoading(true);
       
-      const response = await axios.post('http://localhost:5000/api/users/send-referrals', {
+      const response = await axios.post(buildApiUrl(API_ENDPOINTS.USERS.SEND_REFERRALS), {
         emails: validation.emails
       }, {
         headers: {
@@ -119,11 +120,14 @@ export const ReferralPage = () => {
         }
       });
       
-      setSuccessMessage(`Invitations sent successfully to ${validation.emails.length} email(s)!`);
+      const { sent, skipped } = response.data.data;
+      setSuccessMessage(sent.length > 0
+        ? `Invitations sent successfully to ${sent.length} email(s)!${skipped.length > 0 ? ` ${skipped.length} already invited or registered.` : ''}`
+        : 'Everyone on the list has already been invited or is already a member.');
       setEmailList('');
     } catch (err) {
       console.error('Error sending referrals:', err);
-      setEmailError(err.response?.data?.message || 'Failed to send invitations. Please try again.');
+      setEmailError(err.response?.data?.error?.message || 'Failed to send invitations. Please try again.');
     } finally {
       setLoading(false);
     }
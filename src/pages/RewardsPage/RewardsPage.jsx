@@ -1,15 +1,74 @@
 // src/pages/RewardsPage/RewardsPage.jsx
-import React, { useContext } from 'react';
+import React, { useState, useEffect, useContext } from 'react';
+import axios from 'axios';
 import { AuthContext } from '../../context/AuthContext';
+import { buildApiUrl, API_ENDPOINTS } from '../../config/api';
+import { formatCurrency, getPreferredCurrency } from '../../utils/currencyUtils';
 import styles from './RewardsPage.module.css';
 
 export const RewardsPage = () => {
-  const { user } = useContext(AuthContext);
+  const { user, accessToken } = useContext(AuthContext);
 
-  // Default rewards values (can be fetched from backend or context)
-  const approvedRewards = user ? parseFloat(user.balance || '0.00') : 0.00;
-  const pendingRewards = 0.00; // Placeholder; fetch from backend in production
-  const totalRewards = approvedRewards + pendingRewards;
+  const [rewards, setRewards] = useState(null);
+  const [activity, setActivity] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [displayCurrency, setDisplayCurrency] = useState(getPreferredCurrency());
+
+  // Re-fetch converted amounts when the currency selector changes
+  useEffect(() => {
+    const handleCurrencyChange = (event) => setDisplayCurrency(event.detail.code || event.detail);
+    window.addEventListener('currencyChange', handleCurrencyChange);
+    return () => window.removeEventListener('currencyChange', handleCurrencyChange);
+  }, []);
+
+  // Fetch balances, loyalty status and point history when the component mounts
+  useEffect(() => {
+    const fetchRewards = async () => {
+      if (!user) return;
+
+      try {
+        setLoading(true);
+        const headers = { Authorization: `Bearer ${accessToken}` };
+        const [rewardsResponse, activityResponse] = await Promise.all([
+          axios.get(buildApiUrl(API_ENDPOINTS.REWARDS.SUMMARY), { headers, params: { currency: displayCurrency } }),
+          axios.get(buildApiUrl(API_ENDPOINTS.REWARDS.ACTIVITY), { headers, params: { limit: 10 } })
+        ]);
+
+        setRewards(rewardsResponse.data.data);
+        setActivity(activityResponse.data.data.items);
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching rewards:', err);
+        setError('Failed to load your rewards. Please try again later.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRewards();
+  }, [user, accessToken, displayCurrency]);
+
+  const loyalty = rewards && rewards.loyalty;
+
+  // Rewards are paid in USD; when another currency is selected, show the server's conversion alongside
+  const formatReward = (field, fallback = 0) => {
+    const formatted = formatCurrency(rewards ? rewards[field] : fallback, 'USD');
+    const display = rewards && rewards.display;
+    if (!display || display.currency === 'USD') {
+      return formatted;
+    }
+    return `${formatted} (${formatCurrency(display[field], display.currency)})`;
+  };
+
+  // Progress from the current tier's threshold towards the next one
+  const tierProgress = () => {
+    if (!loyalty || !loyalty.nextTier) return 100;
+    const current = loyalty.tiers.find(tier => tier.name === loyalty.tier.name);
+    const start = current ? current.minPoints : 0;
+    const span = loyalty.qualifyingPoints + loyalty.nextTier.pointsNeeded - start;
+    return span > 0 ? Math.min(100, Math.round(((loyalty.qualifyingPoints - start) / span) * 100)) : 0;
+  };
 
   return (
     <div className={styles.rewardsPage}>
@@ -18,30 +77,78 @@ export const RewardsPage = () => {
         <h1>My Rewards</h1>
       </div>
 
+      {error && <p className={styles.errorMessage}>{error}</p>}
+
       <div className={styles.rewardsSummary}>
         <div className={styles.rewardsDetails}>
           <div className={styles.rewardItem}>
-            <span className={styles.rewardAmount}>${approvedRewards.toFixed(2)}</span>
+            <span className={styles.rewardAmount}>{formatReward('approvedRewards')}</span>
             <span className={styles.rewardLabel}>Approved Rewards</span>
             <span className={styles.checkMark}>✓</span>
           </div>
           <div className={styles.rewardItem}>
-            <span className={styles.rewardAmount}>${pendingRewards.toFixed(2)}</span>
+            <span className={styles.rewardAmount}>{formatReward('pendingRewards')}</span>
             <span className={styles.rewardLabel}>Pending Rewards</span>
           </div>
           <div className={styles.totalRewards}>
-            <span className={styles.totalAmount}>${totalRewards.toFixed(2)}*</span>
+            <span className={styles.totalAmount}>{formatReward('totalRewards')}*</span>
             <span className={styles.totalLabel}>Total Rewards</span>
           </div>
         </div>
         <p className={styles.rewardsNote}>
-          A minimum Approved balance of $5.01 is required for a redemption
+          A minimum Approved balance of {formatReward('minimumWithdrawal', 10)} is required for a redemption
         </p>
         <p className={styles.disclaimer}>
           *Total Rewards is the sum of Approved and Pending Rewards. Pending Rewards amount is subject to change if a merchant lets us know the order has been changed, canceled, or returned. Need help? Visit the FAQ
         </p>
       </div>
 
+      {loyalty && (
+        <div className={styles.loyaltyStatus}>
+          <h2>{loyalty.tier.name} Member</h2>
+          <p className={styles.loyaltyPoints}>
+            <strong>{loyalty.points.toLocaleString()}</strong> points
+            {loyalty.qualificationWindowDays > 0 &&
+              ` · ${loyalty.qualifyingPoints.toLocaleString()} earned in the last ${loyalty.qualificationWindowDays} days`}
+          </p>
+          <div
+            className={styles.tierProgress}
+            role="progressbar"
+            aria-valuenow={tierProgress()}
+            aria-valuemin="0"
+            aria-valuemax="100"
+          >
+            <div className={styles.tierProgressFill} style={{ width: `${tierProgress()}%` }} />
+          </div>
+          <p className={styles.rewardsNote}>
+            {loyalty.nextTier
+              ? `Earn ${loyalty.nextTier.pointsNeeded.toLocaleString()} more points to reach ${loyalty.nextTier.name} (+${loyalty.nextTier.cashbackBonus}% cashback).`
+              : 'You have reached the highest tier.'}
+          </p>
+
+          <div className={styles.tierList}>
+            {loyalty.tiers.map(tier => (
+              <div
+                key={tier.name}
+                className={`${styles.tierCard} ${tier.name === loyalty.tier.name ? styles.currentTier : ''}`}
+              >
+                <h3>{tier.name}</h3>
+                <span className={styles.rewardLabel}>{tier.minPoints.toLocaleString()}+ points</span>
+                <ul>
+                  {tier.perks.map(perk => <li key={perk}>{perk}</li>)}
+                </ul>
+              </div>
+            ))}
+          </div>
+
+          <p className={styles.disclaimer}>
+            Earn {loyalty.earningRules.pointsPerDollar} points per $1 of confirmed cashback,
+            {' '}{loyalty.earningRules.referralPoints} points per completed referral and
+            {' '}{loyalty.earningRules.reviewPoints} points per approved review.
+          </p>
+        </div>
+      )}
+
       <div className={styles.personalizedOffers}>
         <h2>Personalized Offers For You</h2>
         <div className={styles.offerCard}>
@@ -56,10 +163,26 @@ export const RewardsPage = () => {
 
       <div className={styles.rewardsActivity}>
         <h2>My Rewards Activity</h2>
-        <p>
-          Once a merchant lets us know you made a qualifying purchase, all of your transaction information and history will show up here.
-        </p>
+        {loading ? (
+          <p>Loading your rewards activity...</p>
+        ) : activity.length === 0 ? (
+          <p>
+            Once a merchant lets us know you made a qualifying purchase, all of your transaction information and history will show up here.
+          </p>
+        ) : (
+          <ul className={styles.activityList}>
+            {activity.map(entry => (
+              <li key={entry._id} className={styles.activityItem}>
+                <span>{entry.description}</span>
+                <span className={entry.points > 0 ? styles.pointsEarned : styles.pointsReversed}>
+                  {entry.points > 0 ? '+' : ''}{entry.points} pts
+                </span>
+                <span className={styles.rewardLabel}>{new Date(entry.createdAt).toLocaleDateString()}</span>
+              </li>
+            ))}
+          </ul>
+        )}
       </div>
     </div>
   );
-};
\ No newline at end of file
+};
@@ -1,65 +1,251 @@
 import React, { useState, useEffect } from 'react';
-import { useLocation } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { search } from '../../services/searchService';
 import styles from './SearchPage.module.css';
 
-// This is a mock data fetching function.
-// In a real application, you would fetch this data from your API.
-const fetchSearchResults = async (query) => {
-  console.log(`Searching for: ${query}`);
-  // Simulate network delay
-  await new Promise(resolve => setTimeout(resolve, 500));
-  
-  // Mock search results
-  const mockResults = [
-    { id: 1, title: `Result for "${query}" 1`, description: 'This is a sample search result.', url: '#' },
-    { id: 2, title: `Result for "${query}" 2`, description: 'This is another sample search result.', url: '#' },
-    { id: 3, title: `Result for "${query}" 3`, description: 'And one more sample search result.', url: '#' },
-  ];
-  
-  return mockResults;
+const SECTIONS = [
+  { type: 'stores', label: 'Stores' },
+  { type: 'coupons', label: 'Coupons' },
+  { type: 'cashbacks', label: 'Cashback' },
+  { type: 'blogs', label: 'Blog' }
+];
+
+const FILTERS = ['category', 'store', 'discountType', 'expiry'];
+
+const FACET_LABELS = {
+  category: 'Category',
+  store: 'Store',
+  discountType: 'Discount type',
+  expiry: 'Expires'
+};
+
+const VALUE_LABELS = {
+  percentage: 'Percentage off',
+  fixed: 'Amount off',
+  week: 'Within a week',
+  month: 'Within a month',
+  later: 'Later',
+  none: 'Never'
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Wrap the words of a text that start with a search term in <mark>
+ */
+const Highlight = ({ text, terms }) => {
+  if (!text || !terms || terms.length === 0) return text || null;
+
+  const pattern = new RegExp(`\\b(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  const parts = [];
+  let lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    parts.push(text.slice(lastIndex, match.index));
+    parts.push(<mark key={match.index} className={styles.highlight}>{match[0]}</mark>);
+    lastIndex = match.index + match[0].length;
+  }
+  parts.push(text.slice(lastIndex));
+  return <>{parts}</>;
+};
+
+/**
+ * Title and link of a result of each kind
+ */
+const describeResult = (type, result) => {
+  const storeLink = result.store && result.store.slug ? `/stores/${result.store.slug}` : '/stores';
+  switch (type) {
+    case 'stores':
+      return { title: result.name, link: `/stores/${result.slug}` };
+    case 'coupons':
+      return {
+        title: result.title,
+        link: storeLink,
+        meta: [result.store && result.store.name, result.code && `Code: ${result.code}`]
+      };
+    case 'cashbacks':
+      return {
+        title: result.title,
+        link: storeLink,
+        meta: [result.store && result.store.name, result.amount !== undefined && `${result.amount}% cashback`]
+      };
+    default:
+      return { title: result.title, link: '/blog', meta: [result.category] };
+  }
 };
 
 export const SearchPage = () => {
-  const [results, setResults] = useState([]);
+  const [data, setData] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
   const location = useLocation();
-  
-  const query = new URLSearchParams(location.search).get('q');
+  const navigate = useNavigate();
+
+  const params = new URLSearchParams(location.search);
+  const query = params.get('q');
+  const type = params.get('type');
 
   useEffect(() => {
-    if (query) {
-      setIsLoading(true);
-      fetchSearchResults(query)
-        .then(data => {
-          setResults(data);
-          setIsLoading(false);
-        })
-        .catch(error => {
-          console.error('Failed to fetch search results:', error);
-          setIsLoading(false);
-        });
+    const searchParams = new URLSearchParams(location.search);
+    const q = searchParams.get('q');
+    if (!q) {
+      setIsLoading(false);
+      return;
+    }
+
+    const request = { q };
+    ['type', 'page', ...FILTERS].forEach(name => {
+      if (searchParams.get(name)) request[name] = searchParams.get(name);
+    });
+
+    setIsLoading(true);
+    setError(null);
+    search(request)
+      .then(response => {
+        setData(response);
+        setIsLoading(false);
+      })
+      .catch(err => {
+        console.error('Failed to fetch search results:', err);
+        setError('Search is unavailable right now. Please try again.');
+        setIsLoading(false);
+      });
+  }, [location.search]);
+
+  // Change one search parameter, going back to the first page
+  const updateParam = (name, value) => {
+    const next = new URLSearchParams(location.search);
+    if (value) {
+      next.set(name, value);
+    } else {
+      next.delete(name);
     }
-  }, [query]);
+    if (name !== 'page') next.delete('page');
+    navigate(`/search?${next.toString()}`);
+  };
+
+  // Facet counts of the selected kind, or of every kind added together
+  const facetOptions = (facet) => {
+    if (!data || !data.facets) return [];
+    const counts = new Map();
+    Object.entries(data.facets)
+      .filter(([facetType]) => !type || facetType === type)
+      .forEach(([, facets]) => {
+        (facets[facet] || []).forEach(({ value, name, count }) => {
+          const entry = counts.get(String(value)) || { value: String(value), name: name || value, count: 0 };
+          entry.count += count;
+          counts.set(String(value), entry);
+        });
+      });
+    return [...counts.values()].sort((a, b) => b.count - a.count);
+  };
+
+  const terms = (data && data.terms) || [];
+  const sections = SECTIONS.filter(section => data && data.results && data.results[section.type]);
 
   return (
     <div className={styles.searchPage}>
       <h1 className={styles.title}>Search Results for "{query}"</h1>
+      {data && data.correctedQuery && (
+        <p className={styles.correction}>
+          No results for "{query}". Showing results for "<strong>{data.correctedQuery}</strong>".
+        </p>
+      )}
+
+      <div className={styles.typeTabs}>
+        <button
+          className={!type ? styles.activeTab : styles.tab}
+          onClick={() => updateParam('type', null)}
+        >
+          All
+        </button>
+        {SECTIONS.map(section => (
+          <button
+            key={section.type}
+            className={type === section.type ? styles.activeTab : styles.tab}
+            onClick={() => updateParam('type', section.type)}
+          >
+            {section.label}
+          </button>
+        ))}
+      </div>
+
+      {data && (
+        <div className={styles.facets}>
+          {FILTERS.map(facet => {
+            const options = facetOptions(facet);
+            if (options.length === 0 && !params.get(facet)) return null;
+            return (
+              <label key={facet} className={styles.facet}>
+                {FACET_LABELS[facet]}
+                <select value={params.get(facet) || ''} onChange={(e) => updateParam(facet, e.target.value)}>
+                  <option value="">Any</option>
+                  {options.map(option => (
+                    <option key={option.value} value={option.value}>
+                      {VALUE_LABELS[option.name] || option.name} ({option.count})
+                    </option>
+                  ))}
+                </select>
+              </label>
+            );
+          })}
+        </div>
+      )}
+
       {isLoading ? (
         <div className={styles.loader}>Loading...</div>
+      ) : error ? (
+        <p className={styles.error}>{error}</p>
       ) : (
         <div className={styles.resultsContainer}>
-          {results.length > 0 ? (
-            results.map(result => (
-              <div key={result.id} className={styles.resultItem}>
-                <h2><a href={result.url}>{result.title}</a></h2>
-                <p>{result.description}</p>
-              </div>
+          {data && data.totalResults > 0 ? (
+            sections.filter(section => data.results[section.type].count > 0).map(section => (
+              <section key={section.type} className={styles.resultSection}>
+                <h2 className={styles.sectionTitle}>
+                  {section.label} <span className={styles.count}>({data.results[section.type].count})</span>
+                </h2>
+                {data.results[section.type].data.map(result => {
+                  const { title, link, meta = [] } = describeResult(section.type, result);
+                  return (
+                    <div key={result._id} className={styles.resultItem}>
+                      <h3><Link to={link}><Highlight text={title} terms={terms} /></Link></h3>
+                      {meta.filter(Boolean).length > 0 && (
+                        <div className={styles.meta}>{meta.filter(Boolean).join(' · ')}</div>
+                      )}
+                      {result.snippet && <p><Highlight text={result.snippet} terms={terms} /></p>}
+                    </div>
+                  );
+                })}
+                {!type && data.results[section.type].count > data.results[section.type].data.length && (
+                  <button className={styles.moreButton} onClick={() => updateParam('type', section.type)}>
+                    See all {data.results[section.type].count} {section.label.toLowerCase()} results
+                  </button>
+                )}
+              </section>
             ))
           ) : (
             <p>No results found for "{query}".</p>
           )}
+
+          {data && data.pagination && data.pagination.totalPages > 1 && (
+            <div className={styles.pagination}>
+              <button
+                disabled={data.pagination.page <= 1}
+                onClick={() => updateParam('page', String(data.pagination.page - 1))}
+              >
+                Previous
+              </button>
+              <span>Page {data.pagination.page} of {data.pagination.totalPages}</span>
+              <button
+                disabled={data.pagination.page >= data.pagination.totalPages}
+                onClick={() => updateParam('page', String(data.pagination.page + 1))}
+              >
+                Next
+              </button>
+            </div>
+          )}
         </div>
       )}
     </div>
   );
-}; 
\ No newline at end of file
+};
@@ -1,6 +1,6 @@
 // src/pages/SignUpPage/SignUpPage.jsx
 import React, { useState, useContext, useEffect } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, Link, useSearchParams } from 'react-router-dom';
 import { AuthContext } from '../../context/AuthContext';
 import styles from './SignUpPage.module.css';
 import { 
@@ -19,6 +19,8 @@ export const SignUpPage = () => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
+  const [searchParams] = useSearchParams();
+  const [referralCode, setReferralCode] = useState(searchParams.get('ref') || '');
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [error, setError] = useState('');
@@ -105,6 +107,9 @@ export const SignUpPage = () => {
         email,
         password
       };
+      if (referralCode.trim()) {
+        userData.referralCode = referralCode.trim();
+      }
       
       console.log('Sending registration data:', userData);
       
@@ -278,6 +283,18 @@ export const SignUpPage = () => {
             </div>
           </div>
           
+          <div className={styles.formGroup}>
+            <label htmlFor="referralCode">Referral Code (optional)</label>
+            <input
+              id="referralCode"
+              type="text"
+              placeholder="Enter a friend's referral code"
+              value={referralCode}
+              onChange={(e) => setReferralCode(e.target.value.toUpperCase())}
+              className={styles.formInput}
+            />
+          </div>
+          
           <div className={styles.passwordRequirements}>
             <h4 className={styles.requirementsTitle}>
               <FaInfoCircle /> Password Requirements
@@ -16,6 +16,7 @@ import {
   FaHistory,
   FaQuestionCircle
 } from 'react-icons/fa';
+import { getStoreId, openStore } from '../../services/clickService';
 import styles from './StoreDetailPage.module.css';
 
 export const StoreDetailPage = () => {
@@ -139,7 +140,7 @@ export const StoreDetailPage = () => {
     setShowTerms(!showTerms);
   };
   
-  // Redirect to store (in a real app, this would track the click and redirect)
+  // Redirect to store, tracking the click when the store is a real one
   const shopNow = () => {
     if (!storeData) {
       console.error('Store data not available for redirect');
@@ -153,6 +154,13 @@ export const StoreDetailPage = () => {
       return;
     }
     
+    // Go through the click-out redirect so the purchase is attributed for cashback
+    const storeId = getStoreId(storeData.store) || getStoreId(storeData.storeId);
+    if (storeId) {
+      openStore(storeId, { cashbackId: getStoreId(storeData._id) || undefined });
+      return;
+    }
+    
     // Get the store URL from the data or generate a fallback URL
     const storeUrl = storeData.website || `https://www.${storeData.brand.toLowerCase().replace(/\s+/g, '')}.com`;
     
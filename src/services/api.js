@@ -75,7 +75,8 @@ const refreshToken = async () => {
       refreshToken
     });
     
-    const { accessToken, newRefreshToken } = response.data;
+    // Refresh tokens are rotated: each one can only be used once
+    const { accessToken, refreshToken: newRefreshToken } = response.data;
     
     // Store the new tokens
     localStorage.setItem('accessToken', accessToken);
@@ -3,6 +3,7 @@
  * 
  * Handles all authentication-related API calls
  */
+import { startRegistration, startAuthentication } from '@simplewebauthn/browser';
 import api from './api';
 
 /**
@@ -389,6 +390,114 @@ export const changePassword = async (currentPassword, newPassword) => {
   return response.data;
 };
 
+/**
+ * Get the devices the current user is signed in on
+ * @returns {Promise} - The response promise ({ sessions })
+ */
+export const getSessions = async () => {
+  const response = await api.get('/auth/sessions');
+  return response.data;
+};
+
+/**
+ * Sign out one of the current user's devices
+ * @param {string} sessionId - Session ID
+ * @returns {Promise} - The response promise ({ isCurrentSession })
+ */
+export const revokeSession = async (sessionId) => {
+  const response = await api.delete(`/auth/sessions/${sessionId}`);
+  return response.data;
+};
+
+/**
+ * Get the current user's passkeys
+ * @returns {Promise} - The response promise ({ passkeys })
+ */
+export const getPasskeys = async () => {
+  const response = await api.get('/auth/passkeys');
+  return response.data;
+};
+
+/**
+ * Register a passkey on this device for the current user
+ * @param {string} password - Current password
+ * @param {string} [name] - Name for the passkey
+ * @returns {Promise} - The response promise ({ passkey })
+ */
+export const registerPasskey = async (password, name) => {
+  const { data } = await api.post('/auth/passkeys/register/options', { password });
+  const credential = await startRegistration({ optionsJSON: data.options });
+  const response = await api.post('/auth/passkeys/register', { response: credential, name: name || undefined });
+  return response.data;
+};
+
+/**
+ * Rename one of the current user's passkeys
+ * @param {string} passkeyId - Passkey ID
+ * @param {string} name - New name
+ * @returns {Promise} - The response promise ({ passkey })
+ */
+export const renamePasskey = async (passkeyId, name) => {
+  const response = await api.patch(`/auth/passkeys/${passkeyId}`, { name });
+  return response.data;
+};
+
+/**
+ * Remove one of the current user's passkeys
+ * @param {string} passkeyId - Passkey ID
+ * @param {string} password - Current password
+ * @returns {Promise} - The response promise
+ */
+export const deletePasskey = async (passkeyId, password) => {
+  const response = await api.delete(`/auth/passkeys/${passkeyId}`, { data: { password } });
+  return response.data;
+};
+
+/**
+ * Sign in with a passkey instead of a password
+ * @param {string} email - User email
+ * @returns {Promise} - The response promise
+ */
+export const loginWithPasskey = async (email) => {
+  const { data } = await api.post('/auth/passkeys/login/options', { email });
+  const credential = await startAuthentication({ optionsJSON: data.options });
+  const response = await api.post('/auth/passkeys/login', { email, challengeId: data.challengeId, response: credential });
+
+  // Store tokens in localStorage
+  if (response.data.accessToken) {
+    localStorage.setItem('accessToken', response.data.accessToken);
+
+    if (response.data.refreshToken) {
+      localStorage.setItem('refreshToken', response.data.refreshToken);
+    }
+  }
+
+  return response.data;
+};
+
+/**
+ * Complete two-factor authentication with a passkey instead of a code
+ * @param {string} userId - User ID from the login response
+ * @param {string} tempToken - Temporary token from the login response
+ * @returns {Promise} - The response promise
+ */
+export const verifyTwoFactorWithPasskey = async (userId, tempToken) => {
+  const { data } = await api.post('/auth/2fa/passkey/options', { userId, tempToken });
+  const credential = await startAuthentication({ optionsJSON: data.options });
+  const response = await api.post('/auth/verify-2fa', { userId, tempToken, passkey: credential });
+
+  // Store tokens in localStorage
+  if (response.data.accessToken) {
+    localStorage.setItem('accessToken', response.data.accessToken);
+
+    if (response.data.refreshToken) {
+      localStorage.setItem('refreshToken', response.data.refreshToken);
+    }
+  }
+
+  return response.data;
+};
+
 /**
  * Refresh the authentication token with retry logic
  * @returns {Promise} - The response promise
@@ -475,6 +584,14 @@ export default {
   getCurrentUser,
   updateProfile,
   changePassword,
+  getSessions,
+  revokeSession,
+  getPasskeys,
+  registerPasskey,
+  renamePasskey,
+  deletePasskey,
+  loginWithPasskey,
+  verifyTwoFactorWithPasskey,
   refreshAuthToken,
   isAuthenticated,
   getToken
@@ -0,0 +1,99 @@
+/**
+ * Click Service
+ *
+ * Sends shoppers to stores through the /go redirect, which records the click
+ * so the purchase it leads to earns cashback
+ */
+import api from './api';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000/api';
+
+// The redirect is served next to the API, not under it
+const REDIRECT_BASE_URL = API_BASE_URL.replace(/\/api\/?$/, '');
+
+// Refetch the click token this long before it expires
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+let cachedToken = null;
+
+/**
+ * Get a click token for the signed-in user, which attributes /go clicks to them
+ * @returns {Promise<string|null>} - Token, or null when signed out
+ */
+export const getClickToken = async () => {
+  if (!localStorage.getItem('accessToken')) {
+    cachedToken = null;
+    return null;
+  }
+
+  if (cachedToken && cachedToken.expiresAt - TOKEN_EXPIRY_MARGIN_MS > Date.now()) {
+    return cachedToken.token;
+  }
+
+  try {
+    const response = await api.get('/clicks/token');
+    const { token, expiresIn } = response.data.data;
+    cachedToken = { token, expiresAt: Date.now() + expiresIn * 1000 };
+    return token;
+  } catch (error) {
+    // Still send the shopper on, just without attribution
+    console.error('Error fetching click token:', error);
+    return null;
+  }
+};
+
+/**
+ * Get the ID of the store an item belongs to, whether it is populated or not
+ * @param {Object|string} store - Store, or store ID
+ * @returns {string|null} - Store ID, or null if it is not a database ID
+ */
+export const getStoreId = (store) => {
+  const id = store && typeof store === 'object' ? store._id : store;
+  return typeof id === 'string' && /^[a-f0-9]{24}$/i.test(id) ? id : null;
+};
+
+/**
+ * Build the /go link for a store
+ * @param {string} storeId - Store ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.couponId] - Coupon the click starts from
+ * @param {string} [options.cashbackId] - Cashback offer the click starts from
+ * @returns {Promise<string>} - Redirect URL
+ */
+export const getStoreLink = async (storeId, { couponId, cashbackId } = {}) => {
+  const params = new URLSearchParams();
+  if (couponId) params.set('coupon', couponId);
+  if (cashbackId) params.set('cashback', cashbackId);
+
+  const token = await getClickToken();
+  if (token) params.set('t', token);
+
+  const query = params.toString();
+  return `${REDIRECT_BASE_URL}/go/${storeId}${query ? `?${query}` : ''}`;
+};
+
+/**
+ * Open a store in a new tab through the /go redirect
+ * @param {string} storeId - Store ID
+ * @param {Object} [options] - Options, as for getStoreLink
+ * @returns {Promise<void>}
+ */
+export const openStore = async (storeId, options = {}) => {
+  // Open the tab while still handling the click, so popup blockers allow it
+  const tab = window.open('', '_blank');
+  const url = await getStoreLink(storeId, options);
+
+  if (tab) {
+    tab.opener = null;
+    tab.location.href = url;
+  } else {
+    window.location.href = url;
+  }
+};
+
+export default {
+  getClickToken,
+  getStoreId,
+  getStoreLink,
+  openStore
+};
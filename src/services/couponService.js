@@ -106,6 +106,34 @@ export const trackCouponUsage = async (id) => {
   return response.data;
 };
 
+/**
+ * Get the ID this browser reports coupon feedback under when not signed in
+ * @returns {string} - Client ID
+ */
+const getFeedbackClientId = () => {
+  let clientId = localStorage.getItem('couponFeedbackClientId');
+  if (!clientId) {
+    clientId = crypto.randomUUID();
+    localStorage.setItem('couponFeedbackClientId', clientId);
+  }
+  return clientId;
+};
+
+/**
+ * Report whether a coupon code worked. Reporting again replaces the earlier answer.
+ * @param {string|number} id - Coupon ID
+ * @param {string} outcome - 'worked' or 'failed'
+ * @returns {Promise} - The response promise
+ */
+export const reportCouponFeedback = async (id, outcome) => {
+  const response = await api.post(`/coupons/${id}/feedback`, {
+    outcome,
+    source: 'web',
+    clientId: getFeedbackClientId()
+  });
+  return response.data;
+};
+
 /**
  * Get trending coupons
  * @param {number} limit - Number of coupons to return
@@ -201,6 +229,7 @@ export default {
   deleteCoupon,
   verifyCouponCode,
   trackCouponUsage,
+  reportCouponFeedback,
   getTrendingCoupons,
   getExpiringSoonCoupons,
   getNewestCoupons,
@@ -0,0 +1,81 @@
+/**
+ * Favorite Service
+ *
+ * Handles all favorites-related API calls
+ */
+import api from './api';
+
+/**
+ * Get the current user's favorites with the items they point at
+ * @param {Object} params - Query parameters (itemType, tag, page, limit)
+ * @returns {Promise} - The response promise
+ */
+export const getFavorites = async (params = {}) => {
+  const response = await api.get('/users/favorites', { params });
+  return response.data;
+};
+
+/**
+ * Get the IDs of the current user's favorited items, grouped by item type
+ * @param {string} [itemType] - Only return this item type
+ * @returns {Promise} - The response promise
+ */
+export const getFavoriteIds = async (itemType) => {
+  const response = await api.get('/users/favorites/ids', {
+    params: itemType ? { itemType } : {}
+  });
+  return response.data;
+};
+
+/**
+ * Add an item to favorites
+ * @param {string} itemType - 'store', 'coupon', 'cashback' or 'blog'
+ * @param {string} itemId - Item ID
+ * @param {Object} options - notes, tags, notifyOnExpiry, notifyOnUpdates
+ * @returns {Promise} - The response promise
+ */
+export const addFavorite = async (itemType, itemId, options = {}) => {
+  const response = await api.post('/users/favorites', { itemType, itemId, ...options });
+  return response.data;
+};
+
+/**
+ * Update a favorite's notes, tags or alerts
+ * @param {string} id - Favorite ID
+ * @param {Object} favoriteData - Fields to change
+ * @returns {Promise} - The response promise
+ */
+export const updateFavorite = async (id, favoriteData) => {
+  const response = await api.put(`/users/favorites/${id}`, favoriteData);
+  return response.data;
+};
+
+/**
+ * Remove a favorite
+ * @param {string} id - Favorite ID
+ * @returns {Promise} - The response promise
+ */
+export const removeFavorite = async (id) => {
+  const response = await api.delete(`/users/favorites/${id}`);
+  return response.data;
+};
+
+/**
+ * Remove an item from favorites by the item's ID
+ * @param {string} itemType - 'store', 'coupon', 'cashback' or 'blog'
+ * @param {string} itemId - Item ID
+ * @returns {Promise} - The response promise
+ */
+export const removeFavoriteItem = async (itemType, itemId) => {
+  const response = await api.delete(`/users/favorites/item/${itemType}/${itemId}`);
+  return response.data;
+};
+
+export default {
+  getFavorites,
+  getFavoriteIds,
+  addFavorite,
+  updateFavorite,
+  removeFavorite,
+  removeFavoriteItem
+};
@@ -0,0 +1,105 @@
+/**
+ * Notification Service
+ *
+ * Handles all notification inbox API calls
+ */
+import api from './api';
+
+/**
+ * Get the current user's notifications, newest first
+ * @param {Object} params - Query parameters (status, type, page, limit)
+ * @returns {Promise} - The response promise
+ */
+export const getNotifications = async (params = {}) => {
+  const response = await api.get('/notifications', { params });
+  return response.data;
+};
+
+/**
+ * Get the current user's unread notification count
+ * @returns {Promise} - The response promise ({ total, byType })
+ */
+export const getUnreadCount = async () => {
+  const response = await api.get('/notifications/unread-count');
+  return response.data;
+};
+
+/**
+ * Mark a notification as read
+ * @param {string} id - Notification ID
+ * @returns {Promise} - The response promise
+ */
+export const markAsRead = async (id) => {
+  const response = await api.put(`/notifications/${id}/read`);
+  return response.data;
+};
+
+/**
+ * Mark a notification as unread
+ * @param {string} id - Notification ID
+ * @returns {Promise} - The response promise
+ */
+export const markAsUnread = async (id) => {
+  const response = await api.put(`/notifications/${id}/unread`);
+  return response.data;
+};
+
+/**
+ * Mark all notifications as read
+ * @param {string} [type] - Only mark notifications of this type
+ * @returns {Promise} - The response promise
+ */
+export const markAllAsRead = async (type) => {
+  const response = await api.put('/notifications/read-all', type ? { type } : {});
+  return response.data;
+};
+
+/**
+ * Delete a notification
+ * @param {string} id - Notification ID
+ * @returns {Promise} - The response promise
+ */
+export const deleteNotification = async (id) => {
+  const response = await api.delete(`/notifications/${id}`);
+  return response.data;
+};
+
+/**
+ * Delete all read notifications
+ * @returns {Promise} - The response promise
+ */
+export const deleteReadNotifications = async () => {
+  const response = await api.delete('/notifications/read');
+  return response.data;
+};
+
+/**
+ * Get the current user's notification preferences
+ * @returns {Promise} - The response promise
+ */
+export const getPreferences = async () => {
+  const response = await api.get('/notifications/preferences');
+  return response.data;
+};
+
+/**
+ * Update the current user's notification preferences
+ * @param {Object} preferences - Preferences to change
+ * @returns {Promise} - The response promise
+ */
+export const updatePreferences = async (preferences) => {
+  const response = await api.put('/notifications/preferences', preferences);
+  return response.data;
+};
+
+export default {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAsUnread,
+  markAllAsRead,
+  deleteNotification,
+  deleteReadNotifications,
+  getPreferences,
+  updatePreferences
+};
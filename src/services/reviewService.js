@@ -0,0 +1,106 @@
+/**
+ * Review Service
+ *
+ * Handles all review-related API calls
+ */
+import api from './api';
+
+/**
+ * Get the approved reviews of a store, coupon or cashback offer
+ * @param {string} itemType - 'store', 'coupon' or 'cashback'
+ * @param {string} itemId - Item ID
+ * @param {Object} params - Additional query parameters (page, limit, sort, rating, verified)
+ * @returns {Promise} - The response promise
+ */
+export const getReviews = async (itemType, itemId, params = {}) => {
+  const response = await api.get('/reviews', {
+    params: { itemType, itemId, ...params }
+  });
+  return response.data;
+};
+
+/**
+ * Get an item's average rating and star distribution
+ * @param {string} itemType - 'store', 'coupon' or 'cashback'
+ * @param {string} itemId - Item ID
+ * @returns {Promise} - The response promise
+ */
+export const getReviewSummary = async (itemType, itemId) => {
+  const response = await api.get('/reviews/summary', {
+    params: { itemType, itemId }
+  });
+  return response.data;
+};
+
+/**
+ * Get the current user's reviews
+ * @param {Object} params - Query parameters (page, limit, status)
+ * @returns {Promise} - The response promise
+ */
+export const getMyReviews = async (params = {}) => {
+  const response = await api.get('/reviews/mine', { params });
+  return response.data;
+};
+
+/**
+ * Post a review. It is published once a moderator approves it.
+ * @param {Object} reviewData - { itemType, itemId, rating, title, content, pros, cons }
+ * @returns {Promise} - The response promise
+ */
+export const createReview = async (reviewData) => {
+  const response = await api.post('/reviews', reviewData);
+  return response.data;
+};
+
+/**
+ * Edit one of the current user's reviews
+ * @param {string} id - Review ID
+ * @param {Object} reviewData - Fields to change
+ * @returns {Promise} - The response promise
+ */
+export const updateReview = async (id, reviewData) => {
+  const response = await api.put(`/reviews/${id}`, reviewData);
+  return response.data;
+};
+
+/**
+ * Delete one of the current user's reviews
+ * @param {string} id - Review ID
+ * @returns {Promise} - The response promise
+ */
+export const deleteReview = async (id) => {
+  const response = await api.delete(`/reviews/${id}`);
+  return response.data;
+};
+
+/**
+ * Vote a review helpful or unhelpful
+ * @param {string} id - Review ID
+ * @param {string} vote - 'helpful' or 'unhelpful'
+ * @returns {Promise} - The response promise
+ */
+export const voteReview = async (id, vote) => {
+  const response = await api.post(`/reviews/${id}/vote`, { vote });
+  return response.data;
+};
+
+/**
+ * Withdraw the current user's vote on a review
+ * @param {string} id - Review ID
+ * @returns {Promise} - The response promise
+ */
+export const removeReviewVote = async (id) => {
+  const response = await api.delete(`/reviews/${id}/vote`);
+  return response.data;
+};
+
+export default {
+  getReviews,
+  getReviewSummary,
+  getMyReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  voteReview,
+  removeReviewVote
+};
@@ -0,0 +1,31 @@
+/**
+ * Search Service
+ *
+ * Handles site search API calls
+ */
+import api from './api';
+
+/**
+ * Search coupons, cashback offers, stores and blog posts
+ * @param {Object} params - Query parameters (q, type, page, limit, category, store, discountType, expiry)
+ * @returns {Promise} - The response promise ({ results, facets, terms, correctedQuery, matchMode, totalResults })
+ */
+export const search = async (params = {}) => {
+  const response = await api.get('/search', { params });
+  return response.data;
+};
+
+/**
+ * Get search suggestions for a partial query
+ * @param {string} q - Partial query
+ * @returns {Promise} - The response promise ({ suggestions })
+ */
+export const getSuggestions = async (q) => {
+  const response = await api.get('/search/suggestions', { params: { q } });
+  return response.data;
+};
+
+export default {
+  search,
+  getSuggestions
+};
@@ -191,7 +191,7 @@ export const getStoreCashback = async (id) => {
  * @returns {Promise} - The response promise
  */
 export const getFavoriteStores = async () => {
-  const response = await api.get('/users/stores/favorites');
+  const response = await api.get('/users/favorites', { params: { itemType: 'store' } });
   return response.data;
 };
 
@@ -201,7 +201,7 @@ export const getFavoriteStores = async () => {
  * @returns {Promise} - The response promise
  */
 export const addFavoriteStore = async (id) => {
-  const response = await api.post(`/users/stores/${id}/favorite`);
+  const response = await api.post('/users/favorites', { itemType: 'store', itemId: id, notifyOnUpdates: true });
   return response.data;
 };
 
@@ -211,7 +211,7 @@ export const addFavoriteStore = async (id) => {
  * @returns {Promise} - The response promise
  */
 export const removeFavoriteStore = async (id) => {
-  const response = await api.delete(`/users/stores/${id}/favorite`);
+  const response = await api.delete(`/users/favorites/item/store/${id}`);
   return response.data;
 };
 
@@ -4,7 +4,7 @@ import { AppContext } from '../context/AppContext';
 import { AuthContext } from '../context/AuthContext';
 
 // WebSocket connection URL - should be configured based on environment
-const WS_URL = process.env.REACT_APP_WS_URL || 'ws://localhost:5001';
+const WS_URL = process.env.REACT_APP_WS_URL || 'ws://localhost:5001/ws';
 
 // WebSocket event types
 export const WS_EVENTS = {
@@ -19,6 +19,7 @@ export const WS_EVENTS = {
   PRICE_DROP: 'price_drop',
   CUSTOM_OFFER: 'custom_offer',
   USER_NOTIFICATION: 'user_notification',
+  NOTIFICATION: 'notification',
 };
 
 // WebSocket service for handling real-time connections
@@ -157,14 +158,14 @@ const websocketService = new WebSocketService();
 
 // React hook for using WebSocket in components
 export const useWebSocket = () => {
-  const { isAuthenticated, user, token } = useContext(AuthContext);
+  const { isAuthenticated, user, accessToken } = useContext(AuthContext);
   const { showNotification } = useContext(AppContext);
   const [isConnected, setIsConnected] = useState(websocketService.isConnected());
   
   // Connect to WebSocket when authenticated
   useEffect(() => {
-    if (isAuthenticated && user && token) {
-      websocketService.connect(user.id, token);
+    if (isAuthenticated && user && accessToken) {
+      websocketService.connect(user.id || user._id, accessToken);
       
       // Setup listeners for connection status
       const handleConnect = () => setIsConnected(true);
@@ -216,7 +217,7 @@ export const useWebSocket = () => {
       websocketService.disconnect();
       setIsConnected(false);
     }
-  }, [isAuthenticated, user, token, showNotification]);
+  }, [isAuthenticated, user, accessToken, showNotification]);
   
   // Return WebSocket service and connection status
   return {
@@ -1,6 +1,8 @@
 // src/utils/currencyUtils.js
+import axios from 'axios';
+import { buildApiUrl, API_ENDPOINTS } from '../config/api';
 
-// Exchange rates (updated periodically from an API in a real implementation)
+// Fallback exchange rates, replaced by the backend's stored rates once loadExchangeRates() runs
 let exchangeRates = {
   USD: 1.0,
   EUR: 0.92,
@@ -36,6 +38,18 @@ export const updateExchangeRates = (rates) => {
   exchangeRates = { ...exchangeRates, ...rates };
 };
 
+/**
+ * Load the exchange rates the backend converts and pays with, so amounts shown here match it.
+ * Currencies without a stored rate are dropped rather than converted with the fallback table.
+ * @returns {Promise<Object>} - { base, rates, updatedAt, currencies }
+ */
+export const loadExchangeRates = async () => {
+  const response = await axios.get(buildApiUrl(API_ENDPOINTS.CURRENCY.RATES));
+  const data = response.data.data;
+  exchangeRates = { ...data.rates };
+  return data;
+};
+
 /**
  * Convert amount from one currency to another
  * @param {number} amount - Amount to convert
@@ -52,8 +66,10 @@ export const convertCurrency = (amount, fromCurrency = 'USD', toCurrency = 'USD'
   // Convert to USD first (base currency)
   const amountInUSD = fromCurrency === 'USD' ? amount : amount / exchangeRates[fromCurrency];
   
-  // Convert from USD to target currency
-  return toCurrency === 'USD' ? amountInUSD : amountInUSD * exchangeRates[toCurrency];
+  // Convert from USD to target currency, rounded to its minor unit like the backend does
+  const converted = toCurrency === 'USD' ? amountInUSD : amountInUSD * exchangeRates[toCurrency];
+  const decimals = (currencyFormatOptions[toCurrency] || currencyFormatOptions.USD).maximumFractionDigits;
+  return Math.round(converted * Math.pow(10, decimals)) / Math.pow(10, decimals);
 };
 
 /**
@@ -128,4 +144,5 @@ export default {
   setPreferredCurrency,
   formatDualCurrency,
   updateExchangeRates,
+  loadExchangeRates,
 };
\ No newline at end of file